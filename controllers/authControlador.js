@@ -1,22 +1,93 @@
 // controllers/authControlador.js - Refactorizado: Consistencia Total
 import authService from "../services/authService.js";
+import permisosService from "../services/permisosService.js";
 import {
   buildSuccessResponse,
   createControllerLogger,
   buildOperationMetadata,
+  buildBusinessErrorResponse,
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
 
 const logger = createControllerLogger("auth");
 
+/**
+ * Respuestas comunes a los errores de negocio del segundo factor
+ * @returns {Object|null} Respuesta enviada o null si el error no es de negocio
+ */
+const responderErrorDosFactores = (error, res) => {
+  const respuestas = {
+    INVALID_2FA_TOKEN: [
+      401,
+      "El paso de verificación expiró o no es válido; inicia sesión nuevamente",
+    ],
+    INVALID_2FA_CODE: [401, "Código de verificación incorrecto"],
+    ACCOUNT_LOCKED: [
+      429,
+      "Demasiados códigos incorrectos. Intenta nuevamente en 15 minutos",
+    ],
+    INVALID_CURRENT_PASSWORD: [400, "La contraseña actual es incorrecta"],
+    TOTP_ALREADY_ENABLED: [
+      409,
+      "La verificación en dos pasos ya está activa en esta cuenta",
+    ],
+    TOTP_ENROLMENT_NOT_STARTED: [
+      400,
+      "Primero genera el código QR con /auth/2fa/enrolar",
+    ],
+    TOTP_NOT_ENROLLED: [
+      400,
+      "La verificación en dos pasos no está activa en esta cuenta",
+    ],
+    TOTP_REQUIRED: [
+      403,
+      "La verificación en dos pasos es obligatoria para tu rol",
+    ],
+    USER_NOT_FOUND: [404, "Usuario no encontrado"],
+  };
+
+  const respuesta = respuestas[error.message];
+  if (!respuesta) return null;
+
+  const [status, mensaje] = respuesta;
+  return res
+    .status(status)
+    .json(buildBusinessErrorResponse(mensaje, { code: error.message }));
+};
+
 // =====================================================
 // LOGIN DE USUARIO
 // =====================================================
 const login = asyncControllerWrapper(async (req, res) => {
   const { username, password } = req.body;
 
-  const result = await authService.autenticarUsuario({ username, password });
+  const result = await authService.autenticarUsuario(
+    { username, password },
+    { ip: req.ip, user_agent: req.get("user-agent") }
+  );
+
+  // Contraseña correcta, falta el código de la app (o enrolarse)
+  if (result.requiere_2fa) {
+    const metadata = buildOperationMetadata(
+      "login_2fa_pendiente",
+      result.metadata.usuario_id
+    );
+
+    return res.json(
+      buildSuccessResponse(
+        {
+          message:
+            result.data.pendiente === "enrolamiento"
+              ? "Tu rol requiere verificación en dos pasos: configúrala para continuar"
+              : "Ingresa el código de tu aplicación de autenticación",
+          requiere_2fa: true,
+          ...result.data,
+        },
+        metadata
+      )
+    );
+  }
 
   const metadata = buildOperationMetadata("login", result.data.user.id, {
     ...result.metadata,
@@ -30,18 +101,245 @@ const login = asyncControllerWrapper(async (req, res) => {
     rol: result.data.user.rol,
   });
 
+  const { user, ...tokens } = result.data;
+
   res.json(
     buildSuccessResponse(
       {
-        message: `Bienvenido ${result.data.user.nombre}`,
-        token: result.data.token,
-        user: result.data.user,
+        message: `Bienvenido ${user.nombre}`,
+        ...tokens,
+        user,
       },
       metadata
     )
   );
 }, "login de usuario");
 
+// =====================================================
+// RENOVAR ACCESS TOKEN
+// =====================================================
+const refrescarToken = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.refrescarToken(req.body.refresh_token);
+
+    const metadata = buildOperationMetadata(
+      "refresh_token",
+      null,
+      result.metadata
+    );
+
+    res.json(buildSuccessResponse(result.data, metadata));
+  } catch (error) {
+    if (error.message === "REFRESH_TOKEN_REUSED") {
+      logger.business("Reutilización de refresh token, sesión revocada", {
+        ip: req.ip,
+        user_agent: req.get("user-agent"),
+      });
+
+      return res.status(401).json(
+        buildBusinessErrorResponse(
+          "El refresh token ya fue utilizado. Por seguridad se cerró la sesión; inicia sesión nuevamente",
+          { code: "REFRESH_TOKEN_REUSED" }
+        )
+      );
+    }
+
+    if (["INVALID_REFRESH_TOKEN", "USER_NOT_FOUND"].includes(error.message)) {
+      return res.status(401).json(
+        buildBusinessErrorResponse(
+          "Refresh token inválido o expirado; inicia sesión nuevamente",
+          { code: "INVALID_REFRESH_TOKEN" }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "renovación de token");
+
+// =====================================================
+// SEGUNDO FACTOR EN EL LOGIN
+// =====================================================
+const verificarDosFactoresLogin = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.verificarDosFactoresLogin(
+      req.body.token_2fa,
+      req.body.codigo,
+      { ip: req.ip, user_agent: req.get("user-agent") }
+    );
+
+    const { user, ...tokens } = result.data;
+
+    const metadata = buildOperationMetadata("login", user.id, {
+      ...result.metadata,
+      username: user.username,
+      rol: user.rol,
+    });
+
+    logger.business("Login exitoso con segundo factor", {
+      user_id: user.id,
+      username: user.username,
+      rol: user.rol,
+      metodo_2fa: result.metadata.metodo_2fa,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message: `Bienvenido ${user.nombre}`,
+          ...tokens,
+          user,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorDosFactores(error, res)) return;
+    throw error;
+  }
+}, "verificación de segundo factor");
+
+const enrolarDosFactoresLogin = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.iniciarEnrolamientoLogin(
+      req.body.token_2fa
+    );
+
+    const metadata = buildOperationMetadata("enrolamiento_2fa");
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message:
+            "Escanea el código QR y envía el primer código a /auth/2fa/login/verificar",
+          ...result,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorDosFactores(error, res)) return;
+    throw error;
+  }
+}, "enrolamiento de segundo factor en login");
+
+// =====================================================
+// GESTIÓN DEL SEGUNDO FACTOR
+// =====================================================
+const enrolarDosFactores = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.iniciarEnrolamiento(req.user.id);
+
+    const metadata = buildOperationMetadata("enrolamiento_2fa", req.user.id);
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message:
+            "Escanea el código QR y confirma con un código en /auth/2fa/activar",
+          ...result,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorDosFactores(error, res)) return;
+    throw error;
+  }
+}, "enrolamiento de segundo factor");
+
+const activarDosFactores = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.activarDosFactores(
+      req.user.id,
+      req.body.codigo
+    );
+
+    const metadata = buildOperationMetadata("activacion_2fa", req.user.id);
+
+    logger.business("Segundo factor activado", {
+      user_id: req.user.id,
+      username: req.user.username,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message:
+            "Verificación en dos pasos activada. Guarda los códigos de recuperación: no se volverán a mostrar",
+          ...result,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorDosFactores(error, res)) return;
+    throw error;
+  }
+}, "activación de segundo factor");
+
+const desactivarDosFactores = asyncControllerWrapper(async (req, res) => {
+  try {
+    await authService.desactivarDosFactores(req.user.id, {
+      password: req.body.password,
+      codigo: req.body.codigo,
+    });
+
+    const metadata = buildOperationMetadata("desactivacion_2fa", req.user.id);
+
+    logger.business("Segundo factor desactivado", {
+      user_id: req.user.id,
+      username: req.user.username,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        { message: "Verificación en dos pasos desactivada" },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorDosFactores(error, res)) return;
+    throw error;
+  }
+}, "desactivación de segundo factor");
+
+const regenerarCodigosRecuperacion = asyncControllerWrapper(
+  async (req, res) => {
+    try {
+      const result = await authService.regenerarCodigosRecuperacion(
+        req.user.id,
+        req.body.codigo
+      );
+
+      const metadata = buildOperationMetadata(
+        "codigos_recuperacion",
+        req.user.id
+      );
+
+      logger.business("Códigos de recuperación regenerados", {
+        user_id: req.user.id,
+        username: req.user.username,
+      });
+
+      res.json(
+        buildSuccessResponse(
+          {
+            message:
+              "Códigos de recuperación nuevos. Los anteriores ya no sirven",
+            ...result,
+          },
+          metadata
+        )
+      );
+    } catch (error) {
+      if (responderErrorDosFactores(error, res)) return;
+      throw error;
+    }
+  },
+  "regeneración de códigos de recuperación"
+);
+
 // =====================================================
 // VERIFICAR TOKEN
 // =====================================================
@@ -50,12 +348,19 @@ const verifyToken = asyncControllerWrapper(async (req, res) => {
     verification_timestamp: new Date().toISOString(),
   });
 
+  // El frontend lo usa para mostrar u ocultar opciones del menú
+  const permisos =
+    req.query.include_permissions === "true"
+      ? await permisosService.resolverPermisosUsuario(req.user)
+      : undefined;
+
   res.json(
     buildSuccessResponse(
       {
         valid: true,
         message: "Token válido",
         user: req.user,
+        permisos,
       },
       metadata
     )
@@ -66,6 +371,9 @@ const verifyToken = asyncControllerWrapper(async (req, res) => {
 // LOGOUT
 // =====================================================
 const logout = asyncControllerWrapper(async (req, res) => {
+  // El token deja de ser válido aunque no haya expirado
+  await authService.cerrarSesion(req.user.id, req.sesion.jti);
+
   const metadata = buildOperationMetadata("logout", req.user?.id || null, {
     logout_timestamp: new Date().toISOString(),
   });
@@ -159,10 +467,14 @@ const cambiarPassword = asyncControllerWrapper(async (req, res) => {
   const { password_actual, password_nuevo } = req.body;
   const userId = req.user.id;
 
-  const result = await authService.cambiarPasswordUsuario(userId, {
-    passwordActual: password_actual,
-    passwordNuevo: password_nuevo,
-  });
+  const result = await authService.cambiarPasswordUsuario(
+    userId,
+    {
+      passwordActual: password_actual,
+      passwordNuevo: password_nuevo,
+    },
+    req.sesion.jti
+  );
 
   const metadata = buildOperationMetadata("cambio_password", userId, {
     ...result.metadata,
@@ -183,12 +495,141 @@ const cambiarPassword = asyncControllerWrapper(async (req, res) => {
           strength: result.metadata.password_strength,
           changed_at: result.metadata.password_changed_at,
         },
+        sesiones_cerradas: result.metadata.sesiones_cerradas,
       },
       metadata
     )
   );
 }, "cambio de contraseña");
 
+// =====================================================
+// RECUPERAR CONTRASEÑA (SIN SESIÓN)
+// =====================================================
+const recuperarPassword = asyncControllerWrapper(async (req, res) => {
+  await authService.solicitarRecuperacionPassword(req.body.email, {
+    ip: req.ip,
+  });
+
+  const metadata = buildOperationMetadata("recuperacion_password");
+
+  // Misma respuesta exista o no el email
+  res.json(
+    buildSuccessResponse(
+      {
+        message:
+          "Si el email está registrado, recibirás un correo con las instrucciones para restablecer tu contraseña",
+      },
+      metadata
+    )
+  );
+}, "solicitud de recuperación de contraseña");
+
+const restablecerPassword = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await authService.restablecerPassword(
+      req.body.token,
+      req.body.password_nuevo
+    );
+
+    const metadata = buildOperationMetadata(
+      "restablecer_password",
+      null,
+      result.metadata
+    );
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message:
+            "Contraseña restablecida. Inicia sesión con tu nueva contraseña",
+          password_info: {
+            strength: result.metadata.password_strength,
+            changed_at: result.metadata.password_changed_at,
+          },
+          sesiones_cerradas: result.metadata.sesiones_cerradas,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "INVALID_RESET_TOKEN") {
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El enlace de recuperación no es válido, ya se usó o expiró; solicita uno nuevo",
+          { code: "INVALID_RESET_TOKEN" }
+        )
+      );
+    }
+
+    if (error.message === "WEAK_PASSWORD") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("La nueva contraseña es muy débil", {
+          code: "WEAK_PASSWORD",
+          errores: error.details,
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "restablecimiento de contraseña");
+
+// =====================================================
+// SESIONES ACTIVAS (DISPOSITIVOS)
+// =====================================================
+const listarSesiones = asyncControllerWrapper(async (req, res) => {
+  const userId = req.user.id;
+  const result = await authService.listarSesiones(userId, req.sesion.jti);
+
+  const metadata = buildOperationMetadata(
+    "consulta_sesiones",
+    userId,
+    result.metadata
+  );
+
+  res.json(buildSuccessResponse(result.data, metadata));
+}, "consulta de sesiones activas");
+
+const revocarSesion = asyncControllerWrapper(async (req, res) => {
+  const userId = req.user.id;
+  const { jti } = req.params;
+
+  try {
+    await authService.revocarSesionUsuario(userId, jti);
+
+    const metadata = buildOperationMetadata("revocacion_sesion", userId, {
+      sesion_id: jti,
+      sesion_actual: jti === req.sesion.jti,
+    });
+
+    logger.business("Sesión revocada", {
+      user_id: userId,
+      username: req.user.username,
+      sesion_id: jti,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          message: "Sesión cerrada en el dispositivo",
+          sesion_id: jti,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "SESION_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Sesión no encontrada o ya cerrada", {
+          sesion_id: jti,
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "revocación de sesión");
+
 // =====================================================
 // ESTADÍSTICAS DE SESIÓN (OPCIONAL)
 // =====================================================
@@ -243,11 +684,24 @@ const limpiarSesiones = asyncControllerWrapper(async (req, res) => {
 export {
   // Funciones principales de autenticación
   login,
+  refrescarToken,
   verifyToken,
   logout,
   obtenerPerfil,
   actualizarPerfil,
   cambiarPassword,
+  recuperarPassword,
+  restablecerPassword,
+  listarSesiones,
+  revocarSesion,
+
+  // Segundo factor (TOTP)
+  verificarDosFactoresLogin,
+  enrolarDosFactoresLogin,
+  enrolarDosFactores,
+  activarDosFactores,
+  desactivarDosFactores,
+  regenerarCodigosRecuperacion,
 
   // Funciones opcionales/administrativas
   obtenerEstadisticasSesiones,
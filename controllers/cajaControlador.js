@@ -0,0 +1,328 @@
+// controllers/cajaControlador.js - Solo Orquestación y Respuestas
+import cajaService from "../services/cajaService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  handleSequelizeError,
+  buildOperationMetadata,
+  generateSuccessMessage,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("caja");
+
+// =====================================================
+// OBTENER CAJAS
+// =====================================================
+const obtenerCajas = asyncControllerWrapper(async (req, res) => {
+  const result = await cajaService.obtenerCajas(req.query);
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  if (result.fromCache) {
+    logger.cache("HIT", "cajas:list");
+  } else {
+    logger.cache("MISS → SET", "cajas:list");
+  }
+
+  res.json(
+    buildSuccessResponse({ cajas: result.data }, metadata, result.fromCache)
+  );
+}, "consulta de cajas");
+
+// =====================================================
+// CREAR CAJA
+// =====================================================
+const crearCaja = asyncControllerWrapper(async (req, res) => {
+  try {
+    const caja = await cajaService.crearCaja(req.body);
+
+    const metadata = buildOperationMetadata("creacion", caja.id);
+
+    logger.business("Caja creada", {
+      id: caja.id,
+      nombre: caja.nombre,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage("crear", "Caja", caja.nombre),
+          caja,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(409).json(
+        buildBusinessErrorResponse("Ya existe una caja con este nombre", {
+          nombre: req.body?.nombre,
+          tipo: "unique_constraint",
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(error, "creación de caja");
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "creación de caja");
+
+// =====================================================
+// ABRIR SESIÓN DE CAJA
+// =====================================================
+const abrirSesion = asyncControllerWrapper(async (req, res) => {
+  try {
+    const sesion = await cajaService.abrirSesion(req.body, req.user.id);
+
+    const metadata = buildOperationMetadata("apertura_caja", sesion.id, {
+      caja_id: sesion.caja_id,
+    });
+
+    logger.business("Sesión de caja abierta", {
+      sesion: sesion.id,
+      caja: sesion.caja_id,
+      monto_apertura: sesion.monto_apertura,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: `Sesión de caja #${sesion.id} abierta exitosamente`,
+          sesion,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CAJA_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Caja no encontrada", {
+          caja_id: req.body.caja_id,
+        })
+      );
+    }
+
+    if (error.message === "CAJA_INACTIVA") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("La caja está inactiva", {
+          caja_id: req.body.caja_id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("CAJA_YA_ABIERTA:")) {
+      const [, sesionId] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse("La caja ya tiene una sesión abierta", {
+          caja_id: req.body.caja_id,
+          sesion_abierta_id: parseInt(sesionId),
+        })
+      );
+    }
+
+    if (error.message.startsWith("USUARIO_CON_SESION_ABIERTA:")) {
+      const [, sesionId] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse("Ya tienes una sesión de caja abierta", {
+          sesion_abierta_id: parseInt(sesionId),
+          sugerencia: "Cierra la sesión actual antes de abrir otra",
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(error, "apertura de caja");
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "apertura de caja");
+
+// =====================================================
+// OBTENER SESIÓN ACTUAL
+// =====================================================
+const obtenerSesionActual = asyncControllerWrapper(async (req, res) => {
+  const result = await cajaService.obtenerSesionActual(req.user.id);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("No tienes una sesión de caja abierta", {
+        usuario_id: req.user.id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_sesion_caja",
+    result.data.sesion.id,
+    result.metadata
+  );
+
+  res.json(buildSuccessResponse(result.data, metadata, false));
+}, "consulta de sesión de caja actual");
+
+// =====================================================
+// CERRAR SESIÓN DE CAJA
+// =====================================================
+const cerrarSesion = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { sesion, reporte } = await cajaService.cerrarSesion(
+      id,
+      req.body,
+      req.user
+    );
+
+    const metadata = buildOperationMetadata("cierre_caja", sesion.id, {
+      diferencia_efectivo: sesion.diferencia_efectivo,
+    });
+
+    logger.business("Sesión de caja cerrada", {
+      sesion: sesion.id,
+      efectivo_esperado: sesion.efectivo_esperado,
+      efectivo_contado: sesion.efectivo_contado,
+      diferencia: sesion.diferencia_efectivo,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: `Sesión de caja #${sesion.id} cerrada exitosamente`,
+          reporte_z: reporte,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "SESION_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Sesión de caja no encontrada", {
+          sesion_id: id,
+        })
+      );
+    }
+
+    if (error.message === "SESION_YA_CERRADA") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("La sesión de caja ya fue cerrada", {
+          sesion_id: id,
+          sugerencia: "Consulta el reporte Z de la sesión",
+        })
+      );
+    }
+
+    if (error.message === "SESION_NO_AUTORIZADA") {
+      return res.status(403).json(
+        buildBusinessErrorResponse(
+          "Solo el cajero de la sesión o un supervisor puede cerrarla",
+          {
+            sesion_id: id,
+          }
+        )
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(error, "cierre de caja");
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "cierre de caja");
+
+// =====================================================
+// OBTENER SESIONES
+// =====================================================
+const obtenerSesiones = asyncControllerWrapper(async (req, res) => {
+  const result = await cajaService.obtenerSesiones(req.query);
+
+  const metadata = buildOperationMetadata("consulta", null, {
+    ...result.metadata,
+    tiempo_consulta_ms: performance.now() - req.startTime,
+  });
+
+  if (result.fromCache) {
+    logger.cache("HIT", "caja:sesiones:list");
+  } else {
+    logger.cache("MISS → SET", "caja:sesiones:list");
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        sesiones: result.data,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de sesiones de caja");
+
+// =====================================================
+// REPORTE Z (REIMPRESIÓN)
+// =====================================================
+const obtenerReporteZ = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await cajaService.obtenerReporteZ(id);
+
+    if (!result) {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Sesión de caja no encontrada", {
+          sesion_id: id,
+        })
+      );
+    }
+
+    const metadata = buildOperationMetadata("reporte_z", id, result.metadata);
+
+    if (result.fromCache) {
+      logger.cache("HIT", `caja:reporte_z:${id}`);
+    } else {
+      logger.cache("MISS → SET", `caja:reporte_z:${id}`);
+    }
+
+    res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+  } catch (error) {
+    if (error.message === "SESION_NO_CERRADA") {
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El reporte Z solo está disponible para sesiones cerradas",
+          {
+            sesion_id: id,
+            sugerencia: "Consulta GET /api/caja/sesiones/actual para ver los totales en curso",
+          }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "consulta de reporte Z");
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  obtenerCajas,
+  crearCaja,
+  abrirSesion,
+  obtenerSesionActual,
+  cerrarSesion,
+  obtenerSesiones,
+  obtenerReporteZ,
+};
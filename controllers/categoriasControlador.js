@@ -9,6 +9,9 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarReporte,
+} from "../utils/exportacion.js";
 
 const logger = createControllerLogger("categorias");
 
@@ -254,6 +257,19 @@ const obtenerEstadisticasCategorias = asyncControllerWrapper(
   async (req, res) => {
     const result = await categoriasService.obtenerEstadisticasCompletas();
 
+    if (req.exportFormat) {
+      logger.business("Exportación de estadísticas de categorías", {
+        formato: req.exportFormat,
+        usuario_id: req.user?.id,
+      });
+      return enviarReporte(
+        res,
+        req.exportFormat,
+        "estadisticas_categorias",
+        result.data
+      );
+    }
+
     const metadata = buildOperationMetadata(
       "estadisticas_completas",
       null,
@@ -0,0 +1,294 @@
+// controllers/clientesControlador.js - Solo Orquestación y Respuestas
+import clientesService from "../services/clientesService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  handleSequelizeError,
+  buildOperationMetadata,
+  generateSuccessMessage,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("clientes");
+
+// =====================================================
+// 📋 OBTENER CLIENTES
+// =====================================================
+const obtenerClientes = asyncControllerWrapper(async (req, res) => {
+  const result = await clientesService.obtenerClientesFiltrados(req.query);
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  if (result.fromCache) {
+    logger.cache("HIT", "clientes:list");
+  } else {
+    logger.cache("MISS → SET", "clientes:list");
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        clientes: result.data,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de clientes");
+
+// =====================================================
+// 🔍 OBTENER CLIENTE POR ID
+// =====================================================
+const obtenerClientePorId = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+  const result = await clientesService.obtenerClientePorId(id);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Cliente no encontrado", {
+        cliente_id: id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_individual",
+    id,
+    result.metadata
+  );
+
+  if (result.fromCache) {
+    logger.cache("HIT", `cliente:${id}`);
+  } else {
+    logger.cache("MISS → SET", `cliente:${id}`);
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de cliente");
+
+// =====================================================
+// 🧾 HISTORIAL DE COMPRAS DEL CLIENTE
+// =====================================================
+const obtenerComprasCliente = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+  const result = await clientesService.obtenerComprasCliente(id, req.query);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Cliente no encontrado", {
+        cliente_id: id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_individual",
+    id,
+    result.metadata
+  );
+
+  if (result.fromCache) {
+    logger.cache("HIT", `cliente:compras:${id}`);
+  } else {
+    logger.cache("MISS → SET", `cliente:compras:${id}`);
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        cliente: result.data.cliente,
+        compras: result.data.compras,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de compras del cliente");
+
+// =====================================================
+// ✨ CREAR CLIENTE
+// =====================================================
+const crearCliente = asyncControllerWrapper(async (req, res) => {
+  try {
+    const cliente = await clientesService.crearCliente(req.body);
+
+    const metadata = buildOperationMetadata("creacion", cliente.id);
+
+    logger.business("Cliente registrado", {
+      id: cliente.id,
+      tipo_documento: cliente.tipo_documento,
+      numero_documento: cliente.numero_documento,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage("crear", "Cliente", cliente.nombre),
+          cliente,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message.startsWith("CLIENTE_DOCUMENTO_DUPLICADO:")) {
+      const [, tipoDocumento, numeroDocumento] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "Ya existe un cliente con este documento",
+          {
+            tipo_documento: tipoDocumento,
+            numero_documento: numeroDocumento,
+            sugerencia: "Busca el cliente existente con GET /api/clientes?search=",
+          }
+        )
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(error, "creación de cliente");
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "creación de cliente");
+
+// =====================================================
+// ✏️ ACTUALIZAR CLIENTE
+// =====================================================
+const actualizarCliente = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await clientesService.actualizarCliente(id, req.body);
+
+    const metadata = buildOperationMetadata("actualizacion", id, {
+      campos_modificados: result.camposModificados,
+    });
+
+    logger.business("Cliente actualizado", {
+      id,
+      campos: result.camposModificados,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "actualizar",
+            "Cliente",
+            result.cliente.nombre
+          ),
+          cambios_realizados: result.camposModificados,
+          cliente: result.cliente,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CLIENTE_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Cliente no encontrado", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("CLIENTE_DOCUMENTO_DUPLICADO:")) {
+      const [, tipoDocumento, numeroDocumento] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "Ya existe otro cliente con este documento",
+          {
+            cliente_id: id,
+            tipo_documento: tipoDocumento,
+            numero_documento: numeroDocumento,
+          }
+        )
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "actualización de cliente"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "actualización de cliente");
+
+// =====================================================
+// 🗑️ DESACTIVAR CLIENTE
+// =====================================================
+const eliminarCliente = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const cliente = await clientesService.desactivarCliente(id);
+
+    const metadata = buildOperationMetadata("desactivacion", id, {
+      fecha_desactivacion: new Date().toISOString(),
+    });
+
+    logger.business("Cliente desactivado", {
+      id,
+      nombre: cliente.nombre,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "desactivar",
+            "Cliente",
+            cliente.nombre
+          ),
+          cliente: {
+            id: cliente.id,
+            nombre: cliente.nombre,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CLIENTE_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Cliente no encontrado", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    if (error.message === "CLIENTE_ALREADY_INACTIVE") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("El cliente ya está desactivado", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "desactivación de cliente");
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  obtenerClientes,
+  obtenerClientePorId,
+  obtenerComprasCliente,
+  crearCliente,
+  actualizarCliente,
+  eliminarCliente,
+};
@@ -0,0 +1,199 @@
+// controllers/creditoControlador.js - Solo Orquestación y Respuestas
+import creditoService from "../services/creditoService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  handleSequelizeError,
+  buildOperationMetadata,
+  generateSuccessMessage,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("credito");
+
+// =====================================================
+// 📒 ESTADO DE CUENTA DEL CLIENTE
+// =====================================================
+const obtenerEstadoCuenta = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+  const result = await creditoService.obtenerEstadoCuenta(id);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Cliente no encontrado", {
+        cliente_id: id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_individual",
+    id,
+    result.metadata
+  );
+
+  if (result.fromCache) {
+    logger.cache("HIT", `credito:estado_cuenta:${id}`);
+  } else {
+    logger.cache("MISS → SET", `credito:estado_cuenta:${id}`);
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de estado de cuenta");
+
+// =====================================================
+// 📊 REPORTE DE CARTERA POR EDADES
+// =====================================================
+const obtenerReporteCartera = asyncControllerWrapper(async (req, res) => {
+  const result = await creditoService.obtenerReporteCartera(req.query);
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  if (result.fromCache) {
+    logger.cache("HIT", "credito:cartera");
+  } else {
+    logger.cache("MISS → SET", "credito:cartera");
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "reporte de cartera");
+
+// =====================================================
+// ✏️ APROBAR / MODIFICAR CUPO DE CRÉDITO
+// =====================================================
+const actualizarCredito = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const cliente = await creditoService.actualizarCredito(id, req.body);
+
+    const metadata = buildOperationMetadata("actualizacion", id, {
+      campos_modificados: Object.keys(req.body),
+    });
+
+    logger.business("Cupo de crédito actualizado", {
+      id,
+      limite_credito: cliente.limite_credito,
+      dias_credito: cliente.dias_credito,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "actualizar",
+            "Crédito del cliente",
+            cliente.nombre
+          ),
+          credito: {
+            cliente_id: cliente.id,
+            limite_credito: cliente.limite_credito,
+            dias_credito: cliente.dias_credito,
+            saldo_credito: cliente.saldo_credito,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CLIENTE_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Cliente no encontrado", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "actualización de crédito"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "actualización de crédito");
+
+// =====================================================
+// 💵 REGISTRAR ABONO
+// =====================================================
+const registrarAbono = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await creditoService.registrarAbono(id, req.body, req.user.id);
+
+    const metadata = buildOperationMetadata("creacion", result.abono.id, {
+      cliente_id: parseInt(id),
+      sesion_caja_id: result.abono.sesion_caja_id,
+    });
+
+    logger.business("Abono registrado", {
+      abono_id: result.abono.id,
+      cliente_id: id,
+      monto: result.abono.monto,
+      metodo_pago: result.abono.metodo_pago,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: `Abono de $${result.abono.monto} registrado. Saldo pendiente: $${result.saldo_actual}`,
+          abono: result.abono,
+          cuentas_afectadas: result.cuentas_afectadas,
+          saldo_actual: result.saldo_actual,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CLIENTE_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Cliente no encontrado", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    if (error.message === "CLIENTE_SIN_SALDO") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("El cliente no tiene saldo pendiente", {
+          cliente_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("ABONO_EXCEDE_SALDO:")) {
+      const [, saldo] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("El abono supera el saldo pendiente", {
+          cliente_id: id,
+          saldo_pendiente: parseFloat(saldo),
+          monto_solicitado: req.body.monto,
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(error, "registro de abono");
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "registro de abono");
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  obtenerEstadoCuenta,
+  obtenerReporteCartera,
+  actualizarCredito,
+  registrarAbono,
+};
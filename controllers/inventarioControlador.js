@@ -1,5 +1,6 @@
 // controllers/inventarioControlador.js
 import inventarioService from "../services/inventarioService.js";
+import lotesService from "../services/lotesService.js";
 import {
   buildSuccessResponse,
   createControllerLogger,
@@ -8,9 +9,41 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarExportacion,
+  enviarReporte,
+} from "../utils/exportacion.js";
 
 const logger = createControllerLogger("inventario");
 
+// Columnas de la exportación CSV/XLSX de movimientos
+const COLUMNAS_EXPORTACION_MOVIMIENTOS = [
+  { titulo: "ID", campo: "id", tipo: "entero" },
+  { titulo: "Fecha", campo: "fecha_movimiento", tipo: "fecha_hora", ancho: 18 },
+  { titulo: "Tipo", campo: "tipo_movimiento" },
+  { titulo: "Código de barras", campo: "producto.codigo_barras", ancho: 16 },
+  { titulo: "Producto", campo: "producto.nombre", ancho: 40 },
+  { titulo: "Categoría", campo: "producto.categoria.nombre", ancho: 20 },
+  { titulo: "Cantidad", campo: "cantidad", tipo: "cantidad" },
+  { titulo: "Stock anterior", campo: "stock_anterior", tipo: "cantidad" },
+  { titulo: "Stock nuevo", campo: "stock_nuevo", tipo: "cantidad" },
+  { titulo: "Costo unitario", campo: "costo_unitario", tipo: "moneda" },
+  {
+    titulo: "Referencia",
+    valor: (fila) =>
+      fila.referencia_tipo
+        ? `${fila.referencia_tipo} ${fila.referencia_id ?? ""}`.trim()
+        : null,
+  },
+  {
+    titulo: "Usuario",
+    valor: (fila) =>
+      [fila.usuario?.nombre, fila.usuario?.apellido].filter(Boolean).join(" "),
+    ancho: 24,
+  },
+  { titulo: "Observaciones", campo: "observaciones", ancho: 40 },
+];
+
 // =====================================================
 // CONSULTAS - MOVIMIENTOS
 // =====================================================
@@ -19,6 +52,25 @@ const logger = createControllerLogger("inventario");
  * Obtener movimientos de inventario con filtros
  */
 const obtenerMovimientos = asyncControllerWrapper(async (req, res) => {
+  // ?format=csv|xlsx: todo el resultado filtrado, sin paginación
+  if (req.exportFormat) {
+    logger.business("Exportación de movimientos", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarExportacion(res, {
+      formato: req.exportFormat,
+      nombre: "movimientos_inventario",
+      hojas: [
+        {
+          nombre: "Movimientos",
+          columnas: COLUMNAS_EXPORTACION_MOVIMIENTOS,
+          lotes: inventarioService.exportarMovimientos(req.query),
+        },
+      ],
+    });
+  }
+
   const result = await inventarioService.obtenerMovimientosFiltrados(req.query);
 
   const metadata = buildOperationMetadata("consulta_movimientos", null, {
@@ -141,6 +193,19 @@ const obtenerEstadisticasMovimientos = asyncControllerWrapper(
     const { dias } = req.query;
     const result = await inventarioService.obtenerEstadisticasMovimientos(dias);
 
+    if (req.exportFormat) {
+      logger.business("Exportación de estadísticas de movimientos", {
+        formato: req.exportFormat,
+        usuario_id: req.user?.id,
+      });
+      return enviarReporte(
+        res,
+        req.exportFormat,
+        "estadisticas_movimientos",
+        result.data
+      );
+    }
+
     const metadata = buildOperationMetadata("consulta_estadisticas", null, {
       ...result.metadata,
     });
@@ -197,6 +262,141 @@ const obtenerReporteMovimientosPorProducto = asyncControllerWrapper(
   "consulta de reporte por producto"
 );
 
+// =====================================================
+// CONSULTAS - SUGERENCIAS DE COMPRA
+// =====================================================
+
+/**
+ * Obtener sugerencias de compra agrupadas por proveedor
+ */
+const obtenerSugerenciasCompra = asyncControllerWrapper(async (req, res) => {
+  const result = await inventarioService.obtenerSugerenciasCompra(req.query);
+
+  const metadata = buildOperationMetadata("consulta_sugerencias_compra", null, {
+    ...result.metadata,
+    tiempo_consulta_ms: performance.now() - req.startTime,
+  });
+
+  if (result.fromCache) {
+    logger.cache("HIT", "inventario:sugerencias");
+  } else {
+    logger.cache("MISS → SET", "inventario:sugerencias");
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de sugerencias de compra");
+
+/**
+ * Generar órdenes de compra en borrador desde las sugerencias
+ */
+const generarOrdenesDesdeSugerencias = asyncControllerWrapper(
+  async (req, res) => {
+    try {
+      const result = await inventarioService.generarOrdenesDesdeSugerencias(
+        req.body,
+        req.user.id
+      );
+
+      const metadata = buildOperationMetadata("generacion_ordenes_compra", null, {
+        ordenes_creadas: result.ordenes.length,
+        grupos_omitidos: result.omitidos.length,
+      });
+
+      logger.business("Órdenes de compra generadas desde sugerencias", {
+        ordenes: result.ordenes.map((o) => o.numero_orden),
+        usuario_id: req.user.id,
+      });
+
+      const conError = result.omitidos.filter(
+        (o) => o.motivo === "ERROR_CREACION"
+      ).length;
+
+      let mensaje =
+        result.ordenes.length > 0
+          ? `Se generaron ${result.ordenes.length} órdenes de compra en borrador`
+          : "No hay productos por reponer con proveedor asignado";
+      if (conError > 0) {
+        mensaje = `${result.ordenes.length > 0 ? mensaje : "No se generaron órdenes"}; ${conError} proveedor(es) con error, ver omitidos`;
+      }
+
+      res.status(result.ordenes.length > 0 ? 201 : 200).json(
+        buildSuccessResponse(
+          {
+            mensaje,
+            ordenes: result.ordenes,
+            omitidos: result.omitidos,
+            siguiente_paso:
+              result.ordenes.length > 0
+                ? "Revise cada orden y envíela con POST /api/ordenes-compra/{id}/enviar"
+                : null,
+          },
+          metadata
+        )
+      );
+    } catch (error) {
+      if (error.message === "PROVEEDOR_NOT_FOUND_OR_INACTIVE") {
+        return res.status(409).json(
+          buildBusinessErrorResponse(
+            "Un proveedor fue desactivado mientras se generaban las órdenes",
+            {
+              sugerencia: "Vuelva a consultar las sugerencias e intente de nuevo",
+            }
+          )
+        );
+      }
+
+      if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
+        const [, productoId] = error.message.split(":");
+        return res.status(409).json(
+          buildBusinessErrorResponse(
+            "Un producto sugerido ya no está activo",
+            {
+              producto_id: parseInt(productoId),
+              sugerencia: "Vuelva a consultar las sugerencias e intente de nuevo",
+            }
+          )
+        );
+      }
+
+      throw error;
+    }
+  },
+  "generación de órdenes desde sugerencias"
+);
+
+// =====================================================
+// CONSULTAS - VENCIMIENTOS (LOTES)
+// =====================================================
+
+/**
+ * Obtener lotes con existencias próximos a vencer (o ya vencidos)
+ */
+const obtenerVencimientos = asyncControllerWrapper(async (req, res) => {
+  const result = await lotesService.obtenerLotesPorVencer(req.query);
+
+  const metadata = buildOperationMetadata("consulta_vencimientos", null, {
+    ...result.metadata,
+    tiempo_consulta_ms: performance.now() - req.startTime,
+  });
+
+  if (result.fromCache) {
+    logger.cache("HIT", "inventario:vencimientos");
+  } else {
+    logger.cache("MISS → SET", "inventario:vencimientos");
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        lotes: result.data,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de vencimientos");
+
 // =====================================================
 // OPERACIONES - ACTUALIZAR STOCK
 // =====================================================
@@ -396,6 +596,88 @@ const ajustarInventario = asyncControllerWrapper(async (req, res) => {
   }
 }, "ajuste de inventario");
 
+/**
+ * Dar de baja un lote vencido o dañado (ajuste trazado al lote)
+ */
+const darDeBajaLote = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await lotesService.darDeBajaLote(id, req.body, req.user.id);
+
+    const metadata = buildOperationMetadata("baja_lote", id, {
+      producto_id: result.producto.id,
+      cantidad_baja: result.cantidad_baja,
+      cantidad_descontada: result.cantidad_descontada,
+      stock_anterior: result.stock_anterior,
+      stock_nuevo: result.stock_nuevo,
+      movimiento_id: result.movimiento_id,
+    });
+
+    logger.business("Lote dado de baja", {
+      lote_id: id,
+      producto_id: result.producto.id,
+      cantidad: result.cantidad_baja,
+      valor_perdida: result.valor_perdida,
+      usuario_id: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje:
+            `Se dieron de baja ${result.cantidad_baja} unidades del lote (pérdida al costo $${result.valor_perdida})` +
+            (result.cantidad_sin_stock > 0
+              ? `; ${result.cantidad_sin_stock} ya no estaban en el stock`
+              : ""),
+          lote: result.lote,
+          producto: result.producto,
+          cantidad_baja: result.cantidad_baja,
+          cantidad_descontada: result.cantidad_descontada,
+          cantidad_sin_stock: result.cantidad_sin_stock,
+          stock_anterior: result.stock_anterior,
+          stock_nuevo: result.stock_nuevo,
+          valor_perdida: result.valor_perdida,
+          vencido: result.vencido,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "LOTE_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Lote no encontrado", { lote_id: id })
+      );
+    }
+
+    if (error.message.startsWith("LOTE_NO_DISPONIBLE:")) {
+      const [, estado] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse("El lote no tiene existencias para dar de baja", {
+          lote_id: id,
+          estado_actual: estado,
+        })
+      );
+    }
+
+    if (error.message.startsWith("CANTIDAD_BAJA_EXCEDIDA:")) {
+      const [, disponible, solicitada] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "La cantidad a dar de baja supera la disponible en el lote",
+          {
+            cantidad_disponible: parseFloat(disponible),
+            cantidad_solicitada: parseFloat(solicitada),
+            sugerencia: "Omita cantidad para dar de baja todo el lote",
+          }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "baja de lote");
+
 // =====================================================
 // EXPORTACIONES
 // =====================================================
@@ -415,7 +697,15 @@ export {
   obtenerEstadisticasMovimientos,
   obtenerReporteMovimientosPorProducto,
 
+  // Consultas - Sugerencias de Compra
+  obtenerSugerenciasCompra,
+
+  // Consultas - Vencimientos
+  obtenerVencimientos,
+
   // Operaciones
   actualizarStock,
   ajustarInventario,
+  generarOrdenesDesdeSugerencias,
+  darDeBajaLote,
 };
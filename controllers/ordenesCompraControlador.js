@@ -0,0 +1,499 @@
+// controllers/ordenesCompraControlador.js - Solo Orquestación y Respuestas
+import ordenesCompraService from "../services/ordenesCompraService.js";
+import recepcionesService from "../services/recepcionesService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  handleSequelizeError,
+  buildOperationMetadata,
+  generateSuccessMessage,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("ordenes_compra");
+
+// =====================================================
+// 📋 OBTENER ÓRDENES DE COMPRA
+// =====================================================
+const obtenerOrdenesCompra = asyncControllerWrapper(async (req, res) => {
+  const result = await ordenesCompraService.obtenerOrdenesFiltradas(req.query);
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  if (result.fromCache) {
+    logger.cache("HIT", "ordenes_compra:list");
+  } else {
+    logger.cache("MISS → SET", "ordenes_compra:list");
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        ordenes: result.data,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de órdenes de compra");
+
+// =====================================================
+// 🔍 OBTENER ORDEN DE COMPRA POR ID
+// =====================================================
+const obtenerOrdenCompraPorId = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+  const result = await ordenesCompraService.obtenerOrdenPorId(id);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Orden de compra no encontrada", {
+        orden_compra_id: id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_individual",
+    id,
+    result.metadata
+  );
+
+  if (result.fromCache) {
+    logger.cache("HIT", `orden_compra:${id}`);
+  } else {
+    logger.cache("MISS → SET", `orden_compra:${id}`);
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de orden de compra");
+
+// =====================================================
+// ✨ CREAR ORDEN DE COMPRA
+// =====================================================
+const crearOrdenCompra = asyncControllerWrapper(async (req, res) => {
+  try {
+    const orden = await ordenesCompraService.crearOrden(req.body, req.user.id);
+
+    const metadata = buildOperationMetadata("creacion", orden.id);
+
+    logger.business("Orden de compra creada", {
+      id: orden.id,
+      numero_orden: orden.numero_orden,
+      proveedor_id: orden.proveedor_id,
+      total: orden.total,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "crear",
+            "Orden de compra",
+            orden.numero_orden
+          ),
+          orden: {
+            id: orden.id,
+            numero_orden: orden.numero_orden,
+            proveedor_id: orden.proveedor_id,
+            estado: orden.estado,
+            subtotal: orden.subtotal,
+            total_iva: orden.total_iva,
+            total: orden.total,
+            fecha_entrega_esperada: orden.fecha_entrega_esperada,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PROVEEDOR_NOT_FOUND_OR_INACTIVE") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("Proveedor no encontrado o inactivo", {
+          proveedor_id: req.body.proveedor_id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("Producto no encontrado o inactivo", {
+          producto_id: parseInt(productoId),
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "creación de orden de compra"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "creación de orden de compra");
+
+// =====================================================
+// ✏️ ACTUALIZAR ORDEN DE COMPRA (BORRADOR)
+// =====================================================
+const actualizarOrdenCompra = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await ordenesCompraService.actualizarOrden(id, req.body);
+
+    const metadata = buildOperationMetadata("actualizacion", id, {
+      campos_modificados: result.camposModificados,
+    });
+
+    logger.business("Orden de compra actualizada", {
+      id,
+      campos: result.camposModificados,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "actualizar",
+            "Orden de compra",
+            result.orden.numero_orden
+          ),
+          cambios_realizados: result.camposModificados,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "ORDEN_COMPRA_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Orden de compra no encontrada", {
+          orden_compra_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("ORDEN_COMPRA_NO_EDITABLE:")) {
+      const [, estado] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "Solo se pueden modificar órdenes en estado borrador",
+          {
+            orden_compra_id: id,
+            estado_actual: estado,
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("Producto no encontrado o inactivo", {
+          producto_id: parseInt(productoId),
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "actualización de orden de compra"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "actualización de orden de compra");
+
+// =====================================================
+// 🔄 CAMBIOS DE ESTADO: ENVIAR / CERRAR / CANCELAR
+// =====================================================
+
+/**
+ * Fábrica de controladores para los cambios de estado de la orden
+ * (comparten respuesta y errores; solo cambia la operación del servicio)
+ */
+const crearControladorCambioEstado = (operacion, accion, descripcion) =>
+  asyncControllerWrapper(async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const orden = await ordenesCompraService[operacion](id, req.body);
+
+      const metadata = buildOperationMetadata("actualizacion", id, {
+        estado_nuevo: orden.estado,
+      });
+
+      logger.business(`Orden de compra ${accion}`, {
+        id,
+        numero_orden: orden.numero_orden,
+        usuario: req.user.id,
+      });
+
+      res.json(
+        buildSuccessResponse(
+          {
+            mensaje: `Orden de compra "${orden.numero_orden}" ${accion} exitosamente`,
+            orden: {
+              id: orden.id,
+              numero_orden: orden.numero_orden,
+              estado: orden.estado,
+              fecha_envio: orden.fecha_envio,
+              fecha_cierre: orden.fecha_cierre,
+              motivo_cierre: orden.motivo_cierre,
+            },
+          },
+          metadata
+        )
+      );
+    } catch (error) {
+      if (error.message === "ORDEN_COMPRA_NOT_FOUND") {
+        return res.status(404).json(
+          buildBusinessErrorResponse("Orden de compra no encontrada", {
+            orden_compra_id: id,
+          })
+        );
+      }
+
+      if (error.message.startsWith("ORDEN_COMPRA_ESTADO_INVALIDO:")) {
+        const [, estado] = error.message.split(":");
+        return res.status(409).json(
+          buildBusinessErrorResponse(
+            `La orden de compra no puede ser ${accion} en su estado actual`,
+            {
+              orden_compra_id: id,
+              estado_actual: estado,
+            }
+          )
+        );
+      }
+
+      if (error.message.startsWith("ORDEN_COMPRA_CON_RECEPCIONES_PENDIENTES:")) {
+        const [, pendientes] = error.message.split(":");
+        return res.status(409).json(
+          buildBusinessErrorResponse(
+            "La orden tiene recepciones sin procesar",
+            {
+              orden_compra_id: id,
+              recepciones_pendientes: parseInt(pendientes),
+              sugerencia: "Procesa o cancela esas recepciones primero",
+            }
+          )
+        );
+      }
+
+      if (error.name?.startsWith("Sequelize")) {
+        const errorResponse = handleSequelizeError(error, descripcion);
+        return res.status(errorResponse.error.code).json(errorResponse);
+      }
+
+      throw error;
+    }
+  }, descripcion);
+
+const enviarOrdenCompra = crearControladorCambioEstado(
+  "enviarOrden",
+  "enviada",
+  "envío de orden de compra"
+);
+
+const cerrarOrdenCompra = crearControladorCambioEstado(
+  "cerrarOrden",
+  "cerrada",
+  "cierre de orden de compra"
+);
+
+const cancelarOrdenCompra = crearControladorCambioEstado(
+  "cancelarOrden",
+  "cancelada",
+  "cancelación de orden de compra"
+);
+
+// =====================================================
+// 📦 CREAR RECEPCIÓN DESDE LA ORDEN
+// =====================================================
+const crearRecepcionDesdeOrden = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const datosRecepcion =
+      await ordenesCompraService.prepararRecepcionDesdeOrden(id, req.body);
+
+    const nuevaRecepcion = await recepcionesService.crearRecepcion(
+      datosRecepcion,
+      req.user.id
+    );
+
+    const metadata = buildOperationMetadata("creacion", nuevaRecepcion.id, {
+      orden_compra_id: parseInt(id),
+      recibe_pendiente_completo: !req.body.productos,
+    });
+
+    logger.business("Recepción creada desde orden de compra", {
+      id: nuevaRecepcion.id,
+      numero_factura: nuevaRecepcion.numero_factura,
+      orden_compra_id: id,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "crear",
+            "Recepción",
+            nuevaRecepcion.numero_factura
+          ),
+          recepcion: {
+            id: nuevaRecepcion.id,
+            numero_factura: nuevaRecepcion.numero_factura,
+            proveedor_id: nuevaRecepcion.proveedor_id,
+            orden_compra_id: nuevaRecepcion.orden_compra_id,
+            fecha_recepcion: nuevaRecepcion.fecha_recepcion,
+            total: nuevaRecepcion.total,
+            estado: nuevaRecepcion.estado,
+          },
+          productos: datosRecepcion.productos,
+          siguiente_paso: `POST /api/recepciones/${nuevaRecepcion.id}/procesar`,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "ORDEN_COMPRA_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Orden de compra no encontrada", {
+          orden_compra_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("ORDEN_COMPRA_NO_RECIBIBLE:")) {
+      const [, estado] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "La orden de compra no puede recibir mercancía",
+          {
+            orden_compra_id: id,
+            estado_actual: estado,
+            razon: "La orden debe estar 'enviada' o 'parcialmente_recibida'",
+          }
+        )
+      );
+    }
+
+    if (error.message === "ORDEN_COMPRA_SIN_PENDIENTES") {
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "La orden no tiene cantidades pendientes por recibir",
+          {
+            orden_compra_id: id,
+            sugerencia: "Envía productos explícitos o cierra la orden",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("ORDEN_COMPRA_PRECIO_REQUERIDO:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El producto no está en la orden: indica su precio_unitario",
+          {
+            producto_id: parseInt(productoId),
+          }
+        )
+      );
+    }
+
+    if (error.message === "PROVEEDOR_NOT_FOUND_OR_INACTIVE") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("Proveedor de la orden no encontrado o inactivo", {
+          orden_compra_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("DUPLICATE_INVOICE:")) {
+      const [, numeroFactura] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "Ya existe una recepción con este número de factura para este proveedor",
+          {
+            numero_factura: numeroFactura,
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("PRODUCTO_NOT_FOUND_BY_ID:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("Producto no encontrado", {
+          producto_id: parseInt(productoId),
+          razon: "No existe un producto activo con este ID",
+        })
+      );
+    }
+
+    if (error.message.startsWith("FECHA_VENCIMIENTO_REQUERIDA:")) {
+      const [, productoId, ...nombre] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El producto maneja lotes y requiere fecha de vencimiento",
+          {
+            producto_id: parseInt(productoId),
+            nombre: nombre.join(":"),
+            sugerencia: "Indique fecha_vencimiento (y numero_lote si lo trae el empaque)",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("LOTE_VENCIDO_AL_RECIBIR:")) {
+      const [, productoId, fechaVencimiento] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El lote ya estaba vencido en la fecha de recepción",
+          {
+            producto_id: parseInt(productoId),
+            fecha_vencimiento: fechaVencimiento,
+            sugerencia: "No reciba mercancía vencida; devuélvala al proveedor",
+          }
+        )
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "recepción desde orden de compra"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "recepción desde orden de compra");
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  obtenerOrdenesCompra,
+  obtenerOrdenCompraPorId,
+  crearOrdenCompra,
+  actualizarOrdenCompra,
+  enviarOrdenCompra,
+  cerrarOrdenCompra,
+  cancelarOrdenCompra,
+  crearRecepcionDesdeOrden,
+};
@@ -0,0 +1,212 @@
+// controllers/permisosControlador.js - Solo Orquestación y Respuestas
+import permisosService from "../services/permisosService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  buildOperationMetadata,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("permisos");
+
+/**
+ * Respuestas comunes a los errores de negocio de permisos
+ * @returns {Object|null} Respuesta enviada o null si el error no es de negocio
+ */
+const responderErrorPermisos = (error, req, res) => {
+  if (error.message.startsWith("PERMISO_NOT_FOUND:")) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Permiso no encontrado", {
+        codigos: error.message.split(":")[1].split(","),
+      })
+    );
+  }
+
+  if (error.message.startsWith("PERMISO_PROTEGIDO:")) {
+    return res.status(400).json(
+      buildBusinessErrorResponse(
+        "Este permiso no se le puede quitar a un administrador: sin él nadie podría volver a editar los permisos",
+        { codigo: error.message.split(":")[1] }
+      )
+    );
+  }
+
+  if (error.message === "USUARIO_NOT_FOUND") {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Usuario no encontrado", {
+        usuario_id: req.params.id,
+      })
+    );
+  }
+
+  return null;
+};
+
+// =====================================================
+// 📋 CATÁLOGO DE PERMISOS
+// =====================================================
+const listarPermisos = asyncControllerWrapper(async (req, res) => {
+  const result = await permisosService.listarPermisos();
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  res.json(buildSuccessResponse(result.data, metadata));
+}, "consulta de permisos");
+
+// =====================================================
+// 👥 PERMISOS POR ROL
+// =====================================================
+const obtenerPermisosRol = asyncControllerWrapper(async (req, res) => {
+  const result = await permisosService.obtenerPermisosRol(req.params.rol);
+
+  const metadata = buildOperationMetadata("consulta_rol", null, {
+    total_permisos: result.permisos.length,
+  });
+
+  res.json(buildSuccessResponse(result, metadata));
+}, "consulta de permisos del rol");
+
+const actualizarPermisosRol = asyncControllerWrapper(async (req, res) => {
+  const { rol } = req.params;
+
+  try {
+    const result = await permisosService.actualizarPermisosRol(
+      rol,
+      req.body.permisos
+    );
+
+    const metadata = buildOperationMetadata("actualizacion_rol", null, {
+      agregados: result.agregados.length,
+      quitados: result.quitados.length,
+    });
+
+    logger.business("Permisos de rol actualizados", {
+      rol,
+      agregados: result.agregados,
+      quitados: result.quitados,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: `Permisos del rol ${rol} actualizados`,
+          ...result,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorPermisos(error, req, res)) return;
+    throw error;
+  }
+}, "actualización de permisos del rol");
+
+// =====================================================
+// 👤 EXCEPCIONES POR USUARIO
+// =====================================================
+const obtenerPermisosUsuario = asyncControllerWrapper(async (req, res) => {
+  try {
+    const result = await permisosService.obtenerPermisosUsuario(req.params.id);
+
+    const metadata = buildOperationMetadata("consulta_usuario", req.params.id, {
+      total_permisos: result.permisos.length,
+      total_excepciones: result.excepciones.length,
+    });
+
+    res.json(buildSuccessResponse(result, metadata));
+  } catch (error) {
+    if (responderErrorPermisos(error, req, res)) return;
+    throw error;
+  }
+}, "consulta de permisos del usuario");
+
+const asignarPermisoUsuario = asyncControllerWrapper(async (req, res) => {
+  const { id, codigo } = req.params;
+
+  try {
+    const result = await permisosService.asignarPermisoUsuario(
+      id,
+      codigo,
+      req.body.concedido,
+      req.user.id
+    );
+
+    const metadata = buildOperationMetadata("excepcion_usuario", id, {
+      creada: result.creada,
+    });
+
+    logger.business("Excepción de permiso asignada", {
+      usuario_id: id,
+      codigo,
+      concedido: req.body.concedido,
+      asignado_por: req.user.id,
+    });
+
+    res.status(result.creada ? 201 : 200).json(
+      buildSuccessResponse(
+        {
+          mensaje: req.body.concedido
+            ? `Permiso ${codigo} otorgado al usuario`
+            : `Permiso ${codigo} quitado al usuario`,
+          excepcion: result.excepcion,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (responderErrorPermisos(error, req, res)) return;
+    throw error;
+  }
+}, "asignación de permiso a usuario");
+
+const eliminarPermisoUsuario = asyncControllerWrapper(async (req, res) => {
+  const { id, codigo } = req.params;
+
+  try {
+    await permisosService.eliminarPermisoUsuario(id, codigo);
+
+    const metadata = buildOperationMetadata("eliminacion_excepcion", id, {
+      codigo,
+    });
+
+    logger.business("Excepción de permiso eliminada", {
+      usuario_id: id,
+      codigo,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: `El permiso ${codigo} vuelve a depender del rol del usuario`,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "EXCEPCION_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("El usuario no tiene una excepción para este permiso", {
+          usuario_id: id,
+          codigo,
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "eliminación de excepción de permiso");
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+export {
+  listarPermisos,
+  obtenerPermisosRol,
+  actualizarPermisosRol,
+  obtenerPermisosUsuario,
+  asignarPermisoUsuario,
+  eliminarPermisoUsuario,
+};
@@ -1,5 +1,6 @@
 // controllers/productosControlador.js
 import productosService from "../services/productosService.js";
+import historialPreciosService from "../services/historialPreciosService.js";
 import {
   buildSuccessResponse,
   createControllerLogger,
@@ -8,13 +9,55 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarExportacion,
+} from "../utils/exportacion.js";
+import { enviarEtiquetas } from "../utils/etiquetas.js";
 
 const logger = createControllerLogger("productos");
 
+// Columnas de la exportación CSV/XLSX del listado
+const COLUMNAS_EXPORTACION = [
+  { titulo: "ID", campo: "id", tipo: "entero" },
+  { titulo: "Código de barras", campo: "codigo_barras", ancho: 16 },
+  { titulo: "Nombre", campo: "nombre", ancho: 40 },
+  { titulo: "Descripción", campo: "descripcion", ancho: 40 },
+  { titulo: "Categoría", campo: "categoria.nombre", ancho: 20 },
+  { titulo: "Tipo de medida", campo: "tipo_medida" },
+  { titulo: "Precio de compra", campo: "precio_compra", tipo: "moneda" },
+  { titulo: "Costo promedio", campo: "costo_promedio", tipo: "moneda" },
+  { titulo: "Precio de venta", campo: "precio_venta", tipo: "moneda" },
+  { titulo: "Tarifa IVA", campo: "tarifa_iva" },
+  { titulo: "Stock actual", campo: "stock_actual", tipo: "cantidad" },
+  { titulo: "Stock mínimo", campo: "stock_minimo", tipo: "cantidad" },
+  { titulo: "Maneja lotes", campo: "maneja_lotes", tipo: "booleano" },
+  { titulo: "Activo", campo: "activo", tipo: "booleano" },
+  { titulo: "Fecha de creación", campo: "fecha_creacion", tipo: "fecha_hora" },
+];
+
 // =====================================================
 // OBTENER PRODUCTOS
 // =====================================================
 const obtenerProductos = asyncControllerWrapper(async (req, res) => {
+  // ?format=csv|xlsx: todo el resultado filtrado, sin paginación
+  if (req.exportFormat) {
+    logger.business("Exportación de productos", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarExportacion(res, {
+      formato: req.exportFormat,
+      nombre: "productos",
+      hojas: [
+        {
+          nombre: "Productos",
+          columnas: COLUMNAS_EXPORTACION,
+          lotes: productosService.exportarProductos(req.query),
+        },
+      ],
+    });
+  }
+
   const result = await productosService.obtenerProductosFiltrados(req.query);
 
   const metadata = buildOperationMetadata("consulta", null, {
@@ -99,7 +142,10 @@ const obtenerProductoPorCodigoBarras = asyncControllerWrapper(
 
     if (result.fromCache) {
       logger.cache("HIT", `producto:barcode:${codigo}`);
-    } else {
+    } else if (
+      !result.metadata.codigo_adicional &&
+      !result.metadata.lectura_balanza
+    ) {
       logger.cache("MISS → SET", `producto:barcode:${codigo}`);
     }
 
@@ -145,7 +191,10 @@ const crearProducto = asyncControllerWrapper(async (req, res) => {
             nombre: nuevoProducto.nombre,
             codigo_barras: nuevoProducto.codigo_barras,
             precio_compra: nuevoProducto.precio_compra,
+            costo_promedio: nuevoProducto.costo_promedio,
             precio_venta: nuevoProducto.precio_venta,
+            tarifa_iva: nuevoProducto.tarifa_iva,
+            maneja_lotes: nuevoProducto.maneja_lotes,
             stock_actual: nuevoProducto.stock_actual,
             categoria_id: nuevoProducto.categoria_id,
           },
@@ -182,6 +231,32 @@ const crearProducto = asyncControllerWrapper(async (req, res) => {
       );
     }
 
+    if (error.message.startsWith("CODIGO_BALANZA_DUPLICADO:")) {
+      const codigo = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `El código de balanza ${codigo} ya está asignado a otro producto`,
+          {
+            field: "codigo_balanza",
+            value: parseInt(codigo),
+            constraint: "unique",
+          }
+        )
+      );
+    }
+
+    if (error.message === "CODIGO_BALANZA_SOLO_PESO") {
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "Solo los productos por peso pueden tener código de balanza",
+          {
+            field: "codigo_balanza",
+            suggestion: 'Usa tipo_medida "peso" o quita el código de balanza',
+          }
+        )
+      );
+    }
+
     if (error.message === "CATEGORIA_NOT_FOUND") {
       return res.status(400).json(
         buildBusinessErrorResponse("La categoría especificada no existe", {
@@ -195,6 +270,163 @@ const crearProducto = asyncControllerWrapper(async (req, res) => {
   }
 }, "creación de producto");
 
+// =====================================================
+// IMPORTAR PRODUCTOS DESDE CSV
+// =====================================================
+const importarProductos = asyncControllerWrapper(async (req, res) => {
+  const { dry_run } = req.query;
+
+  try {
+    const result = await productosService.importarProductos(
+      req.body,
+      { dry_run },
+      req.user.id
+    );
+
+    const { resumen } = result.data;
+
+    const metadata = buildOperationMetadata(
+      dry_run ? "validacion_importacion" : "importacion",
+      null,
+      resumen
+    );
+
+    logger.business(
+      dry_run ? "Importación de productos validada" : "Productos importados",
+      {
+        usuario_id: req.user.id,
+        ...resumen,
+      }
+    );
+
+    res
+      .status(dry_run || resumen.creadas === 0 ? 200 : 201)
+      .json(buildSuccessResponse(result.data, metadata));
+  } catch (error) {
+    if (error.message === "IMPORTACION_VACIA") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("El CSV no tiene filas de productos", {
+          suggestion:
+            "La primera línea debe ser el encabezado y las siguientes los productos",
+        })
+      );
+    }
+
+    if (error.message.startsWith("IMPORTACION_DEMASIADAS_FILAS:")) {
+      const maximo = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `El CSV supera el máximo de ${maximo} productos por importación`,
+          {
+            maximo_filas: Number(maximo),
+            suggestion: "Divide el archivo en varias importaciones",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("IMPORTACION_COLUMNAS_FALTANTES:")) {
+      const columnas = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `Faltan columnas obligatorias en el CSV: ${columnas}`,
+          {
+            columnas_faltantes: columnas.split(", "),
+            suggestion:
+              "Usa la columna categoria (nombre) o categoria_id para la categoría",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("CSV_COMILLAS_SIN_CERRAR:")) {
+      const linea = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `El CSV tiene comillas sin cerrar desde la línea ${linea}`,
+          { linea: Number(linea) }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "importación de productos");
+
+// =====================================================
+// ETIQUETAS DE PRECIO
+// =====================================================
+const obtenerEtiquetas = asyncControllerWrapper(async (req, res) => {
+  const { formato, copias, ...filtros } = req.query;
+
+  try {
+    const productos = await productosService.obtenerProductosEtiquetas(filtros);
+
+    if (productos.length === 0) {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Ningún producto activo coincide con la selección", {
+          filtros,
+        })
+      );
+    }
+
+    logger.business("Etiquetas de precio generadas", {
+      formato,
+      productos: productos.length,
+      copias,
+      usuario_id: req.user.id,
+    });
+
+    await enviarEtiquetas(res, { formato, productos, copias });
+  } catch (error) {
+    if (error.message.startsWith("SELECCION_DEMASIADOS_PRODUCTOS:")) {
+      const [, maximo] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `La selección supera el máximo de ${maximo} productos por impresión`,
+          {
+            maximo_productos: parseInt(maximo),
+            sugerencia: "Imprime por categoría o acota la fecha",
+          }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "generación de etiquetas de precio");
+
+// =====================================================
+// GENERAR CÓDIGOS DE BARRAS INTERNOS
+// =====================================================
+const generarCodigosBarras = asyncControllerWrapper(async (req, res) => {
+  const result = await productosService.generarCodigosBarrasInternos(req.body);
+
+  const metadata = buildOperationMetadata(
+    "generacion_codigos_barras",
+    null,
+    result.metadata
+  );
+
+  logger.business("Códigos de barras internos generados", {
+    ...result.metadata,
+    usuario_id: req.user.id,
+  });
+
+  res.json(
+    buildSuccessResponse(
+      {
+        mensaje:
+          result.metadata.total_generados > 0
+            ? `${result.metadata.total_generados} códigos de barras generados`
+            : "No hay productos activos sin código de barras en la selección",
+        ...result.data,
+      },
+      metadata
+    )
+  );
+}, "generación de códigos de barras internos");
+
 // =====================================================
 // ACTUALIZAR PRODUCTO
 // =====================================================
@@ -202,7 +434,11 @@ const actualizarProducto = asyncControllerWrapper(async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await productosService.actualizarProducto(id, req.body);
+    const result = await productosService.actualizarProducto(
+      id,
+      req.body,
+      req.user.id
+    );
 
     const metadata = buildOperationMetadata("actualizacion", id, {
       campos_modificados: result.camposModificados,
@@ -265,6 +501,31 @@ const actualizarProducto = asyncControllerWrapper(async (req, res) => {
       );
     }
 
+    if (error.message.startsWith("CODIGO_BALANZA_DUPLICADO:")) {
+      const codigo = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `El código de balanza ${codigo} ya está asignado a otro producto`,
+          {
+            field: "codigo_balanza",
+            value: parseInt(codigo),
+          }
+        )
+      );
+    }
+
+    if (error.message === "CODIGO_BALANZA_SOLO_PESO") {
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "Solo los productos por peso pueden tener código de balanza",
+          {
+            field: "codigo_balanza",
+            suggestion: 'Usa tipo_medida "peso" o quita el código de balanza',
+          }
+        )
+      );
+    }
+
     if (error.message === "CATEGORIA_NOT_FOUND") {
       return res.status(400).json(
         buildBusinessErrorResponse("La categoría especificada no existe", {
@@ -327,6 +588,369 @@ const eliminarProducto = asyncControllerWrapper(async (req, res) => {
   }
 }, "desactivación de producto");
 
+// =====================================================
+// CÓDIGOS DE BARRAS ADICIONALES
+// =====================================================
+const obtenerCodigosProducto = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await productosService.obtenerCodigosProducto(id);
+
+    const metadata = buildOperationMetadata(
+      "consulta_codigos_producto",
+      id,
+      result.metadata
+    );
+
+    res.json(buildSuccessResponse(result.data, metadata));
+  } catch (error) {
+    if (error.message === "PRODUCTO_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(
+          buildBusinessErrorResponse(
+            `No se encontró un producto con el id: ${id}`
+          )
+        );
+    }
+
+    throw error;
+  }
+}, "consulta de códigos adicionales");
+
+const agregarCodigoProducto = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { producto, codigo } = await productosService.agregarCodigoProducto(
+      id,
+      req.body
+    );
+
+    const metadata = buildOperationMetadata("alta_codigo_producto", codigo.id, {
+      producto_id: producto.id,
+    });
+
+    logger.business("Código de barras adicional agregado", {
+      producto_id: producto.id,
+      codigo_barras: codigo.codigo_barras,
+      multiplicador: codigo.multiplicador,
+      usuario_id: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: `Código ${codigo.codigo_barras} agregado a "${producto.nombre}"`,
+          codigo,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PRODUCTO_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(buildBusinessErrorResponse("Producto no encontrado"));
+    }
+
+    if (error.message.startsWith("CODIGO_BARRAS_DUPLICADO:")) {
+      const codigo = error.message.split(":")[1];
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `El código de barras "${codigo}" ya está registrado`,
+          {
+            field: "codigo_barras",
+            value: codigo,
+            constraint: "unique",
+          }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "alta de código adicional");
+
+const eliminarCodigoProducto = asyncControllerWrapper(async (req, res) => {
+  const { id, codigo_id } = req.params;
+
+  try {
+    const codigo = await productosService.eliminarCodigoProducto(
+      id,
+      codigo_id
+    );
+
+    const metadata = buildOperationMetadata("baja_codigo_producto", codigo.id, {
+      producto_id: parseInt(id),
+    });
+
+    logger.business("Código de barras adicional eliminado", {
+      producto_id: id,
+      codigo_barras: codigo.codigo_barras,
+      usuario_id: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: `Código ${codigo.codigo_barras} eliminado`,
+          codigo: {
+            id: codigo.id,
+            codigo_barras: codigo.codigo_barras,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "CODIGO_PRODUCTO_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Código adicional no encontrado", {
+          producto_id: parseInt(id),
+          codigo_id: parseInt(codigo_id),
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "baja de código adicional");
+
+// =====================================================
+// HISTORIAL DE PRECIOS
+// =====================================================
+const obtenerHistorialPrecios = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await historialPreciosService.obtenerHistorialPrecios(
+      id,
+      req.query
+    );
+
+    const metadata = buildOperationMetadata("consulta_historial_precios", id, {
+      ...result.metadata,
+      tiempo_consulta_ms: performance.now() - req.startTime,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          ...result.data,
+          pagination: result.pagination,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PRODUCTO_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(
+          buildBusinessErrorResponse(
+            `No se encontró un producto con el id: ${id}`
+          )
+        );
+    }
+
+    throw error;
+  }
+}, "consulta de historial de precios");
+
+// =====================================================
+// CAMBIOS DE PRECIO PROGRAMADOS
+// =====================================================
+const programarCambioPrecio = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const cambio = await historialPreciosService.programarCambioPrecio(
+      id,
+      req.body,
+      req.user.id
+    );
+
+    const metadata = buildOperationMetadata("programacion_precio", cambio.id, {
+      producto_id: parseInt(id),
+      fecha_aplicacion: cambio.fecha_aplicacion,
+    });
+
+    logger.business("Cambio de precio programado", {
+      producto_id: id,
+      cambio_id: cambio.id,
+      fecha_aplicacion: cambio.fecha_aplicacion,
+      usuario_id: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: "Cambio de precio programado exitosamente",
+          cambio_programado: cambio,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PRODUCTO_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(buildBusinessErrorResponse("Producto no encontrado o inactivo"));
+    }
+
+    if (error.message.startsWith("PRECIO_VENTA_INVALIDO:")) {
+      const [, venta, compra] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El precio de venta resultante debe ser mayor al precio de compra",
+          {
+            precio_venta: parseFloat(venta),
+            precio_compra: parseFloat(compra),
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("CAMBIO_PROGRAMADO_DUPLICADO:")) {
+      const [, cambioId] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "Ya hay un cambio de precio pendiente para esa fecha",
+          {
+            cambio_id: parseInt(cambioId),
+            sugerencia: "Cancele el cambio existente o elija otra fecha",
+          }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "programación de cambio de precio");
+
+const cancelarCambioPrecioProgramado = asyncControllerWrapper(
+  async (req, res) => {
+    const { id, cambio_id } = req.params;
+
+    try {
+      const cambio = await historialPreciosService.cancelarCambioProgramado(
+        id,
+        cambio_id
+      );
+
+      const metadata = buildOperationMetadata("cancelacion_precio_programado", cambio.id, {
+        producto_id: parseInt(id),
+      });
+
+      logger.business("Cambio de precio programado cancelado", {
+        producto_id: id,
+        cambio_id,
+        usuario_id: req.user.id,
+      });
+
+      res.json(
+        buildSuccessResponse(
+          {
+            mensaje: "Cambio de precio programado cancelado",
+            cambio_programado: cambio,
+          },
+          metadata
+        )
+      );
+    } catch (error) {
+      if (error.message === "CAMBIO_PROGRAMADO_NOT_FOUND") {
+        return res.status(404).json(
+          buildBusinessErrorResponse("Cambio de precio programado no encontrado", {
+            producto_id: parseInt(id),
+            cambio_id: parseInt(cambio_id),
+          })
+        );
+      }
+
+      if (error.message.startsWith("CAMBIO_PROGRAMADO_NO_PENDIENTE:")) {
+        const [, estado] = error.message.split(":");
+        return res.status(409).json(
+          buildBusinessErrorResponse(
+            "Solo se pueden cancelar cambios pendientes",
+            { estado_actual: estado }
+          )
+        );
+      }
+
+      throw error;
+    }
+  },
+  "cancelación de cambio de precio programado"
+);
+
+const actualizarPreciosMasivo = asyncControllerWrapper(async (req, res) => {
+  const { dry_run } = req.query;
+
+  try {
+    const result = await historialPreciosService.actualizarPreciosMasivo(
+      req.body,
+      { dry_run },
+      req.user.id
+    );
+
+    const { resumen } = result.data;
+
+    const metadata = buildOperationMetadata(
+      dry_run ? "vista_previa_precios_masivo" : "actualizacion_precios_masivo",
+      null,
+      { ...result.metadata, ...resumen }
+    );
+
+    logger.business(
+      dry_run
+        ? "Vista previa de actualización masiva de precios"
+        : "Precios actualizados en bloque",
+      {
+        ...result.metadata.seleccion,
+        ...resumen,
+        usuario_id: req.user.id,
+      }
+    );
+
+    res.json(buildSuccessResponse(result.data, metadata));
+  } catch (error) {
+    if (error.message === "CATEGORIA_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(buildBusinessErrorResponse("La categoría especificada no existe"));
+    }
+
+    if (error.message === "PROVEEDOR_NOT_FOUND") {
+      return res
+        .status(404)
+        .json(buildBusinessErrorResponse("El proveedor especificado no existe"));
+    }
+
+    if (error.message === "SELECCION_SIN_PRODUCTOS") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Ningún producto coincide con la selección", {
+          sugerencia:
+            "Los productos inactivos se excluyen salvo con incluir_inactivos; por proveedor solo cuentan recepciones procesadas",
+        })
+      );
+    }
+
+    if (error.message.startsWith("SELECCION_DEMASIADOS_PRODUCTOS:")) {
+      const [, maximo] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          `La selección supera el máximo de ${maximo} productos por actualización`,
+          { maximo_productos: parseInt(maximo) }
+        )
+      );
+    }
+
+    throw error;
+  }
+}, "actualización masiva de precios");
+
 // =====================================================
 // EXPORTACIONES
 // =====================================================
@@ -335,6 +959,16 @@ export {
   obtenerProductoPorId,
   obtenerProductoPorCodigoBarras,
   crearProducto,
+  importarProductos,
+  obtenerEtiquetas,
+  generarCodigosBarras,
   actualizarProducto,
   eliminarProducto,
+  obtenerCodigosProducto,
+  agregarCodigoProducto,
+  eliminarCodigoProducto,
+  obtenerHistorialPrecios,
+  programarCambioPrecio,
+  cancelarCambioPrecioProgramado,
+  actualizarPreciosMasivo,
 };
@@ -0,0 +1,282 @@
+// controllers/promocionesControlador.js - Solo Orquestación y Respuestas
+import promocionesService from "../services/promocionesService.js";
+import {
+  buildSuccessResponse,
+  buildBusinessErrorResponse,
+  createControllerLogger,
+  handleSequelizeError,
+  buildOperationMetadata,
+  generateSuccessMessage,
+  asyncControllerWrapper,
+} from "../utils/controllerResponseUtils.js";
+
+const logger = createControllerLogger("promociones");
+
+// =====================================================
+// 📋 OBTENER PROMOCIONES
+// =====================================================
+const obtenerPromociones = asyncControllerWrapper(async (req, res) => {
+  const result = await promocionesService.obtenerPromocionesFiltradas(
+    req.query
+  );
+
+  const metadata = buildOperationMetadata("consulta", null, result.metadata);
+
+  if (result.fromCache) {
+    logger.cache("HIT", "promociones:list");
+  } else {
+    logger.cache("MISS → SET", "promociones:list");
+  }
+
+  res.json(
+    buildSuccessResponse(
+      {
+        promociones: result.data,
+        pagination: result.pagination,
+      },
+      metadata,
+      result.fromCache
+    )
+  );
+}, "consulta de promociones");
+
+// =====================================================
+// 🔍 OBTENER PROMOCIÓN POR ID
+// =====================================================
+const obtenerPromocionPorId = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+  const result = await promocionesService.obtenerPromocionPorId(id);
+
+  if (!result) {
+    return res.status(404).json(
+      buildBusinessErrorResponse("Promoción no encontrada", {
+        promocion_id: id,
+      })
+    );
+  }
+
+  const metadata = buildOperationMetadata(
+    "consulta_individual",
+    id,
+    result.metadata
+  );
+
+  if (result.fromCache) {
+    logger.cache("HIT", `promocion:${id}`);
+  } else {
+    logger.cache("MISS → SET", `promocion:${id}`);
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de promoción");
+
+// =====================================================
+// ✨ CREAR PROMOCIÓN
+// =====================================================
+const crearPromocion = asyncControllerWrapper(async (req, res) => {
+  try {
+    const promocion = await promocionesService.crearPromocion(req.body);
+
+    const metadata = buildOperationMetadata("creacion", promocion.id);
+
+    logger.business("Promoción creada", {
+      id: promocion.id,
+      nombre: promocion.nombre,
+      tipo: promocion.tipo,
+      alcance: promocion.alcance,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "crear",
+            "Promoción",
+            promocion.nombre
+          ),
+          promocion,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Producto no encontrado", {
+          producto_id: req.body.producto_id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("CATEGORIA_NOT_FOUND:")) {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Categoría no encontrada", {
+          categoria_id: req.body.categoria_id,
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "creación de promoción"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "creación de promoción");
+
+// =====================================================
+// ✏️ ACTUALIZAR PROMOCIÓN
+// =====================================================
+const actualizarPromocion = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await promocionesService.actualizarPromocion(id, req.body);
+
+    const metadata = buildOperationMetadata("actualizacion", id, {
+      campos_modificados: result.camposModificados,
+    });
+
+    logger.business("Promoción actualizada", {
+      id,
+      campos: result.camposModificados,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "actualizar",
+            "Promoción",
+            result.promocion.nombre
+          ),
+          cambios_realizados: result.camposModificados,
+          promocion: result.promocion,
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PROMOCION_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Promoción no encontrada", {
+          promocion_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("PROMOCION_INCONSISTENTE:")) {
+      const [, detalle] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "La promoción resultante no es consistente",
+          {
+            promocion_id: id,
+            detalle,
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(404).json(
+        buildBusinessErrorResponse("Producto no encontrado", {
+          producto_id: parseInt(productoId),
+        })
+      );
+    }
+
+    if (error.message.startsWith("CATEGORIA_NOT_FOUND:")) {
+      const [, categoriaId] = error.message.split(":");
+      return res.status(404).json(
+        buildBusinessErrorResponse("Categoría no encontrada", {
+          categoria_id: parseInt(categoriaId),
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "actualización de promoción"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error;
+  }
+}, "actualización de promoción");
+
+// =====================================================
+// 🗑️ DESACTIVAR PROMOCIÓN
+// =====================================================
+const eliminarPromocion = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const promocion = await promocionesService.desactivarPromocion(id);
+
+    const metadata = buildOperationMetadata("desactivacion", id, {
+      fecha_desactivacion: new Date().toISOString(),
+    });
+
+    logger.business("Promoción desactivada", {
+      id,
+      nombre: promocion.nombre,
+      usuario: req.user.id,
+    });
+
+    res.json(
+      buildSuccessResponse(
+        {
+          mensaje: generateSuccessMessage(
+            "desactivar",
+            "Promoción",
+            promocion.nombre
+          ),
+          promocion: {
+            id: promocion.id,
+            nombre: promocion.nombre,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "PROMOCION_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Promoción no encontrada", {
+          promocion_id: id,
+        })
+      );
+    }
+
+    if (error.message === "PROMOCION_ALREADY_INACTIVE") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("La promoción ya está desactivada", {
+          promocion_id: id,
+        })
+      );
+    }
+
+    throw error;
+  }
+}, "desactivación de promoción");
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  obtenerPromociones,
+  obtenerPromocionPorId,
+  crearPromocion,
+  actualizarPromocion,
+  eliminarPromocion,
+};
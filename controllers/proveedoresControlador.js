@@ -8,13 +8,57 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarExportacion,
+  enviarReporte,
+} from "../utils/exportacion.js";
 
 const logger = createControllerLogger("proveedores");
 
+// Columnas de la exportación CSV/XLSX del listado
+const COLUMNAS_EXPORTACION = [
+  { titulo: "ID", campo: "id", tipo: "entero" },
+  { titulo: "Nombre", campo: "nombre", ancho: 30 },
+  { titulo: "Contacto", campo: "contacto", ancho: 24 },
+  { titulo: "Teléfono", campo: "telefono", ancho: 16 },
+  { titulo: "Email", campo: "email", ancho: 28 },
+  { titulo: "Dirección", campo: "direccion", ancho: 30 },
+  { titulo: "Ciudad", campo: "ciudad" },
+  { titulo: "País", campo: "pais" },
+  { titulo: "Días de entrega", campo: "dias_entrega", tipo: "entero" },
+  { titulo: "Activo", campo: "activo", tipo: "booleano" },
+  { titulo: "Recepciones", campo: "total_recepciones", tipo: "entero" },
+  {
+    titulo: "Valor total compras",
+    campo: "valor_total_compras",
+    tipo: "moneda",
+  },
+  { titulo: "Última recepción", campo: "ultima_recepcion", tipo: "fecha" },
+];
+
 // =====================================================
 // OBTENER PROVEEDORES
 // =====================================================
 const obtenerProveedores = asyncControllerWrapper(async (req, res) => {
+  // ?format=csv|xlsx: todo el resultado filtrado, sin paginación
+  if (req.exportFormat) {
+    logger.business("Exportación de proveedores", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarExportacion(res, {
+      formato: req.exportFormat,
+      nombre: "proveedores",
+      hojas: [
+        {
+          nombre: "Proveedores",
+          columnas: COLUMNAS_EXPORTACION,
+          lotes: proveedoresService.exportarProveedores(req.query),
+        },
+      ],
+    });
+  }
+
   const result = await proveedoresService.obtenerProveedoresFiltrados(
     req.query
   );
@@ -111,6 +155,7 @@ const crearProveedor = asyncControllerWrapper(async (req, res) => {
             direccion: nuevoProveedor.direccion,
             ciudad: nuevoProveedor.ciudad,
             pais: nuevoProveedor.pais,
+            dias_entrega: nuevoProveedor.dias_entrega,
             activo: nuevoProveedor.activo,
             fecha_creacion: nuevoProveedor.fecha_creacion,
           },
@@ -431,6 +476,19 @@ const obtenerEstadisticasProveedores = asyncControllerWrapper(
   async (req, res) => {
     const result = await proveedoresService.obtenerEstadisticasCompletas();
 
+    if (req.exportFormat) {
+      logger.business("Exportación de estadísticas de proveedores", {
+        formato: req.exportFormat,
+        usuario_id: req.user?.id,
+      });
+      return enviarReporte(
+        res,
+        req.exportFormat,
+        "estadisticas_proveedores",
+        result.data
+      );
+    }
+
     const metadata = buildOperationMetadata(
       "estadisticas_completas",
       null,
@@ -9,13 +9,55 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarExportacion,
+  enviarReporte,
+} from "../utils/exportacion.js";
 
 const logger = createControllerLogger("recepciones");
 
+// Columnas de la exportación CSV/XLSX del listado
+const COLUMNAS_EXPORTACION = [
+  { titulo: "ID", campo: "id", tipo: "entero" },
+  { titulo: "Número de factura", campo: "numero_factura", ancho: 18 },
+  { titulo: "Fecha de recepción", campo: "fecha_recepcion", tipo: "fecha" },
+  { titulo: "Proveedor", campo: "proveedor.nombre", ancho: 30 },
+  {
+    titulo: "Recibido por",
+    valor: (fila) =>
+      [fila.usuario?.nombre, fila.usuario?.apellido].filter(Boolean).join(" "),
+    ancho: 24,
+  },
+  { titulo: "Estado", campo: "estado" },
+  { titulo: "Subtotal", campo: "subtotal", tipo: "moneda" },
+  { titulo: "IVA", campo: "total_iva", tipo: "moneda" },
+  { titulo: "Total", campo: "total", tipo: "moneda" },
+  { titulo: "Observaciones", campo: "observaciones", ancho: 40 },
+];
+
 // =====================================================
 // 📊 OBTENER RECEPCIONES
 // =====================================================
 const obtenerRecepciones = asyncControllerWrapper(async (req, res) => {
+  // ?format=csv|xlsx: todo el resultado filtrado, sin paginación
+  if (req.exportFormat) {
+    logger.business("Exportación de recepciones", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarExportacion(res, {
+      formato: req.exportFormat,
+      nombre: "recepciones",
+      hojas: [
+        {
+          nombre: "Recepciones",
+          columnas: COLUMNAS_EXPORTACION,
+          lotes: recepcionesService.exportarRecepciones(req.query),
+        },
+      ],
+    });
+  }
+
   const result = await recepcionesService.obtenerRecepcionesFiltradas(
     req.query
   );
@@ -107,6 +149,7 @@ const crearRecepcion = asyncControllerWrapper(async (req, res) => {
             numero_factura: nuevaRecepcion.numero_factura,
             proveedor_id: nuevaRecepcion.proveedor_id,
             fecha_recepcion: nuevaRecepcion.fecha_recepcion,
+            orden_compra_id: nuevaRecepcion.orden_compra_id,
             total: nuevaRecepcion.total,
             estado: nuevaRecepcion.estado,
             fecha_creacion: nuevaRecepcion.fecha_creacion,
@@ -226,6 +269,76 @@ const crearRecepcion = asyncControllerWrapper(async (req, res) => {
       );
     }
 
+    // ====================================================
+    // LOTES Y VENCIMIENTOS (PERECEDEROS)
+    // ====================================================
+    if (error.message.startsWith("FECHA_VENCIMIENTO_REQUERIDA:")) {
+      const [, productoId, ...nombre] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El producto maneja lotes y requiere fecha de vencimiento",
+          {
+            producto_id: parseInt(productoId),
+            nombre: nombre.join(":"),
+            sugerencia: "Indique fecha_vencimiento (y numero_lote si lo trae el empaque)",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("LOTE_VENCIDO_AL_RECIBIR:")) {
+      const [, productoId, fechaVencimiento] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "El lote ya estaba vencido en la fecha de recepción",
+          {
+            producto_id: parseInt(productoId),
+            fecha_vencimiento: fechaVencimiento,
+            sugerencia: "No reciba mercancía vencida; devuélvala al proveedor",
+          }
+        )
+      );
+    }
+
+    // ====================================================
+    // RECEPCIÓN CONTRA ORDEN DE COMPRA
+    // ====================================================
+    if (error.message === "ORDEN_COMPRA_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Orden de compra no encontrada", {
+          orden_compra_id: req.body.orden_compra_id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("ORDEN_COMPRA_NO_RECIBIBLE:")) {
+      const [, estado] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "La orden de compra no puede recibir mercancía",
+          {
+            orden_compra_id: req.body.orden_compra_id,
+            estado_actual: estado,
+            razon: "La orden debe estar 'enviada' o 'parcialmente_recibida'",
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("ORDEN_COMPRA_PROVEEDOR_DISTINTO:")) {
+      const [, proveedorOrden] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "La orden de compra pertenece a otro proveedor",
+          {
+            orden_compra_id: req.body.orden_compra_id,
+            proveedor_orden: parseInt(proveedorOrden),
+            proveedor_recepcion: req.body.proveedor_id,
+          }
+        )
+      );
+    }
+
     // ====================================================
     // MANEJO DE ERRORES DE SEQUELIZE
     // ====================================================
@@ -315,7 +428,7 @@ const procesarRecepcion = asyncControllerWrapper(async (req, res) => {
   const { id } = req.params;
 
   try {
-    const recepcion = await recepcionesService.procesarRecepcion(
+    const resultado = await recepcionesService.procesarRecepcion(
       id,
       req.user.id,
       req.body
@@ -326,16 +439,6 @@ const procesarRecepcion = asyncControllerWrapper(async (req, res) => {
       usuario_proceso: req.user.id,
     });
 
-    logger.business("Recepción procesada", {
-      id,
-      numero_factura: recepcion.numero_factura,
-      usuario: req.user.id,
-      // Incluir información de advertencias
-      ...(resultado.advertencias && {
-        advertencias: resultado.advertencias,
-      }),
-    });
-
     //  Log mejorado con contexto de advertencias
     logger.business("Recepción procesada", {
       id,
@@ -345,12 +448,16 @@ const procesarRecepcion = asyncControllerWrapper(async (req, res) => {
       ...(resultado.advertencias && {
         productos_inactivos: resultado.advertencias.productos_inactivos.length,
       }),
+      ...(resultado.conciliacion_orden && {
+        orden_compra: resultado.conciliacion_orden.numero_orden,
+        novedades_orden: resultado.conciliacion_orden.tiene_novedades,
+      }),
     });
 
     const mensaje = generateSuccessMessage(
       "procesar",
       "Recepción",
-      recepcion.numero_factura
+      resultado.recepcion.numero_factura
     );
 
     // Respuesta con advertencias si existen
@@ -371,21 +478,13 @@ const procesarRecepcion = asyncControllerWrapper(async (req, res) => {
             "Revisar inventario y considerar reactivar productos si hay stock disponible",
         },
       }),
+      // Sobre-entregas, faltantes y diferencias de precio contra la orden
+      ...(resultado.conciliacion_orden && {
+        conciliacion_orden: resultado.conciliacion_orden,
+      }),
     };
 
-    res.json(
-      buildSuccessResponse(
-        {
-          mensaje,
-          recepcion: {
-            id: recepcion.id,
-            numero_factura: recepcion.numero_factura,
-            estado: recepcion.estado,
-          },
-        },
-        metadata
-      )
-    );
+    res.json(buildSuccessResponse(responseData, metadata));
   } catch (error) {
     // Manejador existente
     if (error.message === "RECEPCION_NOT_PROCESSABLE") {
@@ -485,6 +584,19 @@ const obtenerEstadisticasRecepciones = asyncControllerWrapper(
       req.query
     );
 
+    if (req.exportFormat) {
+      logger.business("Exportación de estadísticas de recepciones", {
+        formato: req.exportFormat,
+        usuario_id: req.user?.id,
+      });
+      return enviarReporte(
+        res,
+        req.exportFormat,
+        "estadisticas_recepciones",
+        result.data
+      );
+    }
+
     const metadata = buildOperationMetadata(
       "estadisticas_completas",
       null,
@@ -250,6 +250,7 @@ const toggleEstadoUsuario = asyncControllerWrapper(async (req, res) => {
     const metadata = buildOperationMetadata(`toggle_estado_${accion}`, id, {
       estado_anterior: result.estado_anterior,
       estado_nuevo: result.estado_nuevo,
+      sesiones_cerradas: result.sesiones_cerradas,
     });
 
     logger.business(`Usuario ${accion}`, {
@@ -315,6 +316,7 @@ const resetearPassword = asyncControllerWrapper(async (req, res) => {
 
     const metadata = buildOperationMetadata("reseteo_password", id, {
       fecha_reseteo: new Date().toISOString(),
+      sesiones_revocadas: true,
     });
 
     logger.business("Contraseña reseteada", {
@@ -9,13 +9,56 @@ import {
   generateSuccessMessage,
   asyncControllerWrapper,
 } from "../utils/controllerResponseUtils.js";
+import {
+  enviarExportacion,
+  enviarReporte,
+} from "../utils/exportacion.js";
 
 const logger = createControllerLogger("ventas");
 
+// Columnas de la exportación CSV/XLSX del listado
+const COLUMNAS_EXPORTACION = [
+  { titulo: "Número de venta", campo: "numero_venta", ancho: 18 },
+  { titulo: "Fecha", campo: "fecha_venta", tipo: "fecha_hora", ancho: 18 },
+  {
+    titulo: "Cajero",
+    valor: (fila) =>
+      [fila.usuario?.nombre, fila.usuario?.apellido].filter(Boolean).join(" "),
+    ancho: 24,
+  },
+  { titulo: "Documento cliente", campo: "cliente.numero_documento", ancho: 16 },
+  { titulo: "Cliente", campo: "cliente.nombre", ancho: 30 },
+  { titulo: "Método de pago", campo: "metodo_pago" },
+  { titulo: "Estado", campo: "estado" },
+  { titulo: "Descuento", campo: "descuento_total", tipo: "moneda" },
+  { titulo: "Base IVA", campo: "base_iva", tipo: "moneda" },
+  { titulo: "IVA", campo: "total_iva", tipo: "moneda" },
+  { titulo: "Total", campo: "total", tipo: "moneda" },
+];
+
 // =====================================================
 // OBTENER VENTAS
 // =====================================================
 const obtenerVentas = asyncControllerWrapper(async (req, res) => {
+  // ?format=csv|xlsx: todo el resultado filtrado, sin paginación
+  if (req.exportFormat) {
+    logger.business("Exportación de ventas", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarExportacion(res, {
+      formato: req.exportFormat,
+      nombre: "ventas",
+      hojas: [
+        {
+          nombre: "Ventas",
+          columnas: COLUMNAS_EXPORTACION,
+          lotes: ventasService.exportarVentas(req.query),
+        },
+      ],
+    });
+  }
+
   const result = await ventasService.obtenerVentasFiltradas(req.query);
 
   const metadata = buildOperationMetadata("consulta", null, {
@@ -101,7 +144,12 @@ const crearVenta = asyncControllerWrapper(async (req, res) => {
             id: nuevaVenta.id,
             numero_venta: nuevaVenta.numero_venta,
             total: nuevaVenta.total,
+            descuento_total: nuevaVenta.descuento_total,
+            promocion_ticket_id: nuevaVenta.promocion_ticket_id,
+            cliente_id: nuevaVenta.cliente_id,
             metodo_pago: nuevaVenta.metodo_pago,
+            pagos: nuevaVenta.get("pagos"),
+            cambio: nuevaVenta.get("cambio"),
             estado: nuevaVenta.estado,
             fecha_venta: nuevaVenta.fecha_venta,
           },
@@ -111,6 +159,70 @@ const crearVenta = asyncControllerWrapper(async (req, res) => {
     );
   } catch (error) {
     // Manejo de errores de negocio específicos
+    if (error.message === "SESION_CAJA_NO_ABIERTA") {
+      return res.status(409).json(
+        buildBusinessErrorResponse("No tienes una sesión de caja abierta", {
+          usuario_id: req.user.id,
+          sugerencia: "Abre una sesión en POST /api/caja/sesiones/abrir antes de vender",
+        })
+      );
+    }
+
+    if (error.message.startsWith("PAGOS_NO_CUADRAN:")) {
+      const [, total, suma] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "La suma de los pagos no coincide con el total de la venta",
+          {
+            total_venta: parseFloat(total),
+            suma_pagos: parseFloat(suma),
+            diferencia: parseFloat((parseFloat(total) - parseFloat(suma)).toFixed(2)),
+          }
+        )
+      );
+    }
+
+    if (error.message === "CREDITO_REQUIERE_CLIENTE") {
+      return res.status(400).json(
+        buildBusinessErrorResponse("La venta a crédito requiere un cliente", {
+          metodo_pago: "credito",
+          sugerencia: "Envía cliente_id o cliente_documento",
+        })
+      );
+    }
+
+    if (error.message.startsWith("CREDITO_NO_AUTORIZADO:")) {
+      const [, clienteId] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse("El cliente no tiene crédito aprobado", {
+          cliente_id: parseInt(clienteId),
+          sugerencia: "Un administrador debe asignar cupo en PUT /api/clientes/:id/credito",
+        })
+      );
+    }
+
+    if (error.message.startsWith("CREDITO_LIMITE_EXCEDIDO:")) {
+      const [, disponible, total] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse("La venta supera el cupo de crédito disponible", {
+          cupo_disponible: parseFloat(disponible),
+          total_venta: parseFloat(total),
+        })
+      );
+    }
+
+    if (error.message.startsWith("CLIENTE_NOT_FOUND:")) {
+      const [, identificadorTipo, identificadorValor] =
+        error.message.split(":");
+      return res.status(404).json(
+        buildBusinessErrorResponse("Cliente no encontrado o inactivo", {
+          identificador_tipo: identificadorTipo,
+          identificador: identificadorValor,
+          sugerencia: "Registra al cliente en POST /api/clientes o vende sin cliente",
+        })
+      );
+    }
+
     if (error.message.startsWith("PRODUCTO_NOT_FOUND:")) {
       const [, productoId] = error.message.split(":");
       return res.status(400).json(
@@ -120,6 +232,17 @@ const crearVenta = asyncControllerWrapper(async (req, res) => {
       );
     }
 
+    if (error.message.startsWith("CANTIDAD_REQUERIDA:")) {
+      const codigo = error.message.slice("CANTIDAD_REQUERIDA:".length);
+      return res.status(400).json(
+        buildBusinessErrorResponse("La cantidad es obligatoria para este producto", {
+          codigo_barras: codigo,
+          sugerencia:
+            "Solo las etiquetas de balanza (peso o precio embebido) traen la cantidad",
+        })
+      );
+    }
+
     if (error.message.startsWith("STOCK_INSUFICIENTE:")) {
       const [, nombre, stockActual, cantidadRequerida] =
         error.message.split(":");
@@ -197,6 +320,20 @@ const eliminarVenta = asyncControllerWrapper(async (req, res) => {
       );
     }
 
+    if (error.message.startsWith("CREDITO_CON_ABONOS:")) {
+      const [, abonado] = error.message.split(":");
+      return res.status(409).json(
+        buildBusinessErrorResponse(
+          "No se puede anular una venta a crédito que ya recibió abonos",
+          {
+            venta_id: id,
+            monto_abonado: parseFloat(abonado),
+            sugerencia: "Registra una devolución en lugar de anular la venta",
+          }
+        )
+      );
+    }
+
     if (error.message === "VENTA_ANULACION_TIME_EXCEEDED") {
       return res.status(400).json(
         buildBusinessErrorResponse(
@@ -219,12 +356,121 @@ const eliminarVenta = asyncControllerWrapper(async (req, res) => {
   }
 }, "anulación de venta");
 
+// =====================================================
+// REGISTRAR DEVOLUCIÓN
+// =====================================================
+const registrarDevolucion = asyncControllerWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { devolucion, venta } = await ventasService.registrarDevolucion(
+      id,
+      req.body,
+      req.user.id
+    );
+
+    const metadata = buildOperationMetadata("devolucion", devolucion.id, {
+      venta_id: venta.id,
+      usuario_devolucion: req.user.id,
+    });
+
+    logger.business("Devolución registrada", {
+      id: devolucion.id,
+      numero_devolucion: devolucion.numero_devolucion,
+      venta: venta.numero_venta,
+      total: devolucion.total,
+      usuario: req.user.id,
+    });
+
+    res.status(201).json(
+      buildSuccessResponse(
+        {
+          mensaje: `Devolución ${devolucion.numero_devolucion} registrada y stock reingresado`,
+          devolucion: {
+            id: devolucion.id,
+            numero_devolucion: devolucion.numero_devolucion,
+            total: devolucion.total,
+            motivo: devolucion.motivo,
+            fecha_devolucion: devolucion.fecha_devolucion,
+          },
+          venta: {
+            id: venta.id,
+            numero_venta: venta.numero_venta,
+            estado: venta.estado,
+          },
+        },
+        metadata
+      )
+    );
+  } catch (error) {
+    if (error.message === "VENTA_NOT_FOUND") {
+      return res.status(404).json(
+        buildBusinessErrorResponse("Venta no encontrada", {
+          venta_id: id,
+        })
+      );
+    }
+
+    if (error.message.startsWith("VENTA_NO_DEVOLVIBLE:")) {
+      const [, estado] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse(
+          "La venta no admite devoluciones en su estado actual",
+          {
+            venta_id: id,
+            estado,
+          }
+        )
+      );
+    }
+
+    if (error.message.startsWith("PRODUCTO_NO_EN_VENTA:")) {
+      const [, productoId] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("El producto no pertenece a esta venta", {
+          producto_id: parseInt(productoId),
+        })
+      );
+    }
+
+    if (error.message.startsWith("CANTIDAD_DEVOLUCION_EXCEDIDA:")) {
+      const [, nombre, disponible, solicitada] = error.message.split(":");
+      return res.status(400).json(
+        buildBusinessErrorResponse("Cantidad a devolver excedida", {
+          producto: nombre,
+          cantidad_disponible: parseFloat(disponible),
+          cantidad_solicitada: parseFloat(solicitada),
+          mensaje: `Solo se pueden devolver ${disponible} unidades de ${nombre}`,
+        })
+      );
+    }
+
+    if (error.name?.startsWith("Sequelize")) {
+      const errorResponse = handleSequelizeError(
+        error,
+        "registro de devolución"
+      );
+      return res.status(errorResponse.error.code).json(errorResponse);
+    }
+
+    throw error; // Re-throw para manejo genérico
+  }
+}, "registro de devolución");
+
 // =====================================================
 // OBTENER RESUMEN DE VENTAS
 // =====================================================
 const obtenerResumenVentas = asyncControllerWrapper(async (req, res) => {
   const result = await ventasService.obtenerResumenVentas(req.query);
 
+  if (req.exportFormat) {
+    logger.business("Exportación de resumen de ventas", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarReporte(res, req.exportFormat, "resumen_ventas", result.data);
+  }
+
   const metadata = buildOperationMetadata("resumen_ventas", null, {
     ...result.metadata,
   });
@@ -238,6 +484,65 @@ const obtenerResumenVentas = asyncControllerWrapper(async (req, res) => {
   res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
 }, "consulta de resumen de ventas");
 
+// =====================================================
+// REPORTE DE MARGEN BRUTO
+// =====================================================
+const obtenerReporteMargen = asyncControllerWrapper(async (req, res) => {
+  const result = await ventasService.obtenerReporteMargen(req.query);
+
+  if (req.exportFormat) {
+    logger.business("Exportación de reporte de margen", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarReporte(res, req.exportFormat, "margen_bruto", result.data);
+  }
+
+  const metadata = buildOperationMetadata("reporte_margen", null, {
+    ...result.metadata,
+  });
+
+  if (result.fromCache) {
+    logger.cache("HIT", "ventas:margen");
+  } else {
+    logger.cache("MISS → SET", "ventas:margen");
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de reporte de margen");
+
+// =====================================================
+// ANALÍTICA TEMPORAL DE VENTAS
+// =====================================================
+const obtenerAnaliticaVentas = asyncControllerWrapper(async (req, res) => {
+  const result = await ventasService.obtenerAnaliticaVentas(req.query);
+
+  if (req.exportFormat) {
+    logger.business("Exportación de analítica de ventas", {
+      formato: req.exportFormat,
+      usuario_id: req.user?.id,
+    });
+    return enviarReporte(
+      res,
+      req.exportFormat,
+      "analitica_ventas",
+      result.data
+    );
+  }
+
+  const metadata = buildOperationMetadata("analitica_ventas", null, {
+    ...result.metadata,
+  });
+
+  if (result.fromCache) {
+    logger.cache("HIT", "ventas:analitica");
+  } else {
+    logger.cache("MISS → SET", "ventas:analitica");
+  }
+
+  res.json(buildSuccessResponse(result.data, metadata, result.fromCache));
+}, "consulta de analítica de ventas");
+
 // =====================================================
 // EXPORTACIONES
 // =====================================================
@@ -246,5 +551,8 @@ export {
   obtenerVentaPorId,
   crearVenta,
   eliminarVenta,
+  registrarDevolucion,
   obtenerResumenVentas,
+  obtenerReporteMargen,
+  obtenerAnaliticaVentas,
 };
@@ -2,12 +2,20 @@
 
 import jwt from "jsonwebtoken";
 import { executeQuery } from "../config/database.js";
+import {
+  obtenerSesion,
+  registrarUsoSesion,
+} from "../services/sesionesService.js";
+import { resolverPermisosUsuario } from "../services/permisosService.js";
 
 // =====================================================
 // 🛡️ MIDDLEWARES DE AUTENTICACIÓN
 // =====================================================
 
 // Middleware para verificar JWT
+// El token debe tener una sesión vigente (jti registrado al hacer login):
+// logout, desactivación o cambio de contraseña la revocan antes de que expire.
+// Solo acepta access tokens; los refresh tokens son opacos y van a /auth/refresh
 const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -20,28 +28,39 @@ const verifyToken = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
+    let decoded;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Verificar si el usuario aún existe y está activo
-      const user = await executeQuery(
-        "SELECT id, username, email, nombre, apellido, rol, activo FROM usuarios WHERE id = ? AND activo = true",
-        [decoded.userId]
-      );
-
-      if (user.length === 0) {
-        return res.status(401).json({
-          error: "Usuario no válido o inactivo",
-        });
-      }
-
-      req.user = user[0];
-      next();
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (jwtError) {
       return res.status(401).json({
         error: "Token inválido o expirado",
       });
     }
+
+    const sesion = decoded.jti ? await obtenerSesion(decoded.jti) : null;
+
+    if (!sesion || Number(sesion.usuario_id) !== Number(decoded.userId)) {
+      return res.status(401).json({
+        error: "Sesión cerrada o revocada",
+      });
+    }
+
+    // Verificar si el usuario aún existe y está activo
+    const user = await executeQuery(
+      "SELECT id, username, email, nombre, apellido, rol, activo FROM usuarios WHERE id = ? AND activo = true",
+      [decoded.userId]
+    );
+
+    if (user.length === 0) {
+      return res.status(401).json({
+        error: "Usuario no válido o inactivo",
+      });
+    }
+
+    req.user = user[0];
+    req.sesion = sesion;
+    await registrarUsoSesion(sesion);
+    next();
   } catch (error) {
     console.error("Error en middleware de autenticación:", error);
     res.status(500).json({
@@ -71,4 +90,36 @@ const verifyRole = (allowedRoles) => {
   };
 };
 
-export { verifyToken, verifyRole };
+// Middleware para verificar un permiso (ver utils/permisos.js)
+// Usa el mapeo rol→permisos de la base de datos y las excepciones del usuario;
+// deja los permisos efectivos en req.permisos
+const requirePermission = (permiso) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: "Usuario no autenticado",
+      });
+    }
+
+    try {
+      req.permisos = req.permisos || (await resolverPermisosUsuario(req.user));
+    } catch (error) {
+      console.error("Error resolviendo permisos:", error);
+      return res.status(500).json({
+        error: "Error interno del servidor",
+      });
+    }
+
+    if (!req.permisos.includes(permiso)) {
+      return res.status(403).json({
+        error: "No tienes permisos para realizar esta acción",
+        requiredPermission: permiso,
+        userRole: req.user.rol,
+      });
+    }
+
+    next();
+  };
+};
+
+export { verifyToken, verifyRole, requirePermission };
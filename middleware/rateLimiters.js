@@ -148,6 +148,22 @@ export const loginLimiter = rateLimit({
   skipSuccessfulRequests: true, // Solo cuenta intentos fallidos
 });
 
+/**
+ * Rate limiter para recuperación de contraseña
+ * Límite: 5 solicitudes por hora por IP (cada una envía un correo)
+ */
+export const passwordRecoveryLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: {
+    error: "Demasiadas solicitudes de recuperación de contraseña, intenta en una hora",
+    tipo: "password_recovery_exceeded",
+    retry_after_seconds: 3600,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // =====================================================
 // 💰 RATE LIMITERS PARA VENTAS
 // =====================================================
@@ -1290,6 +1306,199 @@ COMPARACIÓN CON OTRAS ENTIDADES:
 FILOSOFÍA: Límites generosos pero con auditoría estricta
 */
 
+// =====================================================
+// 💵 RATE LIMITERS PARA CAJA
+// =====================================================
+
+/**
+ * Rate limiter para APERTURA/CIERRE DE CAJA
+ * Límite: 10 operaciones por 15 minutos por usuario
+ *
+ * Contexto del negocio:
+ * - Cada cajero abre y cierra 1-2 veces por turno
+ * - Cierres repetidos indican errores de conteo o abuso
+ */
+export const cajaWriteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // 10 aperturas/cierres
+  message: {
+    error: "Demasiadas operaciones de caja",
+    tipo: "caja_write_limit",
+    retry_after_seconds: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user
+      ? `caja_write_user_${req.user.id}`
+      : `caja_write_ip_${req.ip}`;
+  },
+  handler: (req, res) => {
+    console.warn(
+      `⚠️ LÍMITE DE OPERACIONES DE CAJA EXCEDIDO:\n` +
+        `   Usuario: ${req.user?.nombre} ${req.user?.apellido} (ID: ${req.user?.id})\n` +
+        `   IP: ${req.ip}\n` +
+        `   Endpoint: ${req.path}\n` +
+        `   Timestamp: ${new Date().toISOString()}`
+    );
+
+    res.status(429).json({
+      error: "Límite de operaciones de caja excedido",
+      detalles: "Solo se permiten 10 aperturas/cierres cada 15 minutos",
+      retry_after_seconds: 900,
+      tipo: "caja_rate_limit",
+      sugerencia: "Si hay un error de conteo, contacta al supervisor",
+    });
+  },
+  skip: (req) => {
+    return req.user?.rol === "sistema";
+  },
+});
+
+// =====================================================
+// 🏷️ RATE LIMITERS PARA PROMOCIONES
+// =====================================================
+
+/**
+ * Rate limiter para CREAR/EDITAR/DESACTIVAR PROMOCIONES
+ * Límite: 30 operaciones por 15 minutos por usuario
+ *
+ * Contexto del negocio:
+ * - Las promociones se cargan por campaña (pocas al día)
+ * - Cada cambio afecta el precio cobrado en todas las cajas
+ */
+export const promocionesWriteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30, // 30 operaciones
+  message: {
+    error: "Demasiadas operaciones sobre promociones",
+    tipo: "promociones_write_limit",
+    retry_after_seconds: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user
+      ? `promociones_write_user_${req.user.id}`
+      : `promociones_write_ip_${req.ip}`;
+  },
+  handler: (req, res) => {
+    console.warn(
+      `⚠️ LÍMITE DE OPERACIONES DE PROMOCIONES EXCEDIDO:\n` +
+        `   Usuario: ${req.user?.nombre} ${req.user?.apellido} (ID: ${req.user?.id})\n` +
+        `   IP: ${req.ip}\n` +
+        `   Endpoint: ${req.path}\n` +
+        `   Timestamp: ${new Date().toISOString()}`
+    );
+
+    res.status(429).json({
+      error: "Límite de operaciones de promociones excedido",
+      detalles: "Solo se permiten 30 operaciones cada 15 minutos",
+      retry_after_seconds: 900,
+      tipo: "promociones_rate_limit",
+    });
+  },
+  skip: (req) => {
+    return req.user?.rol === "sistema";
+  },
+});
+
+// =====================================================
+// 🧑‍🤝‍🧑 RATE LIMITERS PARA CLIENTES
+// =====================================================
+
+/**
+ * Rate limiter para CREAR/EDITAR/DESACTIVAR CLIENTES
+ * Límite: 60 operaciones por 15 minutos por usuario
+ *
+ * Contexto del negocio:
+ * - Los cajeros registran clientes en caja al momento de facturar
+ * - Un volumen mayor sugiere carga automatizada o abuso
+ */
+export const clientesWriteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 60, // 60 operaciones
+  message: {
+    error: "Demasiadas operaciones sobre clientes",
+    tipo: "clientes_write_limit",
+    retry_after_seconds: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user
+      ? `clientes_write_user_${req.user.id}`
+      : `clientes_write_ip_${req.ip}`;
+  },
+  handler: (req, res) => {
+    console.warn(
+      `⚠️ LÍMITE DE OPERACIONES DE CLIENTES EXCEDIDO:\n` +
+        `   Usuario: ${req.user?.nombre} ${req.user?.apellido} (ID: ${req.user?.id})\n` +
+        `   IP: ${req.ip}\n` +
+        `   Endpoint: ${req.path}\n` +
+        `   Timestamp: ${new Date().toISOString()}`
+    );
+
+    res.status(429).json({
+      error: "Límite de operaciones de clientes excedido",
+      detalles: "Solo se permiten 60 operaciones cada 15 minutos",
+      retry_after_seconds: 900,
+      tipo: "clientes_rate_limit",
+    });
+  },
+  skip: (req) => {
+    return req.user?.rol === "sistema";
+  },
+});
+
+// =====================================================
+// 🧾 RATE LIMITERS PARA ÓRDENES DE COMPRA
+// =====================================================
+
+/**
+ * Rate limiter para CREAR/EDITAR/CAMBIAR ESTADO DE ÓRDENES DE COMPRA
+ * Límite: 30 operaciones por 15 minutos por usuario
+ *
+ * Contexto del negocio:
+ * - Las órdenes se arman unas pocas veces por semana por proveedor
+ * - Incluye las recepciones creadas desde una orden
+ */
+export const ordenesCompraWriteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30, // 30 operaciones
+  message: {
+    error: "Demasiadas operaciones sobre órdenes de compra",
+    tipo: "ordenes_compra_write_limit",
+    retry_after_seconds: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user
+      ? `ordenes_compra_write_user_${req.user.id}`
+      : `ordenes_compra_write_ip_${req.ip}`;
+  },
+  handler: (req, res) => {
+    console.warn(
+      `⚠️ LÍMITE DE OPERACIONES DE ÓRDENES DE COMPRA EXCEDIDO:\n` +
+        `   Usuario: ${req.user?.nombre} ${req.user?.apellido} (ID: ${req.user?.id})\n` +
+        `   IP: ${req.ip}\n` +
+        `   Endpoint: ${req.path}\n` +
+        `   Timestamp: ${new Date().toISOString()}`
+    );
+
+    res.status(429).json({
+      error: "Límite de operaciones de órdenes de compra excedido",
+      detalles: "Solo se permiten 30 operaciones cada 15 minutos",
+      retry_after_seconds: 900,
+      tipo: "ordenes_compra_rate_limit",
+    });
+  },
+  skip: (req) => {
+    return req.user?.rol === "sistema";
+  },
+});
+
 // =====================================================
 // 🎯 CONFIGURACIÓN AVANZADA (OPCIONAL)
 // =====================================================
@@ -0,0 +1,65 @@
+// migrate-pagos-venta.js - Crear líneas de pago para ventas anteriores
+// Cada venta sin registros en pagos_venta recibe una línea con su
+// metodo_pago y su total, para que el resumen y el cuadre de caja
+// (que ahora leen de pagos_venta) sigan incluyendo el histórico.
+import db from "./models/index.js";
+
+const migratePagosVenta = async () => {
+  console.log(`
+╔═══════════════════════════════════════════════════════════╗
+║     MIGRACIÓN DE PAGOS DE VENTAS (pagos_venta)            ║
+╚═══════════════════════════════════════════════════════════╝
+`);
+
+  // Asegura que la tabla exista antes de poblarla
+  await db.pagos_venta.sync();
+
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    console.log("\n📝 Paso 1: Buscando ventas sin líneas de pago");
+    console.log("─".repeat(60));
+
+    const [[{ pendientes }]] = await db.sequelize.query(
+      `
+      SELECT COUNT(*) AS pendientes
+      FROM ventas v
+      WHERE v.total > 0
+        AND NOT EXISTS (SELECT 1 FROM pagos_venta p WHERE p.venta_id = v.id)
+    `,
+      { transaction }
+    );
+    console.log(`   📊 ${pendientes} ventas por migrar`);
+
+    console.log("\n📝 Paso 2: Creando líneas de pago");
+    console.log("─".repeat(60));
+
+    const [insertResult] = await db.sequelize.query(
+      `
+      INSERT INTO pagos_venta (venta_id, metodo_pago, monto, cambio, fecha_creacion)
+      SELECT v.id, COALESCE(v.metodo_pago, 'efectivo'), v.total, 0, v.fecha_venta
+      FROM ventas v
+      WHERE v.total > 0
+        AND (v.metodo_pago IS NULL OR v.metodo_pago <> 'mixto')
+        AND NOT EXISTS (SELECT 1 FROM pagos_venta p WHERE p.venta_id = v.id)
+    `,
+      { transaction }
+    );
+    console.log(`   ✅ ${insertResult.affectedRows} líneas de pago creadas`);
+
+    await transaction.commit();
+
+    console.log("\n✅ MIGRACIÓN COMPLETADA");
+    console.log("   🚀 Reinicia el servidor: npm run dev");
+
+    process.exit(0);
+  } catch (error) {
+    await transaction.rollback();
+    console.error("\n❌ ERROR CRÍTICO:", error.message);
+    console.error(error.stack);
+    console.error("\n🔄 Cambios revertidos (rollback)");
+    process.exit(1);
+  }
+};
+
+migratePagosVenta();
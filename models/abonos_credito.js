@@ -0,0 +1,121 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const abonos_credito = sequelize.define(
+    "abonos_credito",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      cliente_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clientes",
+          key: "id",
+        },
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+        comment: "Usuario que recibió el abono",
+      },
+      sesion_caja_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "sesiones_caja",
+          key: "id",
+        },
+        comment: "Sesión de caja abierta al recibir el abono (si existe)",
+      },
+      monto: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El abono debe ser mayor a 0",
+          },
+        },
+      },
+      metodo_pago: {
+        type: DataTypes.ENUM("efectivo", "tarjeta", "transferencia"),
+        allowNull: false,
+        defaultValue: "efectivo",
+        validate: {
+          isIn: {
+            args: [["efectivo", "tarjeta", "transferencia"]],
+            msg: "Método de pago inválido",
+          },
+        },
+      },
+      saldo_anterior: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Saldo del cliente antes del abono",
+      },
+      saldo_nuevo: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Saldo del cliente después del abono",
+      },
+      observaciones: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      fecha_abono: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "abonos_credito",
+      timestamps: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "idx_abonos_credito_cliente_fecha",
+          using: "BTREE",
+          fields: [{ name: "cliente_id" }, { name: "fecha_abono" }],
+        },
+        {
+          name: "idx_abonos_credito_sesion_caja",
+          using: "BTREE",
+          fields: [{ name: "sesion_caja_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  abonos_credito.associate = (models) => {
+    abonos_credito.belongsTo(models.clientes, {
+      as: "cliente",
+      foreignKey: "cliente_id",
+    });
+    abonos_credito.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+    abonos_credito.belongsTo(models.sesiones_caja, {
+      as: "sesion_caja",
+      foreignKey: "sesion_caja_id",
+    });
+  };
+  return abonos_credito;
+};
@@ -0,0 +1,78 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const cajas = sequelize.define(
+    "cajas",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      nombre: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: {
+            msg: "El nombre de la caja no puede estar vacío",
+          },
+          len: {
+            args: [2, 100],
+            msg: "El nombre de la caja debe tener entre 2 y 100 caracteres",
+          },
+        },
+      },
+      descripcion: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      activo: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "cajas",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "nombre_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "nombre" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  cajas.associate = (models) => {
+    cajas.hasMany(models.sesiones_caja, {
+      as: "sesiones",
+      foreignKey: "caja_id",
+    });
+  };
+  return cajas;
+};
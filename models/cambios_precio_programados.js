@@ -0,0 +1,121 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const cambios_precio_programados = sequelize.define(
+    "cambios_precio_programados",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      precio_compra: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: "Nuevo precio de compra (NULL = no cambia)",
+      },
+      precio_venta: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: "Nuevo precio de venta (NULL = no cambia)",
+      },
+      fecha_aplicacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Momento a partir del cual el programador aplica el cambio",
+      },
+      motivo: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+      },
+      estado: {
+        type: DataTypes.ENUM("pendiente", "aplicado", "cancelado", "fallido"),
+        allowNull: false,
+        defaultValue: "pendiente",
+        validate: {
+          isIn: {
+            args: [["pendiente", "aplicado", "cancelado", "fallido"]],
+            msg: "Estado de cambio programado inválido",
+          },
+        },
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+        comment: "Usuario que programó el cambio",
+      },
+      fecha_aplicado: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      detalle_error: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: "Razón por la que no se pudo aplicar (estado fallido)",
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "cambios_precio_programados",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        // Búsqueda del programador: pendientes cuya fecha ya llegó
+        {
+          name: "idx_cambios_precio_estado_fecha",
+          using: "BTREE",
+          fields: [{ name: "estado" }, { name: "fecha_aplicacion" }],
+        },
+        {
+          name: "idx_cambios_precio_producto",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }, { name: "estado" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  cambios_precio_programados.associate = (models) => {
+    cambios_precio_programados.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+    cambios_precio_programados.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+  };
+
+  return cambios_precio_programados;
+};
@@ -0,0 +1,185 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const clientes = sequelize.define(
+    "clientes",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      tipo_documento: {
+        type: DataTypes.ENUM("CC", "NIT", "CE", "TI", "PASAPORTE"),
+        allowNull: false,
+        defaultValue: "CC",
+        comment: "CC, NIT (empresas), CE, TI o PASAPORTE",
+        validate: {
+          isIn: {
+            args: [["CC", "NIT", "CE", "TI", "PASAPORTE"]],
+            msg: "Tipo de documento inválido",
+          },
+        },
+      },
+      numero_documento: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: "El número de documento no puede estar vacío",
+          },
+          len: {
+            args: [3, 20],
+            msg: "El número de documento debe tener entre 3 y 20 caracteres",
+          },
+        },
+      },
+      nombre: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        comment: "Nombre completo o razón social",
+        validate: {
+          notEmpty: {
+            msg: "El nombre del cliente no puede estar vacío",
+          },
+          len: {
+            args: [2, 200],
+            msg: "El nombre debe tener entre 2 y 200 caracteres",
+          },
+        },
+      },
+      telefono: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: {
+          len: {
+            args: [0, 20],
+            msg: "El teléfono no puede exceder 20 caracteres",
+          },
+        },
+      },
+      email: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: "Correo para envío de facturas",
+        validate: {
+          isEmail: {
+            msg: "Debe proporcionar un email válido",
+          },
+          len: {
+            args: [0, 100],
+            msg: "El email no puede exceder 100 caracteres",
+          },
+        },
+      },
+      limite_credito: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Cupo de crédito aprobado (0 = sin crédito)",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El límite de crédito no puede ser negativo",
+          },
+        },
+      },
+      dias_credito: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30,
+        comment: "Plazo en días para pagar cada venta a crédito",
+        validate: {
+          min: {
+            args: [1],
+            msg: "El plazo de crédito debe ser de al menos 1 día",
+          },
+        },
+      },
+      saldo_credito: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Saldo pendiente (suma de cuentas por cobrar abiertas)",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El saldo de crédito no puede ser negativo",
+          },
+        },
+      },
+      activo: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "clientes",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        // Un documento identifica a un único cliente
+        {
+          name: "uk_clientes_documento",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "tipo_documento" }, { name: "numero_documento" }],
+        },
+        // Búsqueda en caja por número de documento
+        {
+          name: "idx_clientes_numero_documento",
+          using: "BTREE",
+          fields: [{ name: "numero_documento" }],
+        },
+        {
+          name: "idx_clientes_nombre",
+          using: "BTREE",
+          fields: [{ name: "nombre" }],
+        },
+        {
+          name: "idx_clientes_activo",
+          using: "BTREE",
+          fields: [{ name: "activo" }],
+        },
+      ],
+    }
+  );
+
+  // Asociaciones
+  clientes.associate = (models) => {
+    clientes.hasMany(models.ventas, {
+      as: "ventas",
+      foreignKey: "cliente_id",
+    });
+    clientes.hasMany(models.cuentas_por_cobrar, {
+      as: "cuentas_por_cobrar",
+      foreignKey: "cliente_id",
+    });
+    clientes.hasMany(models.abonos_credito, {
+      as: "abonos",
+      foreignKey: "cliente_id",
+    });
+  };
+
+  return clientes;
+};
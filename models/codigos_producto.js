@@ -0,0 +1,99 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const codigos_producto = sequelize.define(
+    "codigos_producto",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      codigo_barras: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: "codigo_producto_unique",
+        validate: {
+          len: {
+            args: [1, 50],
+            msg: "El código de barras debe tener entre 1 y 50 caracteres",
+          },
+        },
+        comment:
+          "Código adicional del producto (empaque, EAN anterior del proveedor)",
+      },
+      multiplicador: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          min: {
+            args: [0.001],
+            msg: "El multiplicador debe ser mayor a 0",
+          },
+        },
+        comment: "Unidades del producto que representa un escaneo (caja x12 = 12)",
+      },
+      descripcion: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: "Ej: Six-pack, Caja x12, EAN anterior",
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "codigos_producto",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "codigo_producto_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "codigo_barras" }],
+        },
+        {
+          name: "idx_codigos_producto",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  codigos_producto.associate = (models) => {
+    codigos_producto.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+  };
+
+  return codigos_producto;
+};
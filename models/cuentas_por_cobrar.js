@@ -0,0 +1,131 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const cuentas_por_cobrar = sequelize.define(
+    "cuentas_por_cobrar",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      cliente_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "clientes",
+          key: "id",
+        },
+      },
+      venta_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: "ventas",
+          key: "id",
+        },
+        comment: "Venta a crédito que originó la cuenta",
+      },
+      monto: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Valor original de la venta a crédito",
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El monto debe ser mayor a 0",
+          },
+        },
+      },
+      saldo: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Pendiente de pago (monto - abonos - devoluciones)",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El saldo no puede ser negativo",
+          },
+        },
+      },
+      estado: {
+        type: DataTypes.ENUM("pendiente", "pagada", "anulada"),
+        allowNull: false,
+        defaultValue: "pendiente",
+        validate: {
+          isIn: {
+            args: [["pendiente", "pagada", "anulada"]],
+            msg: "Estado de cuenta por cobrar inválido",
+          },
+        },
+      },
+      fecha_vencimiento: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Fecha de la venta + dias_credito del cliente",
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "cuentas_por_cobrar",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "uk_cuentas_por_cobrar_venta",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "venta_id" }],
+        },
+        // Abonos FIFO y cartera por cliente
+        {
+          name: "idx_cuentas_por_cobrar_cliente_estado",
+          using: "BTREE",
+          fields: [
+            { name: "cliente_id" },
+            { name: "estado" },
+            { name: "fecha_vencimiento" },
+          ],
+        },
+        // Reporte de cartera por edades
+        {
+          name: "idx_cuentas_por_cobrar_estado_vencimiento",
+          using: "BTREE",
+          fields: [{ name: "estado" }, { name: "fecha_vencimiento" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  cuentas_por_cobrar.associate = (models) => {
+    cuentas_por_cobrar.belongsTo(models.clientes, {
+      as: "cliente",
+      foreignKey: "cliente_id",
+    });
+    cuentas_por_cobrar.belongsTo(models.ventas, {
+      as: "venta",
+      foreignKey: "venta_id",
+    });
+  };
+  return cuentas_por_cobrar;
+};
@@ -0,0 +1,143 @@
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const detalle_devoluciones = sequelize.define(
+    "detalle_devoluciones",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      devolucion_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "devoluciones",
+          key: "id",
+        },
+      },
+      detalle_venta_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "detalle_ventas",
+          key: "id",
+        },
+        comment: "Línea de la venta original que se devuelve",
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      cantidad: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        validate: {
+          min: {
+            args: [0.001],
+            msg: "La cantidad mínima es 0.001",
+          },
+          isDecimal: {
+            msg: "La cantidad debe ser un número decimal válido",
+          },
+        },
+      },
+      precio_unitario: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: "Precio unitario neto (con descuentos) cobrado en la venta original",
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        validate: {
+          isDecimal: {
+            msg: "El subtotal debe ser un número decimal válido",
+          },
+        },
+      },
+      tarifa_iva: {
+        type: DataTypes.ENUM("19", "5", "0", "exento"),
+        allowNull: false,
+        defaultValue: "19",
+        comment: "Tarifa de IVA de la línea de venta devuelta",
+        validate: {
+          isIn: {
+            args: [["19", "5", "0", "exento"]],
+            msg: "La tarifa de IVA debe ser 19, 5, 0 o exento",
+          },
+        },
+      },
+      base_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Base gravable reembolsada",
+      },
+      valor_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "IVA reembolsado",
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      tableName: "detalle_devoluciones",
+      timestamps: true,
+      createdAt: "created_at",
+      updatedAt: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "devolucion_id",
+          using: "BTREE",
+          fields: [{ name: "devolucion_id" }],
+        },
+        {
+          name: "detalle_venta_id",
+          using: "BTREE",
+          fields: [{ name: "detalle_venta_id" }],
+        },
+        {
+          name: "producto_id",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  detalle_devoluciones.associate = (models) => {
+    detalle_devoluciones.belongsTo(models.devoluciones, {
+      as: "devolucion",
+      foreignKey: "devolucion_id",
+    });
+    detalle_devoluciones.belongsTo(models.detalle_ventas, {
+      as: "detalle_venta",
+      foreignKey: "detalle_venta_id",
+    });
+    detalle_devoluciones.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+  };
+  return detalle_devoluciones;
+};
@@ -0,0 +1,115 @@
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const detalle_ordenes_compra = sequelize.define(
+    "detalle_ordenes_compra",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      orden_compra_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "ordenes_compra",
+          key: "id",
+        },
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      cantidad_pedida: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        validate: {
+          min: {
+            args: [0.001],
+            msg: "La cantidad pedida debe ser mayor a 0",
+          },
+        },
+      },
+      cantidad_recibida: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Acumulado de recepciones procesadas contra esta línea",
+      },
+      precio_acordado: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: "Precio unitario antes de IVA pactado con el proveedor",
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El precio acordado debe ser mayor a 0",
+          },
+        },
+      },
+      tarifa_iva: {
+        type: DataTypes.ENUM("19", "5", "0", "exento"),
+        allowNull: false,
+        defaultValue: "19",
+        validate: {
+          isIn: {
+            args: [["19", "5", "0", "exento"]],
+            msg: "La tarifa de IVA debe ser 19, 5, 0 o exento",
+          },
+        },
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+      },
+      valor_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      tableName: "detalle_ordenes_compra",
+      timestamps: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "uk_detalle_orden_producto",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "orden_compra_id" }, { name: "producto_id" }],
+        },
+        {
+          name: "idx_detalle_orden_producto",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  detalle_ordenes_compra.associate = (models) => {
+    detalle_ordenes_compra.belongsTo(models.ordenes_compra, {
+      as: "orden_compra",
+      foreignKey: "orden_compra_id",
+    });
+    detalle_ordenes_compra.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+  };
+  return detalle_ordenes_compra;
+};
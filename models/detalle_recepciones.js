@@ -95,6 +95,34 @@ export default (sequelize) => {
           },
         },
       },
+      tarifa_iva: {
+        type: DataTypes.ENUM("19", "5", "0", "exento"),
+        allowNull: false,
+        defaultValue: "19",
+        comment: "Tarifa de IVA facturada por el proveedor",
+        validate: {
+          isIn: {
+            args: [["19", "5", "0", "exento"]],
+            msg: "La tarifa de IVA debe ser 19, 5, 0 o exento",
+          },
+        },
+      },
+      valor_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "IVA de la línea (subtotal es la base antes de IVA)",
+      },
+      numero_lote: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: "Lote impreso por el fabricante (perecederos)",
+      },
+      fecha_vencimiento: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: "Obligatoria si el producto maneja lotes",
+      },
     },
     {
       sequelize,
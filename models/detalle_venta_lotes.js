@@ -0,0 +1,79 @@
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const detalle_venta_lotes = sequelize.define(
+    "detalle_venta_lotes",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      detalle_venta_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "detalle_ventas",
+          key: "id",
+        },
+      },
+      lote_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "lotes_producto",
+          key: "id",
+        },
+      },
+      cantidad: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        comment: "Cantidad de la línea de venta tomada de este lote",
+      },
+      cantidad_devuelta: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Cantidad reintegrada al lote por devoluciones o anulación",
+      },
+    },
+    {
+      sequelize,
+      tableName: "detalle_venta_lotes",
+      timestamps: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "idx_detalle_venta_lotes_detalle",
+          using: "BTREE",
+          fields: [{ name: "detalle_venta_id" }],
+        },
+        {
+          name: "idx_detalle_venta_lotes_lote",
+          using: "BTREE",
+          fields: [{ name: "lote_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  detalle_venta_lotes.associate = (models) => {
+    detalle_venta_lotes.belongsTo(models.detalle_ventas, {
+      as: "detalle_venta",
+      foreignKey: "detalle_venta_id",
+    });
+    detalle_venta_lotes.belongsTo(models.lotes_producto, {
+      as: "lote",
+      foreignKey: "lote_id",
+    });
+  };
+
+  return detalle_venta_lotes;
+};
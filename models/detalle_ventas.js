@@ -105,6 +105,76 @@ export default (sequelize) => {
           },
         },
       },
+      // Descuento por promociones (subtotal queda como monto bruto)
+      descuento: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Descuento aplicado a la línea por promociones",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El descuento no puede ser negativo",
+          },
+          noSuperaSubtotal(value) {
+            if (parseFloat(value) >= parseFloat(this.subtotal)) {
+              throw new Error(
+                "El descuento debe ser menor al subtotal de la línea"
+              );
+            }
+          },
+        },
+      },
+      promocion_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "promociones",
+          key: "id",
+        },
+        comment: "Promoción de producto/categoría aplicada a la línea",
+      },
+      tarifa_iva: {
+        type: DataTypes.ENUM("19", "5", "0", "exento"),
+        allowNull: false,
+        defaultValue: "19",
+        comment: "Tarifa de IVA del producto al momento de la venta",
+        validate: {
+          isIn: {
+            args: [["19", "5", "0", "exento"]],
+            msg: "La tarifa de IVA debe ser 19, 5, 0 o exento",
+          },
+        },
+      },
+      base_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Base gravable de la línea (neto sin IVA)",
+      },
+      valor_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "IVA incluido en el neto de la línea",
+      },
+      costo_unitario: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: true,
+        comment:
+          "Costo promedio del producto al momento de la venta (costo de lo vendido)",
+      },
+      total_neto: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return parseFloat(
+            (
+              parseFloat(this.getDataValue("subtotal") || 0) -
+              parseFloat(this.getDataValue("descuento") || 0)
+            ).toFixed(2)
+          );
+        },
+      },
       // ✅ NUEVOS CAMPOS: Para auditoría
       created_at: {
         type: DataTypes.DATE,
@@ -163,6 +233,18 @@ export default (sequelize) => {
       as: "ventum",
       foreignKey: "venta_id",
     });
+    detalle_ventas.belongsTo(models.promociones, {
+      as: "promocion",
+      foreignKey: "promocion_id",
+    });
+    detalle_ventas.hasMany(models.detalle_devoluciones, {
+      as: "detalle_devoluciones",
+      foreignKey: "detalle_venta_id",
+    });
+    detalle_ventas.hasMany(models.detalle_venta_lotes, {
+      as: "lotes",
+      foreignKey: "detalle_venta_id",
+    });
   };
   return detalle_ventas;
 };
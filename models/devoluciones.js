@@ -0,0 +1,177 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const devoluciones = sequelize.define(
+    "devoluciones",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      numero_devolucion: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: {
+            msg: "El número de devolución no puede estar vacío",
+          },
+          len: {
+            args: [1, 100],
+            msg: "El número de devolución debe tener entre 1 y 100 caracteres",
+          },
+        },
+      },
+      venta_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "ventas",
+          key: "id",
+        },
+        validate: {
+          isInt: {
+            msg: "El ID de la venta debe ser un número entero",
+          },
+          min: {
+            args: [1],
+            msg: "El ID de la venta debe ser mayor a 0",
+          },
+        },
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+        comment: "Usuario que registró la devolución",
+        validate: {
+          isInt: {
+            msg: "El ID del usuario debe ser un número entero",
+          },
+          min: {
+            args: [1],
+            msg: "El ID del usuario debe ser mayor a 0",
+          },
+        },
+      },
+      sesion_caja_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "sesiones_caja",
+          key: "id",
+        },
+        comment: "Sesión de caja abierta al reembolsar (si existe); el dinero sale de esa caja",
+      },
+      total: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Valor total reembolsado al cliente",
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El total de la devolución debe ser mayor a 0",
+          },
+          isDecimal: {
+            msg: "El total debe ser un número decimal válido",
+          },
+        },
+      },
+      base_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Suma de bases gravables reembolsadas",
+      },
+      total_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Suma de IVA reembolsado",
+      },
+      motivo: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: "Motivo de la devolución",
+        validate: {
+          len: {
+            args: [10, 1000],
+            msg: "El motivo de devolución debe tener entre 10 y 1000 caracteres",
+          },
+        },
+      },
+      fecha_devolucion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Última actualización del registro",
+      },
+    },
+    {
+      sequelize,
+      tableName: "devoluciones",
+      timestamps: true,
+      createdAt: "fecha_devolucion",
+      updatedAt: "updated_at",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "numero_devolucion_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "numero_devolucion" }],
+        },
+        {
+          name: "idx_devoluciones_venta",
+          using: "BTREE",
+          fields: [{ name: "venta_id" }],
+        },
+        {
+          name: "idx_devoluciones_fecha",
+          using: "BTREE",
+          fields: [{ name: "fecha_devolucion" }],
+        },
+        {
+          name: "idx_devoluciones_sesion_caja",
+          using: "BTREE",
+          fields: [{ name: "sesion_caja_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  devoluciones.associate = (models) => {
+    devoluciones.belongsTo(models.ventas, {
+      as: "venta",
+      foreignKey: "venta_id",
+    });
+    devoluciones.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+    devoluciones.belongsTo(models.sesiones_caja, {
+      as: "sesion_caja",
+      foreignKey: "sesion_caja_id",
+    });
+    devoluciones.hasMany(models.detalle_devoluciones, {
+      as: "detalle_devoluciones",
+      foreignKey: "devolucion_id",
+    });
+  };
+  return devoluciones;
+};
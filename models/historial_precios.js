@@ -0,0 +1,107 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const historial_precios = sequelize.define(
+    "historial_precios",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      tipo_precio: {
+        type: DataTypes.ENUM("compra", "venta"),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [["compra", "venta"]],
+            msg: "El tipo de precio debe ser compra o venta",
+          },
+        },
+      },
+      precio_anterior: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      precio_nuevo: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      origen: {
+        type: DataTypes.ENUM("manual", "recepcion", "programado", "masivo"),
+        allowNull: false,
+        defaultValue: "manual",
+        comment:
+          "manual = edición del producto, recepcion = último precio facturado, programado = cambio programado aplicado, masivo = actualización en bloque",
+      },
+      referencia_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "ID de la recepción o del cambio programado que originó el cambio",
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+      },
+      motivo: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      fecha_cambio: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "historial_precios",
+      timestamps: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "idx_historial_precios_producto_fecha",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }, { name: "fecha_cambio" }],
+        },
+        {
+          name: "idx_historial_precios_usuario",
+          using: "BTREE",
+          fields: [{ name: "usuario_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  historial_precios.associate = (models) => {
+    historial_precios.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+    historial_precios.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+  };
+
+  return historial_precios;
+};
@@ -0,0 +1,138 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const lotes_producto = sequelize.define(
+    "lotes_producto",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      recepcion_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "recepciones",
+          key: "id",
+        },
+        comment: "Recepción en la que ingresó el lote",
+      },
+      numero_lote: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      fecha_vencimiento: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+      cantidad_inicial: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        validate: {
+          min: {
+            args: [0.001],
+            msg: "La cantidad del lote debe ser mayor a 0",
+          },
+        },
+      },
+      cantidad_disponible: {
+        type: DataTypes.DECIMAL(10, 3),
+        allowNull: false,
+        validate: {
+          min: {
+            args: [0],
+            msg: "La cantidad disponible no puede ser negativa",
+          },
+        },
+      },
+      estado: {
+        type: DataTypes.ENUM("activo", "agotado", "dado_de_baja"),
+        allowNull: false,
+        defaultValue: "activo",
+        validate: {
+          isIn: {
+            args: [["activo", "agotado", "dado_de_baja"]],
+            msg: "Estado de lote inválido",
+          },
+        },
+      },
+      fecha_baja: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "lotes_producto",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        // Orden FEFO: lotes activos de un producto por vencimiento
+        {
+          name: "idx_lotes_producto_fefo",
+          using: "BTREE",
+          fields: [
+            { name: "producto_id" },
+            { name: "estado" },
+            { name: "fecha_vencimiento" },
+          ],
+        },
+        {
+          name: "idx_lotes_vencimiento",
+          using: "BTREE",
+          fields: [{ name: "estado" }, { name: "fecha_vencimiento" }],
+        },
+        {
+          name: "idx_lotes_recepcion",
+          using: "BTREE",
+          fields: [{ name: "recepcion_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  lotes_producto.associate = (models) => {
+    lotes_producto.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+    lotes_producto.belongsTo(models.recepciones, {
+      as: "recepcion",
+      foreignKey: "recepcion_id",
+    });
+    lotes_producto.hasMany(models.detalle_venta_lotes, {
+      as: "consumos",
+      foreignKey: "lote_id",
+    });
+  };
+
+  return lotes_producto;
+};
@@ -43,12 +43,17 @@ export default (sequelize) => {
         type: DataTypes.DECIMAL(10, 3),
         allowNull: false,
       },
+      costo_unitario: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: true,
+        comment: "Costo promedio ponderado del producto tras el movimiento",
+      },
       referencia_id: {
         type: DataTypes.INTEGER,
         allowNull: true,
       },
       referencia_tipo: {
-        type: DataTypes.ENUM("venta", "recepcion", "ajuste"),
+        type: DataTypes.ENUM("venta", "recepcion", "ajuste", "devolucion"),
         allowNull: true,
       },
       usuario_id: {
@@ -59,6 +64,15 @@ export default (sequelize) => {
           key: "id",
         },
       },
+      lote_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "lotes_producto",
+          key: "id",
+        },
+        comment: "Lote afectado (entrada por recepción o baja por vencimiento)",
+      },
       observaciones: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -97,6 +111,11 @@ export default (sequelize) => {
           using: "BTREE",
           fields: [{ name: "fecha_movimiento" }],
         },
+        {
+          name: "idx_movimientos_lote",
+          using: "BTREE",
+          fields: [{ name: "lote_id" }],
+        },
       ],
     }
   );
@@ -111,6 +130,10 @@ export default (sequelize) => {
       as: "usuario",
       foreignKey: "usuario_id",
     });
+    movimientos_inventario.belongsTo(models.lotes_producto, {
+      as: "lote",
+      foreignKey: "lote_id",
+    });
   };
   return movimientos_inventario;
 };
@@ -0,0 +1,160 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const ordenes_compra = sequelize.define(
+    "ordenes_compra",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      numero_orden: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: "OC-000123: se asigna a partir del id al crear la orden",
+      },
+      proveedor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "proveedores",
+          key: "id",
+        },
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+      },
+      estado: {
+        type: DataTypes.ENUM(
+          "borrador",
+          "enviada",
+          "parcialmente_recibida",
+          "cerrada",
+          "cancelada"
+        ),
+        allowNull: false,
+        defaultValue: "borrador",
+        validate: {
+          isIn: {
+            args: [
+              [
+                "borrador",
+                "enviada",
+                "parcialmente_recibida",
+                "cerrada",
+                "cancelada",
+              ],
+            ],
+            msg: "Estado inválido. Debe ser: borrador, enviada, parcialmente_recibida, cerrada o cancelada",
+          },
+        },
+      },
+      fecha_entrega_esperada: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Base antes de IVA a precios acordados",
+      },
+      total_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      observaciones: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      fecha_envio: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      fecha_cierre: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      motivo_cierre: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: "Motivo del cierre manual o de la cancelación",
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "ordenes_compra",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "uk_ordenes_compra_numero",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "numero_orden" }],
+        },
+        {
+          name: "idx_ordenes_compra_proveedor_estado",
+          using: "BTREE",
+          fields: [{ name: "proveedor_id" }, { name: "estado" }],
+        },
+        {
+          name: "idx_ordenes_compra_estado",
+          using: "BTREE",
+          fields: [{ name: "estado" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  ordenes_compra.associate = (models) => {
+    ordenes_compra.belongsTo(models.proveedores, {
+      as: "proveedor",
+      foreignKey: "proveedor_id",
+    });
+    ordenes_compra.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+    ordenes_compra.hasMany(models.detalle_ordenes_compra, {
+      as: "detalle",
+      foreignKey: "orden_compra_id",
+    });
+    ordenes_compra.hasMany(models.recepciones, {
+      as: "recepciones",
+      foreignKey: "orden_compra_id",
+    });
+  };
+  return ordenes_compra;
+};
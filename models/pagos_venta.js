@@ -0,0 +1,106 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const pagos_venta = sequelize.define(
+    "pagos_venta",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      venta_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "ventas",
+          key: "id",
+        },
+      },
+      metodo_pago: {
+        type: DataTypes.ENUM("efectivo", "tarjeta", "transferencia", "credito"),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [["efectivo", "tarjeta", "transferencia", "credito"]],
+            msg: "Método de pago inválido",
+          },
+        },
+      },
+      monto: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: "Valor aplicado al total de la venta",
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El monto del pago debe ser mayor a 0",
+          },
+        },
+      },
+      monto_recibido: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: "Efectivo entregado por el cliente (solo efectivo)",
+      },
+      cambio: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Vueltas entregadas (monto_recibido - monto)",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El cambio no puede ser negativo",
+          },
+        },
+      },
+      referencia: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: "Número de aprobación del datáfono o de la transferencia",
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "pagos_venta",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: false,
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "idx_pagos_venta_venta",
+          using: "BTREE",
+          fields: [{ name: "venta_id" }],
+        },
+        // Resumen y cuadre de caja por método
+        {
+          name: "idx_pagos_venta_metodo",
+          using: "BTREE",
+          fields: [{ name: "metodo_pago" }, { name: "venta_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  pagos_venta.associate = (models) => {
+    pagos_venta.belongsTo(models.ventas, {
+      as: "venta",
+      foreignKey: "venta_id",
+    });
+  };
+  return pagos_venta;
+};
@@ -0,0 +1,75 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const permisos = sequelize.define(
+    "permisos",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      codigo: {
+        type: DataTypes.STRING(60),
+        allowNull: false,
+        unique: "permiso_codigo_unique",
+        comment: "Nombre del permiso, ej: ventas.anular (ver utils/permisos.js)",
+      },
+      modulo: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: "Prefijo del código, para agrupar en la interfaz",
+      },
+      descripcion: {
+        type: DataTypes.STRING(200),
+        allowNull: true,
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "permisos",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "permiso_codigo_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "codigo" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  permisos.associate = (models) => {
+    permisos.hasMany(models.roles_permisos, {
+      as: "roles",
+      foreignKey: "permiso_id",
+    });
+    permisos.hasMany(models.usuarios_permisos, {
+      as: "excepciones",
+      foreignKey: "permiso_id",
+    });
+  };
+
+  return permisos;
+};
@@ -22,6 +22,23 @@ export default (sequelize) => {
         },
         comment: "Código de barras único del producto (EAN, UPC, etc.)",
       },
+      codigo_balanza: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: "codigo_balanza_unique",
+        validate: {
+          min: {
+            args: [1],
+            msg: "El código de balanza debe ser mayor a 0",
+          },
+          max: {
+            args: [999999],
+            msg: "El código de balanza no puede tener más de 6 dígitos",
+          },
+        },
+        comment:
+          "Código del artículo (PLU) en las etiquetas de balanza con peso o precio embebido",
+      },
       nombre: {
         type: DataTypes.STRING(200),
         allowNull: false,
@@ -84,7 +101,19 @@ export default (sequelize) => {
             }
           },
         },
-        comment: "Precio de compra al proveedor",
+        comment: "Último precio de compra facturado por el proveedor",
+      },
+      costo_promedio: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: true,
+        validate: {
+          min: {
+            args: [0],
+            msg: "El costo promedio no puede ser negativo",
+          },
+        },
+        comment:
+          "Costo promedio ponderado; se recalcula en cada entrada. NULL = aún sin calcular (se usa precio_compra)",
       },
       precio_venta: {
         type: DataTypes.DECIMAL(10, 2),
@@ -115,6 +144,18 @@ export default (sequelize) => {
         },
         comment: "Precio de venta al público",
       },
+      tarifa_iva: {
+        type: DataTypes.ENUM("19", "5", "0", "exento"),
+        allowNull: false,
+        defaultValue: "19",
+        comment: "Tarifa de IVA: 19%, 5%, 0% (exento con tarifa 0) o excluido",
+        validate: {
+          isIn: {
+            args: [["19", "5", "0", "exento"]],
+            msg: "La tarifa de IVA debe ser 19, 5, 0 o exento",
+          },
+        },
+      },
       tipo_medida: {
         type: DataTypes.ENUM("unidad", "peso"),
         allowNull: false, // ✅ CAMBIADO: No puede ser null
@@ -166,6 +207,12 @@ export default (sequelize) => {
         },
         comment: "Stock mínimo para alertas de reposición",
       },
+      maneja_lotes: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: "Perecedero: exige lote y fecha de vencimiento al recibir",
+      },
       activo: {
         type: DataTypes.BOOLEAN,
         allowNull: false, // ✅ CAMBIADO: No puede ser null
@@ -204,6 +251,12 @@ export default (sequelize) => {
           using: "BTREE",
           fields: [{ name: "codigo_barras" }],
         },
+        {
+          name: "codigo_balanza_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "codigo_balanza" }],
+        },
         {
           name: "idx_productos_nombre",
           using: "BTREE",
@@ -259,6 +312,22 @@ export default (sequelize) => {
       as: "movimientos_inventarios",
       foreignKey: "producto_id",
     });
+    productos.hasMany(models.lotes_producto, {
+      as: "lotes",
+      foreignKey: "producto_id",
+    });
+    productos.hasMany(models.historial_precios, {
+      as: "historial_precios",
+      foreignKey: "producto_id",
+    });
+    productos.hasMany(models.cambios_precio_programados, {
+      as: "cambios_precio_programados",
+      foreignKey: "producto_id",
+    });
+    productos.hasMany(models.codigos_producto, {
+      as: "codigos",
+      foreignKey: "producto_id",
+    });
   };
 
   return productos;
@@ -0,0 +1,177 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const promociones = sequelize.define(
+    "promociones",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      nombre: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: "El nombre de la promoción no puede estar vacío",
+          },
+          len: {
+            args: [3, 150],
+            msg: "El nombre de la promoción debe tener entre 3 y 150 caracteres",
+          },
+        },
+      },
+      descripcion: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      tipo: {
+        type: DataTypes.ENUM("nxm", "porcentaje", "precio_fijo"),
+        allowNull: false,
+        comment:
+          "nxm: lleva N paga M | porcentaje: % de descuento | precio_fijo: N unidades por un precio",
+      },
+      alcance: {
+        type: DataTypes.ENUM("producto", "categoria", "ticket"),
+        allowNull: false,
+        comment: "A qué se aplica: un producto, una categoría o todo el ticket",
+      },
+      producto_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "productos",
+          key: "id",
+        },
+      },
+      categoria_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "categorias",
+          key: "id",
+        },
+      },
+      cantidad_requerida: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "N en nxm y precio_fijo (unidades que forman el grupo)",
+      },
+      cantidad_pagada: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "M en nxm (unidades que se cobran por grupo)",
+      },
+      porcentaje: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+        validate: {
+          min: {
+            args: [0.01],
+            msg: "El porcentaje debe ser mayor a 0",
+          },
+          max: {
+            args: [99.99],
+            msg: "El porcentaje debe ser menor a 100",
+          },
+        },
+      },
+      precio_fijo: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: "Precio del grupo de N unidades en precio_fijo",
+      },
+      monto_minimo: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: "Monto mínimo del ticket para promociones de alcance ticket",
+      },
+      fecha_inicio: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      fecha_fin: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        validate: {
+          isAfterInicio(value) {
+            if (this.fecha_inicio && value <= this.fecha_inicio) {
+              throw new Error(
+                "La fecha de fin debe ser posterior a la fecha de inicio"
+              );
+            }
+          },
+        },
+      },
+      activo: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "promociones",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        // Búsqueda de promociones vigentes al crear venta
+        {
+          name: "idx_promociones_vigencia",
+          using: "BTREE",
+          fields: [
+            { name: "activo" },
+            { name: "fecha_inicio" },
+            { name: "fecha_fin" },
+          ],
+        },
+        {
+          name: "idx_promociones_producto",
+          using: "BTREE",
+          fields: [{ name: "producto_id" }],
+        },
+        {
+          name: "idx_promociones_categoria",
+          using: "BTREE",
+          fields: [{ name: "categoria_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  promociones.associate = (models) => {
+    promociones.belongsTo(models.productos, {
+      as: "producto",
+      foreignKey: "producto_id",
+    });
+    promociones.belongsTo(models.categorias, {
+      as: "categoria",
+      foreignKey: "categoria_id",
+    });
+    promociones.hasMany(models.detalle_ventas, {
+      as: "detalle_ventas",
+      foreignKey: "promocion_id",
+    });
+  };
+  return promociones;
+};
@@ -85,6 +85,22 @@ export default (sequelize) => {
           },
         },
       },
+      dias_entrega: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+        comment: "Días que tarda el proveedor en entregar desde el pedido",
+        validate: {
+          min: {
+            args: [0],
+            msg: "Los días de entrega no pueden ser negativos",
+          },
+          max: {
+            args: [90],
+            msg: "Los días de entrega no pueden exceder 90",
+          },
+        },
+      },
       activo: {
         type: DataTypes.BOOLEAN,
         allowNull: false, 
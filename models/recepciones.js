@@ -72,6 +72,15 @@ export default (sequelize) => {
           },
         },
       },
+      orden_compra_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "ordenes_compra",
+          key: "id",
+        },
+        comment: "Orden de compra que se está recibiendo (opcional)",
+      },
       fecha_recepcion: {
         type: DataTypes.DATEONLY,
         allowNull: false,
@@ -110,6 +119,18 @@ export default (sequelize) => {
           },
         },
       },
+      subtotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Base antes de IVA (suma de subtotales)",
+      },
+      total_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "IVA descontable de la factura",
+      },
       observaciones: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -170,6 +191,11 @@ export default (sequelize) => {
           using: "BTREE",
           fields: [{ name: "usuario_id" }],
         },
+        {
+          name: "idx_recepciones_orden_compra",
+          using: "BTREE",
+          fields: [{ name: "orden_compra_id" }],
+        },
         {
           name: "idx_recepciones_fecha",
           using: "BTREE",
@@ -240,6 +266,10 @@ export default (sequelize) => {
       as: "usuario",
       foreignKey: "usuario_id",
     });
+    recepciones.belongsTo(models.ordenes_compra, {
+      as: "orden_compra",
+      foreignKey: "orden_compra_id",
+    });
   };
 
   return recepciones;
@@ -0,0 +1,79 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const roles_permisos = sequelize.define(
+    "roles_permisos",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      rol: {
+        type: DataTypes.ENUM("cajero", "administrador", "dueño", "ayudante"),
+        allowNull: false,
+        validate: {
+          isIn: {
+            args: [["cajero", "administrador", "dueño", "ayudante"]],
+            msg: "El rol debe ser cajero, administrador, dueño o ayudante",
+          },
+        },
+      },
+      permiso_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "permisos",
+          key: "id",
+        },
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "roles_permisos",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "rol_permiso_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "rol" }, { name: "permiso_id" }],
+        },
+        {
+          name: "idx_roles_permisos_permiso",
+          using: "BTREE",
+          fields: [{ name: "permiso_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  roles_permisos.associate = (models) => {
+    roles_permisos.belongsTo(models.permisos, {
+      as: "permiso",
+      foreignKey: "permiso_id",
+    });
+  };
+
+  return roles_permisos;
+};
@@ -0,0 +1,156 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const sesiones_caja = sequelize.define(
+    "sesiones_caja",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      caja_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "cajas",
+          key: "id",
+        },
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+        comment: "Cajero que abrió la sesión",
+      },
+      estado: {
+        type: DataTypes.ENUM("abierta", "cerrada"),
+        allowNull: false,
+        defaultValue: "abierta",
+        validate: {
+          isIn: {
+            args: [["abierta", "cerrada"]],
+            msg: "Estado de sesión inválido",
+          },
+        },
+      },
+      monto_apertura: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Base (fondo de cambio) con la que se abre la caja",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El monto de apertura no puede ser negativo",
+          },
+        },
+      },
+      observaciones_apertura: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      fecha_apertura: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_cierre: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      usuario_cierre_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+        comment: "Usuario que cerró la sesión",
+      },
+      efectivo_esperado: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: "Apertura + ventas en efectivo - anulaciones - devoluciones",
+      },
+      efectivo_contado: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: "Efectivo contado físicamente al cierre",
+      },
+      diferencia_efectivo: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: "Contado - esperado (negativo = faltante)",
+      },
+      reporte_cierre: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: "Snapshot del reporte Z generado al cierre (para reimpresión)",
+      },
+      observaciones_cierre: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      tableName: "sesiones_caja",
+      timestamps: true,
+      createdAt: "fecha_apertura",
+      updatedAt: "updated_at",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "idx_sesiones_caja_estado",
+          using: "BTREE",
+          fields: [{ name: "caja_id" }, { name: "estado" }],
+        },
+        {
+          name: "idx_sesiones_usuario_estado",
+          using: "BTREE",
+          fields: [{ name: "usuario_id" }, { name: "estado" }],
+        },
+        {
+          name: "idx_sesiones_fecha_apertura",
+          using: "BTREE",
+          fields: [{ name: "fecha_apertura" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  sesiones_caja.associate = (models) => {
+    sesiones_caja.belongsTo(models.cajas, {
+      as: "caja",
+      foreignKey: "caja_id",
+    });
+    sesiones_caja.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+    sesiones_caja.belongsTo(models.usuarios, {
+      as: "usuario_cierre",
+      foreignKey: "usuario_cierre_id",
+    });
+    sesiones_caja.hasMany(models.ventas, {
+      as: "ventas",
+      foreignKey: "sesion_caja_id",
+    });
+  };
+  return sesiones_caja;
+};
@@ -113,6 +113,31 @@ export default (sequelize) => {
         },
         comment: "Estado del usuario: true = activo, false = inactivo",
       },
+      totp_activo: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: "Segundo factor (TOTP) confirmado y exigido en el login",
+      },
+      totp_secreto: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: "Secreto TOTP cifrado (ver utils/totp.js); pendiente mientras totp_activo = false",
+      },
+      totp_ultimo_paso: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "Último paso TOTP aceptado, evita reutilizar un código",
+      },
+      totp_codigos_recuperacion: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: "Hashes SHA-256 de los códigos de recuperación sin usar",
+      },
+      totp_activado_en: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       fecha_creacion: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -188,6 +213,10 @@ export default (sequelize) => {
       as: "venta",
       foreignKey: "usuario_id"
     });
+    usuarios.hasMany(models.usuarios_permisos, {
+      as: "permisos",
+      foreignKey: "usuario_id",
+    });
   };
 
   return usuarios;
@@ -0,0 +1,94 @@
+import { DataTypes, Sequelize } from "sequelize";
+
+export default (sequelize) => {
+  const usuarios_permisos = sequelize.define(
+    "usuarios_permisos",
+    {
+      id: {
+        autoIncrement: true,
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+      },
+      usuario_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+      },
+      permiso_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: "permisos",
+          key: "id",
+        },
+      },
+      concedido: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        comment: "true: otorga el permiso aunque el rol no lo tenga; false: lo quita",
+      },
+      asignado_por: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "usuarios",
+          key: "id",
+        },
+      },
+      fecha_creacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      fecha_actualizacion: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    },
+    {
+      sequelize,
+      tableName: "usuarios_permisos",
+      timestamps: true,
+      createdAt: "fecha_creacion",
+      updatedAt: "fecha_actualizacion",
+      indexes: [
+        {
+          name: "PRIMARY",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "id" }],
+        },
+        {
+          name: "usuario_permiso_unique",
+          unique: true,
+          using: "BTREE",
+          fields: [{ name: "usuario_id" }, { name: "permiso_id" }],
+        },
+        {
+          name: "idx_usuarios_permisos_permiso",
+          using: "BTREE",
+          fields: [{ name: "permiso_id" }],
+        },
+      ],
+    }
+  );
+
+  // ASOCIACIONES
+  usuarios_permisos.associate = (models) => {
+    usuarios_permisos.belongsTo(models.usuarios, {
+      as: "usuario",
+      foreignKey: "usuario_id",
+    });
+    usuarios_permisos.belongsTo(models.permisos, {
+      as: "permiso",
+      foreignKey: "permiso_id",
+    });
+  };
+
+  return usuarios_permisos;
+};
@@ -41,6 +41,24 @@ export default (sequelize) => {
           },
         },
       },
+      sesion_caja_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "sesiones_caja",
+          key: "id",
+        },
+        comment: "Sesión de caja en la que se registró la venta",
+      },
+      cliente_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "clientes",
+          key: "id",
+        },
+        comment: "Cliente identificado en la venta (opcional)",
+      },
       total: {
         type: DataTypes.DECIMAL(12, 2),
         allowNull: false,
@@ -54,26 +72,73 @@ export default (sequelize) => {
           },
         },
       },
+      descuento_total: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Suma de descuentos por promociones (total ya es neto)",
+        validate: {
+          min: {
+            args: [0],
+            msg: "El descuento total no puede ser negativo",
+          },
+        },
+      },
+      promocion_ticket_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "promociones",
+          key: "id",
+        },
+        comment: "Promoción de alcance ticket aplicada a la venta",
+      },
+      base_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Suma de bases gravables (total sin IVA)",
+      },
+      total_iva: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Suma de IVA incluido en el total",
+      },
       metodo_pago: {
-        type: DataTypes.ENUM("efectivo", "tarjeta", "transferencia"),
+        type: DataTypes.ENUM(
+          "efectivo",
+          "tarjeta",
+          "transferencia",
+          "credito",
+          "mixto"
+        ),
         allowNull: true,
         defaultValue: "efectivo",
+        comment:
+          "Resumen de pagos_venta: el único método usado o mixto si hay varios",
         validate: {
           isIn: {
-            args: [["efectivo", "tarjeta", "transferencia"]],
+            args: [["efectivo", "tarjeta", "transferencia", "credito", "mixto"]],
             msg: "Método de pago inválido",
           },
         },
       },
       estado: {
         // 🔥 NUEVO CAMPO
-        type: DataTypes.ENUM("activa", "anulada"),
+        type: DataTypes.ENUM(
+          "activa",
+          "parcialmente_devuelta",
+          "devuelta",
+          "anulada"
+        ),
         allowNull: false,
         defaultValue: "activa",
-        comment: "Estado de la venta: activa o anulada",
+        comment:
+          "Estado de la venta: activa, parcialmente_devuelta, devuelta o anulada",
         validate: {
           isIn: {
-            args: [["activa", "anulada"]],
+            args: [["activa", "parcialmente_devuelta", "devuelta", "anulada"]],
             msg: "Estado de venta inválido",
           },
         },
@@ -117,6 +182,15 @@ export default (sequelize) => {
           },
         },
       },
+      sesion_caja_anulacion_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: "sesiones_caja",
+          key: "id",
+        },
+        comment: "Sesión de caja abierta al anular (si existe); el reembolso sale de esa caja",
+      },
       motivo_anulacion: {
         // 🔥 NUEVO CAMPO: Para auditoría
         type: DataTypes.TEXT,
@@ -176,6 +250,22 @@ export default (sequelize) => {
           using: "BTREE",
           fields: [{ name: "metodo_pago" }],
         },
+        {
+          name: "idx_ventas_sesion_caja",
+          using: "BTREE",
+          fields: [{ name: "sesion_caja_id" }],
+        },
+        {
+          name: "idx_ventas_sesion_caja_anulacion",
+          using: "BTREE",
+          fields: [{ name: "sesion_caja_anulacion_id" }],
+        },
+        // Historial de compras por cliente
+        {
+          name: "idx_ventas_cliente_fecha",
+          using: "BTREE",
+          fields: [{ name: "cliente_id" }, { name: "fecha_venta" }],
+        },
         // ✅ NUEVO ÍNDICE COMPUESTO: Para reportes por usuario y fecha
         {
           name: "idx_ventas_usuario_fecha",
@@ -200,6 +290,34 @@ export default (sequelize) => {
       as: "detalle_venta",
       foreignKey: "venta_id",
     });
+    ventas.belongsTo(models.sesiones_caja, {
+      as: "sesion_caja",
+      foreignKey: "sesion_caja_id",
+    });
+    ventas.belongsTo(models.sesiones_caja, {
+      as: "sesion_caja_anulacion",
+      foreignKey: "sesion_caja_anulacion_id",
+    });
+    ventas.hasMany(models.devoluciones, {
+      as: "devoluciones",
+      foreignKey: "venta_id",
+    });
+    ventas.belongsTo(models.promociones, {
+      as: "promocion_ticket",
+      foreignKey: "promocion_ticket_id",
+    });
+    ventas.belongsTo(models.clientes, {
+      as: "cliente",
+      foreignKey: "cliente_id",
+    });
+    ventas.hasMany(models.pagos_venta, {
+      as: "pagos",
+      foreignKey: "venta_id",
+    });
+    ventas.hasOne(models.cuentas_por_cobrar, {
+      as: "cuenta_por_cobrar",
+      foreignKey: "venta_id",
+    });
   };
   return ventas;
 };
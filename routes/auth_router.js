@@ -4,11 +4,22 @@ import express from "express";
 // Controladores
 import {
   login,
+  refrescarToken,
   verifyToken,
   logout,
   obtenerPerfil,
   actualizarPerfil,
   cambiarPassword,
+  recuperarPassword,
+  restablecerPassword,
+  listarSesiones,
+  revocarSesion,
+  verificarDosFactoresLogin,
+  enrolarDosFactoresLogin,
+  enrolarDosFactores,
+  activarDosFactores,
+  desactivarDosFactores,
+  regenerarCodigosRecuperacion,
   obtenerEstadisticasSesiones,
   limpiarSesiones,
 } from "../controllers/authControlador.js";
@@ -16,18 +27,29 @@ import {
 // Middlewares de autenticación
 import {
   verifyToken as verifyTokenMiddleware,
-  verifyRole,
+  requirePermission,
 } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
 
+// Rate limiters
+import { passwordRecoveryLimiter } from "../middleware/rateLimiters.js";
+
 // Validaciones específicas
 import {
   validateLogin,
+  validateRefreshToken,
   validateCambiarPassword,
+  validateRecuperarPassword,
+  validateRestablecerPassword,
   validateActualizarPerfil,
   validateSessionQuery,
+  validateSesionId,
+  validateToken2FA,
+  validateVerificar2FA,
+  validateCodigo2FA,
+  validateDesactivar2FA,
   validateCompleteLogin,
   validateCompleteCambiarPassword,
   validateCompleteActualizarPerfil,
@@ -44,6 +66,23 @@ const router = express.Router();
  * /auth/login:
  *   post:
  *     summary: Autenticación de usuario
+ *     description: |
+ *       Devuelve un access token JWT de vida corta (`JWT_ACCESS_EXPIRES_IN`,
+ *       15 minutos por defecto) y un refresh token para renovarlo en
+ *       `/auth/refresh` sin volver a pedir la contraseña.
+ *
+ *       El login abre una sesión activa (con IP y navegador) identificada
+ *       por el `jti` del token. La sesión termina al cerrar sesión, al
+ *       revocarla desde `/auth/sesiones`, al cambiar o resetear la
+ *       contraseña, al desactivar el usuario o cuando el refresh token pasa
+ *       `JWT_REFRESH_EXPIRES_IN` (12 horas por defecto) sin usarse.
+ *
+ *       **Verificación en dos pasos:** si el usuario tiene 2FA activo no se
+ *       emiten tokens; la respuesta trae `requiere_2fa: true`, `pendiente:
+ *       "codigo"` y un `token_2fa` de 5 minutos para `/auth/2fa/login/verificar`.
+ *       Si su rol está en `TOTP_REQUIRED_ROLES` y aún no configuró 2FA,
+ *       `pendiente` es `"enrolamiento"`: debe pasar por
+ *       `/auth/2fa/login/enrolar` antes de verificar.
  *     tags: [Autenticación]
  *     requestBody:
  *       required: true
@@ -84,9 +123,42 @@ const router = express.Router();
  *                       example: "Bienvenido Juan"
  *                     token:
  *                       type: string
- *                       description: JWT Token
+ *                       description: Access token JWT
+ *                     token_type:
+ *                       type: string
+ *                       example: "Bearer"
+ *                     expires_in:
+ *                       type: integer
+ *                       description: Segundos de vida del access token
+ *                       example: 900
+ *                     refresh_token:
+ *                       type: string
+ *                       description: Refresh token de un solo uso
+ *                     refresh_expires_at:
+ *                       type: string
+ *                       format: date-time
  *                     user:
  *                       $ref: '#/components/schemas/UsuarioAuth'
+ *                     requiere_2fa:
+ *                       type: boolean
+ *                       description: Solo presente si falta el segundo factor (sin token ni user)
+ *                     pendiente:
+ *                       type: string
+ *                       enum: [codigo, enrolamiento]
+ *                     token_2fa:
+ *                       type: string
+ *                       description: Token de un paso de verificación (no sirve como Bearer)
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     sesion_id:
+ *                       type: string
+ *                       format: uuid
+ *                       description: jti de la sesión
+ *                     expira:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Vencimiento de la sesión si no se renueva
  *       401:
  *         description: Credenciales inválidas
  *       429:
@@ -105,6 +177,204 @@ router.post(
   login
 );
 
+// =====================================================
+// 🔄 RENOVAR ACCESS TOKEN
+// =====================================================
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renovar el access token
+ *     description: |
+ *       Cambia un refresh token por un access token nuevo y un refresh token
+ *       nuevo; el recibido deja de servir (rotación). No requiere el access
+ *       token, que normalmente ya habrá vencido.
+ *
+ *       Si se presenta un refresh token que ya fue rotado se asume que fue
+ *       robado: se revoca la sesión completa y todos sus tokens, y hay que
+ *       iniciar sesión de nuevo.
+ *
+ *       El access token nuevo lleva el rol y email actuales del usuario.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 example: "3f1c2a9e-7b4d-4e8a-9c61-2d5f0b8a7e13.Qm9sZXRvLWRlLWVqZW1wbG8"
+ *     responses:
+ *       200:
+ *         description: Tokens renovados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: Access token JWT
+ *                     token_type:
+ *                       type: string
+ *                       example: "Bearer"
+ *                     expires_in:
+ *                       type: integer
+ *                       example: 900
+ *                     refresh_token:
+ *                       type: string
+ *                       description: Reemplaza al refresh token enviado
+ *                     refresh_expires_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Refresh token con formato inválido
+ *       401:
+ *         description: |
+ *           Refresh token inválido, vencido o de una sesión cerrada
+ *           (`INVALID_REFRESH_TOKEN`), o reutilizado (`REFRESH_TOKEN_REUSED`,
+ *           la sesión queda revocada)
+ */
+router.post("/refresh", validateRefreshToken, refrescarToken);
+
+// =====================================================
+// 🔢 SEGUNDO FACTOR EN EL LOGIN
+// =====================================================
+/**
+ * @swagger
+ * /auth/2fa/login/verificar:
+ *   post:
+ *     summary: Completar el login con el código de verificación
+ *     description: |
+ *       Canjea el `token_2fa` de `/auth/login` y un código por los tokens de
+ *       sesión (misma respuesta que un login sin 2FA).
+ *
+ *       - Con `pendiente: "codigo"` acepta el código de 6 dígitos de la app o
+ *         un código de recuperación (cada uno sirve una sola vez).
+ *       - Con `pendiente: "enrolamiento"` el código activa el 2FA preparado
+ *         en `/auth/2fa/login/enrolar` y la respuesta incluye
+ *         `codigos_recuperacion`, que no se vuelven a mostrar.
+ *
+ *       Cinco códigos incorrectos bloquean la verificación del usuario por
+ *       15 minutos.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token_2fa
+ *               - codigo
+ *             properties:
+ *               token_2fa:
+ *                 type: string
+ *               codigo:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Login exitoso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refresh_token:
+ *                       type: string
+ *                     user:
+ *                       $ref: '#/components/schemas/UsuarioAuth'
+ *                     codigos_recuperacion:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Solo al enrolarse durante el login
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     metodo_2fa:
+ *                       type: string
+ *                       enum: [totp, recuperacion, enrolamiento]
+ *                     codigos_recuperacion_restantes:
+ *                       type: integer
+ *                       description: Solo si se usó un código de recuperación
+ *       400:
+ *         description: Datos inválidos o enrolamiento no iniciado
+ *       401:
+ *         description: Token de verificación vencido/inválido o código incorrecto
+ *       429:
+ *         description: Demasiados códigos incorrectos
+ */
+router.post("/2fa/login/verificar", validateVerificar2FA, verificarDosFactoresLogin);
+
+/**
+ * @swagger
+ * /auth/2fa/login/enrolar:
+ *   post:
+ *     summary: Configurar el 2FA obligatorio durante el login
+ *     description: |
+ *       Solo para un `token_2fa` con `pendiente: "enrolamiento"` (rol en
+ *       `TOTP_REQUIRED_ROLES` sin 2FA configurado). Devuelve el secreto y la
+ *       URI `otpauth://` para mostrar como QR; luego se envía el primer
+ *       código a `/auth/2fa/login/verificar`.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token_2fa
+ *             properties:
+ *               token_2fa:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secreto:
+ *                       type: string
+ *                       description: Para ingresarlo a mano en la app
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     uri:
+ *                       type: string
+ *                       example: "otpauth://totp/Santuario:admin?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Santuario&algorithm=SHA1&digits=6&period=30"
+ *       401:
+ *         description: Token de verificación vencido o inválido
+ *       409:
+ *         description: El usuario ya tiene 2FA activo
+ */
+router.post("/2fa/login/enrolar", validateToken2FA, enrolarDosFactoresLogin);
+
 // =====================================================
 // ✅ VERIFICAR TOKEN
 // =====================================================
@@ -123,7 +393,7 @@ router.post(
  *           type: string
  *           enum: [true, false]
  *           default: "false"
- *         description: Incluir permisos adicionales
+ *         description: Incluir los permisos efectivos del usuario (ver /permisos)
  *       - in: query
  *         name: refresh_cache
  *         schema:
@@ -153,6 +423,12 @@ router.post(
  *                       example: "Token válido"
  *                     user:
  *                       $ref: '#/components/schemas/UsuarioAuth'
+ *                     permisos:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Solo con include_permissions=true
+ *                       example: ["caja.operar", "ventas.crear"]
  *       401:
  *         description: Token inválido o expirado
  */
@@ -176,6 +452,9 @@ router.get(
  * /auth/logout:
  *   post:
  *     summary: Cerrar sesión del usuario
+ *     description: |
+ *       Revoca la sesión del token usado, incluido su refresh token; las
+ *       demás siguen activas.
  *     tags: [Autenticación]
  *     security:
  *       - bearerAuth: []
@@ -204,6 +483,75 @@ router.get(
  */
 router.post("/logout", verifyTokenMiddleware, logout);
 
+// =====================================================
+// 📱 SESIONES ACTIVAS (DISPOSITIVOS)
+// =====================================================
+/**
+ * @swagger
+ * /auth/sesiones:
+ *   get:
+ *     summary: Listar las sesiones activas del usuario
+ *     description: |
+ *       Un registro por token vigente (dispositivo/navegador), el más
+ *       reciente primero. La sesión del token usado viene con `actual: true`.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones activas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SesionActiva'
+ *       401:
+ *         description: No autorizado
+ */
+router.get("/sesiones", verifyTokenMiddleware, listarSesiones);
+
+/**
+ * @swagger
+ * /auth/sesiones/{jti}:
+ *   delete:
+ *     summary: Cerrar una sesión activa del usuario
+ *     description: |
+ *       El token de esa sesión deja de ser aceptado de inmediato. Si es la
+ *       sesión actual equivale a un logout.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jti
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       400:
+ *         description: ID de sesión inválido
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Sesión no encontrada, ya cerrada o de otro usuario
+ */
+router.delete(
+  "/sesiones/:jti",
+  verifyTokenMiddleware,
+  validateSesionId,
+  revocarSesion
+);
+
 // =====================================================
 // 👤 OBTENER PERFIL
 // =====================================================
@@ -354,6 +702,9 @@ router.put(
  *                         changed_at:
  *                           type: string
  *                           format: date-time
+ *                     sesiones_cerradas:
+ *                       type: integer
+ *                       description: Sesiones cerradas en otros dispositivos (la actual sigue activa)
  *       400:
  *         description: Contraseña actual incorrecta o nueva contraseña débil
  *       401:
@@ -366,6 +717,313 @@ router.patch(
   cambiarPassword
 );
 
+// =====================================================
+// 🔁 RECUPERAR CONTRASEÑA (SIN SESIÓN)
+// =====================================================
+/**
+ * @swagger
+ * /auth/recuperar-password:
+ *   post:
+ *     summary: Solicitar el correo para restablecer la contraseña
+ *     description: |
+ *       Envía al email un token de un solo uso que vence a los
+ *       `PASSWORD_RESET_EXPIRES_IN` (30 minutos por defecto). Si
+ *       `PASSWORD_RESET_URL` está configurada el correo lleva el enlace
+ *       `{PASSWORD_RESET_URL}?token=...`; si no, el token.
+ *
+ *       La respuesta es la misma exista o no el email, para no revelar qué
+ *       cuentas están registradas. Pedir otro correo invalida el anterior.
+ *
+ *       El correo sale por el transporte de `MAIL_TRANSPORT`: `outbox`
+ *       (defecto, guarda el correo en `logs/outbox` o `MAIL_OUTBOX_DIR`),
+ *       `log` (consola) u otro registrado con `registrarTransporteCorreo`.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "cajero@empresa.com"
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida (se envía el correo si el email existe)
+ *       400:
+ *         description: Email inválido
+ *       429:
+ *         description: Demasiadas solicitudes (5 por hora)
+ */
+router.post(
+  "/recuperar-password",
+  passwordRecoveryLimiter,
+  validateRecuperarPassword,
+  recuperarPassword
+);
+
+/**
+ * @swagger
+ * /auth/restablecer-password:
+ *   post:
+ *     summary: Restablecer la contraseña con el token del correo
+ *     description: |
+ *       Consume el token (sirve una sola vez), aplica las mismas reglas de
+ *       fortaleza que el cambio de contraseña y cierra todas las sesiones
+ *       abiertas del usuario. También levanta el bloqueo por intentos de
+ *       login fallidos.
+ *
+ *       Si la contraseña nueva es débil el token no se consume y se puede
+ *       reintentar. La verificación en dos pasos, si está activa, se sigue
+ *       pidiendo en el login.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password_nuevo
+ *               - password_confirmacion
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token recibido por correo
+ *               password_nuevo:
+ *                 type: string
+ *                 minLength: 6
+ *                 maxLength: 255
+ *               password_confirmacion:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                     password_info:
+ *                       type: object
+ *                       properties:
+ *                         strength:
+ *                           type: string
+ *                           enum: [débil, media, fuerte]
+ *                         changed_at:
+ *                           type: string
+ *                           format: date-time
+ *                     sesiones_cerradas:
+ *                       type: integer
+ *       400:
+ *         description: |
+ *           Token inválido, usado o vencido (`INVALID_RESET_TOKEN`), o
+ *           contraseña débil (`WEAK_PASSWORD`)
+ */
+router.post(
+  "/restablecer-password",
+  validateRestablecerPassword,
+  restablecerPassword
+);
+
+// =====================================================
+// 🔢 VERIFICACIÓN EN DOS PASOS (2FA)
+// =====================================================
+/**
+ * @swagger
+ * /auth/2fa/enrolar:
+ *   post:
+ *     summary: Iniciar la configuración de la verificación en dos pasos
+ *     description: |
+ *       Genera un secreto TOTP nuevo (compatible con Google Authenticator,
+ *       Authy, etc.) y la URI `otpauth://` para mostrar como QR. El 2FA no
+ *       queda activo hasta confirmarlo en `/auth/2fa/activar`; repetir este
+ *       paso reemplaza el secreto pendiente.
+ *
+ *       El emisor que muestra la app es `TOTP_ISSUER` ("Santuario" por
+ *       defecto).
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secreto:
+ *                       type: string
+ *                     uri:
+ *                       type: string
+ *       401:
+ *         description: No autorizado
+ *       409:
+ *         description: La verificación en dos pasos ya está activa
+ */
+router.post("/2fa/enrolar", verifyTokenMiddleware, enrolarDosFactores);
+
+/**
+ * @swagger
+ * /auth/2fa/activar:
+ *   post:
+ *     summary: Activar la verificación en dos pasos
+ *     description: |
+ *       Confirma el secreto de `/auth/2fa/enrolar` con un código de la app.
+ *       Devuelve 10 códigos de recuperación de un solo uso que no se vuelven
+ *       a mostrar. Desde el siguiente login se pide el código.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codigo
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: 2FA activado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     codigos_recuperacion:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["K7QRT-MZ2PA", "B4XWN-J6HDC"]
+ *       400:
+ *         description: Enrolamiento no iniciado
+ *       401:
+ *         description: No autorizado o código incorrecto
+ *       409:
+ *         description: La verificación en dos pasos ya está activa
+ *       429:
+ *         description: Demasiados códigos incorrectos
+ */
+router.post(
+  "/2fa/activar",
+  verifyTokenMiddleware,
+  validateCodigo2FA,
+  activarDosFactores
+);
+
+/**
+ * @swagger
+ * /auth/2fa/desactivar:
+ *   post:
+ *     summary: Desactivar la verificación en dos pasos
+ *     description: |
+ *       Requiere la contraseña y un código (de la app o de recuperación).
+ *       No se permite si el rol del usuario está en `TOTP_REQUIRED_ROLES`.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - codigo
+ *             properties:
+ *               password:
+ *                 type: string
+ *               codigo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desactivado
+ *       400:
+ *         description: Contraseña incorrecta o 2FA no activo
+ *       401:
+ *         description: No autorizado o código incorrecto
+ *       403:
+ *         description: El 2FA es obligatorio para el rol del usuario
+ *       429:
+ *         description: Demasiados códigos incorrectos
+ */
+router.post(
+  "/2fa/desactivar",
+  verifyTokenMiddleware,
+  validateDesactivar2FA,
+  desactivarDosFactores
+);
+
+/**
+ * @swagger
+ * /auth/2fa/codigos-recuperacion:
+ *   post:
+ *     summary: Generar códigos de recuperación nuevos
+ *     description: |
+ *       Reemplaza todos los códigos de recuperación; los anteriores dejan de
+ *       servir. Requiere un código actual de la app.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - codigo
+ *             properties:
+ *               codigo:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Códigos generados (se muestran una sola vez)
+ *       400:
+ *         description: 2FA no activo
+ *       401:
+ *         description: No autorizado o código incorrecto
+ *       429:
+ *         description: Demasiados códigos incorrectos
+ */
+router.post(
+  "/2fa/codigos-recuperacion",
+  verifyTokenMiddleware,
+  validateCodigo2FA,
+  regenerarCodigosRecuperacion
+);
+
 // =====================================================
 // 📊 ESTADÍSTICAS DE SESIONES (SOLO ADMINISTRADORES)
 // =====================================================
@@ -408,7 +1066,7 @@ router.patch(
 router.get(
   "/estadisticas-sesiones",
   verifyTokenMiddleware,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("sesiones.administrar"),
   obtenerEstadisticasSesiones
 );
 
@@ -454,7 +1112,7 @@ router.get(
 router.post(
   "/limpiar-sesiones",
   verifyTokenMiddleware,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("sesiones.administrar"),
   limpiarSesiones
 );
 
@@ -498,6 +1156,10 @@ router.post(
  *           type: boolean
  *           description: Estado activo del usuario
  *           example: true
+ *         totp_activo:
+ *           type: boolean
+ *           description: Verificación en dos pasos activa
+ *           example: false
  *         fecha_creacion:
  *           type: string
  *           format: date-time
@@ -563,6 +1225,35 @@ router.post(
  *           maxLength: 100
  *           description: Email del usuario
  *
+ *     SesionActiva:
+ *       type: object
+ *       properties:
+ *         jti:
+ *           type: string
+ *           format: uuid
+ *           description: ID de la sesión (jti del token)
+ *         creada:
+ *           type: string
+ *           format: date-time
+ *         ultimo_uso:
+ *           type: string
+ *           format: date-time
+ *           description: Se actualiza como mucho una vez por minuto
+ *         expira:
+ *           type: string
+ *           format: date-time
+ *           description: Vencimiento si no se renueva con el refresh token
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           example: "192.168.1.20"
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         actual:
+ *           type: boolean
+ *           description: true si es la sesión del token usado
+ *
  *     AuthSuccessResponse:
  *       type: object
  *       properties:
@@ -0,0 +1,408 @@
+// routes/caja_router.js - Apertura/Cierre de Caja y Reporte Z
+import express from "express";
+
+// Controladores
+import {
+  obtenerCajas,
+  crearCaja,
+  abrirSesion,
+  obtenerSesionActual,
+  cerrarSesion,
+  obtenerSesiones,
+  obtenerReporteZ,
+} from "../controllers/cajaControlador.js";
+
+// Middlewares de autenticación
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+
+// Middleware de sanitización
+import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
+
+// Rate limiters
+import {
+  cajaWriteLimiter,
+  ventasReportLimiter,
+} from "../middleware/rateLimiters.js";
+
+// Validaciones específicas
+import {
+  validateCreateCaja,
+  validateCajasQuery,
+  validateAbrirSesion,
+  validateSesionId,
+  validateSesionesQuery,
+  validateCierreSesion,
+} from "../validations/caja_validations.js";
+
+const router = express.Router();
+
+// =====================================================
+// OBTENER CAJAS
+// =====================================================
+/**
+ * @swagger
+ * /caja/cajas:
+ *   get:
+ *     summary: Listar cajas registradoras (incluye sesión abierta si existe)
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: string
+ *           enum: [true, false, all]
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Cajas obtenidas exitosamente
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/cajas",
+  sanitizeSearch({
+    queryFields: ["activo"],
+    maxLength: 10,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validateCajasQuery,
+  obtenerCajas
+);
+
+// =====================================================
+// CREAR CAJA
+// =====================================================
+/**
+ * @swagger
+ * /caja/cajas:
+ *   post:
+ *     summary: Registrar una caja registradora
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: "Caja 1"
+ *               descripcion:
+ *                 type: string
+ *                 example: "Caja principal junto a la entrada"
+ *               activo:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Caja creada exitosamente
+ *       409:
+ *         description: Ya existe una caja con ese nombre
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/cajas",
+  cajaWriteLimiter,
+  sanitizeSearch({
+    bodyFields: ["nombre", "descripcion"],
+    maxLength: 255,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("caja.configurar"),
+  validateCreateCaja,
+  crearCaja
+);
+
+// =====================================================
+// ABRIR SESIÓN DE CAJA
+// =====================================================
+/**
+ * @swagger
+ * /caja/sesiones/abrir:
+ *   post:
+ *     summary: Abrir sesión de caja con monto base
+ *     description: |
+ *       Abre una sesión de caja para el usuario autenticado. Mientras esté
+ *       abierta, todas sus ventas quedan asociadas a ella.
+ *
+ *       **Reglas:**
+ *       - Una caja solo puede tener una sesión abierta
+ *       - Un usuario solo puede tener una sesión abierta
+ *       - Sin sesión abierta no se pueden registrar ventas
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - caja_id
+ *             properties:
+ *               caja_id:
+ *                 type: integer
+ *                 example: 1
+ *               monto_apertura:
+ *                 type: number
+ *                 format: float
+ *                 example: 200000
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sesión abierta exitosamente
+ *       404:
+ *         description: Caja no encontrada
+ *       409:
+ *         description: La caja o el usuario ya tienen una sesión abierta
+ *       401:
+ *         description: No autorizado
+ *       429:
+ *         description: Límite de operaciones de caja excedido
+ */
+router.post(
+  "/sesiones/abrir",
+  cajaWriteLimiter,
+  sanitizeSearch({
+    bodyFields: ["observaciones"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("caja.operar"),
+  validateAbrirSesion,
+  abrirSesion
+);
+
+// =====================================================
+// SESIÓN ACTUAL DEL USUARIO
+// =====================================================
+/**
+ * @swagger
+ * /caja/sesiones/actual:
+ *   get:
+ *     summary: Obtener sesión abierta del usuario con totales en curso
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesión actual con totales por método de pago
+ *       404:
+ *         description: El usuario no tiene sesión abierta
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/sesiones/actual",
+  verifyToken,
+  requirePermission("caja.operar"),
+  obtenerSesionActual
+);
+
+// =====================================================
+// LISTAR SESIONES
+// =====================================================
+/**
+ * @swagger
+ * /caja/sesiones:
+ *   get:
+ *     summary: Listar sesiones de caja con filtros
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: caja_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: usuario_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [abierta, cerrada]
+ *       - in: query
+ *         name: fecha_inicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fecha_fin
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Sesiones obtenidas exitosamente
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/sesiones",
+  sanitizeSearch({
+    queryFields: ["estado"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("caja.supervisar"),
+  validateSesionesQuery,
+  obtenerSesiones
+);
+
+// =====================================================
+// CERRAR SESIÓN DE CAJA
+// =====================================================
+/**
+ * @swagger
+ * /caja/sesiones/{id}/cerrar:
+ *   post:
+ *     summary: Cerrar sesión de caja (cuadre) y generar reporte Z
+ *     description: |
+ *       Registra el dinero contado y lo compara con lo esperado por método
+ *       de pago:
+ *
+ *       - **Esperado** = ventas - anulaciones - devoluciones + abonos a crédito (+ base en efectivo)
+ *       - Anulaciones y devoluciones restan en la sesión de quien las
+ *         registra (de ahí sale el dinero), no en la de la venta original;
+ *         una sesión ya cerrada no cambia
+ *       - Las ventas a crédito (fiado) se informan aparte: no ingresan dinero
+ *       - El reporte Z queda guardado para reimpresión
+ *
+ *       Requiere `caja.operar`; la sesión de otro cajero solo la cierra quien
+ *       tenga `caja.supervisar`.
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - efectivo_contado
+ *             properties:
+ *               efectivo_contado:
+ *                 type: number
+ *                 format: float
+ *                 example: 1250000
+ *               tarjeta_contado:
+ *                 type: number
+ *                 format: float
+ *               transferencia_contado:
+ *                 type: number
+ *                 format: float
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada, devuelve el reporte Z
+ *       400:
+ *         description: La sesión ya estaba cerrada
+ *       403:
+ *         description: El usuario no puede cerrar esta sesión
+ *       404:
+ *         description: Sesión no encontrada
+ *       429:
+ *         description: Límite de operaciones de caja excedido
+ */
+router.post(
+  "/sesiones/:id/cerrar",
+  cajaWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["observaciones"],
+    maxLength: 1000,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("caja.operar"),
+  validateCierreSesion,
+  cerrarSesion
+);
+
+// =====================================================
+// REPORTE Z (REIMPRESIÓN)
+// =====================================================
+/**
+ * @swagger
+ * /caja/sesiones/{id}/reporte-z:
+ *   get:
+ *     summary: Reimprimir el reporte Z de una sesión cerrada
+ *     description: Devuelve el reporte guardado al cierre (no se recalcula).
+ *     tags: [Caja]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reporte Z de la sesión
+ *       400:
+ *         description: La sesión sigue abierta
+ *       404:
+ *         description: Sesión no encontrada
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/sesiones/:id/reporte-z",
+  ventasReportLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("caja.supervisar"),
+  validateSesionId,
+  obtenerReporteZ
+);
+
+export default router;
@@ -12,7 +12,7 @@ import {
 } from "../controllers/categoriasControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -32,6 +32,7 @@ import {
   validateGetCategoriasQuery,
   validateGetCategoriaByIdQuery,
 } from "../validations/categorias_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 const router = express.Router();
 
@@ -120,6 +121,8 @@ router.get(
  *     tags: [Categorías]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Estadísticas obtenidas exitosamente
@@ -148,7 +151,8 @@ router.get(
   "/estadisticas",
   categoriasReportLimiter, // 🔥 NUEVO: Rate limiter para reportes
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("categorias.estadisticas"),
+  validateFormatoExportacion,
   obtenerEstadisticasCategorias
 );
 
@@ -270,7 +274,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("categorias.gestionar"),
   validateCreateCategoria,
   crearCategoria
 );
@@ -345,7 +349,7 @@ router.put(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("categorias.gestionar"),
   validateCategoriaId,
   validateUpdateCategoria,
   actualizarCategoria
@@ -364,7 +368,7 @@ router.put(
  *       
  *       **Restricciones:**
  *       - No se puede desactivar si tiene productos activos
- *       - Solo roles: administrador, dueño
+ *       - Requiere el permiso `categorias.gestionar`
  *       
  *       **Límites de Rate Limiting:**
  *       - Máximo 5 desactivaciones cada 15 minutos
@@ -403,7 +407,7 @@ router.delete(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("categorias.gestionar"),
   validateCategoriaId,
   eliminarCategoria
 );
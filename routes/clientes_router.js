@@ -0,0 +1,580 @@
+// routes/clientes_router.js - Registro de Clientes
+import express from "express";
+
+// Controladores
+import {
+  obtenerClientes,
+  obtenerClientePorId,
+  obtenerComprasCliente,
+  crearCliente,
+  actualizarCliente,
+  eliminarCliente,
+} from "../controllers/clientesControlador.js";
+import {
+  obtenerEstadoCuenta,
+  obtenerReporteCartera,
+  actualizarCredito,
+  registrarAbono,
+} from "../controllers/creditoControlador.js";
+
+// Middlewares de autenticación
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+
+// Middleware de sanitización
+import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
+
+// Rate limiters
+import { clientesWriteLimiter } from "../middleware/rateLimiters.js";
+
+// Validaciones específicas
+import {
+  validateCreateCliente,
+  validateClienteId,
+  validateGetClientesQuery,
+  validateClienteUpdate,
+  validateComprasCliente,
+} from "../validations/clientes_validations.js";
+import {
+  validateCarteraQuery,
+  validateCreditoUpdate,
+  validateAbono,
+} from "../validations/credito_validations.js";
+
+const router = express.Router();
+
+// =====================================================
+// OBTENER CLIENTES
+// =====================================================
+/**
+ * @swagger
+ * /clientes:
+ *   get:
+ *     summary: Listar clientes con búsqueda y filtros
+ *     description: |
+ *       Busca por nombre, número de documento, email o teléfono.
+ *       Con `incluir_estadisticas=true` agrega total_compras,
+ *       monto_total_compras y ultima_compra (excluye ventas anuladas).
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           example: "900123456"
+ *       - in: query
+ *         name: tipo_documento
+ *         schema:
+ *           type: string
+ *           enum: [CC, NIT, CE, TI, PASAPORTE]
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: string
+ *           enum: [true, false, all]
+ *           default: true
+ *       - in: query
+ *         name: incluir_estadisticas
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
+ *           default: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Clientes obtenidos exitosamente
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/",
+  sanitizeSearch({
+    queryFields: ["search", "tipo_documento", "activo", "incluir_estadisticas"],
+    maxLength: 200,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validateGetClientesQuery,
+  obtenerClientes
+);
+
+// =====================================================
+// REPORTE DE CARTERA (CRÉDITO)
+// =====================================================
+/**
+ * @swagger
+ * /clientes/cartera:
+ *   get:
+ *     summary: Cartera por edades de clientes con crédito
+ *     description: |
+ *       Saldo pendiente de ventas a crédito agrupado por cliente y por días
+ *       de mora desde el vencimiento: por_vencer, dias_1_30, dias_31_60,
+ *       dias_61_90 y mas_de_90. Los clientes con más saldo vencido van primero.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fecha_corte
+ *         description: Fecha a la que se calcula la mora (por defecto hoy)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reporte de cartera generado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/cartera",
+  sanitizeSearch({
+    queryFields: ["fecha_corte"],
+    maxLength: 30,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("credito.cartera"),
+  validateCarteraQuery,
+  obtenerReporteCartera
+);
+
+// =====================================================
+// HISTORIAL DE COMPRAS DEL CLIENTE
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}/compras:
+ *   get:
+ *     summary: Historial de compras de un cliente
+ *     description: |
+ *       Lista las ventas del cliente (sin anuladas) y un resumen del rango:
+ *       total_compras, monto_total, total_devuelto, monto_neto,
+ *       ticket_promedio, primera_compra y ultima_compra.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fecha_inicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fecha_fin
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente (resumen en metadata.resumen)
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/:id/compras",
+  sanitizeSearch({
+    paramFields: ["id"],
+    queryFields: ["fecha_inicio", "fecha_fin"],
+    maxLength: 30,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("clientes.compras"),
+  validateComprasCliente,
+  obtenerComprasCliente
+);
+
+// =====================================================
+// ESTADO DE CUENTA (CRÉDITO)
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}/credito:
+ *   get:
+ *     summary: Estado de cuenta del cliente
+ *     description: |
+ *       Cupo, saldo, cupo disponible, saldo vencido, cuentas por cobrar
+ *       abiertas (con días de mora) y los últimos 20 abonos.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Estado de cuenta obtenido
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/:id/credito",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("credito.consultar"),
+  validateClienteId,
+  obtenerEstadoCuenta
+);
+
+// =====================================================
+// APROBAR / MODIFICAR CUPO DE CRÉDITO
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}/credito:
+ *   put:
+ *     summary: Aprobar o modificar el cupo de crédito (fiado)
+ *     description: |
+ *       `limite_credito` en 0 deshabilita nuevas ventas a crédito.
+ *       Un cupo menor al saldo actual no afecta lo ya vendido.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limite_credito:
+ *                 type: number
+ *                 example: 300000
+ *               dias_credito:
+ *                 type: integer
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Cupo actualizado
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.put(
+  "/:id/credito",
+  clientesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("credito.configurar"),
+  validateCreditoUpdate,
+  actualizarCredito
+);
+
+// =====================================================
+// REGISTRAR ABONO
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}/abonos:
+ *   post:
+ *     summary: Registrar abono a la cuenta del cliente
+ *     description: |
+ *       Reduce el saldo del cliente aplicando el pago a sus cuentas abiertas
+ *       de la más antigua a la más reciente. Si el usuario tiene una sesión
+ *       de caja abierta, el abono entra en el cuadre de esa sesión.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - monto
+ *             properties:
+ *               monto:
+ *                 type: number
+ *                 example: 50000
+ *               metodo_pago:
+ *                 type: string
+ *                 enum: [efectivo, tarjeta, transferencia]
+ *                 default: efectivo
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Abono registrado (incluye cuentas afectadas y saldo actual)
+ *       400:
+ *         description: El cliente no tiene saldo o el abono lo supera
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/:id/abonos",
+  clientesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["observaciones"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("credito.abonar"),
+  validateAbono,
+  registrarAbono
+);
+
+// =====================================================
+// OBTENER CLIENTE POR ID
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}:
+ *   get:
+ *     summary: Obtener un cliente
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cliente encontrado
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/:id",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validateClienteId,
+  obtenerClientePorId
+);
+
+// =====================================================
+// REGISTRAR CLIENTE
+// =====================================================
+/**
+ * @swagger
+ * /clientes:
+ *   post:
+ *     summary: Registrar cliente
+ *     description: |
+ *       El par `tipo_documento` + `numero_documento` es único.
+ *       Use NIT para empresas que requieren factura.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - numero_documento
+ *               - nombre
+ *             properties:
+ *               tipo_documento:
+ *                 type: string
+ *                 enum: [CC, NIT, CE, TI, PASAPORTE]
+ *                 default: CC
+ *               numero_documento:
+ *                 type: string
+ *                 example: "900123456-7"
+ *               nombre:
+ *                 type: string
+ *                 example: "Distribuciones La Esquina S.A.S."
+ *               telefono:
+ *                 type: string
+ *                 example: "3001234567"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "facturacion@laesquina.com"
+ *               activo:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Cliente registrado exitosamente
+ *       400:
+ *         description: Datos inválidos
+ *       409:
+ *         description: Ya existe un cliente con este documento
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/",
+  clientesWriteLimiter,
+  sanitizeSearch({
+    bodyFields: ["numero_documento", "nombre", "telefono", "email"],
+    maxLength: 200,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("clientes.gestionar"),
+  validateCreateCliente,
+  crearCliente
+);
+
+// =====================================================
+// ACTUALIZAR CLIENTE
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}:
+ *   put:
+ *     summary: Actualizar cliente
+ *     description: Actualización parcial. El documento resultante no puede repetirse.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cliente actualizado exitosamente
+ *       404:
+ *         description: Cliente no encontrado
+ *       409:
+ *         description: Ya existe otro cliente con este documento
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.put(
+  "/:id",
+  clientesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["numero_documento", "nombre", "telefono", "email"],
+    maxLength: 200,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("clientes.gestionar"),
+  validateClienteUpdate,
+  actualizarCliente
+);
+
+// =====================================================
+// DESACTIVAR CLIENTE
+// =====================================================
+/**
+ * @swagger
+ * /clientes/{id}:
+ *   delete:
+ *     summary: Desactivar cliente (eliminación lógica)
+ *     description: Las ventas históricas conservan la referencia al cliente.
+ *     tags: [Clientes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cliente desactivado exitosamente
+ *       400:
+ *         description: El cliente ya estaba desactivado
+ *       404:
+ *         description: Cliente no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.delete(
+  "/:id",
+  clientesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("clientes.eliminar"),
+  validateClienteId,
+  eliminarCliente
+);
+
+export default router;
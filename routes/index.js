@@ -8,6 +8,11 @@ import proveedoresRoutes from "./proveedores_router.js";
 import recepcionesRoutes from "./recepciones_router.js";
 import ventasRoutes from "./ventas_router.js";
 import inventarioRoutes from "./inventario_router.js";
+import cajaRoutes from "./caja_router.js";
+import promocionesRoutes from "./promociones_router.js";
+import clientesRoutes from "./clientes_router.js";
+import ordenesCompraRoutes from "./ordenes_compra_router.js";
+import permisosRoutes from "./permisos_router.js";
 
 const router = express.Router();
 
@@ -19,5 +24,10 @@ router.use("/proveedores", proveedoresRoutes);
 router.use("/recepciones", recepcionesRoutes);
 router.use("/ventas", ventasRoutes);
 router.use("/inventario", inventarioRoutes);
+router.use("/caja", cajaRoutes);
+router.use("/promociones", promocionesRoutes);
+router.use("/clientes", clientesRoutes);
+router.use("/ordenes-compra", ordenesCompraRoutes);
+router.use("/permisos", permisosRoutes);
 
 export default router;
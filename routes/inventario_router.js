@@ -10,12 +10,16 @@ import {
   obtenerValorInventario,
   obtenerEstadisticasMovimientos,
   obtenerReporteMovimientosPorProducto,
+  obtenerSugerenciasCompra,
   actualizarStock,
   ajustarInventario,
+  generarOrdenesDesdeSugerencias,
+  obtenerVencimientos,
+  darDeBajaLote,
 } from "../controllers/inventarioControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -29,13 +33,19 @@ import {
   validateGetMovimientosQuery,
   validateGetReporteProductoQuery,
   validateGetEstadisticasQuery,
+  validateGetSugerenciasCompraQuery,
+  validateGenerarOrdenesSugeridas,
+  validateGetVencimientosQuery,
+  validateBajaLote,
   validateDateRange,
 } from "../validations/inventario_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 import {
   inventoryWriteLimiter,
   criticalAdjustLimiter,
   reportLimiter,
+  ordenesCompraWriteLimiter,
 } from "../middleware/rateLimiters.js";
 
 const router = express.Router();
@@ -90,6 +100,7 @@ const router = express.Router();
  *           maximum: 200
  *           default: 20
  *         description: Límite de resultados por página
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Lista de movimientos obtenida exitosamente
@@ -104,6 +115,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateGetMovimientosQuery,
   validateDateRange,
   obtenerMovimientos
@@ -194,7 +206,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("inventario.reportes"),
   reportLimiter,
   obtenerResumenInventario
 );
@@ -207,7 +219,9 @@ router.get(
  * /inventario/valor:
  *   get:
  *     summary: Obtener valor total del inventario por categoría
- *     description: Análisis financiero del inventario con breakdown por categoría
+ *     description: |
+ *       Análisis financiero del inventario con breakdown por categoría.
+ *       valor_compra usa el costo promedio ponderado de cada producto.
  *     tags: [Inventario]
  *     security:
  *       - bearerAuth: []
@@ -227,7 +241,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("inventario.reportes"),
   reportLimiter,
   obtenerValorInventario
 );
@@ -252,6 +266,7 @@ router.get(
  *           maximum: 365
  *           default: 30
  *         description: Período en días para el análisis
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Estadísticas obtenidas exitosamente
@@ -268,8 +283,9 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("inventario.reportes"),
   reportLimiter,
+  validateFormatoExportacion,
   validateGetEstadisticasQuery,
   obtenerEstadisticasMovimientos
 );
@@ -335,6 +351,293 @@ router.get(
   obtenerReporteMovimientosPorProducto
 );
 
+// =====================================================
+// SUGERENCIAS DE COMPRA
+// =====================================================
+/**
+ * @swagger
+ * /inventario/sugerencias-compra:
+ *   get:
+ *     summary: Sugerencias de compra agrupadas por proveedor
+ *     description: |
+ *       Calcula el consumo diario promedio (salidas por venta menos anulaciones
+ *       y devoluciones) y sugiere cuánto pedir de cada producto.
+ *
+ *       - **punto_reorden** = stock_minimo + consumo_diario × dias_entrega del proveedor
+ *       - Se sugiere comprar cuando stock_actual + pendiente en órdenes abiertas ≤ punto_reorden
+ *       - **cantidad_sugerida** = stock_minimo + consumo_diario × (dias_entrega + dias_cobertura)
+ *         − stock_actual − pendiente en órdenes abiertas
+ *
+ *       El proveedor y el precio estimado salen de la última recepción procesada
+ *       del producto. Los productos nunca recibidos van en `sin_proveedor`.
+ *     tags: [Inventario]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dias_analisis
+ *         schema:
+ *           type: integer
+ *           minimum: 7
+ *           maximum: 180
+ *           default: 30
+ *         description: Días de historial para el consumo promedio
+ *       - in: query
+ *         name: dias_cobertura
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 15
+ *         description: Días de venta que debe cubrir el pedido una vez llegue
+ *       - in: query
+ *         name: proveedor_id
+ *         schema:
+ *           type: integer
+ *         description: Solo productos de este proveedor
+ *     responses:
+ *       200:
+ *         description: |
+ *           Sugerencias calculadas. `data.por_proveedor[]` trae el proveedor,
+ *           sus productos (prioridad sin_stock, urgente o normal) y el costo
+ *           estimado; `data.resumen` los totales.
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/sugerencias-compra",
+  sanitizeSearch({
+    queryFields: [],
+    maxLength: 50,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("inventario.sugerencias"),
+  reportLimiter,
+  validateGetSugerenciasCompraQuery,
+  obtenerSugerenciasCompra
+);
+
+/**
+ * @swagger
+ * /inventario/sugerencias-compra/ordenes:
+ *   post:
+ *     summary: Generar órdenes de compra en borrador desde las sugerencias
+ *     description: |
+ *       Crea una orden de compra en `borrador` por cada proveedor activo con
+ *       productos por reponer, con las cantidades sugeridas y el precio de la
+ *       última recepción. La entrega esperada es hoy + dias_entrega del proveedor.
+ *       Las órdenes deben revisarse y enviarse desde `/ordenes-compra`.
+ *     tags: [Inventario]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dias_analisis:
+ *                 type: integer
+ *                 default: 30
+ *               dias_cobertura:
+ *                 type: integer
+ *                 default: 15
+ *               proveedor_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Limitar a estos proveedores (por defecto todos)
+ *           example:
+ *             dias_cobertura: 10
+ *             proveedor_ids: [4, 7]
+ *     responses:
+ *       201:
+ *         description: Órdenes generadas (`omitidos` lista productos sin proveedor, con proveedor inactivo o cuya orden falló al crearse: `ERROR_CREACION`, se puede reintentar solo con ese `proveedor_ids`)
+ *       200:
+ *         description: No había productos por reponer
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       409:
+ *         description: Un proveedor o producto cambió durante la generación
+ */
+router.post(
+  "/sugerencias-compra/ordenes",
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  ordenesCompraWriteLimiter,
+  validateGenerarOrdenesSugeridas,
+  generarOrdenesDesdeSugerencias
+);
+
+// =====================================================
+// LOTES Y VENCIMIENTOS (PERECEDEROS)
+// =====================================================
+/**
+ * @swagger
+ * /inventario/vencimientos:
+ *   get:
+ *     summary: Lotes con existencias que vencen dentro de N días
+ *     description: |
+ *       Lista los lotes activos de productos con `maneja_lotes`, ordenados por
+ *       fecha de vencimiento. Por defecto incluye los ya vencidos que aún
+ *       tienen existencias (candidatos a dar de baja).
+ *     tags: [Inventario]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dias
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 90
+ *           default: 7
+ *         description: Ventana de días desde hoy (0 = solo lo que vence hoy)
+ *       - in: query
+ *         name: incluir_vencidos
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Incluir lotes ya vencidos con existencias
+ *       - in: query
+ *         name: producto_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por producto
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por categoría
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: |
+ *           Lotes obtenidos. Cada lote trae dias_para_vencer,
+ *           estado_vencimiento (vencido, vence_hoy, por_vencer) y valor_costo;
+ *           `metadata.resumen` totaliza el rango completo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lotes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LoteProducto'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/vencimientos",
+  sanitizeSearch({
+    queryFields: [],
+    maxLength: 50,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("inventario.vencimientos"),
+  reportLimiter,
+  validateGetVencimientosQuery,
+  obtenerVencimientos
+);
+
+/**
+ * @swagger
+ * /inventario/lotes/{id}/baja:
+ *   post:
+ *     summary: Dar de baja un lote vencido o dañado
+ *     description: |
+ *       Descuenta del stock la cantidad indicada (por defecto todo lo disponible
+ *       del lote) y lo registra como movimiento de `ajuste` con `lote_id`, para
+ *       que la merma quede trazada. Si se da de baja todo, el lote pasa a
+ *       `dado_de_baja` y no recibe devoluciones.
+ *
+ *       Si el stock del producto ya era menor que el lote (ajuste manual
+ *       previo), solo se descuenta lo que hay: el movimiento y la pérdida usan
+ *       `cantidad_descontada` y la diferencia se informa en `cantidad_sin_stock`.
+ *     tags: [Inventario]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del lote
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - observaciones
+ *             properties:
+ *               cantidad:
+ *                 type: number
+ *                 format: float
+ *                 description: Cantidad a dar de baja (por defecto todo el lote)
+ *               observaciones:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 1000
+ *                 description: Motivo de la baja
+ *           example:
+ *             observaciones: "Lote vencido retirado de exhibición"
+ *     responses:
+ *       200:
+ *         description: Lote dado de baja (incluye stock anterior/nuevo y pérdida al costo)
+ *       400:
+ *         description: Cantidad mayor a la disponible o datos inválidos
+ *       404:
+ *         description: Lote no encontrado
+ *       409:
+ *         description: El lote está agotado o ya fue dado de baja
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/lotes/:id/baja",
+  sanitizeSearch({
+    bodyFields: ["observaciones"],
+    maxLength: 1000,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("inventario.bajas"),
+  criticalAdjustLimiter,
+  validateStockId,
+  validateBajaLote,
+  darDeBajaLote
+);
+
 // =====================================================
 // ACTUALIZAR STOCK (MOVIMIENTO NORMAL)
 // =====================================================
@@ -415,7 +718,7 @@ router.patch(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño", "cajero"]),
+  requirePermission("inventario.stock"),
   inventoryWriteLimiter,
   validateStockId,
   validateActualizarStock,
@@ -433,7 +736,7 @@ router.patch(
  *     description: >
  *       Permite establecer directamente el stock de un producto.
  *       Usado para correcciones de inventario físico.
- *       Solo administradores y dueños pueden realizar ajustes.
+ *       Requiere el permiso `inventario.ajustar`.
  *     tags: [Inventario]
  *     security:
  *       - bearerAuth: []
@@ -485,7 +788,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("inventario.ajustar"),
   criticalAdjustLimiter,
   validateAjustarInventario,
   ajustarInventario
@@ -522,10 +825,18 @@ router.post(
  *           nullable: true
  *         referencia_tipo:
  *           type: string
- *           enum: [venta, recepcion, ajuste]
+ *           enum: [venta, recepcion, ajuste, devolucion]
  *           nullable: true
  *         usuario_id:
  *           type: integer
+ *         lote_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Lote afectado (recepciones y bajas de perecederos)
+ *         costo_unitario:
+ *           type: number
+ *           nullable: true
+ *           description: Costo promedio ponderado del producto tras el movimiento
  *         observaciones:
  *           type: string
  *           nullable: true
@@ -558,6 +869,53 @@ router.post(
  *             apellido:
  *               type: string
  *
+ *     LoteProducto:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         numero_lote:
+ *           type: string
+ *           nullable: true
+ *         fecha_vencimiento:
+ *           type: string
+ *           format: date
+ *         dias_para_vencer:
+ *           type: integer
+ *           description: Negativo si ya venció
+ *         estado_vencimiento:
+ *           type: string
+ *           enum: [vencido, vence_hoy, por_vencer]
+ *         cantidad_inicial:
+ *           type: number
+ *           format: float
+ *         cantidad_disponible:
+ *           type: number
+ *           format: float
+ *         valor_costo:
+ *           type: number
+ *           format: float
+ *         producto:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             nombre:
+ *               type: string
+ *             codigo_barras:
+ *               type: string
+ *         recepcion:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             numero_factura:
+ *               type: string
+ *             fecha_recepcion:
+ *               type: string
+ *               format: date
+ *
  *     ProductoStockBajo:
  *       type: object
  *       properties:
@@ -671,6 +1029,7 @@ router.post(
  *                 type: integer
  *               valor_compra:
  *                 type: number
+ *                 description: Stock valorado al costo promedio ponderado
  *               valor_venta:
  *                 type: number
  *               stock_total:
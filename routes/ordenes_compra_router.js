@@ -0,0 +1,558 @@
+// routes/ordenes_compra_router.js - Órdenes de Compra a Proveedores
+import express from "express";
+
+// Controladores
+import {
+  obtenerOrdenesCompra,
+  obtenerOrdenCompraPorId,
+  crearOrdenCompra,
+  actualizarOrdenCompra,
+  enviarOrdenCompra,
+  cerrarOrdenCompra,
+  cancelarOrdenCompra,
+  crearRecepcionDesdeOrden,
+} from "../controllers/ordenesCompraControlador.js";
+
+// Middlewares de autenticación
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+
+// Middleware de sanitización
+import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
+
+// Rate limiters
+import { ordenesCompraWriteLimiter } from "../middleware/rateLimiters.js";
+
+// Validaciones específicas
+import {
+  validateCreateOrdenCompra,
+  validateOrdenCompraId,
+  validateGetOrdenesCompraQuery,
+  validateOrdenCompraUpdate,
+  validateOrdenCompraCambioEstado,
+  validateRecepcionDesdeOrden,
+} from "../validations/ordenes_compra_validations.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LineaOrdenCompra:
+ *       type: object
+ *       required: [producto_id, cantidad, precio_unitario]
+ *       properties:
+ *         producto_id:
+ *           type: integer
+ *           example: 123
+ *         cantidad:
+ *           type: number
+ *           example: 48
+ *         precio_unitario:
+ *           type: number
+ *           description: Precio acordado antes de IVA
+ *           example: 1800
+ *         tarifa_iva:
+ *           type: string
+ *           enum: ["19", "5", "0", "exento"]
+ *           description: Por defecto la tarifa del producto
+ *     ConciliacionOrden:
+ *       type: object
+ *       description: Resultado de cruzar una recepción procesada con su orden
+ *       properties:
+ *         orden_compra_id:
+ *           type: integer
+ *         numero_orden:
+ *           type: string
+ *           example: "OC-000012"
+ *         estado_orden:
+ *           type: string
+ *           enum: [enviada, parcialmente_recibida, cerrada]
+ *         tiene_novedades:
+ *           type: boolean
+ *         sobre_entregas:
+ *           type: array
+ *           items:
+ *             type: object
+ *         entregas_incompletas:
+ *           type: array
+ *           items:
+ *             type: object
+ *         diferencias_precio:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               producto_id:
+ *                 type: integer
+ *               precio_acordado:
+ *                 type: number
+ *               precio_facturado:
+ *                 type: number
+ *               diferencia:
+ *                 type: number
+ *               porcentaje:
+ *                 type: number
+ *               impacto:
+ *                 type: number
+ *         productos_no_pedidos:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+
+// =====================================================
+// OBTENER ÓRDENES DE COMPRA
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra:
+ *   get:
+ *     summary: Listar órdenes de compra
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: proveedor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [borrador, enviada, parcialmente_recibida, cerrada, cancelada, all]
+ *           default: all
+ *       - in: query
+ *         name: fecha_inicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: fecha_fin
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Órdenes obtenidas exitosamente
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/",
+  sanitizeSearch({
+    queryFields: ["estado", "fecha_inicio", "fecha_fin"],
+    maxLength: 30,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.consultar"),
+  validateGetOrdenesCompraQuery,
+  obtenerOrdenesCompra
+);
+
+// =====================================================
+// OBTENER ORDEN DE COMPRA POR ID
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}:
+ *   get:
+ *     summary: Detalle de una orden de compra
+ *     description: |
+ *       Incluye las líneas con cantidad pedida, recibida y pendiente,
+ *       y las recepciones asociadas a la orden.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orden obtenida exitosamente
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/:id",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.consultar"),
+  validateOrdenCompraId,
+  obtenerOrdenCompraPorId
+);
+
+// =====================================================
+// CREAR ORDEN DE COMPRA
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra:
+ *   post:
+ *     summary: Crear orden de compra (borrador)
+ *     description: |
+ *       Registra lo que se le pide al proveedor con cantidades y precios
+ *       acordados. La orden queda en `borrador` hasta que se envía.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [proveedor_id, productos]
+ *             properties:
+ *               proveedor_id:
+ *                 type: integer
+ *                 example: 4
+ *               fecha_entrega_esperada:
+ *                 type: string
+ *                 format: date
+ *               observaciones:
+ *                 type: string
+ *               productos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LineaOrdenCompra'
+ *     responses:
+ *       201:
+ *         description: Orden creada exitosamente
+ *       400:
+ *         description: Proveedor o producto inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       429:
+ *         description: Límite de operaciones excedido (30 cada 15 min)
+ */
+router.post(
+  "/",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    bodyFields: ["observaciones"],
+    maxLength: 1000,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  validateCreateOrdenCompra,
+  crearOrdenCompra
+);
+
+// =====================================================
+// EDITAR ORDEN EN BORRADOR
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}:
+ *   put:
+ *     summary: Editar orden de compra en borrador
+ *     description: Si se envían `productos`, reemplazan todas las líneas.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha_entrega_esperada:
+ *                 type: string
+ *                 format: date
+ *               observaciones:
+ *                 type: string
+ *               productos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LineaOrdenCompra'
+ *     responses:
+ *       200:
+ *         description: Orden actualizada
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       409:
+ *         description: La orden ya no está en borrador
+ */
+router.put(
+  "/:id",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["observaciones"],
+    maxLength: 1000,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  validateOrdenCompraUpdate,
+  actualizarOrdenCompra
+);
+
+// =====================================================
+// ENVIAR ORDEN AL PROVEEDOR
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}/enviar:
+ *   post:
+ *     summary: Marcar la orden como enviada al proveedor
+ *     description: Solo órdenes en `borrador`. Desde aquí puede recibir mercancía.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orden enviada
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       409:
+ *         description: Estado de la orden no permite enviarla
+ */
+router.post(
+  "/:id/enviar",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  validateOrdenCompraId,
+  enviarOrdenCompra
+);
+
+// =====================================================
+// CERRAR ORDEN
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}/cerrar:
+ *   post:
+ *     summary: Cerrar orden aceptando lo recibido
+ *     description: |
+ *       Cierra una orden `enviada` o `parcialmente_recibida` aunque queden
+ *       cantidades pendientes (el proveedor no completará el pedido).
+ *       No se permite con recepciones de la orden sin procesar.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Proveedor sin existencias del resto"
+ *     responses:
+ *       200:
+ *         description: Orden cerrada
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       409:
+ *         description: Estado inválido o recepciones pendientes
+ */
+router.post(
+  "/:id/cerrar",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["motivo"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  validateOrdenCompraCambioEstado,
+  cerrarOrdenCompra
+);
+
+// =====================================================
+// CANCELAR ORDEN
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}/cancelar:
+ *   delete:
+ *     summary: Cancelar orden de compra
+ *     description: Solo órdenes en `borrador` o `enviada` (sin mercancía recibida).
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Orden cancelada
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       409:
+ *         description: Estado inválido o recepciones pendientes
+ */
+router.delete(
+  "/:id/cancelar",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["motivo"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("ordenes_compra.gestionar"),
+  validateOrdenCompraCambioEstado,
+  cancelarOrdenCompra
+);
+
+// =====================================================
+// RECIBIR MERCANCÍA DE LA ORDEN
+// =====================================================
+/**
+ * @swagger
+ * /ordenes-compra/{id}/recepciones:
+ *   post:
+ *     summary: Crear recepción a partir de la orden
+ *     description: |
+ *       Crea una recepción `pendiente` vinculada a la orden. Sin `productos`
+ *       se reciben todas las cantidades pendientes al precio acordado.
+ *       Al procesar la recepción (`POST /recepciones/{id}/procesar`) se
+ *       concilia contra la orden y se reportan sobre-entregas, faltantes
+ *       y diferencias de precio.
+ *     tags: [Órdenes de Compra]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [numero_factura, fecha_recepcion]
+ *             properties:
+ *               numero_factura:
+ *                 type: string
+ *                 example: "FAC-2024-118"
+ *               fecha_recepcion:
+ *                 type: string
+ *                 format: date
+ *               observaciones:
+ *                 type: string
+ *               productos:
+ *                 type: array
+ *                 description: Cantidades realmente llegadas (precio por defecto el acordado)
+ *                 items:
+ *                   type: object
+ *                   required: [producto_id, cantidad]
+ *                   properties:
+ *                     producto_id:
+ *                       type: integer
+ *                     cantidad:
+ *                       type: number
+ *                     precio_unitario:
+ *                       type: number
+ *                     tarifa_iva:
+ *                       type: string
+ *                       enum: ["19", "5", "0", "exento"]
+ *                     numero_lote:
+ *                       type: string
+ *                     fecha_vencimiento:
+ *                       type: string
+ *                       format: date
+ *                       description: Obligatoria para productos que manejan lotes
+ *     responses:
+ *       201:
+ *         description: Recepción creada; falta procesarla
+ *       400:
+ *         description: Factura duplicada, producto inválido, precio o fecha de vencimiento faltante
+ *       404:
+ *         description: Orden de compra no encontrada
+ *       409:
+ *         description: La orden no admite recepciones o no tiene pendientes
+ */
+router.post(
+  "/:id/recepciones",
+  ordenesCompraWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["numero_factura", "observaciones"],
+    maxLength: 1000,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("recepciones.crear"),
+  validateRecepcionDesdeOrden,
+  crearRecepcionDesdeOrden
+);
+
+export default router;
@@ -0,0 +1,328 @@
+// routes/permisos_router.js - Permisos por rol y por usuario
+import express from "express";
+
+// Controladores
+import {
+  listarPermisos,
+  obtenerPermisosRol,
+  actualizarPermisosRol,
+  obtenerPermisosUsuario,
+  asignarPermisoUsuario,
+  eliminarPermisoUsuario,
+} from "../controllers/permisosControlador.js";
+
+// Middlewares de autenticación
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+
+// Middleware de sanitización
+import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
+
+// Rate limiters
+import { usuariosWriteLimiter } from "../middleware/rateLimiters.js";
+
+// Validaciones específicas
+import {
+  validateRol,
+  validateUsuarioPermisos,
+  validateUsuarioPermiso,
+  validatePermisosRolUpdate,
+  validatePermisoUsuarioUpdate,
+} from "../validations/permisos_validations.js";
+
+const router = express.Router();
+
+// =====================================================
+// CATÁLOGO DE PERMISOS
+// =====================================================
+/**
+ * @swagger
+ * /permisos:
+ *   get:
+ *     summary: Listar permisos con los roles que los tienen
+ *     description: |
+ *       Cada permiso ("modulo.accion", ej: `ventas.anular`) protege una o más
+ *       rutas. El catálogo vive en el código y se siembra al arrancar el
+ *       servidor con los roles por defecto (los que tenían las rutas antes
+ *       de existir permisos); después el mapeo solo cambia desde esta API.
+ *
+ *       Los permisos efectivos de un usuario son los de su rol, más los que
+ *       se le otorguen y menos los que se le quiten como excepción.
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catálogo de permisos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       codigo:
+ *                         type: string
+ *                         example: "recepciones.procesar"
+ *                       modulo:
+ *                         type: string
+ *                         example: "recepciones"
+ *                       descripcion:
+ *                         type: string
+ *                       roles:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["administrador", "dueño"]
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.get(
+  "/",
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  listarPermisos
+);
+
+// =====================================================
+// PERMISOS DE UN ROL
+// =====================================================
+/**
+ * @swagger
+ * /permisos/roles/{rol}:
+ *   get:
+ *     summary: Permisos de un rol
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [administrador, dueño, cajero, ayudante]
+ *     responses:
+ *       200:
+ *         description: Códigos de permiso del rol
+ *       400:
+ *         description: Rol inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.get(
+  "/roles/:rol",
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  validateRol,
+  obtenerPermisosRol
+);
+
+/**
+ * @swagger
+ * /permisos/roles/{rol}:
+ *   put:
+ *     summary: Reemplazar los permisos de un rol
+ *     description: |
+ *       La lista enviada reemplaza la actual: lo que no venga se le quita al
+ *       rol. Aplica de inmediato a todos los usuarios del rol (salvo sus
+ *       excepciones).
+ *
+ *       Al rol administrador no se le puede quitar `permisos.gestionar`.
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rol
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [administrador, dueño, cajero, ayudante]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permisos
+ *             properties:
+ *               permisos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["recepciones.crear", "recepciones.procesar", "inventario.vencimientos"]
+ *     responses:
+ *       200:
+ *         description: Permisos actualizados (incluye agregados y quitados)
+ *       400:
+ *         description: Datos inválidos o permiso protegido
+ *       404:
+ *         description: Algún código de permiso no existe
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.put(
+  "/roles/:rol",
+  usuariosWriteLimiter,
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  validatePermisosRolUpdate,
+  actualizarPermisosRol
+);
+
+// =====================================================
+// PERMISOS DE UN USUARIO
+// =====================================================
+/**
+ * @swagger
+ * /permisos/usuarios/{id}:
+ *   get:
+ *     summary: Permisos efectivos de un usuario
+ *     description: |
+ *       Devuelve los permisos efectivos, los de su rol y sus excepciones
+ *       (permisos otorgados o quitados solo a este usuario).
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Permisos del usuario
+ *       404:
+ *         description: Usuario no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.get(
+  "/usuarios/:id",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  validateUsuarioPermisos,
+  obtenerPermisosUsuario
+);
+
+/**
+ * @swagger
+ * /permisos/usuarios/{id}/{codigo}:
+ *   put:
+ *     summary: Otorgar o quitar un permiso a un usuario
+ *     description: |
+ *       Crea o cambia una excepción sobre el rol del usuario. Ej: permitir a
+ *       un solo ayudante procesar recepciones sin dárselo a todos los
+ *       ayudantes.
+ *
+ *       A un administrador no se le puede quitar `permisos.gestionar`.
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: codigo
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "recepciones.procesar"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - concedido
+ *             properties:
+ *               concedido:
+ *                 type: boolean
+ *                 description: true otorga el permiso, false lo quita
+ *     responses:
+ *       201:
+ *         description: Excepción creada
+ *       200:
+ *         description: Excepción actualizada
+ *       400:
+ *         description: Datos inválidos o permiso protegido
+ *       404:
+ *         description: Usuario o permiso no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.put(
+  "/usuarios/:id/:codigo",
+  usuariosWriteLimiter,
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  validatePermisoUsuarioUpdate,
+  asignarPermisoUsuario
+);
+
+/**
+ * @swagger
+ * /permisos/usuarios/{id}/{codigo}:
+ *   delete:
+ *     summary: Quitar la excepción de un usuario
+ *     description: El permiso vuelve a depender solo del rol del usuario.
+ *     tags: [Permisos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: codigo
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Excepción eliminada
+ *       404:
+ *         description: El usuario no tiene excepción para ese permiso
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `permisos.gestionar`
+ */
+router.delete(
+  "/usuarios/:id/:codigo",
+  usuariosWriteLimiter,
+  verifyToken,
+  requirePermission("permisos.gestionar"),
+  validateUsuarioPermiso,
+  eliminarPermisoUsuario
+);
+
+export default router;
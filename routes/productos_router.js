@@ -7,12 +7,22 @@ import {
   obtenerProductoPorId,
   obtenerProductoPorCodigoBarras,
   crearProducto,
+  importarProductos,
+  obtenerEtiquetas,
+  generarCodigosBarras,
   actualizarProducto,
   eliminarProducto,
+  obtenerCodigosProducto,
+  agregarCodigoProducto,
+  eliminarCodigoProducto,
+  obtenerHistorialPrecios,
+  programarCambioPrecio,
+  cancelarCambioPrecioProgramado,
+  actualizarPreciosMasivo,
 } from "../controllers/productosControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -31,7 +41,18 @@ import {
   validateProductoId,
   validateCodigoBarras,
   validateGetProductosQuery,
+  validateGetHistorialPreciosQuery,
+  validateProgramarCambioPrecio,
+  validateCambioProgramadoParams,
+  validateAgregarCodigoProducto,
+  validateCodigoProductoParams,
+  validateDryRunQuery,
+  validateImportarProductosBody,
+  validateActualizarPreciosMasivo,
+  validateGetEtiquetasQuery,
+  validateGenerarCodigosBarras,
 } from "../validations/productos_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 const router = express.Router();
 
@@ -125,6 +146,7 @@ CACHÉ:
  *           maximum: 100
  *           default: 50
  *         description: Límite de resultados por página (máx 100)
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Lista de productos obtenida exitosamente
@@ -198,6 +220,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateGetProductosQuery,
   obtenerProductos
 );
@@ -219,6 +242,17 @@ router.get(
  *       - Índice único en codigo_barras (búsqueda instantánea)
  *       - Query típico: ~1-5ms
  *
+ *       **Códigos adicionales**: si no es el código principal se busca entre
+ *       los códigos adicionales del producto (empaques, EAN anteriores). El
+ *       código usado y su multiplicador vienen en `metadata.codigo_adicional`.
+ *       Estas búsquedas no se cachean.
+ *
+ *       **Etiquetas de balanza**: si no hay coincidencia exacta y el código
+ *       es un EAN-13 de medida variable (prefijos de SCALE_BARCODE_FORMATS,
+ *       por defecto 20-23), se busca el producto por su `codigo_balanza` y
+ *       se devuelve la lectura (peso o precio embebido) en
+ *       `metadata.lectura_balanza`. Estas lecturas no se cachean.
+ *
  *       **Rate Limiting**: ❌ Sin límite (operación crítica para ventas)
  *
  *     tags: [Productos]
@@ -256,6 +290,34 @@ router.get(
  *                     timestamp:
  *                       type: string
  *                       format: date-time
+ *                     codigo_adicional:
+ *                       $ref: '#/components/schemas/CodigoProducto'
+ *                     lectura_balanza:
+ *                       type: object
+ *                       description: Solo si el código es una etiqueta de balanza
+ *                       properties:
+ *                         prefijo:
+ *                           type: string
+ *                           example: "20"
+ *                         codigo_balanza:
+ *                           type: integer
+ *                           example: 123
+ *                         peso:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Peso en kg (etiquetas de peso)
+ *                           example: 0.735
+ *                         precio:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Precio en pesos (etiquetas de precio)
+ *                           example: null
+ *                         cantidad:
+ *                           type: number
+ *                           description: |
+ *                             Kg a vender (el precio se divide por precio_venta,
+ *                             redondeado a gramos; la venta cobra el precio impreso)
+ *                           example: 0.735
  *                 cache_info:
  *                   type: object
  *                   properties:
@@ -278,6 +340,95 @@ router.get(
   obtenerProductoPorCodigoBarras
 );
 
+// =====================================================
+// ETIQUETAS DE PRECIO
+// =====================================================
+/**
+ * @swagger
+ * /productos/etiquetas:
+ *   get:
+ *     summary: Imprimir etiquetas de precio para góndola
+ *     description: |
+ *       Genera etiquetas con nombre, precio de venta (IVA incluido, "/ kg" en
+ *       productos por peso), código de barras EAN-13 y fecha de impresión, listas
+ *       para imprimir en hoja A4 de 3 x 8 etiquetas.
+ *
+ *       **Selección** (al menos un filtro; se combinan):
+ *       - `producto_ids`: lista separada por comas
+ *       - `categoria_id`: productos de la categoría
+ *       - `precio_cambiado_desde`: productos cuyo precio de venta cambió desde esa
+ *         fecha (según el historial de precios), para reemplazar las etiquetas viejas
+ *
+ *       Solo productos activos, ordenados por categoría y nombre (máx. 500).
+ *
+ *       Los códigos EAN-13 y UPC-A se dibujan como barras; otros códigos se
+ *       imprimen como texto. Los productos sin código pueden recibir uno interno con
+ *       `POST /productos/codigos-barras/generar`.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: producto_ids
+ *         schema:
+ *           type: string
+ *         example: "12,15,18"
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: precio_cambiado_desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2026-10-01"
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *       - in: query
+ *         name: copias
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 1
+ *         description: Etiquetas por producto
+ *     responses:
+ *       200:
+ *         description: Etiquetas listas para imprimir
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Filtros inválidos o más de 500 productos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Ningún producto activo coincide con la selección
+ */
+router.get(
+  "/etiquetas",
+  verifyToken,
+  requirePermission("productos.etiquetas"),
+  validateGetEtiquetasQuery,
+  obtenerEtiquetas
+);
+
 // =====================================================
 // OBTENER PRODUCTO POR ID
 // =====================================================
@@ -328,16 +479,367 @@ router.get(
  *       401:
  *         description: No autorizado
  */
-router.get(
-  "/:id",
+router.get(
+  "/:id",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validateProductoId,
+  obtenerProductoPorId
+);
+
+// =====================================================
+// HISTORIAL DE PRECIOS Y CAMBIOS PROGRAMADOS
+// =====================================================
+/**
+ * @swagger
+ * /productos/{id}/historial-precios:
+ *   get:
+ *     summary: Historial de precios de compra y venta del producto
+ *     description: |
+ *       Cada cambio de precio_compra o precio_venta con usuario, motivo y fecha.
+ *       Origen: `manual` (edición del producto), `recepcion` (último precio
+ *       facturado) o `programado` (cambio programado aplicado).
+ *       Incluye además los cambios programados pendientes.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tipo_precio
+ *         schema:
+ *           type: string
+ *           enum: [compra, venta]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: |
+ *           `data.historial[]` (más reciente primero), `data.cambios_programados[]`
+ *           pendientes y los precios actuales en `data.producto`
+ *       404:
+ *         description: Producto no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/:id/historial-precios",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("precios.historial"),
+  validateProductoId,
+  validateGetHistorialPreciosQuery,
+  obtenerHistorialPrecios
+);
+
+/**
+ * @swagger
+ * /productos/{id}/precios-programados:
+ *   post:
+ *     summary: Programar un cambio de precio futuro
+ *     description: |
+ *       El programador del servidor lo aplica cuando llega `fecha_aplicacion`
+ *       (revisa cada minuto por defecto), lo registra en el historial con
+ *       origen `programado` e invalida el caché del producto. Si para entonces
+ *       el precio de venta no supera al de compra, el cambio queda `fallido`.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fecha_aplicacion, motivo]
+ *             properties:
+ *               precio_compra:
+ *                 type: number
+ *               precio_venta:
+ *                 type: number
+ *               fecha_aplicacion:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Futura y dentro de un año
+ *               motivo:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 500
+ *           example:
+ *             precio_venta: 3500
+ *             fecha_aplicacion: "2025-02-01T06:00:00-05:00"
+ *             motivo: "Nueva lista de precios de febrero"
+ *     responses:
+ *       201:
+ *         description: Cambio programado
+ *       400:
+ *         description: Datos inválidos o precio de venta no mayor al de compra
+ *       404:
+ *         description: Producto no encontrado o inactivo
+ *       409:
+ *         description: Ya hay un cambio pendiente para esa fecha
+ */
+router.post(
+  "/:id/precios-programados",
+  productosWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["motivo"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("precios.programar"),
+  validateProductoId,
+  validateProgramarCambioPrecio,
+  programarCambioPrecio
+);
+
+/**
+ * @swagger
+ * /productos/{id}/precios-programados/{cambio_id}:
+ *   delete:
+ *     summary: Cancelar un cambio de precio programado pendiente
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: cambio_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cambio cancelado
+ *       404:
+ *         description: Cambio programado no encontrado para este producto
+ *       409:
+ *         description: El cambio ya fue aplicado, cancelado o falló
+ */
+router.delete(
+  "/:id/precios-programados/:cambio_id",
+  productosWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id", "cambio_id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("precios.programar"),
+  validateCambioProgramadoParams,
+  cancelarCambioPrecioProgramado
+);
+
+// =====================================================
+// CÓDIGOS DE BARRAS ADICIONALES
+// =====================================================
+/**
+ * @swagger
+ * /productos/{id}/codigos:
+ *   get:
+ *     summary: Listar los códigos de barras adicionales de un producto
+ *     description: |
+ *       Códigos que resuelven al mismo producto además de `codigo_barras`:
+ *       empaques (six-pack, caja x12) o EANs anteriores del proveedor.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: |
+ *           `data.producto` (id, nombre, código principal) y `data.codigos[]`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     producto:
+ *                       type: object
+ *                     codigos:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CodigoProducto'
+ *       404:
+ *         description: Producto no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.get(
+  "/:id/codigos",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("productos.codigos"),
+  validateProductoId,
+  obtenerCodigosProducto
+);
+
+/**
+ * @swagger
+ * /productos/{id}/codigos:
+ *   post:
+ *     summary: Agregar un código de barras adicional a un producto
+ *     description: |
+ *       El código queda disponible en la búsqueda por código de barras, en
+ *       las ventas y en las recepciones. Cada escaneo equivale a
+ *       `multiplicador` unidades del producto: vender 1 caja x12 descuenta 12
+ *       del stock, y en las recepciones la cantidad y el precio de la factura
+ *       (por caja) se convierten a unidades.
+ *
+ *       El código no puede estar en uso como código principal ni adicional
+ *       de ningún producto.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [codigo_barras]
+ *             properties:
+ *               codigo_barras:
+ *                 type: string
+ *                 maxLength: 50
+ *               multiplicador:
+ *                 type: number
+ *                 minimum: 0.001
+ *                 maximum: 99999
+ *                 default: 1
+ *                 description: Unidades del producto por escaneo
+ *               descripcion:
+ *                 type: string
+ *                 maxLength: 100
+ *                 nullable: true
+ *           example:
+ *             codigo_barras: "17702004003508"
+ *             multiplicador: 12
+ *             descripcion: "Caja x12"
+ *     responses:
+ *       201:
+ *         description: Código agregado
+ *       400:
+ *         description: Datos inválidos o código ya registrado
+ *       404:
+ *         description: Producto no encontrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/:id/codigos",
+  productosWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["codigo_barras", "descripcion"],
+    maxLength: 100,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("productos.gestionar"),
+  validateProductoId,
+  validateAgregarCodigoProducto,
+  agregarCodigoProducto
+);
+
+/**
+ * @swagger
+ * /productos/{id}/codigos/{codigo_id}:
+ *   delete:
+ *     summary: Quitar un código de barras adicional
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: codigo_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Código eliminado
+ *       404:
+ *         description: Código adicional no encontrado para este producto
+ */
+router.delete(
+  "/:id/codigos/:codigo_id",
+  productosWriteLimiter,
   sanitizeSearch({
-    paramFields: ["id"],
+    paramFields: ["id", "codigo_id"],
     maxLength: 20,
     removeDangerousChars: true,
   }),
   verifyToken,
-  validateProductoId,
-  obtenerProductoPorId
+  requirePermission("productos.gestionar"),
+  validateCodigoProductoParams,
+  eliminarCodigoProducto
 );
 
 // =====================================================
@@ -392,6 +894,15 @@ router.get(
  *                 nullable: true
  *                 description: Código de barras único (EAN, UPC, interno). Opcional.
  *                 example: "7501234567890"
+ *               codigo_balanza:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 999999
+ *                 nullable: true
+ *                 description: |
+ *                   PLU de la balanza (solo productos por peso). Se usa para
+ *                   leer las etiquetas de peso/precio variable en caja.
+ *                 example: 123
  *               nombre:
  *                 type: string
  *                 minLength: 2
@@ -423,6 +934,16 @@ router.get(
  *                 maximum: 99999999.99
  *                 description: Precio de venta al público (debe ser mayor a precio_compra)
  *                 example: 3200.00
+ *               tarifa_iva:
+ *                 type: string
+ *                 enum: ["19", "5", "0", exento]
+ *                 default: "19"
+ *                 description: |
+ *                   Tarifa de IVA del producto (precio_venta la incluye):
+ *                   - `19`: tarifa general
+ *                   - `5`: tarifa diferencial
+ *                   - `0`: exento con tarifa 0
+ *                   - `exento`: excluido de IVA
  *               tipo_medida:
  *                 type: string
  *                 enum: [unidad, peso]
@@ -431,6 +952,12 @@ router.get(
  *                   Tipo de medición del producto:
  *                   - `unidad`: Productos contables (piezas, cajas, botellas)
  *                   - `peso`: Productos medidos por peso (kg, g)
+ *               maneja_lotes:
+ *                 type: boolean
+ *                 default: false
+ *                 description: |
+ *                   Perecederos (lácteos, cárnicos, panadería): las recepciones
+ *                   exigen fecha de vencimiento y las ventas descuentan lotes FEFO
  *               stock_actual:
  *                 type: number
  *                 format: float
@@ -503,6 +1030,8 @@ router.get(
  *                           type: string
  *                         precio_compra:
  *                           type: number
+ *                         costo_promedio:
+ *                           type: number
  *                         precio_venta:
  *                           type: number
  *                         stock_actual:
@@ -536,7 +1065,7 @@ router.get(
  *       401:
  *         description: No autorizado - Token inválido o expirado
  *       403:
- *         description: Permisos insuficientes (requiere rol admin o dueño)
+ *         description: Sin el permiso `productos.gestionar`
  *       429:
  *         description: |
  *           Límite de operaciones excedido.
@@ -556,11 +1085,376 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("productos.gestionar"),
   validateCreateProducto,
   crearProducto
 );
 
+// =====================================================
+// IMPORTAR PRODUCTOS DESDE CSV
+// =====================================================
+/**
+ * @swagger
+ * /productos/importar:
+ *   post:
+ *     summary: Importar productos desde un archivo CSV
+ *     description: |
+ *       Carga masiva del catálogo de un proveedor. El cuerpo es el texto del CSV
+ *       (`Content-Type: text/csv`), con la primera línea como encabezado.
+ *
+ *       **Formato**:
+ *       - Separador `;` (Excel en español) o `,`, detectado en el encabezado
+ *       - Decimales con coma (`2.500,50`) o punto (`2500.50`); puntos en grupos
+ *         de tres sin coma son miles (`1.500` = 1500, como en la exportación)
+ *       - Booleanos: Sí/No, true/false, 1/0
+ *       - Encabezados sin importar tildes ni mayúsculas ("Precio de venta")
+ *       - Celdas vacías toman el valor por defecto de la creación individual
+ *       - Columnas desconocidas se ignoran y se reportan en `columnas_ignoradas`
+ *       - Máximo 2000 filas por archivo
+ *
+ *       **Columnas**:
+ *       - Obligatorias: `nombre`, `precio_compra`, `precio_venta` y `categoria`
+ *         (nombre de la categoría) o `categoria_id`
+ *       - Opcionales: `codigo_barras`, `descripcion`, `tarifa_iva`, `tipo_medida`,
+ *         `maneja_lotes`, `stock_actual` (o `stock_inicial`), `stock_minimo`, `activo`
+ *
+ *       **Validaciones por fila** (las mismas de `POST /productos`):
+ *       - Esquema de creación (precio venta > precio compra, rangos, etc.)
+ *       - Categoría existente
+ *       - Nombre y código de barras únicos, tanto en la base como dentro del archivo
+ *
+ *       **Modos**:
+ *       - `dry_run=true`: solo valida y devuelve el reporte por fila; no escribe nada
+ *       - Por defecto: crea todas las filas válidas en una sola transacción, con su
+ *         movimiento de stock inicial. Las filas con errores se omiten y se reportan.
+ *
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validar sin crear productos
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             codigo_barras;nombre;categoria;precio_compra;precio_venta;tarifa_iva;stock_inicial
+ *             7702001001234;Arroz Diana 500g;Granos;2.500;3.200;5;50
+ *             7702001005678;Aceite Girasol 1L;Aceites;4.500,50;5.800;19;24
+ *     responses:
+ *       200:
+ *         description: Validación (dry_run) o importación sin filas válidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportacionProductos'
+ *       201:
+ *         description: Productos válidos creados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportacionProductos'
+ *       400:
+ *         description: |
+ *           El archivo no se puede procesar:
+ *           - Cuerpo vacío o Content-Type distinto de text/csv
+ *           - Sin filas de productos o más de 2000 filas
+ *           - Faltan columnas obligatorias
+ *           - Comillas sin cerrar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: No autorizado - Token inválido o expirado
+ *       403:
+ *         description: Sin el permiso `productos.importar`
+ *       413:
+ *         description: El archivo supera 5 MB
+ *       429:
+ *         description: Límite de operaciones excedido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitError'
+ */
+router.post(
+  "/importar",
+  productosWriteLimiter,
+  verifyToken,
+  requirePermission("productos.importar"),
+  express.text({
+    type: ["text/csv", "text/plain", "application/csv"],
+    limit: "5mb",
+  }),
+  validateDryRunQuery,
+  validateImportarProductosBody,
+  importarProductos
+);
+
+// =====================================================
+// ACTUALIZACIÓN MASIVA DE PRECIOS
+// =====================================================
+/**
+ * @swagger
+ * /productos/precios/masivo:
+ *   post:
+ *     summary: Actualizar precios de varios productos a la vez
+ *     description: |
+ *       Aplica un ajuste porcentual o fijo al precio de compra y/o de venta de
+ *       una selección de productos (ej: el proveedor subió 8%).
+ *
+ *       **Selección** (exactamente una):
+ *       - `categoria_id`: productos de la categoría
+ *       - `proveedor_id`: productos que aparecen en recepciones procesadas del proveedor
+ *       - `producto_ids`: lista explícita (máx. 2000)
+ *
+ *       Por defecto solo productos activos (`incluir_inactivos` para incluir los demás).
+ *
+ *       **Ajustes** (al menos uno):
+ *       - `ajuste_compra` / `ajuste_venta`: `{ tipo: "porcentaje", valor: 8 }` sube 8%;
+ *         `{ tipo: "fijo", valor: -200 }` resta 200 pesos
+ *
+ *       **Redondeo** (opcional, solo precio de venta):
+ *       - `redondeo`: múltiplo de 10, 50, 100, 500 o 1000 pesos
+ *       - `modo_redondeo`: `cercano` (defecto), `arriba` o `abajo`
+ *
+ *       **Vista previa y aplicación**:
+ *       - `dry_run=true`: calcula y devuelve los precios nuevos sin escribir
+ *       - Por defecto: en una sola transacción actualiza los productos que cambian,
+ *         registra cada cambio en el historial de precios (origen `masivo`, con el
+ *         motivo) e invalida el caché de productos
+ *       - Productos cuyo precio de venta resultante no supere al de compra se omiten
+ *         y se reportan con su error
+ *
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Solo vista previa, sin actualizar precios
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               categoria_id:
+ *                 type: integer
+ *                 example: 3
+ *               proveedor_id:
+ *                 type: integer
+ *                 example: 7
+ *               producto_ids:
+ *                 type: array
+ *                 maxItems: 2000
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15, 18]
+ *               ajuste_compra:
+ *                 $ref: '#/components/schemas/AjustePrecio'
+ *               ajuste_venta:
+ *                 $ref: '#/components/schemas/AjustePrecio'
+ *               redondeo:
+ *                 type: integer
+ *                 enum: [10, 50, 100, 500, 1000]
+ *                 example: 50
+ *               modo_redondeo:
+ *                 type: string
+ *                 enum: [cercano, arriba, abajo]
+ *                 default: cercano
+ *               incluir_inactivos:
+ *                 type: boolean
+ *                 default: false
+ *               motivo:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *                 example: "Alza de precios del proveedor octubre"
+ *           examples:
+ *             alza_proveedor:
+ *               summary: Proveedor sube 8% costo y venta, venta redondeada a 50
+ *               value:
+ *                 proveedor_id: 7
+ *                 ajuste_compra: { tipo: "porcentaje", valor: 8 }
+ *                 ajuste_venta: { tipo: "porcentaje", valor: 8 }
+ *                 redondeo: 50
+ *                 motivo: "Alza de precios del proveedor octubre"
+ *             descuento_categoria:
+ *               summary: Bajar 200 pesos la venta de una categoría
+ *               value:
+ *                 categoria_id: 3
+ *                 ajuste_venta: { tipo: "fijo", valor: -200 }
+ *                 motivo: "Ajuste por competencia"
+ *     responses:
+ *       200:
+ *         description: Vista previa o resultado de la actualización
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ActualizacionMasivaPrecios'
+ *       400:
+ *         description: Datos inválidos o selección de más de 2000 productos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: No autorizado - Token inválido o expirado
+ *       403:
+ *         description: Sin el permiso `precios.masivo`
+ *       404:
+ *         description: Categoría o proveedor inexistente, o ningún producto en la selección
+ *       429:
+ *         description: Límite de operaciones excedido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitError'
+ */
+router.post(
+  "/precios/masivo",
+  productosWriteLimiter,
+  sanitizeSearch({
+    queryFields: [],
+    bodyFields: ["motivo"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("precios.masivo"),
+  validateDryRunQuery,
+  validateActualizarPreciosMasivo,
+  actualizarPreciosMasivo
+);
+
+// =====================================================
+// GENERAR CÓDIGOS DE BARRAS INTERNOS
+// =====================================================
+/**
+ * @swagger
+ * /productos/codigos-barras/generar:
+ *   post:
+ *     summary: Generar códigos EAN-13 internos para productos sin código
+ *     description: |
+ *       Asigna a los productos activos sin código de barras (ej: granos a granel)
+ *       un EAN-13 interno con dígito de control válido:
+ *       prefijo de uso en tienda (`EAN_INTERNAL_PREFIX`, defecto `29`) + ID del
+ *       producto + dígito de control. Ej: producto 123 → `2900000001237`.
+ *
+ *       Los prefijos 20-29 están reservados por GS1 para uso interno, así que no
+ *       chocan con códigos de proveedores. Si el código calculado ya pertenece a
+ *       otro producto, ese producto se omite y se reporta.
+ *
+ *       Sin filtros se procesan todos los productos activos sin código.
+ *     tags: [Productos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               producto_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               categoria_id:
+ *                 type: integer
+ *               tipo_medida:
+ *                 type: string
+ *                 enum: [unidad, peso]
+ *           example:
+ *             tipo_medida: peso
+ *     responses:
+ *       200:
+ *         description: Códigos generados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mensaje:
+ *                       type: string
+ *                       example: "2 códigos de barras generados"
+ *                     generados:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           producto_id:
+ *                             type: integer
+ *                             example: 123
+ *                           nombre:
+ *                             type: string
+ *                             example: "Lenteja a granel"
+ *                           codigo_barras:
+ *                             type: string
+ *                             example: "2900000001237"
+ *                     omitidos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           producto_id:
+ *                             type: integer
+ *                           nombre:
+ *                             type: string
+ *                           codigo_barras:
+ *                             type: string
+ *                           motivo:
+ *                             type: string
+ *                 metadata:
+ *                   type: object
+ *       400:
+ *         description: Filtros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: No autorizado - Token inválido o expirado
+ *       403:
+ *         description: Sin el permiso `productos.gestionar`
+ *       429:
+ *         description: Límite de operaciones excedido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitError'
+ */
+router.post(
+  "/codigos-barras/generar",
+  productosWriteLimiter,
+  verifyToken,
+  requirePermission("productos.gestionar"),
+  validateGenerarCodigosBarras,
+  generarCodigosBarras
+);
+
 // =====================================================
 // ACTUALIZAR PRODUCTO
 // =====================================================
@@ -594,6 +1488,11 @@ router.post(
  *                 type: string
  *                 maxLength: 50
  *                 nullable: true
+ *               codigo_balanza:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 999999
+ *                 nullable: true
  *               nombre:
  *                 type: string
  *                 minLength: 2
@@ -608,13 +1507,22 @@ router.post(
  *                 type: number
  *               precio_venta:
  *                 type: number
+ *               tarifa_iva:
+ *                 type: string
+ *                 enum: ["19", "5", "0", exento]
  *               tipo_medida:
  *                 type: string
  *                 enum: [unidad, peso]
+ *               maneja_lotes:
+ *                 type: boolean
  *               stock_minimo:
  *                 type: number
  *               activo:
  *                 type: boolean
+ *               motivo_cambio_precio:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo que se guarda en el historial si cambia algún precio
  *     responses:
  *       200:
  *         description: Producto actualizado exitosamente
@@ -638,7 +1546,7 @@ router.put(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("productos.gestionar"),
   validateProductoId,
   validateUpdateProducto,
   actualizarProducto
@@ -746,7 +1654,7 @@ router.delete(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("productos.gestionar"),
   validateProductoId,
   eliminarProducto
 );
@@ -782,6 +1690,12 @@ router.delete(
  *           description: Código de barras único del producto (EAN, UPC o interno)
  *           example: "7501234567890"
  *
+ *         codigo_balanza:
+ *           type: integer
+ *           nullable: true
+ *           description: PLU de la balanza para etiquetas de peso/precio variable (solo productos por peso)
+ *           example: 123
+ *
  *         nombre:
  *           type: string
  *           minLength: 2
@@ -806,9 +1720,21 @@ router.delete(
  *           type: number
  *           format: decimal
  *           minimum: 0.01
- *           description: Precio de compra al proveedor
+ *           description: Último precio de compra facturado por el proveedor
  *           example: 1800.50
  *
+ *         costo_promedio:
+ *           type: number
+ *           format: decimal
+ *           readOnly: true
+ *           nullable: true
+ *           description: |
+ *             Costo promedio ponderado, recalculado en cada recepción y
+ *             devolución. Es el costo con que se valora el inventario y se
+ *             calcula el margen (NULL en productos aún sin calcular: se usa
+ *             precio_compra)
+ *           example: 1765.2500
+ *
  *         precio_venta:
  *           type: number
  *           format: decimal
@@ -816,12 +1742,23 @@ router.delete(
  *           description: Precio de venta al público (debe ser mayor al precio de compra)
  *           example: 2300.00
  *
+ *         tarifa_iva:
+ *           type: string
+ *           enum: ["19", "5", "0", exento]
+ *           description: Tarifa de IVA incluida en el precio de venta
+ *           example: "19"
+ *
  *         tipo_medida:
  *           type: string
  *           enum: [unidad, peso]
  *           description: Tipo de medición del producto
  *           example: "unidad"
  *
+ *         maneja_lotes:
+ *           type: boolean
+ *           description: Controla lotes y fechas de vencimiento
+ *           example: false
+ *
  *         stock_actual:
  *           type: number
  *           format: decimal
@@ -863,6 +1800,190 @@ router.delete(
  *             nombre:
  *               type: string
  *               example: "Granos y cereales"
+ *
+ *         codigos:
+ *           type: array
+ *           description: Códigos de barras adicionales (solo en la consulta por ID)
+ *           items:
+ *             $ref: '#/components/schemas/CodigoProducto'
+ *
+ *     CodigoProducto:
+ *       type: object
+ *       description: Código de barras adicional de un producto
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         codigo_barras:
+ *           type: string
+ *           example: "17702004003508"
+ *         multiplicador:
+ *           type: number
+ *           description: Unidades del producto por escaneo
+ *           example: 12
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *           example: "Caja x12"
+ *
+ *     ImportacionProductos:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: object
+ *           properties:
+ *             dry_run:
+ *               type: boolean
+ *               example: false
+ *             resumen:
+ *               type: object
+ *               properties:
+ *                 total_filas:
+ *                   type: integer
+ *                   example: 3
+ *                 validas:
+ *                   type: integer
+ *                   example: 2
+ *                 con_errores:
+ *                   type: integer
+ *                   example: 1
+ *                 creadas:
+ *                   type: integer
+ *                   description: Productos creados (0 en dry_run)
+ *                   example: 2
+ *             columnas_ignoradas:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["Proveedor"]
+ *             filas:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   fila:
+ *                     type: integer
+ *                     description: Línea del archivo donde empieza la fila
+ *                     example: 4
+ *                   nombre:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "Azúcar Manuelita 1kg"
+ *                   codigo_barras:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "7702001009012"
+ *                   valido:
+ *                     type: boolean
+ *                     example: false
+ *                   errores:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example:
+ *                       - 'La categoría "Endulzantes" no existe'
+ *                       - "El precio de venta debe ser mayor al precio de compra"
+ *                   producto_id:
+ *                     type: integer
+ *                     description: ID del producto creado (solo filas importadas)
+ *                     example: 245
+ *         metadata:
+ *           type: object
+ *
+ *     AjustePrecio:
+ *       type: object
+ *       required:
+ *         - tipo
+ *         - valor
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           enum: [porcentaje, fijo]
+ *           example: porcentaje
+ *         valor:
+ *           type: number
+ *           description: |
+ *             Porcentaje (-90 a 500) o pesos a sumar; negativo para bajar. No puede ser 0.
+ *           example: 8
+ *
+ *     ActualizacionMasivaPrecios:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: object
+ *           properties:
+ *             dry_run:
+ *               type: boolean
+ *               example: true
+ *             resumen:
+ *               type: object
+ *               properties:
+ *                 seleccionados:
+ *                   type: integer
+ *                   example: 42
+ *                 con_cambios:
+ *                   type: integer
+ *                   example: 40
+ *                 sin_cambios:
+ *                   type: integer
+ *                   example: 1
+ *                 con_errores:
+ *                   type: integer
+ *                   example: 1
+ *                 actualizados:
+ *                   type: integer
+ *                   description: Productos actualizados (0 en dry_run)
+ *                   example: 0
+ *             ids_no_encontrados:
+ *               type: array
+ *               description: IDs de producto_ids inexistentes o inactivos
+ *               items:
+ *                 type: integer
+ *               example: []
+ *             productos:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   producto_id:
+ *                     type: integer
+ *                     example: 12
+ *                   nombre:
+ *                     type: string
+ *                     example: "Arroz Diana 500g"
+ *                   codigo_barras:
+ *                     type: string
+ *                     nullable: true
+ *                   precio_compra_actual:
+ *                     type: number
+ *                     example: 2500
+ *                   precio_compra_nuevo:
+ *                     type: number
+ *                     example: 2700
+ *                   precio_venta_actual:
+ *                     type: number
+ *                     example: 3200
+ *                   precio_venta_nuevo:
+ *                     type: number
+ *                     example: 3450
+ *                   margen_nuevo_porcentaje:
+ *                     type: number
+ *                     example: 21.74
+ *                   cambia:
+ *                     type: boolean
+ *                     example: true
+ *                   error:
+ *                     type: string
+ *                     nullable: true
+ *                     example: null
+ *         metadata:
+ *           type: object
  */
 
 export default router;
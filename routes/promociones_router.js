@@ -0,0 +1,327 @@
+// routes/promociones_router.js - Descuentos y Promociones
+import express from "express";
+
+// Controladores
+import {
+  obtenerPromociones,
+  obtenerPromocionPorId,
+  crearPromocion,
+  actualizarPromocion,
+  eliminarPromocion,
+} from "../controllers/promocionesControlador.js";
+
+// Middlewares de autenticación
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+
+// Middleware de sanitización
+import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
+
+// Rate limiters
+import { promocionesWriteLimiter } from "../middleware/rateLimiters.js";
+
+// Validaciones específicas
+import {
+  validateCreatePromocion,
+  validatePromocionId,
+  validatePromocionesQuery,
+  validatePromocionUpdate,
+} from "../validations/promociones_validations.js";
+
+const router = express.Router();
+
+// =====================================================
+// OBTENER PROMOCIONES
+// =====================================================
+/**
+ * @swagger
+ * /promociones:
+ *   get:
+ *     summary: Listar promociones con filtros
+ *     tags: [Promociones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: string
+ *           enum: [true, false, all]
+ *           default: true
+ *       - in: query
+ *         name: vigente
+ *         description: Solo promociones dentro de su rango de fechas
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
+ *       - in: query
+ *         name: alcance
+ *         schema:
+ *           type: string
+ *           enum: [producto, categoria, ticket]
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [nxm, porcentaje, precio_fijo]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Promociones obtenidas exitosamente
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/",
+  sanitizeSearch({
+    queryFields: ["activo", "vigente", "alcance", "tipo"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validatePromocionesQuery,
+  obtenerPromociones
+);
+
+// =====================================================
+// OBTENER PROMOCIÓN POR ID
+// =====================================================
+/**
+ * @swagger
+ * /promociones/{id}:
+ *   get:
+ *     summary: Obtener una promoción
+ *     tags: [Promociones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promoción encontrada (metadata.vigente indica si aplica hoy)
+ *       404:
+ *         description: Promoción no encontrada
+ *       401:
+ *         description: No autorizado
+ */
+router.get(
+  "/:id",
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  validatePromocionId,
+  obtenerPromocionPorId
+);
+
+// =====================================================
+// CREAR PROMOCIÓN
+// =====================================================
+/**
+ * @swagger
+ * /promociones:
+ *   post:
+ *     summary: Crear promoción
+ *     description: |
+ *       Las promociones activas y vigentes se aplican automáticamente al
+ *       registrar una venta:
+ *
+ *       - **nxm** (producto/categoría): lleva `cantidad_requerida`, paga `cantidad_pagada` (ej: 3x2)
+ *       - **porcentaje** (producto/categoría/ticket): % de descuento
+ *       - **precio_fijo** (producto/categoría): `cantidad_requerida` unidades por `precio_fijo`
+ *
+ *       Por cada producto se aplica la mejor promoción de producto o categoría
+ *       (si el producto está en varias líneas se suman sus cantidades y el
+ *       descuento se reparte entre ellas); luego la mejor promoción de ticket sobre el neto (si supera `monto_minimo`).
+ *       Las líneas con `precio_unitario` manual no reciben promociones de línea.
+ *     tags: [Promociones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *               - tipo
+ *               - alcance
+ *               - fecha_inicio
+ *               - fecha_fin
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: "3x2 en gaseosas"
+ *               descripcion:
+ *                 type: string
+ *               tipo:
+ *                 type: string
+ *                 enum: [nxm, porcentaje, precio_fijo]
+ *               alcance:
+ *                 type: string
+ *                 enum: [producto, categoria, ticket]
+ *               producto_id:
+ *                 type: integer
+ *                 description: Obligatorio si alcance es producto
+ *               categoria_id:
+ *                 type: integer
+ *                 description: Obligatorio si alcance es categoria
+ *               cantidad_requerida:
+ *                 type: integer
+ *                 example: 3
+ *               cantidad_pagada:
+ *                 type: integer
+ *                 example: 2
+ *               porcentaje:
+ *                 type: number
+ *                 example: 15
+ *               precio_fijo:
+ *                 type: number
+ *                 example: 10000
+ *               monto_minimo:
+ *                 type: number
+ *                 description: Solo para alcance ticket
+ *               fecha_inicio:
+ *                 type: string
+ *                 format: date-time
+ *               fecha_fin:
+ *                 type: string
+ *                 format: date-time
+ *               activo:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Promoción creada exitosamente
+ *       400:
+ *         description: Datos inválidos o combinación tipo/alcance no permitida
+ *       404:
+ *         description: Producto o categoría no encontrados
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.post(
+  "/",
+  promocionesWriteLimiter,
+  sanitizeSearch({
+    bodyFields: ["nombre", "descripcion"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("promociones.gestionar"),
+  validateCreatePromocion,
+  crearPromocion
+);
+
+// =====================================================
+// ACTUALIZAR PROMOCIÓN
+// =====================================================
+/**
+ * @swagger
+ * /promociones/{id}:
+ *   put:
+ *     summary: Actualizar promoción
+ *     description: |
+ *       Actualización parcial. La combinación final de tipo, alcance y
+ *       parámetros se valida contra los datos actuales. Las ventas ya
+ *       registradas conservan el descuento aplicado.
+ *     tags: [Promociones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promoción actualizada exitosamente
+ *       400:
+ *         description: La promoción resultante no es consistente
+ *       404:
+ *         description: Promoción, producto o categoría no encontrados
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.put(
+  "/:id",
+  promocionesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["nombre", "descripcion"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("promociones.gestionar"),
+  validatePromocionUpdate,
+  actualizarPromocion
+);
+
+// =====================================================
+// DESACTIVAR PROMOCIÓN
+// =====================================================
+/**
+ * @swagger
+ * /promociones/{id}:
+ *   delete:
+ *     summary: Desactivar promoción (eliminación lógica)
+ *     tags: [Promociones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promoción desactivada exitosamente
+ *       400:
+ *         description: La promoción ya estaba desactivada
+ *       404:
+ *         description: Promoción no encontrada
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ */
+router.delete(
+  "/:id",
+  promocionesWriteLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("promociones.gestionar"),
+  validatePromocionId,
+  eliminarPromocion
+);
+
+export default router;
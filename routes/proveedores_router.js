@@ -12,7 +12,7 @@ import {
 } from "../controllers/proveedoresControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -25,6 +25,7 @@ import {
   validateGetProveedoresQuery,
   validateGetProveedorByIdQuery,
 } from "../validations/proveedores_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 import {
   proveedoresWriteLimiter,
@@ -103,6 +104,7 @@ const router = express.Router();
  *           - Fecha de última recepción
  *           
  *           ⚠️ Nota: Activar esto aumenta el tiempo de respuesta
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Lista de proveedores obtenida exitosamente
@@ -211,6 +213,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateGetProveedoresQuery,
   obtenerProveedores
 );
@@ -235,10 +238,12 @@ router.get(
  *       - Consulta computacionalmente costosa (joins complejos)
  *       - Resultados cacheados por 10 minutos
  *       
- *       **Permisos**: Solo administrador y dueño
+ *       **Permisos**: `proveedores.estadisticas`
  *     tags: [Proveedores]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Estadísticas obtenidas exitosamente
@@ -336,7 +341,8 @@ router.get(
   "/estadisticas",
   proveedoresReportLimiter,
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("proveedores.estadisticas"),
+  validateFormatoExportacion,
   obtenerEstadisticasProveedores
 );
 
@@ -486,7 +492,7 @@ router.get(
  *       - Máximo 20 operaciones cada 10 minutos por usuario
  *       - Previene creación masiva accidental
  *       
- *       **Permisos**: Solo administrador y dueño
+ *       **Permisos**: `proveedores.gestionar`
  *     tags: [Proveedores]
  *     security:
  *       - bearerAuth: []
@@ -537,6 +543,13 @@ router.get(
  *                 default: "Colombia"
  *                 description: País (opcional, defecto Colombia)
  *                 example: "Colombia"
+ *               dias_entrega:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 90
+ *                 default: 3
+ *                 description: Días de entrega desde el pedido (usado en sugerencias de compra)
+ *                 example: 3
  *               activo:
  *                 type: boolean
  *                 default: true
@@ -679,7 +692,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("proveedores.gestionar"),
   validateCreateProveedor,
   crearProveedor
 );
@@ -704,7 +717,7 @@ router.post(
  *       - Máximo 20 operaciones cada 10 minutos por usuario
  *       - Compartido con operaciones de creación
  *
- *       **Permisos**: Solo administrador y dueño
+ *       **Permisos**: `proveedores.gestionar`
  *     tags: [Proveedores]
  *     security:
  *       - bearerAuth: []
@@ -748,6 +761,10 @@ router.post(
  *               pais:
  *                 type: string
  *                 maxLength: 100
+ *               dias_entrega:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 90
  *               activo:
  *                 type: boolean
  *           examples:
@@ -888,7 +905,7 @@ router.put(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("proveedores.gestionar"),
   validateProveedorId,
   validateUpdateProveedor,
   actualizarProveedor
@@ -915,7 +932,7 @@ router.put(
  *       - Operación crítica con auditoría completa
  *       - Alertas si se detecta patrón anormal
  *
- *       **Permisos**: Solo administrador y dueño
+ *       **Permisos**: `proveedores.gestionar`
  *     tags:
  *       - Proveedores
  *     security:
@@ -1049,7 +1066,7 @@ router.delete(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("proveedores.gestionar"),
   validateProveedorId,
   eliminarProveedor
 );
@@ -1102,6 +1119,10 @@ router.delete(
  *           nullable: true
  *           description: País
  *           example: Colombia
+ *         dias_entrega:
+ *           type: integer
+ *           description: Días que tarda en entregar desde el pedido
+ *           example: 3
  *         activo:
  *           type: boolean
  *           description: Estado del proveedor (activo/inactivo)
@@ -1238,9 +1259,7 @@ router.delete(
  *               message: No tienes permisos para realizar esta acción
  *               code: 403
  *               details:
- *                 requiredRoles:
- *                   - administrador
- *                   - dueño
+ *                 requiredPermission: proveedores.gestionar
  *                 userRole: cajero
  *
  *   securitySchemes:
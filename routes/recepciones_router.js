@@ -13,7 +13,7 @@ import {
 } from "../controllers/recepcionesControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -41,6 +41,7 @@ import {
   validateCantidadesRazonables,
   validatePreciosRazonables,
 } from "../validations/recepciones_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 const router = express.Router();
 
@@ -106,6 +107,7 @@ router.use(trackPerformance);
  *           enum: [true, false]
  *           default: "false"
  *         description: Incluir detalles de productos
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Lista de recepciones obtenida exitosamente
@@ -122,6 +124,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateGetRecepcionesQuery,
   obtenerRecepciones
 );
@@ -139,6 +142,7 @@ router.get(
  *       - Query computacionalmente costoso (agregaciones + joins)
  *       - Incluye estadísticas por proveedor (top 10)
  *       - Cálculos de totales y promedios
+ *       - `desglose_iva`: compras procesadas por tarifa (base e IVA descontable)
  *
  *       **Rate Limiting:**
  *       - Máximo 20 consultas cada 5 minutos
@@ -165,6 +169,7 @@ router.get(
  *           type: integer
  *           minimum: 1
  *         description: ID del proveedor específico
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Estadísticas obtenidas exitosamente
@@ -179,7 +184,8 @@ router.get(
   "/estadisticas",
   recepcionesReportLimiter,
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("recepciones.estadisticas"),
+  validateFormatoExportacion,
   obtenerEstadisticasRecepciones
 );
 
@@ -304,6 +310,13 @@ router.get(
  *                 type: integer
  *                 minimum: 1
  *                 description: ID del proveedor
+ *               orden_compra_id:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: |
+ *                   Orden de compra que se está recibiendo (opcional). Debe ser
+ *                   del mismo proveedor y estar enviada o parcialmente recibida.
+ *                   Al procesar se concilia contra la orden.
  *               fecha_recepcion:
  *                 type: string
  *                 format: date
@@ -333,7 +346,11 @@ router.get(
  *                       type: string
  *                       minLength: 1
  *                       maxLength: 50
- *                       description: Código de barras del producto (OPCIÓN 2 - escaneo)
+ *                       description: |
+ *                         Código de barras del producto (OPCIÓN 2 - escaneo).
+ *                         Con un código adicional de empaque, cantidad y
+ *                         precio_unitario se toman por empaque y se
+ *                         convierten a unidades del producto.
  *                       example: "7501234567890"
  *                     nombre:
  *                       type: string
@@ -350,7 +367,21 @@ router.get(
  *                       type: number
  *                       minimum: 0.01
  *                       maximum: 99999999.99
- *                       description: Precio unitario de compra
+ *                       description: Precio unitario de compra (antes de IVA)
+ *                     tarifa_iva:
+ *                       type: string
+ *                       enum: ["19", "5", "0", exento]
+ *                       description: Tarifa facturada (por defecto la del producto)
+ *                     numero_lote:
+ *                       type: string
+ *                       maxLength: 50
+ *                       description: Lote impreso en el empaque (perecederos)
+ *                     fecha_vencimiento:
+ *                       type: string
+ *                       format: date
+ *                       description: |
+ *                         Obligatoria si el producto maneja lotes; al procesar la
+ *                         recepción se crea el lote para consumo FEFO en ventas
  *           examples:
  *             ejemplo_con_ids:
  *               summary: Usando IDs (método tradicional)
@@ -507,7 +538,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño", "ayudante"]),
+  requirePermission("recepciones.crear"),
   validateCreateRecepcion,
   validateBusinessDateRules,
   validateProductosBusinessRules,
@@ -570,7 +601,7 @@ router.put(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño", "ayudante"]),
+  requirePermission("recepciones.crear"),
   validateRecepcionId,
   validateUpdateRecepcion,
   actualizarRecepcion
@@ -596,7 +627,7 @@ router.put(
  *       **Rate Limiting:**
  *       - Máximo 15 procesamientos cada 15 minutos por usuario
  *       - Protege contra procesamiento accidental múltiple
- *       - Operación irreversible (solo administradores/dueños)
+ *       - Operación irreversible (requiere `recepciones.procesar`)
  *
  *       **Validaciones Críticas:**
  *       - Recepción debe estar en estado "pendiente"
@@ -608,7 +639,8 @@ router.put(
  *       2. Opcionalmente actualiza precio_compra
  *       3. Crea movimientos_inventario (auditoría)
  *       4. Cambia estado recepción a "procesada"
- *       5. Invalida caché (productos + inventario + recepciones)
+ *       5. Si tiene orden de compra, acumula lo recibido y concilia contra la orden
+ *       6. Invalida caché (productos + inventario + recepciones + órdenes)
  *     tags: [Recepciones]
  *     security:
  *       - bearerAuth: []
@@ -633,7 +665,9 @@ router.put(
  *               actualizar_precios:
  *                 type: boolean
  *                 default: true
- *                 description: Actualizar precios de compra de productos
+ *                 description: |
+ *                   Guardar el precio facturado como precio_compra (último precio).
+ *                   El costo promedio ponderado se recalcula siempre.
  *           example:
  *             observaciones_proceso: "Mercancía verificada, todo en orden"
  *             actualizar_precios: true
@@ -664,6 +698,10 @@ router.put(
  *                         estado:
  *                           type: string
  *                           example: "procesada"
+ *                     conciliacion_orden:
+ *                       description: Solo si la recepción está vinculada a una orden de compra
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ConciliacionOrden'
  *       400:
  *         description: Recepción no encontrada o ya procesada
  *       401:
@@ -684,7 +722,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño", "ayudante"]),
+  requirePermission("recepciones.procesar"),
   validateRecepcionId,
   validateProcesarRecepcion,
   procesarRecepcion
@@ -705,7 +743,7 @@ router.post(
  *       - Solo recepciones en estado "pendiente"
  *       - No afecta inventario (no se procesó)
  *       - Operación auditable
- *       - Solo administradores y dueños
+ *       - Requiere el permiso `recepciones.cancelar`
  *
  *       **Casos de Uso:**
  *       - Mercancía no llegó completa
@@ -742,7 +780,7 @@ router.delete(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("recepciones.cancelar"),
   validateRecepcionId,
   cancelarRecepcion
 );
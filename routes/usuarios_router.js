@@ -13,7 +13,7 @@ import {
 } from "../controllers/usuariosControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -100,7 +100,7 @@ const router = express.Router();
  *       401:
  *         description: No autorizado
  *       403:
- *         description: Permisos insuficientes (requiere rol administrador o dueño)
+ *         description: Sin el permiso `usuarios.consultar`
  */
 router.get(
   "/",
@@ -110,7 +110,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.consultar"),
   validateGetUsuariosQuery,
   obtenerUsuarios
 );
@@ -205,7 +205,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.consultar"),
   validateBuscarUsuariosQuery,
   buscarUsuarios
 );
@@ -268,7 +268,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.consultar"),
   validateUsuarioId,
   obtenerUsuarioPorId
 );
@@ -438,7 +438,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.gestionar"),
   validateCreateUsuario,
   crearUsuario
 );
@@ -581,7 +581,7 @@ router.put(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.gestionar"),
   validateUsuarioId,
   validateUpdateUsuario,
   actualizarUsuario
@@ -606,7 +606,7 @@ router.put(
  *       **Restricciones:**
  *       - No puede desactivar su propia cuenta
  *       - Usuario desactivado no puede autenticarse
- *       - Sesiones activas se mantienen hasta expiración
+ *       - Al desactivar se cierran todas sus sesiones activas
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []
@@ -690,7 +690,7 @@ router.patch(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.gestionar"),
   validateUsuarioId,
   toggleEstadoUsuario
 );
@@ -702,9 +702,9 @@ router.patch(
  * @swagger
  * /usuarios/{id}/resetear-password:
  *   post:
- *     summary: Resetear contraseña de usuario (solo administradores)
+ *     summary: Resetear contraseña de usuario
  *     description: |
- *       Resetea la contraseña de un usuario (solo para administradores).
+ *       Resetea la contraseña de un usuario.
  *       El usuario objetivo debe cambiarla en su próximo login.
  *
  *       **Rate Limiting CRÍTICO:**
@@ -714,7 +714,7 @@ router.patch(
  *       **Restricciones:**
  *       - No puede resetear su propia contraseña (usar /auth/cambiar-password)
  *       - Se invalidan todas las sesiones activas del usuario objetivo
- *       - Requiere rol administrador o dueño
+ *       - Requiere el permiso `usuarios.gestionar`
  *
  *       **Seguridad:**
  *       - Contraseña se hashea automáticamente
@@ -826,7 +826,7 @@ router.post(
     removeDangerousChars: true,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("usuarios.gestionar"),
   validateUsuarioId,
   validateResetPassword,
   resetearPassword
@@ -1035,7 +1035,7 @@ router.post(
  *
  *     ResetPassword:
  *       type: object
- *       description: Datos para resetear contraseña de un usuario (solo administradores)
+ *       description: Datos para resetear contraseña de un usuario
  *       properties:
  *         password_nuevo:
  *           type: string
@@ -1318,19 +1318,17 @@ router.post(
  *               error:
  *                 type: string
  *                 example: "No tienes permisos para realizar esta acción"
- *               requiredRoles:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Roles requeridos para la operación
- *                 example: ["administrador", "dueño"]
+ *               requiredPermission:
+ *                 type: string
+ *                 description: Permiso requerido para la operación
+ *                 example: "usuarios.gestionar"
  *               userRole:
  *                 type: string
  *                 description: Rol actual del usuario
  *                 example: "cajero"
  *           example:
  *             error: "No tienes permisos para realizar esta acción"
- *             requiredRoles: ["administrador", "dueño"]
+ *             requiredPermission: "usuarios.gestionar"
  *             userRole: "cajero"
  *
  *     NotFoundError:
@@ -1454,7 +1452,9 @@ router.post(
  *
  *         ## Permisos
  *         Todas las operaciones requieren autenticación (Bearer token).
- *         Solo usuarios con rol `administrador` o `dueño` pueden gestionar usuarios.
+ *         Consultar requiere `usuarios.consultar` y crear, editar o desactivar
+ *         requiere `usuarios.gestionar` (por defecto administrador y dueño;
+ *         editable en /permisos).
  */
 
 export default router;
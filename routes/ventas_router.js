@@ -7,11 +7,14 @@ import {
   obtenerVentaPorId,
   crearVenta,
   eliminarVenta,
+  registrarDevolucion,
   obtenerResumenVentas,
+  obtenerReporteMargen,
+  obtenerAnaliticaVentas,
 } from "../controllers/ventasControlador.js";
 
 // Middlewares de autenticación
-import { verifyToken, verifyRole } from "../middleware/auth.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
 
 // Middleware de sanitización
 import { sanitizeSearch } from "../middleware/sanitizeSearch.js";
@@ -29,9 +32,12 @@ import {
   validateVentaId,
   validateVentasQuery,
   validateResumenQuery,
+  validateReporteMargenQuery,
   validateVentaAnulacion,
+  validateVentaDevolucion,
   validateProductosBusinessRules,
 } from "../validations/ventas_validations.js";
+import { validateFormatoExportacion } from "../validations/exportacion_validations.js";
 
 const router = express.Router();
 
@@ -69,8 +75,10 @@ const router = express.Router();
  *         name: metodo_pago
  *         schema:
  *           type: string
- *           enum: [efectivo, tarjeta, transferencia]
- *         description: Método de pago utilizado
+ *           enum: [efectivo, tarjeta, transferencia, credito]
+ *         description: |
+ *           Método de pago usado en alguna línea de pago (una venta mixta
+ *           aparece en cada método que la pagó)
  *       - in: query
  *         name: page
  *         schema:
@@ -86,6 +94,7 @@ const router = express.Router();
  *           maximum: 100
  *           default: 20
  *         description: Límite de resultados por página
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Lista de ventas obtenida exitosamente
@@ -104,6 +113,7 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateVentasQuery,
   obtenerVentas
 );
@@ -116,6 +126,10 @@ router.get(
  * /ventas/resumen:
  *   get:
  *     summary: Obtener resumen de ventas por período
+ *     description: |
+ *       Totales netos de devoluciones, por método de pago y productos más
+ *       vendidos. `desglose_iva` separa base e IVA por tarifa (19, 5, 0,
+ *       exento) para la declaración de IVA.
  *     tags: [Ventas]
  *     security:
  *       - bearerAuth: []
@@ -132,6 +146,7 @@ router.get(
  *           type: string
  *           format: date
  *         description: Fecha fin del resumen (opcional, por defecto igual a fecha_inicio)
+ *       - $ref: '#/components/parameters/FormatoExportacion'
  *     responses:
  *       200:
  *         description: Resumen de ventas obtenido exitosamente
@@ -151,10 +166,266 @@ router.get(
     removeDangerousChars: true,
   }),
   verifyToken,
+  validateFormatoExportacion,
   validateResumenQuery,
   obtenerResumenVentas
 );
 
+// =====================================================
+// REPORTE DE MARGEN BRUTO
+// =====================================================
+/**
+ * @swagger
+ * /ventas/reportes/margen:
+ *   get:
+ *     summary: Reporte de margen bruto por producto, categoría y período
+ *     description: |
+ *       Ingresos (base sin IVA, neta de promociones), costo, margen bruto y
+ *       margen % sobre ingresos. El costo es el costo unitario congelado en
+ *       cada línea de venta; las líneas anteriores al costo promedio usan el
+ *       costo vigente del producto. Excluye ventas anuladas y descuenta las
+ *       devoluciones en el período en que se registran.
+ *     tags: [Ventas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fecha_inicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de inicio (opcional, por defecto el primer día del mes)
+ *       - in: query
+ *         name: fecha_fin
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha fin (opcional, por defecto hoy)
+ *       - in: query
+ *         name: agrupacion
+ *         schema:
+ *           type: string
+ *           enum: [dia, semana, mes]
+ *           default: dia
+ *         description: Agrupación del desglose por período (semana ISO, ej. 2024-W07)
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Limitar el reporte a una categoría
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Máximo de productos en el desglose (ordenados por margen bruto)
+ *       - $ref: '#/components/parameters/FormatoExportacion'
+ *     responses:
+ *       200:
+ *         description: Reporte de margen obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fecha_inicio:
+ *                       type: string
+ *                       format: date
+ *                     fecha_fin:
+ *                       type: string
+ *                       format: date
+ *                     agrupacion:
+ *                       type: string
+ *                     totales:
+ *                       $ref: '#/components/schemas/MargenBruto'
+ *                     por_producto:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/MargenBruto'
+ *                           - type: object
+ *                             properties:
+ *                               producto_id:
+ *                                 type: integer
+ *                               nombre:
+ *                                 type: string
+ *                               codigo_barras:
+ *                                 type: string
+ *                               categoria_id:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               cantidad:
+ *                                 type: number
+ *                                 description: Cantidad vendida neta de devoluciones
+ *                     por_categoria:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/MargenBruto'
+ *                           - type: object
+ *                             properties:
+ *                               categoria_id:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               nombre:
+ *                                 type: string
+ *                               cantidad:
+ *                                 type: number
+ *                     por_periodo:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/MargenBruto'
+ *                           - type: object
+ *                             properties:
+ *                               periodo:
+ *                                 type: string
+ *                                 example: "2024-03-15"
+ *                               cantidad:
+ *                                 type: number
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `ventas.reportes`
+ *       429:
+ *         description: Límite de reportes excedido (20 cada 5 min)
+ */
+router.get(
+  "/reportes/margen",
+  ventasReportLimiter,
+  sanitizeSearch({
+    queryFields: ["agrupacion"],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("ventas.reportes"),
+  validateFormatoExportacion,
+  validateReporteMargenQuery,
+  obtenerReporteMargen
+);
+
+// =====================================================
+// ANALÍTICA TEMPORAL DE VENTAS
+// =====================================================
+/**
+ * @swagger
+ * /ventas/analitica:
+ *   get:
+ *     summary: Mapa de calor hora × día de la semana y comparación de períodos
+ *     description: |
+ *       Agrupa las ventas vigentes del rango por hora del día y día de la
+ *       semana (tickets, ingresos y ticket promedio) para planificar turnos
+ *       de caja. Cuenta el total de cada venta sin netear devoluciones.
+ *
+ *       Las comparaciones toman `fecha_fin` como referencia: semana en curso
+ *       (desde el lunes) contra los mismos días de la semana anterior, y mes
+ *       en curso contra el mismo tramo del mes un año antes.
+ *     tags: [Ventas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fecha_inicio
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha de inicio del mapa de calor (opcional, por defecto hoy)
+ *       - in: query
+ *         name: fecha_fin
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha fin (opcional, por defecto igual a fecha_inicio)
+ *       - $ref: '#/components/parameters/FormatoExportacion'
+ *     responses:
+ *       200:
+ *         description: Analítica obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fecha_inicio:
+ *                       type: string
+ *                       format: date
+ *                     fecha_fin:
+ *                       type: string
+ *                       format: date
+ *                     mapa_calor:
+ *                       type: array
+ *                       description: 7 días (0 = lunes) con 24 horas cada uno
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           dia_semana:
+ *                             type: integer
+ *                           nombre:
+ *                             type: string
+ *                             example: lunes
+ *                           horas:
+ *                             type: array
+ *                             items:
+ *                               allOf:
+ *                                 - type: object
+ *                                   properties:
+ *                                     hora:
+ *                                       type: integer
+ *                                 - $ref: '#/components/schemas/MetricasVentas'
+ *                     por_dia_semana:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MetricasVentas'
+ *                     por_hora:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MetricasVentas'
+ *                     hora_pico:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/MetricasVentas'
+ *                     comparaciones:
+ *                       type: object
+ *                       properties:
+ *                         semana:
+ *                           $ref: '#/components/schemas/ComparacionPeriodo'
+ *                         mes:
+ *                           $ref: '#/components/schemas/ComparacionPeriodo'
+ *       400:
+ *         description: Parámetros de consulta inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin el permiso `ventas.reportes`
+ *       429:
+ *         description: Límite de reportes excedido (20 cada 5 min)
+ */
+router.get(
+  "/analitica",
+  ventasReportLimiter,
+  sanitizeSearch({
+    queryFields: [],
+    maxLength: 20,
+    removeDangerousChars: true,
+  }),
+  verifyToken,
+  requirePermission("ventas.reportes"),
+  validateFormatoExportacion,
+  validateResumenQuery,
+  obtenerAnaliticaVentas
+);
+
 // =====================================================
 // OBTENER VENTA POR ID
 // =====================================================
@@ -213,6 +484,15 @@ router.get(
  *       - `codigo_barras`: Escaneo directo en caja registradora (más común)
  *       - `nombre`: Búsqueda manual por nombre exacto
  *
+ *       **Sesión de caja:**
+ *       - El usuario debe tener una sesión de caja abierta (`POST /caja/sesiones/abrir`)
+ *       - La venta queda asociada a esa sesión para el cuadre de cierre
+ *
+ *       **Promociones:**
+ *       - Las promociones vigentes se aplican automáticamente (ver `/promociones`)
+ *       - Cada línea guarda `subtotal` (bruto), `descuento` y `promocion_id`
+ *       - `total` de la venta es el neto cobrado; `descuento_total` el ahorro
+ *
  *       **Límites de Rate Limiting:**
  *       - Máximo 40 ventas cada 10 minutos por cajero
  *       - Diseñado para permitir picos de horas punta (4 ventas/min)
@@ -230,9 +510,51 @@ router.get(
  *             properties:
  *               metodo_pago:
  *                 type: string
- *                 enum: [efectivo, tarjeta, transferencia]
- *                 default: efectivo
- *                 description: Método de pago utilizado
+ *                 enum: [efectivo, tarjeta, transferencia, credito]
+ *                 description: |
+ *                   Pago con un solo método por el total (excluyente con `pagos`).
+ *                   Si no se envía ninguno de los dos se asume efectivo.
+ *                   `credito` (fiado) exige un cliente con cupo aprobado y disponible.
+ *               pagos:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 10
+ *                 description: |
+ *                   Pago dividido en varios métodos (excluyente con `metodo_pago`).
+ *                   La suma de los montos debe ser igual al total de la venta
+ *                   ya aplicadas las promociones. Máximo una línea a crédito.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - metodo_pago
+ *                     - monto
+ *                   properties:
+ *                     metodo_pago:
+ *                       type: string
+ *                       enum: [efectivo, tarjeta, transferencia, credito]
+ *                     monto:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       description: Valor que se aplica al total
+ *                       example: 20000
+ *                     monto_recibido:
+ *                       type: number
+ *                       description: |
+ *                         Solo efectivo: dinero entregado por el cliente
+ *                         (>= monto). El cambio se calcula automáticamente.
+ *                       example: 50000
+ *                     referencia:
+ *                       type: string
+ *                       maxLength: 100
+ *                       description: Aprobación del datáfono o de la transferencia
+ *                       example: "APR-083412"
+ *               cliente_id:
+ *                 type: integer
+ *                 description: Cliente registrado (opcional, excluyente con cliente_documento)
+ *               cliente_documento:
+ *                 type: string
+ *                 description: Número de documento del cliente (opcional)
+ *                 example: "900123456-7"
  *               productos:
  *                 type: array
  *                 minItems: 1
@@ -241,8 +563,6 @@ router.get(
  *                   producto_id, codigo_barras o nombre.
  *                 items:
  *                   type: object
- *                   required:
- *                     - cantidad
  *                   properties:
  *                     producto_id:
  *                       type: integer
@@ -258,6 +578,14 @@ router.get(
  *                       description: |
  *                         Opción 2: Código de barras del producto (escaneo en caja).
  *                         Usar solo UNO de: producto_id, codigo_barras o nombre.
+ *                         Acepta códigos adicionales (empaques): la cantidad
+ *                         se multiplica por las unidades del empaque.
+ *                         También acepta etiquetas de balanza (EAN-13 con
+ *                         prefijo 20-23 por defecto): el producto se busca por
+ *                         su codigo_balanza y la cantidad sale de la etiqueta.
+ *                         Con etiquetas de precio el subtotal de la línea es
+ *                         el precio impreso. La misma etiqueta puede repetirse
+ *                         en la venta (paquetes con igual peso).
  *                       example: "7700304521005"
  *                     nombre:
  *                       type: string
@@ -271,7 +599,10 @@ router.get(
  *                       type: number
  *                       minimum: 0.001
  *                       maximum: 99999999.999
- *                       description: Cantidad a vender (decimales permitidos para peso)
+ *                       description: |
+ *                         Cantidad a vender (decimales permitidos para peso).
+ *                         Obligatoria salvo con etiquetas de balanza, donde se
+ *                         toma del código (si se envía, se ignora).
  *                       example: 2
  *                     precio_unitario:
  *                       type: number
@@ -311,6 +642,27 @@ router.get(
  *                     cantidad: 3
  *                   - nombre: "Pan Tajado"
  *                     cantidad: 2
+ *             con_cliente:
+ *               summary: Venta a cliente identificado (factura a empresa)
+ *               value:
+ *                 metodo_pago: "transferencia"
+ *                 cliente_documento: "900123456-7"
+ *                 productos:
+ *                   - codigo_barras: "7700304521005"
+ *                     cantidad: 24
+ *             pago_dividido:
+ *               summary: Pago dividido (efectivo con cambio + tarjeta)
+ *               value:
+ *                 pagos:
+ *                   - metodo_pago: "efectivo"
+ *                     monto: 20000
+ *                     monto_recibido: 50000
+ *                   - metodo_pago: "tarjeta"
+ *                     monto: 15000
+ *                     referencia: "APR-083412"
+ *                 productos:
+ *                   - codigo_barras: "7700304521005"
+ *                     cantidad: 10
  *             combinando_metodos:
  *               summary: Combinando métodos de búsqueda
  *               value:
@@ -353,7 +705,16 @@ router.get(
  *                           example: 6001.98
  *                         metodo_pago:
  *                           type: string
- *                           example: "efectivo"
+ *                           description: Único método usado o "mixto"
+ *                           example: "mixto"
+ *                         pagos:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/PagoVenta'
+ *                         cambio:
+ *                           type: number
+ *                           description: Total de vueltas a entregar en efectivo
+ *                           example: 30000
  *                         estado:
  *                           type: string
  *                           example: "activa"
@@ -361,7 +722,9 @@ router.get(
  *                           type: string
  *                           format: date-time
  *       400:
- *         description: Errores de validación o stock insuficiente
+ *         description: |
+ *           Errores de validación, stock insuficiente o pagos que no
+ *           suman el total de la venta
  *         content:
  *           application/json:
  *             schema:
@@ -391,7 +754,13 @@ router.get(
  *       401:
  *         description: No autorizado - Token inválido o expirado
  *       403:
- *         description: Permisos insuficientes - Solo cajeros, administradores y dueños
+ *         description: Sin el permiso `ventas.crear`
+ *       404:
+ *         description: Cliente no encontrado o inactivo
+ *       409:
+ *         description: |
+ *           El usuario no tiene una sesión de caja abierta, o el cliente
+ *           no tiene crédito aprobado / la venta supera su cupo disponible
  *       429:
  *         description: Límite de ventas excedido (40 cada 10 min)
  */
@@ -405,7 +774,7 @@ router.post(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño", "cajero"]),
+  requirePermission("ventas.crear"),
   validateCreateVenta,
   validateProductosBusinessRules,
   crearVenta
@@ -425,7 +794,7 @@ router.post(
  *       **Restricciones:**
  *       - Solo ventas con menos de 24 horas pueden ser anuladas
  *       - Requiere motivo de anulación (mínimo 10 caracteres)
- *       - Solo roles: administrador, dueño
+ *       - Requiere el permiso `ventas.anular`
  *
  *       **Límites de Rate Limiting:**
  *       - Máximo 10 anulaciones cada 15 minutos
@@ -467,6 +836,8 @@ router.post(
  *         description: No autorizado
  *       403:
  *         description: Permisos insuficientes
+ *       409:
+ *         description: Venta a crédito con abonos (se debe registrar devolución)
  *       429:
  *         description: Límite de anulaciones excedido (10 cada 15 min)
  */
@@ -481,12 +852,105 @@ router.delete(
     escapeWildcards: false,
   }),
   verifyToken,
-  verifyRole(["administrador", "dueño"]),
+  requirePermission("ventas.anular"),
   validateVentaId,
   validateVentaAnulacion,
   eliminarVenta
 );
 
+// =====================================================
+// REGISTRAR DEVOLUCIÓN (TOTAL O PARCIAL)
+// =====================================================
+/**
+ * @swagger
+ * /ventas/{id}/devoluciones:
+ *   post:
+ *     summary: Registrar devolución total o parcial de una venta
+ *     description: |
+ *       Registra la devolución de uno o varios productos de una venta y
+ *       reingresa el stock automáticamente.
+ *
+ *       **Reglas:**
+ *       - La cantidad por producto no puede superar lo vendido menos lo ya devuelto
+ *       - Si el producto se vendió en varias líneas (varias etiquetas de
+ *         balanza, código unitario y de empaque) la cantidad se reparte
+ *         entre ellas
+ *       - Solo ventas en estado activa o parcialmente_devuelta
+ *       - La venta pasa a parcialmente_devuelta o devuelta según corresponda
+ *       - Cada línea genera un movimiento de inventario con referencia "devolucion"
+ *       - Requiere el permiso `ventas.devoluciones`
+ *     tags: [Ventas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: ID de la venta
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *               - productos
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 500
+ *                 example: "Producto en mal estado reportado por el cliente"
+ *               productos:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - producto_id
+ *                     - cantidad
+ *                   properties:
+ *                     producto_id:
+ *                       type: integer
+ *                       example: 5
+ *                     cantidad:
+ *                       type: number
+ *                       format: float
+ *                       example: 1
+ *     responses:
+ *       201:
+ *         description: Devolución registrada exitosamente
+ *       400:
+ *         description: Cantidad excedida, producto ajeno a la venta o venta no devolvible
+ *       404:
+ *         description: Venta no encontrada
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       429:
+ *         description: Límite de operaciones críticas excedido
+ */
+router.post(
+  "/:id/devoluciones",
+  criticalVentaLimiter,
+  sanitizeSearch({
+    paramFields: ["id"],
+    bodyFields: ["motivo"],
+    maxLength: 500,
+    removeDangerousChars: true,
+    escapeWildcards: false,
+  }),
+  verifyToken,
+  requirePermission("ventas.devoluciones"),
+  validateVentaDevolucion,
+  registrarDevolucion
+);
+
 // =====================================================
 // SWAGGER COMPONENTS
 // =====================================================
@@ -506,17 +970,43 @@ router.delete(
  *         usuario_id:
  *           type: integer
  *           description: ID del usuario que realizó la venta
+ *         sesion_caja_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Sesión de caja en la que se registró la venta
+ *         sesion_caja_anulacion_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Sesión de caja de quien anuló la venta (de ahí sale el reembolso)
  *         total:
  *           type: number
  *           format: float
- *           description: Valor total de la venta
+ *           description: Valor total cobrado (neto de promociones)
+ *         descuento_total:
+ *           type: number
+ *           format: float
+ *           description: Suma de descuentos aplicados por promociones
+ *         promocion_ticket_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Promoción de ticket aplicada
+ *         base_iva:
+ *           type: number
+ *           format: float
+ *           description: Total sin IVA (suma de bases gravables)
+ *         total_iva:
+ *           type: number
+ *           format: float
+ *           description: IVA incluido en el total
  *         metodo_pago:
  *           type: string
- *           enum: [efectivo, tarjeta, transferencia]
- *           description: Método de pago utilizado
+ *           enum: [efectivo, tarjeta, transferencia, credito, mixto]
+ *           description: |
+ *             Resumen de las líneas de pago: el único método usado o
+ *             `mixto` si se pagó con varios (detalle en `pagos`)
  *         estado:
  *           type: string
- *           enum: [activa, anulada]
+ *           enum: [activa, parcialmente_devuelta, devuelta, anulada]
  *           description: Estado de la venta
  *         fecha_venta:
  *           type: string
@@ -540,6 +1030,31 @@ router.delete(
  *           nullable: true
  *           description: Motivo de la anulación
  *
+ *     PagoVenta:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         metodo_pago:
+ *           type: string
+ *           enum: [efectivo, tarjeta, transferencia, credito]
+ *         monto:
+ *           type: number
+ *           format: float
+ *           description: Valor aplicado al total de la venta
+ *         monto_recibido:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Efectivo entregado por el cliente
+ *         cambio:
+ *           type: number
+ *           format: float
+ *           description: Vueltas entregadas
+ *         referencia:
+ *           type: string
+ *           nullable: true
+ *
  *     DetalleVenta:
  *       type: object
  *       properties:
@@ -558,6 +1073,31 @@ router.delete(
  *         subtotal:
  *           type: number
  *           format: float
+ *           description: Monto bruto (cantidad × precio_unitario)
+ *         descuento:
+ *           type: number
+ *           format: float
+ *           description: Descuento de la línea (promoción de línea + parte del ticket)
+ *         total_neto:
+ *           type: number
+ *           format: float
+ *           description: subtotal - descuento
+ *         promocion_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Promoción de producto/categoría aplicada
+ *         tarifa_iva:
+ *           type: string
+ *           enum: ["19", "5", "0", exento]
+ *           description: Tarifa de IVA del producto al momento de la venta
+ *         base_iva:
+ *           type: number
+ *           format: float
+ *           description: Base gravable de la línea (total_neto sin IVA)
+ *         valor_iva:
+ *           type: number
+ *           format: float
+ *           description: IVA incluido en total_neto
  *         created_at:
  *           type: string
  *           format: date-time
@@ -622,4 +1162,80 @@ router.delete(
  *               example: "Consultas computacionalmente costosas"
  */
 
+// =====================================================
+// SWAGGER COMPONENTS
+// =====================================================
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     FormatoExportacion:
+ *       in: query
+ *       name: format
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [csv, xlsx]
+ *       description: |
+ *         Descarga el resultado como archivo en lugar de JSON. En listados
+ *         trae todo el resultado filtrado, sin paginación (page y limit se
+ *         ignoran). Encabezados en español; en CSV (separador ";") números
+ *         y fechas con formato colombiano (1.234,50 y dd/mm/aaaa). Los
+ *         reportes van con una hoja "Resumen" y una hoja por cada tabla.
+ *   schemas:
+ *     MargenBruto:
+ *       type: object
+ *       properties:
+ *         ingresos:
+ *           type: number
+ *           description: Base sin IVA neta de promociones y devoluciones
+ *         costo:
+ *           type: number
+ *         margen_bruto:
+ *           type: number
+ *         margen_porcentaje:
+ *           type: number
+ *           description: Margen bruto sobre ingresos (%)
+ *     MetricasVentas:
+ *       type: object
+ *       properties:
+ *         tickets:
+ *           type: integer
+ *         ingresos:
+ *           type: number
+ *         ticket_promedio:
+ *           type: number
+ *     ComparacionPeriodo:
+ *       type: object
+ *       properties:
+ *         actual:
+ *           allOf:
+ *             - $ref: '#/components/schemas/MetricasVentas'
+ *             - type: object
+ *               properties:
+ *                 desde:
+ *                   type: string
+ *                   format: date
+ *                 hasta:
+ *                   type: string
+ *                   format: date
+ *         anterior:
+ *           allOf:
+ *             - $ref: '#/components/schemas/MetricasVentas'
+ *             - type: object
+ *               properties:
+ *                 desde:
+ *                   type: string
+ *                   format: date
+ *                 hasta:
+ *                   type: string
+ *                   format: date
+ *         variaciones:
+ *           type: object
+ *           description: |
+ *             Por métrica (tickets, ingresos, ticket_promedio): diferencia
+ *             absoluta y variacion_porcentaje (null si el período anterior
+ *             es cero)
+ */
+
 export default router;
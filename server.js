@@ -7,6 +7,8 @@ import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 import { trackPerformance } from "./middleware/performance.js";
 import { generalLimiter } from "./middleware/rateLimiters.js";
+import { iniciarProgramadorPrecios } from "./services/historialPreciosService.js";
+import { sembrarPermisos } from "./services/permisosService.js";
 
 dotenv.config();
 
@@ -131,11 +133,17 @@ async function startServer() {
       console.log("📌 Base de datos sincronizada (modo normal)");
     }
 
+    // Permisos nuevos del catálogo con sus roles por defecto
+    await sembrarPermisos();
+
     app.listen(PORT, () => {
       console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
       console.log(`📊 Ambiente: ${process.env.NODE_ENV}`);
       console.log(`🔗 API URL: http://localhost:${PORT}/api`);
       console.log(`📚 Swagger UI: http://localhost:${PORT}/api-docs`);
+
+      // Cambios de precio programados (PRICE_SCHEDULER_ENABLED=false lo desactiva)
+      iniciarProgramadorPrecios();
     });
   } catch (error) {
     console.error("❌ No se pudo conectar a la base de datos:", error);
@@ -1,7 +1,9 @@
 // services/authService.js - Lógica de Negocio Pura para Autenticación
 import jwt from "jsonwebtoken";
+import { randomUUID, randomBytes, createHash } from "crypto";
 import { sequelize, Op } from "../config/database.js";
 import db from "../models/index.js";
+import redisClient from "../config/redis.js";
 import {
   hashPassword,
   comparePassword,
@@ -17,20 +19,368 @@ import {
   invalidateUserProfilesCache,
   generateCacheKey,
   generateSimpleCacheKey,
+  invalidateKeys,
 } from "../services/cacheService.js";
+import {
+  registrarSesion,
+  rotarRefreshSesion,
+  obtenerSesion,
+  listarSesionesUsuario,
+  revocarSesion,
+  revocarSesionesUsuario,
+} from "./sesionesService.js";
+import {
+  generarSecretoTOTP,
+  verificarCodigoTOTP,
+  uriAprovisionamiento,
+  generarCodigosRecuperacion,
+  hashCodigoRecuperacion,
+  cifrarSecreto,
+  descifrarSecreto,
+} from "../utils/totp.js";
+import { enviarCorreo } from "./correoService.js";
 
 const { usuarios } = db;
 
+// =====================================================
+// 🎟️ EMISIÓN DE TOKENS
+// =====================================================
+// Access token: JWT de vida corta (JWT_ACCESS_EXPIRES_IN, defecto 15m).
+// Refresh token: opaco, "{jti}.{secreto}", rota en cada uso y vence tras
+// JWT_REFRESH_EXPIRES_IN sin usarse (defecto 12h, un turno de caja). Solo se
+// guarda el hash SHA-256 del secreto.
+//
+// El jti identifica la sesión: todos los access tokens emitidos al rotar
+// comparten el jti del login, así revocar la sesión los invalida a todos.
+
+const ACCESS_TOKEN_EXPIRES_IN_DEFECTO = "15m";
+const REFRESH_TOKEN_EXPIRES_IN_DEFECTO = "12h";
+
+const UNIDADES_DURACION = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Convierte una duración ("15m", "12h", "7d" o segundos) a segundos
+ */
+const duracionEnSegundos = (valor) => {
+  const coincidencia = /^(\d+)\s*([smhd]?)$/.exec(String(valor).trim());
+  if (!coincidencia) {
+    throw new Error(`Duración inválida: "${valor}"`);
+  }
+  return Number(coincidencia[1]) * UNIDADES_DURACION[coincidencia[2] || "s"];
+};
+
+// Tokens opacos (refresh y recuperación de contraseña): solo se guarda el hash
+const hashToken = (secreto) =>
+  createHash("sha256").update(secreto).digest("hex");
+
+/**
+ * Firma un access token para la sesión
+ * @returns {Object} { token, expira } con expira en segundos epoch
+ */
+const emitirAccessToken = (usuario, jti) => {
+  const tokenPayload = {
+    userId: usuario.id,
+    username: usuario.username,
+    rol: usuario.rol,
+    email: usuario.email,
+  };
+
+  const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
+    expiresIn:
+      process.env.JWT_ACCESS_EXPIRES_IN || ACCESS_TOKEN_EXPIRES_IN_DEFECTO,
+    jwtid: jti,
+  });
+
+  return { token, expira: jwt.decode(token).exp };
+};
+
+/**
+ * Genera un refresh token para la sesión
+ * @returns {Object} { token, hash, expira } con expira en segundos epoch
+ */
+const emitirRefreshToken = (jti) => {
+  const secreto = randomBytes(32).toString("base64url");
+  const ttl = duracionEnSegundos(
+    process.env.JWT_REFRESH_EXPIRES_IN || REFRESH_TOKEN_EXPIRES_IN_DEFECTO
+  );
+
+  return {
+    token: `${jti}.${secreto}`,
+    hash: hashToken(secreto),
+    expira: Math.floor(Date.now() / 1000) + ttl,
+  };
+};
+
+/**
+ * Respuesta común de login y refresh
+ */
+const respuestaTokens = (accessToken, refreshToken) => ({
+  token: accessToken.token,
+  token_type: "Bearer",
+  expires_in: accessToken.expira - Math.floor(Date.now() / 1000),
+  refresh_token: refreshToken.token,
+  refresh_expires_at: new Date(refreshToken.expira * 1000).toISOString(),
+});
+
+// =====================================================
+// 🔢 SEGUNDO FACTOR (TOTP)
+// =====================================================
+// Con totp_activo el login se hace en dos pasos: la contraseña devuelve un
+// token_2fa (JWT de 5 minutos sin sesión registrada, verifyToken lo rechaza)
+// y /auth/2fa/login/verificar lo canjea junto con el código por los tokens.
+//
+// TOTP_REQUIRED_ROLES (ej: "administrador,dueño") obliga a esos roles: si aún
+// no tienen 2FA, el token_2fa solo sirve para enrolarse antes de entrar.
+
+const TOKEN_2FA_EXPIRES_IN = "5m";
+const TOTP_ISSUER_DEFECTO = "Santuario";
+
+/**
+ * Indica si el rol debe usar segundo factor (TOTP_REQUIRED_ROLES)
+ */
+const dosFactoresObligatorio = (rol) =>
+  (process.env.TOTP_REQUIRED_ROLES || "")
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean)
+    .includes(rol);
+
+/**
+ * Respuesta del login cuando falta el segundo factor
+ * @param {Object} usuario - Instancia de usuarios
+ * @param {string} pendiente - "codigo" | "enrolamiento"
+ */
+const respuestaDosFactoresPendiente = (usuario, pendiente) => {
+  const token = jwt.sign(
+    { userId: usuario.id, tipo: "2fa", pendiente },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_2FA_EXPIRES_IN, jwtid: randomUUID() }
+  );
+
+  return {
+    success: true,
+    requiere_2fa: true,
+    data: {
+      pendiente,
+      token_2fa: token,
+      expires_in: duracionEnSegundos(TOKEN_2FA_EXPIRES_IN),
+    },
+    metadata: {
+      usuario_id: usuario.id,
+    },
+  };
+};
+
+/**
+ * Valida un token_2fa y carga su usuario
+ * @returns {Object} { usuario, pendiente }
+ * @throws {Error} INVALID_2FA_TOKEN
+ */
+const leerToken2FA = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw new Error("INVALID_2FA_TOKEN");
+  }
+
+  if (decoded.tipo !== "2fa") {
+    throw new Error("INVALID_2FA_TOKEN");
+  }
+
+  const usuario = await usuarios.findOne({
+    where: { id: decoded.userId, activo: true },
+  });
+
+  if (!usuario) {
+    throw new Error("INVALID_2FA_TOKEN");
+  }
+
+  return { usuario, pendiente: decoded.pendiente };
+};
+
+/**
+ * Consume un código de recuperación. Se relee la fila con FOR UPDATE para
+ * que dos logins simultáneos no usen el mismo código
+ * @param {Object} usuario - Instancia de usuarios (queda con los restantes)
+ * @returns {string|null} "recuperacion" si el código era válido
+ */
+const consumirCodigoRecuperacion = async (usuario, codigo) => {
+  const hash = hashCodigoRecuperacion(codigo);
+  const transaction = await sequelize.transaction();
+
+  try {
+    const actual = await usuarios.findByPk(usuario.id, {
+      attributes: ["id", "totp_codigos_recuperacion"],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    const codigos = actual?.totp_codigos_recuperacion || [];
+
+    if (!codigos.includes(hash)) {
+      await transaction.commit();
+      return null;
+    }
+
+    await usuario.update(
+      { totp_codigos_recuperacion: codigos.filter((c) => c !== hash) },
+      { transaction }
+    );
+    await transaction.commit();
+    return "recuperacion";
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Verifica un código del segundo factor contando los intentos fallidos
+ * Mismo bloqueo que el login (5 intentos, 15 minutos), por usuario
+ * @param {Object} usuario - Instancia de usuarios con totp_secreto
+ * @param {string} codigo - Código TOTP o, si se permite, de recuperación
+ * @param {Object} opciones - { permitirRecuperacion }
+ * @returns {string} Método usado: "totp" | "recuperacion"
+ * @throws {Error} ACCOUNT_LOCKED | INVALID_2FA_CODE
+ */
+const verificarSegundoFactor = async (
+  usuario,
+  codigo,
+  { permitirRecuperacion = false } = {}
+) => {
+  const attemptsKey = generateSimpleCacheKey(
+    CACHE_PREFIXES.AUTH_2FA_ATTEMPTS,
+    usuario.id
+  );
+  const attempts = await cacheGet(attemptsKey);
+
+  if (attempts && attempts.count >= 5 && attempts.lockUntil > Date.now()) {
+    throw new Error("ACCOUNT_LOCKED");
+  }
+
+  let metodo = null;
+  const paso = verificarCodigoTOTP(
+    descifrarSecreto(usuario.totp_secreto),
+    codigo,
+    usuario.totp_ultimo_paso
+  );
+
+  if (paso !== null) {
+    // Condicional para que dos requests no acepten el mismo código
+    const [actualizados] = await usuarios.update(
+      { totp_ultimo_paso: paso },
+      {
+        where: {
+          id: usuario.id,
+          [Op.or]: [
+            { totp_ultimo_paso: null },
+            { totp_ultimo_paso: { [Op.lt]: paso } },
+          ],
+        },
+      }
+    );
+    if (actualizados > 0) {
+      metodo = "totp";
+    }
+  } else if (permitirRecuperacion) {
+    metodo = await consumirCodigoRecuperacion(usuario, codigo);
+  }
+
+  if (!metodo) {
+    await registrarIntentoFallido(usuario.id, CACHE_PREFIXES.AUTH_2FA_ATTEMPTS);
+    throw new Error("INVALID_2FA_CODE");
+  }
+
+  await invalidateKeys([attemptsKey]);
+  return metodo;
+};
+
+/**
+ * Genera y guarda (cifrado) un secreto nuevo pendiente de activar
+ * @returns {Object} { secreto, uri }
+ * @throws {Error} TOTP_ALREADY_ENABLED
+ */
+const prepararEnrolamiento = async (usuario) => {
+  if (usuario.totp_activo) {
+    throw new Error("TOTP_ALREADY_ENABLED");
+  }
+
+  const secreto = generarSecretoTOTP();
+  await usuario.update({
+    totp_secreto: cifrarSecreto(secreto),
+    totp_ultimo_paso: null,
+  });
+
+  return {
+    secreto,
+    uri: uriAprovisionamiento({
+      secreto,
+      cuenta: usuario.username,
+      emisor: process.env.TOTP_ISSUER || TOTP_ISSUER_DEFECTO,
+    }),
+  };
+};
+
+/**
+ * Activa el segundo factor con el primer código de la app
+ * @returns {Array<string>} Códigos de recuperación en claro
+ * @throws {Error} TOTP_ALREADY_ENABLED | TOTP_ENROLMENT_NOT_STARTED | INVALID_2FA_CODE
+ */
+const confirmarEnrolamiento = async (usuario, codigo) => {
+  if (usuario.totp_activo) {
+    throw new Error("TOTP_ALREADY_ENABLED");
+  }
+  if (!usuario.totp_secreto) {
+    throw new Error("TOTP_ENROLMENT_NOT_STARTED");
+  }
+
+  await verificarSegundoFactor(usuario, codigo);
+
+  const codigosRecuperacion = generarCodigosRecuperacion();
+  await usuario.update({
+    totp_activo: true,
+    totp_codigos_recuperacion: codigosRecuperacion.map(hashCodigoRecuperacion),
+    totp_activado_en: new Date(),
+    fecha_actualizacion: new Date(),
+  });
+
+  await invalidateAuthCache(usuario.id, usuario.username);
+  return codigosRecuperacion;
+};
+
+/**
+ * Busca un usuario activo con 2FA ya activado
+ * @throws {Error} USER_NOT_FOUND | TOTP_NOT_ENROLLED
+ */
+const obtenerUsuarioConDosFactores = async (userId) => {
+  const usuario = await usuarios.findOne({
+    where: { id: userId, activo: true },
+  });
+
+  if (!usuario) {
+    throw new Error("USER_NOT_FOUND");
+  }
+  if (!usuario.totp_activo) {
+    throw new Error("TOTP_NOT_ENROLLED");
+  }
+
+  return usuario;
+};
+
 // =====================================================
 // 🔐 OPERACIONES DE AUTENTICACIÓN
 // =====================================================
 
 /**
- * Autentica usuario y genera token JWT
+ * Autentica usuario y genera access token + refresh token
+ * El login abre una sesión (ver sesionesService) identificada por el jti.
+ * Si el usuario tiene segundo factor (o su rol lo exige) no se emiten tokens:
+ * se devuelve { requiere_2fa: true, data: { token_2fa, pendiente } }
  * @param {Object} credentials - { username, password }
- * @returns {Object} { success, data: { token, user }, fromCache }
+ * @param {Object} contexto - { ip, user_agent } del request (opcional)
+ * @returns {Object} { success, data: { token, refresh_token, user }, metadata }
  */
-const autenticarUsuario = async (credentials) => {
+const autenticarUsuario = async (credentials, contexto = {}) => {
   const { username, password } = credentials;
   const usernameNorm = username.toLowerCase().trim();
 
@@ -67,59 +417,219 @@ const autenticarUsuario = async (credentials) => {
       throw new Error("INVALID_CREDENTIALS");
     }
 
-    // Login exitoso - limpiar intentos fallidos
+    // Contraseña correcta - limpiar intentos fallidos
     await invalidateLoginAttemptsCache(usernameNorm);
 
-    // Generar JWT
-    const tokenPayload = {
-      userId: usuario.id,
-      username: usuario.username,
-      rol: usuario.rol,
-      email: usuario.email,
-    };
+    // Con segundo factor el login se completa en /auth/2fa/login/verificar
+    if (usuario.totp_activo) {
+      return respuestaDosFactoresPendiente(usuario, "codigo");
+    }
+    if (dosFactoresObligatorio(usuario.rol)) {
+      return respuestaDosFactoresPendiente(usuario, "enrolamiento");
+    }
 
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-    });
+    return await iniciarSesion(usuario, contexto);
+  } catch (error) {
+    // Re-throw errores de negocio manteniendo el mensaje
+    if (["ACCOUNT_LOCKED", "INVALID_CREDENTIALS"].includes(error.message)) {
+      throw error;
+    }
 
-    // Preparar respuesta sin contraseña
-    const userResponse = {
-      id: usuario.id,
-      username: usuario.username,
-      email: usuario.email,
-      nombre: usuario.nombre,
-      apellido: usuario.apellido,
-      rol: usuario.rol,
-      activo: usuario.activo,
-      fecha_creacion: usuario.fecha_creacion,
-    };
+    console.error("Error en autenticación:", error);
+    throw new Error("AUTH_SERVICE_ERROR");
+  }
+};
+
+/**
+ * Emite los tokens y abre la sesión de un usuario ya autenticado
+ * @param {Object} usuario - Instancia de usuarios
+ * @param {Object} contexto - { ip, user_agent } del request
+ * @returns {Object} { success, data: { token, refresh_token, user }, metadata }
+ */
+const iniciarSesion = async (usuario, contexto = {}) => {
+  const jti = randomUUID();
+  const accessToken = emitirAccessToken(usuario, jti);
+  const refreshToken = emitirRefreshToken(jti);
+
+  const sesion = await registrarSesion({
+    jti,
+    usuarioId: usuario.id,
+    expira: refreshToken.expira,
+    refreshHash: refreshToken.hash,
+    ip: contexto.ip,
+    userAgent: contexto.user_agent,
+  });
+
+  // Preparar respuesta sin contraseña
+  const userResponse = {
+    id: usuario.id,
+    username: usuario.username,
+    email: usuario.email,
+    nombre: usuario.nombre,
+    apellido: usuario.apellido,
+    rol: usuario.rol,
+    activo: usuario.activo,
+    totp_activo: usuario.totp_activo,
+    fecha_creacion: usuario.fecha_creacion,
+  };
+
+  // Cachear información del usuario por un tiempo corto
+  const cacheKey = generateCacheKey("auth:user", { userId: usuario.id });
+  await cacheSet(cacheKey, userResponse, CACHE_TTL.AUTH_SESSION_VALIDATION);
+
+  return {
+    success: true,
+    data: {
+      ...respuestaTokens(accessToken, refreshToken),
+      user: userResponse,
+    },
+    metadata: {
+      login_timestamp: new Date().toISOString(),
+      user_agent: sesion.user_agent,
+      sesion_id: jti,
+      expira: sesion.expira,
+    },
+  };
+};
+
+/**
+ * Renueva el access token con un refresh token y rota este último.
+ * Presentar un refresh token ya rotado se trata como robo: se revoca la
+ * sesión completa y con ella todos sus tokens.
+ * @param {string} refreshTokenRecibido - "{jti}.{secreto}"
+ * @returns {Object} { success, data: { token, refresh_token, ... }, metadata }
+ * @throws {Error} INVALID_REFRESH_TOKEN | REFRESH_TOKEN_REUSED | USER_NOT_FOUND
+ */
+const refrescarToken = async (refreshTokenRecibido) => {
+  const partes = String(refreshTokenRecibido).trim().split(".");
+  const [jti, secreto] = partes;
+
+  if (partes.length !== 2 || !jti || !secreto) {
+    throw new Error("INVALID_REFRESH_TOKEN");
+  }
+
+  try {
+    const refreshToken = emitirRefreshToken(jti);
+    const resultado = await rotarRefreshSesion(
+      jti,
+      hashToken(secreto),
+      refreshToken.hash,
+      refreshToken.expira
+    );
+
+    if (resultado === "reutilizado") {
+      const sesion = await obtenerSesion(jti);
+      if (sesion) {
+        await revocarSesion(jti, sesion.usuario_id);
+      }
+      console.warn(
+        `🚨 Refresh token reutilizado, sesión ${jti} revocada (usuario ID: ${sesion?.usuario_id})`
+      );
+      throw new Error("REFRESH_TOKEN_REUSED");
+    }
+
+    if (resultado !== "ok") {
+      throw new Error("INVALID_REFRESH_TOKEN");
+    }
 
-    // Cachear información del usuario por un tiempo corto
-    const cacheKey = generateCacheKey("auth:user", { userId: usuario.id });
-    await cacheSet(cacheKey, userResponse, CACHE_TTL.AUTH_SESSION_VALIDATION);
+    const sesion = await obtenerSesion(jti);
+    const usuario = sesion
+      ? await usuarios.findOne({
+          where: { id: sesion.usuario_id, activo: true },
+          attributes: ["id", "username", "email", "rol"],
+        })
+      : null;
+
+    if (!usuario) {
+      if (sesion) {
+        await revocarSesion(jti, sesion.usuario_id);
+      }
+      throw new Error("USER_NOT_FOUND");
+    }
+
+    // Rol y email actuales: un cambio de rol se refleja en el siguiente refresh
+    const accessToken = emitirAccessToken(usuario, jti);
 
     return {
       success: true,
-      data: {
-        token,
-        user: userResponse,
-      },
+      data: respuestaTokens(accessToken, refreshToken),
       metadata: {
-        login_timestamp: new Date().toISOString(),
-        user_agent: null, // Se podría pasar desde el controlador
+        refreshed_at: new Date().toISOString(),
+        sesion_id: jti,
+        expira: sesion.expira,
       },
     };
   } catch (error) {
-    // Re-throw errores de negocio manteniendo el mensaje
-    if (["ACCOUNT_LOCKED", "INVALID_CREDENTIALS"].includes(error.message)) {
+    if (
+      ["INVALID_REFRESH_TOKEN", "REFRESH_TOKEN_REUSED", "USER_NOT_FOUND"].includes(
+        error.message
+      )
+    ) {
       throw error;
     }
 
-    console.error("Error en autenticación:", error);
+    console.error("Error renovando token:", error);
     throw new Error("AUTH_SERVICE_ERROR");
   }
 };
 
+/**
+ * Segundo paso del login: canjea el token_2fa y un código por los tokens
+ * Con pendiente "codigo" acepta también un código de recuperación. Con
+ * pendiente "enrolamiento" el código activa el 2FA preparado con
+ * iniciarEnrolamientoLogin y la respuesta incluye los códigos de recuperación.
+ * @param {string} token2fa - Token devuelto por autenticarUsuario
+ * @param {string} codigo - Código de la app o de recuperación
+ * @param {Object} contexto - { ip, user_agent } del request
+ * @returns {Object} Igual que autenticarUsuario con la sesión abierta
+ * @throws {Error} INVALID_2FA_TOKEN | INVALID_2FA_CODE | ACCOUNT_LOCKED | TOTP_ENROLMENT_NOT_STARTED
+ */
+const verificarDosFactoresLogin = async (token2fa, codigo, contexto = {}) => {
+  const { usuario, pendiente } = await leerToken2FA(token2fa);
+
+  if (pendiente === "enrolamiento") {
+    const codigosRecuperacion = await confirmarEnrolamiento(usuario, codigo);
+    const result = await iniciarSesion(usuario, contexto);
+
+    result.data.codigos_recuperacion = codigosRecuperacion;
+    result.metadata.metodo_2fa = "enrolamiento";
+    return result;
+  }
+
+  if (!usuario.totp_activo) {
+    // El 2FA se desactivó después de emitir el token
+    throw new Error("INVALID_2FA_TOKEN");
+  }
+
+  const metodo = await verificarSegundoFactor(usuario, codigo, {
+    permitirRecuperacion: true,
+  });
+  const result = await iniciarSesion(usuario, contexto);
+
+  result.metadata.metodo_2fa = metodo;
+  if (metodo === "recuperacion") {
+    result.metadata.codigos_recuperacion_restantes =
+      usuario.totp_codigos_recuperacion.length;
+  }
+  return result;
+};
+
+/**
+ * Enrolamiento obligatorio durante el login (pendiente "enrolamiento")
+ * @param {string} token2fa - Token devuelto por autenticarUsuario
+ * @returns {Object} { secreto, uri }
+ * @throws {Error} INVALID_2FA_TOKEN
+ */
+const iniciarEnrolamientoLogin = async (token2fa) => {
+  const { usuario, pendiente } = await leerToken2FA(token2fa);
+
+  if (pendiente !== "enrolamiento") {
+    throw new Error("INVALID_2FA_TOKEN");
+  }
+
+  return await prepararEnrolamiento(usuario);
+};
+
 /**
  * Valida token JWT y retorna información del usuario
  * @param {string} token - Token JWT
@@ -129,6 +639,11 @@ const validarToken = async (token) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    const sesion = decoded.jti ? await obtenerSesion(decoded.jti) : null;
+    if (!sesion) {
+      throw new Error("REVOKED_TOKEN");
+    }
+
     // Verificar en cache primero
     const cacheKey = generateCacheKey("auth:user", { userId: decoded.userId });
     let usuario = await cacheGet(cacheKey);
@@ -177,7 +692,7 @@ const validarToken = async (token) => {
     if (error.name === "TokenExpiredError") {
       throw new Error("EXPIRED_TOKEN");
     }
-    if (error.message === "USER_NOT_FOUND") {
+    if (["USER_NOT_FOUND", "REVOKED_TOKEN"].includes(error.message)) {
       throw error;
     }
 
@@ -212,6 +727,7 @@ const obtenerPerfilUsuario = async (userId) => {
       "apellido",
       "rol",
       "activo",
+      "totp_activo",
       "fecha_creacion",
       "fecha_actualizacion",
     ],
@@ -307,11 +823,13 @@ const actualizarPerfilUsuario = async (userId, datosActualizacion) => {
 
 /**
  * Cambia contraseña del usuario autenticado
+ * Cierra las demás sesiones del usuario; la actual sigue activa
  * @param {number} userId - ID del usuario
  * @param {Object} passwords - { passwordActual, passwordNuevo }
+ * @param {string} jtiActual - Sesión desde la que se hace el cambio
  * @returns {Object} { success, metadata }
  */
-const cambiarPasswordUsuario = async (userId, passwords) => {
+const cambiarPasswordUsuario = async (userId, passwords, jtiActual = null) => {
   const { passwordActual, passwordNuevo } = passwords;
   const transaction = await sequelize.transaction();
 
@@ -366,11 +884,16 @@ const cambiarPasswordUsuario = async (userId, passwords) => {
     // Invalidar caches de autenticación
     await invalidateAuthCache(userId, usuario.username);
 
+    const sesionesCerradas = await revocarSesionesUsuario(userId, {
+      excepto: jtiActual,
+    });
+
     return {
       success: true,
       metadata: {
         password_changed_at: new Date().toISOString(),
         password_strength: validation.strength,
+        sesiones_cerradas: sesionesCerradas,
       },
     };
   } catch (error) {
@@ -379,19 +902,325 @@ const cambiarPasswordUsuario = async (userId, passwords) => {
   }
 };
 
+// =====================================================
+// 🔁 RECUPERACIÓN DE CONTRASEÑA
+// =====================================================
+// El token va por correo y en Redis solo se guarda su hash SHA-256:
+//   reset_password:{hash}             → ID del usuario (vence con el token)
+//   reset_password:usuario:{userId}   → hash vigente; pedir otro invalida el
+//                                        anterior
+// Dura PASSWORD_RESET_EXPIRES_IN (defecto 30m) y sirve una sola vez (GETDEL).
+// PASSWORD_RESET_URL es la página del frontend que recibe ?token=.
+
+const RESET_TOKEN_EXPIRES_IN_DEFECTO = "30m";
+const PREFIJO_RESET = "reset_password";
+
+const claveResetToken = (hash) => `${PREFIJO_RESET}:${hash}`;
+const claveResetUsuario = (userId) => `${PREFIJO_RESET}:usuario:${userId}`;
+
+/**
+ * Genera el token de recuperación y lo envía por correo
+ * @param {Object} usuario - { id, username, email, nombre }
+ * @param {Object} contexto - { ip } del request
+ */
+const enviarTokenRecuperacion = async (usuario, contexto) => {
+  const token = randomBytes(32).toString("base64url");
+  const hash = hashToken(token);
+  const ttl = duracionEnSegundos(
+    process.env.PASSWORD_RESET_EXPIRES_IN || RESET_TOKEN_EXPIRES_IN_DEFECTO
+  );
+
+  const hashAnterior = await redisClient.get(claveResetUsuario(usuario.id));
+  if (hashAnterior) {
+    await redisClient.del(claveResetToken(hashAnterior));
+  }
+
+  await redisClient.set(claveResetToken(hash), String(usuario.id), { EX: ttl });
+  await redisClient.set(claveResetUsuario(usuario.id), hash, { EX: ttl });
+
+  const enlace = process.env.PASSWORD_RESET_URL
+    ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+    : null;
+
+  try {
+    await enviarCorreo({
+      para: usuario.email,
+      asunto: "Restablecer contraseña",
+      texto:
+        `Hola ${usuario.nombre},\n\n` +
+        `Recibimos una solicitud para restablecer la contraseña del usuario ${usuario.username}.\n\n` +
+        (enlace
+          ? `Abre este enlace para elegir una nueva:\n${enlace}\n\n`
+          : `Usa este código para elegir una nueva:\n${token}\n\n`) +
+        `Vence en ${Math.round(ttl / 60)} minutos y sirve una sola vez. ` +
+        `Si no la pediste, ignora este correo: tu contraseña no cambia.`,
+    });
+  } catch (error) {
+    // Sin correo el token no sirve; el error no se expone para no revelar
+    // que el email existe
+    await redisClient.del([
+      claveResetToken(hash),
+      claveResetUsuario(usuario.id),
+    ]);
+    console.error("Error enviando correo de recuperación:", error);
+    return;
+  }
+
+  console.log(
+    `🔁 Recuperación de contraseña solicitada: ${usuario.username} (ID: ${usuario.id}, IP: ${contexto.ip})`
+  );
+};
+
+/**
+ * Envía al email un token para restablecer la contraseña
+ * Si el email no corresponde a un usuario activo no hace nada: la respuesta
+ * debe ser la misma para no revelar qué emails están registrados. Por eso
+ * el token y el correo se procesan fuera del request: el tiempo de
+ * respuesta tampoco debe delatar el email
+ * @param {string} email - Email del usuario
+ * @param {Object} contexto - { ip } del request
+ */
+const solicitarRecuperacionPassword = async (email, contexto = {}) => {
+  const emailNorm = email.trim().toLowerCase();
+
+  const usuario = await usuarios.findOne({
+    where: { email: emailNorm, activo: true },
+    attributes: ["id", "username", "email", "nombre"],
+  });
+
+  if (!usuario) {
+    // Sin el email: el log no debe juntar direcciones ajenas
+    console.warn(
+      `Recuperación de contraseña para email no registrado (IP: ${contexto.ip})`
+    );
+    return;
+  }
+
+  enviarTokenRecuperacion(usuario, contexto).catch((error) => {
+    console.error("Error generando la recuperación de contraseña:", error);
+  });
+};
+
+/**
+ * Cambia la contraseña con un token de recuperación y cierra las sesiones
+ * El token se consume solo si la contraseña nueva es válida
+ * @param {string} token - Token recibido por correo
+ * @param {string} passwordNuevo - Nueva contraseña
+ * @returns {Object} { success, metadata }
+ * @throws {Error} INVALID_RESET_TOKEN | WEAK_PASSWORD
+ */
+const restablecerPassword = async (token, passwordNuevo) => {
+  const clave = claveResetToken(hashToken(String(token).trim()));
+
+  if (!(await redisClient.get(clave))) {
+    throw new Error("INVALID_RESET_TOKEN");
+  }
+
+  const validation = validatePasswordStrength(passwordNuevo);
+  if (!validation.isValid) {
+    const error = new Error("WEAK_PASSWORD");
+    error.details = validation.errors;
+    throw error;
+  }
+
+  // GETDEL: si dos requests llegan con el mismo token solo uno lo consume
+  const userId = await redisClient.getDel(clave);
+  if (!userId) {
+    throw new Error("INVALID_RESET_TOKEN");
+  }
+  await redisClient.del(claveResetUsuario(userId));
+
+  const usuario = await usuarios.findOne({
+    where: { id: userId, activo: true },
+  });
+
+  if (!usuario) {
+    throw new Error("INVALID_RESET_TOKEN");
+  }
+
+  const hashedPassword = await hashPassword(passwordNuevo);
+
+  await usuario.update({
+    password: hashedPassword,
+    fecha_actualizacion: new Date(),
+  });
+
+  // Caches de autenticación, bloqueos por intentos fallidos y sesiones
+  await invalidateAuthCache(usuario.id, usuario.username);
+  await invalidateLoginAttemptsCache(usuario.username);
+  await invalidateLoginAttemptsCache(usuario.email);
+  const sesionesCerradas = await revocarSesionesUsuario(usuario.id);
+
+  console.log(
+    `🔁 Contraseña restablecida por recuperación: ${usuario.username} (ID: ${usuario.id})`
+  );
+
+  return {
+    success: true,
+    metadata: {
+      password_changed_at: new Date().toISOString(),
+      password_strength: validation.strength,
+      sesiones_cerradas: sesionesCerradas,
+    },
+  };
+};
+
+// =====================================================
+// 🔢 GESTIÓN DEL SEGUNDO FACTOR
+// =====================================================
+
+/**
+ * Prepara el enrolamiento TOTP del usuario autenticado
+ * El 2FA no queda activo hasta confirmarlo con activarDosFactores
+ * @param {number} userId - ID del usuario
+ * @returns {Object} { secreto, uri } - uri otpauth:// para el QR
+ * @throws {Error} USER_NOT_FOUND | TOTP_ALREADY_ENABLED
+ */
+const iniciarEnrolamiento = async (userId) => {
+  const usuario = await usuarios.findOne({
+    where: { id: userId, activo: true },
+  });
+
+  if (!usuario) {
+    throw new Error("USER_NOT_FOUND");
+  }
+
+  return await prepararEnrolamiento(usuario);
+};
+
+/**
+ * Activa el 2FA con un código de la app recién configurada
+ * @param {number} userId - ID del usuario
+ * @param {string} codigo - Código TOTP
+ * @returns {Object} { codigos_recuperacion }
+ */
+const activarDosFactores = async (userId, codigo) => {
+  const usuario = await usuarios.findOne({
+    where: { id: userId, activo: true },
+  });
+
+  if (!usuario) {
+    throw new Error("USER_NOT_FOUND");
+  }
+
+  const codigosRecuperacion = await confirmarEnrolamiento(usuario, codigo);
+
+  return { codigos_recuperacion: codigosRecuperacion };
+};
+
+/**
+ * Desactiva el 2FA del usuario autenticado
+ * Pide contraseña y un código (TOTP o de recuperación)
+ * @param {number} userId - ID del usuario
+ * @param {Object} datos - { password, codigo }
+ * @throws {Error} TOTP_NOT_ENROLLED | TOTP_REQUIRED | INVALID_CURRENT_PASSWORD | INVALID_2FA_CODE
+ */
+const desactivarDosFactores = async (userId, { password, codigo }) => {
+  const usuario = await obtenerUsuarioConDosFactores(userId);
+
+  if (dosFactoresObligatorio(usuario.rol)) {
+    throw new Error("TOTP_REQUIRED");
+  }
+
+  const isValidPassword = await comparePassword(password, usuario.password);
+  if (!isValidPassword) {
+    throw new Error("INVALID_CURRENT_PASSWORD");
+  }
+
+  await verificarSegundoFactor(usuario, codigo, { permitirRecuperacion: true });
+
+  await usuario.update({
+    totp_activo: false,
+    totp_secreto: null,
+    totp_ultimo_paso: null,
+    totp_codigos_recuperacion: null,
+    totp_activado_en: null,
+    fecha_actualizacion: new Date(),
+  });
+
+  await invalidateAuthCache(userId, usuario.username);
+};
+
+/**
+ * Reemplaza los códigos de recuperación (los anteriores dejan de servir)
+ * @param {number} userId - ID del usuario
+ * @param {string} codigo - Código TOTP actual
+ * @returns {Object} { codigos_recuperacion }
+ */
+const regenerarCodigosRecuperacion = async (userId, codigo) => {
+  const usuario = await obtenerUsuarioConDosFactores(userId);
+
+  await verificarSegundoFactor(usuario, codigo);
+
+  const codigosRecuperacion = generarCodigosRecuperacion();
+  await usuario.update({
+    totp_codigos_recuperacion: codigosRecuperacion.map(hashCodigoRecuperacion),
+  });
+
+  return { codigos_recuperacion: codigosRecuperacion };
+};
+
+// =====================================================
+// 📱 SESIONES ACTIVAS
+// =====================================================
+
+/**
+ * Lista las sesiones activas (dispositivos) del usuario
+ * @param {number} userId - ID del usuario
+ * @param {string} jtiActual - Sesión del request, se marca como actual
+ * @returns {Object} { data, metadata }
+ */
+const listarSesiones = async (userId, jtiActual) => {
+  const sesiones = await listarSesionesUsuario(userId);
+
+  return {
+    data: sesiones.map(({ usuario_id, ...sesion }) => ({
+      ...sesion,
+      actual: sesion.jti === jtiActual,
+    })),
+    metadata: {
+      total_sesiones: sesiones.length,
+    },
+  };
+};
+
+/**
+ * Cierra la sesión actual (logout)
+ * @param {number} userId - ID del usuario
+ * @param {string} jti - Sesión del request
+ */
+const cerrarSesion = async (userId, jti) => {
+  await revocarSesion(jti, userId);
+};
+
+/**
+ * Revoca una sesión del usuario (ej: un dispositivo perdido)
+ * @param {number} userId - ID del usuario
+ * @param {string} jti - Sesión a revocar
+ * @throws {Error} SESION_NOT_FOUND si no existe o no es del usuario
+ */
+const revocarSesionUsuario = async (userId, jti) => {
+  const revocada = await revocarSesion(jti, userId);
+
+  if (!revocada) {
+    throw new Error("SESION_NOT_FOUND");
+  }
+};
+
 // =====================================================
 // 📊 FUNCIONES AUXILIARES
 // =====================================================
 
 /**
  * Registra intento de login fallido
- * @param {string} identifier - Username o email
+ * @param {string} identifier - Username o email (ID de usuario para 2FA)
+ * @param {string} prefijo - AUTH_ATTEMPTS (contraseña) o AUTH_2FA_ATTEMPTS
  */
-const registrarIntentoFallido = async (identifier) => {
-  const attemptsKey = generateSimpleCacheKey(
-    CACHE_PREFIXES.AUTH_ATTEMPTS,
-    identifier
-  );
+const registrarIntentoFallido = async (
+  identifier,
+  prefijo = CACHE_PREFIXES.AUTH_ATTEMPTS
+) => {
+  const attemptsKey = generateSimpleCacheKey(prefijo, identifier);
 
   try {
     let attempts = await cacheGet(attemptsKey);
@@ -411,7 +1240,7 @@ const registrarIntentoFallido = async (identifier) => {
     await cacheSet(attemptsKey, attempts, CACHE_TTL.AUTH_LOGIN_ATTEMPTS);
 
     console.warn(
-      `Intento de login fallido para: ${identifier} (${attempts.count}/5)`
+      `Intento de login fallido (${prefijo}) para: ${identifier} (${attempts.count}/5)`
     );
   } catch (error) {
     console.error("Error registrando intento fallido:", error);
@@ -512,14 +1341,30 @@ const limpiarSesionesExpiradas = async () => {
 export default {
   // Autenticación principal
   autenticarUsuario,
+  refrescarToken,
   validarToken,
 
+  // Segundo factor
+  verificarDosFactoresLogin,
+  iniciarEnrolamientoLogin,
+  iniciarEnrolamiento,
+  activarDosFactores,
+  desactivarDosFactores,
+  regenerarCodigosRecuperacion,
+
   // Gestión de perfil
   obtenerPerfilUsuario,
   actualizarPerfilUsuario,
 
   // Gestión de contraseñas
   cambiarPasswordUsuario,
+  solicitarRecuperacionPassword,
+  restablecerPassword,
+
+  // Sesiones activas
+  listarSesiones,
+  cerrarSesion,
+  revocarSesionUsuario,
 
   // Funciones auxiliares (para uso interno o administrativo)
   registrarIntentoFallido,
@@ -41,6 +41,8 @@ export const CACHE_TTL = {
   VENTA_INDIVIDUAL: 600, // 10 min
   VENTAS_PAGINADOS: 240, // 4 min
   VENTAS_RESUMEN: 300, // 5 min (pesado)
+  VENTAS_MARGEN: 300, // 5 min (pesado)
+  VENTAS_ANALITICA: 600, // 10 min
   VENTAS_ESTADISTICAS: 600, // 10 min
 
   // Estadísticas (general)
@@ -56,6 +58,34 @@ export const CACHE_TTL = {
   INVENTARIO_VALOR: 600, // 10 min - valor total cambia menos
   INVENTARIO_REPORTE: 420, // 7 min - reportes específicos
   INVENTARIO_ALERTAS: 120, // 2 min - alertas críticas
+  INVENTARIO_SUGERENCIAS: 300, // 5 min - consumo promedio cambia despacio
+  INVENTARIO_VENCIMIENTOS: 300, // 5 min - lotes por vencer
+
+  // Caja
+  CAJAS_LIST: 900, // 15 min - cajas registradoras cambian muy poco
+  CAJA_SESIONES_PAGINADOS: 240, // 4 min - historial de sesiones
+  CAJA_REPORTE_Z: 3600, // 1 hora - reporte Z de sesión cerrada (inmutable)
+
+  // Promociones
+  PROMOCION_INDIVIDUAL: 600, // 10 min
+  PROMOCIONES_PAGINADOS: 300, // 5 min
+
+  // Clientes
+  CLIENTE_INDIVIDUAL: 600, // 10 min
+  CLIENTES_PAGINADOS: 300, // 5 min (búsquedas frecuentes en caja)
+  CLIENTE_COMPRAS: 240, // 4 min - historial cambia con cada venta
+
+  // Crédito (fiado)
+  CREDITO_ESTADO_CUENTA: 120, // 2 min - cambia con ventas a crédito y abonos
+  CREDITO_CARTERA: 300, // 5 min - reporte de cartera por edades
+
+  // Órdenes de compra
+  ORDEN_COMPRA_INDIVIDUAL: 600, // 10 min
+  ORDENES_COMPRA_PAGINADOS: 300, // 5 min
+
+  // Permisos
+  PERMISOS_ROL: 600, // 10 min - se invalida al editar el rol
+  PERMISOS_USUARIO: 600, // 10 min - excepciones de un usuario
 };
 
 // =====================================================
@@ -67,6 +97,7 @@ export const CACHE_PREFIXES = {
   AUTH_USERNAME: "auth:username",
   AUTH_PROFILE: "auth:profile",
   AUTH_ATTEMPTS: "auth:attempts",
+  AUTH_2FA_ATTEMPTS: "auth:2fa_attempts",
   AUTH_SESSION: "auth:sessions",
   AUTH_TOKEN_VALIDATION: "auth:token_validation",
 
@@ -108,6 +139,8 @@ export const CACHE_PREFIXES = {
   VENTA_NUMERO: "venta:numero",
   VENTAS_LIST: "ventas:list",
   VENTAS_RESUMEN: "ventas:resumen",
+  VENTAS_MARGEN: "ventas:margen",
+  VENTAS_ANALITICA: "ventas:analitica",
   VENTAS_ESTADISTICAS: "ventas:estadisticas",
 
   // Inventario/Movimientos
@@ -119,6 +152,34 @@ export const CACHE_PREFIXES = {
   INVENTARIO_ESTADISTICAS: "inventario:estadisticas",
   INVENTARIO_REPORTE: "inventario:reporte",
   INVENTARIO_ALERTAS: "inventario:alertas",
+  INVENTARIO_SUGERENCIAS: "inventario:sugerencias",
+  INVENTARIO_VENCIMIENTOS: "inventario:vencimientos",
+
+  // Caja
+  CAJAS_LIST: "cajas:list",
+  CAJA_SESIONES_LIST: "caja:sesiones:list",
+  CAJA_REPORTE_Z: "caja:reporte_z",
+
+  // Promociones
+  PROMOCION: "promocion",
+  PROMOCIONES_LIST: "promociones:list",
+
+  // Clientes
+  CLIENTE: "cliente",
+  CLIENTES_LIST: "clientes:list",
+  CLIENTE_COMPRAS: "cliente:compras",
+
+  // Crédito (fiado)
+  CREDITO_ESTADO_CUENTA: "credito:estado_cuenta",
+  CREDITO_CARTERA: "credito:cartera",
+
+  // Órdenes de compra
+  ORDEN_COMPRA: "orden_compra",
+  ORDENES_COMPRA_LIST: "ordenes_compra:list",
+
+  // Permisos
+  PERMISOS_ROL: "permisos:rol",
+  PERMISOS_USUARIO: "permisos:usuario",
 };
 
 // =====================================================
@@ -952,6 +1013,8 @@ export const invalidateVentasListCache = async () => {
   const patterns = [
     `${CACHE_PREFIXES.VENTAS_LIST}:*`,
     `${CACHE_PREFIXES.VENTAS_RESUMEN}:*`,
+    `${CACHE_PREFIXES.VENTAS_MARGEN}:*`,
+    `${CACHE_PREFIXES.VENTAS_ANALITICA}:*`,
     `${CACHE_PREFIXES.VENTAS_ESTADISTICAS}*`,
   ];
 
@@ -1036,7 +1099,8 @@ export const invalidateMovimientosListCache = async () => {
 
 /**
  * Invalida caché general de inventario
- * Afecta stock bajo, resumen, valor y estadísticas
+ * Afecta stock bajo, resumen, valor, estadísticas, sugerencias de compra
+ * y lotes por vencer
  */
 export const invalidateInventoryCache = async () => {
   const patterns = [
@@ -1045,6 +1109,8 @@ export const invalidateInventoryCache = async () => {
     `${CACHE_PREFIXES.INVENTARIO_VALOR}*`,
     `${CACHE_PREFIXES.INVENTARIO_ESTADISTICAS}*`,
     `${CACHE_PREFIXES.INVENTARIO_ALERTAS}*`,
+    `${CACHE_PREFIXES.INVENTARIO_SUGERENCIAS}*`,
+    `${CACHE_PREFIXES.INVENTARIO_VENCIMIENTOS}*`,
   ];
 
   let totalDeleted = 0;
@@ -1123,6 +1189,127 @@ export const debugInventoryCacheKeys = async () => {
   }
 };
 
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE CAJA
+// =====================================================
+
+/**
+ * Invalida caché de listado de cajas
+ * Útil cuando se crea o modifica una caja
+ */
+export const invalidateCajasListCache = async () => {
+  return await invalidateByPattern(`${CACHE_PREFIXES.CAJAS_LIST}:*`);
+};
+
+/**
+ * Invalida caché de una sesión de caja (apertura/cierre)
+ * @param {number} sesionId - ID de la sesión
+ */
+export const invalidateSesionCajaCache = async (sesionId) => {
+  await invalidateKeys([smartCacheKey(CACHE_PREFIXES.CAJA_REPORTE_Z, sesionId)]);
+  return await invalidateByPattern(`${CACHE_PREFIXES.CAJA_SESIONES_LIST}:*`);
+};
+
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE PROMOCIONES
+// =====================================================
+
+/**
+ * Invalida caché de una promoción y de los listados
+ * Útil al crear, editar o desactivar una promoción
+ * @param {number} promocionId - ID de la promoción (opcional)
+ */
+export const invalidatePromocionCache = async (promocionId = null) => {
+  if (promocionId) {
+    await invalidateKeys([smartCacheKey(CACHE_PREFIXES.PROMOCION, promocionId)]);
+  }
+  return await invalidateByPattern(`${CACHE_PREFIXES.PROMOCIONES_LIST}:*`);
+};
+
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE CLIENTES
+// =====================================================
+
+/**
+ * Invalida caché de un cliente y de los listados
+ * Útil al crear, editar o desactivar un cliente
+ * @param {number} clienteId - ID del cliente (opcional)
+ */
+export const invalidateClienteCache = async (clienteId = null) => {
+  if (clienteId) {
+    await invalidateKeys([smartCacheKey(CACHE_PREFIXES.CLIENTE, clienteId)]);
+  }
+  return await invalidateByPattern(`${CACHE_PREFIXES.CLIENTES_LIST}:*`);
+};
+
+/**
+ * Invalida historial de compras de un cliente
+ * Útil cuando se registra, anula o devuelve una venta del cliente
+ * @param {number} clienteId - ID del cliente
+ */
+export const invalidateClienteComprasCache = async (clienteId) => {
+  await invalidateByPattern(`${CACHE_PREFIXES.CLIENTE_COMPRAS}:${clienteId}:*`);
+  // Los listados con estadísticas incluyen totales de compras
+  return await invalidateByPattern(`${CACHE_PREFIXES.CLIENTES_LIST}:*`);
+};
+
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE CRÉDITO
+// =====================================================
+
+/**
+ * Invalida estado de cuenta del cliente, cartera y datos del cliente
+ * Útil al vender a crédito, abonar, anular o cambiar el cupo
+ * @param {number} clienteId - ID del cliente
+ */
+export const invalidateCreditoCache = async (clienteId) => {
+  await invalidateKeys([
+    smartCacheKey(CACHE_PREFIXES.CREDITO_ESTADO_CUENTA, clienteId),
+    smartCacheKey(CACHE_PREFIXES.CLIENTE, clienteId),
+  ]);
+  await invalidateByPattern(`${CACHE_PREFIXES.CREDITO_CARTERA}:*`);
+  return await invalidateByPattern(`${CACHE_PREFIXES.CLIENTES_LIST}:*`);
+};
+
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE ÓRDENES DE COMPRA
+// =====================================================
+
+/**
+ * Invalida caché de una orden de compra y de los listados
+ * Útil al crear, editar, enviar, cerrar o recibir mercancía de una orden
+ * (las sugerencias de compra descuentan lo pedido en órdenes abiertas)
+ * @param {number} ordenId - ID de la orden (opcional)
+ */
+export const invalidateOrdenCompraCache = async (ordenId = null) => {
+  if (ordenId) {
+    await invalidateKeys([smartCacheKey(CACHE_PREFIXES.ORDEN_COMPRA, ordenId)]);
+  }
+  await invalidateByPattern(`${CACHE_PREFIXES.INVENTARIO_SUGERENCIAS}*`);
+  return await invalidateByPattern(`${CACHE_PREFIXES.ORDENES_COMPRA_LIST}:*`);
+};
+
+// =====================================================
+// FUNCIONES ESPECÍFICAS DE PERMISOS
+// =====================================================
+
+/**
+ * Invalida permisos cacheados de un rol o de las excepciones de un usuario
+ * Sin argumentos invalida todos (ej: al sembrar permisos nuevos)
+ * @param {Object} opciones - { rol, usuarioId }
+ */
+export const invalidatePermisosCache = async ({ rol = null, usuarioId = null } = {}) => {
+  if (rol) {
+    return await invalidateKeys([smartCacheKey(CACHE_PREFIXES.PERMISOS_ROL, rol)]);
+  }
+  if (usuarioId) {
+    return await invalidateKeys([
+      smartCacheKey(CACHE_PREFIXES.PERMISOS_USUARIO, usuarioId),
+    ]);
+  }
+  return await invalidateByPattern("permisos:*");
+};
+
 // =====================================================
 // 🔧 UTILIDADES DE DEBUGGING Y MONITOREO - NUEVAS
 // =====================================================
@@ -0,0 +1,730 @@
+// services/cajaService.js - Lógica de Negocio de Caja (apertura/cierre)
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  smartCacheKey,
+  invalidateCajasListCache,
+  invalidateSesionCajaCache,
+} from "./cacheService.js";
+import { redondear } from "../utils/iva.js";
+import { tienePermiso } from "./permisosService.js";
+
+const {
+  cajas,
+  sesiones_caja,
+  ventas,
+  pagos_venta,
+  devoluciones,
+  abonos_credito,
+  usuarios,
+} = db;
+
+// Métodos de pago que se cuadran al cierre
+// (las ventas a "credito" no entran dinero: se reportan aparte)
+const METODOS_PAGO = ["efectivo", "tarjeta", "transferencia"];
+
+// =====================================================
+// 📊 CAJAS REGISTRADORAS
+// =====================================================
+
+/**
+ * Obtiene las cajas registradoras
+ *
+ * @param {Object} filtros - { activo: "true" | "false" | "all" }
+ * @returns {Promise<Object>} { data, metadata, fromCache }
+ */
+const obtenerCajas = async (filtros = {}) => {
+  const { activo = "true" } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.CAJAS_LIST, { activo });
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = {};
+  if (activo !== "all") where.activo = activo === "true";
+
+  const data = await cajas.findAll({
+    where,
+    include: [
+      {
+        model: sesiones_caja,
+        as: "sesiones",
+        where: { estado: "abierta" },
+        required: false,
+        attributes: ["id", "usuario_id", "fecha_apertura"],
+      },
+    ],
+    order: [["nombre", "ASC"]],
+  });
+
+  const result = {
+    data,
+    metadata: {
+      total_cajas: data.length,
+      cajas_abiertas: data.filter((c) => c.sesiones?.length > 0).length,
+      filtro_activo: activo,
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CAJAS_LIST);
+  return result;
+};
+
+/**
+ * Crea una caja registradora
+ * Sequelize lanza SequelizeUniqueConstraintError si el nombre ya existe
+ *
+ * @param {Object} datosCaja - { nombre, descripcion, activo }
+ * @returns {Promise<Object>} Caja creada
+ */
+const crearCaja = async (datosCaja) => {
+  const { nombre, descripcion, activo } = datosCaja;
+
+  const nuevaCaja = await cajas.create({
+    nombre: nombre.trim(),
+    descripcion: descripcion?.trim() || null,
+    activo: activo ?? true,
+  });
+
+  await invalidateCajasListCache();
+
+  return nuevaCaja;
+};
+
+// =====================================================
+// 🔓 APERTURA DE SESIÓN
+// =====================================================
+
+/**
+ * Obtiene la sesión abierta de un usuario (si existe)
+ * Usado por ventasService para asociar cada venta a la sesión
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @param {Transaction} transaction - Transacción opcional
+ * @returns {Promise<Object|null>} Sesión abierta o null
+ */
+const obtenerSesionAbierta = async (usuarioId, transaction = null) => {
+  return await sesiones_caja.findOne({
+    where: { usuario_id: usuarioId, estado: "abierta" },
+    transaction,
+  });
+};
+
+/**
+ * Abre una sesión de caja con un monto base
+ *
+ * Reglas:
+ * - La caja debe existir y estar activa
+ * - Una caja solo puede tener una sesión abierta
+ * - Un usuario solo puede tener una sesión abierta
+ *
+ * @param {Object} datos - { caja_id, monto_apertura, observaciones }
+ * @param {number} usuarioId - Cajero que abre la sesión
+ * @returns {Promise<Object>} Sesión creada
+ * @throws {Error} CAJA_NOT_FOUND
+ * @throws {Error} CAJA_INACTIVA
+ * @throws {Error} CAJA_YA_ABIERTA:{sesionId}
+ * @throws {Error} USUARIO_CON_SESION_ABIERTA:{sesionId}
+ */
+const abrirSesion = async (datos, usuarioId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { caja_id, monto_apertura = 0, observaciones } = datos;
+
+    // 🔒 Bloquear la caja para evitar dos aperturas simultáneas
+    const caja = await cajas.findByPk(caja_id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!caja) {
+      throw new Error("CAJA_NOT_FOUND");
+    }
+
+    if (!caja.activo) {
+      throw new Error("CAJA_INACTIVA");
+    }
+
+    const sesionCaja = await sesiones_caja.findOne({
+      where: { caja_id, estado: "abierta" },
+      transaction,
+    });
+
+    if (sesionCaja) {
+      throw new Error(`CAJA_YA_ABIERTA:${sesionCaja.id}`);
+    }
+
+    const sesionUsuario = await obtenerSesionAbierta(usuarioId, transaction);
+
+    if (sesionUsuario) {
+      throw new Error(`USUARIO_CON_SESION_ABIERTA:${sesionUsuario.id}`);
+    }
+
+    const sesion = await sesiones_caja.create(
+      {
+        caja_id,
+        usuario_id: usuarioId,
+        estado: "abierta",
+        monto_apertura: redondear(monto_apertura),
+        observaciones_apertura: observaciones?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    console.log(
+      `🔓 SESIÓN DE CAJA ABIERTA:\n` +
+      `   Sesión: ${sesion.id}\n` +
+      `   Caja: ${caja.nombre}\n` +
+      `   Usuario: ${usuarioId}\n` +
+      `   Base: $${redondear(monto_apertura).toFixed(2)}`
+    );
+
+    await invalidateSesionCajaCache(sesion.id);
+    await invalidateCajasListCache();
+
+    return sesion;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 🧮 CUADRE DE CAJA
+// =====================================================
+
+/**
+ * Calcula totales esperados por método de pago para una sesión
+ *
+ * - Ventas: todo lo cobrado en la sesión, aunque se anule después
+ * - Anulaciones y devoluciones: las registradas en la sesión (el dinero
+ *   sale de la caja de quien las hace, sin importar en qué sesión se vendió),
+ *   por el método original de la venta (en ventas mixtas, proporcional a
+ *   cada línea de pago)
+ * - Totales por método desde pagos_venta (una venta mixta aporta a varios)
+ * - Abonos: pagos de clientes a crédito recibidos en la sesión
+ * - Esperado = ventas - anulaciones - devoluciones + abonos (+ base en efectivo)
+ *
+ * @param {Object} sesion - Instancia de sesiones_caja
+ * @param {Transaction} transaction - Transacción opcional
+ * @returns {Promise<Object>} { por_metodo, resumen }
+ */
+const calcularTotalesSesion = async (sesion, transaction = null) => {
+  const ventaAnulada = sequelize.literal(
+    "CASE WHEN `venta`.`estado` = 'anulada' THEN 1 ELSE 0 END"
+  );
+
+  // Desde las líneas de pago: una venta mixta suma en cada método que usó
+  const ventasPorMetodo = await pagos_venta.findAll({
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        where: { sesion_caja_id: sesion.id },
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "metodo_pago",
+      [ventaAnulada, "anulada"],
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.fn("DISTINCT", sequelize.col("pagos_venta.venta_id"))
+        ),
+        "cantidad",
+      ],
+      [
+        sequelize.fn(
+          "COALESCE",
+          sequelize.fn("SUM", sequelize.col("pagos_venta.monto")),
+          0
+        ),
+        "total",
+      ],
+    ],
+    group: ["pagos_venta.metodo_pago", "anulada"],
+    raw: true,
+    transaction,
+  });
+
+  // Anulaciones hechas en la sesión (de ventas de esta u otra sesión)
+  const anulacionesPorMetodo = await pagos_venta.findAll({
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        where: { sesion_caja_anulacion_id: sesion.id, estado: "anulada" },
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "metodo_pago",
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.fn("DISTINCT", sequelize.col("pagos_venta.venta_id"))
+        ),
+        "cantidad",
+      ],
+      [
+        sequelize.fn(
+          "COALESCE",
+          sequelize.fn("SUM", sequelize.col("pagos_venta.monto")),
+          0
+        ),
+        "total",
+      ],
+    ],
+    group: ["pagos_venta.metodo_pago"],
+    raw: true,
+    transaction,
+  });
+
+  // Conteos sin duplicar las ventas mixtas (excluye las 100% a crédito)
+  const cantidadVentas = await ventas.count({
+    where: {
+      sesion_caja_id: sesion.id,
+      metodo_pago: { [Op.ne]: "credito" },
+    },
+    transaction,
+  });
+
+  const cantidadAnuladas = await ventas.count({
+    where: {
+      sesion_caja_anulacion_id: sesion.id,
+      estado: "anulada",
+      metodo_pago: { [Op.ne]: "credito" },
+    },
+    transaction,
+  });
+
+  // Reembolsos hechos en la sesión por el método original; en ventas
+  // mixtas, en proporción a cada línea de pago
+  const devolucionesPorMetodo = await devoluciones.findAll({
+    where: { sesion_caja_id: sesion.id },
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        attributes: [],
+        include: [{ model: pagos_venta, as: "pagos", attributes: [] }],
+      },
+    ],
+    attributes: [
+      [sequelize.col("venta->pagos.metodo_pago"), "metodo_pago"],
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.fn("DISTINCT", sequelize.col("devoluciones.id"))
+        ),
+        "cantidad",
+      ],
+      [
+        sequelize.literal(
+          "SUM(`devoluciones`.`total` * `venta->pagos`.`monto` / NULLIF(`venta`.`total`, 0))"
+        ),
+        "total",
+      ],
+    ],
+    group: ["venta->pagos.metodo_pago"],
+    raw: true,
+    transaction,
+  });
+
+  const cantidadDevoluciones = await devoluciones.count({
+    where: { sesion_caja_id: sesion.id },
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        where: { metodo_pago: { [Op.ne]: "credito" } },
+        attributes: [],
+      },
+    ],
+    transaction,
+  });
+
+  const abonosPorMetodo = await abonos_credito.findAll({
+    where: { sesion_caja_id: sesion.id },
+    attributes: [
+      "metodo_pago",
+      [sequelize.fn("COUNT", sequelize.col("id")), "cantidad"],
+      [sequelize.fn("SUM", sequelize.col("monto")), "total"],
+    ],
+    group: ["metodo_pago"],
+    raw: true,
+    transaction,
+  });
+
+  const montoApertura = redondear(sesion.monto_apertura);
+
+  const porMetodo = METODOS_PAGO.map((metodo) => {
+    const vendidas = ventasPorMetodo.filter((v) => v.metodo_pago === metodo);
+    const anuladas = anulacionesPorMetodo.find(
+      (a) => a.metodo_pago === metodo
+    );
+    const devueltas = devolucionesPorMetodo.find(
+      (d) => d.metodo_pago === metodo
+    );
+    const abonos = abonosPorMetodo.find((a) => a.metodo_pago === metodo);
+
+    const totalVentas = redondear(
+      vendidas.reduce((acc, v) => acc + redondear(v.total), 0)
+    );
+    const totalAnulado = redondear(anuladas?.total);
+    const totalDevuelto = redondear(devueltas?.total);
+    const totalAbonos = redondear(abonos?.total);
+    const base = metodo === "efectivo" ? montoApertura : 0;
+
+    return {
+      metodo_pago: metodo,
+      cantidad_ventas: vendidas.reduce(
+        (acc, v) => acc + (parseInt(v.cantidad) || 0),
+        0
+      ),
+      total_ventas: totalVentas,
+      cantidad_anuladas: parseInt(anuladas?.cantidad) || 0,
+      total_anulado: totalAnulado,
+      cantidad_devoluciones: parseInt(devueltas?.cantidad) || 0,
+      total_devuelto: totalDevuelto,
+      cantidad_abonos: parseInt(abonos?.cantidad) || 0,
+      total_abonos: totalAbonos,
+      monto_apertura: base,
+      esperado: redondear(
+        base + totalVentas - totalAnulado - totalDevuelto + totalAbonos
+      ),
+    };
+  });
+
+  // Fiado pendiente de las ventas de la sesión (no mueve dinero de la caja)
+  const ventasCredito = ventasPorMetodo.find(
+    (v) => v.metodo_pago === "credito" && parseInt(v.anulada) === 0
+  );
+
+  const sumar = (campo) =>
+    redondear(porMetodo.reduce((acc, m) => acc + m[campo], 0));
+
+  const resumen = {
+    cantidad_ventas: cantidadVentas,
+    cantidad_anuladas: cantidadAnuladas,
+    cantidad_devoluciones: cantidadDevoluciones,
+    total_ventas: sumar("total_ventas"),
+    total_anulado: sumar("total_anulado"),
+    total_devuelto: sumar("total_devuelto"),
+    total_neto: redondear(
+      sumar("total_ventas") - sumar("total_anulado") - sumar("total_devuelto")
+    ),
+    total_abonos: sumar("total_abonos"),
+    monto_apertura: montoApertura,
+    // Fiado (incluye la parte a crédito de ventas mixtas): vendido en la
+    // sesión pero sin ingreso de dinero
+    cantidad_ventas_credito: parseInt(ventasCredito?.cantidad) || 0,
+    total_ventas_credito: redondear(ventasCredito?.total),
+  };
+
+  return { por_metodo: porMetodo, resumen };
+};
+
+/**
+ * Obtiene la sesión abierta del usuario con totales en tiempo real
+ * (no se cachea: cambia con cada venta)
+ *
+ * @param {number} usuarioId - ID del usuario
+ * @returns {Promise<Object|null>} { data, metadata } o null
+ */
+const obtenerSesionActual = async (usuarioId) => {
+  const sesion = await sesiones_caja.findOne({
+    where: { usuario_id: usuarioId, estado: "abierta" },
+    include: [{ model: cajas, as: "caja", attributes: ["id", "nombre"] }],
+  });
+
+  if (!sesion) return null;
+
+  const totales = await calcularTotalesSesion(sesion);
+
+  return {
+    data: { sesion, ...totales },
+    metadata: {
+      minutos_abierta: Math.round(
+        (Date.now() - new Date(sesion.fecha_apertura).getTime()) / 60000
+      ),
+    },
+    fromCache: false,
+  };
+};
+
+// =====================================================
+// 🔒 CIERRE DE SESIÓN
+// =====================================================
+
+/**
+ * Cierra una sesión de caja y genera el reporte Z
+ *
+ * - Compara esperado vs. contado por método de pago
+ * - efectivo_contado es obligatorio; tarjeta/transferencia son opcionales
+ * - El reporte Z queda guardado en la sesión para reimpresión
+ *
+ * @param {number} sesionId - ID de la sesión
+ * @param {Object} datos - { efectivo_contado, tarjeta_contado, transferencia_contado, observaciones }
+ * @param {Object} usuario - Usuario autenticado { id, rol, nombre, apellido }
+ * @returns {Promise<Object>} { sesion, reporte }
+ * @throws {Error} SESION_NOT_FOUND
+ * @throws {Error} SESION_YA_CERRADA
+ * @throws {Error} SESION_NO_AUTORIZADA si no es su sesión y no tiene caja.supervisar
+ */
+const cerrarSesion = async (sesionId, datos, usuario) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const sesion = await sesiones_caja.findByPk(sesionId, {
+      include: [
+        { model: cajas, as: "caja", attributes: ["id", "nombre"] },
+        {
+          model: usuarios,
+          as: "usuario",
+          attributes: ["id", "nombre", "apellido"],
+        },
+      ],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!sesion) {
+      throw new Error("SESION_NOT_FOUND");
+    }
+
+    if (sesion.estado !== "abierta") {
+      throw new Error("SESION_YA_CERRADA");
+    }
+
+    // Solo el cajero dueño de la sesión o quien tenga caja.supervisar
+    // (permiso del rol o excepción del usuario) puede cerrarla
+    if (
+      sesion.usuario_id !== usuario.id &&
+      !(await tienePermiso(usuario, "caja.supervisar"))
+    ) {
+      throw new Error("SESION_NO_AUTORIZADA");
+    }
+
+    const { por_metodo, resumen } = await calcularTotalesSesion(
+      sesion,
+      transaction
+    );
+
+    // Cuadre: contado vs. esperado por método
+    const cuadre = por_metodo.map((metodo) => {
+      const contado = datos[`${metodo.metodo_pago}_contado`];
+      const tieneConteo = contado !== undefined && contado !== null;
+
+      return {
+        metodo_pago: metodo.metodo_pago,
+        esperado: metodo.esperado,
+        contado: tieneConteo ? redondear(contado) : null,
+        diferencia: tieneConteo
+          ? redondear(redondear(contado) - metodo.esperado)
+          : null,
+      };
+    });
+
+    const cuadreEfectivo = cuadre.find((c) => c.metodo_pago === "efectivo");
+    const fechaCierre = new Date();
+
+    const reporte = {
+      tipo: "Z",
+      sesion_id: sesion.id,
+      caja: { id: sesion.caja.id, nombre: sesion.caja.nombre },
+      cajero: {
+        id: sesion.usuario.id,
+        nombre: `${sesion.usuario.nombre} ${sesion.usuario.apellido}`,
+      },
+      cerrado_por: {
+        id: usuario.id,
+        nombre: `${usuario.nombre || ""} ${usuario.apellido || ""}`.trim(),
+      },
+      fecha_apertura: sesion.fecha_apertura,
+      fecha_cierre: fechaCierre,
+      resumen,
+      por_metodo,
+      cuadre,
+      observaciones: datos.observaciones?.trim() || null,
+    };
+
+    await sesion.update(
+      {
+        estado: "cerrada",
+        fecha_cierre: fechaCierre,
+        usuario_cierre_id: usuario.id,
+        efectivo_esperado: cuadreEfectivo.esperado,
+        efectivo_contado: cuadreEfectivo.contado,
+        diferencia_efectivo: cuadreEfectivo.diferencia,
+        reporte_cierre: reporte,
+        observaciones_cierre: datos.observaciones?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    console.log(
+      `🔒 SESIÓN DE CAJA CERRADA:\n` +
+      `   Sesión: ${sesion.id} (${sesion.caja.nombre})\n` +
+      `   Efectivo esperado: $${cuadreEfectivo.esperado.toFixed(2)}\n` +
+      `   Efectivo contado: $${cuadreEfectivo.contado.toFixed(2)}\n` +
+      `   Diferencia: $${cuadreEfectivo.diferencia.toFixed(2)}\n` +
+      `   Cerrada por: ${usuario.id}`
+    );
+
+    await invalidateSesionCajaCache(sesion.id);
+    await invalidateCajasListCache();
+
+    return { sesion, reporte };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 📋 CONSULTAS Y REPORTES
+// =====================================================
+
+/**
+ * Obtiene sesiones de caja con filtros y paginación
+ *
+ * @param {Object} filtros - { caja_id, usuario_id, estado, fecha_inicio, fecha_fin, page, limit }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ */
+const obtenerSesiones = async (filtros) => {
+  const {
+    caja_id,
+    usuario_id,
+    estado,
+    fecha_inicio = "2000-01-01",
+    fecha_fin = "2100-12-31",
+    page = 1,
+    limit = 20,
+  } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.CAJA_SESIONES_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = {
+    fecha_apertura: { [Op.between]: [fecha_inicio, fecha_fin] },
+  };
+  if (caja_id) where.caja_id = caja_id;
+  if (usuario_id) where.usuario_id = usuario_id;
+  if (estado) where.estado = estado;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows } = await sesiones_caja.findAndCountAll({
+    where,
+    attributes: { exclude: ["reporte_cierre"] },
+    include: [
+      { model: cajas, as: "caja", attributes: ["id", "nombre"] },
+      {
+        model: usuarios,
+        as: "usuario",
+        attributes: ["id", "nombre", "apellido"],
+      },
+    ],
+    order: [["fecha_apertura", "DESC"]],
+    limit: parseInt(limit),
+    offset,
+    distinct: true,
+  });
+
+  const result = {
+    data: rows,
+    metadata: {
+      total_sesiones: count,
+      filtro_estado: estado || null,
+      filtro_caja: caja_id || null,
+      rango_fechas: { inicio: fecha_inicio, fin: fecha_fin },
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CAJA_SESIONES_PAGINADOS);
+  return result;
+};
+
+/**
+ * Obtiene (reimprime) el reporte Z de una sesión cerrada
+ * El reporte es el snapshot guardado al cierre, no se recalcula
+ *
+ * @param {number} sesionId - ID de la sesión
+ * @returns {Promise<Object|null>} { data, metadata, fromCache } o null
+ * @throws {Error} SESION_NO_CERRADA si la sesión sigue abierta
+ */
+const obtenerReporteZ = async (sesionId) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.CAJA_REPORTE_Z, sesionId);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const sesion = await sesiones_caja.findByPk(sesionId, {
+    attributes: ["id", "estado", "reporte_cierre", "fecha_cierre"],
+  });
+
+  if (!sesion) return null;
+
+  if (sesion.estado !== "cerrada") {
+    throw new Error("SESION_NO_CERRADA");
+  }
+
+  const result = {
+    data: sesion.reporte_cierre,
+    metadata: {
+      sesion_id: sesion.id,
+      fecha_cierre: sesion.fecha_cierre,
+      reimpresion: true,
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CAJA_REPORTE_Z);
+  return result;
+};
+
+// =====================================================
+// EXPORTACIONES
+// =====================================================
+export {
+  // Consulta de sesión abierta (para uso desde ventasService)
+  obtenerSesionAbierta,
+};
+
+export default {
+  // Cajas
+  obtenerCajas,
+  crearCaja,
+
+  // Sesiones
+  abrirSesion,
+  cerrarSesion,
+  obtenerSesionActual,
+  obtenerSesiones,
+
+  // Reportes
+  obtenerReporteZ,
+
+  // Utilidades (para uso interno)
+  calcularTotalesSesion,
+};
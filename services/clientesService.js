@@ -0,0 +1,517 @@
+// services/clientesService.js - Registro de Clientes e Historial de Compras
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  smartCacheKey,
+  invalidateClienteCache,
+} from "./cacheService.js";
+import { redondear } from "../utils/iva.js";
+
+const { clientes, ventas, devoluciones } = db;
+
+// =====================================================
+// 📊 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Obtiene clientes con filtros, búsqueda y paginación
+ *
+ * @param {Object} filtros - { search, tipo_documento, activo, page, limit, incluir_estadisticas }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ */
+const obtenerClientesFiltrados = async (filtros) => {
+  const {
+    search,
+    tipo_documento,
+    activo = "true",
+    page = 1,
+    limit = 20,
+    incluir_estadisticas,
+  } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.CLIENTES_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = {};
+  if (activo !== "all") where.activo = activo === "true";
+  if (tipo_documento) where.tipo_documento = tipo_documento;
+  if (search) {
+    const searchTerm = `%${search.trim()}%`;
+    where[Op.or] = [
+      { nombre: { [Op.like]: searchTerm } },
+      { numero_documento: { [Op.like]: searchTerm } },
+      { email: { [Op.like]: searchTerm } },
+      { telefono: { [Op.like]: searchTerm } },
+    ];
+  }
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  // Paso 1: Obtener IDs paginados
+  const clientesIds = await clientes.findAll({
+    where,
+    attributes: ["id"],
+    limit: parseInt(limit),
+    offset,
+    order: [["nombre", "ASC"]],
+  });
+
+  const ids = clientesIds.map((c) => c.id);
+  let clientesData = [];
+
+  // Paso 2: Traer clientes completos (con o sin estadísticas de compra)
+  if (ids.length > 0) {
+    const queryOptions = {
+      where: { id: { [Op.in]: ids } },
+      order: [["nombre", "ASC"]],
+    };
+
+    if (incluir_estadisticas === "true") {
+      queryOptions.include = [
+        {
+          model: ventas,
+          as: "ventas",
+          where: { estado: { [Op.ne]: "anulada" } },
+          attributes: [],
+          required: false,
+        },
+      ];
+      queryOptions.attributes = [
+        ...Object.keys(clientes.rawAttributes),
+        [sequelize.fn("COUNT", sequelize.col("ventas.id")), "total_compras"],
+        [
+          sequelize.fn(
+            "COALESCE",
+            sequelize.fn("SUM", sequelize.col("ventas.total")),
+            0
+          ),
+          "monto_total_compras",
+        ],
+        [
+          sequelize.fn("MAX", sequelize.col("ventas.fecha_venta")),
+          "ultima_compra",
+        ],
+      ];
+      queryOptions.group = ["clientes.id"];
+    }
+
+    clientesData = await clientes.findAll(queryOptions);
+  }
+
+  const count = await clientes.count({ where });
+
+  const result = {
+    data: clientesData,
+    metadata: {
+      total_clientes: count,
+      con_estadisticas: incluir_estadisticas === "true",
+      filtro_activo: activo,
+      filtro_tipo_documento: tipo_documento || null,
+      busqueda_aplicada: !!search,
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CLIENTES_PAGINADOS);
+  return result;
+};
+
+/**
+ * Obtiene un cliente por ID
+ *
+ * @param {number} id - ID del cliente
+ * @returns {Promise<Object|null>} { data, metadata, fromCache } o null
+ */
+const obtenerClientePorId = async (id) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.CLIENTE, id);
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const cliente = await clientes.findByPk(id);
+  if (!cliente) return null;
+
+  const result = {
+    data: cliente,
+    metadata: { es_empresa: cliente.tipo_documento === "NIT" },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CLIENTE_INDIVIDUAL);
+  return result;
+};
+
+/**
+ * Obtiene el historial de compras de un cliente con su resumen
+ *
+ * El resumen excluye ventas anuladas y descuenta las devoluciones
+ * para reflejar lo que realmente pagó el cliente.
+ *
+ * @param {number} id - ID del cliente
+ * @param {Object} filtros - { fecha_inicio, fecha_fin, page, limit }
+ * @returns {Promise<Object|null>} { data, metadata, pagination, fromCache } o null
+ */
+const obtenerComprasCliente = async (id, filtros = {}) => {
+  const {
+    fecha_inicio = "2000-01-01",
+    fecha_fin = "2100-12-31",
+    page = 1,
+    limit = 20,
+  } = filtros;
+
+  const cacheKey = generateCacheKey(
+    `${CACHE_PREFIXES.CLIENTE_COMPRAS}:${id}`,
+    filtros
+  );
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const cliente = await clientes.findByPk(id, {
+    attributes: ["id", "tipo_documento", "numero_documento", "nombre", "email"],
+  });
+  if (!cliente) return null;
+
+  const where = {
+    cliente_id: id,
+    fecha_venta: { [Op.between]: [fecha_inicio, fecha_fin] },
+    estado: { [Op.ne]: "anulada" },
+  };
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows } = await ventas.findAndCountAll({
+    where,
+    attributes: [
+      "id",
+      "numero_venta",
+      "fecha_venta",
+      "total",
+      "descuento_total",
+      "base_iva",
+      "total_iva",
+      "metodo_pago",
+      "estado",
+    ],
+    order: [
+      ["fecha_venta", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit: parseInt(limit),
+    offset,
+  });
+
+  // Resumen sobre todo el rango (no solo la página)
+  const [resumen] = await ventas.findAll({
+    where,
+    attributes: [
+      [sequelize.fn("COUNT", sequelize.col("id")), "total_compras"],
+      [
+        sequelize.fn("COALESCE", sequelize.fn("SUM", sequelize.col("total")), 0),
+        "monto_total",
+      ],
+      [sequelize.fn("MIN", sequelize.col("fecha_venta")), "primera_compra"],
+      [sequelize.fn("MAX", sequelize.col("fecha_venta")), "ultima_compra"],
+    ],
+    raw: true,
+  });
+
+  const totalDevuelto = await devoluciones.sum("devoluciones.total", {
+    include: [{ model: ventas, as: "venta", attributes: [], where }],
+  });
+
+  const totalCompras = parseInt(resumen.total_compras) || 0;
+  const montoTotal = redondear(resumen.monto_total);
+  const montoNeto = redondear(montoTotal - (totalDevuelto || 0));
+
+  const result = {
+    data: {
+      cliente,
+      compras: rows,
+    },
+    metadata: {
+      resumen: {
+        total_compras: totalCompras,
+        monto_total: montoTotal,
+        total_devuelto: redondear(totalDevuelto),
+        monto_neto: montoNeto,
+        ticket_promedio:
+          totalCompras > 0 ? redondear(montoNeto / totalCompras) : 0,
+        primera_compra: resumen.primera_compra,
+        ultima_compra: resumen.ultima_compra,
+      },
+      rango_fechas: { inicio: fecha_inicio, fin: fecha_fin },
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CLIENTE_COMPRAS);
+  return result;
+};
+
+// =====================================================
+// ✅ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Verifica que no exista otro cliente con el mismo documento
+ *
+ * @throws {Error} CLIENTE_DOCUMENTO_DUPLICADO:{tipo}:{numero}
+ */
+const validarDocumentoUnico = async (
+  tipoDocumento,
+  numeroDocumento,
+  transaction,
+  excluirId = null
+) => {
+  const where = {
+    tipo_documento: tipoDocumento,
+    numero_documento: numeroDocumento,
+  };
+  if (excluirId) where.id = { [Op.ne]: excluirId };
+
+  const existente = await clientes.findOne({
+    where,
+    attributes: ["id"],
+    transaction,
+  });
+
+  if (existente) {
+    throw new Error(
+      `CLIENTE_DOCUMENTO_DUPLICADO:${tipoDocumento}:${numeroDocumento}`
+    );
+  }
+};
+
+/**
+ * Crea nuevo cliente
+ *
+ * @param {Object} datosCliente - Datos del cliente
+ * @returns {Promise<Object>} Cliente creado
+ * @throws {Error} CLIENTE_DOCUMENTO_DUPLICADO:{tipo}:{numero}
+ */
+const crearCliente = async (datosCliente) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const {
+      tipo_documento = "CC",
+      numero_documento,
+      nombre,
+      telefono,
+      email,
+      activo,
+    } = datosCliente;
+
+    const numeroDocumento = numero_documento.trim();
+    await validarDocumentoUnico(tipo_documento, numeroDocumento, transaction);
+
+    const nuevoCliente = await clientes.create(
+      {
+        tipo_documento,
+        numero_documento: numeroDocumento,
+        nombre: nombre.trim(),
+        telefono: telefono?.trim() || null,
+        email: email?.trim() || null,
+        activo: activo ?? true,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateClienteCache();
+
+    return nuevoCliente;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Actualiza cliente existente
+ *
+ * @param {number} id - ID del cliente
+ * @param {Object} datosActualizacion - Campos a actualizar
+ * @returns {Promise<Object>} { cliente, camposModificados }
+ * @throws {Error} CLIENTE_NOT_FOUND si no existe
+ * @throws {Error} CLIENTE_DOCUMENTO_DUPLICADO:{tipo}:{numero}
+ */
+const actualizarCliente = async (id, datosActualizacion) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cliente = await clientes.findByPk(id, { transaction });
+    if (!cliente) {
+      throw new Error("CLIENTE_NOT_FOUND");
+    }
+
+    const fieldsToUpdate = {};
+
+    if (datosActualizacion.tipo_documento)
+      fieldsToUpdate.tipo_documento = datosActualizacion.tipo_documento;
+    if (datosActualizacion.numero_documento)
+      fieldsToUpdate.numero_documento =
+        datosActualizacion.numero_documento.trim();
+    if (datosActualizacion.nombre)
+      fieldsToUpdate.nombre = datosActualizacion.nombre.trim();
+    if (datosActualizacion.telefono !== undefined)
+      fieldsToUpdate.telefono = datosActualizacion.telefono?.trim() || null;
+    if (datosActualizacion.email !== undefined)
+      fieldsToUpdate.email = datosActualizacion.email?.trim() || null;
+    if (datosActualizacion.activo !== undefined)
+      fieldsToUpdate.activo = datosActualizacion.activo;
+
+    // Si cambia el documento, no puede chocar con otro cliente
+    if (fieldsToUpdate.tipo_documento || fieldsToUpdate.numero_documento) {
+      await validarDocumentoUnico(
+        fieldsToUpdate.tipo_documento || cliente.tipo_documento,
+        fieldsToUpdate.numero_documento || cliente.numero_documento,
+        transaction,
+        cliente.id
+      );
+    }
+
+    fieldsToUpdate.fecha_actualizacion = new Date();
+
+    await cliente.update(fieldsToUpdate, { transaction });
+    await transaction.commit();
+
+    await invalidateClienteCache(id);
+
+    return {
+      cliente: await cliente.reload(),
+      camposModificados: Object.keys(fieldsToUpdate),
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Desactiva cliente (soft delete)
+ * Las ventas históricas conservan la referencia al cliente
+ *
+ * @param {number} id - ID del cliente
+ * @returns {Promise<Object>} Cliente desactivado
+ * @throws {Error} CLIENTE_NOT_FOUND si no existe
+ * @throws {Error} CLIENTE_ALREADY_INACTIVE si ya está inactivo
+ */
+const desactivarCliente = async (id) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cliente = await clientes.findByPk(id, { transaction });
+
+    if (!cliente) {
+      throw new Error("CLIENTE_NOT_FOUND");
+    }
+
+    if (!cliente.activo) {
+      throw new Error("CLIENTE_ALREADY_INACTIVE");
+    }
+
+    await cliente.update(
+      {
+        activo: false,
+        fecha_actualizacion: new Date(),
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateClienteCache(id);
+
+    return cliente;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 🛒 INTEGRACIÓN CON VENTAS
+// =====================================================
+
+/**
+ * Resuelve el cliente indicado en una venta
+ * Acepta cliente_id o cliente_documento (número de documento)
+ *
+ * @param {Object} identificador - { cliente_id, cliente_documento }
+ * @param {Object} transaction - Transacción de la venta
+ * @returns {Promise<Object|null>} Cliente activo o null si no se indicó
+ * @throws {Error} CLIENTE_NOT_FOUND:{tipo}:{valor} si no existe o está inactivo
+ */
+const resolverClienteVenta = async (
+  { cliente_id, cliente_documento },
+  transaction
+) => {
+  if (!cliente_id && !cliente_documento) return null;
+
+  const where = { activo: true };
+  let identificadorTipo = "ID";
+  let identificadorValor = cliente_id;
+
+  if (cliente_id) {
+    where.id = cliente_id;
+  } else {
+    where.numero_documento = String(cliente_documento).trim();
+    identificadorTipo = "documento";
+    identificadorValor = where.numero_documento;
+  }
+
+  const cliente = await clientes.findOne({
+    where,
+    attributes: ["id", "tipo_documento", "numero_documento", "nombre"],
+    transaction,
+  });
+
+  if (!cliente) {
+    throw new Error(
+      `CLIENTE_NOT_FOUND:${identificadorTipo}:${identificadorValor}`
+    );
+  }
+
+  return cliente;
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Usado por ventasService al registrar una venta
+export { resolverClienteVenta };
+
+export default {
+  // Consultas
+  obtenerClientesFiltrados,
+  obtenerClientePorId,
+  obtenerComprasCliente,
+
+  // Escritura
+  crearCliente,
+  actualizarCliente,
+  desactivarCliente,
+};
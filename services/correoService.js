@@ -0,0 +1,110 @@
+// services/correoService.js - Envío de correos con transporte intercambiable
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { randomUUID } from "crypto";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// =====================================================
+// 📮 TRANSPORTES
+// =====================================================
+// MAIL_TRANSPORT elige el transporte (defecto "outbox"):
+//   outbox → escribe cada correo como JSON en MAIL_OUTBOX_DIR (logs/outbox)
+//   log    → solo lo muestra en consola
+//
+// Para enviar correos reales se registra otro transporte al arrancar el
+// servidor y se selecciona con MAIL_TRANSPORT, ej:
+//
+//   registrarTransporteCorreo("smtp", async (mensaje) => {
+//     await smtp.sendMail({ from: mensaje.de, to: mensaje.para, ... });
+//   });
+
+const TRANSPORTE_DEFECTO = "outbox";
+const REMITENTE_DEFECTO = "no-responder@santuario.local";
+
+const transportes = new Map();
+
+/**
+ * Guarda el correo en la bandeja de salida local (desarrollo)
+ */
+const transporteOutbox = async (mensaje) => {
+  const directorio =
+    process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "logs", "outbox");
+  await fs.mkdir(directorio, { recursive: true });
+
+  const archivo = path.join(
+    directorio,
+    `${mensaje.fecha.replace(/[:.]/g, "-")}_${mensaje.id}.json`
+  );
+  await fs.writeFile(archivo, JSON.stringify(mensaje, null, 2), "utf8");
+
+  console.log(`📮 Correo para ${mensaje.para} guardado en ${archivo}`);
+};
+
+/**
+ * Muestra el correo en consola (desarrollo)
+ */
+const transporteLog = async (mensaje) => {
+  console.log(
+    `📮 Correo para ${mensaje.para}\n` +
+      `   Asunto: ${mensaje.asunto}\n` +
+      `${mensaje.texto}`
+  );
+};
+
+transportes.set("outbox", transporteOutbox);
+transportes.set("log", transporteLog);
+
+/**
+ * Registra un transporte de correo
+ * @param {string} nombre - Valor de MAIL_TRANSPORT que lo selecciona
+ * @param {Function} enviar - async (mensaje) => void; mensaje tiene
+ *   { id, de, para, asunto, texto, fecha }
+ */
+const registrarTransporteCorreo = (nombre, enviar) => {
+  transportes.set(nombre, enviar);
+};
+
+// =====================================================
+// ✉️ ENVÍO
+// =====================================================
+
+/**
+ * Envía un correo con el transporte configurado
+ * @param {Object} datos - { para, asunto, texto }
+ * @returns {Object} { id, transporte }
+ * @throws {Error} MAIL_TRANSPORT_NOT_FOUND:nombre
+ */
+const enviarCorreo = async ({ para, asunto, texto }) => {
+  const nombre = process.env.MAIL_TRANSPORT || TRANSPORTE_DEFECTO;
+  const enviar = transportes.get(nombre);
+
+  if (!enviar) {
+    throw new Error(`MAIL_TRANSPORT_NOT_FOUND:${nombre}`);
+  }
+
+  const mensaje = {
+    id: randomUUID(),
+    de: process.env.MAIL_FROM || REMITENTE_DEFECTO,
+    para,
+    asunto,
+    texto,
+    fecha: new Date().toISOString(),
+  };
+
+  await enviar(mensaje);
+
+  return { id: mensaje.id, transporte: nombre };
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+export { enviarCorreo, registrarTransporteCorreo };
+
+export default {
+  enviarCorreo,
+  registrarTransporteCorreo,
+};
@@ -0,0 +1,567 @@
+// services/creditoService.js - Crédito a Clientes (Fiado), Abonos y Cartera
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  smartCacheKey,
+  invalidateCreditoCache,
+} from "./cacheService.js";
+import { redondear } from "../utils/iva.js";
+import { obtenerSesionAbierta } from "./cajaService.js";
+
+const { clientes, cuentas_por_cobrar, abonos_credito, ventas, usuarios } = db;
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Rangos de mora para el reporte de cartera (días después del vencimiento)
+const RANGOS_CARTERA = [
+  { clave: "por_vencer", desde: -Infinity, hasta: 0 },
+  { clave: "dias_1_30", desde: 1, hasta: 30 },
+  { clave: "dias_31_60", desde: 31, hasta: 60 },
+  { clave: "dias_61_90", desde: 61, hasta: 90 },
+  { clave: "mas_de_90", desde: 91, hasta: Infinity },
+];
+
+const diasVencida = (fechaVencimiento, fechaCorte) =>
+  Math.floor((fechaCorte - new Date(fechaVencimiento)) / MS_POR_DIA);
+
+const rangoCartera = (dias) =>
+  RANGOS_CARTERA.find((r) => dias >= r.desde && dias <= r.hasta).clave;
+
+// =====================================================
+// 🛒 INTEGRACIÓN CON VENTAS
+// =====================================================
+
+/**
+ * Registra la cuenta por cobrar de una venta a crédito
+ * Bloquea al cliente para que dos cajas no excedan el cupo a la vez
+ *
+ * @param {Object} venta - Venta recién creada con una línea de pago a crédito
+ * @param {number} clienteId - ID del cliente
+ * @param {number} montoCredito - Parte del total pagada a crédito
+ * @param {Object} transaction - Transacción de la venta
+ * @returns {Promise<Object>} Cuenta por cobrar creada
+ * @throws {Error} CREDITO_NO_AUTORIZADO:{clienteId} si no tiene cupo aprobado
+ * @throws {Error} CREDITO_LIMITE_EXCEDIDO:{disponible}:{total}
+ */
+const registrarCuentaPorCobrar = async (
+  venta,
+  clienteId,
+  montoCredito,
+  transaction
+) => {
+  const cliente = await clientes.findByPk(clienteId, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const limite = redondear(cliente.limite_credito);
+  if (limite <= 0) {
+    throw new Error(`CREDITO_NO_AUTORIZADO:${clienteId}`);
+  }
+
+  const saldoActual = redondear(cliente.saldo_credito);
+  const disponible = redondear(limite - saldoActual);
+  const total = redondear(montoCredito);
+
+  if (total > disponible) {
+    throw new Error(`CREDITO_LIMITE_EXCEDIDO:${disponible}:${total}`);
+  }
+
+  const fechaVencimiento = new Date(
+    Date.now() + cliente.dias_credito * MS_POR_DIA
+  );
+
+  const cuenta = await cuentas_por_cobrar.create(
+    {
+      cliente_id: clienteId,
+      venta_id: venta.id,
+      monto: total,
+      saldo: total,
+      estado: "pendiente",
+      fecha_vencimiento: fechaVencimiento,
+    },
+    { transaction }
+  );
+
+  await cliente.update(
+    { saldo_credito: redondear(saldoActual + total) },
+    { transaction }
+  );
+
+  return cuenta;
+};
+
+/**
+ * Reversa la cuenta por cobrar de una venta a crédito anulada
+ * No se permite si la cuenta ya recibió abonos: el dinero recibido
+ * debe resolverse primero con el cliente.
+ *
+ * @param {Object} venta - Venta que se está anulando
+ * @param {Object} transaction - Transacción de la anulación
+ * @returns {Promise<Object|null>} Cuenta anulada o null si no existía
+ * @throws {Error} CREDITO_CON_ABONOS:{monto_abonado}
+ */
+const reversarCuentaPorCobrar = async (venta, transaction) => {
+  const cuenta = await cuentas_por_cobrar.findOne({
+    where: { venta_id: venta.id },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  if (!cuenta || cuenta.estado === "anulada") return null;
+
+  const monto = redondear(cuenta.monto);
+  const abonado = redondear(monto - parseFloat(cuenta.saldo));
+
+  if (abonado > 0) {
+    throw new Error(`CREDITO_CON_ABONOS:${abonado}`);
+  }
+
+  const cliente = await clientes.findByPk(cuenta.cliente_id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  await cuenta.update({ saldo: 0, estado: "anulada" }, { transaction });
+  await cliente.update(
+    {
+      saldo_credito: Math.max(
+        0,
+        redondear(parseFloat(cliente.saldo_credito) - monto)
+      ),
+    },
+    { transaction }
+  );
+
+  return cuenta;
+};
+
+/**
+ * Descuenta de la cuenta por cobrar el valor de una devolución
+ * Si la cuenta ya estaba (parcialmente) pagada, el excedente se
+ * reembolsa por fuera del crédito.
+ *
+ * @param {Object} venta - Venta a crédito con devolución
+ * @param {number} montoDevuelto - Total de la devolución
+ * @param {Object} transaction - Transacción de la devolución
+ * @returns {Promise<Object>} { aplicado_credito, excedente }
+ */
+const ajustarCuentaPorDevolucion = async (venta, montoDevuelto, transaction) => {
+  const cuenta = await cuentas_por_cobrar.findOne({
+    where: { venta_id: venta.id, estado: "pendiente" },
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const monto = redondear(montoDevuelto);
+  if (!cuenta) return { aplicado_credito: 0, excedente: monto };
+
+  const saldo = redondear(cuenta.saldo);
+  const aplicado = Math.min(saldo, monto);
+  const nuevoSaldo = redondear(saldo - aplicado);
+
+  await cuenta.update(
+    { saldo: nuevoSaldo, estado: nuevoSaldo <= 0 ? "pagada" : "pendiente" },
+    { transaction }
+  );
+
+  const cliente = await clientes.findByPk(cuenta.cliente_id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+  await cliente.update(
+    {
+      saldo_credito: Math.max(
+        0,
+        redondear(parseFloat(cliente.saldo_credito) - aplicado)
+      ),
+    },
+    { transaction }
+  );
+
+  return {
+    aplicado_credito: redondear(aplicado),
+    excedente: redondear(monto - aplicado),
+  };
+};
+
+// =====================================================
+// 📊 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Estado de cuenta de un cliente: cupo, saldo, cuentas abiertas y abonos
+ *
+ * @param {number} clienteId - ID del cliente
+ * @returns {Promise<Object|null>} { data, metadata, fromCache } o null
+ */
+const obtenerEstadoCuenta = async (clienteId) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.CREDITO_ESTADO_CUENTA, clienteId);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const cliente = await clientes.findByPk(clienteId, {
+    attributes: [
+      "id",
+      "tipo_documento",
+      "numero_documento",
+      "nombre",
+      "telefono",
+      "limite_credito",
+      "dias_credito",
+      "saldo_credito",
+      "activo",
+    ],
+  });
+  if (!cliente) return null;
+
+  const cuentasAbiertas = await cuentas_por_cobrar.findAll({
+    where: { cliente_id: clienteId, estado: "pendiente" },
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        attributes: ["id", "numero_venta", "fecha_venta"],
+      },
+    ],
+    order: [
+      ["fecha_vencimiento", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  const ultimosAbonos = await abonos_credito.findAll({
+    where: { cliente_id: clienteId },
+    include: [
+      {
+        model: usuarios,
+        as: "usuario",
+        attributes: ["id", "nombre", "apellido"],
+      },
+    ],
+    order: [["fecha_abono", "DESC"]],
+    limit: 20,
+  });
+
+  const ahora = new Date();
+  const cuentas = cuentasAbiertas.map((cuenta) => {
+    const dias = diasVencida(cuenta.fecha_vencimiento, ahora);
+    return {
+      ...cuenta.toJSON(),
+      dias_vencida: Math.max(0, dias),
+      rango: rangoCartera(dias),
+    };
+  });
+
+  const limite = redondear(cliente.limite_credito);
+  const saldo = redondear(cliente.saldo_credito);
+  const saldoVencido = redondear(
+    cuentas
+      .filter((c) => c.rango !== "por_vencer")
+      .reduce((acc, c) => acc + parseFloat(c.saldo), 0)
+  );
+
+  const result = {
+    data: {
+      cliente,
+      cuentas_abiertas: cuentas,
+      ultimos_abonos: ultimosAbonos,
+    },
+    metadata: {
+      limite_credito: limite,
+      saldo_credito: saldo,
+      cupo_disponible: Math.max(0, redondear(limite - saldo)),
+      saldo_vencido: saldoVencido,
+      cuentas_abiertas: cuentas.length,
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CREDITO_ESTADO_CUENTA);
+  return result;
+};
+
+/**
+ * Reporte de cartera por edades (saldo pendiente según días de mora)
+ *
+ * @param {Object} filtros - { fecha_corte }
+ * @returns {Promise<Object>} { data, metadata, fromCache }
+ */
+const obtenerReporteCartera = async (filtros = {}) => {
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.CREDITO_CARTERA, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const fechaCorte = filtros.fecha_corte
+    ? new Date(filtros.fecha_corte)
+    : new Date();
+
+  const cuentasAbiertas = await cuentas_por_cobrar.findAll({
+    where: {
+      estado: "pendiente",
+      fecha_creacion: { [Op.lte]: fechaCorte },
+    },
+    include: [
+      {
+        model: clientes,
+        as: "cliente",
+        attributes: [
+          "id",
+          "tipo_documento",
+          "numero_documento",
+          "nombre",
+          "telefono",
+          "limite_credito",
+        ],
+      },
+    ],
+    order: [["fecha_vencimiento", "ASC"]],
+  });
+
+  const rangosVacios = () =>
+    Object.fromEntries(RANGOS_CARTERA.map((r) => [r.clave, 0]));
+
+  const porCliente = new Map();
+  const totales = { ...rangosVacios(), total: 0 };
+
+  for (const cuenta of cuentasAbiertas) {
+    const rango = rangoCartera(diasVencida(cuenta.fecha_vencimiento, fechaCorte));
+    const saldo = parseFloat(cuenta.saldo);
+
+    if (!porCliente.has(cuenta.cliente_id)) {
+      porCliente.set(cuenta.cliente_id, {
+        cliente: cuenta.cliente,
+        ...rangosVacios(),
+        total: 0,
+        cuentas_abiertas: 0,
+        vencimiento_mas_antiguo: cuenta.fecha_vencimiento,
+      });
+    }
+
+    const fila = porCliente.get(cuenta.cliente_id);
+    fila[rango] += saldo;
+    fila.total += saldo;
+    fila.cuentas_abiertas += 1;
+    totales[rango] += saldo;
+    totales.total += saldo;
+  }
+
+  const redondearRangos = (fila) => {
+    for (const clave of [...RANGOS_CARTERA.map((r) => r.clave), "total"]) {
+      fila[clave] = redondear(fila[clave]);
+    }
+    return fila;
+  };
+
+  // Los clientes con más saldo vencido primero
+  const clientesCartera = [...porCliente.values()]
+    .map(redondearRangos)
+    .sort((a, b) => b.total - b.por_vencer - (a.total - a.por_vencer));
+
+  const result = {
+    data: {
+      por_cliente: clientesCartera,
+      totales: redondearRangos(totales),
+    },
+    metadata: {
+      fecha_corte: fechaCorte.toISOString(),
+      clientes_con_saldo: clientesCartera.length,
+      cuentas_abiertas: cuentasAbiertas.length,
+      rangos: RANGOS_CARTERA.map((r) => r.clave),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.CREDITO_CARTERA);
+  return result;
+};
+
+// =====================================================
+// ✅ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Aprueba o modifica el cupo de crédito de un cliente
+ * Un cupo menor al saldo actual solo impide nuevas ventas a crédito.
+ *
+ * @param {number} clienteId - ID del cliente
+ * @param {Object} datos - { limite_credito, dias_credito }
+ * @returns {Promise<Object>} Cliente actualizado
+ * @throws {Error} CLIENTE_NOT_FOUND
+ */
+const actualizarCredito = async (clienteId, datos) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cliente = await clientes.findByPk(clienteId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!cliente) {
+      throw new Error("CLIENTE_NOT_FOUND");
+    }
+
+    const fieldsToUpdate = { fecha_actualizacion: new Date() };
+    if (datos.limite_credito !== undefined)
+      fieldsToUpdate.limite_credito = datos.limite_credito;
+    if (datos.dias_credito !== undefined)
+      fieldsToUpdate.dias_credito = datos.dias_credito;
+
+    await cliente.update(fieldsToUpdate, { transaction });
+    await transaction.commit();
+
+    await invalidateCreditoCache(clienteId);
+
+    return await cliente.reload();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Registra un abono del cliente y lo aplica a sus cuentas abiertas,
+ * de la más antigua a la más reciente (FIFO por vencimiento)
+ *
+ * Si el cajero tiene una sesión de caja abierta, el abono queda
+ * asociado a ella y entra en el cuadre de caja.
+ *
+ * @param {number} clienteId - ID del cliente
+ * @param {Object} datos - { monto, metodo_pago, observaciones }
+ * @param {number} usuarioId - Usuario que recibe el abono
+ * @returns {Promise<Object>} { abono, cuentas_afectadas, saldo_actual }
+ * @throws {Error} CLIENTE_NOT_FOUND
+ * @throws {Error} CLIENTE_SIN_SALDO
+ * @throws {Error} ABONO_EXCEDE_SALDO:{saldo}
+ */
+const registrarAbono = async (clienteId, datos, usuarioId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { monto, metodo_pago = "efectivo", observaciones } = datos;
+    const montoAbono = redondear(monto);
+
+    const cliente = await clientes.findByPk(clienteId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!cliente) {
+      throw new Error("CLIENTE_NOT_FOUND");
+    }
+
+    const saldoAnterior = redondear(cliente.saldo_credito);
+
+    if (saldoAnterior <= 0) {
+      throw new Error("CLIENTE_SIN_SALDO");
+    }
+
+    if (montoAbono > saldoAnterior) {
+      throw new Error(`ABONO_EXCEDE_SALDO:${saldoAnterior}`);
+    }
+
+    const sesionCaja = await obtenerSesionAbierta(usuarioId, transaction);
+
+    // Aplicar el abono FIFO sobre las cuentas abiertas
+    const cuentasAbiertas = await cuentas_por_cobrar.findAll({
+      where: { cliente_id: clienteId, estado: "pendiente" },
+      order: [
+        ["fecha_vencimiento", "ASC"],
+        ["id", "ASC"],
+      ],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    let restante = montoAbono;
+    const cuentasAfectadas = [];
+
+    for (const cuenta of cuentasAbiertas) {
+      if (restante <= 0) break;
+
+      const saldoCuenta = redondear(cuenta.saldo);
+      const aplicado = redondear(Math.min(saldoCuenta, restante));
+      const nuevoSaldo = redondear(saldoCuenta - aplicado);
+
+      await cuenta.update(
+        { saldo: nuevoSaldo, estado: nuevoSaldo <= 0 ? "pagada" : "pendiente" },
+        { transaction }
+      );
+
+      restante = redondear(restante - aplicado);
+      cuentasAfectadas.push({
+        cuenta_id: cuenta.id,
+        venta_id: cuenta.venta_id,
+        aplicado,
+        saldo_restante: nuevoSaldo,
+      });
+    }
+
+    const saldoNuevo = redondear(saldoAnterior - montoAbono);
+
+    const abono = await abonos_credito.create(
+      {
+        cliente_id: clienteId,
+        usuario_id: usuarioId,
+        sesion_caja_id: sesionCaja?.id || null,
+        monto: montoAbono,
+        metodo_pago,
+        saldo_anterior: saldoAnterior,
+        saldo_nuevo: saldoNuevo,
+        observaciones: observaciones?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await cliente.update({ saldo_credito: saldoNuevo }, { transaction });
+
+    await transaction.commit();
+
+    console.log(
+      `💵 ABONO A CRÉDITO REGISTRADO:\n` +
+        `   Cliente: ${cliente.nombre} (ID: ${clienteId})\n` +
+        `   Monto: $${montoAbono.toFixed(2)} (${metodo_pago})\n` +
+        `   Saldo: $${saldoAnterior.toFixed(2)} → $${saldoNuevo.toFixed(2)}\n` +
+        `   Cuentas afectadas: ${cuentasAfectadas.length}\n` +
+        `   Usuario: ${usuarioId}`
+    );
+
+    await invalidateCreditoCache(clienteId);
+
+    return {
+      abono,
+      cuentas_afectadas: cuentasAfectadas,
+      saldo_actual: saldoNuevo,
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Usados por ventasService al vender, anular y devolver a crédito
+export {
+  registrarCuentaPorCobrar,
+  reversarCuentaPorCobrar,
+  ajustarCuentaPorDevolucion,
+};
+
+export default {
+  // Consultas
+  obtenerEstadoCuenta,
+  obtenerReporteCartera,
+
+  // Escritura
+  actualizarCredito,
+  registrarAbono,
+};
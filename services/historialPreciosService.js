@@ -0,0 +1,695 @@
+// services/historialPreciosService.js - Historial y Cambios Programados de Precios
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  invalidateProductCache,
+  invalidateAllProductsCache,
+} from "./cacheService.js";
+
+const {
+  historial_precios,
+  cambios_precio_programados,
+  productos,
+  usuarios,
+  categorias,
+  proveedores,
+} = db;
+
+const redondearPrecio = (valor) =>
+  parseFloat((parseFloat(valor) || 0).toFixed(2));
+
+// Campo del producto que corresponde a cada tipo de precio
+const CAMPOS_PRECIO = {
+  compra: "precio_compra",
+  venta: "precio_venta",
+};
+
+// =====================================================
+// 📝 REGISTRO (DENTRO DE OTRAS TRANSACCIONES)
+// =====================================================
+
+/**
+ * Registra en el historial los precios que cambian en un producto
+ * Debe llamarse ANTES de actualizar el producto (usa sus valores actuales)
+ *
+ * @param {Object} producto - Instancia del producto con los precios actuales
+ * @param {Object} nuevosPrecios - { precio_compra?, precio_venta? }
+ * @param {Object} contexto - { origen, referencia_id, usuario_id, motivo }
+ * @param {Object} transaction - Transacción de la operación que cambia el precio
+ * @returns {Promise<Array>} Registros creados (vacío si nada cambió)
+ */
+const registrarCambiosPrecio = async (
+  producto,
+  nuevosPrecios,
+  contexto,
+  transaction
+) => {
+  const { origen = "manual", referencia_id = null, usuario_id, motivo } =
+    contexto;
+
+  const registros = Object.entries(CAMPOS_PRECIO)
+    .filter(([, campo]) => nuevosPrecios[campo] !== undefined && nuevosPrecios[campo] !== null)
+    .map(([tipo, campo]) => ({
+      tipo_precio: tipo,
+      precio_anterior: redondearPrecio(producto[campo]),
+      precio_nuevo: redondearPrecio(nuevosPrecios[campo]),
+    }))
+    .filter((r) => r.precio_anterior !== r.precio_nuevo)
+    .map((r) => ({
+      ...r,
+      producto_id: producto.id,
+      origen,
+      referencia_id,
+      usuario_id,
+      motivo: motivo?.trim() || null,
+    }));
+
+  if (registros.length === 0) return [];
+
+  return await historial_precios.bulkCreate(registros, { transaction });
+};
+
+// =====================================================
+// 📊 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Historial de precios de un producto y sus cambios programados pendientes
+ * Sin caché: es información de auditoría y debe verse al instante
+ *
+ * @param {number} productoId - ID del producto
+ * @param {Object} filtros - { tipo_precio, page, limit }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ * @throws {Error} PRODUCTO_NOT_FOUND
+ */
+const obtenerHistorialPrecios = async (productoId, filtros = {}) => {
+  const { tipo_precio, page = 1, limit = 50 } = filtros;
+
+  const producto = await productos.findByPk(productoId, {
+    attributes: [
+      "id",
+      "nombre",
+      "codigo_barras",
+      "precio_compra",
+      "precio_venta",
+      "costo_promedio",
+    ],
+  });
+
+  if (!producto) {
+    throw new Error("PRODUCTO_NOT_FOUND");
+  }
+
+  const where = { producto_id: productoId };
+  if (tipo_precio) where.tipo_precio = tipo_precio;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const [{ count, rows }, programados] = await Promise.all([
+    historial_precios.findAndCountAll({
+      where,
+      include: [
+        {
+          model: usuarios,
+          as: "usuario",
+          attributes: ["id", "nombre", "apellido"],
+        },
+      ],
+      order: [
+        ["fecha_cambio", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: parseInt(limit),
+      offset,
+    }),
+    cambios_precio_programados.findAll({
+      where: { producto_id: productoId, estado: "pendiente" },
+      include: [
+        {
+          model: usuarios,
+          as: "usuario",
+          attributes: ["id", "nombre", "apellido"],
+        },
+      ],
+      order: [["fecha_aplicacion", "ASC"]],
+    }),
+  ]);
+
+  return {
+    data: {
+      producto,
+      historial: rows,
+      cambios_programados: programados,
+    },
+    metadata: {
+      producto_id: parseInt(productoId),
+      tipo_precio: tipo_precio || "todos",
+      cambios_programados_pendientes: programados.length,
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+};
+
+// =====================================================
+// ✨ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Valida que el precio de venta resultante siga siendo mayor al de compra
+ * (misma regla del modelo productos)
+ */
+const validarPreciosResultantes = (producto, cambio) => {
+  const compra = redondearPrecio(cambio.precio_compra ?? producto.precio_compra);
+  const venta = redondearPrecio(cambio.precio_venta ?? producto.precio_venta);
+
+  if (venta <= compra) {
+    throw new Error(`PRECIO_VENTA_INVALIDO:${venta}:${compra}`);
+  }
+
+  return { compra, venta };
+};
+
+/**
+ * Programa un cambio de precio para una fecha futura
+ *
+ * @param {number} productoId - ID del producto
+ * @param {Object} datos - { precio_compra?, precio_venta?, fecha_aplicacion, motivo }
+ * @param {number} usuarioId - Usuario que programa
+ * @returns {Promise<Object>} Cambio programado
+ * @throws {Error} PRODUCTO_NOT_FOUND
+ * @throws {Error} PRECIO_VENTA_INVALIDO:{venta}:{compra}
+ * @throws {Error} CAMBIO_PROGRAMADO_DUPLICADO:{id}
+ */
+const programarCambioPrecio = async (productoId, datos, usuarioId) => {
+  const { precio_compra, precio_venta, fecha_aplicacion, motivo } = datos;
+
+  const producto = await productos.findOne({
+    where: { id: productoId, activo: true },
+  });
+
+  if (!producto) {
+    throw new Error("PRODUCTO_NOT_FOUND");
+  }
+
+  // Se valida contra los precios de hoy; al aplicarse se vuelve a validar
+  validarPreciosResultantes(producto, { precio_compra, precio_venta });
+
+  const existente = await cambios_precio_programados.findOne({
+    where: {
+      producto_id: productoId,
+      estado: "pendiente",
+      fecha_aplicacion: new Date(fecha_aplicacion),
+    },
+  });
+
+  if (existente) {
+    throw new Error(`CAMBIO_PROGRAMADO_DUPLICADO:${existente.id}`);
+  }
+
+  const cambio = await cambios_precio_programados.create({
+    producto_id: productoId,
+    precio_compra: precio_compra ?? null,
+    precio_venta: precio_venta ?? null,
+    fecha_aplicacion,
+    motivo: motivo.trim(),
+    usuario_id: usuarioId,
+    estado: "pendiente",
+  });
+
+  console.log(
+    `🗓️ CAMBIO DE PRECIO PROGRAMADO:\n` +
+    `   Producto: ${producto.nombre} (ID: ${producto.id})\n` +
+    `   Compra: ${precio_compra ?? "sin cambio"} | Venta: ${precio_venta ?? "sin cambio"}\n` +
+    `   Aplicación: ${new Date(fecha_aplicacion).toISOString()}\n` +
+    `   Usuario: ${usuarioId}`
+  );
+
+  return cambio;
+};
+
+/**
+ * Cancela un cambio de precio programado que aún no se aplica
+ *
+ * @param {number} productoId - ID del producto
+ * @param {number} cambioId - ID del cambio programado
+ * @returns {Promise<Object>} Cambio cancelado
+ * @throws {Error} CAMBIO_PROGRAMADO_NOT_FOUND
+ * @throws {Error} CAMBIO_PROGRAMADO_NO_PENDIENTE:{estado}
+ */
+const cancelarCambioProgramado = async (productoId, cambioId) => {
+  const cambio = await cambios_precio_programados.findOne({
+    where: { id: cambioId, producto_id: productoId },
+  });
+
+  if (!cambio) {
+    throw new Error("CAMBIO_PROGRAMADO_NOT_FOUND");
+  }
+
+  if (cambio.estado !== "pendiente") {
+    throw new Error(`CAMBIO_PROGRAMADO_NO_PENDIENTE:${cambio.estado}`);
+  }
+
+  await cambio.update({ estado: "cancelado" });
+
+  return cambio;
+};
+
+/**
+ * Aplica un cambio programado en su propia transacción
+ * Si los precios resultantes no son válidos queda como "fallido"
+ *
+ * @returns {Promise<string>} "aplicado" | "fallido" | "omitido"
+ */
+const aplicarCambioProgramado = async (cambioId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Volver a leer con bloqueo: otra instancia pudo haberlo aplicado
+    const cambio = await cambios_precio_programados.findByPk(cambioId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!cambio || cambio.estado !== "pendiente") {
+      await transaction.rollback();
+      return "omitido";
+    }
+
+    const producto = await productos.findByPk(cambio.producto_id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    let precios;
+    try {
+      if (!producto || !producto.activo) {
+        throw new Error("PRODUCTO_NOT_FOUND");
+      }
+      precios = validarPreciosResultantes(producto, cambio);
+    } catch (error) {
+      await cambio.update(
+        {
+          estado: "fallido",
+          detalle_error: error.message.startsWith("PRECIO_VENTA_INVALIDO:")
+            ? "El precio de venta resultante no supera el precio de compra"
+            : "Producto inexistente o inactivo",
+        },
+        { transaction }
+      );
+      await transaction.commit();
+      return "fallido";
+    }
+
+    const nuevosPrecios = {
+      precio_compra: precios.compra,
+      precio_venta: precios.venta,
+    };
+
+    await registrarCambiosPrecio(
+      producto,
+      nuevosPrecios,
+      {
+        origen: "programado",
+        referencia_id: cambio.id,
+        usuario_id: cambio.usuario_id,
+        motivo: cambio.motivo,
+      },
+      transaction
+    );
+
+    await producto.update(nuevosPrecios, { transaction });
+    await cambio.update(
+      { estado: "aplicado", fecha_aplicado: new Date() },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateProductCache(producto.id, producto.codigo_barras);
+
+    console.log(
+      `💲 CAMBIO DE PRECIO APLICADO:\n` +
+      `   Producto: ${producto.nombre} (ID: ${producto.id})\n` +
+      `   Compra: ${precios.compra} | Venta: ${precios.venta}\n` +
+      `   Cambio programado: #${cambio.id}`
+    );
+
+    return "aplicado";
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Aplica todos los cambios programados cuya fecha ya llegó
+ * Un cambio que falla no detiene los demás
+ *
+ * @returns {Promise<Object>} { aplicados, fallidos, errores }
+ */
+const aplicarCambiosProgramados = async () => {
+  const vencidos = await cambios_precio_programados.findAll({
+    where: {
+      estado: "pendiente",
+      fecha_aplicacion: { [Op.lte]: new Date() },
+    },
+    attributes: ["id"],
+    order: [
+      ["fecha_aplicacion", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  const resultado = { aplicados: 0, fallidos: 0, errores: 0 };
+
+  for (const { id } of vencidos) {
+    try {
+      const estado = await aplicarCambioProgramado(id);
+      if (estado === "aplicado") resultado.aplicados++;
+      if (estado === "fallido") resultado.fallidos++;
+    } catch (error) {
+      resultado.errores++;
+      console.error(`❌ Error aplicando cambio de precio #${id}:`, error.message);
+    }
+  }
+
+  return resultado;
+};
+
+// =====================================================
+// 📦 ACTUALIZACIÓN MASIVA DE PRECIOS
+// =====================================================
+
+const MAX_PRODUCTOS_MASIVO = 2000;
+
+const FUNCIONES_REDONDEO = {
+  cercano: Math.round,
+  arriba: Math.ceil,
+  abajo: Math.floor,
+};
+
+/**
+ * Aplica un ajuste { tipo: "porcentaje" | "fijo", valor } a un precio
+ */
+const aplicarAjuste = (precio, { tipo, valor }) =>
+  tipo === "porcentaje"
+    ? parseFloat(precio) * (1 + valor / 100)
+    : parseFloat(precio) + valor;
+
+/**
+ * Redondea un precio al múltiplo indicado (ej: 3.247 → 3.250 con 50)
+ */
+const redondearAMultiplo = (precio, multiplo, modo = "cercano") =>
+  FUNCIONES_REDONDEO[modo](precio / multiplo) * multiplo;
+
+/**
+ * Calcula los precios resultantes de un producto. El redondeo a múltiplos
+ * aplica solo al precio de venta (el costo sigue la factura del proveedor)
+ */
+const calcularPreciosMasivo = (producto, opciones) => {
+  const { ajuste_compra, ajuste_venta, redondeo, modo_redondeo } = opciones;
+
+  const compraActual = redondearPrecio(producto.precio_compra);
+  const ventaActual = redondearPrecio(producto.precio_venta);
+
+  const compra = ajuste_compra
+    ? redondearPrecio(aplicarAjuste(compraActual, ajuste_compra))
+    : compraActual;
+
+  let venta = ventaActual;
+  if (ajuste_venta) {
+    venta = aplicarAjuste(ventaActual, ajuste_venta);
+    venta = redondearPrecio(
+      redondeo ? redondearAMultiplo(venta, redondeo, modo_redondeo) : venta
+    );
+  }
+
+  let error = null;
+  if (compra <= 0 || venta <= 0) {
+    error = "El precio resultante debe ser mayor a 0";
+  } else if (venta <= compra) {
+    error = "El precio de venta resultante no supera el precio de compra";
+  }
+
+  return {
+    producto_id: producto.id,
+    nombre: producto.nombre,
+    codigo_barras: producto.codigo_barras,
+    precio_compra_actual: compraActual,
+    precio_compra_nuevo: compra,
+    precio_venta_actual: ventaActual,
+    precio_venta_nuevo: venta,
+    margen_nuevo_porcentaje:
+      venta > 0 ? parseFloat((((venta - compra) / venta) * 100).toFixed(2)) : null,
+    cambia: compra !== compraActual || venta !== ventaActual,
+    error,
+  };
+};
+
+/**
+ * Condición de selección de productos: por categoría, por proveedor
+ * (productos que aparecen en sus recepciones procesadas) o por IDs
+ *
+ * @throws {Error} CATEGORIA_NOT_FOUND
+ * @throws {Error} PROVEEDOR_NOT_FOUND
+ */
+const construirSeleccionMasivo = async (opciones, transaction) => {
+  const { categoria_id, proveedor_id, producto_ids, incluir_inactivos } =
+    opciones;
+
+  const where = incluir_inactivos ? {} : { activo: true };
+
+  if (categoria_id) {
+    const categoria = await categorias.findByPk(categoria_id, { transaction });
+    if (!categoria) throw new Error("CATEGORIA_NOT_FOUND");
+    where.categoria_id = categoria_id;
+  } else if (proveedor_id) {
+    const proveedor = await proveedores.findByPk(proveedor_id, { transaction });
+    if (!proveedor) throw new Error("PROVEEDOR_NOT_FOUND");
+    where.id = {
+      [Op.in]: sequelize.literal(`(
+        SELECT DISTINCT dr.producto_id
+        FROM detalle_recepciones dr
+        INNER JOIN recepciones r ON r.id = dr.recepcion_id
+        WHERE r.proveedor_id = ${sequelize.escape(proveedor_id)}
+          AND r.estado = 'procesada'
+      )`),
+    };
+  } else {
+    where.id = { [Op.in]: producto_ids };
+  }
+
+  return where;
+};
+
+/**
+ * Actualiza en bloque precio de compra y/o de venta de una selección de
+ * productos (porcentaje o valor fijo, con redondeo opcional del precio de
+ * venta a múltiplos de 10/50/100/500/1000 pesos)
+ *
+ * - dry_run: devuelve la vista previa por producto, sin escribir
+ * - Sin dry_run: aplica en una transacción los productos válidos que cambian,
+ *   registra historial_precios (origen "masivo") e invalida el caché de
+ *   productos. Los productos cuyo precio de venta no supere al de compra se
+ *   omiten y se reportan.
+ *
+ * @param {Object} opciones - Selección, ajustes, redondeo y motivo
+ * @param {Object} modo - { dry_run }
+ * @param {number} usuarioId - Usuario que aplica el cambio
+ * @returns {Promise<Object>} { data, metadata }
+ * @throws {Error} CATEGORIA_NOT_FOUND | PROVEEDOR_NOT_FOUND
+ * @throws {Error} SELECCION_SIN_PRODUCTOS
+ * @throws {Error} SELECCION_DEMASIADOS_PRODUCTOS:{max}
+ */
+const actualizarPreciosMasivo = async (
+  opciones,
+  { dry_run = false },
+  usuarioId
+) => {
+  const transaction = dry_run ? null : await sequelize.transaction();
+
+  try {
+    const where = await construirSeleccionMasivo(opciones, transaction);
+
+    const seleccion = await productos.findAll({
+      where,
+      order: [["id", "ASC"]],
+      // Bloquear los productos mientras se recalculan y actualizan
+      ...(transaction && { lock: transaction.LOCK.UPDATE, transaction }),
+    });
+
+    if (seleccion.length === 0) {
+      throw new Error("SELECCION_SIN_PRODUCTOS");
+    }
+
+    if (seleccion.length > MAX_PRODUCTOS_MASIVO) {
+      throw new Error(`SELECCION_DEMASIADOS_PRODUCTOS:${MAX_PRODUCTOS_MASIVO}`);
+    }
+
+    const resultados = seleccion.map((producto) =>
+      calcularPreciosMasivo(producto, opciones)
+    );
+
+    const idsNoEncontrados = opciones.producto_ids
+      ? opciones.producto_ids.filter(
+          (id) => !seleccion.some((producto) => producto.id === id)
+        )
+      : [];
+
+    let actualizados = 0;
+
+    if (!dry_run) {
+      for (const [indice, producto] of seleccion.entries()) {
+        const resultado = resultados[indice];
+        if (resultado.error || !resultado.cambia) continue;
+
+        const nuevosPrecios = {
+          precio_compra: resultado.precio_compra_nuevo,
+          precio_venta: resultado.precio_venta_nuevo,
+        };
+
+        await registrarCambiosPrecio(
+          producto,
+          nuevosPrecios,
+          {
+            origen: "masivo",
+            usuario_id: usuarioId,
+            motivo: opciones.motivo,
+          },
+          transaction
+        );
+
+        await producto.update(nuevosPrecios, { transaction });
+        actualizados++;
+      }
+
+      await transaction.commit();
+
+      if (actualizados > 0) {
+        await invalidateAllProductsCache();
+      }
+
+      console.log(
+        `💲 ACTUALIZACIÓN MASIVA DE PRECIOS:\n` +
+        `   Seleccionados: ${seleccion.length} | Actualizados: ${actualizados}\n` +
+        `   Motivo: ${opciones.motivo}\n` +
+        `   Usuario: ${usuarioId}`
+      );
+    }
+
+    return {
+      data: {
+        dry_run,
+        resumen: {
+          seleccionados: seleccion.length,
+          con_cambios: resultados.filter((r) => r.cambia && !r.error).length,
+          sin_cambios: resultados.filter((r) => !r.cambia && !r.error).length,
+          con_errores: resultados.filter((r) => r.error).length,
+          actualizados,
+        },
+        ids_no_encontrados: idsNoEncontrados,
+        productos: resultados,
+      },
+      metadata: {
+        seleccion: opciones.categoria_id
+          ? { categoria_id: opciones.categoria_id }
+          : opciones.proveedor_id
+            ? { proveedor_id: opciones.proveedor_id }
+            : { producto_ids: opciones.producto_ids.length },
+        ajuste_compra: opciones.ajuste_compra ?? null,
+        ajuste_venta: opciones.ajuste_venta ?? null,
+        redondeo: opciones.redondeo
+          ? { multiplo: opciones.redondeo, modo: opciones.modo_redondeo }
+          : null,
+      },
+    };
+  } catch (error) {
+    if (transaction) await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// ⏱️ PROGRAMADOR EN PROCESO
+// =====================================================
+
+let intervaloProgramador = null;
+let ejecutando = false;
+
+/**
+ * Inicia el programador que aplica los cambios de precio pendientes
+ * Intervalo configurable con PRICE_SCHEDULER_INTERVAL_MS (por defecto 60 s);
+ * PRICE_SCHEDULER_ENABLED=false lo desactiva (ej: réplicas adicionales)
+ */
+const iniciarProgramadorPrecios = () => {
+  if (intervaloProgramador || process.env.PRICE_SCHEDULER_ENABLED === "false") {
+    return;
+  }
+
+  const intervaloMs =
+    parseInt(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+  const ejecutar = async () => {
+    // Evitar solapamiento si una pasada tarda más que el intervalo
+    if (ejecutando) return;
+    ejecutando = true;
+
+    try {
+      const { aplicados, fallidos, errores } = await aplicarCambiosProgramados();
+      if (aplicados || fallidos || errores) {
+        console.log(
+          `🗓️ Programador de precios: ${aplicados} aplicados, ${fallidos} fallidos, ${errores} con error`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error en el programador de precios:", error.message);
+    } finally {
+      ejecutando = false;
+    }
+  };
+
+  intervaloProgramador = setInterval(ejecutar, intervaloMs);
+  // No mantener vivo el proceso solo por el programador
+  intervaloProgramador.unref();
+
+  // Aplicar de inmediato lo que venció mientras el servidor estaba abajo
+  ejecutar();
+
+  console.log(
+    `🗓️ Programador de precios iniciado (cada ${Math.round(intervaloMs / 1000)} s)`
+  );
+};
+
+/**
+ * Detiene el programador de precios
+ */
+const detenerProgramadorPrecios = () => {
+  if (intervaloProgramador) {
+    clearInterval(intervaloProgramador);
+    intervaloProgramador = null;
+  }
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Registro usado por productos y recepciones dentro de sus transacciones
+export { registrarCambiosPrecio, iniciarProgramadorPrecios, detenerProgramadorPrecios };
+
+export default {
+  // Consultas
+  obtenerHistorialPrecios,
+
+  // Operaciones
+  programarCambioPrecio,
+  cancelarCambioProgramado,
+  aplicarCambiosProgramados,
+  actualizarPreciosMasivo,
+};
@@ -11,30 +11,35 @@ import {
   invalidateMovimientosListCache,
   generateCacheKey,
 } from "./cacheService.js";
-
-const { movimientos_inventario, productos, categorias, usuarios } = db;
+import ordenesCompraService from "./ordenesCompraService.js";
+import {
+  costoVigente,
+  costoVigenteSQL,
+  costoPromedioEntradaSQL,
+} from "../utils/costos.js";
+import { recorrerEnLotes } from "../utils/exportacion.js";
+
+const {
+  movimientos_inventario,
+  productos,
+  categorias,
+  usuarios,
+  detalle_recepciones,
+  recepciones,
+  proveedores,
+  detalle_ordenes_compra,
+  ordenes_compra,
+} = db;
 
 // =====================================================
 // OPERACIONES DE CONSULTA - MOVIMIENTOS
 // =====================================================
 
 /**
- * Obtiene movimientos de inventario con filtros y paginación
+ * Construye el WHERE del listado de movimientos (compartido con la exportación)
  */
-const obtenerMovimientosFiltrados = async (filtros) => {
-  const {
-    producto_id,
-    tipo_movimiento,
-    fecha_inicio,
-    fecha_fin,
-    page = 1,
-    limit = 20,
-  } = filtros;
-
-  const cacheKey = generateCacheKey(CACHE_PREFIXES.MOVIMIENTOS_LIST, filtros);
-  const cached = await cacheGet(cacheKey);
-  if (cached) return { ...cached, fromCache: true };
-
+const construirWhereMovimientos = (filtros) => {
+  const { producto_id, tipo_movimiento, fecha_inicio, fecha_fin } = filtros;
   const where = {};
 
   if (producto_id) where.producto_id = producto_id;
@@ -54,30 +59,47 @@ const obtenerMovimientosFiltrados = async (filtros) => {
     where.fecha_movimiento = { [Op.lte]: new Date(fecha_fin + " 23:59:59") };
   }
 
+  return where;
+};
+
+const includesMovimientos = () => [
+  {
+    model: productos,
+    as: "producto",
+    attributes: ["id", "nombre", "codigo_barras", "tipo_medida"],
+    include: [
+      {
+        model: categorias,
+        as: "categoria",
+        attributes: ["nombre"],
+      },
+    ],
+  },
+  {
+    model: usuarios,
+    as: "usuario",
+    attributes: ["id", "nombre", "apellido"],
+  },
+];
+
+/**
+ * Obtiene movimientos de inventario con filtros y paginación
+ */
+const obtenerMovimientosFiltrados = async (filtros) => {
+  const { page = 1, limit = 20 } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.MOVIMIENTOS_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = construirWhereMovimientos(filtros);
+
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
   const { count, rows: movimientos } =
     await movimientos_inventario.findAndCountAll({
       where,
-      include: [
-        {
-          model: productos,
-          as: "producto",
-          attributes: ["id", "nombre", "codigo_barras", "tipo_medida"],
-          include: [
-            {
-              model: categorias,
-              as: "categoria",
-              attributes: ["nombre"],
-            },
-          ],
-        },
-        {
-          model: usuarios,
-          as: "usuario",
-          attributes: ["id", "nombre", "apellido"],
-        },
-      ],
+      include: includesMovimientos(),
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [["fecha_movimiento", "DESC"]],
@@ -103,6 +125,27 @@ const obtenerMovimientosFiltrados = async (filtros) => {
   return result;
 };
 
+/**
+ * Recorre por lotes todos los movimientos que cumplen los filtros del
+ * listado, sin paginación ni caché (exportación CSV/XLSX)
+ */
+const exportarMovimientos = (filtros) => {
+  const where = construirWhereMovimientos(filtros);
+
+  return recorrerEnLotes(({ limit, offset }) =>
+    movimientos_inventario.findAll({
+      where,
+      include: includesMovimientos(),
+      order: [
+        ["fecha_movimiento", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    })
+  );
+};
+
 // =====================================================
 // OPERACIONES DE CONSULTA - STOCK BAJO Y ALERTAS
 // =====================================================
@@ -462,7 +505,11 @@ const obtenerValorInventario = async () => {
       "categoria_id",
       [sequelize.fn("COUNT", sequelize.col("productos.id")), "total_productos"],
       [
-        sequelize.fn("SUM", sequelize.literal("precio_compra * stock_actual")),
+        // Valor al costo promedio ponderado (no al último precio facturado)
+        sequelize.fn(
+          "SUM",
+          sequelize.literal(`${costoVigenteSQL()} * stock_actual`)
+        ),
         "valor_compra",
       ],
       [
@@ -771,6 +818,424 @@ const obtenerReporteMovimientosPorProducto = async (productoId, opciones) => {
   return result;
 };
 
+// =====================================================
+// OPERACIONES DE CONSULTA - SUGERENCIAS DE COMPRA
+// =====================================================
+
+// Días de entrega asumidos para productos sin recepciones previas
+const DIAS_ENTREGA_POR_DEFECTO = 3;
+
+// Órdenes cuyo pendiente ya cubre parte de la reposición
+const ESTADOS_ORDEN_ABIERTA = ["borrador", "enviada", "parcialmente_recibida"];
+
+/**
+ * Redondea la cantidad sugerida hacia arriba según el tipo de medida
+ * (unidades enteras; productos por peso con 3 decimales)
+ */
+const redondearCantidadSugerida = (cantidad, tipoMedida) =>
+  tipoMedida === "unidad"
+    ? Math.ceil(cantidad - 0.0005)
+    : Math.ceil(cantidad * 1000 - 0.5) / 1000;
+
+/**
+ * Calcula las sugerencias de compra sin pasar por caché
+ *
+ * - consumo_diario: salidas por venta menos anulaciones y devoluciones
+ *   en los últimos dias_analisis días, dividido entre esos días
+ * - punto_reorden: stock_minimo + consumo durante el tiempo de entrega
+ * - cantidad_sugerida: lo necesario para llegar a stock_minimo + consumo de
+ *   (dias_entrega + dias_cobertura), descontando lo ya pedido en órdenes abiertas
+ *
+ * El proveedor es el de la última recepción procesada del producto.
+ *
+ * @param {Object} opciones - { dias_analisis, dias_cobertura, proveedor_id }
+ * @returns {Promise<Object>} { por_proveedor, sin_proveedor, resumen }
+ */
+const calcularSugerenciasCompra = async (opciones = {}) => {
+  const { dias_analisis = 30, dias_cobertura = 15, proveedor_id } = opciones;
+
+  const diasAnalisis = parseInt(dias_analisis);
+  const diasCobertura = parseInt(dias_cobertura);
+
+  const fechaLimite = new Date();
+  fechaLimite.setDate(fechaLimite.getDate() - diasAnalisis);
+
+  // 1. Consumo neto por producto en el periodo
+  const consumos = await movimientos_inventario.findAll({
+    attributes: [
+      "producto_id",
+      [
+        sequelize.literal(`SUM(CASE
+          WHEN tipo_movimiento = 'salida' THEN cantidad
+          WHEN tipo_movimiento = 'entrada' THEN -cantidad
+          ELSE 0
+        END)`),
+        "consumo_neto",
+      ],
+    ],
+    where: {
+      referencia_tipo: { [Op.in]: ["venta", "devolucion"] },
+      fecha_movimiento: { [Op.gte]: fechaLimite },
+    },
+    group: ["producto_id"],
+    raw: true,
+  });
+
+  const consumoPorProducto = new Map(
+    consumos.map((c) => [
+      c.producto_id,
+      Math.max(parseFloat(c.consumo_neto) || 0, 0),
+    ])
+  );
+
+  // 2. Productos activos candidatos: con consumo o en/bajo el mínimo
+  const candidatos = await productos.findAll({
+    where: {
+      activo: true,
+      [Op.or]: [
+        { id: { [Op.in]: [...consumoPorProducto.keys()] } },
+        sequelize.where(
+          sequelize.col("stock_actual"),
+          "<=",
+          sequelize.col("stock_minimo")
+        ),
+      ],
+    },
+    attributes: [
+      "id",
+      "nombre",
+      "codigo_barras",
+      "stock_actual",
+      "stock_minimo",
+      "precio_compra",
+      "tarifa_iva",
+      "tipo_medida",
+    ],
+    include: [
+      {
+        model: categorias,
+        as: "categoria",
+        attributes: ["id", "nombre"],
+      },
+    ],
+    order: [["nombre", "ASC"]],
+  });
+
+  const idsCandidatos = candidatos.map((p) => p.id);
+
+  // 3. Última recepción procesada (proveedor y precio) y pedidos abiertos
+  const [ultimasRecepciones, pendientesOrdenes] = idsCandidatos.length
+    ? await Promise.all([
+        // Solo el detalle de la última recepción procesada de cada producto
+        // (subconsulta por producto_id, indexado): no se lee el historial
+        detalle_recepciones.findAll({
+          where: {
+            producto_id: { [Op.in]: idsCandidatos },
+            id: {
+              [Op.eq]: sequelize.literal(`(
+                SELECT dr.id
+                FROM detalle_recepciones dr
+                INNER JOIN recepciones r ON r.id = dr.recepcion_id
+                WHERE dr.producto_id = detalle_recepciones.producto_id
+                  AND r.estado = 'procesada'
+                ORDER BY r.fecha_recepcion DESC, r.id DESC
+                LIMIT 1
+              )`),
+            },
+          },
+          attributes: ["producto_id", "precio_unitario"],
+          include: [
+            {
+              model: recepciones,
+              as: "recepcion",
+              where: { estado: "procesada" },
+              attributes: ["id", "fecha_recepcion", "proveedor_id"],
+              include: [
+                {
+                  model: proveedores,
+                  as: "proveedor",
+                  attributes: ["id", "nombre", "dias_entrega", "activo"],
+                },
+              ],
+            },
+          ],
+        }),
+        detalle_ordenes_compra.findAll({
+          where: { producto_id: { [Op.in]: idsCandidatos } },
+          attributes: [
+            "producto_id",
+            [
+              sequelize.literal(
+                "SUM(GREATEST(cantidad_pedida - cantidad_recibida, 0))"
+              ),
+              "pendiente",
+            ],
+          ],
+          include: [
+            {
+              model: ordenes_compra,
+              as: "orden_compra",
+              where: { estado: { [Op.in]: ESTADOS_ORDEN_ABIERTA } },
+              attributes: [],
+            },
+          ],
+          group: ["producto_id"],
+          raw: true,
+        }),
+      ])
+    : [[], []];
+
+  const ultimaCompraPorProducto = new Map(
+    ultimasRecepciones.map((detalle) => [detalle.producto_id, detalle])
+  );
+
+  const pendientePorProducto = new Map(
+    pendientesOrdenes.map((p) => [p.producto_id, parseFloat(p.pendiente) || 0])
+  );
+
+  // 4. Punto de reorden y cantidad sugerida por producto
+  const grupos = new Map();
+  const sinProveedor = [];
+
+  for (const producto of candidatos) {
+    const ultimaCompra = ultimaCompraPorProducto.get(producto.id);
+    const proveedor = ultimaCompra?.recepcion?.proveedor || null;
+
+    if (proveedor_id && proveedor?.id !== parseInt(proveedor_id)) continue;
+
+    const stockActual = parseFloat(producto.stock_actual);
+    const stockMinimo = parseFloat(producto.stock_minimo);
+    const consumoDiario =
+      (consumoPorProducto.get(producto.id) || 0) / diasAnalisis;
+    const diasEntrega = proveedor?.dias_entrega ?? DIAS_ENTREGA_POR_DEFECTO;
+    const enOrdenesAbiertas = pendientePorProducto.get(producto.id) || 0;
+    const stockProyectado = stockActual + enOrdenesAbiertas;
+
+    const puntoReorden = stockMinimo + consumoDiario * diasEntrega;
+    if (stockProyectado > puntoReorden) continue;
+
+    const stockObjetivo =
+      stockMinimo + consumoDiario * (diasEntrega + diasCobertura);
+    const cantidadSugerida = redondearCantidadSugerida(
+      stockObjetivo - stockProyectado,
+      producto.tipo_medida
+    );
+    if (cantidadSugerida <= 0) continue;
+
+    const diasRestantes =
+      consumoDiario > 0 ? Math.max(stockActual, 0) / consumoDiario : null;
+    const precioEstimado = parseFloat(
+      ultimaCompra?.precio_unitario ?? producto.precio_compra
+    );
+
+    const sugerencia = {
+      producto_id: producto.id,
+      nombre: producto.nombre,
+      codigo_barras: producto.codigo_barras,
+      categoria: producto.categoria?.nombre || null,
+      tipo_medida: producto.tipo_medida,
+      tarifa_iva: producto.tarifa_iva,
+      stock_actual: stockActual,
+      stock_minimo: stockMinimo,
+      en_ordenes_abiertas: enOrdenesAbiertas,
+      consumo_diario: parseFloat(consumoDiario.toFixed(3)),
+      dias_restantes:
+        diasRestantes !== null ? parseFloat(diasRestantes.toFixed(1)) : null,
+      punto_reorden: parseFloat(puntoReorden.toFixed(3)),
+      cantidad_sugerida: cantidadSugerida,
+      precio_estimado: precioEstimado,
+      costo_estimado: parseFloat((cantidadSugerida * precioEstimado).toFixed(2)),
+      ultima_recepcion: ultimaCompra?.recepcion?.fecha_recepcion || null,
+      prioridad:
+        stockActual <= 0
+          ? "sin_stock"
+          : diasRestantes !== null && diasRestantes < diasEntrega
+            ? "urgente"
+            : "normal",
+    };
+
+    if (!proveedor) {
+      sinProveedor.push(sugerencia);
+      continue;
+    }
+
+    if (!grupos.has(proveedor.id)) {
+      grupos.set(proveedor.id, {
+        proveedor: {
+          id: proveedor.id,
+          nombre: proveedor.nombre,
+          dias_entrega: proveedor.dias_entrega,
+          activo: proveedor.activo,
+        },
+        productos: [],
+        costo_estimado_total: 0,
+      });
+    }
+
+    const grupo = grupos.get(proveedor.id);
+    grupo.productos.push(sugerencia);
+    grupo.costo_estimado_total = parseFloat(
+      (grupo.costo_estimado_total + sugerencia.costo_estimado).toFixed(2)
+    );
+  }
+
+  const ordenPrioridad = { sin_stock: 0, urgente: 1, normal: 2 };
+  const porPrioridad = (a, b) =>
+    ordenPrioridad[a.prioridad] - ordenPrioridad[b.prioridad];
+
+  const porProveedor = [...grupos.values()]
+    .map((grupo) => ({
+      ...grupo,
+      productos: grupo.productos.sort(porPrioridad),
+      total_productos: grupo.productos.length,
+    }))
+    .sort((a, b) => b.costo_estimado_total - a.costo_estimado_total);
+
+  const todas = [...porProveedor.flatMap((g) => g.productos), ...sinProveedor];
+
+  return {
+    por_proveedor: porProveedor,
+    sin_proveedor: sinProveedor.sort(porPrioridad),
+    resumen: {
+      total_productos: todas.length,
+      total_proveedores: porProveedor.length,
+      sin_stock: todas.filter((s) => s.prioridad === "sin_stock").length,
+      urgentes: todas.filter((s) => s.prioridad === "urgente").length,
+      costo_estimado_total: parseFloat(
+        todas.reduce((total, s) => total + s.costo_estimado, 0).toFixed(2)
+      ),
+    },
+  };
+};
+
+/**
+ * Obtiene sugerencias de compra agrupadas por proveedor
+ */
+const obtenerSugerenciasCompra = async (filtros = {}) => {
+  const { dias_analisis = 30, dias_cobertura = 15, proveedor_id } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.INVENTARIO_SUGERENCIAS, {
+    dias_analisis,
+    dias_cobertura,
+    proveedor_id: proveedor_id || "all",
+  });
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const sugerencias = await calcularSugerenciasCompra({
+    dias_analisis,
+    dias_cobertura,
+    proveedor_id,
+  });
+
+  const result = {
+    data: sugerencias,
+    metadata: {
+      parametros: {
+        dias_analisis: parseInt(dias_analisis),
+        dias_cobertura: parseInt(dias_cobertura),
+        dias_entrega_por_defecto: DIAS_ENTREGA_POR_DEFECTO,
+        proveedor_id: proveedor_id ? parseInt(proveedor_id) : null,
+      },
+      fecha_calculo: new Date().toISOString(),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.INVENTARIO_SUGERENCIAS);
+  return result;
+};
+
+/**
+ * Genera órdenes de compra en borrador a partir de las sugerencias,
+ * una por proveedor activo (al precio de la última recepción)
+ *
+ * @param {Object} opciones - { dias_analisis, dias_cobertura, proveedor_ids }
+ * @param {number} usuarioId - Usuario que genera las órdenes
+ * @returns {Promise<Object>} { ordenes, omitidos }
+ */
+const generarOrdenesDesdeSugerencias = async (opciones, usuarioId) => {
+  const { dias_analisis = 30, dias_cobertura = 15, proveedor_ids } = opciones;
+
+  // Cálculo fresco: no se generan órdenes desde datos cacheados
+  const { por_proveedor, sin_proveedor } = await calcularSugerenciasCompra({
+    dias_analisis,
+    dias_cobertura,
+  });
+
+  const grupos = proveedor_ids?.length
+    ? por_proveedor.filter((g) => proveedor_ids.includes(g.proveedor.id))
+    : por_proveedor;
+
+  const ordenes = [];
+  const omitidos = sin_proveedor.length
+    ? [
+        {
+          motivo: "SIN_PROVEEDOR",
+          productos: sin_proveedor.map((s) => s.producto_id),
+        },
+      ]
+    : [];
+
+  for (const grupo of grupos) {
+    if (!grupo.proveedor.activo) {
+      omitidos.push({
+        motivo: "PROVEEDOR_INACTIVO",
+        proveedor_id: grupo.proveedor.id,
+        productos: grupo.productos.map((s) => s.producto_id),
+      });
+      continue;
+    }
+
+    const fechaEntrega = new Date();
+    fechaEntrega.setDate(fechaEntrega.getDate() + grupo.proveedor.dias_entrega);
+
+    // Cada orden va en su propia transacción: una falla no revierte las
+    // demás, se informa en omitidos y se sigue con el siguiente proveedor
+    let orden;
+    try {
+      orden = await ordenesCompraService.crearOrden(
+        {
+          proveedor_id: grupo.proveedor.id,
+          fecha_entrega_esperada: fechaEntrega.toISOString().split("T")[0],
+          observaciones: `Generada desde sugerencias de compra (${parseInt(dias_analisis)} días de consumo, ${parseInt(dias_cobertura)} días de cobertura)`,
+          productos: grupo.productos.map((s) => ({
+            producto_id: s.producto_id,
+            cantidad: s.cantidad_sugerida,
+            precio_unitario: s.precio_estimado,
+            tarifa_iva: s.tarifa_iva,
+          })),
+        },
+        usuarioId
+      );
+    } catch (error) {
+      console.error(
+        `❌ Error generando orden para proveedor ${grupo.proveedor.id}:`,
+        error
+      );
+      omitidos.push({
+        motivo: "ERROR_CREACION",
+        proveedor_id: grupo.proveedor.id,
+        productos: grupo.productos.map((s) => s.producto_id),
+        error: error.message,
+      });
+      continue;
+    }
+
+    ordenes.push({
+      id: orden.id,
+      numero_orden: orden.numero_orden,
+      proveedor_id: orden.proveedor_id,
+      proveedor: grupo.proveedor.nombre,
+      total_productos: grupo.productos.length,
+      total: orden.total,
+      fecha_entrega_esperada: orden.fecha_entrega_esperada,
+    });
+  }
+
+  return { ordenes, omitidos };
+};
+
 // =====================================================
 // OPERACIONES DE ESCRITURA
 // =====================================================
@@ -778,19 +1243,23 @@ const obtenerReporteMovimientosPorProducto = async (productoId, opciones) => {
 /**
  * Función auxiliar atómica para actualizar stock
  * Usa queries SQL atómicas para evitar race conditions
+ * En entradas con costoEntrada recalcula el costo promedio ponderado en el
+ * mismo UPDATE (sin costo, la entrada se valora al promedio vigente)
  *
  * @param {number} productId - ID del producto
  * @param {number} cantidad - Cantidad a modificar
  * @param {string} tipoMovimiento - "entrada" | "salida" | "ajuste"
  * @param {Transaction} transaction - Transacción de Sequelize
- * @returns {Promise<Object>} Producto actualizado con nuevo stock
+ * @param {number|null} costoEntrada - Costo unitario de lo que ingresa (solo entradas)
+ * @returns {Promise<Object>} Producto actualizado con nuevo stock y costo
  * @throws {Error} TIPO_MOVIMIENTO_INVALIDO, STOCK_INSUFICIENTE
  */
 const actualizarStockAtomico = async (
   productId,
   cantidad,
   tipoMovimiento,
-  transaction
+  transaction,
+  costoEntrada = null
 ) => {
   // 🔒 SEGURIDAD: Validar y sanitizar cantidad
   const cantidadSanitizada = parseFloat(cantidad);
@@ -805,7 +1274,13 @@ const actualizarStockAtomico = async (
   switch (tipoMovimiento) {
     case "entrada":
       // ✅ CORRECCIÓN: Usar sequelize.escape() para prevenir SQL injection
+      // costo_promedio va primero: usa el stock previo a la entrada
       updateQuery = {
+        ...(costoEntrada !== null && {
+          costo_promedio: sequelize.literal(
+            costoPromedioEntradaSQL(cantidadSanitizada, costoEntrada)
+          ),
+        }),
         stock_actual: sequelize.literal(
           `stock_actual + ${sequelize.escape(cantidadSanitizada)}`
         ),
@@ -865,7 +1340,14 @@ const actualizarStockAtomico = async (
   // Retornar producto actualizado
   return await productos.findByPk(productId, {
     transaction,
-    attributes: ["id", "stock_actual", "codigo_barras", "nombre"],
+    attributes: [
+      "id",
+      "stock_actual",
+      "codigo_barras",
+      "nombre",
+      "costo_promedio",
+      "precio_compra",
+    ],
   });
 };
 
@@ -914,6 +1396,7 @@ const actualizarStock = async (productoId, datosStock, usuarioId) => {
         referencia_id: referencia_id || null,
         usuario_id: usuarioId,
         observaciones: observaciones || "",
+        costo_unitario: costoVigente(productoActualizado),
       },
       { transaction }
     );
@@ -1078,6 +1561,7 @@ const ajustarInventario = async (
         referencia_id: null,
         usuario_id: usuarioId,
         observaciones: descripcionAjuste,
+        costo_unitario: costoVigente(producto),
       },
       { transaction }
     );
@@ -1144,10 +1628,12 @@ const ajustarInventario = async (
  * @param {number} datos.cantidad - Cantidad del movimiento
  * @param {number} datos.stock_anterior - Stock antes del movimiento
  * @param {number} datos.stock_nuevo - Stock después del movimiento
- * @param {string} datos.referencia_tipo - "venta" | "recepcion" | "ajuste"
- * @param {number} datos.referencia_id - ID de la venta/recepción (null para ajustes)
+ * @param {string} datos.referencia_tipo - "venta" | "recepcion" | "ajuste" | "devolucion"
+ * @param {number} datos.referencia_id - ID de la venta/recepción/devolución (null para ajustes)
  * @param {number} datos.usuario_id - ID del usuario que realiza el movimiento
  * @param {string} datos.observaciones - Observaciones opcionales
+ * @param {number} datos.lote_id - Lote afectado (opcional, perecederos)
+ * @param {number} datos.costo_unitario - Costo promedio tras el movimiento (si no se envía, se lee del producto)
  * @param {Transaction} transaction - Transacción de Sequelize
  * @returns {Promise<Object>} Movimiento creado
  */
@@ -1163,6 +1649,8 @@ const registrarMovimiento = async (datos, transaction) => {
     referencia_id = null,
     usuario_id,
     observaciones = "",
+    lote_id = null,
+    costo_unitario,
   } = datos;
 
   // Validaciones de consistencia
@@ -1170,10 +1658,20 @@ const registrarMovimiento = async (datos, transaction) => {
     throw new Error(`TIPO_MOVIMIENTO_INVALIDO:${tipo_movimiento}`);
   }
 
-  if (!["venta", "recepcion", "ajuste"].includes(referencia_tipo)) {
+  if (!["venta", "recepcion", "ajuste", "devolucion"].includes(referencia_tipo)) {
     throw new Error(`REFERENCIA_TIPO_INVALIDA:${referencia_tipo}`);
   }
 
+  // Costo del movimiento: el que calculó quien movió el stock, o el vigente
+  let costoMovimiento = costo_unitario;
+  if (costoMovimiento === undefined || costoMovimiento === null) {
+    const producto = await productos.findByPk(producto_id, {
+      attributes: ["costo_promedio", "precio_compra"],
+      transaction,
+    });
+    costoMovimiento = producto ? costoVigente(producto) : null;
+  }
+
   // Crear movimiento
   const movimiento = await movimientos_inventario.create(
     {
@@ -1186,6 +1684,8 @@ const registrarMovimiento = async (datos, transaction) => {
       referencia_id,
       usuario_id,
       observaciones: observaciones.trim(),
+      lote_id,
+      costo_unitario: costoMovimiento,
     },
     { transaction }
   );
@@ -1216,6 +1716,7 @@ export {
 export default {
   // Consultas - Movimientos
   obtenerMovimientosFiltrados,
+  exportarMovimientos,
 
   // Consultas - Stock Bajo y Alertas
   obtenerProductosStockBajo,
@@ -1229,7 +1730,11 @@ export default {
   obtenerEstadisticasMovimientos,
   obtenerReporteMovimientosPorProducto,
 
+  // Consultas - Sugerencias de Compra
+  obtenerSugerenciasCompra,
+
   // Operaciones
   actualizarStock,
   ajustarInventario,
+  generarOrdenesDesdeSugerencias,
 };
@@ -0,0 +1,580 @@
+// services/lotesService.js - Lotes y Vencimientos de Perecederos
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  invalidateStockUpdateCache,
+} from "./cacheService.js";
+import { registrarMovimiento } from "./inventarioService.js";
+import { costoVigente, costoVigenteSQL } from "../utils/costos.js";
+
+const {
+  lotes_producto,
+  detalle_venta_lotes,
+  productos,
+  categorias,
+  recepciones,
+  proveedores,
+} = db;
+
+const redondearCantidad = (valor) =>
+  parseFloat((parseFloat(valor) || 0).toFixed(3));
+
+// Tolerancia para comparar cantidades con 3 decimales (productos por peso)
+const TOLERANCIA_CANTIDAD = 0.0005;
+
+const ZONA_HORARIA = "America/Bogota";
+
+// "en-CA" formatea como YYYY-MM-DD
+const formateadorFecha = new Intl.DateTimeFormat("en-CA", {
+  timeZone: ZONA_HORARIA,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Fecha de hoy en Colombia en formato DATEONLY (YYYY-MM-DD), corrida
+ * `dias` si se indica. La fecha UTC ya es "mañana" desde las 19:00.
+ */
+const fechaHoy = (dias = 0) => {
+  const [anio, mes, dia] = formateadorFecha
+    .format(new Date())
+    .split("-")
+    .map(Number);
+  return new Date(Date.UTC(anio, mes - 1, dia + dias))
+    .toISOString()
+    .split("T")[0];
+};
+
+// =====================================================
+// 📦 OPERACIONES INTERNAS (DENTRO DE OTRAS TRANSACCIONES)
+// =====================================================
+
+/**
+ * Registra el lote que ingresa al procesar una recepción
+ *
+ * @param {Object} detalle - Detalle de la recepción (con fecha_vencimiento)
+ * @param {Object} transaction - Transacción del procesamiento
+ * @returns {Promise<Object>} Lote creado
+ */
+const registrarLoteRecepcion = async (detalle, transaction) => {
+  const cantidad = redondearCantidad(detalle.cantidad);
+
+  return await lotes_producto.create(
+    {
+      producto_id: detalle.producto_id,
+      recepcion_id: detalle.recepcion_id,
+      numero_lote: detalle.numero_lote || null,
+      fecha_vencimiento: detalle.fecha_vencimiento,
+      cantidad_inicial: cantidad,
+      cantidad_disponible: cantidad,
+      estado: "activo",
+    },
+    { transaction }
+  );
+};
+
+/**
+ * Descuenta de los lotes del producto la cantidad vendida (FEFO)
+ *
+ * - Primero los lotes vigentes, del que vence antes al que vence después
+ * - Luego los vencidos: si se vendió más de lo vigente, la mercancía salió
+ *   de ahí, pero se prefiere dejarlos visibles para darlos de baja
+ * - Lo que no cubran los lotes queda como stock sin lote (inventario
+ *   anterior a activar maneja_lotes o ajustes manuales)
+ *
+ * @param {number} productoId - ID del producto
+ * @param {number} cantidad - Cantidad vendida
+ * @param {number} detalleVentaId - Línea de venta que consume
+ * @param {Object} transaction - Transacción de la venta
+ * @returns {Promise<Object>} { asignaciones, cantidad_sin_lote, lotes_vencidos }
+ */
+const consumirLotesFEFO = async (
+  productoId,
+  cantidad,
+  detalleVentaId,
+  transaction
+) => {
+  const lotes = await lotes_producto.findAll({
+    where: {
+      producto_id: productoId,
+      estado: "activo",
+      cantidad_disponible: { [Op.gt]: 0 },
+    },
+    order: [
+      ["fecha_vencimiento", "ASC"],
+      ["id", "ASC"],
+    ],
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const hoy = fechaHoy();
+  const ordenados = [
+    ...lotes.filter((lote) => lote.fecha_vencimiento >= hoy),
+    ...lotes.filter((lote) => lote.fecha_vencimiento < hoy),
+  ];
+
+  const asignaciones = [];
+  const lotesVencidos = [];
+  let pendiente = redondearCantidad(cantidad);
+
+  for (const lote of ordenados) {
+    if (pendiente <= TOLERANCIA_CANTIDAD) break;
+
+    const disponible = parseFloat(lote.cantidad_disponible);
+    const tomada = redondearCantidad(Math.min(disponible, pendiente));
+    const restante = redondearCantidad(disponible - tomada);
+
+    await lote.update(
+      {
+        cantidad_disponible: restante,
+        estado: restante <= TOLERANCIA_CANTIDAD ? "agotado" : "activo",
+      },
+      { transaction }
+    );
+
+    asignaciones.push({
+      detalle_venta_id: detalleVentaId,
+      lote_id: lote.id,
+      cantidad: tomada,
+    });
+
+    if (lote.fecha_vencimiento < hoy) {
+      lotesVencidos.push(lote.id);
+    }
+
+    pendiente = redondearCantidad(pendiente - tomada);
+  }
+
+  if (asignaciones.length > 0) {
+    await detalle_venta_lotes.bulkCreate(asignaciones, { transaction });
+  }
+
+  if (lotesVencidos.length > 0) {
+    console.warn(
+      `⚠️ VENTA DESDE LOTES VENCIDOS:\n` +
+      `   Producto ID: ${productoId}\n` +
+      `   Lotes: ${lotesVencidos.join(", ")}\n` +
+      `   Línea de venta: ${detalleVentaId}`
+    );
+  }
+
+  return {
+    asignaciones,
+    cantidad_sin_lote: pendiente > TOLERANCIA_CANTIDAD ? pendiente : 0,
+    lotes_vencidos: lotesVencidos,
+  };
+};
+
+/**
+ * Reintegra a los lotes lo devuelto de una línea de venta
+ * Empieza por el lote que vence más tarde; los lotes dados de baja no
+ * reciben mercancía (lo que no quepa queda como stock sin lote)
+ *
+ * @param {number} detalleVentaId - Línea de venta
+ * @param {number|null} cantidad - Cantidad devuelta (null = todo, anulación)
+ * @param {Object} transaction - Transacción de la devolución/anulación
+ * @returns {Promise<number>} Cantidad reintegrada a lotes
+ */
+const restaurarLotesDetalle = async (detalleVentaId, cantidad, transaction) => {
+  const consumos = await detalle_venta_lotes.findAll({
+    where: { detalle_venta_id: detalleVentaId },
+    include: [{ model: lotes_producto, as: "lote" }],
+    order: [[{ model: lotes_producto, as: "lote" }, "fecha_vencimiento", "DESC"]],
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  let pendiente = cantidad === null ? Infinity : redondearCantidad(cantidad);
+  let reintegrado = 0;
+
+  for (const consumo of consumos) {
+    if (pendiente <= TOLERANCIA_CANTIDAD) break;
+    if (consumo.lote.estado === "dado_de_baja") continue;
+
+    const porDevolver = redondearCantidad(
+      consumo.cantidad - consumo.cantidad_devuelta
+    );
+    if (porDevolver <= TOLERANCIA_CANTIDAD) continue;
+
+    const devuelta = redondearCantidad(Math.min(porDevolver, pendiente));
+
+    await consumo.update(
+      {
+        cantidad_devuelta: redondearCantidad(
+          parseFloat(consumo.cantidad_devuelta) + devuelta
+        ),
+      },
+      { transaction }
+    );
+
+    await consumo.lote.update(
+      {
+        cantidad_disponible: redondearCantidad(
+          parseFloat(consumo.lote.cantidad_disponible) + devuelta
+        ),
+        estado: "activo",
+      },
+      { transaction }
+    );
+
+    reintegrado = redondearCantidad(reintegrado + devuelta);
+    pendiente = redondearCantidad(pendiente - devuelta);
+  }
+
+  return reintegrado;
+};
+
+// =====================================================
+// 📊 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Lista lotes con existencias que vencen dentro de N días
+ *
+ * @param {Object} filtros - { dias, incluir_vencidos, producto_id, categoria_id, page, limit }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ */
+const obtenerLotesPorVencer = async (filtros = {}) => {
+  const {
+    dias = 7,
+    incluir_vencidos = true,
+    producto_id,
+    categoria_id,
+    page = 1,
+    limit = 50,
+  } = filtros;
+
+  const cacheKey = generateCacheKey(
+    CACHE_PREFIXES.INVENTARIO_VENCIMIENTOS,
+    filtros
+  );
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const hoy = fechaHoy();
+  const limite = fechaHoy(parseInt(dias));
+
+  const incluirVencidos =
+    incluir_vencidos === true || incluir_vencidos === "true";
+
+  const where = {
+    estado: "activo",
+    cantidad_disponible: { [Op.gt]: 0 },
+    fecha_vencimiento: incluirVencidos
+      ? { [Op.lte]: limite }
+      : { [Op.between]: [hoy, limite] },
+  };
+
+  if (producto_id) where.producto_id = producto_id;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const [{ count, rows: lotes }, totales] = await Promise.all([
+    lotes_producto.findAndCountAll({
+      where,
+      include: [
+        {
+          model: productos,
+          as: "producto",
+          attributes: [
+            "id",
+            "nombre",
+            "codigo_barras",
+            "precio_compra",
+            "costo_promedio",
+            "precio_venta",
+            "tipo_medida",
+            "categoria_id",
+          ],
+          where: categoria_id ? { categoria_id } : undefined,
+          include: [
+            {
+              model: categorias,
+              as: "categoria",
+              attributes: ["nombre"],
+            },
+          ],
+        },
+        {
+          model: recepciones,
+          as: "recepcion",
+          attributes: ["id", "numero_factura", "fecha_recepcion"],
+          include: [
+            {
+              model: proveedores,
+              as: "proveedor",
+              attributes: ["id", "nombre"],
+            },
+          ],
+        },
+      ],
+      order: [
+        ["fecha_vencimiento", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit: parseInt(limit),
+      offset,
+      distinct: true,
+    }),
+
+    // Totales del rango completo (no solo de la página)
+    lotes_producto.findOne({
+      where,
+      include: [
+        {
+          model: productos,
+          as: "producto",
+          attributes: [],
+          where: categoria_id ? { categoria_id } : undefined,
+        },
+      ],
+      attributes: [
+        [
+          sequelize.literal(
+            `SUM(CASE WHEN lotes_producto.fecha_vencimiento < ${sequelize.escape(hoy)} THEN 1 ELSE 0 END)`
+          ),
+          "lotes_vencidos",
+        ],
+        [
+          sequelize.literal(
+            `SUM(lotes_producto.cantidad_disponible * ${costoVigenteSQL("producto")})`
+          ),
+          "valor_costo",
+        ],
+        [
+          sequelize.literal(
+            `SUM(CASE WHEN lotes_producto.fecha_vencimiento < ${sequelize.escape(hoy)} THEN lotes_producto.cantidad_disponible * ${costoVigenteSQL("producto")} ELSE 0 END)`
+          ),
+          "valor_costo_vencido",
+        ],
+      ],
+      raw: true,
+    }),
+  ]);
+
+  const msPorDia = 24 * 60 * 60 * 1000;
+  const inicioHoy = new Date(`${hoy}T00:00:00Z`);
+
+  const data = lotes.map((lote) => {
+    const diasParaVencer = Math.round(
+      (new Date(`${lote.fecha_vencimiento}T00:00:00Z`) - inicioHoy) / msPorDia
+    );
+    const cantidad = parseFloat(lote.cantidad_disponible);
+
+    return {
+      id: lote.id,
+      numero_lote: lote.numero_lote,
+      fecha_vencimiento: lote.fecha_vencimiento,
+      dias_para_vencer: diasParaVencer,
+      estado_vencimiento:
+        diasParaVencer < 0
+          ? "vencido"
+          : diasParaVencer === 0
+            ? "vence_hoy"
+            : "por_vencer",
+      cantidad_inicial: parseFloat(lote.cantidad_inicial),
+      cantidad_disponible: cantidad,
+      valor_costo: parseFloat(
+        (cantidad * costoVigente(lote.producto)).toFixed(2)
+      ),
+      producto: lote.producto,
+      recepcion: lote.recepcion,
+    };
+  });
+
+  const result = {
+    data,
+    metadata: {
+      dias: parseInt(dias),
+      incluir_vencidos: incluirVencidos,
+      fecha_limite: limite,
+      resumen: {
+        total_lotes: count,
+        lotes_vencidos: parseInt(totales?.lotes_vencidos) || 0,
+        valor_costo: parseFloat(
+          (parseFloat(totales?.valor_costo) || 0).toFixed(2)
+        ),
+        valor_costo_vencido: parseFloat(
+          (parseFloat(totales?.valor_costo_vencido) || 0).toFixed(2)
+        ),
+      },
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.INVENTARIO_VENCIMIENTOS);
+  return result;
+};
+
+// =====================================================
+// ✨ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Da de baja un lote (vencido o dañado) y descuenta su stock
+ * Queda trazado como movimiento de "ajuste" con el lote_id. Si el stock ya
+ * era menor que el lote (ajuste manual previo) solo se descuenta lo que hay
+ * y la diferencia queda en cantidad_sin_stock y en las observaciones
+ *
+ * @param {number} loteId - ID del lote
+ * @param {Object} datos - { cantidad?, observaciones }
+ * @param {number} usuarioId - Usuario que registra la baja
+ * @returns {Promise<Object>} Resultado de la baja
+ * @throws {Error} LOTE_NOT_FOUND
+ * @throws {Error} LOTE_NO_DISPONIBLE:{estado}
+ * @throws {Error} CANTIDAD_BAJA_EXCEDIDA:{disponible}:{solicitada}
+ */
+const darDeBajaLote = async (loteId, datos, usuarioId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const { cantidad, observaciones } = datos;
+
+    const lote = await lotes_producto.findByPk(loteId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    if (!lote) {
+      throw new Error("LOTE_NOT_FOUND");
+    }
+
+    const disponible = parseFloat(lote.cantidad_disponible);
+
+    if (lote.estado !== "activo" || disponible <= TOLERANCIA_CANTIDAD) {
+      throw new Error(`LOTE_NO_DISPONIBLE:${lote.estado}`);
+    }
+
+    const cantidadBaja = redondearCantidad(cantidad ?? disponible);
+
+    if (cantidadBaja > disponible + TOLERANCIA_CANTIDAD) {
+      throw new Error(`CANTIDAD_BAJA_EXCEDIDA:${disponible}:${cantidadBaja}`);
+    }
+
+    const producto = await productos.findByPk(lote.producto_id, {
+      attributes: [
+        "id",
+        "nombre",
+        "codigo_barras",
+        "stock_actual",
+        "precio_compra",
+        "costo_promedio",
+      ],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    // El stock nunca queda negativo aunque se haya ajustado a mano antes
+    const stockAnterior = parseFloat(producto.stock_actual);
+    const stockNuevo = redondearCantidad(Math.max(stockAnterior - cantidadBaja, 0));
+    // Lo que el stock ya no tenía no se descuenta ni cuenta como pérdida
+    const cantidadDescontada = redondearCantidad(stockAnterior - stockNuevo);
+    const cantidadSinStock = redondearCantidad(cantidadBaja - cantidadDescontada);
+
+    await producto.update({ stock_actual: stockNuevo }, { transaction });
+
+    const restante = redondearCantidad(disponible - cantidadBaja);
+    const bajaTotal = restante <= TOLERANCIA_CANTIDAD;
+
+    await lote.update(
+      {
+        cantidad_disponible: restante,
+        estado: bajaTotal ? "dado_de_baja" : "activo",
+        fecha_baja: bajaTotal ? new Date() : null,
+      },
+      { transaction }
+    );
+
+    const vencido = lote.fecha_vencimiento < fechaHoy();
+    const identificacionLote = lote.numero_lote
+      ? `lote ${lote.numero_lote}`
+      : `lote #${lote.id}`;
+
+    const movimiento = await registrarMovimiento(
+      {
+        producto_id: producto.id,
+        tipo_movimiento: "ajuste",
+        cantidad: cantidadDescontada,
+        stock_anterior: stockAnterior,
+        stock_nuevo: stockNuevo,
+        referencia_tipo: "ajuste",
+        referencia_id: lote.id,
+        usuario_id: usuarioId,
+        lote_id: lote.id,
+        costo_unitario: costoVigente(producto),
+        observaciones:
+          `Baja de ${identificacionLote} (${vencido ? "vencido" : "vence"} ${lote.fecha_vencimiento})` +
+          (cantidadSinStock > TOLERANCIA_CANTIDAD
+            ? ` - ${cantidadSinStock} del lote ya no estaban en el stock`
+            : "") +
+          (observaciones ? `: ${observaciones.trim()}` : ""),
+      },
+      transaction
+    );
+
+    await transaction.commit();
+
+    await invalidateStockUpdateCache(producto.id, producto.codigo_barras);
+
+    const valorPerdida = parseFloat(
+      (cantidadDescontada * costoVigente(producto)).toFixed(2)
+    );
+
+    console.log(
+      `🗑️ LOTE DADO DE BAJA:\n` +
+      `   Producto: ${producto.nombre} (ID: ${producto.id})\n` +
+      `   Lote: ${identificacionLote} - vence ${lote.fecha_vencimiento}\n` +
+      `   Cantidad: ${cantidadBaja} (descontada del stock: ${cantidadDescontada}) | Pérdida al costo: $${valorPerdida}\n` +
+      `   Stock: ${stockAnterior} → ${stockNuevo}\n` +
+      `   Usuario: ${usuarioId}`
+    );
+
+    return {
+      lote,
+      producto: {
+        id: producto.id,
+        nombre: producto.nombre,
+        codigo_barras: producto.codigo_barras,
+      },
+      cantidad_baja: cantidadBaja,
+      cantidad_descontada: cantidadDescontada,
+      cantidad_sin_stock: cantidadSinStock,
+      stock_anterior: stockAnterior,
+      stock_nuevo: stockNuevo,
+      valor_perdida: valorPerdida,
+      vencido,
+      movimiento_id: movimiento.id,
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Operaciones internas usadas por recepciones y ventas
+export { registrarLoteRecepcion, consumirLotesFEFO, restaurarLotesDetalle };
+
+export default {
+  // Consultas
+  obtenerLotesPorVencer,
+
+  // Operaciones
+  darDeBajaLote,
+};
@@ -0,0 +1,842 @@
+// services/ordenesCompraService.js - Órdenes de Compra a Proveedores
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  smartCacheKey,
+  invalidateOrdenCompraCache,
+} from "./cacheService.js";
+import { calcularIvaSobreBase, redondear } from "../utils/iva.js";
+
+const {
+  ordenes_compra,
+  detalle_ordenes_compra,
+  recepciones,
+  proveedores,
+  productos,
+  usuarios,
+} = db;
+
+const redondearCantidad = (valor) =>
+  parseFloat((parseFloat(valor) || 0).toFixed(3));
+
+// Tolerancia para comparar cantidades con 3 decimales (productos por peso)
+const TOLERANCIA_CANTIDAD = 0.0005;
+
+// Estados en los que la orden puede recibir mercancía
+const ESTADOS_RECIBIBLES = ["enviada", "parcialmente_recibida"];
+
+// =====================================================
+// 📊 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Obtiene órdenes de compra con filtros y paginación
+ *
+ * @param {Object} filtros - { proveedor_id, estado, fecha_inicio, fecha_fin, page, limit }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ */
+const obtenerOrdenesFiltradas = async (filtros) => {
+  const {
+    proveedor_id,
+    estado = "all",
+    fecha_inicio,
+    fecha_fin,
+    page = 1,
+    limit = 20,
+  } = filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.ORDENES_COMPRA_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = {};
+
+  if (proveedor_id) {
+    where.proveedor_id = proveedor_id;
+  }
+
+  if (estado !== "all") {
+    where.estado = estado;
+  }
+
+  if (fecha_inicio && fecha_fin) {
+    where.fecha_creacion = {
+      [Op.between]: [`${fecha_inicio} 00:00:00`, `${fecha_fin} 23:59:59`],
+    };
+  }
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows } = await ordenes_compra.findAndCountAll({
+    where,
+    include: [
+      {
+        model: proveedores,
+        as: "proveedor",
+        attributes: ["id", "nombre", "telefono", "email"],
+      },
+      {
+        model: usuarios,
+        as: "usuario",
+        attributes: ["id", "nombre", "apellido"],
+      },
+    ],
+    order: [
+      ["fecha_creacion", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  });
+
+  const result = {
+    data: rows,
+    metadata: {
+      total_ordenes: count,
+      filtro_estado: estado,
+      filtro_proveedor: proveedor_id || null,
+      rango_fechas:
+        fecha_inicio && fecha_fin
+          ? { inicio: fecha_inicio, fin: fecha_fin }
+          : null,
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.ORDENES_COMPRA_PAGINADOS);
+  return result;
+};
+
+/**
+ * Obtiene una orden con sus líneas (pedido vs recibido) y recepciones
+ *
+ * @param {number} id - ID de la orden
+ * @returns {Promise<Object|null>} { data, metadata, fromCache } o null
+ */
+const obtenerOrdenPorId = async (id) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.ORDEN_COMPRA, id);
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const orden = await ordenes_compra.findByPk(id, {
+    include: [
+      {
+        model: proveedores,
+        as: "proveedor",
+        attributes: ["id", "nombre", "telefono", "email"],
+      },
+      {
+        model: usuarios,
+        as: "usuario",
+        attributes: ["id", "nombre", "apellido"],
+      },
+      {
+        model: detalle_ordenes_compra,
+        as: "detalle",
+        include: [
+          {
+            model: productos,
+            as: "producto",
+            attributes: ["id", "nombre", "codigo_barras", "precio_compra"],
+          },
+        ],
+      },
+      {
+        model: recepciones,
+        as: "recepciones",
+        attributes: [
+          "id",
+          "numero_factura",
+          "fecha_recepcion",
+          "estado",
+          "total",
+        ],
+      },
+    ],
+    order: [
+      [{ model: detalle_ordenes_compra, as: "detalle" }, "id", "ASC"],
+      [{ model: recepciones, as: "recepciones" }, "fecha_recepcion", "ASC"],
+    ],
+  });
+
+  if (!orden) return null;
+
+  const data = orden.toJSON();
+  data.detalle = data.detalle.map((linea) => ({
+    ...linea,
+    cantidad_pendiente: Math.max(
+      0,
+      redondearCantidad(linea.cantidad_pedida - linea.cantidad_recibida)
+    ),
+  }));
+
+  const lineasPendientes = data.detalle.filter(
+    (linea) => linea.cantidad_pendiente > 0
+  ).length;
+
+  const result = {
+    data,
+    metadata: {
+      total_lineas: data.detalle.length,
+      lineas_pendientes: lineasPendientes,
+      total_recepciones: data.recepciones.length,
+      puede_recibir: ESTADOS_RECIBIBLES.includes(orden.estado),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.ORDEN_COMPRA_INDIVIDUAL);
+  return result;
+};
+
+// =====================================================
+// ✨ VALIDACIONES
+// =====================================================
+
+/**
+ * Valida que el proveedor exista y esté activo
+ *
+ * @throws {Error} PROVEEDOR_NOT_FOUND_OR_INACTIVE
+ */
+const validarProveedorActivo = async (proveedorId, transaction) => {
+  const proveedor = await proveedores.findOne({
+    where: { id: proveedorId, activo: true },
+    transaction,
+  });
+
+  if (!proveedor) {
+    throw new Error("PROVEEDOR_NOT_FOUND_OR_INACTIVE");
+  }
+
+  return proveedor;
+};
+
+/**
+ * Valida productos de la orden y calcula base, IVA y total
+ * a precios acordados (antes de IVA, igual que las recepciones)
+ *
+ * @param {Array} productosOrden - [{ producto_id, cantidad, precio_unitario, tarifa_iva? }]
+ * @returns {Promise<Object>} { lineas, subtotal, total_iva, total }
+ * @throws {Error} PRODUCTO_NOT_FOUND:{id}
+ * @throws {Error} PRODUCTO_DUPLICADO_EN_ORDEN:{id}
+ */
+const validarLineasOrden = async (productosOrden, transaction) => {
+  const idsUsados = new Set();
+  const lineas = [];
+  let subtotal = 0;
+  let totalIva = 0;
+
+  for (const item of productosOrden) {
+    if (idsUsados.has(item.producto_id)) {
+      throw new Error(`PRODUCTO_DUPLICADO_EN_ORDEN:${item.producto_id}`);
+    }
+    idsUsados.add(item.producto_id);
+
+    const producto = await productos.findOne({
+      where: { id: item.producto_id, activo: true },
+      attributes: ["id", "nombre", "tarifa_iva"],
+      transaction,
+    });
+
+    if (!producto) {
+      throw new Error(`PRODUCTO_NOT_FOUND:${item.producto_id}`);
+    }
+
+    const tarifaIva = item.tarifa_iva || producto.tarifa_iva;
+    const base = redondear(item.cantidad * item.precio_unitario);
+    const { iva } = calcularIvaSobreBase(base, tarifaIva);
+
+    subtotal += base;
+    totalIva += iva;
+
+    lineas.push({
+      producto_id: producto.id,
+      cantidad_pedida: redondearCantidad(item.cantidad),
+      precio_acordado: redondear(item.precio_unitario),
+      tarifa_iva: tarifaIva,
+      subtotal: base,
+      valor_iva: iva,
+    });
+  }
+
+  subtotal = redondear(subtotal);
+  totalIva = redondear(totalIva);
+
+  return {
+    lineas,
+    subtotal,
+    total_iva: totalIva,
+    total: redondear(subtotal + totalIva),
+  };
+};
+
+/**
+ * Busca y bloquea la orden para cambiar su estado
+ *
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ */
+const obtenerOrdenParaActualizar = async (id, transaction) => {
+  const orden = await ordenes_compra.findByPk(id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  if (!orden) {
+    throw new Error("ORDEN_COMPRA_NOT_FOUND");
+  }
+
+  return orden;
+};
+
+/**
+ * Impide cerrar o cancelar una orden con recepciones sin procesar
+ *
+ * @throws {Error} ORDEN_COMPRA_CON_RECEPCIONES_PENDIENTES:{cantidad}
+ */
+const validarSinRecepcionesPendientes = async (ordenId, transaction) => {
+  const pendientes = await recepciones.count({
+    where: { orden_compra_id: ordenId, estado: "pendiente" },
+    transaction,
+  });
+
+  if (pendientes > 0) {
+    throw new Error(`ORDEN_COMPRA_CON_RECEPCIONES_PENDIENTES:${pendientes}`);
+  }
+};
+
+// =====================================================
+// ✨ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Crea una orden de compra en estado borrador
+ *
+ * @param {Object} datosOrden - { proveedor_id, fecha_entrega_esperada, observaciones, productos }
+ * @param {number} usuarioId - Usuario que registra la orden
+ * @returns {Promise<Object>} Orden creada
+ */
+const crearOrden = async (datosOrden, usuarioId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const {
+      proveedor_id,
+      fecha_entrega_esperada,
+      observaciones,
+      productos: productosOrden,
+    } = datosOrden;
+
+    await validarProveedorActivo(proveedor_id, transaction);
+
+    const { lineas, subtotal, total_iva, total } = await validarLineasOrden(
+      productosOrden,
+      transaction
+    );
+
+    const nuevaOrden = await ordenes_compra.create(
+      {
+        proveedor_id,
+        usuario_id: usuarioId,
+        estado: "borrador",
+        fecha_entrega_esperada: fecha_entrega_esperada || null,
+        subtotal,
+        total_iva,
+        total,
+        observaciones: observaciones?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await nuevaOrden.update(
+      { numero_orden: `OC-${String(nuevaOrden.id).padStart(6, "0")}` },
+      { transaction }
+    );
+
+    await detalle_ordenes_compra.bulkCreate(
+      lineas.map((linea) => ({ ...linea, orden_compra_id: nuevaOrden.id })),
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    console.log(
+      `🧾 ORDEN DE COMPRA CREADA:\n` +
+      `   Número: ${nuevaOrden.numero_orden}\n` +
+      `   Proveedor: ${proveedor_id}\n` +
+      `   Líneas: ${lineas.length}\n` +
+      `   Base: $${subtotal} | IVA: $${total_iva} | Total: $${total}\n` +
+      `   Usuario: ${usuarioId}`
+    );
+
+    await invalidateOrdenCompraCache();
+
+    return nuevaOrden;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Actualiza una orden en borrador
+ * Si llegan productos, reemplazan por completo las líneas actuales
+ *
+ * @returns {Promise<Object>} { orden, camposModificados }
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ * @throws {Error} ORDEN_COMPRA_NO_EDITABLE:{estado}
+ */
+const actualizarOrden = async (id, datosActualizacion) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const orden = await obtenerOrdenParaActualizar(id, transaction);
+
+    if (orden.estado !== "borrador") {
+      throw new Error(`ORDEN_COMPRA_NO_EDITABLE:${orden.estado}`);
+    }
+
+    const { fecha_entrega_esperada, observaciones, productos: productosOrden } =
+      datosActualizacion;
+    const fieldsToUpdate = {};
+
+    if (fecha_entrega_esperada !== undefined) {
+      fieldsToUpdate.fecha_entrega_esperada = fecha_entrega_esperada || null;
+    }
+
+    if (observaciones !== undefined) {
+      fieldsToUpdate.observaciones = observaciones?.trim() || null;
+    }
+
+    if (productosOrden) {
+      const { lineas, subtotal, total_iva, total } = await validarLineasOrden(
+        productosOrden,
+        transaction
+      );
+
+      await detalle_ordenes_compra.destroy({
+        where: { orden_compra_id: id },
+        transaction,
+      });
+      await detalle_ordenes_compra.bulkCreate(
+        lineas.map((linea) => ({ ...linea, orden_compra_id: orden.id })),
+        { transaction }
+      );
+
+      Object.assign(fieldsToUpdate, { subtotal, total_iva, total });
+    }
+
+    await orden.update(fieldsToUpdate, { transaction });
+
+    await transaction.commit();
+
+    await invalidateOrdenCompraCache(id);
+
+    return {
+      orden,
+      camposModificados: Object.keys(datosActualizacion),
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Marca la orden como enviada al proveedor (ya no se puede editar)
+ *
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ * @throws {Error} ORDEN_COMPRA_ESTADO_INVALIDO:{estado}
+ */
+const enviarOrden = async (id) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const orden = await obtenerOrdenParaActualizar(id, transaction);
+
+    if (orden.estado !== "borrador") {
+      throw new Error(`ORDEN_COMPRA_ESTADO_INVALIDO:${orden.estado}`);
+    }
+
+    await orden.update(
+      { estado: "enviada", fecha_envio: new Date() },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateOrdenCompraCache(id);
+
+    return orden;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cierra manualmente una orden enviada o parcialmente recibida
+ * (el proveedor no entregará lo pendiente)
+ *
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ * @throws {Error} ORDEN_COMPRA_ESTADO_INVALIDO:{estado}
+ * @throws {Error} ORDEN_COMPRA_CON_RECEPCIONES_PENDIENTES:{cantidad}
+ */
+const cerrarOrden = async (id, { motivo } = {}) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const orden = await obtenerOrdenParaActualizar(id, transaction);
+
+    if (!ESTADOS_RECIBIBLES.includes(orden.estado)) {
+      throw new Error(`ORDEN_COMPRA_ESTADO_INVALIDO:${orden.estado}`);
+    }
+
+    await validarSinRecepcionesPendientes(id, transaction);
+
+    await orden.update(
+      {
+        estado: "cerrada",
+        fecha_cierre: new Date(),
+        motivo_cierre: motivo?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateOrdenCompraCache(id);
+
+    return orden;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cancela una orden que aún no ha recibido mercancía
+ *
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ * @throws {Error} ORDEN_COMPRA_ESTADO_INVALIDO:{estado}
+ * @throws {Error} ORDEN_COMPRA_CON_RECEPCIONES_PENDIENTES:{cantidad}
+ */
+const cancelarOrden = async (id, { motivo } = {}) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const orden = await obtenerOrdenParaActualizar(id, transaction);
+
+    if (!["borrador", "enviada"].includes(orden.estado)) {
+      throw new Error(`ORDEN_COMPRA_ESTADO_INVALIDO:${orden.estado}`);
+    }
+
+    await validarSinRecepcionesPendientes(id, transaction);
+
+    await orden.update(
+      {
+        estado: "cancelada",
+        fecha_cierre: new Date(),
+        motivo_cierre: motivo?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateOrdenCompraCache(id);
+
+    return orden;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 📦 INTEGRACIÓN CON RECEPCIONES
+// =====================================================
+
+/**
+ * Valida que una recepción pueda asociarse a la orden
+ *
+ * @param {number} ordenId - ID de la orden
+ * @param {number} proveedorId - Proveedor de la recepción
+ * @param {Object} transaction - Transacción de la recepción
+ * @returns {Promise<Object>} Orden de compra
+ * @throws {Error} ORDEN_COMPRA_NOT_FOUND
+ * @throws {Error} ORDEN_COMPRA_NO_RECIBIBLE:{estado}
+ * @throws {Error} ORDEN_COMPRA_PROVEEDOR_DISTINTO:{proveedor_orden}
+ */
+const validarOrdenParaRecepcion = async (ordenId, proveedorId, transaction) => {
+  const orden = await ordenes_compra.findByPk(ordenId, { transaction });
+
+  if (!orden) {
+    throw new Error("ORDEN_COMPRA_NOT_FOUND");
+  }
+
+  if (!ESTADOS_RECIBIBLES.includes(orden.estado)) {
+    throw new Error(`ORDEN_COMPRA_NO_RECIBIBLE:${orden.estado}`);
+  }
+
+  if (orden.proveedor_id !== parseInt(proveedorId)) {
+    throw new Error(`ORDEN_COMPRA_PROVEEDOR_DISTINTO:${orden.proveedor_id}`);
+  }
+
+  return orden;
+};
+
+/**
+ * Arma los datos de una recepción a partir de la orden
+ * Sin productos: se reciben todas las cantidades pendientes al precio
+ * acordado. Con productos: el precio por defecto es el acordado (los
+ * perecederos deben llegar con productos para indicar su vencimiento).
+ *
+ * @param {number} ordenId - ID de la orden
+ * @param {Object} datos - { numero_factura, fecha_recepcion, observaciones, productos? }
+ * @returns {Promise<Object>} Datos listos para crearRecepcion
+ * @throws {Error} ORDEN_COMPRA_SIN_PENDIENTES
+ * @throws {Error} ORDEN_COMPRA_PRECIO_REQUERIDO:{producto_id}
+ */
+const prepararRecepcionDesdeOrden = async (ordenId, datos) => {
+  const orden = await ordenes_compra.findByPk(ordenId, {
+    include: [{ model: detalle_ordenes_compra, as: "detalle" }],
+  });
+
+  if (!orden) {
+    throw new Error("ORDEN_COMPRA_NOT_FOUND");
+  }
+
+  if (!ESTADOS_RECIBIBLES.includes(orden.estado)) {
+    throw new Error(`ORDEN_COMPRA_NO_RECIBIBLE:${orden.estado}`);
+  }
+
+  const lineasPorProducto = new Map(
+    orden.detalle.map((linea) => [linea.producto_id, linea])
+  );
+
+  let productosRecepcion;
+
+  if (datos.productos?.length > 0) {
+    productosRecepcion = datos.productos.map((item) => {
+      const linea = lineasPorProducto.get(item.producto_id);
+      const precio = item.precio_unitario ?? linea?.precio_acordado;
+
+      if (precio === undefined) {
+        throw new Error(`ORDEN_COMPRA_PRECIO_REQUERIDO:${item.producto_id}`);
+      }
+
+      return {
+        producto_id: item.producto_id,
+        cantidad: item.cantidad,
+        precio_unitario: parseFloat(precio),
+        tarifa_iva: item.tarifa_iva || linea?.tarifa_iva,
+        numero_lote: item.numero_lote,
+        fecha_vencimiento: item.fecha_vencimiento,
+      };
+    });
+  } else {
+    productosRecepcion = orden.detalle
+      .map((linea) => ({
+        producto_id: linea.producto_id,
+        cantidad: redondearCantidad(
+          linea.cantidad_pedida - linea.cantidad_recibida
+        ),
+        precio_unitario: parseFloat(linea.precio_acordado),
+        tarifa_iva: linea.tarifa_iva,
+      }))
+      .filter((item) => item.cantidad > 0);
+
+    if (productosRecepcion.length === 0) {
+      throw new Error("ORDEN_COMPRA_SIN_PENDIENTES");
+    }
+  }
+
+  return {
+    numero_factura: datos.numero_factura,
+    fecha_recepcion: datos.fecha_recepcion,
+    observaciones: datos.observaciones,
+    proveedor_id: orden.proveedor_id,
+    orden_compra_id: orden.id,
+    productos: productosRecepcion,
+  };
+};
+
+/**
+ * Acumula lo recibido en la orden y detecta novedades contra lo pedido
+ * Se ejecuta dentro de la transacción de procesarRecepcion.
+ *
+ * Novedades:
+ * - sobre_entregas: recibido acumulado mayor a lo pedido
+ * - entregas_incompletas: líneas de la orden que siguen con pendiente
+ * - diferencias_precio: precio facturado distinto al acordado
+ * - productos_no_pedidos: productos recibidos que no están en la orden
+ *
+ * @param {Object} recepcion - Recepción que se está procesando
+ * @param {Array} detallesRecepcion - Detalles de la recepción (con producto)
+ * @param {Object} transaction - Transacción del procesamiento
+ * @returns {Promise<Object>} Resultado de la conciliación
+ */
+const conciliarRecepcionConOrden = async (
+  recepcion,
+  detallesRecepcion,
+  transaction
+) => {
+  const orden = await ordenes_compra.findByPk(recepcion.orden_compra_id, {
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const lineas = await detalle_ordenes_compra.findAll({
+    where: { orden_compra_id: orden.id },
+    include: [
+      { model: productos, as: "producto", attributes: ["id", "nombre"] },
+    ],
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+  const lineasPorProducto = new Map(
+    lineas.map((linea) => [linea.producto_id, linea])
+  );
+
+  const sobreEntregas = [];
+  const diferenciasPrecio = [];
+  const productosNoPedidos = [];
+
+  for (const detalle of detallesRecepcion) {
+    const linea = lineasPorProducto.get(detalle.producto_id);
+    const cantidad = parseFloat(detalle.cantidad);
+    const precioFacturado = redondear(detalle.precio_unitario);
+
+    if (!linea) {
+      productosNoPedidos.push({
+        producto_id: detalle.producto_id,
+        nombre: detalle.producto?.nombre,
+        cantidad,
+        precio_facturado: precioFacturado,
+      });
+      continue;
+    }
+
+    const pedida = parseFloat(linea.cantidad_pedida);
+    const recibidaTotal = redondearCantidad(
+      parseFloat(linea.cantidad_recibida) + cantidad
+    );
+
+    await linea.update({ cantidad_recibida: recibidaTotal }, { transaction });
+
+    if (recibidaTotal > pedida + TOLERANCIA_CANTIDAD) {
+      sobreEntregas.push({
+        producto_id: linea.producto_id,
+        nombre: linea.producto?.nombre,
+        cantidad_pedida: pedida,
+        cantidad_recibida: recibidaTotal,
+        exceso: redondearCantidad(recibidaTotal - pedida),
+      });
+    }
+
+    const precioAcordado = redondear(linea.precio_acordado);
+    const diferencia = redondear(precioFacturado - precioAcordado);
+
+    if (Math.abs(diferencia) >= 0.01) {
+      diferenciasPrecio.push({
+        producto_id: linea.producto_id,
+        nombre: linea.producto?.nombre,
+        precio_acordado: precioAcordado,
+        precio_facturado: precioFacturado,
+        diferencia,
+        porcentaje: redondear((diferencia / precioAcordado) * 100),
+        impacto: redondear(diferencia * cantidad),
+      });
+    }
+  }
+
+  const entregasIncompletas = lineas
+    .map((linea) => ({
+      producto_id: linea.producto_id,
+      nombre: linea.producto?.nombre,
+      cantidad_pedida: parseFloat(linea.cantidad_pedida),
+      cantidad_recibida: parseFloat(linea.cantidad_recibida),
+      cantidad_pendiente: redondearCantidad(
+        linea.cantidad_pedida - linea.cantidad_recibida
+      ),
+    }))
+    .filter((linea) => linea.cantidad_pendiente > TOLERANCIA_CANTIDAD);
+
+  // Una orden cerrada a mano conserva su estado aunque llegue mercancía
+  if (ESTADOS_RECIBIBLES.includes(orden.estado)) {
+    const completa = entregasIncompletas.length === 0;
+    await orden.update(
+      completa
+        ? { estado: "cerrada", fecha_cierre: new Date() }
+        : { estado: "parcialmente_recibida" },
+      { transaction }
+    );
+  }
+
+  const tieneNovedades =
+    sobreEntregas.length > 0 ||
+    entregasIncompletas.length > 0 ||
+    diferenciasPrecio.length > 0 ||
+    productosNoPedidos.length > 0;
+
+  if (tieneNovedades) {
+    console.warn(
+      `⚠️ NOVEDADES EN RECEPCIÓN CONTRA ORDEN DE COMPRA:\n` +
+      `   Orden: ${orden.numero_orden} → ${orden.estado}\n` +
+      `   Recepción: ${recepcion.numero_factura} (ID: ${recepcion.id})\n` +
+      `   Sobre-entregas: ${sobreEntregas.length}\n` +
+      `   Pendientes: ${entregasIncompletas.length}\n` +
+      `   Diferencias de precio: ${diferenciasPrecio.length}\n` +
+      `   No pedidos: ${productosNoPedidos.length}`
+    );
+  }
+
+  return {
+    orden_compra_id: orden.id,
+    numero_orden: orden.numero_orden,
+    estado_orden: orden.estado,
+    tiene_novedades: tieneNovedades,
+    sobre_entregas: sobreEntregas,
+    entregas_incompletas: entregasIncompletas,
+    diferencias_precio: diferenciasPrecio,
+    productos_no_pedidos: productosNoPedidos,
+  };
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Usados por recepcionesService al crear y procesar recepciones
+export { validarOrdenParaRecepcion, conciliarRecepcionConOrden };
+
+export default {
+  // Consultas
+  obtenerOrdenesFiltradas,
+  obtenerOrdenPorId,
+
+  // Escritura
+  crearOrden,
+  actualizarOrden,
+  enviarOrden,
+  cerrarOrden,
+  cancelarOrden,
+
+  // Recepciones
+  prepararRecepcionDesdeOrden,
+};
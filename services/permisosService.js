@@ -0,0 +1,443 @@
+// services/permisosService.js - Permisos por rol y excepciones por usuario
+import { sequelize, Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  smartCacheKey,
+  invalidatePermisosCache,
+} from "./cacheService.js";
+import {
+  ROLES,
+  PERMISO_GESTION,
+  CATALOGO_PERMISOS,
+  moduloPermiso,
+} from "../utils/permisos.js";
+
+const { permisos, roles_permisos, usuarios_permisos, usuarios } = db;
+
+// =====================================================
+// 🌱 SIEMBRA DEL CATÁLOGO
+// =====================================================
+
+/**
+ * Crea en la base de datos los permisos del catálogo que aún no existen,
+ * con sus roles por defecto. Los permisos existentes conservan el mapeo
+ * editado; solo se actualiza su descripción.
+ * Se ejecuta al arrancar el servidor, después de sincronizar los modelos.
+ * @returns {Object} { creados, actualizados }
+ */
+const sembrarPermisos = async () => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const existentes = await permisos.findAll({ transaction });
+    const porCodigo = new Map(existentes.map((p) => [p.codigo, p]));
+
+    const nuevos = CATALOGO_PERMISOS.filter((p) => !porCodigo.has(p.codigo));
+    let actualizados = 0;
+
+    for (const entrada of CATALOGO_PERMISOS) {
+      const existente = porCodigo.get(entrada.codigo);
+      if (existente && existente.descripcion !== entrada.descripcion) {
+        await existente.update(
+          { descripcion: entrada.descripcion },
+          { transaction }
+        );
+        actualizados++;
+      }
+    }
+
+    if (nuevos.length > 0) {
+      const creados = await permisos.bulkCreate(
+        nuevos.map(({ codigo, descripcion }) => ({
+          codigo,
+          modulo: moduloPermiso(codigo),
+          descripcion,
+        })),
+        { transaction }
+      );
+
+      await roles_permisos.bulkCreate(
+        creados.flatMap((permiso, i) =>
+          nuevos[i].roles.map((rol) => ({ rol, permiso_id: permiso.id }))
+        ),
+        { transaction }
+      );
+    }
+
+    await transaction.commit();
+
+    if (nuevos.length > 0) {
+      await invalidatePermisosCache();
+      console.log(
+        `🔐 ${nuevos.length} permiso(s) nuevo(s) sembrado(s): ${nuevos
+          .map((p) => p.codigo)
+          .join(", ")}`
+      );
+    }
+
+    return { creados: nuevos.length, actualizados };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// 🔍 RESOLUCIÓN DE PERMISOS
+// =====================================================
+
+/**
+ * Códigos de permiso de un rol (cacheado)
+ * @param {string} rol
+ * @returns {Array<string>}
+ */
+const obtenerCodigosRol = async (rol) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.PERMISOS_ROL, rol);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return cached;
+
+  const filas = await roles_permisos.findAll({
+    where: { rol },
+    include: [{ model: permisos, as: "permiso", attributes: ["codigo"] }],
+  });
+  const codigos = filas.map((fila) => fila.permiso.codigo).sort();
+
+  await cacheSet(cacheKey, codigos, CACHE_TTL.PERMISOS_ROL);
+  return codigos;
+};
+
+/**
+ * Excepciones de un usuario (cacheado)
+ * @param {number} usuarioId
+ * @returns {Object} { concedidos, revocados } con códigos de permiso
+ */
+const obtenerExcepcionesCodigos = async (usuarioId) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.PERMISOS_USUARIO, usuarioId);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return cached;
+
+  const filas = await usuarios_permisos.findAll({
+    where: { usuario_id: usuarioId },
+    include: [{ model: permisos, as: "permiso", attributes: ["codigo"] }],
+  });
+
+  const excepciones = {
+    concedidos: filas.filter((f) => f.concedido).map((f) => f.permiso.codigo),
+    revocados: filas.filter((f) => !f.concedido).map((f) => f.permiso.codigo),
+  };
+
+  await cacheSet(cacheKey, excepciones, CACHE_TTL.PERMISOS_USUARIO);
+  return excepciones;
+};
+
+/**
+ * Permisos efectivos de un usuario: los de su rol, más los concedidos y
+ * menos los revocados en sus excepciones
+ * @param {Object} usuario - { id, rol } (req.user)
+ * @returns {Array<string>} Códigos ordenados
+ */
+const resolverPermisosUsuario = async (usuario) => {
+  const [delRol, excepciones] = await Promise.all([
+    obtenerCodigosRol(usuario.rol),
+    obtenerExcepcionesCodigos(usuario.id),
+  ]);
+
+  const efectivos = new Set([...delRol, ...excepciones.concedidos]);
+  excepciones.revocados.forEach((codigo) => efectivos.delete(codigo));
+
+  return [...efectivos].sort();
+};
+
+/**
+ * Verifica si el usuario tiene un permiso
+ * @param {Object} usuario - { id, rol } (req.user)
+ * @param {string} codigo - Ej: "ventas.anular"
+ * @returns {boolean}
+ */
+const tienePermiso = async (usuario, codigo) => {
+  const efectivos = await resolverPermisosUsuario(usuario);
+  return efectivos.includes(codigo);
+};
+
+// =====================================================
+// 📋 CONSULTA (ADMINISTRACIÓN)
+// =====================================================
+
+/**
+ * Lista todos los permisos con los roles que los tienen
+ * @returns {Object} { data, metadata }
+ */
+const listarPermisos = async () => {
+  const filas = await permisos.findAll({
+    include: [{ model: roles_permisos, as: "roles", attributes: ["rol"] }],
+    order: [
+      ["modulo", "ASC"],
+      ["codigo", "ASC"],
+    ],
+  });
+
+  const data = filas.map((permiso) => ({
+    id: permiso.id,
+    codigo: permiso.codigo,
+    modulo: permiso.modulo,
+    descripcion: permiso.descripcion,
+    roles: ROLES.filter((rol) => permiso.roles.some((r) => r.rol === rol)),
+  }));
+
+  return {
+    data,
+    metadata: {
+      total_permisos: data.length,
+      roles: ROLES,
+    },
+  };
+};
+
+/**
+ * Permisos asignados a un rol
+ * @param {string} rol
+ * @returns {Object} { rol, permisos }
+ */
+const obtenerPermisosRol = async (rol) => ({
+  rol,
+  permisos: await obtenerCodigosRol(rol),
+});
+
+/**
+ * Permisos efectivos de un usuario con el detalle de sus excepciones
+ * @param {number} usuarioId
+ * @returns {Object} { usuario, permisos, permisos_rol, excepciones }
+ * @throws {Error} USUARIO_NOT_FOUND
+ */
+const obtenerPermisosUsuario = async (usuarioId) => {
+  const usuario = await usuarios.findByPk(usuarioId, {
+    attributes: ["id", "username", "nombre", "apellido", "rol", "activo"],
+  });
+
+  if (!usuario) {
+    throw new Error("USUARIO_NOT_FOUND");
+  }
+
+  const excepciones = await usuarios_permisos.findAll({
+    where: { usuario_id: usuarioId },
+    include: [
+      { model: permisos, as: "permiso", attributes: ["codigo", "descripcion"] },
+    ],
+    order: [["fecha_creacion", "ASC"]],
+  });
+
+  return {
+    usuario,
+    permisos: await resolverPermisosUsuario(usuario),
+    permisos_rol: await obtenerCodigosRol(usuario.rol),
+    excepciones: excepciones.map((e) => ({
+      codigo: e.permiso.codigo,
+      descripcion: e.permiso.descripcion,
+      concedido: e.concedido,
+      asignado_por: e.asignado_por,
+      fecha_actualizacion: e.fecha_actualizacion,
+    })),
+  };
+};
+
+// =====================================================
+// ✏️ EDICIÓN (ADMINISTRACIÓN)
+// =====================================================
+
+/**
+ * Busca permisos por código
+ * @throws {Error} PERMISO_NOT_FOUND:codigo1,codigo2 si alguno no existe
+ */
+const buscarPermisosPorCodigo = async (codigos, transaction) => {
+  const encontrados = await permisos.findAll({
+    where: { codigo: { [Op.in]: codigos } },
+    transaction,
+  });
+
+  const faltantes = codigos.filter(
+    (codigo) => !encontrados.some((p) => p.codigo === codigo)
+  );
+  if (faltantes.length > 0) {
+    throw new Error(`PERMISO_NOT_FOUND:${faltantes.join(",")}`);
+  }
+
+  return encontrados;
+};
+
+/**
+ * Reemplaza los permisos de un rol
+ * @param {string} rol
+ * @param {Array<string>} codigos - Permisos que tendrá el rol
+ * @returns {Object} { rol, permisos, agregados, quitados }
+ * @throws {Error} PERMISO_NOT_FOUND:codigos | PERMISO_PROTEGIDO:codigo
+ */
+const actualizarPermisosRol = async (rol, codigos) => {
+  const solicitados = [...new Set(codigos)];
+
+  if (rol === "administrador" && !solicitados.includes(PERMISO_GESTION)) {
+    throw new Error(`PERMISO_PROTEGIDO:${PERMISO_GESTION}`);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const encontrados = await buscarPermisosPorCodigo(solicitados, transaction);
+
+    const actuales = await roles_permisos.findAll({
+      where: { rol },
+      include: [{ model: permisos, as: "permiso", attributes: ["codigo"] }],
+      transaction,
+    });
+    const codigosActuales = actuales.map((fila) => fila.permiso.codigo);
+
+    const agregados = encontrados.filter(
+      (p) => !codigosActuales.includes(p.codigo)
+    );
+    const quitados = actuales.filter(
+      (fila) => !solicitados.includes(fila.permiso.codigo)
+    );
+
+    if (quitados.length > 0) {
+      await roles_permisos.destroy({
+        where: { id: quitados.map((fila) => fila.id) },
+        transaction,
+      });
+    }
+
+    if (agregados.length > 0) {
+      await roles_permisos.bulkCreate(
+        agregados.map((p) => ({ rol, permiso_id: p.id })),
+        { transaction }
+      );
+    }
+
+    await transaction.commit();
+
+    await invalidatePermisosCache({ rol });
+
+    return {
+      rol,
+      permisos: solicitados.sort(),
+      agregados: agregados.map((p) => p.codigo).sort(),
+      quitados: quitados.map((fila) => fila.permiso.codigo).sort(),
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Concede o revoca un permiso a un usuario por encima de su rol
+ * @param {number} usuarioId
+ * @param {string} codigo
+ * @param {boolean} concedido - true otorga, false quita
+ * @param {number} asignadoPor - Usuario que hace el cambio
+ * @returns {Object} { excepcion, creada }
+ * @throws {Error} USUARIO_NOT_FOUND | PERMISO_NOT_FOUND:codigo | PERMISO_PROTEGIDO:codigo
+ */
+const asignarPermisoUsuario = async (
+  usuarioId,
+  codigo,
+  concedido,
+  asignadoPor
+) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const usuario = await usuarios.findByPk(usuarioId, { transaction });
+
+    if (!usuario) {
+      throw new Error("USUARIO_NOT_FOUND");
+    }
+
+    if (
+      !concedido &&
+      codigo === PERMISO_GESTION &&
+      usuario.rol === "administrador"
+    ) {
+      throw new Error(`PERMISO_PROTEGIDO:${codigo}`);
+    }
+
+    const [permiso] = await buscarPermisosPorCodigo([codigo], transaction);
+
+    const existente = await usuarios_permisos.findOne({
+      where: { usuario_id: usuarioId, permiso_id: permiso.id },
+      transaction,
+    });
+
+    const datos = {
+      concedido,
+      asignado_por: asignadoPor,
+      fecha_actualizacion: new Date(),
+    };
+
+    const excepcion = existente
+      ? await existente.update(datos, { transaction })
+      : await usuarios_permisos.create(
+          { usuario_id: usuarioId, permiso_id: permiso.id, ...datos },
+          { transaction }
+        );
+
+    await transaction.commit();
+
+    await invalidatePermisosCache({ usuarioId });
+
+    return {
+      excepcion: {
+        usuario_id: Number(usuarioId),
+        codigo,
+        concedido: excepcion.concedido,
+        asignado_por: excepcion.asignado_por,
+      },
+      creada: !existente,
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Elimina la excepción de un usuario; vuelve a aplicar lo que diga su rol
+ * @param {number} usuarioId
+ * @param {string} codigo
+ * @throws {Error} EXCEPCION_NOT_FOUND
+ */
+const eliminarPermisoUsuario = async (usuarioId, codigo) => {
+  const excepcion = await usuarios_permisos.findOne({
+    where: { usuario_id: usuarioId },
+    include: [
+      { model: permisos, as: "permiso", where: { codigo }, attributes: [] },
+    ],
+  });
+
+  if (!excepcion) {
+    throw new Error("EXCEPCION_NOT_FOUND");
+  }
+
+  await excepcion.destroy();
+  await invalidatePermisosCache({ usuarioId });
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+// Usadas por el middleware requirePermission y el arranque del servidor
+export { sembrarPermisos, resolverPermisosUsuario, tienePermiso };
+
+export default {
+  sembrarPermisos,
+  resolverPermisosUsuario,
+  tienePermiso,
+  listarPermisos,
+  obtenerPermisosRol,
+  obtenerPermisosUsuario,
+  actualizarPermisosRol,
+  asignarPermisoUsuario,
+  eliminarPermisoUsuario,
+};
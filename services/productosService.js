@@ -9,39 +9,41 @@ import {
   invalidateProductCache,
   invalidateProductsListCache,
   invalidateProductCategoryCache,
+  invalidateAllProductsCache,
   smartCacheKey,
 } from "./cacheService.js";
 
-const { productos, categorias } = db;
+const { productos, categorias, codigos_producto } = db;
 
 import {
   actualizarStockAtomico,
   registrarMovimiento,
 } from "./inventarioService.js";
+import { registrarCambiosPrecio } from "./historialPreciosService.js";
+import { recorrerEnLotes } from "../utils/exportacion.js";
+import {
+  parsearCSV,
+  numeroCSV,
+  booleanoCSV,
+  textoCSV,
+} from "../utils/csv.js";
+import { normalizeString } from "../utils/normalizeString.js";
+import { sanitizeString } from "../middleware/sanitizeSearch.js";
+import { createProducto } from "../validations/schemas/productosSchemas.js";
+import { generarEAN13Interno, PREFIJO_EAN_INTERNO } from "../utils/ean13.js";
+import { parsearCodigoBalanza } from "../utils/codigosBalanza.js";
+
+const MAX_PRODUCTOS_ETIQUETAS = 500;
 
 // =====================================================
 // OPERACIONES DE CONSULTA
 // =====================================================
 
 /**
- * Obtiene productos con filtros y paginación
+ * Construye el WHERE del listado de productos (compartido con la exportación)
  */
-const obtenerProductosFiltrados = async (filtros) => {
-  const {
-    categoria_id,
-    search,
-    codigo_barras,
-    activo = "all",
-    page = 1,
-    limit = 50,
-  } = filtros;
-
-  // ✅ CORREGIDO: Usar generateCacheKey para múltiples parámetros
-  const cacheKey = smartCacheKey(CACHE_PREFIXES.PRODUCTOS_LIST, filtros);
-  const cached = await cacheGet(cacheKey);
-  if (cached) return { ...cached, fromCache: true };
-
-  // Construir filtros WHERE
+const construirWhereProductos = (filtros) => {
+  const { categoria_id, search, codigo_barras, activo = "all" } = filtros;
   const where = {};
 
   if (activo !== "all") {
@@ -64,6 +66,29 @@ const obtenerProductosFiltrados = async (filtros) => {
     ];
   }
 
+  return where;
+};
+
+/**
+ * Obtiene productos con filtros y paginación
+ */
+const obtenerProductosFiltrados = async (filtros) => {
+  const {
+    categoria_id,
+    search,
+    activo = "all",
+    page = 1,
+    limit = 50,
+  } = filtros;
+
+  // ✅ CORREGIDO: Usar generateCacheKey para múltiples parámetros
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.PRODUCTOS_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  // Construir filtros WHERE
+  const where = construirWhereProductos(filtros);
+
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
   // Consulta con paginación
@@ -103,6 +128,102 @@ const obtenerProductosFiltrados = async (filtros) => {
   return result;
 };
 
+/**
+ * Recorre por lotes todos los productos que cumplen los filtros del
+ * listado, sin paginación ni caché (exportación CSV/XLSX)
+ */
+const exportarProductos = (filtros) => {
+  const where = construirWhereProductos(filtros);
+
+  return recorrerEnLotes(({ limit, offset }) =>
+    productos.findAll({
+      where,
+      include: [
+        {
+          model: categorias,
+          as: "categoria",
+          attributes: ["id", "nombre"],
+        },
+      ],
+      order: [
+        ["nombre", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit,
+      offset,
+    })
+  );
+};
+
+/**
+ * Productos activos para imprimir etiquetas de precio
+ * Selección combinable: IDs, categoría y/o precio de venta cambiado desde
+ * una fecha (según historial_precios)
+ *
+ * @param {Object} filtros - { producto_ids, categoria_id, precio_cambiado_desde }
+ * @returns {Promise<Array>} Productos ordenados por categoría y nombre
+ * @throws {Error} SELECCION_DEMASIADOS_PRODUCTOS:{max}
+ */
+const obtenerProductosEtiquetas = async (filtros) => {
+  const { producto_ids, categoria_id, precio_cambiado_desde } = filtros;
+  const where = { activo: true };
+
+  if (producto_ids) {
+    where.id = { [Op.in]: producto_ids };
+  }
+
+  if (categoria_id) {
+    where.categoria_id = categoria_id;
+  }
+
+  if (precio_cambiado_desde) {
+    const desde =
+      precio_cambiado_desde instanceof Date
+        ? precio_cambiado_desde.toISOString().split("T")[0]
+        : precio_cambiado_desde;
+
+    where[Op.and] = [
+      sequelize.literal(`productos.id IN (
+        SELECT hp.producto_id
+        FROM historial_precios hp
+        WHERE hp.tipo_precio = 'venta'
+          AND hp.fecha_cambio >= ${sequelize.escape(`${desde} 00:00:00`)}
+      )`),
+    ];
+  }
+
+  const seleccion = await productos.findAll({
+    where,
+    attributes: [
+      "id",
+      "nombre",
+      "codigo_barras",
+      "precio_venta",
+      "tipo_medida",
+      "categoria_id",
+    ],
+    include: [
+      {
+        model: categorias,
+        as: "categoria",
+        attributes: ["id", "nombre"],
+      },
+    ],
+    order: [
+      [{ model: categorias, as: "categoria" }, "nombre", "ASC"],
+      ["nombre", "ASC"],
+      ["id", "ASC"],
+    ],
+    limit: MAX_PRODUCTOS_ETIQUETAS + 1,
+  });
+
+  if (seleccion.length > MAX_PRODUCTOS_ETIQUETAS) {
+    throw new Error(`SELECCION_DEMASIADOS_PRODUCTOS:${MAX_PRODUCTOS_ETIQUETAS}`);
+  }
+
+  return seleccion;
+};
+
 /**
  * Obtiene un producto específico por ID
  */
@@ -120,6 +241,11 @@ const obtenerProductoPorId = async (id) => {
         as: "categoria",
         attributes: ["id", "nombre"],
       },
+      {
+        model: codigos_producto,
+        as: "codigos",
+        attributes: ["id", "codigo_barras", "multiplicador", "descripcion"],
+      },
     ],
   });
 
@@ -144,21 +270,52 @@ const obtenerProductoPorCodigoBarras = async (codigo) => {
   const cached = await cacheGet(cacheKey);
   if (cached) return { ...cached, fromCache: true };
 
+  const includeCategoria = [
+    {
+      model: categorias,
+      as: "categoria",
+      attributes: ["id", "nombre"],
+    },
+  ];
+
   const producto = await productos.findOne({
     where: {
       codigo_barras: codigo,
       activo: true,
     },
-    include: [
-      {
-        model: categorias,
-        as: "categoria",
-        attributes: ["id", "nombre"],
-      },
-    ],
+    include: includeCategoria,
   });
 
-  if (!producto) return null;
+  if (!producto) {
+    // Código adicional (empaque, EAN anterior): no se cachea porque la
+    // invalidación del producto solo conoce su código principal
+    const adicional = await buscarProductoPorCodigoAdicional(codigo, {
+      include: includeCategoria,
+    });
+
+    if (adicional) {
+      return {
+        data: adicional.producto,
+        metadata: { codigo_adicional: adicional.codigo },
+        fromCache: false,
+      };
+    }
+
+    // Etiqueta de balanza: cambia en cada pesada, no se cachea
+    const balanza = await buscarProductoPorCodigoBalanza(codigo, {
+      include: includeCategoria,
+    });
+
+    if (!balanza) return null;
+
+    return {
+      data: balanza.producto,
+      metadata: {
+        lectura_balanza: { ...balanza.lectura, cantidad: balanza.cantidad },
+      },
+      fromCache: false,
+    };
+  }
 
   const result = {
     data: producto,
@@ -171,10 +328,252 @@ const obtenerProductoPorCodigoBarras = async (codigo) => {
   return result;
 };
 
+/**
+ * Resuelve una etiqueta de balanza (EAN-13 con PLU y peso o precio) al
+ * producto activo con ese codigo_balanza y la cantidad en kg que representa.
+ * Con precio embebido la cantidad es precio / precio_venta redondeada a
+ * gramos; se usa para el stock, la venta cobra el precio impreso.
+ *
+ * @param {string} codigo - Código escaneado
+ * @param {Object} opciones - { include, transaction } para la consulta
+ * @returns {Promise<Object|null>} { producto, cantidad, lectura } o null si
+ *   el código no es de balanza o ningún producto tiene ese PLU
+ */
+const buscarProductoPorCodigoBalanza = async (codigo, opciones = {}) => {
+  const lectura = parsearCodigoBalanza(codigo);
+  if (!lectura) return null;
+
+  const producto = await productos.findOne({
+    where: { codigo_balanza: lectura.codigo_balanza, activo: true },
+    ...opciones,
+  });
+  if (!producto) return null;
+
+  const cantidad =
+    lectura.peso ??
+    parseFloat((lectura.precio / parseFloat(producto.precio_venta)).toFixed(3));
+
+  if (!(cantidad > 0)) return null;
+
+  return { producto, cantidad, lectura };
+};
+
+/**
+ * Resuelve un código adicional (codigos_producto) al producto activo. El
+ * multiplicador son las unidades del producto que representa cada escaneo.
+ *
+ * @param {string} codigo - Código escaneado
+ * @param {Object} opciones - { include, transaction } para la consulta del producto
+ * @returns {Promise<Object|null>} { producto, multiplicador, codigo } o null
+ *   si el código no está registrado o su producto está inactivo
+ */
+const buscarProductoPorCodigoAdicional = async (codigo, opciones = {}) => {
+  const { include, transaction } = opciones;
+
+  const adicional = await codigos_producto.findOne({
+    where: { codigo_barras: String(codigo).trim() },
+    include: [
+      {
+        model: productos,
+        as: "producto",
+        where: { activo: true },
+        ...(include && { include }),
+      },
+    ],
+    transaction,
+  });
+  if (!adicional) return null;
+
+  const multiplicador = parseFloat(adicional.multiplicador);
+
+  return {
+    producto: adicional.producto,
+    multiplicador,
+    codigo: {
+      id: adicional.id,
+      codigo_barras: adicional.codigo_barras,
+      descripcion: adicional.descripcion,
+      multiplicador,
+    },
+  };
+};
+
+/**
+ * Obtiene los códigos de barras adicionales de un producto
+ */
+const obtenerCodigosProducto = async (productoId) => {
+  const producto = await productos.findByPk(productoId, {
+    attributes: ["id", "nombre", "codigo_barras"],
+  });
+  if (!producto) {
+    throw new Error("PRODUCTO_NOT_FOUND");
+  }
+
+  const codigos = await codigos_producto.findAll({
+    where: { producto_id: productoId },
+    attributes: ["id", "codigo_barras", "multiplicador", "descripcion", "fecha_creacion"],
+    order: [["multiplicador", "ASC"], ["id", "ASC"]],
+  });
+
+  return {
+    data: { producto, codigos },
+    metadata: { total_codigos: codigos.length },
+  };
+};
+
 // =====================================================
 // OPERACIONES DE ESCRITURA
 // =====================================================
 
+/**
+ * Valida que el código de balanza no lo tenga otro producto y que el
+ * producto sea por peso (la etiqueta trae kg o un precio a dividir por kg)
+ *
+ * @throws {Error} CODIGO_BALANZA_SOLO_PESO
+ * @throws {Error} CODIGO_BALANZA_DUPLICADO:{codigo}
+ */
+const validarCodigoBalanza = async (
+  codigoBalanza,
+  tipoMedida,
+  productoId,
+  transaction
+) => {
+  if (tipoMedida !== "peso") {
+    throw new Error("CODIGO_BALANZA_SOLO_PESO");
+  }
+
+  const existente = await productos.findOne({
+    where: {
+      codigo_balanza: codigoBalanza,
+      ...(productoId && { id: { [Op.ne]: productoId } }),
+    },
+    transaction,
+  });
+
+  if (existente) {
+    throw new Error(`CODIGO_BALANZA_DUPLICADO:${codigoBalanza}`);
+  }
+};
+
+/**
+ * Indica si un código de barras ya está en uso, como código principal de
+ * un producto o como código adicional. Los dos comparten el mismo espacio:
+ * un escaneo debe resolver a un solo producto.
+ *
+ * @param {string} codigo - Código ya normalizado (trim)
+ * @param {Transaction} transaction
+ * @param {number} productoIdExcluido - Producto cuyo código principal se
+ *   está editando (su propio código principal no cuenta como conflicto)
+ * @returns {Promise<boolean>}
+ */
+const codigoBarrasEnUso = async (
+  codigo,
+  transaction,
+  productoIdExcluido = null
+) => {
+  const principal = await productos.findOne({
+    attributes: ["id"],
+    where: {
+      codigo_barras: codigo,
+      ...(productoIdExcluido && { id: { [Op.ne]: productoIdExcluido } }),
+    },
+    transaction,
+  });
+  if (principal) return true;
+
+  const adicional = await codigos_producto.findOne({
+    attributes: ["id"],
+    where: { codigo_barras: codigo },
+    transaction,
+  });
+  return Boolean(adicional);
+};
+
+/**
+ * Inserta el producto y registra su stock inicial como movimiento de
+ * entrada. Asume que las validaciones de unicidad y categoría ya se hicieron
+ * dentro de la misma transacción.
+ */
+const insertarProductoConStock = async (
+  datosProducto,
+  usuarioId,
+  transaction,
+  observaciones
+) => {
+  const {
+    codigo_barras,
+    codigo_balanza,
+    nombre,
+    descripcion,
+    categoria_id,
+    precio_compra,
+    precio_venta,
+    tarifa_iva,
+    tipo_medida,
+    maneja_lotes,
+    stock_actual,
+    stock_minimo,
+    activo,
+  } = datosProducto;
+
+  // Crear producto (sin stock aún)
+  const nuevoProducto = await productos.create(
+    {
+      codigo_barras: codigo_barras?.trim() || null,
+      codigo_balanza: codigo_balanza ?? null,
+      nombre: nombre.trim(),
+      descripcion: descripcion?.trim() || null,
+      categoria_id,
+      precio_compra: Number(precio_compra),
+      // El costo promedio arranca en el precio de compra declarado
+      costo_promedio: Number(precio_compra),
+      precio_venta: Number(precio_venta),
+      tarifa_iva,
+      tipo_medida,
+      maneja_lotes: maneja_lotes ?? false,
+      stock_actual: 0,
+      stock_minimo: stock_minimo || 0,
+      activo: activo ?? true,
+    },
+    { transaction }
+  );
+
+  // Actualizar stock de forma atómica (si hay stock inicial)
+  if (stock_actual && Number(stock_actual) > 0) {
+    console.log(
+      `📦 Creando producto con stock inicial: ${stock_actual} unidades`
+    );
+
+    const cantidadInicial = Number(stock_actual);
+
+    const productoActualizado = await actualizarStockAtomico(
+      nuevoProducto.id,
+      cantidadInicial,
+      "entrada",
+      transaction
+    );
+
+    await registrarMovimiento(
+      {
+        producto_id: nuevoProducto.id,
+        tipo_movimiento: "entrada",
+        cantidad: cantidadInicial,
+        stock_anterior: 0,
+        stock_nuevo: cantidadInicial,
+        referencia_tipo: "ajuste",
+        referencia_id: null,
+        usuario_id: usuarioId,
+        observaciones,
+      },
+      transaction
+    );
+
+    nuevoProducto.stock_actual = productoActualizado.stock_actual;
+  }
+
+  return nuevoProducto;
+};
+
 /**
  * Crea nuevo producto con validaciones de unicidad
  * ✅ REFACTORIZADO: Usa función atómica para stock inicial
@@ -185,12 +584,15 @@ const crearProducto = async (datosProducto, usuarioId) => {
   try {
     const {
       codigo_barras,
+      codigo_balanza,
       nombre,
       descripcion,
       categoria_id,
       precio_compra,
       precio_venta,
+      tarifa_iva,
       tipo_medida,
+      maneja_lotes,
       stock_actual,
       stock_minimo,
       activo,
@@ -214,16 +616,17 @@ const crearProducto = async (datosProducto, usuarioId) => {
       throw new Error(`NOMBRE_DUPLICADO:${nombre.trim()}`);
     }
 
-    // Validar código de barras único si se proporciona
-    if (codigo_barras?.trim()) {
-      const existingByCode = await productos.findOne({
-        where: { codigo_barras: codigo_barras.trim() },
-        transaction,
-      });
+    // Validar código de barras único si se proporciona (principal o adicional)
+    if (
+      codigo_barras?.trim() &&
+      (await codigoBarrasEnUso(codigo_barras.trim(), transaction))
+    ) {
+      throw new Error(`CODIGO_BARRAS_DUPLICADO:${codigo_barras.trim()}`);
+    }
 
-      if (existingByCode) {
-        throw new Error(`CODIGO_BARRAS_DUPLICADO:${codigo_barras.trim()}`);
-      }
+    // Código de balanza: único y solo para productos por peso
+    if (codigo_balanza) {
+      await validarCodigoBalanza(codigo_balanza, tipo_medida, null, transaction);
     }
 
     // Validar que la categoría existe
@@ -233,73 +636,458 @@ const crearProducto = async (datosProducto, usuarioId) => {
     }
 
     // ====================================================
-    // 2️⃣ CREAR PRODUCTO (sin stock aún)
+    // 2️⃣ CREAR PRODUCTO Y STOCK INICIAL
     // ====================================================
 
-    // Crear producto
-    const nuevoProducto = await productos.create(
+    const nuevoProducto = await insertarProductoConStock(
       {
-        codigo_barras: codigo_barras?.trim() || null,
-        nombre: nombre.trim(),
-        descripcion: descripcion?.trim() || null,
+        codigo_barras,
+        codigo_balanza,
+        nombre,
+        descripcion,
         categoria_id,
-        precio_compra: Number(precio_compra),
-        precio_venta: Number(precio_venta),
+        precio_compra,
+        precio_venta,
+        tarifa_iva,
         tipo_medida,
-        stock_actual: 0,
-        stock_minimo: stock_minimo || 0,
-        activo: activo ?? true,
+        maneja_lotes,
+        stock_actual,
+        stock_minimo,
+        activo,
       },
-      { transaction }
+      usuarioId,
+      transaction,
+      "Stock inicial al crear producto"
     );
 
-    // ====================================================
-    // 3️⃣ ACTUALIZAR STOCK DE FORMA ATÓMICA (si hay stock inicial)
-    // ====================================================
+    await transaction.commit();
 
-    if (stock_actual && Number(stock_actual) > 0) {
-      console.log(
-        `📦 Creando producto con stock inicial: ${stock_actual} unidades`
-      );
+    // NOTA: Después de este punto, cualquier modificación de stock
+    // debe hacerse a través del módulo de inventario:
+    // - actualizarStock(): para movimientos de entrada/salida
+    // - ajustarInventario(): para correcciones directas
+
+    await invalidateProductsListCache();
+    return nuevoProducto;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
 
-      // Usar función atómica de inventario
+// =====================================================
+// IMPORTACIÓN DESDE CSV
+// =====================================================
 
-      const cantidadInicial = Number(stock_actual);
+const MAX_FILAS_IMPORTACION = 2000;
 
-      const productoActualizado = await actualizarStockAtomico(
-        nuevoProducto.id,
-        cantidadInicial,
-        "entrada",
-        transaction
+/**
+ * Columnas aceptadas en el CSV de importación y sus encabezados alternativos.
+ * Los encabezados se comparan sin tildes, sin mayúsculas y con espacios
+ * convertidos a "_" ("Precio de venta" → precio_de_venta).
+ */
+const COLUMNAS_IMPORTACION = {
+  codigo_barras: ["codigo_barras", "codigo_de_barras"],
+  nombre: ["nombre"],
+  descripcion: ["descripcion"],
+  categoria: ["categoria", "categoria_nombre"],
+  categoria_id: ["categoria_id"],
+  precio_compra: ["precio_compra", "precio_de_compra"],
+  precio_venta: ["precio_venta", "precio_de_venta"],
+  tarifa_iva: ["tarifa_iva"],
+  tipo_medida: ["tipo_medida", "tipo_de_medida"],
+  maneja_lotes: ["maneja_lotes"],
+  stock_actual: ["stock_actual", "stock_inicial"],
+  stock_minimo: ["stock_minimo"],
+  activo: ["activo"],
+};
+
+const CAMPOS_NUMERICOS_IMPORTACION = [
+  "categoria_id",
+  "precio_compra",
+  "precio_venta",
+  "stock_actual",
+  "stock_minimo",
+];
+
+const CAMPOS_BOOLEANOS_IMPORTACION = ["maneja_lotes", "activo"];
+
+// Mismo saneamiento que aplica la ruta POST /productos a estos campos
+const CAMPOS_SANEADOS_IMPORTACION = ["nombre", "descripcion", "codigo_barras"];
+const OPCIONES_SANEAMIENTO = {
+  maxLength: 200,
+  removeDangerousChars: true,
+  escapeWildcards: false,
+};
+
+const normalizarEncabezado = (encabezado) =>
+  normalizeString(encabezado).replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+/**
+ * Convierte una fila del CSV al formato que espera createProducto.
+ * Las celdas vacías se omiten para que apliquen los valores por defecto.
+ */
+const convertirFilaImportacion = (valores, indices) => {
+  const datos = {};
+
+  for (const [campo, indice] of Object.entries(indices)) {
+    const texto = textoCSV(valores[indice] ?? "");
+    if (texto === "") continue;
+
+    if (CAMPOS_NUMERICOS_IMPORTACION.includes(campo)) {
+      datos[campo] = numeroCSV(texto);
+    } else if (CAMPOS_BOOLEANOS_IMPORTACION.includes(campo)) {
+      datos[campo] = booleanoCSV(texto);
+    } else if (campo === "tarifa_iva") {
+      datos[campo] = texto.replace(/\s*%$/, "").toLowerCase();
+    } else if (campo === "tipo_medida") {
+      datos[campo] = texto.toLowerCase();
+    } else if (CAMPOS_SANEADOS_IMPORTACION.includes(campo)) {
+      datos[campo] = sanitizeString(texto, OPCIONES_SANEAMIENTO);
+    } else {
+      datos[campo] = texto;
+    }
+  }
+
+  return datos;
+};
+
+/**
+ * Valida las filas contra createProducto, la categoría y las reglas de
+ * nombre y código de barras únicos (dentro del archivo y contra la base).
+ * Devuelve una entrada por fila con sus errores y los datos validados.
+ */
+const validarFilasImportacion = async (registros, indices, transaction) => {
+  const listaCategorias = await categorias.findAll({
+    attributes: ["id", "nombre"],
+    raw: true,
+    transaction,
+  });
+  const categoriasPorNombre = new Map(
+    listaCategorias.map((c) => [normalizeString(c.nombre), c.id])
+  );
+  const categoriasPorId = new Set(listaCategorias.map((c) => c.id));
+
+  const filas = registros.map(({ linea, valores }) => {
+    const { categoria, ...datos } = convertirFilaImportacion(valores, indices);
+    const errores = [];
+
+    // Resolver categoría: categoria_id tiene prioridad sobre el nombre
+    let categoriaInvalida = false;
+    if (datos.categoria_id !== undefined) {
+      if (
+        typeof datos.categoria_id === "number" &&
+        !categoriasPorId.has(datos.categoria_id)
+      ) {
+        errores.push(`La categoría ${datos.categoria_id} no existe`);
+        categoriaInvalida = true;
+      }
+    } else if (categoria) {
+      const categoriaId = categoriasPorNombre.get(normalizeString(categoria));
+      if (categoriaId) {
+        datos.categoria_id = categoriaId;
+      } else {
+        errores.push(`La categoría "${categoria}" no existe`);
+        categoriaInvalida = true;
+      }
+    }
+
+    const { value, error } = createProducto.validate(datos, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      for (const detalle of error.details) {
+        if (categoriaInvalida && detalle.path[0] === "categoria_id") continue;
+        errores.push(detalle.message);
+      }
+    }
+
+    delete value._warning;
+
+    return {
+      fila: linea,
+      nombre: datos.nombre ?? null,
+      codigo_barras: datos.codigo_barras || null,
+      datos: value,
+      errores,
+    };
+  });
+
+  // Duplicados dentro del archivo
+  const nombresVistos = new Map();
+  const codigosVistos = new Map();
+
+  for (const fila of filas) {
+    const nombre = fila.nombre?.trim().toLowerCase();
+    if (nombre) {
+      if (nombresVistos.has(nombre)) {
+        fila.errores.push(
+          `Nombre repetido en el archivo (fila ${nombresVistos.get(nombre)})`
+        );
+      } else {
+        nombresVistos.set(nombre, fila.fila);
+      }
+    }
+
+    const codigo = fila.codigo_barras?.trim();
+    if (codigo) {
+      if (codigosVistos.has(codigo)) {
+        fila.errores.push(
+          `Código de barras repetido en el archivo (fila ${codigosVistos.get(codigo)})`
+        );
+      } else {
+        codigosVistos.set(codigo, fila.fila);
+      }
+    }
+  }
+
+  // Duplicados contra productos existentes (una consulta por regla)
+  const nombresExistentes = new Set();
+  const codigosExistentes = new Set();
+
+  if (nombresVistos.size > 0) {
+    const existentes = await productos.findAll({
+      attributes: ["nombre"],
+      where: sequelize.where(sequelize.fn("LOWER", sequelize.col("nombre")), {
+        [Op.in]: [...nombresVistos.keys()],
+      }),
+      raw: true,
+      transaction,
+    });
+    existentes.forEach((p) =>
+      nombresExistentes.add(p.nombre.trim().toLowerCase())
+    );
+  }
+
+  if (codigosVistos.size > 0) {
+    const where = { codigo_barras: { [Op.in]: [...codigosVistos.keys()] } };
+    const existentes = [
+      ...(await productos.findAll({
+        attributes: ["codigo_barras"],
+        where,
+        raw: true,
+        transaction,
+      })),
+      ...(await codigos_producto.findAll({
+        attributes: ["codigo_barras"],
+        where,
+        raw: true,
+        transaction,
+      })),
+    ];
+    existentes.forEach((p) => codigosExistentes.add(p.codigo_barras));
+  }
+
+  for (const fila of filas) {
+    if (nombresExistentes.has(fila.nombre?.trim().toLowerCase())) {
+      fila.errores.push(`Ya existe un producto con el nombre "${fila.nombre}"`);
+    }
+    if (codigosExistentes.has(fila.codigo_barras?.trim())) {
+      fila.errores.push(
+        `Ya existe un producto con el código de barras "${fila.codigo_barras}"`
       );
+    }
+  }
 
-      await registrarMovimiento(
-        {
-          producto_id: nuevoProducto.id,
-          tipo_movimiento: "entrada",
-          cantidad: cantidadInicial,
-          stock_anterior: 0,
-          stock_nuevo: cantidadInicial,
-          referencia_tipo: "ajuste",
-          referencia_id: null,
-          usuario_id: usuarioId,
-          observaciones: "Stock inicial al crear producto",
-        },
-        transaction
+  return filas;
+};
+
+/**
+ * Importa productos desde un CSV.
+ * - dry_run: solo valida y devuelve el reporte por fila, sin escribir
+ * - Sin dry_run: crea todas las filas válidas (con su stock inicial) en una
+ *   sola transacción; las filas con errores se omiten y se reportan
+ *
+ * Las categorías se pueden indicar por nombre (columna "categoria") o por ID.
+ *
+ * @param {string} contenido - Texto del CSV (primera línea = encabezados)
+ * @param {Object} opciones
+ * @param {boolean} opciones.dry_run
+ * @param {number} usuarioId
+ */
+const importarProductos = async (contenido, { dry_run = false }, usuarioId) => {
+  const { registros } = parsearCSV(contenido);
+
+  if (registros.length < 2) {
+    throw new Error("IMPORTACION_VACIA");
+  }
+
+  const [encabezado, ...filasCSV] = registros;
+
+  if (filasCSV.length > MAX_FILAS_IMPORTACION) {
+    throw new Error(`IMPORTACION_DEMASIADAS_FILAS:${MAX_FILAS_IMPORTACION}`);
+  }
+
+  // Mapear encabezados a campos
+  const indices = {};
+  const columnasIgnoradas = [];
+
+  encabezado.valores.forEach((titulo, indice) => {
+    const normalizado = normalizarEncabezado(titulo);
+    const campo = Object.keys(COLUMNAS_IMPORTACION).find((c) =>
+      COLUMNAS_IMPORTACION[c].includes(normalizado)
+    );
+
+    if (campo && indices[campo] === undefined) {
+      indices[campo] = indice;
+    } else if (titulo.trim()) {
+      columnasIgnoradas.push(titulo.trim());
+    }
+  });
+
+  const faltantes = ["nombre", "precio_compra", "precio_venta"].filter(
+    (campo) => indices[campo] === undefined
+  );
+  if (indices.categoria === undefined && indices.categoria_id === undefined) {
+    faltantes.push("categoria");
+  }
+  if (faltantes.length > 0) {
+    throw new Error(`IMPORTACION_COLUMNAS_FALTANTES:${faltantes.join(", ")}`);
+  }
+
+  const construirResultado = (filas, creadas) => ({
+    data: {
+      dry_run,
+      resumen: {
+        total_filas: filas.length,
+        validas: filas.filter((f) => f.errores.length === 0).length,
+        con_errores: filas.filter((f) => f.errores.length > 0).length,
+        creadas,
+      },
+      columnas_ignoradas: columnasIgnoradas,
+      filas: filas.map(({ datos, ...fila }) => ({
+        ...fila,
+        valido: fila.errores.length === 0,
+      })),
+    },
+  });
+
+  if (dry_run) {
+    const filas = await validarFilasImportacion(filasCSV, indices);
+    return construirResultado(filas, 0);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const filas = await validarFilasImportacion(
+      filasCSV,
+      indices,
+      transaction
+    );
+
+    let creadas = 0;
+    for (const fila of filas) {
+      if (fila.errores.length > 0) continue;
+
+      const nuevoProducto = await insertarProductoConStock(
+        fila.datos,
+        usuarioId,
+        transaction,
+        "Stock inicial por importación CSV"
       );
+      fila.producto_id = nuevoProducto.id;
+      creadas++;
+    }
+
+    await transaction.commit();
+
+    if (creadas > 0) await invalidateProductsListCache();
+    return construirResultado(filas, creadas);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
 
-      nuevoProducto.stock_actual = productoActualizado.stock_actual;
+// =====================================================
+// CÓDIGOS DE BARRAS INTERNOS
+// =====================================================
+
+/**
+ * Asigna un EAN-13 interno (prefijo de uso en tienda + ID del producto +
+ * dígito de control) a los productos activos que no tienen código de barras.
+ * Si el código calculado ya lo tiene otro producto, se omite y se reporta.
+ *
+ * @param {Object} filtros - { producto_ids, categoria_id, tipo_medida } (opcionales)
+ * @returns {Promise<Object>} { data: { generados, omitidos }, metadata }
+ */
+const generarCodigosBarrasInternos = async (filtros = {}) => {
+  const { producto_ids, categoria_id, tipo_medida } = filtros;
+  const transaction = await sequelize.transaction();
+
+  try {
+    const where = {
+      activo: true,
+      [Op.or]: [{ codigo_barras: null }, { codigo_barras: "" }],
+    };
+    if (producto_ids) where.id = { [Op.in]: producto_ids };
+    if (categoria_id) where.categoria_id = categoria_id;
+    if (tipo_medida) where.tipo_medida = tipo_medida;
+
+    const sinCodigo = await productos.findAll({
+      where,
+      order: [["id", "ASC"]],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    const codigos = sinCodigo.map((producto) => generarEAN13Interno(producto.id));
+
+    const ocupados = new Set();
+    if (codigos.length > 0) {
+      const where = { codigo_barras: { [Op.in]: codigos } };
+      for (const modelo of [productos, codigos_producto]) {
+        const usados = await modelo.findAll({
+          attributes: ["codigo_barras"],
+          where,
+          raw: true,
+          transaction,
+        });
+        usados.forEach((u) => ocupados.add(u.codigo_barras));
+      }
+    }
+
+    const generados = [];
+    const omitidos = [];
+
+    for (const [indice, producto] of sinCodigo.entries()) {
+      const codigo = codigos[indice];
+
+      if (ocupados.has(codigo)) {
+        omitidos.push({
+          producto_id: producto.id,
+          nombre: producto.nombre,
+          codigo_barras: codigo,
+          motivo: "El código calculado ya está asignado a otro producto",
+        });
+        continue;
+      }
+
+      await producto.update({ codigo_barras: codigo }, { transaction });
+      generados.push({
+        producto_id: producto.id,
+        nombre: producto.nombre,
+        codigo_barras: codigo,
+      });
     }
 
     await transaction.commit();
 
-    // NOTA: Después de este punto, cualquier modificación de stock
-    // debe hacerse a través del módulo de inventario:
-    // - actualizarStock(): para movimientos de entrada/salida
-    // - ajustarInventario(): para correcciones directas
+    if (generados.length > 0) {
+      await invalidateAllProductsCache();
+    }
 
-    await invalidateProductsListCache();
-    return nuevoProducto;
+    return {
+      data: { generados, omitidos },
+      metadata: {
+        prefijo: PREFIJO_EAN_INTERNO,
+        total_generados: generados.length,
+        total_omitidos: omitidos.length,
+      },
+    };
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -308,8 +1096,10 @@ const crearProducto = async (datosProducto, usuarioId) => {
 
 /**
  * Actualiza producto existente
+ * Los cambios de precio_compra/precio_venta quedan en historial_precios
+ * con el usuario y el motivo (motivo_cambio_precio)
  */
-const actualizarProducto = async (id, datosActualizacion) => {
+const actualizarProducto = async (id, datosActualizacion, usuarioId) => {
   const transaction = await sequelize.transaction();
 
   try {
@@ -354,23 +1144,37 @@ const actualizarProducto = async (id, datosActualizacion) => {
       const codigoNormalizado =
         datosActualizacion.codigo_barras?.trim() || null;
 
-      if (codigoNormalizado && codigoNormalizado !== producto.codigo_barras) {
-        const existingByCode = await productos.findOne({
-          where: {
-            codigo_barras: codigoNormalizado,
-            id: { [Op.ne]: id },
-          },
-          transaction,
-        });
-
-        if (existingByCode) {
-          throw new Error(`CODIGO_BARRAS_DUPLICADO:${codigoNormalizado}`);
-        }
+      if (
+        codigoNormalizado &&
+        codigoNormalizado !== producto.codigo_barras &&
+        (await codigoBarrasEnUso(codigoNormalizado, transaction, id))
+      ) {
+        throw new Error(`CODIGO_BARRAS_DUPLICADO:${codigoNormalizado}`);
       }
 
       fieldsToUpdate.codigo_barras = codigoNormalizado;
     }
 
+    // Validar código de balanza (único, solo productos por peso)
+    if (datosActualizacion.codigo_balanza !== undefined) {
+      if (datosActualizacion.codigo_balanza) {
+        await validarCodigoBalanza(
+          datosActualizacion.codigo_balanza,
+          datosActualizacion.tipo_medida || producto.tipo_medida,
+          id,
+          transaction
+        );
+      }
+
+      fieldsToUpdate.codigo_balanza = datosActualizacion.codigo_balanza || null;
+    } else if (
+      datosActualizacion.tipo_medida &&
+      datosActualizacion.tipo_medida !== "peso" &&
+      producto.codigo_balanza
+    ) {
+      throw new Error("CODIGO_BALANZA_SOLO_PESO");
+    }
+
     // Validar categoría si cambió
     if (
       datosActualizacion.categoria_id &&
@@ -402,10 +1206,18 @@ const actualizarProducto = async (id, datosActualizacion) => {
       fieldsToUpdate.precio_venta = Number(datosActualizacion.precio_venta);
     }
 
+    if (datosActualizacion.tarifa_iva) {
+      fieldsToUpdate.tarifa_iva = datosActualizacion.tarifa_iva;
+    }
+
     if (datosActualizacion.tipo_medida) {
       fieldsToUpdate.tipo_medida = datosActualizacion.tipo_medida;
     }
 
+    if (datosActualizacion.maneja_lotes !== undefined) {
+      fieldsToUpdate.maneja_lotes = datosActualizacion.maneja_lotes;
+    }
+
     if (datosActualizacion.stock_minimo !== undefined) {
       fieldsToUpdate.stock_minimo = Number(datosActualizacion.stock_minimo);
     }
@@ -420,6 +1232,18 @@ const actualizarProducto = async (id, datosActualizacion) => {
     // - POST /inventario/ajustar (ajustarInventario)
     delete fieldsToUpdate.stock_actual;
 
+    // Registrar cambios de precio antes de sobrescribirlos
+    await registrarCambiosPrecio(
+      producto,
+      fieldsToUpdate,
+      {
+        origen: "manual",
+        usuario_id: usuarioId,
+        motivo: datosActualizacion.motivo_cambio_precio,
+      },
+      transaction
+    );
+
     await producto.update(fieldsToUpdate, { transaction });
     await transaction.commit();
 
@@ -443,6 +1267,80 @@ const actualizarProducto = async (id, datosActualizacion) => {
   }
 };
 
+/**
+ * Agrega un código de barras adicional a un producto (empaque con
+ * multiplicador o un EAN anterior del proveedor)
+ *
+ * @throws {Error} PRODUCTO_NOT_FOUND
+ * @throws {Error} CODIGO_BARRAS_DUPLICADO:{codigo}
+ */
+const agregarCodigoProducto = async (productoId, datosCodigo) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const producto = await productos.findByPk(productoId, { transaction });
+    if (!producto) {
+      throw new Error("PRODUCTO_NOT_FOUND");
+    }
+
+    const codigo = datosCodigo.codigo_barras.trim();
+    if (await codigoBarrasEnUso(codigo, transaction)) {
+      throw new Error(`CODIGO_BARRAS_DUPLICADO:${codigo}`);
+    }
+
+    const nuevoCodigo = await codigos_producto.create(
+      {
+        producto_id: producto.id,
+        codigo_barras: codigo,
+        multiplicador: datosCodigo.multiplicador ?? 1,
+        descripcion: datosCodigo.descripcion?.trim() || null,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    await invalidateProductCache(producto.id, producto.codigo_barras);
+
+    return { producto, codigo: nuevoCodigo };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Quita un código de barras adicional de un producto
+ *
+ * @throws {Error} CODIGO_PRODUCTO_NOT_FOUND
+ */
+const eliminarCodigoProducto = async (productoId, codigoId) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const codigo = await codigos_producto.findOne({
+      where: { id: codigoId, producto_id: productoId },
+      include: [
+        { model: productos, as: "producto", attributes: ["id", "codigo_barras"] },
+      ],
+      transaction,
+    });
+    if (!codigo) {
+      throw new Error("CODIGO_PRODUCTO_NOT_FOUND");
+    }
+
+    await codigo.destroy({ transaction });
+    await transaction.commit();
+
+    await invalidateProductCache(productoId, codigo.producto.codigo_barras);
+
+    return codigo;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
 /**
  * Elimina producto (desactivación lógica)
  */
@@ -472,11 +1370,22 @@ const eliminarProducto = async (id) => {
 // =====================================================
 // EXPORTACIONES
 // =====================================================
+// Resolución de códigos adicionales y etiquetas de balanza, usada también
+// al vender y al recibir mercancía
+export { buscarProductoPorCodigoAdicional, buscarProductoPorCodigoBalanza };
+
 export default {
   obtenerProductosFiltrados,
+  exportarProductos,
+  obtenerProductosEtiquetas,
   obtenerProductoPorId,
   obtenerProductoPorCodigoBarras,
   crearProducto,
+  importarProductos,
+  generarCodigosBarrasInternos,
   actualizarProducto,
   eliminarProducto,
+  obtenerCodigosProducto,
+  agregarCodigoProducto,
+  eliminarCodigoProducto,
 };
@@ -0,0 +1,539 @@
+// services/promocionesService.js - Motor de Descuentos y Promociones
+import { Op } from "../config/database.js";
+import db from "../models/index.js";
+import {
+  cacheGet,
+  cacheSet,
+  CACHE_TTL,
+  CACHE_PREFIXES,
+  generateCacheKey,
+  smartCacheKey,
+  invalidatePromocionCache,
+} from "./cacheService.js";
+import { redondear } from "../utils/iva.js";
+
+const { promociones, productos, categorias } = db;
+
+// =====================================================
+// 🔍 OPERACIONES DE CONSULTA
+// =====================================================
+
+/**
+ * Obtiene promociones con filtros y paginación
+ *
+ * @param {Object} filtros - { activo, vigente, alcance, tipo, page, limit }
+ * @returns {Promise<Object>} { data, metadata, pagination, fromCache }
+ */
+const obtenerPromocionesFiltradas = async (filtros) => {
+  const { activo = "true", vigente, alcance, tipo, page = 1, limit = 20 } =
+    filtros;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.PROMOCIONES_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const where = {};
+  if (activo !== "all") where.activo = activo === "true";
+  if (alcance) where.alcance = alcance;
+  if (tipo) where.tipo = tipo;
+
+  if (vigente === "true") {
+    const ahora = new Date();
+    where.fecha_inicio = { [Op.lte]: ahora };
+    where.fecha_fin = { [Op.gte]: ahora };
+  }
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const { count, rows } = await promociones.findAndCountAll({
+    where,
+    include: [
+      {
+        model: productos,
+        as: "producto",
+        attributes: ["id", "nombre", "codigo_barras", "precio_venta"],
+      },
+      {
+        model: categorias,
+        as: "categoria",
+        attributes: ["id", "nombre"],
+      },
+    ],
+    order: [["fecha_inicio", "DESC"]],
+    limit: parseInt(limit),
+    offset,
+    distinct: true,
+  });
+
+  const result = {
+    data: rows,
+    metadata: {
+      total_promociones: count,
+      filtro_activo: activo,
+      solo_vigentes: vigente === "true",
+    },
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.PROMOCIONES_PAGINADOS);
+  return result;
+};
+
+/**
+ * Obtiene una promoción por ID
+ *
+ * @param {number} id - ID de la promoción
+ * @returns {Promise<Object|null>} { data, metadata, fromCache } o null
+ */
+const obtenerPromocionPorId = async (id) => {
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.PROMOCION, id);
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const promocion = await promociones.findByPk(id, {
+    include: [
+      {
+        model: productos,
+        as: "producto",
+        attributes: ["id", "nombre", "codigo_barras", "precio_venta"],
+      },
+      {
+        model: categorias,
+        as: "categoria",
+        attributes: ["id", "nombre"],
+      },
+    ],
+  });
+
+  if (!promocion) {
+    return null;
+  }
+
+  const ahora = new Date();
+  const metadata = {
+    vigente:
+      promocion.activo &&
+      new Date(promocion.fecha_inicio) <= ahora &&
+      new Date(promocion.fecha_fin) >= ahora,
+  };
+
+  const result = { data: promocion, metadata, fromCache: false };
+  await cacheSet(cacheKey, result, CACHE_TTL.PROMOCION_INDIVIDUAL);
+
+  return result;
+};
+
+// =====================================================
+// ✏️ OPERACIONES DE ESCRITURA
+// =====================================================
+
+/**
+ * Verifica que exista el producto o la categoría según el alcance
+ *
+ * @throws {Error} PRODUCTO_NOT_FOUND:{id}
+ * @throws {Error} CATEGORIA_NOT_FOUND:{id}
+ */
+const validarReferencias = async ({ alcance, producto_id, categoria_id }) => {
+  if (alcance === "producto") {
+    const producto = await productos.findByPk(producto_id, {
+      attributes: ["id"],
+    });
+    if (!producto) throw new Error(`PRODUCTO_NOT_FOUND:${producto_id}`);
+  }
+
+  if (alcance === "categoria") {
+    const categoria = await categorias.findByPk(categoria_id, {
+      attributes: ["id"],
+    });
+    if (!categoria) throw new Error(`CATEGORIA_NOT_FOUND:${categoria_id}`);
+  }
+};
+
+/**
+ * Deja en null los campos que no aplican al tipo/alcance
+ * (evita que queden restos al cambiar el tipo de una promoción)
+ */
+const normalizarCampos = (datos) => {
+  const { tipo, alcance } = datos;
+
+  return {
+    ...datos,
+    producto_id: alcance === "producto" ? datos.producto_id : null,
+    categoria_id: alcance === "categoria" ? datos.categoria_id : null,
+    cantidad_requerida: ["nxm", "precio_fijo"].includes(tipo)
+      ? datos.cantidad_requerida
+      : null,
+    cantidad_pagada: tipo === "nxm" ? datos.cantidad_pagada : null,
+    porcentaje: tipo === "porcentaje" ? datos.porcentaje : null,
+    precio_fijo: tipo === "precio_fijo" ? datos.precio_fijo : null,
+    monto_minimo: alcance === "ticket" ? datos.monto_minimo ?? null : null,
+  };
+};
+
+/**
+ * Crea una promoción
+ *
+ * @param {Object} datos - Datos validados por Joi
+ * @returns {Promise<Object>} Promoción creada
+ * @throws {Error} PRODUCTO_NOT_FOUND:{id} | CATEGORIA_NOT_FOUND:{id}
+ */
+const crearPromocion = async (datos) => {
+  await validarReferencias(datos);
+
+  const campos = normalizarCampos(datos);
+
+  const promocion = await promociones.create({
+    ...campos,
+    nombre: campos.nombre.trim(),
+    descripcion: campos.descripcion?.trim() || null,
+  });
+
+  await invalidatePromocionCache();
+
+  return promocion;
+};
+
+/**
+ * Actualiza una promoción
+ * Los datos se combinan con los actuales antes de validar coherencia
+ *
+ * @param {number} id - ID de la promoción
+ * @param {Object} datosActualizacion - Campos a modificar
+ * @returns {Promise<Object>} { promocion, camposModificados }
+ * @throws {Error} PROMOCION_NOT_FOUND
+ * @throws {Error} PROMOCION_INCONSISTENTE:{detalle}
+ */
+const actualizarPromocion = async (id, datosActualizacion) => {
+  const promocion = await promociones.findByPk(id);
+  if (!promocion) {
+    throw new Error("PROMOCION_NOT_FOUND");
+  }
+
+  const combinado = { ...promocion.toJSON(), ...datosActualizacion };
+
+  // Las reglas cruzadas se revalidan sobre el resultado final
+  if (combinado.alcance === "producto" && !combinado.producto_id) {
+    throw new Error("PROMOCION_INCONSISTENTE:Falta producto_id");
+  }
+  if (combinado.alcance === "categoria" && !combinado.categoria_id) {
+    throw new Error("PROMOCION_INCONSISTENTE:Falta categoria_id");
+  }
+  if (combinado.alcance === "ticket" && combinado.tipo !== "porcentaje") {
+    throw new Error(
+      "PROMOCION_INCONSISTENTE:Las promociones de ticket solo pueden ser de porcentaje"
+    );
+  }
+  if (
+    combinado.tipo === "nxm" &&
+    !(combinado.cantidad_requerida > combinado.cantidad_pagada)
+  ) {
+    throw new Error(
+      "PROMOCION_INCONSISTENTE:La cantidad requerida debe ser mayor a la pagada"
+    );
+  }
+  if (combinado.tipo === "porcentaje" && !combinado.porcentaje) {
+    throw new Error("PROMOCION_INCONSISTENTE:Falta porcentaje");
+  }
+  if (
+    combinado.tipo === "precio_fijo" &&
+    !(combinado.precio_fijo && combinado.cantidad_requerida)
+  ) {
+    throw new Error(
+      "PROMOCION_INCONSISTENTE:Falta precio_fijo o cantidad_requerida"
+    );
+  }
+  if (new Date(combinado.fecha_fin) <= new Date(combinado.fecha_inicio)) {
+    throw new Error(
+      "PROMOCION_INCONSISTENTE:La fecha de fin debe ser posterior a la de inicio"
+    );
+  }
+
+  await validarReferencias(combinado);
+
+  const fieldsToUpdate = normalizarCampos(combinado);
+  delete fieldsToUpdate.id;
+  delete fieldsToUpdate.fecha_creacion;
+  delete fieldsToUpdate.fecha_actualizacion;
+
+  if (datosActualizacion.nombre) {
+    fieldsToUpdate.nombre = datosActualizacion.nombre.trim();
+  }
+  if (datosActualizacion.descripcion !== undefined) {
+    fieldsToUpdate.descripcion =
+      datosActualizacion.descripcion?.trim() || null;
+  }
+
+  await promocion.update(fieldsToUpdate);
+
+  await invalidatePromocionCache(id);
+
+  return {
+    promocion,
+    camposModificados: Object.keys(datosActualizacion),
+  };
+};
+
+/**
+ * Desactiva una promoción (soft delete)
+ * Las ventas ya registradas conservan el descuento aplicado
+ *
+ * @param {number} id - ID de la promoción
+ * @returns {Promise<Object>} Promoción desactivada
+ * @throws {Error} PROMOCION_NOT_FOUND
+ * @throws {Error} PROMOCION_ALREADY_INACTIVE
+ */
+const desactivarPromocion = async (id) => {
+  const promocion = await promociones.findByPk(id);
+  if (!promocion) {
+    throw new Error("PROMOCION_NOT_FOUND");
+  }
+
+  if (!promocion.activo) {
+    throw new Error("PROMOCION_ALREADY_INACTIVE");
+  }
+
+  await promocion.update({ activo: false });
+
+  await invalidatePromocionCache(id);
+
+  return promocion;
+};
+
+// =====================================================
+// 🧮 MOTOR DE PROMOCIONES
+// =====================================================
+
+/**
+ * Calcula el descuento que una promoción de línea otorga a un producto
+ * (cantidad y subtotal de todas sus líneas en la venta)
+ *
+ * - nxm: por cada grupo de N unidades se cobran M
+ * - precio_fijo: cada grupo de N unidades cuesta el precio fijo
+ * - porcentaje: % sobre el subtotal de la línea
+ *
+ * @returns {number} Descuento (0 si no aplica)
+ */
+const calcularDescuentoLinea = (promocion, cantidad, precioUnitario, subtotal) => {
+  let descuento = 0;
+
+  if (promocion.tipo === "nxm") {
+    const grupos = Math.floor(cantidad / promocion.cantidad_requerida);
+    const unidadesGratis =
+      grupos * (promocion.cantidad_requerida - promocion.cantidad_pagada);
+    descuento = unidadesGratis * precioUnitario;
+  } else if (promocion.tipo === "precio_fijo") {
+    const grupos = Math.floor(cantidad / promocion.cantidad_requerida);
+    const ahorroPorGrupo =
+      promocion.cantidad_requerida * precioUnitario -
+      parseFloat(promocion.precio_fijo);
+    descuento = ahorroPorGrupo > 0 ? grupos * ahorroPorGrupo : 0;
+  } else if (promocion.tipo === "porcentaje") {
+    descuento = (subtotal * parseFloat(promocion.porcentaje)) / 100;
+  }
+
+  descuento = redondear(descuento);
+
+  // Nunca dejar la línea en 0 o negativa
+  return descuento < subtotal ? descuento : 0;
+};
+
+/**
+ * Evalúa las promociones vigentes sobre los productos de una venta
+ *
+ * 1. Por producto se aplica la mejor promoción de producto o categoría,
+ *    sumando las líneas del mismo producto y repartiendo el descuento
+ *    entre ellas (las líneas con precio manual no reciben promociones)
+ * 2. Sobre el neto resultante se aplica la mejor promoción de ticket
+ *    (porcentaje, respetando monto_minimo), repartida proporcionalmente
+ *    entre las líneas; el residuo de redondeo va a la última
+ *
+ * @param {Array} productosValidados - Salida de validarProductosYStock
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {Promise<Object>} { productosConDescuento, descuento_total, total, promocion_ticket, promociones_aplicadas }
+ */
+const evaluarPromociones = async (productosValidados, transaction = null) => {
+  const ahora = new Date();
+
+  const vigentes = await promociones.findAll({
+    where: {
+      activo: true,
+      fecha_inicio: { [Op.lte]: ahora },
+      fecha_fin: { [Op.gte]: ahora },
+    },
+    transaction,
+  });
+
+  const promocionesLinea = vigentes.filter((p) => p.alcance !== "ticket");
+  const promocionesTicket = vigentes.filter((p) => p.alcance === "ticket");
+  const aplicadas = new Map();
+
+  // 1️⃣ Mejor promoción por producto: las líneas del mismo producto (varias
+  // etiquetas de balanza, código unitario y de empaque) se suman antes de
+  // contar grupos, así 2 + 1 unidades en líneas distintas hacen un 3x2
+  const esPrecioManual = (item) =>
+    parseFloat(item.precio_unitario) !== parseFloat(item.producto.precio_venta);
+
+  const grupos = new Map();
+  productosValidados.forEach((item, index) => {
+    if (esPrecioManual(item)) return;
+
+    const grupo = grupos.get(item.producto.id) || {
+      producto: item.producto,
+      cantidad: 0,
+      subtotal: 0,
+      indices: [],
+    };
+    grupo.cantidad += parseFloat(item.cantidad);
+    grupo.subtotal = redondear(grupo.subtotal + item.subtotal);
+    grupo.indices.push(index);
+    grupos.set(item.producto.id, grupo);
+  });
+
+  const descuentoPorLinea = new Map();
+
+  for (const grupo of grupos.values()) {
+    const precioUnitario = parseFloat(grupo.producto.precio_venta);
+    let mejor = { promocion: null, descuento: 0 };
+
+    for (const promocion of promocionesLinea) {
+      const aplica =
+        (promocion.alcance === "producto" &&
+          promocion.producto_id === grupo.producto.id) ||
+        (promocion.alcance === "categoria" &&
+          promocion.categoria_id === grupo.producto.categoria_id);
+
+      if (!aplica) continue;
+
+      const descuento = calcularDescuentoLinea(
+        promocion,
+        parseFloat(grupo.cantidad.toFixed(3)),
+        precioUnitario,
+        grupo.subtotal
+      );
+
+      if (descuento > mejor.descuento) {
+        mejor = { promocion, descuento };
+      }
+    }
+
+    if (!mejor.promocion) continue;
+
+    const previo = aplicadas.get(mejor.promocion.id);
+    aplicadas.set(mejor.promocion.id, {
+      id: mejor.promocion.id,
+      nombre: mejor.promocion.nombre,
+      alcance: mejor.promocion.alcance,
+      descuento: redondear((previo?.descuento || 0) + mejor.descuento),
+    });
+
+    // Se reparte entre las líneas del producto en proporción a su subtotal;
+    // el residuo de redondeo va a la última
+    let repartido = 0;
+    grupo.indices.forEach((index, posicion) => {
+      const parte =
+        posicion === grupo.indices.length - 1
+          ? redondear(mejor.descuento - repartido)
+          : redondear(
+              (mejor.descuento * productosValidados[index].subtotal) /
+                grupo.subtotal
+            );
+
+      repartido = redondear(repartido + parte);
+      descuentoPorLinea.set(index, {
+        descuento: parte,
+        promocion_id: mejor.promocion.id,
+      });
+    });
+  }
+
+  const productosConDescuento = productosValidados.map((item, index) => ({
+    ...item,
+    descuento: descuentoPorLinea.get(index)?.descuento || 0,
+    promocion_id: descuentoPorLinea.get(index)?.promocion_id || null,
+  }));
+
+  // 2️⃣ Mejor promoción de ticket sobre el neto de las líneas
+  const netoLineas = redondear(
+    productosConDescuento.reduce(
+      (acc, item) => acc + item.subtotal - item.descuento,
+      0
+    )
+  );
+
+  const promocionTicket = promocionesTicket
+    .filter(
+      (p) => !p.monto_minimo || netoLineas >= parseFloat(p.monto_minimo)
+    )
+    .sort((a, b) => parseFloat(b.porcentaje) - parseFloat(a.porcentaje))[0];
+
+  if (promocionTicket && netoLineas > 0) {
+    const descuentoTicket = redondear(
+      (netoLineas * parseFloat(promocionTicket.porcentaje)) / 100
+    );
+    let repartido = 0;
+
+    productosConDescuento.forEach((item, index) => {
+      const netoItem = item.subtotal - item.descuento;
+      const parte =
+        index === productosConDescuento.length - 1
+          ? redondear(descuentoTicket - repartido)
+          : redondear((descuentoTicket * netoItem) / netoLineas);
+
+      repartido = redondear(repartido + parte);
+      item.descuento = redondear(item.descuento + parte);
+    });
+
+    aplicadas.set(promocionTicket.id, {
+      id: promocionTicket.id,
+      nombre: promocionTicket.nombre,
+      alcance: promocionTicket.alcance,
+      descuento: descuentoTicket,
+    });
+  }
+
+  const descuentoTotal = redondear(
+    productosConDescuento.reduce((acc, item) => acc + item.descuento, 0)
+  );
+  const total = redondear(
+    productosConDescuento.reduce((acc, item) => acc + item.subtotal, 0) -
+      descuentoTotal
+  );
+
+  return {
+    productosConDescuento,
+    descuento_total: descuentoTotal,
+    total,
+    promocion_ticket: promocionTicket || null,
+    promociones_aplicadas: [...aplicadas.values()],
+  };
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+
+// Motor de promociones, usado por ventasService al crear la venta
+export { evaluarPromociones };
+
+export default {
+  // Consultas
+  obtenerPromocionesFiltradas,
+  obtenerPromocionPorId,
+
+  // Escritura
+  crearPromocion,
+  actualizarPromocion,
+  desactivarPromocion,
+
+  // Motor
+  evaluarPromociones,
+};
@@ -10,6 +10,7 @@ import {
   invalidateProvidersListCache,
   generateCacheKey,
 } from "./cacheService.js";
+import { recorrerEnLotes } from "../utils/exportacion.js";
 
 const { proveedores, recepciones } = db;
 
@@ -17,6 +18,26 @@ const { proveedores, recepciones } = db;
 // 📊 OPERACIONES DE CONSULTA
 // =====================================================
 
+/**
+ * Construye el WHERE del listado de proveedores (compartido con la exportación)
+ */
+const construirWhereProveedores = (filtros) => {
+  const { search, activo = "true" } = filtros;
+  const where = {};
+
+  if (activo !== "all") where.activo = activo === "true";
+  if (search) {
+    const searchTerm = `%${search.trim()}%`;
+    where[Op.or] = [
+      { nombre: { [Op.like]: searchTerm } },
+      { contacto: { [Op.like]: searchTerm } },
+      { email: { [Op.like]: searchTerm } },
+    ];
+  }
+
+  return where;
+};
+
 /**
  * Obtiene proveedores con filtros, búsqueda y paginación
  * 
@@ -38,16 +59,7 @@ const obtenerProveedoresFiltrados = async (filtros) => {
   if (cached) return { ...cached, fromCache: true };
 
   // Construir filtros WHERE
-  const where = {};
-  if (activo !== "all") where.activo = activo === "true";
-  if (search) {
-    const searchTerm = `%${search.trim()}%`;
-    where[Op.or] = [
-      { nombre: { [Op.like]: searchTerm } },
-      { contacto: { [Op.like]: searchTerm } },
-      { email: { [Op.like]: searchTerm } },
-    ];
-  }
+  const where = construirWhereProveedores(filtros);
 
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -133,6 +145,52 @@ const obtenerProveedoresFiltrados = async (filtros) => {
   return result;
 };
 
+/**
+ * Recorre por lotes todos los proveedores que cumplen los filtros del
+ * listado, con sus totales de compras, sin paginación ni caché
+ * (exportación CSV/XLSX)
+ *
+ * @param {Object} filtros - Mismos filtros del listado
+ * @returns {AsyncGenerator<Array>} Lotes de proveedores
+ */
+const exportarProveedores = (filtros) => {
+  const where = construirWhereProveedores(filtros);
+
+  return recorrerEnLotes(({ limit, offset }) =>
+    proveedores.findAll({
+      where,
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              "(SELECT COUNT(*) FROM recepciones r WHERE r.proveedor_id = proveedores.id)"
+            ),
+            "total_recepciones",
+          ],
+          [
+            sequelize.literal(
+              "(SELECT COALESCE(SUM(r.total), 0) FROM recepciones r WHERE r.proveedor_id = proveedores.id)"
+            ),
+            "valor_total_compras",
+          ],
+          [
+            sequelize.literal(
+              "(SELECT MAX(r.fecha_recepcion) FROM recepciones r WHERE r.proveedor_id = proveedores.id)"
+            ),
+            "ultima_recepcion",
+          ],
+        ],
+      },
+      order: [
+        ["nombre", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit,
+      offset,
+    })
+  );
+};
+
 /**
  * Obtiene un proveedor específico por ID
  * 
@@ -206,8 +264,17 @@ const obtenerProveedorPorId = async (id, opciones = {}) => {
  * @throws {SequelizeUniqueConstraintError} Si email duplicado (manejado en controlador)
  */
 const crearProveedor = async (datosProveedor) => {
-  const { nombre, email, contacto, telefono, direccion, ciudad, pais, activo } =
-    datosProveedor;
+  const {
+    nombre,
+    email,
+    contacto,
+    telefono,
+    direccion,
+    ciudad,
+    pais,
+    dias_entrega,
+    activo,
+  } = datosProveedor;
 
   // ✅ CREAR: Sequelize lanza error si viola unique constraint
   const nuevoProveedor = await proveedores.create({
@@ -218,6 +285,7 @@ const crearProveedor = async (datosProveedor) => {
     direccion: direccion?.trim() || null,
     ciudad: ciudad?.trim() || null,
     pais: pais?.trim() || "Colombia",
+    dias_entrega: dias_entrega ?? 3,
     activo: activo ?? true,
   });
 
@@ -261,6 +329,8 @@ const actualizarProveedor = async (id, datosActualizacion) => {
       fieldsToUpdate.ciudad = datosActualizacion.ciudad?.trim() || null;
     if (datosActualizacion.pais !== undefined)
       fieldsToUpdate.pais = datosActualizacion.pais?.trim() || null;
+    if (datosActualizacion.dias_entrega !== undefined)
+      fieldsToUpdate.dias_entrega = datosActualizacion.dias_entrega;
     if (datosActualizacion.activo !== undefined)
       fieldsToUpdate.activo = datosActualizacion.activo;
 
@@ -432,6 +502,7 @@ const obtenerEstadisticasCompletas = async () => {
 // =====================================================
 export default {
   obtenerProveedoresFiltrados,
+  exportarProveedores,
   obtenerProveedorPorId,
   crearProveedor,
   actualizarProveedor,
@@ -10,12 +10,27 @@ import {
   invalidateRecepcionesListCache,
   invalidateRecepcionProcesadaCache,
   generateCacheKey, // ✅ REUTILIZADO del cacheService existente
+  invalidateOrdenCompraCache,
 } from "./cacheService.js";
 
 import {
   actualizarStockAtomico,
   registrarMovimiento,
 } from "./inventarioService.js";
+import {
+  TARIFAS_IVA_VALIDAS,
+  porcentajeIva,
+  calcularIvaSobreBase,
+} from "../utils/iva.js";
+import {
+  validarOrdenParaRecepcion,
+  conciliarRecepcionConOrden,
+} from "./ordenesCompraService.js";
+import { registrarLoteRecepcion } from "./lotesService.js";
+import { costoVigente } from "../utils/costos.js";
+import { registrarCambiosPrecio } from "./historialPreciosService.js";
+import { recorrerEnLotes } from "../utils/exportacion.js";
+import { buscarProductoPorCodigoAdicional } from "./productosService.js";
 
 const {
   recepciones,
@@ -24,6 +39,7 @@ const {
   usuarios,
   productos,
   movimientos_inventario,
+  ordenes_compra,
 } = db;
 
 // =====================================================
@@ -35,7 +51,9 @@ const {
  * 
  * PRIORIDAD DE BÚSQUEDA:
  * 1. producto_id (más específico y rápido)
- * 2. codigo_barras (único, escaneo operativo)
+ * 2. codigo_barras (único, escaneo operativo). Si no es el código
+ *    principal se busca entre los códigos adicionales (empaques): el
+ *    multiplicador indica cuántas unidades trae cada empaque
  * 3. nombre (búsqueda exacta case-insensitive)
  * 
  * CONTEXTO OPERATIVO:
@@ -45,7 +63,7 @@ const {
  * 
  * @param {Object} identificador - Objeto con uno de: producto_id, codigo_barras, nombre
  * @param {Transaction} transaction - Transacción de Sequelize (opcional)
- * @returns {Promise<Object>} Producto encontrado
+ * @returns {Promise<Object>} { producto, metodo_busqueda, multiplicador }
  * @throws {Error} Si producto no encontrado o búsqueda ambigua
  */
 const buscarProductoPorIdentificador = async (identificador, transaction = null) => {
@@ -53,6 +71,7 @@ const buscarProductoPorIdentificador = async (identificador, transaction = null)
 
   let producto = null;
   let metodo_busqueda = null;
+  let multiplicador = 1;
 
   // ====================================================
   // PRIORIDAD 1: Búsqueda por ID (más rápido)
@@ -86,6 +105,18 @@ const buscarProductoPorIdentificador = async (identificador, transaction = null)
     });
     metodo_busqueda = "codigo_barras";
 
+    if (!producto) {
+      const adicional = await buscarProductoPorCodigoAdicional(codigo_barras, {
+        transaction,
+      });
+
+      if (adicional) {
+        producto = adicional.producto;
+        multiplicador = adicional.multiplicador;
+        metodo_busqueda = "codigo_adicional";
+      }
+    }
+
     if (!producto) {
       throw new Error(`PRODUCTO_NOT_FOUND_BY_BARCODE:${codigo_barras}`);
     }
@@ -101,7 +132,7 @@ const buscarProductoPorIdentificador = async (identificador, transaction = null)
         sequelize.fn('LOWER', sequelize.col('nombre')),
         sequelize.fn('LOWER', nombre.trim())
       ),
-      attributes: ['id', 'nombre', 'codigo_barras', 'precio_compra', 'stock_actual', 'activo'],
+      attributes: ['id', 'nombre', 'codigo_barras', 'precio_compra', 'stock_actual', 'activo', 'tarifa_iva', 'maneja_lotes'],
       transaction,
     });
 
@@ -174,6 +205,7 @@ const buscarProductoPorIdentificador = async (identificador, transaction = null)
   return {
     producto,
     metodo_busqueda, // Útil para logs y debugging
+    multiplicador, // Unidades por empaque (1 salvo códigos adicionales)
   };
 };
 
@@ -181,6 +213,30 @@ const buscarProductoPorIdentificador = async (identificador, transaction = null)
 // 🔍 OPERACIONES DE CONSULTA
 // =====================================================
 
+/**
+ * Construye el WHERE del listado de recepciones (compartido con la exportación)
+ */
+const construirWhereRecepciones = (filtros) => {
+  const { fecha_inicio, fecha_fin, proveedor_id, estado = "all" } = filtros;
+  const where = {};
+
+  if (fecha_inicio && fecha_fin) {
+    where.fecha_recepcion = {
+      [Op.between]: [fecha_inicio, fecha_fin],
+    };
+  }
+
+  if (proveedor_id) {
+    where.proveedor_id = proveedor_id;
+  }
+
+  if (estado !== "all") {
+    where.estado = estado;
+  }
+
+  return where;
+};
+
 /**
  * Obtiene recepciones con filtros, búsqueda y paginación
  */
@@ -201,21 +257,7 @@ const obtenerRecepcionesFiltradas = async (filtros) => {
   if (cached) return { ...cached, fromCache: true };
 
   // Construir filtros WHERE
-  const where = {};
-
-  if (fecha_inicio && fecha_fin) {
-    where.fecha_recepcion = {
-      [Op.between]: [fecha_inicio, fecha_fin],
-    };
-  }
-
-  if (proveedor_id) {
-    where.proveedor_id = proveedor_id;
-  }
-
-  if (estado !== "all") {
-    where.estado = estado;
-  }
+  const where = construirWhereRecepciones(filtros);
 
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -296,6 +338,39 @@ const obtenerRecepcionesFiltradas = async (filtros) => {
   return result;
 };
 
+/**
+ * Recorre por lotes todas las recepciones que cumplen los filtros del
+ * listado, sin paginación ni caché (exportación CSV/XLSX)
+ */
+const exportarRecepciones = (filtros) => {
+  const where = construirWhereRecepciones(filtros);
+
+  return recorrerEnLotes(({ limit, offset }) =>
+    recepciones.findAll({
+      where,
+      include: [
+        {
+          model: proveedores,
+          as: "proveedor",
+          attributes: ["id", "nombre"],
+        },
+        {
+          model: usuarios,
+          as: "usuario",
+          attributes: ["id", "nombre", "apellido"],
+        },
+      ],
+      order: [
+        ["fecha_recepcion", "DESC"],
+        ["fecha_creacion", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    })
+  );
+};
+
 /**
  * Obtiene una recepción específica por ID
  */
@@ -323,6 +398,11 @@ const obtenerRecepcionPorId = async (id, opciones = {}) => {
       as: "usuario",
       attributes: ["id", "nombre", "apellido"],
     },
+    {
+      model: ordenes_compra,
+      as: "orden_compra",
+      attributes: ["id", "numero_orden", "estado"],
+    },
   ];
 
   // Incluir productos si se solicita
@@ -493,22 +573,42 @@ const validarProveedor = async (proveedorId, transaction = null) => {
 
 /* ✅ ACTUALIZADO: Valida productos usando búsqueda flexible
  * Ahora acepta: producto_id OR codigo_barras OR nombre
+ * Los productos que manejan lotes exigen fecha de vencimiento, y el lote
+ * no puede llegar ya vencido a la fecha de la recepción
  */
-const validarProductos = async (productosRecepcion, transaction = null) => {
+const validarProductos = async (
+  productosRecepcion,
+  transaction = null,
+  fechaRecepcion = null
+) => {
   const productosValidados = [];
-  let total = 0;
+  let subtotalRecepcion = 0;
+  let totalIva = 0;
 
   // Validar productos duplicados (por cualquier identificador)
   const identificadoresUsados = new Set();
 
-  for (const item of productosRecepcion) {
+  for (const linea of productosRecepcion) {
     // ====================================================
     // ✅ NUEVA LÓGICA: Búsqueda flexible de producto
     // ====================================================
-    const { producto, metodo_busqueda } = await buscarProductoPorIdentificador(
-      item,
-      transaction
-    );
+    const { producto, metodo_busqueda, multiplicador } =
+      await buscarProductoPorIdentificador(linea, transaction);
+
+    // ====================================================
+    // EMPAQUES: la factura viene por caja, el stock va por unidad
+    // ====================================================
+    const item =
+      multiplicador === 1
+        ? linea
+        : {
+            ...linea,
+            cantidad: parseFloat((linea.cantidad * multiplicador).toFixed(3)),
+            precio_unitario: parseFloat(
+              (linea.precio_unitario / multiplicador).toFixed(2)
+            ),
+            multiplicador,
+          };
 
     // ====================================================
     // VALIDACIÓN: Detectar productos duplicados en la misma recepción
@@ -532,13 +632,42 @@ const validarProductos = async (productosRecepcion, transaction = null) => {
 
     identificadoresUsados.add(identificadorUnico);
 
+    // ====================================================
+    // VALIDACIÓN: Lote y vencimiento de perecederos
+    // ====================================================
+    if (producto.maneja_lotes && !item.fecha_vencimiento) {
+      throw new Error(
+        `FECHA_VENCIMIENTO_REQUERIDA:${producto.id}:${producto.nombre}`
+      );
+    }
+
+    // Normalizar a DATEONLY (Joi entrega objetos Date)
+    const fechaVencimiento = item.fecha_vencimiento
+      ? new Date(item.fecha_vencimiento).toISOString().split("T")[0]
+      : null;
+
+    if (
+      fechaVencimiento &&
+      fechaRecepcion &&
+      fechaVencimiento < new Date(fechaRecepcion).toISOString().split("T")[0]
+    ) {
+      throw new Error(`LOTE_VENCIDO_AL_RECIBIR:${producto.id}:${fechaVencimiento}`);
+    }
+
     // ====================================================
     // CÁLCULO DE SUBTOTAL
     // ====================================================
     const subtotal = parseFloat(
       (item.cantidad * item.precio_unitario).toFixed(2)
     );
-    total += subtotal;
+
+    // El precio de compra se factura antes de IVA; la tarifa puede venir
+    // en la línea (según factura del proveedor) o se toma del producto
+    const tarifaIva = item.tarifa_iva || producto.tarifa_iva;
+    const { iva } = calcularIvaSobreBase(subtotal, tarifaIva);
+
+    subtotalRecepcion += subtotal;
+    totalIva += iva;
 
     // ====================================================
     // AGREGAR A LISTA DE VALIDADOS
@@ -549,6 +678,9 @@ const validarProductos = async (productosRecepcion, transaction = null) => {
       producto, // Objeto completo del producto
       metodo_busqueda, // Para auditoría/logs
       subtotal,
+      tarifa_iva: tarifaIva,
+      valor_iva: iva,
+      fecha_vencimiento: fechaVencimiento,
     });
 
     // ====================================================
@@ -567,17 +699,28 @@ const validarProductos = async (productosRecepcion, transaction = null) => {
         `   Encontrado: ${producto.nombre} (ID: ${producto.id})\n` +
         `   Cantidad: ${item.cantidad}\n` +
         `   Precio: $${item.precio_unitario}\n` +
-        `   Subtotal: $${subtotal}`
+        `   Subtotal: $${subtotal}\n` +
+        `   IVA (${tarifaIva}): $${iva}`
       );
     }
   }
 
-  return { productosValidados, total: parseFloat(total.toFixed(2)) };
+  subtotalRecepcion = parseFloat(subtotalRecepcion.toFixed(2));
+  totalIva = parseFloat(totalIva.toFixed(2));
+
+  return {
+    productosValidados,
+    subtotal: subtotalRecepcion,
+    total_iva: totalIva,
+    total: parseFloat((subtotalRecepcion + totalIva).toFixed(2)),
+  };
 };
 
 
 /**
  * Crea nueva recepción con validaciones de negocio
+ * Si llega orden_compra_id, la orden debe estar enviada o parcialmente
+ * recibida y ser del mismo proveedor
  */
 const crearRecepcion = async (datosRecepcion, usuarioId) => {
   const transaction = await sequelize.transaction();
@@ -588,6 +731,7 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
       proveedor_id,
       fecha_recepcion,
       observaciones,
+      orden_compra_id,
       productos: productosRecepcion,
     } = datosRecepcion;
 
@@ -615,6 +759,15 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
     // Validar que el proveedor existe y está activo
     await validarProveedor(proveedor_id, transaction);
 
+    // Recepción contra orden de compra (opcional)
+    if (orden_compra_id) {
+      await validarOrdenParaRecepcion(
+        orden_compra_id,
+        proveedor_id,
+        transaction
+      );
+    }
+
     // Validar que no existe una factura con el mismo número del mismo proveedor
     const validacionFactura = await validarFacturaUnica(
       numero_factura,
@@ -626,19 +779,20 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
       );
     }
 
-    // Validar productos y calcular total
-    const { productosValidados, total } = await validarProductos(
-      productosRecepcion,
-      transaction
-    );
+    // Validar productos y calcular base, IVA y total
+    const { productosValidados, subtotal, total_iva, total } =
+      await validarProductos(productosRecepcion, transaction, fecha_recepcion);
 
     // Crear la recepción
     const nuevaRecepcion = await recepciones.create(
       {
         numero_factura: numero_factura.trim(),
         proveedor_id,
+        orden_compra_id: orden_compra_id || null,
         usuario_id: usuarioId,
         fecha_recepcion,
+        subtotal,
+        total_iva,
         total,
         observaciones: observaciones?.trim() || null,
         estado: "pendiente",
@@ -653,6 +807,10 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
       cantidad: item.cantidad,
       precio_unitario: item.precio_unitario,
       subtotal: item.subtotal,
+      tarifa_iva: item.tarifa_iva,
+      valor_iva: item.valor_iva,
+      numero_lote: item.numero_lote?.trim() || null,
+      fecha_vencimiento: item.fecha_vencimiento || null,
     }));
 
     await detalle_recepciones.bulkCreate(detallesData, { transaction });
@@ -661,6 +819,9 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
 
     // Invalidar caché
     await invalidateRecepcionesListCache();
+    if (orden_compra_id) {
+      await invalidateOrdenCompraCache(orden_compra_id);
+    }
 
     // ✅ NUEVO: Log de auditoría mejorado
     console.log(
@@ -668,8 +829,10 @@ const crearRecepcion = async (datosRecepcion, usuarioId) => {
       `   ID: ${nuevaRecepcion.id}\n` +
       `   Factura: ${numero_factura}\n` +
       `   Proveedor: ${proveedor_id}\n` +
+      `   Orden de compra: ${orden_compra_id || "sin orden"}\n` +
       `   Fecha: ${fecha_recepcion}\n` +
       `   Total productos: ${productosValidados.length}\n` +
+      `   Base: $${subtotal} | IVA: $${total_iva}\n` +
       `   Valor total: $${total}\n` +
       `   Usuario: ${usuarioId}\n` +
       `   Timestamp: ${new Date().toISOString()}`
@@ -726,6 +889,10 @@ const actualizarRecepcion = async (id, datosActualizacion) => {
 
 /**
  * Procesa recepción (actualiza inventario y crea movimientos)
+ * Cada entrada recalcula el costo promedio ponderado con el precio facturado;
+ * actualizar_precios solo decide si precio_compra guarda el último precio.
+ * Si viene de una orden de compra, acumula lo recibido en la orden y
+ * reporta sobre-entregas, faltantes y diferencias contra el precio acordado
  */
 const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
   const transaction = await sequelize.transaction();
@@ -759,6 +926,7 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
             "stock_actual",
             "precio_compra",
             "activo",
+            "maneja_lotes",
           ],
         },
       ],
@@ -803,16 +971,29 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
         observacionesFinales += ` [ADVERTENCIA: Producto "${producto.nombre}" procesado estando inactivo]`;
       }
 
-      // 1️⃣ ✅ Actualizar stock de forma atómica (reutiliza función centralizada)
+      // 1️⃣ ✅ Actualizar stock y costo promedio de forma atómica
       const productoActualizado = await actualizarStockAtomico(
         detalle.producto_id,
         cantidad,
         "entrada", // Recepción = entrada
-        transaction
+        transaction,
+        parseFloat(detalle.precio_unitario)
       );
 
-      // 2️⃣ Actualizar precio de compra si se solicita
+      // 2️⃣ Guardar el último precio facturado si se solicita (con historial)
       if (actualizar_precios) {
+        await registrarCambiosPrecio(
+          producto,
+          { precio_compra: detalle.precio_unitario },
+          {
+            origen: "recepcion",
+            referencia_id: recepcion.id,
+            usuario_id: usuarioId,
+            motivo: `Factura ${recepcion.numero_factura}`,
+          },
+          transaction
+        );
+
         await productos.update(
           { precio_compra: detalle.precio_unitario },
           {
@@ -822,7 +1003,13 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
         );
       }
 
-      // 3️⃣ ✅ Registrar movimiento de forma centralizada
+      // 3️⃣ Registrar el lote de perecederos (para consumo FEFO en ventas)
+      const lote =
+        producto.maneja_lotes && detalle.fecha_vencimiento
+          ? await registrarLoteRecepcion(detalle, transaction)
+          : null;
+
+      // 4️⃣ ✅ Registrar movimiento de forma centralizada
       await registrarMovimiento(
         {
           producto_id: detalle.producto_id,
@@ -833,6 +1020,8 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
           referencia_tipo: "recepcion",
           referencia_id: id,
           usuario_id: usuarioId,
+          lote_id: lote?.id || null,
+          costo_unitario: costoVigente(productoActualizado),
           observaciones:
             observacionesFinales.trim() ||
             `Recepción ${recepcion.numero_factura} - Proveedor ${recepcion.proveedor_id}`,
@@ -841,6 +1030,11 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
       );
     }
 
+    // Conciliar contra la orden de compra (cantidades y precios acordados)
+    const conciliacionOrden = recepcion.orden_compra_id
+      ? await conciliarRecepcionConOrden(recepcion, detalles, transaction)
+      : null;
+
     // Actualizar estado de la recepción
     await recepcion.update(
       {
@@ -857,6 +1051,9 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
 
     // Invalidar caché (incluye productos e inventario)
     await invalidateRecepcionProcesadaCache(id, recepcion.proveedor_id);
+    if (recepcion.orden_compra_id) {
+      await invalidateOrdenCompraCache(recepcion.orden_compra_id);
+    }
 
     // ✅ NUEVO: Log especial si hubo productos inactivos
     if (productosInactivos.length > 0) {
@@ -879,6 +1076,7 @@ const procesarRecepcion = async (id, usuarioId, opciones = {}) => {
             mensaje: `Se procesaron ${productosInactivos.length} producto(s) inactivo(s). Revise el inventario.`,
           }
           : null,
+      conciliacion_orden: conciliacionOrden,
     };
   } catch (error) {
     await transaction.rollback();
@@ -988,11 +1186,58 @@ const obtenerEstadisticasCompletas = async (filtros = {}) => {
         ),
         "valor_total_procesadas",
       ],
+      [
+        sequelize.fn(
+          "SUM",
+          sequelize.literal(
+            "CASE WHEN estado = 'procesada' THEN total_iva ELSE 0 END"
+          )
+        ),
+        "iva_descontable_procesadas",
+      ],
       [sequelize.fn("AVG", sequelize.col("total")), "valor_promedio_recepcion"],
     ],
     raw: true,
   });
 
+  // Compras procesadas por tarifa de IVA (IVA descontable)
+  const comprasPorTarifa = await detalle_recepciones.findAll({
+    include: [
+      {
+        model: recepciones,
+        as: "recepcion",
+        where: { ...where, estado: "procesada" },
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "tarifa_iva",
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_recepciones.subtotal")),
+        "base",
+      ],
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_recepciones.valor_iva")),
+        "iva",
+      ],
+    ],
+    group: ["tarifa_iva"],
+    raw: true,
+  });
+
+  const desgloseIva = TARIFAS_IVA_VALIDAS.map((tarifa) => {
+    const compras = comprasPorTarifa.find((c) => c.tarifa_iva === tarifa);
+    const base = parseFloat(compras?.base || 0);
+    const iva = parseFloat(compras?.iva || 0);
+    return {
+      tarifa_iva: tarifa,
+      porcentaje: porcentajeIva(tarifa),
+      base,
+      iva,
+      total: parseFloat((base + iva).toFixed(2)),
+    };
+  }).filter((t) => t.base > 0);
+
   // Estadísticas por proveedor (top 10)
   const estadisticasPorProveedor = await recepciones.findAll({
     where,
@@ -1028,6 +1273,7 @@ const obtenerEstadisticasCompletas = async (filtros = {}) => {
     data: {
       resumen: estadisticasPrincipales[0],
       por_proveedor: estadisticasPorProveedor,
+      desglose_iva: desgloseIva,
     },
     metadata: {
       periodo:
@@ -1050,6 +1296,7 @@ const obtenerEstadisticasCompletas = async (filtros = {}) => {
 export default {
   // Consultas
   obtenerRecepcionesFiltradas,
+  exportarRecepciones,
   obtenerRecepcionPorId,
 
   // Escritura
@@ -0,0 +1,282 @@
+// services/sesionesService.js - Registro de sesiones (tokens emitidos)
+import redisClient from "../config/redis.js";
+
+// =====================================================
+// 🔑 ESTRUCTURA EN REDIS
+// =====================================================
+// sesion:{jti}                       → JSON de la sesión
+// sesion:{jti}:refresh               → hash del refresh token vigente
+// sesion:{jti}:refresh_usados        → SET de hashes ya rotados
+// sesiones:usuario:{userId}          → SET con los jti del usuario
+//
+// Una sesión es una familia de tokens: todos los access tokens que se
+// emiten con sus refresh tokens llevan el mismo jti. Las claves expiran con
+// el refresh token vigente (se extienden en cada rotación).
+//
+// Fuera del prefijo "auth:" a propósito: las invalidaciones de caché de
+// autenticación (perfil, estado) no deben cerrar sesiones. Una sesión solo
+// se elimina al revocarla o cuando vence su refresh token.
+
+const PREFIJO_SESION = "sesion";
+const PREFIJO_SESIONES_USUARIO = "sesiones:usuario";
+
+// Cada cuánto se actualiza ultimo_uso (evita una escritura por request)
+const INTERVALO_ULTIMO_USO_MS = 60 * 1000;
+
+const claveSesion = (jti) => `${PREFIJO_SESION}:${jti}`;
+const claveRefresh = (jti) => `${claveSesion(jti)}:refresh`;
+const claveRefreshUsados = (jti) => `${claveSesion(jti)}:refresh_usados`;
+const claveSesionesUsuario = (usuarioId) =>
+  `${PREFIJO_SESIONES_USUARIO}:${usuarioId}`;
+
+// Todas las claves de una sesión (para revocarla)
+const clavesDeSesion = (jti) => [
+  claveSesion(jti),
+  claveRefresh(jti),
+  claveRefreshUsados(jti),
+];
+
+// Rotación atómica: solo el hash vigente puede rotarse, y una sola vez.
+// Un hash ya rotado que vuelve a presentarse es reutilización.
+const SCRIPT_ROTAR_REFRESH = `
+local actual = redis.call("GET", KEYS[1])
+if not actual then return "invalido" end
+if actual == ARGV[1] then
+  redis.call("SET", KEYS[1], ARGV[2], "EX", ARGV[3])
+  redis.call("SADD", KEYS[2], ARGV[1])
+  redis.call("EXPIRE", KEYS[2], ARGV[3])
+  return "ok"
+end
+if redis.call("SISMEMBER", KEYS[2], ARGV[1]) == 1 then return "reutilizado" end
+return "invalido"
+`;
+
+const segundosHasta = (expira) =>
+  Math.max(expira - Math.floor(Date.now() / 1000), 1);
+
+/**
+ * Extiende el índice del usuario para que viva al menos ttl segundos
+ */
+const extenderIndiceUsuario = async (usuarioId, ttl) => {
+  const claveUsuario = claveSesionesUsuario(usuarioId);
+  const ttlIndice = await redisClient.ttl(claveUsuario);
+  if (ttlIndice < ttl) {
+    await redisClient.expire(claveUsuario, ttl);
+  }
+};
+
+// =====================================================
+// 📝 REGISTRO Y CONSULTA
+// =====================================================
+
+/**
+ * Registra la sesión de un login
+ * @param {Object} datos
+ * @param {string} datos.jti - ID de la sesión (jti de sus access tokens)
+ * @param {number} datos.usuarioId
+ * @param {number} datos.expira - Vencimiento del refresh token (segundos epoch)
+ * @param {string} datos.refreshHash - Hash del primer refresh token
+ * @param {string} datos.ip - IP del login (opcional)
+ * @param {string} datos.userAgent - Navegador/dispositivo (opcional)
+ * @returns {Object} Sesión registrada
+ */
+const registrarSesion = async ({
+  jti,
+  usuarioId,
+  expira,
+  refreshHash,
+  ip,
+  userAgent,
+}) => {
+  const ahora = new Date().toISOString();
+  const ttl = segundosHasta(expira);
+
+  const sesion = {
+    jti,
+    usuario_id: usuarioId,
+    creada: ahora,
+    ultimo_uso: ahora,
+    expira: new Date(expira * 1000).toISOString(),
+    ip: ip || null,
+    user_agent: userAgent || null,
+  };
+
+  await redisClient
+    .multi()
+    .setEx(claveSesion(jti), ttl, JSON.stringify(sesion))
+    .setEx(claveRefresh(jti), ttl, refreshHash)
+    .sAdd(claveSesionesUsuario(usuarioId), jti)
+    .exec();
+
+  // El índice del usuario vive al menos tanto como su sesión más larga
+  await extenderIndiceUsuario(usuarioId, ttl);
+
+  return sesion;
+};
+
+/**
+ * Rota el refresh token de una sesión
+ * @param {string} jti - Sesión
+ * @param {string} hashPresentado - Hash del refresh token recibido
+ * @param {string} hashNuevo - Hash del refresh token que lo reemplaza
+ * @param {number} expira - Nuevo vencimiento de la sesión (segundos epoch)
+ * @returns {string} "ok" | "reutilizado" (token ya rotado) | "invalido"
+ *   (sesión vencida/revocada o token desconocido)
+ */
+const rotarRefreshSesion = async (jti, hashPresentado, hashNuevo, expira) => {
+  const ttl = segundosHasta(expira);
+
+  const resultado = await redisClient.eval(SCRIPT_ROTAR_REFRESH, {
+    keys: [claveRefresh(jti), claveRefreshUsados(jti)],
+    arguments: [hashPresentado, hashNuevo, String(ttl)],
+  });
+
+  if (resultado !== "ok") return resultado;
+
+  const sesion = await obtenerSesion(jti);
+  if (!sesion) return "invalido";
+
+  await redisClient.set(
+    claveSesion(jti),
+    JSON.stringify({
+      ...sesion,
+      ultimo_uso: new Date().toISOString(),
+      expira: new Date(expira * 1000).toISOString(),
+    }),
+    { EX: ttl, XX: true }
+  );
+  await extenderIndiceUsuario(sesion.usuario_id, ttl);
+
+  return "ok";
+};
+
+/**
+ * Obtiene una sesión vigente
+ * @param {string} jti
+ * @returns {Object|null} null si fue revocada o el token venció
+ */
+const obtenerSesion = async (jti) => {
+  const valor = await redisClient.get(claveSesion(jti));
+  return valor ? JSON.parse(valor) : null;
+};
+
+/**
+ * Actualiza ultimo_uso de la sesión (como mucho una vez por minuto)
+ * @param {Object} sesion - Sesión obtenida con obtenerSesion
+ */
+const registrarUsoSesion = async (sesion) => {
+  if (Date.now() - new Date(sesion.ultimo_uso).getTime() < INTERVALO_ULTIMO_USO_MS) {
+    return;
+  }
+
+  // XX: si la sesión se revocó entre la lectura y esta escritura, no revivirla
+  await redisClient.set(
+    claveSesion(sesion.jti),
+    JSON.stringify({ ...sesion, ultimo_uso: new Date().toISOString() }),
+    { KEEPTTL: true, XX: true }
+  );
+};
+
+/**
+ * Lista las sesiones vigentes de un usuario (más reciente primero).
+ * Los jti cuyas sesiones ya vencieron se limpian del índice.
+ * @param {number} usuarioId
+ * @returns {Array} Sesiones
+ */
+const listarSesionesUsuario = async (usuarioId) => {
+  const claveUsuario = claveSesionesUsuario(usuarioId);
+  const jtis = await redisClient.sMembers(claveUsuario);
+  if (jtis.length === 0) return [];
+
+  const valores = await redisClient.mGet(jtis.map(claveSesion));
+  const vencidas = jtis.filter((_, i) => !valores[i]);
+
+  if (vencidas.length > 0) {
+    await redisClient.sRem(claveUsuario, vencidas);
+  }
+
+  return valores
+    .filter(Boolean)
+    .map((valor) => JSON.parse(valor))
+    .sort((a, b) => b.creada.localeCompare(a.creada));
+};
+
+// =====================================================
+// 🚫 REVOCACIÓN
+// =====================================================
+
+/**
+ * Revoca una sesión del usuario
+ * @param {string} jti
+ * @param {number} usuarioId - Dueño de la sesión
+ * @returns {boolean} false si no existe o es de otro usuario
+ */
+const revocarSesion = async (jti, usuarioId) => {
+  const sesion = await obtenerSesion(jti);
+
+  if (!sesion || Number(sesion.usuario_id) !== Number(usuarioId)) {
+    return false;
+  }
+
+  await redisClient
+    .multi()
+    .del(clavesDeSesion(jti))
+    .sRem(claveSesionesUsuario(usuarioId), jti)
+    .exec();
+
+  return true;
+};
+
+/**
+ * Revoca todas las sesiones de un usuario
+ * @param {number} usuarioId
+ * @param {Object} opciones
+ * @param {string} opciones.excepto - jti a conservar (ej: la sesión actual)
+ * @returns {number} Sesiones revocadas
+ */
+const revocarSesionesUsuario = async (usuarioId, { excepto = null } = {}) => {
+  const claveUsuario = claveSesionesUsuario(usuarioId);
+  const jtis = (await redisClient.sMembers(claveUsuario)).filter(
+    (jti) => jti !== excepto
+  );
+  if (jtis.length === 0) return 0;
+
+  const [eliminadas] = await redisClient
+    .multi()
+    .del(jtis.map(claveSesion))
+    .del(jtis.flatMap((jti) => [claveRefresh(jti), claveRefreshUsados(jti)]))
+    .sRem(claveUsuario, jtis)
+    .exec();
+
+  if (eliminadas > 0) {
+    console.log(
+      `🚫 ${eliminadas} sesión(es) revocada(s) del usuario ID: ${usuarioId}`
+    );
+  }
+
+  return eliminadas;
+};
+
+// =====================================================
+// 📤 EXPORTACIONES
+// =====================================================
+// Usadas por el middleware de autenticación y los servicios de usuarios
+export {
+  registrarSesion,
+  rotarRefreshSesion,
+  obtenerSesion,
+  registrarUsoSesion,
+  listarSesionesUsuario,
+  revocarSesion,
+  revocarSesionesUsuario,
+};
+
+export default {
+  registrarSesion,
+  rotarRefreshSesion,
+  obtenerSesion,
+  registrarUsoSesion,
+  listarSesionesUsuario,
+  revocarSesion,
+  revocarSesionesUsuario,
+};
@@ -14,6 +14,7 @@ import {
   invalidateUserPasswordCache,
   smartCacheKey, // ✅ NUEVO: Función inteligente para caché
 } from "./cacheService.js";
+import { revocarSesionesUsuario } from "./sesionesService.js";
 
 const { usuarios } = db;
 
@@ -443,6 +444,11 @@ const actualizarUsuario = async (id, datosActualizacion) => {
       console.log(`🔐 Contraseña actualizada para usuario ${usuario.username} - Sesiones invalidadas`);
     }
 
+    // Nueva contraseña o desactivación: cerrar las sesiones abiertas
+    if (passwordCambiado || fieldsToUpdate.activo === false) {
+      await revocarSesionesUsuario(id);
+    }
+
     console.log(
       `✅ Usuario actualizado: ${usuario.username} (Campos: ${Object.keys(fieldsToUpdate).join(", ")})`
     );
@@ -510,6 +516,9 @@ const toggleEstadoUsuario = async (id, usuarioActualId) => {
     // =====================================================
     await invalidateUserStatusCache(id, usuario.username, usuario.email);
 
+    // Un usuario desactivado pierde sus sesiones abiertas
+    const sesionesCerradas = nuevoEstado ? 0 : await revocarSesionesUsuario(id);
+
     const accion = nuevoEstado ? "activado" : "desactivado";
     console.log(
       `${nuevoEstado ? "✅" : "⚠️"} Usuario ${accion}: ${usuario.username} (ID: ${id})`
@@ -519,6 +528,7 @@ const toggleEstadoUsuario = async (id, usuarioActualId) => {
       usuario: await usuario.reload(),
       estado_anterior: estadoAnterior,
       estado_nuevo: nuevoEstado,
+      sesiones_cerradas: sesionesCerradas,
     };
   } catch (error) {
     await transaction.rollback();
@@ -584,6 +594,7 @@ const resetearPassword = async (id, passwordNuevo, usuarioActualId) => {
     // 🗑️ INVALIDAR CACHÉ DE AUTENTICACIÓN Y SESIONES
     // =====================================================
     await invalidateUserPasswordCache(id, usuario.username);
+    await revocarSesionesUsuario(id);
 
     console.log(
       `🔐 Contraseña reseteada para: ${usuario.username} (ID: ${id}) por admin ID: ${usuarioActualId}`
@@ -10,55 +10,141 @@ import {
   invalidateVentasListCache,
   invalidateVentaProcesadaCache,
   invalidateVentaAnuladaCache,
+  invalidateClienteComprasCache,
+  invalidateCreditoCache,
   generateCacheKey,
+  smartCacheKey,
 } from "./cacheService.js";
 
 import {
   registrarMovimiento,
   actualizarStockAtomico,
 } from "./inventarioService.js";
+import { obtenerSesionAbierta } from "./cajaService.js";
+import {
+  consumirLotesFEFO,
+  restaurarLotesDetalle,
+} from "./lotesService.js";
+import { evaluarPromociones } from "./promocionesService.js";
+import { resolverClienteVenta } from "./clientesService.js";
+import {
+  registrarCuentaPorCobrar,
+  reversarCuentaPorCobrar,
+  ajustarCuentaPorDevolucion,
+} from "./creditoService.js";
+import {
+  TARIFAS_IVA_VALIDAS,
+  porcentajeIva,
+  desglosarIvaIncluido,
+} from "../utils/iva.js";
+import { costoVigente, costoVigenteSQL } from "../utils/costos.js";
+import { recorrerEnLotes } from "../utils/exportacion.js";
+import {
+  buscarProductoPorCodigoAdicional,
+  buscarProductoPorCodigoBalanza,
+} from "./productosService.js";
+
+const {
+  ventas,
+  detalle_ventas,
+  devoluciones,
+  detalle_devoluciones,
+  usuarios,
+  productos,
+  categorias,
+  promociones,
+  clientes,
+  pagos_venta,
+  movimientos_inventario,
+  detalle_venta_lotes,
+  lotes_producto,
+} = db;
+
+// Estados de venta que cuentan como ingreso (las anuladas se excluyen)
+const ESTADOS_VENTA_VIGENTES = ["activa", "parcialmente_devuelta", "devuelta"];
+
+// Formato del período para el reporte de margen (semana ISO: 2024-W07)
+const FORMATOS_PERIODO = {
+  dia: "%Y-%m-%d",
+  semana: "%x-W%v",
+  mes: "%Y-%m",
+};
+
+// WEEKDAY() de MySQL: 0 = lunes
+const DIAS_SEMANA = [
+  "lunes",
+  "martes",
+  "miércoles",
+  "jueves",
+  "viernes",
+  "sábado",
+  "domingo",
+];
 
-const { ventas, detalle_ventas, usuarios, productos, movimientos_inventario } =
-  db;
+// Una venta "mixto" puede incluir una línea a crédito; si no la tiene, las
+// funciones de crédito no encuentran cuenta por cobrar y no hacen nada
+const puedeTenerCredito = (venta) =>
+  Boolean(venta.cliente_id) && ["credito", "mixto"].includes(venta.metodo_pago);
 
 // =====================================================
 // OPERACIONES DE CONSULTA
 // =====================================================
 
 /**
- * Obtiene ventas con filtros, búsqueda y paginación
+ * Construye el WHERE del listado de ventas (compartido con la exportación)
  */
-const obtenerVentasFiltradas = async (filtros) => {
+const construirWhereVentas = (filtros) => {
   const {
     fecha_inicio = "2000-01-01",
     fecha_fin = "2100-12-31",
     usuario_id,
     metodo_pago,
-    page = 1,
-    limit = 20,
   } = filtros;
 
-  // Generar clave de caché
-  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_LIST, filtros);
-  const cached = await cacheGet(cacheKey);
-  if (cached) return { ...cached, fromCache: true };
-
-  // Construir filtros WHERE
   const where = {
     fecha_venta: {
       [Op.between]: [fecha_inicio, fecha_fin],
     },
-    estado: "activa", // Solo ventas activas por defecto
+    estado: { [Op.in]: ESTADOS_VENTA_VIGENTES }, // Excluye anuladas por defecto
   };
 
   if (usuario_id) {
     where.usuario_id = usuario_id;
   }
 
+  // Filtra por las líneas de pago: una venta mixta aparece en cada método usado
   if (metodo_pago) {
-    where.metodo_pago = metodo_pago;
+    where.id = {
+      [Op.in]: sequelize.literal(
+        `(SELECT venta_id FROM pagos_venta WHERE metodo_pago = ${sequelize.escape(metodo_pago)})`
+      ),
+    };
   }
 
+  return where;
+};
+
+/**
+ * Obtiene ventas con filtros, búsqueda y paginación
+ */
+const obtenerVentasFiltradas = async (filtros) => {
+  const {
+    fecha_inicio = "2000-01-01",
+    fecha_fin = "2100-12-31",
+    usuario_id,
+    metodo_pago,
+    page = 1,
+    limit = 20,
+  } = filtros;
+
+  // Generar clave de caché
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_LIST, filtros);
+  const cached = await cacheGet(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  // Construir filtros WHERE
+  const where = construirWhereVentas(filtros);
+
   const offset = (parseInt(page) - 1) * parseInt(limit);
 
   const { count, rows } = await ventas.findAndCountAll({
@@ -69,6 +155,11 @@ const obtenerVentasFiltradas = async (filtros) => {
         as: "usuario",
         attributes: ["id", "nombre", "apellido"],
       },
+      {
+        model: pagos_venta,
+        as: "pagos",
+        attributes: ["metodo_pago", "monto"],
+      },
     ],
     order: [
       ["fecha_venta", "DESC"],
@@ -107,12 +198,45 @@ const obtenerVentasFiltradas = async (filtros) => {
   return result;
 };
 
+/**
+ * Recorre por lotes todas las ventas que cumplen los filtros del listado,
+ * sin paginación ni caché (exportación CSV/XLSX)
+ */
+const exportarVentas = (filtros) => {
+  const where = construirWhereVentas(filtros);
+
+  return recorrerEnLotes(({ limit, offset }) =>
+    ventas.findAll({
+      where,
+      include: [
+        {
+          model: usuarios,
+          as: "usuario",
+          attributes: ["id", "nombre", "apellido"],
+        },
+        {
+          model: clientes,
+          as: "cliente",
+          attributes: ["id", "numero_documento", "nombre"],
+        },
+      ],
+      order: [
+        ["fecha_venta", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    })
+  );
+};
+
 /**
  * Obtiene una venta específica por ID
  */
 const obtenerVentaPorId = async (id) => {
   // Generar clave de caché
-  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTA, { ventaId: id });
+  // Misma clave que usa invalidateVentaCache
+  const cacheKey = smartCacheKey(CACHE_PREFIXES.VENTA, id);
   const cached = await cacheGet(cacheKey);
 
   if (cached) {
@@ -141,6 +265,67 @@ const obtenerVentaPorId = async (id) => {
             as: "producto",
             attributes: ["id", "nombre", "codigo_barras", "descripcion"],
           },
+          {
+            model: promociones,
+            as: "promocion",
+            attributes: ["id", "nombre", "tipo", "alcance"],
+          },
+          {
+            model: detalle_venta_lotes,
+            as: "lotes",
+            attributes: ["lote_id", "cantidad", "cantidad_devuelta"],
+            include: [
+              {
+                model: lotes_producto,
+                as: "lote",
+                attributes: ["numero_lote", "fecha_vencimiento"],
+              },
+            ],
+          },
+        ],
+      },
+      {
+        model: promociones,
+        as: "promocion_ticket",
+        attributes: ["id", "nombre", "porcentaje"],
+      },
+      {
+        model: pagos_venta,
+        as: "pagos",
+        attributes: [
+          "id",
+          "metodo_pago",
+          "monto",
+          "monto_recibido",
+          "cambio",
+          "referencia",
+        ],
+      },
+      {
+        model: clientes,
+        as: "cliente",
+        attributes: [
+          "id",
+          "tipo_documento",
+          "numero_documento",
+          "nombre",
+          "email",
+        ],
+      },
+      {
+        model: devoluciones,
+        as: "devoluciones",
+        include: [
+          {
+            model: detalle_devoluciones,
+            as: "detalle_devoluciones",
+            attributes: ["id", "producto_id", "cantidad", "precio_unitario", "subtotal"],
+          },
+          {
+            model: usuarios,
+            as: "usuario",
+            attributes: ["id", "nombre", "apellido"],
+          },
         ],
       },
     ],
@@ -150,10 +335,22 @@ const obtenerVentaPorId = async (id) => {
     return null;
   }
 
+  const totalDevuelto = (venta.devoluciones || []).reduce(
+    (acc, devolucion) => acc + parseFloat(devolucion.total),
+    0
+  );
+
+  const descuentoTotal = parseFloat(venta.descuento_total) || 0;
+
   const metadata = {
     total_productos: venta.detalle_venta?.length || 0,
     estado: venta.estado,
     anulada: venta.estado === "anulada",
+    total_bruto: parseFloat((parseFloat(venta.total) + descuentoTotal).toFixed(2)),
+    total_descuento: descuentoTotal,
+    total_devoluciones: venta.devoluciones?.length || 0,
+    total_devuelto: parseFloat(totalDevuelto.toFixed(2)),
+    total_neto: parseFloat((parseFloat(venta.total) - totalDevuelto).toFixed(2)),
   };
 
   const result = { data: venta, metadata, fromCache: false };
@@ -179,10 +376,18 @@ const obtenerVentaPorId = async (id) => {
  * 
  * 🎯 CONTEXTO: Caja registradora real donde se escanean códigos de barras
  * 
+ * 📦 Si el código de barras no es el principal, se busca entre los códigos
+ * adicionales: la cantidad se multiplica por las unidades del empaque
+ * (escanear la caja x12 con cantidad 1 descuenta 12 unidades)
+ *
+ * ⚖️ Si tampoco está, se intenta como etiqueta de balanza (PLU +
+ * peso/precio): la cantidad sale de la etiqueta
+ * 
  * @param {Array} productosVenta - Array de productos con identificador flexible
  * @param {Transaction} transaction - Transacción de Sequelize
  * @returns {Promise<Object>} { productosValidados, total }
  * @throws {Error} PRODUCTO_NOT_FOUND:{identificador} si no se encuentra
+ * @throws {Error} CANTIDAD_REQUERIDA:{identificador} si falta la cantidad
  * @throws {Error} STOCK_INSUFICIENTE:{nombre}:{stock}:{requerido} si no hay stock
  */
 const validarProductosYStock = async (productosVenta, transaction) => {
@@ -218,11 +423,49 @@ const validarProductosYStock = async (productosVenta, transaction) => {
     }
 
     // ✅ BUSCAR PRODUCTO con cláusula dinámica
-    const producto = await productos.findOne({
+    let producto = await productos.findOne({
       where: whereClause,
       transaction,
     });
 
+    let cantidadLinea = item.cantidad;
+    let codigoAdicional = null;
+    let lecturaBalanza = null;
+
+    // 📦 Código adicional: la cantidad va en empaques, el stock en unidades
+    if (!producto && item.codigo_barras) {
+      const adicional = await buscarProductoPorCodigoAdicional(
+        item.codigo_barras,
+        { transaction }
+      );
+
+      if (adicional) {
+        producto = adicional.producto;
+        codigoAdicional = adicional.codigo;
+        identificadorTipo = "código adicional";
+
+        if (cantidadLinea !== undefined && cantidadLinea !== null) {
+          cantidadLinea = parseFloat(
+            (cantidadLinea * adicional.multiplicador).toFixed(3)
+          );
+        }
+      }
+    }
+
+    // ⚖️ Etiqueta de balanza: el peso (o precio) impreso define la cantidad
+    if (!producto && item.codigo_barras) {
+      const balanza = await buscarProductoPorCodigoBalanza(item.codigo_barras, {
+        transaction,
+      });
+
+      if (balanza) {
+        producto = balanza.producto;
+        cantidadLinea = balanza.cantidad;
+        lecturaBalanza = balanza.lectura;
+        identificadorTipo = "código de balanza";
+      }
+    }
+
     // ✅ ERROR MEJORADO: Incluir el tipo de identificador usado
     if (!producto) {
       throw new Error(
@@ -230,9 +473,13 @@ const validarProductosYStock = async (productosVenta, transaction) => {
       );
     }
 
+    if (cantidadLinea === undefined || cantidadLinea === null) {
+      throw new Error(`CANTIDAD_REQUERIDA:${identificadorValor}`);
+    }
+
     // ✅ VALIDACIÓN DE STOCK (sin cambios)
     const stockActual = parseFloat(producto.stock_actual) || 0;
-    const cantidadRequerida = parseFloat(item.cantidad);
+    const cantidadRequerida = parseFloat(cantidadLinea);
 
     if (stockActual < cantidadRequerida) {
       throw new Error(
@@ -244,9 +491,12 @@ const validarProductosYStock = async (productosVenta, transaction) => {
     const precioUnitario = parseFloat(
       item.precio_unitario || producto.precio_venta
     );
-    const subtotal = parseFloat(
-      (cantidadRequerida * precioUnitario).toFixed(2)
-    );
+    // ⚖️ Con precio impreso en la etiqueta ese es el valor de la línea: la
+    // cantidad redondeada a gramos solo sirve para el stock
+    const subtotal =
+      lecturaBalanza?.precio && !item.precio_unitario
+        ? lecturaBalanza.precio
+        : parseFloat((cantidadRequerida * precioUnitario).toFixed(2));
     total += subtotal;
 
     // ✅ NUEVO: Log de auditoría para debugging
@@ -260,6 +510,9 @@ const validarProductosYStock = async (productosVenta, transaction) => {
 
     productosValidados.push({
       ...item,
+      cantidad: cantidadRequerida,
+      codigo_adicional: codigoAdicional,
+      lectura_balanza: lecturaBalanza,
       producto,
       precio_unitario: precioUnitario,
       subtotal,
@@ -387,21 +640,139 @@ const generarNumeroVentaSeguro = async (transaction) => {
   throw new Error("NO_SE_PUDO_GENERAR_NUMERO_VENTA_UNICO");
 };
 
+/**
+ * Arma las líneas de pago de la venta y valida que cuadren con el total
+ * Sin "pagos" se genera una sola línea con metodo_pago por el total
+ *
+ * @param {Array|undefined} pagos - Líneas enviadas por el cliente
+ * @param {string|undefined} metodoPago - Método único (alternativa a pagos)
+ * @param {number} total - Total de la venta ya con promociones
+ * @returns {Object} { lineasPago, metodoResumen, montoCredito, cambioTotal }
+ * @throws {Error} PAGOS_NO_CUADRAN:{total}:{suma}
+ */
+const construirPagosVenta = (pagos, metodoPago, total) => {
+  // Una venta en $0 (promoción del 100%) no genera líneas de pago
+  const lineasEntrada =
+    pagos?.length > 0
+      ? pagos
+      : total > 0
+        ? [{ metodo_pago: metodoPago || "efectivo", monto: total }]
+        : [];
+
+  const lineasPago = lineasEntrada.map((pago) => {
+    const monto = parseFloat(parseFloat(pago.monto).toFixed(2));
+    const esEfectivo = pago.metodo_pago === "efectivo";
+    const montoRecibido =
+      esEfectivo && pago.monto_recibido != null
+        ? parseFloat(parseFloat(pago.monto_recibido).toFixed(2))
+        : null;
+
+    return {
+      metodo_pago: pago.metodo_pago,
+      monto,
+      monto_recibido: montoRecibido,
+      cambio:
+        montoRecibido !== null
+          ? parseFloat((montoRecibido - monto).toFixed(2))
+          : 0,
+      referencia: pago.referencia || null,
+    };
+  });
+
+  const suma = parseFloat(
+    lineasPago.reduce((acc, pago) => acc + pago.monto, 0).toFixed(2)
+  );
+  if (Math.abs(suma - total) >= 0.01) {
+    throw new Error(`PAGOS_NO_CUADRAN:${total.toFixed(2)}:${suma.toFixed(2)}`);
+  }
+
+  const metodos = new Set(lineasPago.map((pago) => pago.metodo_pago));
+  const montoCredito = lineasPago
+    .filter((pago) => pago.metodo_pago === "credito")
+    .reduce((acc, pago) => acc + pago.monto, 0);
+
+  return {
+    lineasPago,
+    metodoResumen:
+      metodos.size > 1 ? "mixto" : [...metodos][0] || metodoPago || "efectivo",
+    montoCredito: parseFloat(montoCredito.toFixed(2)),
+    cambioTotal: parseFloat(
+      lineasPago.reduce((acc, pago) => acc + pago.cambio, 0).toFixed(2)
+    ),
+  };
+};
+
 /**
  * Crea nueva venta con validaciones de negocio
+ * El pago puede llegar como metodo_pago único o dividido en "pagos"
  */
 const crearVenta = async (datosVenta, usuarioId) => {
   const transaction = await sequelize.transaction();
 
   try {
-    const { productos: productosVenta, metodo_pago = "efectivo" } = datosVenta;
+    const {
+      productos: productosVenta,
+      metodo_pago,
+      pagos,
+      cliente_id,
+      cliente_documento,
+    } = datosVenta;
+
+    // 0️⃣ La venta debe quedar asociada a la sesión de caja abierta del cajero
+    const sesionCaja = await obtenerSesionAbierta(usuarioId, transaction);
+
+    if (!sesionCaja) {
+      throw new Error("SESION_CAJA_NO_ABIERTA");
+    }
+
+    // 0️⃣.1️⃣ Cliente opcional (facturación a empresas / clientes frecuentes)
+    const cliente = await resolverClienteVenta(
+      { cliente_id, cliente_documento },
+      transaction
+    );
+
+    // La venta a crédito (fiado) siempre queda a nombre de un cliente
+    const usaCredito =
+      metodo_pago === "credito" ||
+      (pagos || []).some((pago) => pago.metodo_pago === "credito");
+    if (usaCredito && !cliente) {
+      throw new Error("CREDITO_REQUIERE_CLIENTE");
+    }
 
     // 1️⃣ Validar productos y stock
-    const { productosValidados, total } = await validarProductosYStock(
+    const { productosValidados } = await validarProductosYStock(
       productosVenta,
       transaction
     );
 
+    // 1️⃣.1️⃣ Aplicar promociones vigentes (total queda neto de descuentos)
+    const {
+      productosConDescuento,
+      descuento_total,
+      total,
+      promocion_ticket,
+      promociones_aplicadas,
+    } = await evaluarPromociones(productosValidados, transaction);
+
+    // 1️⃣.2️⃣ Desglosar IVA por línea (precio de venta incluye IVA)
+    const lineasVenta = productosConDescuento.map((item) => {
+      const tarifaIva = item.producto.tarifa_iva;
+      const { base, iva } = desglosarIvaIncluido(
+        item.subtotal - item.descuento,
+        tarifaIva
+      );
+      return { ...item, tarifa_iva: tarifaIva, base_iva: base, valor_iva: iva };
+    });
+
+    const baseIva = parseFloat(
+      lineasVenta.reduce((acc, item) => acc + item.base_iva, 0).toFixed(2)
+    );
+    const totalIva = parseFloat((total - baseIva).toFixed(2));
+
+    // 1️⃣.3️⃣ Líneas de pago: deben sumar exactamente el total con descuentos
+    const { lineasPago, metodoResumen, montoCredito, cambioTotal } =
+      construirPagosVenta(pagos, metodo_pago, total);
+
     // 2️⃣ ✅ REFACTORIZADO: Generar número de venta único DENTRO de transacción
     const numeroVenta = await generarNumeroVentaSeguro(transaction);
 
@@ -410,27 +781,58 @@ const crearVenta = async (datosVenta, usuarioId) => {
       {
         numero_venta: numeroVenta,
         usuario_id: usuarioId,
+        sesion_caja_id: sesionCaja.id,
+        cliente_id: cliente?.id || null,
         total,
-        metodo_pago,
+        descuento_total,
+        promocion_ticket_id: promocion_ticket?.id || null,
+        base_iva: baseIva,
+        total_iva: totalIva,
+        metodo_pago: metodoResumen,
         estado: "activa",
       },
       { transaction }
     );
 
+    // 3️⃣.1️⃣ Registrar las líneas de pago
+    const pagosCreados = await pagos_venta.bulkCreate(
+      lineasPago.map((pago) => ({ ...pago, venta_id: nuevaVenta.id })),
+      { transaction }
+    );
+
+    // 3️⃣.2️⃣ Parte a crédito: cuenta por cobrar (valida el cupo del cliente)
+    if (montoCredito > 0) {
+      await registrarCuentaPorCobrar(
+        nuevaVenta,
+        cliente.id,
+        montoCredito,
+        transaction
+      );
+    }
+
     // ====================================================
     // ✅ REFACTORIZACIÓN: Usar funciones centralizadas
     // ====================================================
 
     // 4️⃣ Procesar cada producto de la venta
-    for (const item of productosValidados) {
-      // 1️⃣ Crear detalle de venta
-      await detalle_ventas.create(
+    for (const item of lineasVenta) {
+      // Costo de lo vendido: promedio vigente (las salidas no lo cambian)
+      const costoUnitario = costoVigente(item.producto);
+
+      // 1️⃣ Crear detalle de venta (subtotal bruto + descuento de la línea)
+      const detalleCreado = await detalle_ventas.create(
         {
           venta_id: nuevaVenta.id,
           producto_id: item.producto.id,
           cantidad: parseFloat(item.cantidad),
           precio_unitario: item.precio_unitario,
           subtotal: item.subtotal,
+          descuento: item.descuento,
+          promocion_id: item.promocion_id,
+          tarifa_iva: item.tarifa_iva,
+          base_iva: item.base_iva,
+          valor_iva: item.valor_iva,
+          costo_unitario: costoUnitario,
         },
         { transaction }
       );
@@ -444,17 +846,41 @@ const crearVenta = async (datosVenta, usuarioId) => {
         transaction
       );
 
-      // 3️⃣ ✅ NUEVO: Registrar movimiento de forma centralizada
+      // 3️⃣ Perecederos: descontar de los lotes, primero el que vence antes
+      const consumoLotes = item.producto.maneja_lotes
+        ? await consumirLotesFEFO(
+            item.producto.id,
+            parseFloat(item.cantidad),
+            detalleCreado.id,
+            transaction
+          )
+        : null;
+
+      // 4️⃣ ✅ NUEVO: Registrar movimiento de forma centralizada
+      // (lote_id solo cuando la línea salió completa de un único lote)
       await registrarMovimiento(
         {
           producto_id: item.producto.id,
           tipo_movimiento: "salida",
           cantidad: parseFloat(item.cantidad),
-          stock_anterior: item.stock_actual, // Del validarProductosYStock
+          // Del UPDATE atómico: el producto puede repetirse en la venta
+          // (etiquetas de balanza, empaque y unidad)
+          stock_anterior: parseFloat(
+            (
+              parseFloat(productoActualizado.stock_actual) +
+              parseFloat(item.cantidad)
+            ).toFixed(3)
+          ),
           stock_nuevo: productoActualizado.stock_actual,
           referencia_tipo: "venta",
           referencia_id: nuevaVenta.id,
           usuario_id: usuarioId,
+          lote_id:
+            consumoLotes?.asignaciones.length === 1 &&
+            consumoLotes.cantidad_sin_lote === 0
+              ? consumoLotes.asignaciones[0].lote_id
+              : null,
+          costo_unitario: costoUnitario,
           observaciones: `Venta ${numeroVenta} - ${item.producto.nombre}`,
         },
         transaction
@@ -469,14 +895,27 @@ const crearVenta = async (datosVenta, usuarioId) => {
       `   Número: ${numeroVenta}\n` +
       `   ID: ${nuevaVenta.id}\n` +
       `   Total: $${total.toFixed(2)}\n` +
-      `   Método: ${metodo_pago}\n` +
-      `   Productos: ${productosValidados.length}\n` +
+      `   Descuentos: $${descuento_total.toFixed(2)} (${promociones_aplicadas.length} promociones)\n` +
+      `   IVA: $${totalIva.toFixed(2)} (base $${baseIva.toFixed(2)})\n` +
+      `   Pago: ${lineasPago.map((p) => `${p.metodo_pago} $${p.monto.toFixed(2)}`).join(" + ")}` +
+      `${cambioTotal > 0 ? ` (cambio $${cambioTotal.toFixed(2)})` : ""}\n` +
+      `   Cliente: ${cliente ? `${cliente.nombre} (${cliente.tipo_documento} ${cliente.numero_documento})` : "sin identificar"}\n` +
+      `   Productos: ${lineasVenta.length}\n` +
       `   Usuario: ${usuarioId}\n` +
       `   Timestamp: ${new Date().toISOString()}`
     );
 
     // Invalidar caché (cascada)
     await invalidateVentaProcesadaCache(nuevaVenta.id, numeroVenta);
+    if (cliente) {
+      await invalidateClienteComprasCache(cliente.id);
+    }
+    if (montoCredito > 0) {
+      await invalidateCreditoCache(cliente.id);
+    }
+
+    nuevaVenta.setDataValue("pagos", pagosCreados);
+    nuevaVenta.setDataValue("cambio", cambioTotal);
 
     return nuevaVenta;
   } catch (error) {
@@ -509,6 +948,7 @@ const crearVenta = async (datosVenta, usuarioId) => {
 
 /**
  * Anula venta con reversión de stock (eliminación lógica)
+ * En ventas a crédito también reversa la cuenta por cobrar
  */
 const anularVenta = async (id, usuarioAnulacionId, motivoAnulacion) => {
   const transaction = await sequelize.transaction();
@@ -554,39 +994,62 @@ const anularVenta = async (id, usuarioAnulacionId, motivoAnulacion) => {
     for (const detalle of venta.detalle_venta) {
       const producto = detalle.producto;
       const cantidadADevolver = parseFloat(detalle.cantidad);
-      const stockActual = parseFloat(producto.stock_actual);
 
       // 1️⃣ ✅ NUEVO: Actualizar stock de forma atómica (entrada por devolución)
+      // La mercancía vuelve al costo con que salió (ventas antiguas sin
+      // costo registrado reingresan al promedio vigente)
       const productoActualizado = await actualizarStockAtomico(
         producto.id,
         cantidadADevolver,
         "entrada", // Devolución = entrada
-        transaction
+        transaction,
+        detalle.costo_unitario !== null ? parseFloat(detalle.costo_unitario) : null
       );
 
-      // 2️⃣ ✅ NUEVO: Registrar movimiento de reversión
+      // 2️⃣ Reintegrar a los lotes consumidos (perecederos)
+      await restaurarLotesDetalle(detalle.id, null, transaction);
+
+      // 3️⃣ ✅ NUEVO: Registrar movimiento de reversión
       await registrarMovimiento(
         {
           producto_id: producto.id,
           tipo_movimiento: "entrada",
           cantidad: cantidadADevolver,
-          stock_anterior: stockActual,
+          // Del UPDATE atómico: el producto puede estar en varias líneas
+          stock_anterior: parseFloat(
+            (
+              parseFloat(productoActualizado.stock_actual) - cantidadADevolver
+            ).toFixed(3)
+          ),
           stock_nuevo: productoActualizado.stock_actual,
           referencia_tipo: "venta",
           referencia_id: venta.id,
           usuario_id: usuarioAnulacionId,
+          costo_unitario: costoVigente(productoActualizado),
           observaciones: `Anulación de venta ${venta.numero_venta}: ${motivoAnulacion}`,
         },
         transaction
       );
     }
 
+    // Venta con parte a crédito: reversar la cuenta por cobrar del cliente
+    if (puedeTenerCredito(venta)) {
+      await reversarCuentaPorCobrar(venta, transaction);
+    }
+
+    // El reembolso sale de la caja de quien anula, no de la sesión original
+    const sesionCaja = await obtenerSesionAbierta(
+      usuarioAnulacionId,
+      transaction
+    );
+
     // Marcar la venta como anulada
     await venta.update(
       {
         estado: "anulada",
         fecha_anulacion: new Date(),
         usuario_anulacion_id: usuarioAnulacionId,
+        sesion_caja_anulacion_id: sesionCaja?.id || null,
         motivo_anulacion: motivoAnulacion,
       },
       { transaction }
@@ -596,6 +1059,12 @@ const anularVenta = async (id, usuarioAnulacionId, motivoAnulacion) => {
 
     // Invalidar caché (cascada)
     await invalidateVentaAnuladaCache(venta.id, venta.numero_venta);
+    if (venta.cliente_id) {
+      await invalidateClienteComprasCache(venta.cliente_id);
+    }
+    if (puedeTenerCredito(venta)) {
+      await invalidateCreditoCache(venta.cliente_id);
+    }
 
     return venta;
   } catch (error) {
@@ -605,112 +1074,1100 @@ const anularVenta = async (id, usuarioAnulacionId, motivoAnulacion) => {
 };
 
 // =====================================================
-// OPERACIONES DE ANÁLISIS
+// DEVOLUCIONES
 // =====================================================
 
 /**
- * Obtiene resumen de ventas por período
+ * Genera número de devolución único
+ * Formato: D{YYYYMMDD}-{timestamp}{random}
+ *
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {Promise<string>} Número de devolución único
+ * @throws {Error} NO_SE_PUDO_GENERAR_NUMERO_DEVOLUCION_UNICO
  */
-const obtenerResumenVentas = async (filtros = {}) => {
-  let { fecha_inicio, fecha_fin } = filtros;
+const generarNumeroDevolucion = async (transaction) => {
+  const MAX_INTENTOS = 5;
 
-  // Si no se proporciona fecha_inicio, usar hoy
-  if (!fecha_inicio) {
-    fecha_inicio = new Date().toISOString().split("T")[0];
-  }
+  for (let intento = 1; intento <= MAX_INTENTOS; intento++) {
+    const fecha = new Date();
+    const random = Math.random().toString(36).substring(2, 6);
+    const numeroDevolucion = `D${fecha.getFullYear()}${String(
+      fecha.getMonth() + 1
+    ).padStart(2, "0")}${String(fecha.getDate()).padStart(
+      2,
+      "0"
+    )}-${Date.now()}${random}`;
+
+    const existe = await devoluciones.findOne({
+      where: { numero_devolucion: numeroDevolucion },
+      transaction,
+    });
 
-  // Si no se proporciona fecha_fin, usar fecha_inicio
-  if (!fecha_fin) {
-    fecha_fin = fecha_inicio;
+    if (!existe) return numeroDevolucion;
+
+    console.warn(
+      `⚠️ Número de devolución duplicado: ${numeroDevolucion} (intento ${intento}/${MAX_INTENTOS})`
+    );
   }
 
-  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_RESUMEN, {
-    fecha_inicio,
-    fecha_fin,
-  });
-  const cached = await cacheGet(cacheKey);
+  throw new Error("NO_SE_PUDO_GENERAR_NUMERO_DEVOLUCION_UNICO");
+};
 
-  if (cached) {
-    return { data: cached.data, metadata: cached.metadata, fromCache: true };
-  }
+/**
+ * Registra una devolución (total o parcial) sobre una venta existente
+ *
+ * - Cada línea se limita a: cantidad vendida - cantidad ya devuelta
+ * - Si el producto está en varias líneas (etiquetas de balanza, códigos de
+ *   empaque) la cantidad se reparte entre ellas en orden
+ * - El stock regresa con actualizarStockAtomico (entrada)
+ * - Cada línea genera un movimiento con referencia_tipo "devolucion"
+ * - La venta pasa a "parcialmente_devuelta" o "devuelta"
+ * - En ventas a crédito el valor devuelto se descuenta de la cuenta por cobrar
+ *
+ * @param {number} ventaId - ID de la venta
+ * @param {Object} datos - { productos: [{ producto_id, cantidad }], motivo }
+ * @param {number} usuarioId - Usuario que registra la devolución
+ * @returns {Promise<Object>} { devolucion, venta }
+ * @throws {Error} VENTA_NOT_FOUND
+ * @throws {Error} VENTA_NO_DEVOLVIBLE:{estado}
+ * @throws {Error} PRODUCTO_NO_EN_VENTA:{producto_id}
+ * @throws {Error} CANTIDAD_DEVOLUCION_EXCEDIDA:{nombre}:{disponible}:{solicitada}
+ */
+const registrarDevolucion = async (ventaId, datos, usuarioId) => {
+  const transaction = await sequelize.transaction();
 
-  // Total de ventas del período
-  const totalVentas = await ventas.findOne({
-    where: {
-      fecha_venta: {
-        [Op.between]: [fecha_inicio, fecha_fin],
-      },
-      estado: "activa",
-    },
-    attributes: [
-      [fn("COUNT", col("id")), "cantidad_ventas"],
-      [fn("COALESCE", fn("SUM", col("total")), 0), "total_ventas"],
-    ],
-    raw: true,
-  });
+  try {
+    const { productos: productosDevolucion, motivo } = datos;
 
-  // Ventas por método de pago
-  const ventasPorMetodo = await ventas.findAll({
-    where: {
-      fecha_venta: {
-        [Op.between]: [fecha_inicio, fecha_fin],
-      },
-      estado: "activa",
-    },
-    attributes: [
-      "metodo_pago",
-      [fn("COUNT", col("id")), "cantidad"],
-      [fn("COALESCE", fn("SUM", col("total")), 0), "total"],
-    ],
-    group: ["metodo_pago"],
-    raw: true,
-  });
+    // 🔒 Bloquear la venta para serializar devoluciones concurrentes
+    const venta = await ventas.findOne({
+      where: { id: ventaId },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
 
-  // Productos más vendidos
-  const productosMasVendidos = await detalle_ventas.findAll({
-    include: [
-      {
-        model: ventas,
-        as: "ventum",
-        where: {
-          fecha_venta: {
-            [Op.between]: [fecha_inicio, fecha_fin],
-          },
-          estado: "activa",
+    if (!venta) {
+      throw new Error("VENTA_NOT_FOUND");
+    }
+
+    if (!["activa", "parcialmente_devuelta"].includes(venta.estado)) {
+      throw new Error(`VENTA_NO_DEVOLVIBLE:${venta.estado}`);
+    }
+
+    const detalles = await detalle_ventas.findAll({
+      where: { venta_id: venta.id },
+      include: [
+        {
+          model: productos,
+          as: "producto",
+          attributes: ["id", "nombre", "stock_actual"],
         },
-        attributes: [],
-      },
-      {
-        model: productos,
-        as: "producto",
-        attributes: ["nombre"],
-      },
-    ],
-    attributes: [
-      [fn("SUM", col("cantidad")), "cantidad_vendida"],
-      [fn("SUM", col("subtotal")), "total_vendido"],
-    ],
-    group: ["producto_id", "producto.nombre"],
-    order: [[fn("SUM", col("cantidad")), "DESC"]],
-    limit: 10,
-    raw: true,
-  });
+      ],
+      transaction,
+    });
 
-  const result = {
-    data: {
-      fecha_inicio,
-      fecha_fin,
-      total_ventas: totalVentas,
-      ventas_por_metodo: ventasPorMetodo,
-      productos_mas_vendidos: productosMasVendidos,
-    },
-    metadata: {
-      generado_en: new Date().toISOString(),
-    },
-    fromCache: false,
-  };
+    // Cantidades ya devueltas por línea de venta
+    const devueltas = await detalle_devoluciones.findAll({
+      where: { detalle_venta_id: { [Op.in]: detalles.map((d) => d.id) } },
+      attributes: [
+        "detalle_venta_id",
+        [sequelize.fn("SUM", sequelize.col("cantidad")), "cantidad_devuelta"],
+        [sequelize.fn("SUM", sequelize.col("subtotal")), "monto_devuelto"],
+      ],
+      group: ["detalle_venta_id"],
+      raw: true,
+      transaction,
+    });
 
-  await cacheSet(cacheKey, result, CACHE_TTL.VENTAS_RESUMEN);
+    const devueltoPorDetalle = new Map(
+      devueltas.map((d) => [d.detalle_venta_id, parseFloat(d.cantidad_devuelta)])
+    );
+    const montoDevueltoPorDetalle = new Map(
+      devueltas.map((d) => [d.detalle_venta_id, parseFloat(d.monto_devuelto)])
+    );
+
+    // 1️⃣ Validar cada línea contra lo disponible para devolver
+    const lineas = [];
+    let total = 0;
+    let baseIva = 0;
+
+    const disponibleEnLinea = (detalle) =>
+      parseFloat(
+        (
+          parseFloat(detalle.cantidad) - (devueltoPorDetalle.get(detalle.id) || 0)
+        ).toFixed(3)
+      );
+
+    for (const item of productosDevolucion) {
+      const detallesProducto = detalles.filter(
+        (d) => d.producto_id === item.producto_id
+      );
+
+      if (detallesProducto.length === 0) {
+        throw new Error(`PRODUCTO_NO_EN_VENTA:${item.producto_id}`);
+      }
+
+      const cantidadSolicitada = parseFloat(item.cantidad);
+      const disponibleProducto = parseFloat(
+        detallesProducto
+          .reduce((suma, d) => suma + disponibleEnLinea(d), 0)
+          .toFixed(3)
+      );
+
+      if (cantidadSolicitada > disponibleProducto) {
+        throw new Error(
+          `CANTIDAD_DEVOLUCION_EXCEDIDA:${detallesProducto[0].producto.nombre}:${disponibleProducto}:${cantidadSolicitada}`
+        );
+      }
+
+      let restante = cantidadSolicitada;
+
+      for (const detalle of detallesProducto) {
+        if (restante <= 0) break;
+
+        const disponible = disponibleEnLinea(detalle);
+        if (disponible <= 0) continue;
+
+        const cantidad = Math.min(restante, disponible);
+        restante = parseFloat((restante - cantidad).toFixed(3));
+
+        const cantidadVendida = parseFloat(detalle.cantidad);
+        const cantidadDevuelta = devueltoPorDetalle.get(detalle.id) || 0;
+
+        // Se reembolsa lo efectivamente cobrado (neto de promociones),
+        // prorrateado por cantidad; la última devolución de la línea
+        // reembolsa el remanente para no arrastrar diferencias de redondeo
+        const netoLinea =
+          parseFloat(detalle.subtotal) - parseFloat(detalle.descuento || 0);
+        const subtotal =
+          cantidad === disponible
+            ? parseFloat(
+                (
+                  netoLinea - (montoDevueltoPorDetalle.get(detalle.id) || 0)
+                ).toFixed(2)
+              )
+            : parseFloat(((netoLinea * cantidad) / cantidadVendida).toFixed(2));
+        const precioUnitario = parseFloat((subtotal / cantidad).toFixed(2));
+        const { base, iva } = desglosarIvaIncluido(subtotal, detalle.tarifa_iva);
+        total += subtotal;
+        baseIva += base;
+
+        lineas.push({
+          detalle,
+          cantidad,
+          precioUnitario,
+          subtotal,
+          baseIva: base,
+          valorIva: iva,
+        });
+        devueltoPorDetalle.set(
+          detalle.id,
+          parseFloat((cantidadDevuelta + cantidad).toFixed(3))
+        );
+        montoDevueltoPorDetalle.set(
+          detalle.id,
+          (montoDevueltoPorDetalle.get(detalle.id) || 0) + subtotal
+        );
+      }
+    }
+
+    total = parseFloat(total.toFixed(2));
+    baseIva = parseFloat(baseIva.toFixed(2));
+
+    // 2️⃣ Crear la devolución (el reembolso sale de la caja de quien la
+    // registra, no de la sesión en que se hizo la venta)
+    const numeroDevolucion = await generarNumeroDevolucion(transaction);
+    const sesionCaja = await obtenerSesionAbierta(usuarioId, transaction);
+
+    const devolucion = await devoluciones.create(
+      {
+        numero_devolucion: numeroDevolucion,
+        venta_id: venta.id,
+        usuario_id: usuarioId,
+        sesion_caja_id: sesionCaja?.id || null,
+        total,
+        base_iva: baseIva,
+        total_iva: parseFloat((total - baseIva).toFixed(2)),
+        motivo,
+      },
+      { transaction }
+    );
+
+    // 3️⃣ Detalle + reingreso de stock + movimiento por línea
+    for (const linea of lineas) {
+      const { detalle, cantidad, precioUnitario, subtotal } = linea;
+
+      await detalle_devoluciones.create(
+        {
+          devolucion_id: devolucion.id,
+          detalle_venta_id: detalle.id,
+          producto_id: detalle.producto_id,
+          cantidad,
+          precio_unitario: precioUnitario,
+          subtotal,
+          tarifa_iva: detalle.tarifa_iva,
+          base_iva: linea.baseIva,
+          valor_iva: linea.valorIva,
+        },
+        { transaction }
+      );
+
+      // Reingresa al costo con que salió la línea
+      const productoActualizado = await actualizarStockAtomico(
+        detalle.producto_id,
+        cantidad,
+        "entrada",
+        transaction,
+        detalle.costo_unitario !== null ? parseFloat(detalle.costo_unitario) : null
+      );
+
+      // Lo devuelto vuelve a los lotes de los que salió (perecederos)
+      await restaurarLotesDetalle(detalle.id, cantidad, transaction);
+
+      await registrarMovimiento(
+        {
+          producto_id: detalle.producto_id,
+          tipo_movimiento: "entrada",
+          cantidad,
+          // Del UPDATE atómico: el producto puede reingresar por varias
+          // líneas de la misma devolución
+          stock_anterior: parseFloat(
+            (parseFloat(productoActualizado.stock_actual) - cantidad).toFixed(3)
+          ),
+          stock_nuevo: productoActualizado.stock_actual,
+          referencia_tipo: "devolucion",
+          referencia_id: devolucion.id,
+          usuario_id: usuarioId,
+          costo_unitario: costoVigente(productoActualizado),
+          observaciones: `Devolución ${numeroDevolucion} de venta ${venta.numero_venta}: ${motivo}`,
+        },
+        transaction
+      );
+    }
+
+    // 3️⃣.1️⃣ Venta con parte a crédito: la porción de la devolución que
+    // corresponde al crédito reduce lo que se debe (el resto se reembolsa
+    // por los demás métodos, en proporción a sus líneas de pago)
+    if (puedeTenerCredito(venta)) {
+      const montoCredito =
+        (await pagos_venta.sum("monto", {
+          where: { venta_id: venta.id, metodo_pago: "credito" },
+          transaction,
+        })) || 0;
+      const porcionCredito =
+        parseFloat(venta.total) > 0
+          ? (total * parseFloat(montoCredito)) / parseFloat(venta.total)
+          : 0;
+
+      if (porcionCredito > 0) {
+        await ajustarCuentaPorDevolucion(venta, porcionCredito, transaction);
+      }
+    }
+
+    // 4️⃣ Actualizar estado de la venta
+    const devueltaCompleta = detalles.every(
+      (d) =>
+        (devueltoPorDetalle.get(d.id) || 0) >=
+        parseFloat(d.cantidad) - 0.0005
+    );
+
+    await venta.update(
+      { estado: devueltaCompleta ? "devuelta" : "parcialmente_devuelta" },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    console.log(
+      `↩️ DEVOLUCIÓN REGISTRADA:\n` +
+      `   Número: ${numeroDevolucion}\n` +
+      `   Venta: ${venta.numero_venta} → ${venta.estado}\n` +
+      `   Total: $${total.toFixed(2)}\n` +
+      `   Líneas: ${lineas.length}\n` +
+      `   Usuario: ${usuarioId}`
+    );
+
+    // Invalidar caché (venta, listas, resumen, productos e inventario)
+    await invalidateVentaProcesadaCache(venta.id, venta.numero_venta);
+    if (venta.cliente_id) {
+      await invalidateClienteComprasCache(venta.cliente_id);
+    }
+    if (puedeTenerCredito(venta)) {
+      await invalidateCreditoCache(venta.cliente_id);
+    }
+
+    return { devolucion, venta };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// =====================================================
+// OPERACIONES DE ANÁLISIS
+// =====================================================
+
+/**
+ * Obtiene resumen de ventas por período
+ */
+const obtenerResumenVentas = async (filtros = {}) => {
+  let { fecha_inicio, fecha_fin } = filtros;
+
+  // Si no se proporciona fecha_inicio, usar hoy
+  if (!fecha_inicio) {
+    fecha_inicio = new Date().toISOString().split("T")[0];
+  }
+
+  // Si no se proporciona fecha_fin, usar fecha_inicio
+  if (!fecha_fin) {
+    fecha_fin = fecha_inicio;
+  }
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_RESUMEN, {
+    fecha_inicio,
+    fecha_fin,
+  });
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const rangoVentas = {
+    fecha_venta: {
+      [Op.between]: [fecha_inicio, fecha_fin],
+    },
+    estado: { [Op.in]: ESTADOS_VENTA_VIGENTES },
+  };
+
+  // Las devoluciones se descuentan en el período en que se registran
+  const rangoDevoluciones = {
+    fecha_devolucion: {
+      [Op.between]: [fecha_inicio, fecha_fin],
+    },
+  };
+
+  // Total de ventas del período (bruto de devoluciones, neto de promociones)
+  const totalVentas = await ventas.findOne({
+    where: rangoVentas,
+    attributes: [
+      [sequelize.fn("COUNT", sequelize.col("id")), "cantidad_ventas"],
+      [
+        sequelize.fn("COALESCE", sequelize.fn("SUM", sequelize.col("total")), 0),
+        "total_ventas",
+      ],
+      [
+        sequelize.fn(
+          "COALESCE",
+          sequelize.fn("SUM", sequelize.col("descuento_total")),
+          0
+        ),
+        "total_descuentos",
+      ],
+    ],
+    raw: true,
+  });
+
+  // Total devuelto en el período
+  const totalDevoluciones = await devoluciones.findOne({
+    where: rangoDevoluciones,
+    attributes: [
+      [sequelize.fn("COUNT", sequelize.col("id")), "cantidad_devoluciones"],
+      [
+        sequelize.fn("COALESCE", sequelize.fn("SUM", sequelize.col("total")), 0),
+        "total_devuelto",
+      ],
+    ],
+    raw: true,
+  });
+
+  // Ventas por método de pago (desde las líneas de pago: una venta mixta
+  // suma en cada método que usó y cuenta una vez en cada uno)
+  const ventasPorMetodo = await pagos_venta.findAll({
+    include: [
+      { model: ventas, as: "venta", attributes: [], where: rangoVentas },
+    ],
+    attributes: [
+      "metodo_pago",
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.fn("DISTINCT", sequelize.col("pagos_venta.venta_id"))
+        ),
+        "cantidad",
+      ],
+      [
+        sequelize.fn(
+          "COALESCE",
+          sequelize.fn("SUM", sequelize.col("pagos_venta.monto")),
+          0
+        ),
+        "total",
+      ],
+    ],
+    group: ["pagos_venta.metodo_pago"],
+    raw: true,
+  });
+
+  // Devoluciones por método de pago (se reembolsan por el método original;
+  // en ventas mixtas se reparten en proporción a cada línea de pago)
+  const devolucionesPorMetodo = await devoluciones.findAll({
+    where: rangoDevoluciones,
+    include: [
+      {
+        model: ventas,
+        as: "venta",
+        attributes: [],
+        include: [{ model: pagos_venta, as: "pagos", attributes: [] }],
+      },
+    ],
+    attributes: [
+      [sequelize.col("venta->pagos.metodo_pago"), "metodo_pago"],
+      [
+        sequelize.literal(
+          "SUM(`devoluciones`.`total` * `venta->pagos`.`monto` / NULLIF(`venta`.`total`, 0))"
+        ),
+        "total_devuelto",
+      ],
+    ],
+    group: ["venta->pagos.metodo_pago"],
+    raw: true,
+  });
+
+  // Productos vendidos (se ordenan después de descontar devoluciones)
+  const ventasPorProducto = await detalle_ventas.findAll({
+    include: [
+      {
+        model: ventas,
+        as: "ventum",
+        where: rangoVentas,
+        attributes: [],
+      },
+      {
+        model: productos,
+        as: "producto",
+        attributes: ["nombre"],
+      },
+    ],
+    attributes: [
+      "producto_id",
+      [sequelize.fn("SUM", sequelize.col("cantidad")), "cantidad_vendida"],
+      [
+        sequelize.fn("SUM", sequelize.literal("subtotal - descuento")),
+        "total_vendido",
+      ],
+      [sequelize.fn("SUM", sequelize.col("descuento")), "total_descuento"],
+    ],
+    group: ["producto_id", "producto.nombre"],
+    raw: true,
+  });
+
+  const productosDevueltos = await detalle_devoluciones.findAll({
+    include: [
+      {
+        model: devoluciones,
+        as: "devolucion",
+        where: rangoDevoluciones,
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "producto_id",
+      [sequelize.fn("SUM", sequelize.col("cantidad")), "cantidad_devuelta"],
+      [sequelize.fn("SUM", sequelize.col("subtotal")), "total_devuelto"],
+    ],
+    group: ["producto_id"],
+    raw: true,
+  });
+
+  // IVA por tarifa (ventas del período y devoluciones registradas en él)
+  const ivaVentas = await detalle_ventas.findAll({
+    include: [
+      {
+        model: ventas,
+        as: "ventum",
+        where: rangoVentas,
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "tarifa_iva",
+      [sequelize.fn("SUM", sequelize.col("detalle_ventas.base_iva")), "base"],
+      [sequelize.fn("SUM", sequelize.col("detalle_ventas.valor_iva")), "iva"],
+    ],
+    group: ["tarifa_iva"],
+    raw: true,
+  });
+
+  const ivaDevoluciones = await detalle_devoluciones.findAll({
+    include: [
+      {
+        model: devoluciones,
+        as: "devolucion",
+        where: rangoDevoluciones,
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "tarifa_iva",
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_devoluciones.base_iva")),
+        "base",
+      ],
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_devoluciones.valor_iva")),
+        "iva",
+      ],
+    ],
+    group: ["tarifa_iva"],
+    raw: true,
+  });
+
+  const desgloseIva = TARIFAS_IVA_VALIDAS.map((tarifa) => {
+    const vendido = ivaVentas.find((v) => v.tarifa_iva === tarifa);
+    const devuelto = ivaDevoluciones.find((d) => d.tarifa_iva === tarifa);
+    const baseVentas = parseFloat(vendido?.base || 0);
+    const ivaVentasTarifa = parseFloat(vendido?.iva || 0);
+    const baseDevuelta = parseFloat(devuelto?.base || 0);
+    const ivaDevuelto = parseFloat(devuelto?.iva || 0);
+    const baseNeta = parseFloat((baseVentas - baseDevuelta).toFixed(2));
+    const ivaNeto = parseFloat((ivaVentasTarifa - ivaDevuelto).toFixed(2));
+
+    return {
+      tarifa_iva: tarifa,
+      porcentaje: porcentajeIva(tarifa),
+      base_ventas: baseVentas,
+      iva_ventas: ivaVentasTarifa,
+      base_devuelta: baseDevuelta,
+      iva_devuelto: ivaDevuelto,
+      base_neta: baseNeta,
+      iva_neto: ivaNeto,
+      total_neto: parseFloat((baseNeta + ivaNeto).toFixed(2)),
+    };
+  }).filter((t) => t.base_ventas > 0 || t.base_devuelta > 0);
+
+  // Netear devoluciones
+  const totalBruto = parseFloat(totalVentas.total_ventas) || 0;
+  const totalDevuelto = parseFloat(totalDevoluciones.total_devuelto) || 0;
+
+  const devueltoPorMetodo = new Map(
+    devolucionesPorMetodo.map((d) => [
+      d.metodo_pago,
+      parseFloat((parseFloat(d.total_devuelto) || 0).toFixed(2)),
+    ])
+  );
+
+  const ventasPorMetodoNeto = ventasPorMetodo.map((metodo) => {
+    const bruto = parseFloat(metodo.total) || 0;
+    const devuelto = devueltoPorMetodo.get(metodo.metodo_pago) || 0;
+    return {
+      ...metodo,
+      total_bruto: bruto,
+      total_devuelto: devuelto,
+      total: parseFloat((bruto - devuelto).toFixed(2)),
+    };
+  });
+
+  const devueltoPorProducto = new Map(
+    productosDevueltos.map((p) => [p.producto_id, p])
+  );
+
+  const productosMasVendidos = ventasPorProducto
+    .map((producto) => {
+      const devuelto = devueltoPorProducto.get(producto.producto_id);
+      const cantidadDevuelta = parseFloat(devuelto?.cantidad_devuelta || 0);
+      const totalProductoDevuelto = parseFloat(devuelto?.total_devuelto || 0);
+      return {
+        ...producto,
+        cantidad_devuelta: cantidadDevuelta,
+        cantidad_vendida: parseFloat(
+          (parseFloat(producto.cantidad_vendida) - cantidadDevuelta).toFixed(3)
+        ),
+        total_vendido: parseFloat(
+          (parseFloat(producto.total_vendido) - totalProductoDevuelto).toFixed(2)
+        ),
+      };
+    })
+    .filter((producto) => producto.cantidad_vendida > 0)
+    .sort((a, b) => b.cantidad_vendida - a.cantidad_vendida)
+    .slice(0, 10);
+
+  const result = {
+    data: {
+      fecha_inicio,
+      fecha_fin,
+      total_ventas: {
+        cantidad_ventas: parseInt(totalVentas.cantidad_ventas) || 0,
+        total_descuentos: parseFloat(totalVentas.total_descuentos) || 0,
+        total_bruto: totalBruto,
+        cantidad_devoluciones:
+          parseInt(totalDevoluciones.cantidad_devoluciones) || 0,
+        total_devuelto: totalDevuelto,
+        total_ventas: parseFloat((totalBruto - totalDevuelto).toFixed(2)),
+        base_iva: parseFloat(
+          desgloseIva.reduce((acc, t) => acc + t.base_neta, 0).toFixed(2)
+        ),
+        total_iva: parseFloat(
+          desgloseIva.reduce((acc, t) => acc + t.iva_neto, 0).toFixed(2)
+        ),
+      },
+      desglose_iva: desgloseIva,
+      ventas_por_metodo: ventasPorMetodoNeto,
+      productos_mas_vendidos: productosMasVendidos,
+    },
+    metadata: {
+      generado_en: new Date().toISOString(),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.VENTAS_RESUMEN);
+  return result;
+};
+
+/**
+ * Acumula ingresos y costo de un grupo del reporte de margen.
+ * Las devoluciones llegan con signo -1.
+ */
+const acumularMargen = (mapa, clave, base, fila, signo = 1) => {
+  if (!mapa.has(clave)) {
+    mapa.set(clave, { ...base, cantidad: 0, ingresos: 0, costo: 0 });
+  }
+  const grupo = mapa.get(clave);
+  grupo.cantidad += signo * (parseFloat(fila.cantidad) || 0);
+  grupo.ingresos += signo * (parseFloat(fila.ingresos) || 0);
+  grupo.costo += signo * (parseFloat(fila.costo) || 0);
+};
+
+/**
+ * Margen bruto y porcentaje sobre ingresos
+ */
+const calcularMargen = (ingresosBrutos, costoBruto) => {
+  const ingresos = parseFloat(ingresosBrutos.toFixed(2));
+  const costo = parseFloat(costoBruto.toFixed(2));
+  const margenBruto = parseFloat((ingresos - costo).toFixed(2));
+
+  return {
+    ingresos,
+    costo,
+    margen_bruto: margenBruto,
+    margen_porcentaje:
+      ingresos > 0 ? parseFloat(((margenBruto / ingresos) * 100).toFixed(2)) : 0,
+  };
+};
+
+const cerrarMargen = (grupo) => ({
+  ...grupo,
+  cantidad: parseFloat(grupo.cantidad.toFixed(3)),
+  ...calcularMargen(grupo.ingresos, grupo.costo),
+});
+
+/**
+ * Reporte de margen bruto por producto, categoría y período.
+ *
+ * Ingresos = base sin IVA de cada línea (ya neta de promociones).
+ * Costo = cantidad × costo_unitario congelado en la línea; las líneas
+ * anteriores al costo promedio usan el costo vigente del producto.
+ * Las devoluciones se descuentan en el período en que se registran, al
+ * costo de la línea original.
+ */
+const obtenerReporteMargen = async (filtros = {}) => {
+  const hoy = new Date().toISOString().split("T")[0];
+  const aFecha = (fecha) =>
+    fecha instanceof Date ? fecha.toISOString().split("T")[0] : fecha;
+
+  // Por defecto, el mes en curso hasta hoy
+  const fecha_inicio = aFecha(filtros.fecha_inicio) || `${hoy.slice(0, 8)}01`;
+  const fecha_fin = aFecha(filtros.fecha_fin) || hoy;
+  const agrupacion = filtros.agrupacion || "dia";
+  const categoria_id = filtros.categoria_id || null;
+  const limit = parseInt(filtros.limit) || 50;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_MARGEN, {
+    fecha_inicio,
+    fecha_fin,
+    agrupacion,
+    categoria_id,
+    limit,
+  });
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const desde = `${fecha_inicio} 00:00:00`;
+  const hasta = `${fecha_fin} 23:59:59`;
+  const formato = FORMATOS_PERIODO[agrupacion];
+  const whereProducto = categoria_id ? { categoria_id } : undefined;
+
+  // Líneas vendidas en el período (las ventas anuladas no cuentan)
+  const lineasVendidas = await detalle_ventas.findAll({
+    include: [
+      {
+        model: ventas,
+        as: "ventum",
+        where: {
+          fecha_venta: { [Op.between]: [desde, hasta] },
+          estado: { [Op.in]: ESTADOS_VENTA_VIGENTES },
+        },
+        attributes: [],
+      },
+      {
+        model: productos,
+        as: "producto",
+        where: whereProducto,
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "producto_id",
+      [
+        sequelize.fn("DATE_FORMAT", sequelize.col("ventum.fecha_venta"), formato),
+        "periodo",
+      ],
+      [sequelize.fn("SUM", sequelize.col("detalle_ventas.cantidad")), "cantidad"],
+      [sequelize.fn("SUM", sequelize.col("detalle_ventas.base_iva")), "ingresos"],
+      [
+        sequelize.literal(
+          `SUM(detalle_ventas.cantidad * COALESCE(detalle_ventas.costo_unitario, ${costoVigenteSQL("producto")}))`
+        ),
+        "costo",
+      ],
+    ],
+    group: ["detalle_ventas.producto_id", "periodo"],
+    raw: true,
+  });
+
+  // Devoluciones registradas en el período
+  const lineasDevueltas = await detalle_devoluciones.findAll({
+    include: [
+      {
+        model: devoluciones,
+        as: "devolucion",
+        where: { fecha_devolucion: { [Op.between]: [desde, hasta] } },
+        attributes: [],
+      },
+      { model: detalle_ventas, as: "detalle_venta", attributes: [] },
+      {
+        model: productos,
+        as: "producto",
+        where: whereProducto,
+        attributes: [],
+      },
+    ],
+    attributes: [
+      "producto_id",
+      [
+        sequelize.fn(
+          "DATE_FORMAT",
+          sequelize.col("devolucion.fecha_devolucion"),
+          formato
+        ),
+        "periodo",
+      ],
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_devoluciones.cantidad")),
+        "cantidad",
+      ],
+      [
+        sequelize.fn("SUM", sequelize.col("detalle_devoluciones.base_iva")),
+        "ingresos",
+      ],
+      [
+        sequelize.literal(
+          `SUM(detalle_devoluciones.cantidad * COALESCE(detalle_venta.costo_unitario, ${costoVigenteSQL("producto")}))`
+        ),
+        "costo",
+      ],
+    ],
+    group: ["detalle_devoluciones.producto_id", "periodo"],
+    raw: true,
+  });
+
+  const productoIds = [
+    ...new Set(
+      [...lineasVendidas, ...lineasDevueltas].map((fila) => fila.producto_id)
+    ),
+  ];
+
+  const infoProductos = new Map(
+    (
+      await productos.findAll({
+        where: { id: { [Op.in]: productoIds } },
+        attributes: ["id", "nombre", "codigo_barras", "categoria_id"],
+        include: [
+          { model: categorias, as: "categoria", attributes: ["id", "nombre"] },
+        ],
+      })
+    ).map((p) => [p.id, p])
+  );
+
+  const porProducto = new Map();
+  const porCategoria = new Map();
+  const porPeriodo = new Map();
+  const total = { ingresos: 0, costo: 0 };
+
+  const acumular = (fila, signo) => {
+    const producto = infoProductos.get(fila.producto_id);
+    const categoriaId = producto?.categoria?.id ?? null;
+
+    acumularMargen(
+      porProducto,
+      fila.producto_id,
+      {
+        producto_id: fila.producto_id,
+        nombre: producto?.nombre ?? null,
+        codigo_barras: producto?.codigo_barras ?? null,
+        categoria_id: categoriaId,
+      },
+      fila,
+      signo
+    );
+    acumularMargen(
+      porCategoria,
+      categoriaId,
+      {
+        categoria_id: categoriaId,
+        nombre: producto?.categoria?.nombre ?? "Sin categoría",
+      },
+      fila,
+      signo
+    );
+    acumularMargen(porPeriodo, fila.periodo, { periodo: fila.periodo }, fila, signo);
+
+    total.ingresos += signo * (parseFloat(fila.ingresos) || 0);
+    total.costo += signo * (parseFloat(fila.costo) || 0);
+  };
+
+  lineasVendidas.forEach((fila) => acumular(fila, 1));
+  lineasDevueltas.forEach((fila) => acumular(fila, -1));
+
+  const productosOrdenados = [...porProducto.values()]
+    .map(cerrarMargen)
+    .sort((a, b) => b.margen_bruto - a.margen_bruto);
+
+  const result = {
+    data: {
+      fecha_inicio,
+      fecha_fin,
+      agrupacion,
+      totales: calcularMargen(total.ingresos, total.costo),
+      por_producto: productosOrdenados.slice(0, limit),
+      por_categoria: [...porCategoria.values()]
+        .map(cerrarMargen)
+        .sort((a, b) => b.margen_bruto - a.margen_bruto),
+      por_periodo: [...porPeriodo.values()]
+        .map(cerrarMargen)
+        .sort((a, b) => a.periodo.localeCompare(b.periodo)),
+    },
+    metadata: {
+      total_productos: productosOrdenados.length,
+      filtro_categoria: categoria_id,
+      generado_en: new Date().toISOString(),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.VENTAS_MARGEN);
+  return result;
+};
+
+/**
+ * Suma días a una fecha YYYY-MM-DD (aritmética en UTC, sin saltos de zona)
+ */
+const sumarDias = (fecha, dias) => {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().split("T")[0];
+};
+
+/**
+ * Tickets, ingresos y ticket promedio de ventas vigentes en un rango de días
+ */
+const totalesPeriodo = async (desde, hasta) => {
+  const fila = await ventas.findOne({
+    where: {
+      fecha_venta: {
+        [Op.between]: [`${desde} 00:00:00`, `${hasta} 23:59:59`],
+      },
+      estado: { [Op.in]: ESTADOS_VENTA_VIGENTES },
+    },
+    attributes: [
+      [sequelize.fn("COUNT", sequelize.col("id")), "tickets"],
+      [
+        sequelize.fn("COALESCE", sequelize.fn("SUM", sequelize.col("total")), 0),
+        "ingresos",
+      ],
+    ],
+    raw: true,
+  });
+
+  const tickets = parseInt(fila.tickets) || 0;
+  const ingresos = parseFloat(fila.ingresos) || 0;
+
+  return {
+    desde,
+    hasta,
+    tickets,
+    ingresos: parseFloat(ingresos.toFixed(2)),
+    ticket_promedio: tickets > 0 ? parseFloat((ingresos / tickets).toFixed(2)) : 0,
+  };
+};
+
+/**
+ * Compara dos períodos: diferencia absoluta y variación % por métrica
+ */
+const compararPeriodos = (actual, anterior) => {
+  const variaciones = {};
+  for (const metrica of ["tickets", "ingresos", "ticket_promedio"]) {
+    const diferencia = parseFloat((actual[metrica] - anterior[metrica]).toFixed(2));
+    variaciones[metrica] = {
+      diferencia,
+      variacion_porcentaje:
+        anterior[metrica] > 0
+          ? parseFloat(((diferencia / anterior[metrica]) * 100).toFixed(2))
+          : null,
+    };
+  }
+  return { actual, anterior, variaciones };
+};
+
+/**
+ * Analítica temporal de ventas.
+ *
+ * - Mapa de calor hora del día × día de la semana (tickets, ingresos y
+ *   ticket promedio) sobre el rango pedido.
+ * - Comparación de períodos tomando fecha_fin como referencia: la semana
+ *   en curso contra los mismos días de la semana anterior, y el mes en
+ *   curso contra los mismos días del mismo mes del año anterior.
+ *
+ * Cuenta ventas vigentes por su total de venta (sin netear devoluciones):
+ * mide afluencia en caja, no ingreso contable.
+ */
+const obtenerAnaliticaVentas = async (filtros = {}) => {
+  const aFecha = (fecha) =>
+    fecha instanceof Date ? fecha.toISOString().split("T")[0] : fecha;
+
+  // Mismas reglas que el resumen: hoy por defecto y fin = inicio
+  const fecha_inicio =
+    aFecha(filtros.fecha_inicio) || new Date().toISOString().split("T")[0];
+  const fecha_fin = aFecha(filtros.fecha_fin) || fecha_inicio;
+
+  const cacheKey = generateCacheKey(CACHE_PREFIXES.VENTAS_ANALITICA, {
+    fecha_inicio,
+    fecha_fin,
+  });
+  const cached = await cacheGet(cacheKey);
+
+  if (cached) {
+    return { data: cached.data, metadata: cached.metadata, fromCache: true };
+  }
+
+  const buckets = await ventas.findAll({
+    where: {
+      fecha_venta: {
+        [Op.between]: [`${fecha_inicio} 00:00:00`, `${fecha_fin} 23:59:59`],
+      },
+      estado: { [Op.in]: ESTADOS_VENTA_VIGENTES },
+    },
+    attributes: [
+      [sequelize.fn("WEEKDAY", sequelize.col("fecha_venta")), "dia_semana"],
+      [sequelize.fn("HOUR", sequelize.col("fecha_venta")), "hora"],
+      [sequelize.fn("COUNT", sequelize.col("id")), "tickets"],
+      [sequelize.fn("SUM", sequelize.col("total")), "ingresos"],
+    ],
+    group: ["dia_semana", "hora"],
+    raw: true,
+  });
+
+  const celda = (tickets, ingresos) => ({
+    tickets,
+    ingresos: parseFloat(ingresos.toFixed(2)),
+    ticket_promedio: tickets > 0 ? parseFloat((ingresos / tickets).toFixed(2)) : 0,
+  });
+
+  // Matriz completa 7 × 24 (las celdas sin ventas quedan en cero)
+  const matriz = DIAS_SEMANA.map(() =>
+    Array.from({ length: 24 }, () => ({ tickets: 0, ingresos: 0 }))
+  );
+  for (const bucket of buckets) {
+    matriz[parseInt(bucket.dia_semana)][parseInt(bucket.hora)] = {
+      tickets: parseInt(bucket.tickets) || 0,
+      ingresos: parseFloat(bucket.ingresos) || 0,
+    };
+  }
+
+  const mapaCalor = matriz.map((horas, dia) => ({
+    dia_semana: dia,
+    nombre: DIAS_SEMANA[dia],
+    horas: horas.map((c, hora) => ({ hora, ...celda(c.tickets, c.ingresos) })),
+  }));
+
+  const porDiaSemana = matriz.map((horas, dia) => ({
+    dia_semana: dia,
+    nombre: DIAS_SEMANA[dia],
+    ...celda(
+      horas.reduce((acc, c) => acc + c.tickets, 0),
+      horas.reduce((acc, c) => acc + c.ingresos, 0)
+    ),
+  }));
+
+  const porHora = Array.from({ length: 24 }, (_, hora) => ({
+    hora,
+    ...celda(
+      matriz.reduce((acc, horas) => acc + horas[hora].tickets, 0),
+      matriz.reduce((acc, horas) => acc + horas[hora].ingresos, 0)
+    ),
+  }));
+
+  const horaPico = porHora.reduce(
+    (pico, h) => (h.tickets > pico.tickets ? h : pico),
+    porHora[0]
+  );
+
+  // Semana ISO (lunes) que contiene fecha_fin, contra la anterior
+  const diaSemanaFin = (new Date(`${fecha_fin}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const lunes = sumarDias(fecha_fin, -diaSemanaFin);
+  const semana = compararPeriodos(
+    await totalesPeriodo(lunes, fecha_fin),
+    await totalesPeriodo(sumarDias(lunes, -7), sumarDias(fecha_fin, -7))
+  );
+
+  // Mes de fecha_fin hasta ese día, contra el mismo tramo un año antes
+  // (el 29 de febrero se compara hasta el 28)
+  const [anio, mes, dia] = fecha_fin.split("-").map(Number);
+  const ultimoDiaAnterior = new Date(Date.UTC(anio - 1, mes, 0)).getUTCDate();
+  const mesTxt = String(mes).padStart(2, "0");
+  const mesComparado = compararPeriodos(
+    await totalesPeriodo(`${anio}-${mesTxt}-01`, fecha_fin),
+    await totalesPeriodo(
+      `${anio - 1}-${mesTxt}-01`,
+      `${anio - 1}-${mesTxt}-${String(Math.min(dia, ultimoDiaAnterior)).padStart(2, "0")}`
+    )
+  );
+
+  const result = {
+    data: {
+      fecha_inicio,
+      fecha_fin,
+      mapa_calor: mapaCalor,
+      por_dia_semana: porDiaSemana,
+      por_hora: porHora,
+      hora_pico: horaPico.tickets > 0 ? horaPico : null,
+      comparaciones: {
+        semana,
+        mes: mesComparado,
+      },
+    },
+    metadata: {
+      total_tickets: porDiaSemana.reduce((acc, d) => acc + d.tickets, 0),
+      generado_en: new Date().toISOString(),
+    },
+    fromCache: false,
+  };
+
+  await cacheSet(cacheKey, result, CACHE_TTL.VENTAS_ANALITICA);
   return result;
 };
 
@@ -784,14 +2241,18 @@ const testGeneracionConcurrenteNumeroVenta = async (numVentas = 100) => {
 export default {
   // Consultas
   obtenerVentasFiltradas,
+  exportarVentas,
   obtenerVentaPorId,
 
   // Escritura
   crearVenta,
   anularVenta,
+  registrarDevolucion,
 
   // Análisis
   obtenerResumenVentas,
+  obtenerReporteMargen,
+  obtenerAnaliticaVentas,
 
   // Utilidades (para uso interno)
   validarProductosYStock,
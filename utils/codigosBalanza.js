@@ -0,0 +1,91 @@
+/**
+ * Códigos de balanza (EAN-13 de medida variable).
+ *
+ * Las balanzas de la charcutería imprimen EAN-13 que empiezan por 2 y llevan
+ * el código del artículo (PLU) más el peso o el precio. El formato de cada
+ * prefijo se configura con SCALE_BARCODE_FORMATS, una lista separada por
+ * comas de reglas "prefijo:plantilla". La plantilla cubre los dígitos entre
+ * el prefijo y el dígito de control:
+ *
+ *   P = código del artículo (productos.codigo_balanza)
+ *   W = peso en gramos (se convierte a kg)
+ *   $ = precio en pesos
+ *   X = dígito que se ignora (ej: control interno del precio)
+ *
+ * Por defecto: 20 y 21 con peso, 22 y 23 con precio, 5 dígitos de PLU y 5 de
+ * valor. El prefijo de los códigos internos (29, ver ean13.js) no se usa
+ * para balanza.
+ */
+import { esEAN13Valido } from "./ean13.js";
+
+const FORMATOS_BALANZA_DEFECTO =
+  "20:PPPPPWWWWW,21:PPPPPWWWWW,22:PPPPP$$$$$,23:PPPPP$$$$$";
+
+/**
+ * Interpreta la configuración; las reglas mal escritas se descartan con
+ * una advertencia para no tumbar el arranque
+ */
+const leerFormatos = (configuracion) =>
+  configuracion
+    .split(",")
+    .map((regla) => regla.trim())
+    .filter(Boolean)
+    .map((regla) => {
+      const [prefijo = "", plantilla = ""] = regla.split(":");
+      const valida =
+        /^2\d{0,3}$/.test(prefijo) &&
+        plantilla.length === 12 - prefijo.length &&
+        /^[PWX$]+$/.test(plantilla) &&
+        plantilla.includes("P") &&
+        plantilla.includes("W") !== plantilla.includes("$");
+
+      if (!valida) {
+        console.warn(`⚠️ Formato de código de balanza inválido, se ignora: "${regla}"`);
+        return null;
+      }
+
+      return { prefijo, plantilla };
+    })
+    .filter(Boolean)
+    // Prefijos más largos primero ("201" antes que "20")
+    .sort((a, b) => b.prefijo.length - a.prefijo.length);
+
+const FORMATOS_BALANZA = leerFormatos(
+  process.env.SCALE_BARCODE_FORMATS || FORMATOS_BALANZA_DEFECTO
+);
+
+/**
+ * Lee un código de balanza
+ *
+ * @param {string} codigo - Código escaneado
+ * @returns {Object|null} { prefijo, codigo_balanza, peso, precio } con peso
+ *   en kg o precio en pesos (el otro en null); null si el código no
+ *   corresponde a ningún formato configurado o su valor es 0
+ */
+const parsearCodigoBalanza = (codigo) => {
+  const limpio = String(codigo ?? "").trim();
+  if (!esEAN13Valido(limpio)) return null;
+
+  const formato = FORMATOS_BALANZA.find((f) => limpio.startsWith(f.prefijo));
+  if (!formato) return null;
+
+  const cuerpo = limpio.slice(formato.prefijo.length, 12);
+  const digitos = { P: "", W: "", $: "" };
+  [...formato.plantilla].forEach((tipo, i) => {
+    if (tipo !== "X") digitos[tipo] += cuerpo[i];
+  });
+
+  const codigoBalanza = parseInt(digitos.P, 10);
+  const valor = parseInt(digitos.W || digitos.$, 10);
+
+  if (!codigoBalanza || !valor) return null;
+
+  return {
+    prefijo: formato.prefijo,
+    codigo_balanza: codigoBalanza,
+    peso: digitos.W ? valor / 1000 : null,
+    precio: digitos.$ ? valor : null,
+  };
+};
+
+export { FORMATOS_BALANZA, parsearCodigoBalanza };
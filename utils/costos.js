@@ -0,0 +1,57 @@
+/**
+ * Costo promedio ponderado del inventario.
+ *
+ * Cada entrada con costo (recepción, devolución de una venta) mezcla el
+ * costo del stock existente con el de lo que ingresa:
+ *
+ *   nuevo = (stock × costo_actual + cantidad × costo_entrada) / (stock + cantidad)
+ *
+ * Las salidas no cambian el costo. Los productos anteriores a este cálculo
+ * tienen costo_promedio NULL y se valoran con precio_compra hasta su
+ * primera entrada.
+ */
+
+const redondearCosto = (valor) => parseFloat((parseFloat(valor) || 0).toFixed(4));
+
+/**
+ * Expresión SQL del costo vigente de un producto (para SUM/valoraciones).
+ * Se usa sobre la tabla productos o sobre un include con alias.
+ *
+ * @param {string} [alias] - Alias de la tabla (ej: "producto")
+ * @returns {string}
+ */
+const costoVigenteSQL = (alias = null) => {
+  const col = (nombre) => (alias ? `\`${alias}\`.\`${nombre}\`` : nombre);
+  return `COALESCE(${col("costo_promedio")}, ${col("precio_compra")})`;
+};
+
+/**
+ * Costo vigente de un producto ya cargado.
+ *
+ * @param {Object} producto - Con costo_promedio y precio_compra
+ * @returns {number}
+ */
+const costoVigente = (producto) =>
+  redondearCosto(producto.costo_promedio ?? producto.precio_compra);
+
+/**
+ * Asignación SQL de costo_promedio para un UPDATE de entrada.
+ * Debe ir ANTES de la de stock_actual: MySQL evalúa el SET de izquierda a
+ * derecha y la fórmula necesita el stock previo a la entrada.
+ * Los valores se fuerzan a número, así que no admiten inyección.
+ *
+ * @param {number} cantidad - Cantidad que ingresa
+ * @param {number} costoEntrada - Costo unitario de lo que ingresa
+ * @returns {string}
+ */
+const costoPromedioEntradaSQL = (cantidad, costoEntrada) => {
+  const q = (parseFloat(cantidad) || 0).toFixed(3);
+  const c = redondearCosto(costoEntrada).toFixed(4);
+  return (
+    `CASE WHEN stock_actual <= 0 THEN ${c} ` +
+    `ELSE ROUND((stock_actual * COALESCE(costo_promedio, precio_compra) + ${q} * ${c}) ` +
+    `/ (stock_actual + ${q}), 4) END`
+  );
+};
+
+export { redondearCosto, costoVigenteSQL, costoVigente, costoPromedioEntradaSQL };
@@ -0,0 +1,129 @@
+/**
+ * Lectura de archivos CSV para importaciones.
+ *
+ * Acepta lo que suele salir de Excel en Colombia (separador ";", decimales
+ * con coma) y CSV estándar (separador ","). El separador se detecta en la
+ * línea de encabezados.
+ */
+import { normalizeString } from "./normalizeString.js";
+
+/**
+ * Separa un CSV en registros respetando comillas (campos con separador,
+ * comillas dobles escapadas y saltos de línea).
+ *
+ * @param {string} texto - Contenido del archivo
+ * @returns {{ separador: string, registros: Array<{ linea: number, valores: string[] }> }}
+ *   linea es el número de línea del archivo donde empieza el registro.
+ *   Las líneas vacías se omiten.
+ */
+const parsearCSV = (texto) => {
+  const contenido = String(texto).replace(/^\uFEFF/, "");
+
+  const finEncabezado = contenido.search(/\r?\n/);
+  const encabezado =
+    finEncabezado === -1 ? contenido : contenido.slice(0, finEncabezado);
+  const contar = (caracter) => encabezado.split(caracter).length - 1;
+  const separador = contar(";") >= contar(",") ? ";" : ",";
+
+  const registros = [];
+  let valores = [];
+  let campo = "";
+  let entreComillas = false;
+  let linea = 1;
+  let lineaInicio = 1;
+
+  const cerrarRegistro = () => {
+    valores.push(campo);
+    if (valores.some((valor) => valor.trim() !== "")) {
+      registros.push({ linea: lineaInicio, valores });
+    }
+    valores = [];
+    campo = "";
+  };
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        if (caracter === "\n") linea++;
+        campo += caracter;
+      }
+      continue;
+    }
+
+    if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      valores.push(campo);
+      campo = "";
+    } else if (caracter === "\r" || caracter === "\n") {
+      if (caracter === "\r" && contenido[i + 1] === "\n") i++;
+      cerrarRegistro();
+      linea++;
+      lineaInicio = linea;
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (entreComillas) {
+    throw new Error(`CSV_COMILLAS_SIN_CERRAR:${lineaInicio}`);
+  }
+
+  if (campo !== "" || valores.length > 0) cerrarRegistro();
+
+  return { separador, registros };
+};
+
+// Solo puntos en grupos de tres ("1.500", "1.234.567"): miles en es-CO
+const MILES_SIN_DECIMALES = /^-?\d{1,3}(\.\d{3})+$/;
+
+/**
+ * Convierte un número escrito en formato colombiano ("1.234,50") o
+ * estándar ("1234.50"). Si no es un número devuelve el texto tal cual,
+ * para que la validación reporte el error con el valor original.
+ *
+ * Un valor con puntos en grupos de tres y sin coma ("1.500") se lee como
+ * miles, igual que lo escribe la exportación CSV: 1.500 = 1500.
+ *
+ * @param {string} texto
+ * @returns {number|string}
+ */
+const numeroCSV = (texto) => {
+  const limpio = texto.replace(/[\s$]/g, "");
+  const normalizado =
+    limpio.includes(",") || MILES_SIN_DECIMALES.test(limpio)
+      ? limpio.replace(/\./g, "").replace(",", ".")
+      : limpio;
+  return /^-?\d+(\.\d+)?$/.test(normalizado) ? Number(normalizado) : texto;
+};
+
+/**
+ * Convierte Sí/No, true/false, 1/0 a booleano (o devuelve el texto)
+ *
+ * @param {string} texto
+ * @returns {boolean|string}
+ */
+const booleanoCSV = (texto) => {
+  const valor = normalizeString(texto);
+  if (["si", "s", "true", "1", "verdadero"].includes(valor)) return true;
+  if (["no", "n", "false", "0", "falso"].includes(valor)) return false;
+  return texto;
+};
+
+/**
+ * Quita el apóstrofo que la exportación antepone a textos que Excel
+ * tomaría como fórmula ("'=ABC" → "=ABC")
+ *
+ * @param {string} texto
+ * @returns {string}
+ */
+const textoCSV = (texto) => texto.trim().replace(/^'(?=[=+\-@])/, "");
+
+export { parsearCSV, numeroCSV, booleanoCSV, textoCSV };
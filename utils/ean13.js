@@ -0,0 +1,180 @@
+/**
+ * Códigos EAN-13: dígito de control, códigos internos y dibujo de barras.
+ *
+ * Los códigos internos usan un prefijo GS1 de circulación restringida
+ * (20-29, reservado para uso dentro de la tienda), así nunca chocan con un
+ * EAN real de proveedor. El prefijo se configura con EAN_INTERNAL_PREFIX
+ * (por defecto "29").
+ */
+
+const PREFIJO_EAN_INTERNO = /^2\d{1,3}$/.test(process.env.EAN_INTERNAL_PREFIX)
+  ? process.env.EAN_INTERNAL_PREFIX
+  : "29";
+
+// Patrones de 7 módulos por dígito (L = impar, R = derecha)
+const PATRONES_L = [
+  "0001101", "0011001", "0010011", "0111101", "0100011",
+  "0110001", "0101111", "0111011", "0110111", "0001011",
+];
+const PATRONES_R = PATRONES_L.map((patron) =>
+  patron.replace(/[01]/g, (bit) => (bit === "0" ? "1" : "0"))
+);
+// G = R invertido (paridad par)
+const PATRONES_G = PATRONES_R.map((patron) => [...patron].reverse().join(""));
+
+// El primer dígito no se dibuja: define la paridad de los seis siguientes
+const PARIDADES = [
+  "LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG",
+  "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL",
+];
+
+// Módulos de las barras de guarda (más largas que las de datos)
+const GUARDAS = new Set([0, 2, 46, 48, 92, 94]);
+
+/**
+ * Dígito de control EAN-13 (o UPC-A con un 0 adelante) de los primeros 12
+ *
+ * @param {string} doceDigitos
+ * @returns {number}
+ */
+const calcularDigitoControl = (doceDigitos) => {
+  const suma = [...doceDigitos].reduce(
+    (total, digito, indice) => total + Number(digito) * (indice % 2 ? 3 : 1),
+    0
+  );
+  return (10 - (suma % 10)) % 10;
+};
+
+/**
+ * @param {string} codigo
+ * @returns {boolean} true si son 13 dígitos con dígito de control correcto
+ */
+const esEAN13Valido = (codigo) =>
+  /^\d{13}$/.test(codigo ?? "") &&
+  calcularDigitoControl(codigo.slice(0, 12)) === Number(codigo[12]);
+
+/**
+ * Lleva a EAN-13 un código que se pueda dibujar como tal (EAN-13 o UPC-A
+ * válidos). Cualquier otro código devuelve null.
+ *
+ * @param {string} codigo
+ * @returns {string|null}
+ */
+const comoEAN13 = (codigo) => {
+  const limpio = String(codigo ?? "").trim();
+  if (esEAN13Valido(limpio)) return limpio;
+  if (/^\d{12}$/.test(limpio) && esEAN13Valido(`0${limpio}`)) {
+    return `0${limpio}`;
+  }
+  return null;
+};
+
+/**
+ * Genera un código EAN-13 interno a partir de un número (ej: ID del producto)
+ *
+ * @param {number} numero - Entero positivo
+ * @param {string} prefijo - Prefijo de circulación restringida
+ * @returns {string} Código de 13 dígitos
+ * @throws {Error} EAN_NUMERO_FUERA_DE_RANGO
+ */
+const generarEAN13Interno = (numero, prefijo = PREFIJO_EAN_INTERNO) => {
+  const digitos = 12 - prefijo.length;
+  const cuerpo = String(numero);
+
+  if (!/^\d+$/.test(cuerpo) || cuerpo.length > digitos) {
+    throw new Error("EAN_NUMERO_FUERA_DE_RANGO");
+  }
+
+  const doce = `${prefijo}${cuerpo.padStart(digitos, "0")}`;
+  return `${doce}${calcularDigitoControl(doce)}`;
+};
+
+/**
+ * Secuencia de 95 módulos ("1" = barra) de un EAN-13 válido
+ *
+ * @param {string} codigo
+ * @returns {string}
+ */
+const modulosEAN13 = (codigo) => {
+  const paridad = PARIDADES[Number(codigo[0])];
+  const izquierda = [...codigo.slice(1, 7)]
+    .map((digito, i) =>
+      (paridad[i] === "L" ? PATRONES_L : PATRONES_G)[Number(digito)]
+    )
+    .join("");
+  const derecha = [...codigo.slice(7)]
+    .map((digito) => PATRONES_R[Number(digito)])
+    .join("");
+
+  return `101${izquierda}01010${derecha}101`;
+};
+
+/**
+ * Barras de un EAN-13 como rectángulos en unidades de módulo, agrupando
+ * módulos contiguos. Las guardas se marcan para dibujarlas más largas.
+ *
+ * @param {string} codigo
+ * @returns {Array<{ x: number, ancho: number, guarda: boolean }>}
+ */
+const barrasEAN13 = (codigo) => {
+  const modulos = modulosEAN13(codigo);
+  const barras = [];
+
+  for (let i = 0; i < modulos.length; i++) {
+    if (modulos[i] !== "1") continue;
+
+    const guarda = GUARDAS.has(i);
+    const anterior = barras[barras.length - 1];
+
+    if (anterior && anterior.x + anterior.ancho === i && anterior.guarda === guarda) {
+      anterior.ancho++;
+    } else {
+      barras.push({ x: i, ancho: 1, guarda });
+    }
+  }
+
+  return barras;
+};
+
+/**
+ * SVG de un EAN-13 con los dígitos debajo. Escala con el ancho del
+ * contenedor (viewBox en módulos, con zona de silencio a los lados).
+ *
+ * @param {string} codigo - EAN-13 válido
+ * @param {Object} opciones
+ * @param {number} opciones.alto - Alto de las barras en módulos (defecto 50)
+ * @returns {string}
+ */
+const svgEAN13 = (codigo, { alto = 50 } = {}) => {
+  const margen = 9;
+  const altoTexto = 10;
+  const ancho = 95 + margen * 2;
+  const altoTotal = alto + altoTexto;
+
+  const rects = barrasEAN13(codigo)
+    .map(
+      ({ x, ancho: anchoBarra, guarda }) =>
+        `<rect x="${x + margen}" y="0" width="${anchoBarra}" height="${guarda ? alto + 5 : alto}"/>`
+    )
+    .join("");
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${ancho} ${altoTotal}" ` +
+    `role="img" aria-label="${codigo}">` +
+    `<g fill="#000">${rects}</g>` +
+    `<text x="${ancho / 2}" y="${altoTotal - 1}" font-family="monospace" ` +
+    `font-size="9" text-anchor="middle" letter-spacing="1">${codigo}</text>` +
+    `</svg>`
+  );
+};
+
+export {
+  PREFIJO_EAN_INTERNO,
+  calcularDigitoControl,
+  esEAN13Valido,
+  comoEAN13,
+  generarEAN13Interno,
+  modulosEAN13,
+  barrasEAN13,
+  svgEAN13,
+};
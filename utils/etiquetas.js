@@ -0,0 +1,291 @@
+/**
+ * Etiquetas de precio para góndola en HTML o PDF.
+ *
+ * Cada etiqueta lleva nombre, precio de venta (IVA incluido, "/ kg" en
+ * productos por peso), código de barras EAN-13 y fecha de impresión. Los
+ * códigos que no son EAN-13/UPC-A se imprimen solo como texto.
+ *
+ * Hoja A4 con 3 columnas x 8 filas (70 x 37 mm aprox.), la misma
+ * distribución en ambos formatos para usar las mismas hojas adhesivas.
+ */
+import PDFDocument from "pdfkit";
+import { comoEAN13, barrasEAN13, svgEAN13 } from "./ean13.js";
+
+const FORMATOS_ETIQUETAS = ["pdf", "html"];
+
+const COLUMNAS = 3;
+const FILAS = 8;
+const ZONA_HORARIA = "America/Bogota";
+
+const formateadorPrecio = new Intl.NumberFormat("es-CO", {
+  style: "currency",
+  currency: "COP",
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+});
+
+const formateadorFecha = new Intl.DateTimeFormat("es-CO", {
+  timeZone: ZONA_HORARIA,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Datos de una etiqueta ya formateados
+ */
+const contenidoEtiqueta = (producto, fecha) => ({
+  nombre: producto.nombre,
+  precio: formateadorPrecio.format(parseFloat(producto.precio_venta)),
+  unidad: producto.tipo_medida === "peso" ? "/ kg" : "",
+  codigo: producto.codigo_barras || "",
+  ean13: comoEAN13(producto.codigo_barras),
+  fecha,
+});
+
+const escaparHTML = (texto) =>
+  String(texto).replace(
+    /[&<>"']/g,
+    (caracter) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        caracter
+      ]
+  );
+
+// =====================================================
+// HTML
+// =====================================================
+
+const ESTILOS_HTML = `
+  @page { size: A4; margin: 8mm 5mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: Arial, Helvetica, sans-serif; }
+  .hoja { display: grid; grid-template-columns: repeat(${COLUMNAS}, 1fr);
+    grid-auto-rows: 35mm; gap: 0; width: 200mm; }
+  .etiqueta { border: 0.2mm dashed #bbb; padding: 2mm 3mm; overflow: hidden;
+    display: flex; flex-direction: column; break-inside: avoid; }
+  .nombre { font-size: 9pt; font-weight: bold; line-height: 1.15;
+    max-height: 2.3em; overflow: hidden; }
+  .precio { font-size: 20pt; font-weight: bold; margin: 0.5mm 0; }
+  .unidad { font-size: 10pt; font-weight: normal; }
+  .codigo { flex: 1; min-height: 0; display: flex; align-items: flex-end; }
+  .codigo svg { height: 100%; max-width: 45mm; }
+  .codigo-texto { font-family: monospace; font-size: 8pt; }
+  .fecha { font-size: 6pt; color: #666; text-align: right; }
+  @media screen { body { padding: 10mm; background: #eee; }
+    .hoja { background: #fff; margin: auto; } }
+`;
+
+const etiquetaHTML = (etiqueta) => `
+  <div class="etiqueta">
+    <div class="nombre">${escaparHTML(etiqueta.nombre)}</div>
+    <div class="precio">${escaparHTML(etiqueta.precio)} <span class="unidad">${etiqueta.unidad}</span></div>
+    <div class="codigo">${
+      etiqueta.ean13
+        ? svgEAN13(etiqueta.ean13)
+        : `<span class="codigo-texto">${escaparHTML(etiqueta.codigo)}</span>`
+    }</div>
+    <div class="fecha">${etiqueta.fecha}</div>
+  </div>`;
+
+const generarHTML = (etiquetas) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Etiquetas de precio</title>
+<style>${ESTILOS_HTML}</style>
+</head>
+<body>
+<div class="hoja">${etiquetas.map(etiquetaHTML).join("")}
+</div>
+</body>
+</html>
+`;
+
+// =====================================================
+// PDF
+// =====================================================
+
+// Medidas en puntos (1 mm = 2.835 pt)
+const MM = 72 / 25.4;
+const ANCHO_A4 = 595.28;
+const ALTO_A4 = 841.89;
+const MARGEN_X = 5 * MM;
+const MARGEN_Y = 8 * MM;
+const PADDING = 2.5 * MM;
+
+/**
+ * Dibuja las barras de un EAN-13 con los dígitos debajo
+ */
+const dibujarEAN13 = (doc, codigo, x, y, ancho, alto) => {
+  const modulo = ancho / 95;
+  const altoBarras = alto - 10;
+
+  for (const barra of barrasEAN13(codigo)) {
+    doc
+      .rect(
+        x + barra.x * modulo,
+        y,
+        barra.ancho * modulo,
+        barra.guarda ? altoBarras + 3 : altoBarras
+      )
+      .fill("#000");
+  }
+
+  doc
+    .font("Courier")
+    .fontSize(7)
+    .fillColor("#000")
+    .text(codigo, x, y + altoBarras + 3.5, {
+      width: ancho,
+      align: "center",
+      characterSpacing: 1,
+    });
+};
+
+const dibujarEtiqueta = (doc, etiqueta, x, y, ancho, alto) => {
+  doc
+    .save()
+    .lineWidth(0.3)
+    .dash(2, { space: 2 })
+    .strokeColor("#bbbbbb")
+    .rect(x, y, ancho, alto)
+    .stroke()
+    .restore();
+
+  const interiorX = x + PADDING;
+  const interiorAncho = ancho - PADDING * 2;
+  let cursorY = y + PADDING;
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(9)
+    .fillColor("#000")
+    .text(etiqueta.nombre, interiorX, cursorY, {
+      width: interiorAncho,
+      height: 22,
+      ellipsis: true,
+    });
+  cursorY += 23;
+
+  doc.font("Helvetica-Bold").fontSize(20).text(etiqueta.precio, interiorX, cursorY, {
+    lineBreak: false,
+  });
+  if (etiqueta.unidad) {
+    // A continuación del precio, alineado a su base
+    const anchoPrecio = doc.widthOfString(etiqueta.precio);
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(etiqueta.unidad, interiorX + anchoPrecio + 3, cursorY + 8, {
+        lineBreak: false,
+      });
+  }
+  cursorY += 24;
+
+  const altoCodigo = y + alto - PADDING - 8 - cursorY;
+
+  if (etiqueta.ean13) {
+    dibujarEAN13(
+      doc,
+      etiqueta.ean13,
+      interiorX,
+      cursorY,
+      Math.min(interiorAncho * 0.75, 45 * MM),
+      altoCodigo
+    );
+  } else if (etiqueta.codigo) {
+    doc
+      .font("Courier")
+      .fontSize(8)
+      .text(etiqueta.codigo, interiorX, cursorY + altoCodigo - 10, {
+        width: interiorAncho,
+        lineBreak: false,
+      });
+  }
+
+  doc
+    .font("Helvetica")
+    .fontSize(6)
+    .fillColor("#666666")
+    .text(etiqueta.fecha, interiorX, y + alto - PADDING - 6, {
+      width: interiorAncho,
+      align: "right",
+      lineBreak: false,
+    })
+    .fillColor("#000");
+};
+
+const escribirPDF = (res, etiquetas) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 0, autoFirstPage: false });
+    const anchoEtiqueta = (ANCHO_A4 - MARGEN_X * 2) / COLUMNAS;
+    const altoEtiqueta = (ALTO_A4 - MARGEN_Y * 2) / FILAS;
+    const porHoja = COLUMNAS * FILAS;
+
+    doc.on("error", reject);
+    res.on("finish", resolve);
+    res.on("error", reject);
+    doc.pipe(res);
+
+    etiquetas.forEach((etiqueta, indice) => {
+      const posicion = indice % porHoja;
+      if (posicion === 0) doc.addPage();
+
+      dibujarEtiqueta(
+        doc,
+        etiqueta,
+        MARGEN_X + (posicion % COLUMNAS) * anchoEtiqueta,
+        MARGEN_Y + Math.floor(posicion / COLUMNAS) * altoEtiqueta,
+        anchoEtiqueta,
+        altoEtiqueta
+      );
+    });
+
+    doc.end();
+  });
+
+// =====================================================
+// ENVÍO
+// =====================================================
+
+/**
+ * Envía las etiquetas de los productos como PDF o HTML
+ *
+ * @param {Object} res - Response de Express
+ * @param {Object} opciones
+ * @param {string} opciones.formato - "pdf" | "html"
+ * @param {Array} opciones.productos - { nombre, precio_venta, tipo_medida, codigo_barras }
+ * @param {number} opciones.copias - Etiquetas por producto (defecto 1)
+ * @param {string} opciones.nombre - Nombre base del archivo
+ */
+const enviarEtiquetas = async (
+  res,
+  { formato, productos, copias = 1, nombre = "etiquetas" }
+) => {
+  const fecha = formateadorFecha.format(new Date());
+  const etiquetas = productos.flatMap((producto) =>
+    Array(copias).fill(contenidoEtiqueta(producto, fecha))
+  );
+
+  const archivo = `${nombre}_${new Date().toISOString().slice(0, 10)}`;
+
+  if (formato === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${archivo}.html"`);
+    return res.send(generarHTML(etiquetas));
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${archivo}.pdf"`);
+
+  try {
+    await escribirPDF(res, etiquetas);
+  } catch (error) {
+    // Con el PDF a medio enviar ya no se puede responder con JSON
+    console.error("❌ Error generando etiquetas PDF:", error.message);
+    res.destroy(error);
+  }
+};
+
+export { FORMATOS_ETIQUETAS, enviarEtiquetas };
@@ -0,0 +1,514 @@
+/**
+ * Exportación de listados y reportes a CSV o XLSX.
+ *
+ * - CSV: separador ";" (la coma es el separador decimal en Colombia),
+ *   BOM UTF-8 para que Excel respete las tildes, números y fechas ya
+ *   formateados en es-CO ("1.234,50", "19/10/2026 14:05").
+ * - XLSX: números y fechas nativos con formato de celda, así el contador
+ *   puede sumar y filtrar; Excel los muestra con la configuración regional
+ *   de cada equipo.
+ *
+ * Las filas llegan por lotes (arreglos) desde un iterable asíncrono y se
+ * escriben a medida que llegan: el resultado completo nunca se arma en
+ * memoria.
+ */
+import { once } from "node:events";
+import ExcelJS from "exceljs";
+
+const FORMATOS_EXPORTACION = ["csv", "xlsx"];
+
+const TAMANO_LOTE_EXPORTACION = 500;
+
+const ZONA_HORARIA = "America/Bogota";
+
+const TIPOS_CONTENIDO = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Formato de celda XLSX por tipo de columna
+const FORMATOS_CELDA = {
+  entero: "#,##0",
+  decimal: "#,##0.00##",
+  cantidad: "#,##0.###",
+  moneda: "#,##0.00",
+  porcentaje: "0.00",
+  fecha: "dd/mm/yyyy",
+  fecha_hora: "dd/mm/yyyy hh:mm",
+};
+
+// Decimales mínimos y máximos de los tipos numéricos
+const DECIMALES = {
+  entero: [0, 0],
+  decimal: [2, 4],
+  cantidad: [0, 3],
+  moneda: [2, 2],
+  porcentaje: [2, 2],
+};
+
+const formateadoresNumero = Object.fromEntries(
+  Object.entries(DECIMALES).map(([tipo, [min, max]]) => [
+    tipo,
+    new Intl.NumberFormat("es-CO", {
+      minimumFractionDigits: min,
+      maximumFractionDigits: max,
+    }),
+  ])
+);
+
+const formateadorFechaHora = new Intl.DateTimeFormat("es-CO", {
+  timeZone: ZONA_HORARIA,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+const FECHA_ISO = /^(\d{4})-(\d{2})-(\d{2})$/;
+const FECHA_HORA_ISO = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const NUMERO_TEXTO = /^-?\d+(\.\d+)?$/;
+
+// Claves de reporte que parecen números pero son identificadores
+const CLAVES_TEXTO = /codigo|documento|telefono|numero|factura/;
+
+// =====================================================
+// CONVERSIÓN DE VALORES
+// =====================================================
+
+/**
+ * Partes de fecha y hora en la zona de Colombia
+ */
+const partesFechaHora = (valor) => {
+  const fecha = valor instanceof Date ? valor : new Date(valor);
+  if (Number.isNaN(fecha.getTime())) return null;
+
+  const partes = Object.fromEntries(
+    formateadorFechaHora
+      .formatToParts(fecha)
+      .map((parte) => [parte.type, parte.value])
+  );
+  return partes;
+};
+
+/**
+ * Fecha YYYY-MM-DD de un DATEONLY (texto) o de un Date en hora de Colombia
+ */
+const textoFecha = (valor) => {
+  if (valor instanceof Date) {
+    const p = partesFechaHora(valor);
+    return p ? `${p.year}-${p.month}-${p.day}` : "";
+  }
+  return String(valor).slice(0, 10);
+};
+
+/**
+ * Valor de una celda CSV en texto es-CO
+ */
+const valorCSV = (valor, tipo) => {
+  if (valor === null || valor === undefined || valor === "") return "";
+
+  if (formateadoresNumero[tipo]) {
+    const numero = parseFloat(valor);
+    return Number.isNaN(numero) ? "" : formateadoresNumero[tipo].format(numero);
+  }
+
+  if (tipo === "fecha") {
+    const [, anio, mes, dia] = textoFecha(valor).match(FECHA_ISO) || [];
+    return anio ? `${dia}/${mes}/${anio}` : "";
+  }
+
+  if (tipo === "fecha_hora") {
+    const p = partesFechaHora(valor);
+    return p ? `${p.day}/${p.month}/${p.year} ${p.hour}:${p.minute}` : "";
+  }
+
+  if (tipo === "booleano") return valor ? "Sí" : "No";
+
+  // Evita que Excel interprete textos de usuario como fórmulas
+  const texto = String(valor);
+  return /^[=+\-@]/.test(texto) ? `'${texto}` : texto;
+};
+
+/**
+ * Escapa un campo CSV (comillas, separador y saltos de línea)
+ */
+const escaparCSV = (texto) =>
+  /[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+
+/**
+ * Valor nativo de una celda XLSX. Las fechas se guardan con la hora de
+ * Colombia: Excel no maneja zonas horarias.
+ */
+const valorXLSX = (valor, tipo) => {
+  if (valor === null || valor === undefined || valor === "") return null;
+
+  if (DECIMALES[tipo]) {
+    const numero = parseFloat(valor);
+    return Number.isNaN(numero) ? null : numero;
+  }
+
+  if (tipo === "fecha") {
+    const [, anio, mes, dia] = textoFecha(valor).match(FECHA_ISO) || [];
+    return anio ? new Date(Date.UTC(anio, mes - 1, dia)) : null;
+  }
+
+  if (tipo === "fecha_hora") {
+    const p = partesFechaHora(valor);
+    return p
+      ? new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute))
+      : null;
+  }
+
+  if (tipo === "booleano") return valor ? "Sí" : "No";
+
+  return String(valor);
+};
+
+/**
+ * Lee un campo con ruta ("categoria.nombre") o función
+ */
+const leerCampo = (fila, columna) => {
+  if (typeof columna.valor === "function") return columna.valor(fila);
+  return columna.campo
+    .split(".")
+    .reduce((obj, clave) => (obj == null ? obj : obj[clave]), fila);
+};
+
+const tipoColumna = (fila, columna) =>
+  typeof columna.tipo === "function" ? columna.tipo(fila) : columna.tipo;
+
+// =====================================================
+// ESCRITURA
+// =====================================================
+
+// El cliente cerró la conexión: no tiene sentido seguir consultando lotes
+const EXPORTACION_INTERRUMPIDA = "EXPORTACION_INTERRUMPIDA";
+
+const verificarConexion = (res) => {
+  if (res.destroyed || res.writableEnded) {
+    throw new Error(EXPORTACION_INTERRUMPIDA);
+  }
+};
+
+const escribir = async (res, chunk) => {
+  verificarConexion(res);
+  if (res.write(chunk)) return;
+
+  // Si el cliente se desconecta "drain" no llega nunca: se espera también
+  // "close" y se quitan ambos listeners al salir
+  const espera = new AbortController();
+  try {
+    await Promise.race([
+      once(res, "drain", { signal: espera.signal }),
+      once(res, "close", { signal: espera.signal }),
+    ]);
+  } finally {
+    espera.abort();
+  }
+  verificarConexion(res);
+};
+
+const escribirCSV = async (res, hojas) => {
+  await escribir(res, "\uFEFF");
+
+  for (const [indice, hoja] of hojas.entries()) {
+    // Varias hojas en un CSV: un bloque por hoja con su título
+    if (hojas.length > 1) {
+      const separador = indice > 0 ? "\r\n" : "";
+      await escribir(res, `${separador}${escaparCSV(hoja.nombre)}\r\n`);
+    }
+
+    await escribir(
+      res,
+      hoja.columnas.map((c) => escaparCSV(c.titulo)).join(";") + "\r\n"
+    );
+
+    for await (const lote of hoja.lotes) {
+      if (lote.length === 0) continue;
+      const lineas = lote.map((fila) =>
+        hoja.columnas
+          .map((c) =>
+            escaparCSV(valorCSV(leerCampo(fila, c), tipoColumna(fila, c)))
+          )
+          .join(";")
+      );
+      await escribir(res, lineas.join("\r\n") + "\r\n");
+    }
+  }
+};
+
+const escribirXLSX = async (res, hojas) => {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+
+  for (const hoja of hojas) {
+    // Excel limita el nombre de la hoja a 31 caracteres y prohíbe []:*?/\
+    const hojaXLSX = libro.addWorksheet(
+      hoja.nombre.replace(/[[\]:*?/\\]/g, " ").slice(0, 31),
+      { views: [{ state: "frozen", ySplit: 1 }] }
+    );
+    hojaXLSX.columns = hoja.columnas.map((c) => ({
+      header: c.titulo,
+      width: c.ancho || Math.max(12, c.titulo.length + 2),
+    }));
+    hojaXLSX.getRow(1).font = { bold: true };
+
+    for await (const lote of hoja.lotes) {
+      verificarConexion(res);
+      for (const fila of lote) {
+        const tipos = hoja.columnas.map((c) => tipoColumna(fila, c));
+        const filaXLSX = hojaXLSX.addRow(
+          hoja.columnas.map((c, i) => valorXLSX(leerCampo(fila, c), tipos[i]))
+        );
+        tipos.forEach((tipo, i) => {
+          if (FORMATOS_CELDA[tipo]) {
+            filaXLSX.getCell(i + 1).numFmt = FORMATOS_CELDA[tipo];
+          }
+        });
+        filaXLSX.commit();
+      }
+    }
+
+    hojaXLSX.commit();
+  }
+
+  await libro.commit();
+};
+
+/**
+ * Envía una o varias hojas como archivo adjunto.
+ *
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} opciones
+ * @param {string} opciones.formato - "csv" | "xlsx"
+ * @param {string} opciones.nombre - Nombre base del archivo (sin extensión)
+ * @param {Array<{nombre: string, columnas: Array, lotes: AsyncIterable<Array>|Array<Array>}>} opciones.hojas
+ *   Columnas: { titulo, campo | valor(fila), tipo?, ancho? }; tipo es
+ *   texto (por defecto), entero, decimal, cantidad, moneda, porcentaje,
+ *   fecha, fecha_hora o booleano, o una función de la fila que lo elija.
+ */
+const enviarExportacion = async (res, { formato, nombre, hojas }) => {
+  const fecha = new Date().toISOString().split("T")[0];
+
+  res.setHeader("Content-Type", TIPOS_CONTENIDO[formato]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${nombre}_${fecha}.${formato}"`
+  );
+
+  try {
+    if (formato === "xlsx") {
+      await escribirXLSX(res, hojas);
+    } else {
+      await escribirCSV(res, hojas);
+      res.end();
+    }
+  } catch (error) {
+    if (error.message === EXPORTACION_INTERRUMPIDA) return;
+
+    // Con el archivo a medio enviar ya no se puede responder JSON:
+    // se corta la conexión para que el cliente no lo tome por completo
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      // Nada salió todavía (el XLSX no escribe hasta la primera fila):
+      // la respuesta de error no debe llegar como archivo adjunto
+      res.removeHeader("Content-Type");
+      res.removeHeader("Content-Disposition");
+    }
+    throw error;
+  }
+};
+
+// =====================================================
+// LOTES Y REPORTES
+// =====================================================
+
+/**
+ * Recorre una consulta por lotes con limit/offset hasta agotarla.
+ * La consulta debe tener un orden estable (incluir la PK en el order).
+ *
+ * @param {(opciones: {limit: number, offset: number}) => Promise<Array>} consultar
+ * @param {number} [tamano]
+ */
+const recorrerEnLotes = async function* (
+  consultar,
+  tamano = TAMANO_LOTE_EXPORTACION
+) {
+  for (let offset = 0; ; offset += tamano) {
+    const filas = await consultar({ limit: tamano, offset });
+    if (filas.length > 0) {
+      yield filas.map((fila) =>
+        typeof fila.get === "function" ? fila.get({ plain: true }) : fila
+      );
+    }
+    if (filas.length < tamano) return;
+  }
+};
+
+const humanizar = (clave) => {
+  const texto = String(clave).replace(/_/g, " ").trim();
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+};
+
+const esObjetoPlano = (valor) =>
+  valor !== null &&
+  typeof valor === "object" &&
+  !Array.isArray(valor) &&
+  !(valor instanceof Date);
+
+const tipoDeValor = (valor) => {
+  if (typeof valor === "number") {
+    return Number.isInteger(valor) ? "entero" : "decimal";
+  }
+  if (typeof valor === "boolean") return "booleano";
+  if (valor instanceof Date) return "fecha_hora";
+  if (typeof valor === "string" && FECHA_ISO.test(valor)) return "fecha";
+  if (typeof valor === "string" && FECHA_HORA_ISO.test(valor)) {
+    return "fecha_hora";
+  }
+  return "texto";
+};
+
+/**
+ * Tipo de una columna de reporte: numérica con decimales si alguna fila
+ * los tiene (un 0 en la primera fila no debe redondear las demás)
+ */
+const tipoDeColumna = (valores) => {
+  const presentes = valores.filter((valor) => valor != null);
+  if (presentes.length > 0 && presentes.every((v) => typeof v === "number")) {
+    return presentes.every(Number.isInteger) ? "entero" : "decimal";
+  }
+  return tipoDeValor(presentes[0]);
+};
+
+/**
+ * Copia JSON del reporte (instancias de Sequelize y Date a valores
+ * simples) con los agregados que MySQL devuelve como texto ("12.50")
+ * pasados a número
+ */
+const normalizarReporte = (valor, clave = "") => {
+  if (Array.isArray(valor)) {
+    return valor.map((v) => normalizarReporte(v, clave));
+  }
+  if (esObjetoPlano(valor)) {
+    return Object.fromEntries(
+      Object.entries(valor).map(([k, v]) => [k, normalizarReporte(v, k)])
+    );
+  }
+  if (
+    typeof valor === "string" &&
+    NUMERO_TEXTO.test(valor) &&
+    !CLAVES_TEXTO.test(clave)
+  ) {
+    return parseFloat(valor);
+  }
+  return valor;
+};
+
+/**
+ * Aplana un objeto en pares [ruta, valor] ("comparaciones.semana.tickets")
+ */
+const aplanar = (objeto, prefijo = "") =>
+  Object.entries(objeto).flatMap(([clave, valor]) => {
+    const ruta = prefijo ? `${prefijo}.${clave}` : clave;
+    if (esObjetoPlano(valor)) return aplanar(valor, ruta);
+    if (Array.isArray(valor)) return [];
+    return [[ruta, valor]];
+  });
+
+/**
+ * Filas de una sección tabular. Si cada fila trae un arreglo de objetos
+ * (ej: mapa de calor con sus horas) se abre en una fila por elemento,
+ * repitiendo los campos del padre.
+ */
+const filasDeSeccion = (filas) =>
+  filas.flatMap((fila) => {
+    if (!esObjetoPlano(fila)) return [{ valor: fila }];
+
+    const anidada = Object.entries(fila).find(
+      ([, valor]) => Array.isArray(valor) && valor.some(esObjetoPlano)
+    );
+    const padre = Object.fromEntries(aplanar(fila));
+
+    if (!anidada) return [padre];
+    return anidada[1].map((hija) => ({
+      ...padre,
+      ...Object.fromEntries(aplanar(hija)),
+    }));
+  });
+
+/**
+ * Convierte los datos de un reporte JSON en hojas: los valores sueltos van
+ * a una hoja "Resumen" (concepto / valor) y cada arreglo de objetos a su
+ * propia hoja. Los encabezados salen de las claves del reporte.
+ *
+ * @param {Object} datos - `data` del reporte
+ * @returns {Array} Hojas para enviarExportacion
+ */
+const hojasDeReporte = (datosReporte) => {
+  const copia = normalizarReporte(JSON.parse(JSON.stringify(datosReporte)));
+  const datos = Array.isArray(copia) ? { registros: copia } : copia;
+  const hojas = [];
+
+  const resumen = aplanar(datos);
+  if (resumen.length > 0) {
+    hojas.push({
+      nombre: "Resumen",
+      columnas: [
+        {
+          titulo: "Concepto",
+          valor: ([ruta]) => ruta.split(".").map(humanizar).join(" › "),
+          ancho: 40,
+        },
+        {
+          titulo: "Valor",
+          valor: ([, valor]) => valor,
+          tipo: ([, valor]) => tipoDeValor(valor),
+          ancho: 20,
+        },
+      ],
+      lotes: [resumen],
+    });
+  }
+
+  const secciones = Object.entries(datos).filter(
+    ([, valor]) => Array.isArray(valor) && valor.length > 0
+  );
+  for (const [clave, valor] of secciones) {
+    const filas = filasDeSeccion(valor);
+    const claves = [...new Set(filas.flatMap((fila) => Object.keys(fila)))];
+
+    hojas.push({
+      nombre: humanizar(clave),
+      columnas: claves.map((c) => ({
+        titulo: c.split(".").map(humanizar).join(" › "),
+        valor: (fila) => fila[c],
+        tipo: tipoDeColumna(filas.map((fila) => fila[c])),
+      })),
+      lotes: [filas],
+    });
+  }
+
+  return hojas;
+};
+
+/**
+ * Envía los datos de un reporte JSON como archivo (ver hojasDeReporte)
+ */
+const enviarReporte = (res, formato, nombre, datos) =>
+  enviarExportacion(res, { formato, nombre, hojas: hojasDeReporte(datos) });
+
+export {
+  FORMATOS_EXPORTACION,
+  TAMANO_LOTE_EXPORTACION,
+  enviarExportacion,
+  enviarReporte,
+  recorrerEnLotes,
+  hojasDeReporte,
+};
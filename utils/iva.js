@@ -0,0 +1,69 @@
+/**
+ * Tarifas de IVA vigentes en Colombia.
+ * - "19": tarifa general
+ * - "5": tarifa diferencial
+ * - "0": bienes exentos con tarifa 0 (dan derecho a devolución)
+ * - "exento": bienes excluidos / sin IVA
+ *
+ * Se guardan como texto para poder distinguir "0" de "exento" en los
+ * reportes al contador, aunque ambos liquidan 0%.
+ */
+const TARIFAS_IVA = {
+  19: 19,
+  5: 5,
+  0: 0,
+  exento: 0,
+};
+
+const TARIFAS_IVA_VALIDAS = Object.keys(TARIFAS_IVA);
+
+/**
+ * Redondea un valor en pesos a 2 decimales (acepta strings DECIMAL y null).
+ * Lo usan todos los servicios que calculan montos.
+ */
+const redondear = (valor) => parseFloat((parseFloat(valor) || 0).toFixed(2));
+
+/**
+ * Devuelve el porcentaje de IVA de una tarifa.
+ *
+ * @param {string} tarifa - "19" | "5" | "0" | "exento"
+ * @returns {number} Porcentaje (ej: 19)
+ */
+const porcentajeIva = (tarifa) => TARIFAS_IVA[tarifa] ?? 0;
+
+/**
+ * Separa base e IVA de un valor que ya incluye el impuesto
+ * (precios de venta al público).
+ *
+ * @param {number} totalConIva - Valor cobrado
+ * @param {string} tarifa - Tarifa de IVA
+ * @returns {{ base: number, iva: number }}
+ */
+const desglosarIvaIncluido = (totalConIva, tarifa) => {
+  const total = redondear(totalConIva);
+  const base = redondear(total / (1 + porcentajeIva(tarifa) / 100));
+  return { base, iva: redondear(total - base) };
+};
+
+/**
+ * Calcula el IVA sobre una base gravable
+ * (precios de compra facturados por el proveedor antes de IVA).
+ *
+ * @param {number} base - Base gravable
+ * @param {string} tarifa - Tarifa de IVA
+ * @returns {{ base: number, iva: number, total: number }}
+ */
+const calcularIvaSobreBase = (base, tarifa) => {
+  const baseRedondeada = redondear(base);
+  const iva = redondear((baseRedondeada * porcentajeIva(tarifa)) / 100);
+  return { base: baseRedondeada, iva, total: redondear(baseRedondeada + iva) };
+};
+
+export {
+  TARIFAS_IVA,
+  TARIFAS_IVA_VALIDAS,
+  porcentajeIva,
+  desglosarIvaIncluido,
+  calcularIvaSobreBase,
+  redondear,
+};
@@ -0,0 +1,89 @@
+/**
+ * Catálogo de permisos.
+ *
+ * Cada permiso se nombra "modulo.accion" y protege una o más rutas con
+ * requirePermission (middleware/auth.js). Los roles de cada entrada son los
+ * que lo reciben por defecto, y reproducen las listas de verifyRole que
+ * tenían las rutas.
+ *
+ * Los valores por defecto se siembran en roles_permisos solo la primera vez
+ * que un permiso aparece en la base de datos (ver permisosService). Después
+ * el mapeo se edita desde /api/permisos y este archivo no lo pisa: agregar un
+ * permiso nuevo aquí lo crea con sus roles, cambiar los roles de uno
+ * existente no tiene efecto.
+ */
+
+const ROLES = ["administrador", "dueño", "cajero", "ayudante"];
+
+const GERENCIA = ["administrador", "dueño"];
+const CAJA = [...GERENCIA, "cajero"];
+const BODEGA = [...GERENCIA, "ayudante"];
+
+// Sin este permiso nadie puede corregir el mapeo: no se le quita al rol
+// administrador ni a un administrador con una excepción
+const PERMISO_GESTION = "permisos.gestionar";
+
+const CATALOGO_PERMISOS = [
+  // Caja
+  { codigo: "caja.configurar", descripcion: "Crear cajas registradoras", roles: GERENCIA },
+  { codigo: "caja.operar", descripcion: "Abrir, consultar y cerrar la sesión de caja propia", roles: CAJA },
+  { codigo: "caja.supervisar", descripcion: "Ver el historial de sesiones de caja y reportes Z", roles: GERENCIA },
+
+  // Catálogo
+  { codigo: "categorias.gestionar", descripcion: "Crear, editar y desactivar categorías", roles: GERENCIA },
+  { codigo: "categorias.estadisticas", descripcion: "Ver estadísticas de categorías", roles: GERENCIA },
+  { codigo: "productos.gestionar", descripcion: "Crear, editar y desactivar productos, sus códigos adicionales y códigos internos", roles: GERENCIA },
+  { codigo: "productos.importar", descripcion: "Importar productos desde CSV", roles: GERENCIA },
+  { codigo: "productos.etiquetas", descripcion: "Imprimir etiquetas de precio", roles: BODEGA },
+  { codigo: "productos.codigos", descripcion: "Ver los códigos de barras adicionales de un producto", roles: BODEGA },
+  { codigo: "precios.historial", descripcion: "Ver el historial de precios de un producto", roles: BODEGA },
+  { codigo: "precios.programar", descripcion: "Programar y cancelar cambios de precio", roles: GERENCIA },
+  { codigo: "precios.masivo", descripcion: "Actualizar precios en bloque", roles: GERENCIA },
+  { codigo: "promociones.gestionar", descripcion: "Crear, editar y desactivar promociones", roles: GERENCIA },
+
+  // Clientes y crédito
+  { codigo: "clientes.gestionar", descripcion: "Registrar y editar clientes", roles: CAJA },
+  { codigo: "clientes.eliminar", descripcion: "Desactivar clientes", roles: GERENCIA },
+  { codigo: "clientes.compras", descripcion: "Ver el historial de compras de un cliente", roles: CAJA },
+  { codigo: "credito.consultar", descripcion: "Ver el estado de cuenta de un cliente", roles: CAJA },
+  { codigo: "credito.configurar", descripcion: "Cambiar el cupo y las condiciones de crédito", roles: GERENCIA },
+  { codigo: "credito.abonar", descripcion: "Registrar abonos a cuentas por cobrar", roles: CAJA },
+  { codigo: "credito.cartera", descripcion: "Ver la cartera por edades", roles: GERENCIA },
+
+  // Inventario
+  { codigo: "inventario.reportes", descripcion: "Ver resumen, valor y estadísticas de inventario", roles: GERENCIA },
+  { codigo: "inventario.sugerencias", descripcion: "Ver sugerencias de compra", roles: BODEGA },
+  { codigo: "inventario.vencimientos", descripcion: "Ver lotes próximos a vencer", roles: BODEGA },
+  { codigo: "inventario.bajas", descripcion: "Dar de baja lotes vencidos o dañados", roles: GERENCIA },
+  { codigo: "inventario.stock", descripcion: "Actualizar el stock de un producto", roles: CAJA },
+  { codigo: "inventario.ajustar", descripcion: "Registrar ajustes de inventario", roles: GERENCIA },
+
+  // Compras
+  { codigo: "ordenes_compra.consultar", descripcion: "Ver órdenes de compra", roles: BODEGA },
+  { codigo: "ordenes_compra.gestionar", descripcion: "Crear, editar, enviar, cerrar y cancelar órdenes de compra", roles: GERENCIA },
+  { codigo: "proveedores.gestionar", descripcion: "Crear, editar y desactivar proveedores", roles: GERENCIA },
+  { codigo: "proveedores.estadisticas", descripcion: "Ver estadísticas de proveedores", roles: GERENCIA },
+  { codigo: "recepciones.crear", descripcion: "Registrar y editar recepciones de mercancía", roles: BODEGA },
+  { codigo: "recepciones.procesar", descripcion: "Procesar recepciones (ingresa el stock)", roles: BODEGA },
+  { codigo: "recepciones.cancelar", descripcion: "Cancelar recepciones", roles: GERENCIA },
+  { codigo: "recepciones.estadisticas", descripcion: "Ver estadísticas de recepciones", roles: GERENCIA },
+
+  // Ventas
+  { codigo: "ventas.crear", descripcion: "Registrar ventas", roles: CAJA },
+  { codigo: "ventas.anular", descripcion: "Anular ventas", roles: GERENCIA },
+  { codigo: "ventas.devoluciones", descripcion: "Registrar devoluciones", roles: GERENCIA },
+  { codigo: "ventas.reportes", descripcion: "Ver reportes de margen y analítica de ventas", roles: GERENCIA },
+
+  // Administración
+  { codigo: "usuarios.consultar", descripcion: "Ver y buscar usuarios", roles: GERENCIA },
+  { codigo: "usuarios.gestionar", descripcion: "Crear, editar y desactivar usuarios y resetear contraseñas", roles: GERENCIA },
+  { codigo: "sesiones.administrar", descripcion: "Ver estadísticas de sesiones y ejecutar su limpieza", roles: GERENCIA },
+  { codigo: PERMISO_GESTION, descripcion: "Editar los permisos de roles y usuarios", roles: GERENCIA },
+];
+
+/**
+ * Módulo de un permiso ("ventas.anular" → "ventas")
+ */
+const moduloPermiso = (codigo) => codigo.split(".")[0];
+
+export { ROLES, PERMISO_GESTION, CATALOGO_PERMISOS, moduloPermiso };
@@ -0,0 +1,199 @@
+/**
+ * Códigos TOTP (RFC 6238) para el segundo factor de autenticación.
+ *
+ * Compatible con Google Authenticator, Authy, Microsoft Authenticator, etc.:
+ * HMAC-SHA1, 6 dígitos, pasos de 30 segundos. Se acepta el paso anterior y
+ * el siguiente para tolerar relojes desfasados.
+ *
+ * El secreto se guarda cifrado (AES-256-GCM) con TOTP_ENCRYPTION_KEY, o con
+ * JWT_SECRET si no está configurada. Cambiar la clave invalida los secretos
+ * guardados: los usuarios tendrían que enrolarse de nuevo.
+ */
+import {
+  createHmac,
+  createHash,
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+} from "crypto";
+
+const PERIODO_SEGUNDOS = 30;
+const DIGITOS = 6;
+const VENTANA_PASOS = 1;
+
+const ALFABETO_BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// =====================================================
+// BASE32 (RFC 4648, sin relleno)
+// =====================================================
+
+const codificarBase32 = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let resultado = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    resultado += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return resultado;
+};
+
+const decodificarBase32 = (texto) => {
+  const limpio = texto.replace(/[\s=-]/g, "").toUpperCase();
+  let bits = "";
+  for (const caracter of limpio) {
+    const valor = ALFABETO_BASE32.indexOf(caracter);
+    if (valor === -1) throw new Error("Secreto TOTP inválido");
+    bits += valor.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// =====================================================
+// GENERACIÓN Y VERIFICACIÓN
+// =====================================================
+
+/**
+ * Genera un secreto nuevo (160 bits, en base32)
+ */
+const generarSecretoTOTP = () => codificarBase32(randomBytes(20));
+
+/**
+ * Paso de tiempo actual (número de periodos de 30 s desde epoch)
+ */
+const pasoActual = (ahora = Date.now()) =>
+  Math.floor(ahora / 1000 / PERIODO_SEGUNDOS);
+
+/**
+ * Código HOTP de un paso (RFC 4226)
+ */
+const codigoEnPaso = (secreto, paso) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = createHmac("sha1", decodificarBase32(secreto))
+    .update(contador)
+    .digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+  const binario = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+
+  return String(binario % 10 ** DIGITOS).padStart(DIGITOS, "0");
+};
+
+/**
+ * Verifica un código TOTP
+ *
+ * @param {string} secreto - Secreto en base32 (descifrado)
+ * @param {string} codigo - Código de 6 dígitos ingresado por el usuario
+ * @param {number|null} ultimoPaso - Último paso aceptado; un código ya usado
+ *   (o uno anterior) se rechaza para evitar que se reutilice
+ * @returns {number|null} Paso del código si es válido, null si no
+ */
+const verificarCodigoTOTP = (secreto, codigo, ultimoPaso = null) => {
+  const limpio = String(codigo ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(limpio)) return null;
+
+  const actual = pasoActual();
+  for (let delta = -VENTANA_PASOS; delta <= VENTANA_PASOS; delta++) {
+    const paso = actual + delta;
+    if (ultimoPaso !== null && paso <= ultimoPaso) continue;
+    if (codigoEnPaso(secreto, paso) === limpio) return paso;
+  }
+  return null;
+};
+
+/**
+ * URI otpauth:// para el QR de la app autenticadora
+ *
+ * @param {Object} datos
+ * @param {string} datos.secreto - Secreto en base32
+ * @param {string} datos.cuenta - Usuario (se muestra en la app)
+ * @param {string} datos.emisor - Nombre del sistema (TOTP_ISSUER)
+ */
+const uriAprovisionamiento = ({ secreto, cuenta, emisor }) => {
+  const etiqueta = `${encodeURIComponent(emisor)}:${encodeURIComponent(cuenta)}`;
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: "SHA1",
+    digits: String(DIGITOS),
+    period: String(PERIODO_SEGUNDOS),
+  });
+  return `otpauth://totp/${etiqueta}?${parametros}`;
+};
+
+// =====================================================
+// CÓDIGOS DE RECUPERACIÓN
+// =====================================================
+
+/**
+ * Genera códigos de recuperación de un solo uso ("ABCDE-FGHIJ")
+ * @param {number} cantidad
+ * @returns {Array<string>} Códigos en claro (se muestran una sola vez)
+ */
+const generarCodigosRecuperacion = (cantidad = 10) =>
+  Array.from({ length: cantidad }, () => {
+    const codigo = codificarBase32(randomBytes(7)).slice(0, 10);
+    return `${codigo.slice(0, 5)}-${codigo.slice(5)}`;
+  });
+
+/**
+ * Hash de un código de recuperación (ignora guiones, espacios y mayúsculas)
+ */
+const hashCodigoRecuperacion = (codigo) =>
+  createHash("sha256")
+    .update(String(codigo).replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+
+// =====================================================
+// CIFRADO DEL SECRETO
+// =====================================================
+
+const claveCifrado = () =>
+  createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+/**
+ * Cifra el secreto para guardarlo en usuarios.totp_secreto
+ * @returns {string} "iv.tag.datos" en base64url
+ */
+const cifrarSecreto = (secreto) => {
+  const iv = randomBytes(12);
+  const cifrador = createCipheriv("aes-256-gcm", claveCifrado(), iv);
+  const datos = Buffer.concat([cifrador.update(secreto, "utf8"), cifrador.final()]);
+
+  return [iv, cifrador.getAuthTag(), datos]
+    .map((parte) => parte.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Descifra un secreto guardado con cifrarSecreto
+ */
+const descifrarSecreto = (cifrado) => {
+  const [iv, tag, datos] = cifrado
+    .split(".")
+    .map((parte) => Buffer.from(parte, "base64url"));
+
+  const descifrador = createDecipheriv("aes-256-gcm", claveCifrado(), iv);
+  descifrador.setAuthTag(tag);
+  return Buffer.concat([descifrador.update(datos), descifrador.final()]).toString(
+    "utf8"
+  );
+};
+
+export {
+  generarSecretoTOTP,
+  verificarCodigoTOTP,
+  uriAprovisionamiento,
+  generarCodigosRecuperacion,
+  hashCodigoRecuperacion,
+  cifrarSecreto,
+  descifrarSecreto,
+};
@@ -3,9 +3,17 @@
 import { validate, validateSource } from "../middleware/validation.js";
 import {
   loginSchema,
+  refreshTokenSchema,
   cambiarPasswordSchema,
+  recuperarPasswordSchema,
+  restablecerPasswordSchema,
   actualizarPerfilSchema,
   sessionValidationSchema,
+  sesionIdSchema,
+  token2FASchema,
+  verificar2FASchema,
+  codigo2FASchema,
+  desactivar2FASchema,
   authSchemas,
 } from "./schemas/authSchemas.js";
 import {
@@ -19,7 +27,10 @@ import {
 // =====================================================
 
 const validateLogin = validate(loginSchema);
+const validateRefreshToken = validate(refreshTokenSchema);
 const validateCambiarPassword = validate(cambiarPasswordSchema);
+const validateRecuperarPassword = validate(recuperarPasswordSchema);
+const validateRestablecerPassword = validate(restablecerPasswordSchema);
 const validateActualizarPerfil = validate(actualizarPerfilSchema);
 const validateSessionQuery = validateSource(sessionValidationSchema, "query", {
   abortEarly: false,
@@ -27,6 +38,11 @@ const validateSessionQuery = validateSource(sessionValidationSchema, "query", {
   convert: true,
   allowUnknown: false,
 });
+const validateSesionId = validateSource(sesionIdSchema, "params");
+const validateToken2FA = validate(token2FASchema);
+const validateVerificar2FA = validate(verificar2FASchema);
+const validateCodigo2FA = validate(codigo2FASchema);
+const validateDesactivar2FA = validate(desactivar2FASchema);
 
 // =====================================================
 // VALIDACIONES DE NEGOCIO ADICIONALES
@@ -161,9 +177,17 @@ export {
 
   // Middlewares específicos
   validateLogin,
+  validateRefreshToken,
   validateCambiarPassword,
+  validateRecuperarPassword,
+  validateRestablecerPassword,
   validateActualizarPerfil,
   validateSessionQuery,
+  validateSesionId,
+  validateToken2FA,
+  validateVerificar2FA,
+  validateCodigo2FA,
+  validateDesactivar2FA,
 
   // Middlewares compuestos - SIMPLIFICADOS
   validateCompleteLogin,
@@ -0,0 +1,84 @@
+// validations/caja_validations.js - Reutilizando Utils Existentes
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  createCaja,
+  getCajas,
+  abrirSesion,
+  cerrarSesion,
+  getSesiones,
+  sesionId,
+  cajaSchemas,
+} from "./schemas/cajaSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA CAJA
+// =====================================================
+
+/**
+ * Validar datos para crear caja registradora
+ */
+const validateCreateCaja = validate(createCaja);
+
+/**
+ * Validar query parameters para listar cajas
+ */
+const validateCajasQuery = validateSource(getCajas, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+/**
+ * Validar datos para abrir sesión de caja
+ */
+const validateAbrirSesion = validate(abrirSesion);
+
+/**
+ * Validar datos para cerrar sesión de caja (conteo)
+ */
+const validateCerrarSesion = validate(cerrarSesion);
+
+/**
+ * Validar ID de sesión en parámetros
+ */
+const validateSesionId = validateSource(sesionId, "params");
+
+/**
+ * Validar query parameters para listar sesiones
+ * Incluye paginación y filtros de caja, usuario, estado y fechas
+ */
+const validateSesionesQuery = validateSource(getSesiones, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Middleware compuesto para cerrar sesión
+ * Combina validación de ID + conteo de cierre
+ */
+const validateCierreSesion = [validateSesionId, validateCerrarSesion];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  cajaSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateCreateCaja,
+  validateCajasQuery,
+  validateAbrirSesion,
+  validateCerrarSesion,
+  validateSesionId,
+  validateSesionesQuery,
+
+  // Middlewares compuestos
+  validateCierreSesion,
+};
@@ -0,0 +1,84 @@
+// validations/clientes_validations.js - Reutilizando Utils Existentes
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  createCliente,
+  updateCliente,
+  getClientes,
+  getComprasCliente,
+  clienteId,
+  clientesSchemas,
+} from "./schemas/clientesSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA CLIENTES
+// =====================================================
+
+/**
+ * Validar datos para crear cliente
+ */
+const validateCreateCliente = validate(createCliente);
+
+/**
+ * Validar datos para actualizar cliente
+ */
+const validateUpdateCliente = validate(updateCliente);
+
+/**
+ * Validar ID de cliente en parámetros
+ */
+const validateClienteId = validateSource(clienteId, "params");
+
+/**
+ * Validar query parameters para listar clientes
+ * Incluye paginación, búsqueda y filtro por tipo de documento
+ */
+const validateGetClientesQuery = validateSource(getClientes, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+/**
+ * Validar query parameters del historial de compras
+ */
+const validateComprasClienteQuery = validateSource(getComprasCliente, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Middleware compuesto para actualizar cliente
+ * Combina validación de ID + datos de actualización
+ */
+const validateClienteUpdate = [validateClienteId, validateUpdateCliente];
+
+/**
+ * Middleware compuesto para historial de compras
+ * Combina validación de ID + filtros de fecha y paginación
+ */
+const validateComprasCliente = [validateClienteId, validateComprasClienteQuery];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  clientesSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateCreateCliente,
+  validateUpdateCliente,
+  validateClienteId,
+  validateGetClientesQuery,
+  validateComprasClienteQuery,
+
+  // Middlewares compuestos
+  validateClienteUpdate,
+  validateComprasCliente,
+};
@@ -0,0 +1,66 @@
+// validations/credito_validations.js - Reutilizando Utils Existentes
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  updateCredito,
+  createAbono,
+  getCartera,
+  creditoSchemas,
+} from "./schemas/creditoSchemas.js";
+import { validateClienteId } from "./clientes_validations.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA CRÉDITO
+// =====================================================
+
+/**
+ * Validar cupo y plazo de crédito
+ */
+const validateUpdateCredito = validate(updateCredito);
+
+/**
+ * Validar datos del abono
+ */
+const validateCreateAbono = validate(createAbono);
+
+/**
+ * Validar query parameters del reporte de cartera
+ */
+const validateCarteraQuery = validateSource(getCartera, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Middleware compuesto para actualizar el crédito del cliente
+ * Combina validación de ID + cupo/plazo
+ */
+const validateCreditoUpdate = [validateClienteId, validateUpdateCredito];
+
+/**
+ * Middleware compuesto para registrar abono
+ * Combina validación de ID + datos del abono
+ */
+const validateAbono = [validateClienteId, validateCreateAbono];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  creditoSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateUpdateCredito,
+  validateCreateAbono,
+  validateCarteraQuery,
+
+  // Middlewares compuestos
+  validateCreditoUpdate,
+  validateAbono,
+};
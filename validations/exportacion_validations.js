@@ -0,0 +1,42 @@
+// validations/exportacion_validations.js
+import {
+  formatoExportacion,
+  exportacionSchemas,
+} from "./schemas/exportacionSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES DE EXPORTACIÓN
+// =====================================================
+
+/**
+ * Valida ?format=csv|xlsx y lo saca de req.query hacia req.exportFormat.
+ * Va antes de la validación propia de cada ruta: así los esquemas de
+ * filtros (que rechazan parámetros desconocidos) y las claves de caché
+ * no cambian.
+ */
+const validateFormatoExportacion = (req, res, next) => {
+  const { format, ...resto } = req.query;
+  if (format === undefined) return next();
+
+  const { error, value } = formatoExportacion.validate({ format });
+
+  if (error) {
+    return res.status(400).json({
+      error: "Datos de entrada inválidos",
+      details: error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  req.query = resto;
+  req.exportFormat = value.format;
+  next();
+};
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export { exportacionSchemas, validateFormatoExportacion };
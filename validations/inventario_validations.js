@@ -6,6 +6,10 @@ import {
   getMovimientos,
   getReporteProducto,
   getEstadisticas,
+  getSugerenciasCompra,
+  generarOrdenesSugeridas,
+  getVencimientos,
+  bajaLote,
   productoId,
   stockId,
   inventarioSchemas,
@@ -74,6 +78,42 @@ const validateGetEstadisticasQuery = validateSource(getEstadisticas, "query", {
   allowUnknown: false,
 });
 
+/**
+ * Validar query parameters para sugerencias de compra
+ * Incluye días de análisis, cobertura y proveedor
+ */
+const validateGetSugerenciasCompraQuery = validateSource(
+  getSugerenciasCompra,
+  "query",
+  {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+    allowUnknown: false,
+  }
+);
+
+/**
+ * Validar datos para generar órdenes de compra sugeridas
+ */
+const validateGenerarOrdenesSugeridas = validate(generarOrdenesSugeridas);
+
+/**
+ * Validar query parameters para lotes por vencer
+ * Incluye ventana en días, vencidos, filtros y paginación
+ */
+const validateGetVencimientosQuery = validateSource(getVencimientos, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  allowUnknown: false,
+});
+
+/**
+ * Validar datos para dar de baja un lote
+ */
+const validateBajaLote = validate(bajaLote);
+
 // =====================================================
 // MIDDLEWARES DE VALIDACIÓN DE NEGOCIO
 // =====================================================
@@ -216,6 +256,10 @@ export {
   validateGetMovimientosQuery,
   validateGetReporteProductoQuery,
   validateGetEstadisticasQuery,
+  validateGetSugerenciasCompraQuery,
+  validateGenerarOrdenesSugeridas,
+  validateGetVencimientosQuery,
+  validateBajaLote,
 
   // Middlewares de validación de negocio
   validateDateRange,
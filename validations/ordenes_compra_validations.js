@@ -0,0 +1,106 @@
+// validations/ordenes_compra_validations.js - Reutilizando Utils Existentes
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  createOrdenCompra,
+  updateOrdenCompra,
+  getOrdenesCompra,
+  ordenCompraId,
+  cambioEstadoOrden,
+  createRecepcionDesdeOrden,
+  ordenesCompraSchemas,
+} from "./schemas/ordenesCompraSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA ÓRDENES DE COMPRA
+// =====================================================
+
+/**
+ * Validar datos para crear orden de compra
+ */
+const validateCreateOrdenCompra = validate(createOrdenCompra);
+
+/**
+ * Validar datos para editar orden en borrador
+ */
+const validateUpdateOrdenCompra = validate(updateOrdenCompra);
+
+/**
+ * Validar ID de orden en parámetros
+ */
+const validateOrdenCompraId = validateSource(ordenCompraId, "params");
+
+/**
+ * Validar query parameters para listar órdenes
+ */
+const validateGetOrdenesCompraQuery = validateSource(
+  getOrdenesCompra,
+  "query",
+  {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+  }
+);
+
+/**
+ * Validar motivo al cerrar o cancelar
+ */
+const validateCambioEstadoOrden = validate(cambioEstadoOrden);
+
+/**
+ * Validar datos de la recepción creada desde la orden
+ */
+const validateCreateRecepcionDesdeOrden = validate(createRecepcionDesdeOrden);
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Middleware compuesto para editar orden
+ * Combina validación de ID + datos de actualización
+ */
+const validateOrdenCompraUpdate = [
+  validateOrdenCompraId,
+  validateUpdateOrdenCompra,
+];
+
+/**
+ * Middleware compuesto para cerrar o cancelar orden
+ * Combina validación de ID + motivo
+ */
+const validateOrdenCompraCambioEstado = [
+  validateOrdenCompraId,
+  validateCambioEstadoOrden,
+];
+
+/**
+ * Middleware compuesto para recibir mercancía de una orden
+ * Combina validación de ID + datos de la recepción
+ */
+const validateRecepcionDesdeOrden = [
+  validateOrdenCompraId,
+  validateCreateRecepcionDesdeOrden,
+];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  ordenesCompraSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateCreateOrdenCompra,
+  validateUpdateOrdenCompra,
+  validateOrdenCompraId,
+  validateGetOrdenesCompraQuery,
+  validateCambioEstadoOrden,
+  validateCreateRecepcionDesdeOrden,
+
+  // Middlewares compuestos
+  validateOrdenCompraUpdate,
+  validateOrdenCompraCambioEstado,
+  validateRecepcionDesdeOrden,
+};
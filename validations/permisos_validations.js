@@ -0,0 +1,76 @@
+// validations/permisos_validations.js
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  rolParams,
+  actualizarPermisosRol,
+  usuarioParams,
+  usuarioPermisoParams,
+  asignarPermisoUsuario,
+  permisosSchemas,
+} from "./schemas/permisosSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA PERMISOS
+// =====================================================
+
+/**
+ * Validar rol en parámetros
+ */
+const validateRol = validateSource(rolParams, "params");
+
+/**
+ * Validar lista de permisos de un rol
+ */
+const validateActualizarPermisosRol = validate(actualizarPermisosRol);
+
+/**
+ * Validar ID de usuario en parámetros
+ */
+const validateUsuarioPermisos = validateSource(usuarioParams, "params");
+
+/**
+ * Validar usuario + código de permiso en parámetros
+ */
+const validateUsuarioPermiso = validateSource(usuarioPermisoParams, "params");
+
+/**
+ * Validar excepción de permiso (concedido true/false)
+ */
+const validateAsignarPermisoUsuario = validate(asignarPermisoUsuario);
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Rol + lista de permisos
+ */
+const validatePermisosRolUpdate = [validateRol, validateActualizarPermisosRol];
+
+/**
+ * Usuario + permiso + concedido
+ */
+const validatePermisoUsuarioUpdate = [
+  validateUsuarioPermiso,
+  validateAsignarPermisoUsuario,
+];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  permisosSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateRol,
+  validateActualizarPermisosRol,
+  validateUsuarioPermisos,
+  validateUsuarioPermiso,
+  validateAsignarPermisoUsuario,
+
+  // Middlewares compuestos
+  validatePermisosRolUpdate,
+  validatePermisoUsuarioUpdate,
+};
@@ -6,6 +6,16 @@ import {
   getProductos,
   productoId,
   codigoBarras,
+  getHistorialPrecios,
+  programarCambioPrecio,
+  cambioProgramadoParams,
+  agregarCodigoProducto,
+  codigoProductoParams,
+  importarProductosBody,
+  dryRunQuery,
+  actualizarPreciosMasivo,
+  getEtiquetas,
+  generarCodigosBarras,
   productosSchemas,
 } from "./schemas/productosSchemas.js";
 
@@ -46,6 +56,94 @@ const validateGetProductosQuery = validateSource(getProductos, "query", {
   allowUnknown: false,
 });
 
+/**
+ * Validar query parameters del historial de precios
+ */
+const validateGetHistorialPreciosQuery = validateSource(
+  getHistorialPrecios,
+  "query",
+  {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+    allowUnknown: false,
+  }
+);
+
+/**
+ * Validar datos para programar un cambio de precio
+ */
+const validateProgramarCambioPrecio = validate(programarCambioPrecio);
+
+/**
+ * Validar ID de producto y de cambio programado en parámetros
+ */
+const validateCambioProgramadoParams = validateSource(
+  cambioProgramadoParams,
+  "params"
+);
+
+/**
+ * Validar un código de barras adicional (aplica multiplicador por defecto)
+ */
+const validateAgregarCodigoProducto = validateSource(
+  agregarCodigoProducto,
+  "body"
+);
+
+/**
+ * Validar ID de producto y de código adicional en parámetros
+ */
+const validateCodigoProductoParams = validateSource(
+  codigoProductoParams,
+  "params"
+);
+
+/**
+ * Validar que el cuerpo de la importación traiga el texto del CSV
+ */
+const validateImportarProductosBody = validate(importarProductosBody);
+
+/**
+ * Validar query dry_run de operaciones masivas (importación, precios)
+ */
+const validateDryRunQuery = validateSource(
+  dryRunQuery,
+  "query",
+  {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+    allowUnknown: false,
+  }
+);
+
+/**
+ * Validar selección y ajustes de la actualización masiva de precios
+ */
+const validateActualizarPreciosMasivo = validateSource(
+  actualizarPreciosMasivo,
+  "body"
+);
+
+/**
+ * Validar selección y formato de etiquetas de precio
+ */
+const validateGetEtiquetasQuery = validateSource(getEtiquetas, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  allowUnknown: false,
+});
+
+/**
+ * Validar filtros para generar códigos de barras internos
+ */
+const validateGenerarCodigosBarras = validateSource(
+  generarCodigosBarras,
+  "body"
+);
+
 // =====================================================
 // MIDDLEWARES COMPUESTOS (OPCIONAL)
 // =====================================================
@@ -87,6 +185,16 @@ export {
   validateProductoId,
   validateCodigoBarras,
   validateGetProductosQuery,
+  validateGetHistorialPreciosQuery,
+  validateProgramarCambioPrecio,
+  validateCambioProgramadoParams,
+  validateAgregarCodigoProducto,
+  validateCodigoProductoParams,
+  validateImportarProductosBody,
+  validateDryRunQuery,
+  validateActualizarPreciosMasivo,
+  validateGetEtiquetasQuery,
+  validateGenerarCodigosBarras,
 
   // Middlewares compuestos (opcional para rutas complejas)
   validateCompleteProductoCreation,
@@ -0,0 +1,66 @@
+// validations/promociones_validations.js - Reutilizando Utils Existentes
+import { validate, validateSource } from "../middleware/validation.js";
+import {
+  createPromocion,
+  updatePromocion,
+  getPromociones,
+  promocionId,
+  promocionesSchemas,
+} from "./schemas/promocionesSchemas.js";
+
+// =====================================================
+// 🎯 MIDDLEWARES ESPECÍFICOS PARA PROMOCIONES
+// =====================================================
+
+/**
+ * Validar datos para crear promoción
+ */
+const validateCreatePromocion = validate(createPromocion);
+
+/**
+ * Validar datos para actualizar promoción
+ */
+const validateUpdatePromocion = validate(updatePromocion);
+
+/**
+ * Validar ID de promoción en parámetros
+ */
+const validatePromocionId = validateSource(promocionId, "params");
+
+/**
+ * Validar query parameters para listar promociones
+ * Incluye paginación y filtros de estado, vigencia, alcance y tipo
+ */
+const validatePromocionesQuery = validateSource(getPromociones, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+});
+
+// =====================================================
+// 🔧 MIDDLEWARES COMPUESTOS
+// =====================================================
+
+/**
+ * Middleware compuesto para actualizar promoción
+ * Combina validación de ID + datos de actualización
+ */
+const validatePromocionUpdate = [validatePromocionId, validateUpdatePromocion];
+
+// =====================================================
+// 📤 EXPORTACIONES LIMPIAS
+// =====================================================
+
+export {
+  // Schemas (para uso directo si necesario)
+  promocionesSchemas,
+
+  // Middlewares específicos listos para rutas
+  validateCreatePromocion,
+  validateUpdatePromocion,
+  validatePromocionId,
+  validatePromocionesQuery,
+
+  // Middlewares compuestos
+  validatePromocionUpdate,
+};
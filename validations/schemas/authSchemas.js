@@ -27,6 +27,25 @@ export const loginSchema = Joi.object({
   }),
 });
 
+/**
+ * Esquema para renovar el access token
+ * Campo requerido: refresh_token ("{jti}.{secreto}")
+ */
+export const refreshTokenSchema = Joi.object({
+  refresh_token: Joi.string()
+    .trim()
+    .max(200)
+    .pattern(/^[0-9a-f-]{36}\.[A-Za-z0-9_-]+$/)
+    .required()
+    .messages({
+      "string.base": "El refresh token debe ser una cadena de texto",
+      "string.empty": "El refresh token es obligatorio",
+      "string.max": "El refresh token no es válido",
+      "string.pattern.base": "El refresh token no es válido",
+      "any.required": "El refresh token es obligatorio",
+    }),
+});
+
 /**
  * Esquema para cambio de contraseña del usuario autenticado
  * Requiere contraseña actual y nueva contraseña
@@ -56,6 +75,54 @@ export const cambiarPasswordSchema = Joi.object({
     }),
 });
 
+/**
+ * Esquema para pedir el correo de recuperación de contraseña
+ * Campo requerido: email
+ */
+export const recuperarPasswordSchema = Joi.object({
+  email: Joi.string().email().max(100).required().messages({
+    "string.base": "El email debe ser una cadena de texto",
+    "string.empty": "El email es obligatorio",
+    "string.email": "El email debe tener un formato válido",
+    "string.max": "El email no puede exceder los 100 caracteres",
+    "any.required": "El email es obligatorio",
+  }),
+});
+
+/**
+ * Esquema para restablecer la contraseña con el token del correo
+ * Campos requeridos: token, password_nuevo, password_confirmacion
+ */
+export const restablecerPasswordSchema = Joi.object({
+  token: Joi.string()
+    .max(100)
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .required()
+    .messages({
+      "string.base": "El token debe ser una cadena de texto",
+      "string.empty": "El token es obligatorio",
+      "string.max": "El token no es válido",
+      "string.pattern.base": "El token no es válido",
+      "any.required": "El token es obligatorio",
+    }),
+
+  password_nuevo: Joi.string().min(6).max(255).required().messages({
+    "string.base": "La nueva contraseña debe ser una cadena de texto",
+    "string.empty": "La nueva contraseña es obligatoria",
+    "string.min": "La nueva contraseña debe tener al menos 6 caracteres",
+    "string.max": "La nueva contraseña es demasiado larga",
+    "any.required": "La nueva contraseña es obligatoria",
+  }),
+
+  password_confirmacion: Joi.string()
+    .valid(Joi.ref("password_nuevo"))
+    .required()
+    .messages({
+      "any.only": "La confirmación de contraseña no coincide",
+      "any.required": "La confirmación de contraseña es obligatoria",
+    }),
+});
+
 /**
  * Esquema para actualizar perfil del usuario autenticado
  * Solo permite actualizar datos básicos, no críticos como username/password
@@ -115,6 +182,79 @@ export const sessionValidationSchema = Joi.object({
   }),
 });
 
+/**
+ * Esquema para el ID de sesión (jti) en params
+ */
+export const sesionIdSchema = Joi.object({
+  jti: Joi.string().guid({ version: "uuidv4" }).required().messages({
+    "string.guid": "El ID de sesión no es válido",
+    "any.required": "El ID de sesión es obligatorio",
+  }),
+});
+
+// =====================================================
+// 🔢 SEGUNDO FACTOR (TOTP)
+// =====================================================
+
+// Código de 6 dígitos de la app o de recuperación ("ABCDE-FGHIJ")
+const codigo2FA = Joi.string()
+  .pattern(/^(\d{6}|[A-Za-z2-7]{5}-?[A-Za-z2-7]{5})$/)
+  .required()
+  .messages({
+    "string.base": "El código debe ser una cadena de texto",
+    "string.empty": "El código es obligatorio",
+    "string.pattern.base":
+      "El código debe tener 6 dígitos o ser un código de recuperación",
+    "any.required": "El código es obligatorio",
+  });
+
+const token2FA = Joi.string().max(1000).required().messages({
+  "string.base": "El token de verificación debe ser una cadena de texto",
+  "string.empty": "El token de verificación es obligatorio",
+  "string.max": "El token de verificación no es válido",
+  "any.required": "El token de verificación es obligatorio",
+});
+
+/**
+ * Esquema para enrolarse durante el login (2FA obligatorio por rol)
+ * Campo requerido: token_2fa
+ */
+export const token2FASchema = Joi.object({
+  token_2fa: token2FA,
+});
+
+/**
+ * Esquema para completar el login con el segundo factor
+ * Campos requeridos: token_2fa, codigo
+ */
+export const verificar2FASchema = Joi.object({
+  token_2fa: token2FA,
+  codigo: codigo2FA,
+});
+
+/**
+ * Esquema para activar el 2FA o regenerar códigos de recuperación
+ * Campo requerido: codigo
+ */
+export const codigo2FASchema = Joi.object({
+  codigo: codigo2FA,
+});
+
+/**
+ * Esquema para desactivar el 2FA
+ * Campos requeridos: password, codigo
+ */
+export const desactivar2FASchema = Joi.object({
+  password: Joi.string().min(1).max(255).required().messages({
+    "string.base": "La contraseña debe ser una cadena de texto",
+    "string.empty": "La contraseña es obligatoria",
+    "string.min": "Debe proporcionar una contraseña",
+    "string.max": "La contraseña es demasiado larga",
+    "any.required": "La contraseña es obligatoria",
+  }),
+  codigo: codigo2FA,
+});
+
 // =====================================================
 // 🔦 EXPORTACIÓN AGRUPADA
 // =====================================================
@@ -125,10 +265,18 @@ export const sessionValidationSchema = Joi.object({
  */
 export const authSchemas = {
   loginSchema,
+  refreshTokenSchema,
   cambiarPasswordSchema,
+  recuperarPasswordSchema,
+  restablecerPasswordSchema,
   actualizarPerfilSchema,
   tokenHeaderSchema,
   sessionValidationSchema,
+  sesionIdSchema,
+  token2FASchema,
+  verificar2FASchema,
+  codigo2FASchema,
+  desactivar2FASchema,
 };
 
 // =====================================================
@@ -152,6 +300,18 @@ export const schemasInfo = {
     ],
   },
 
+  refreshTokenSchema: {
+    description: "Validación para renovar el access token",
+    requiredFields: ["refresh_token"],
+    optionalFields: [],
+    source: "body",
+    businessRules: [
+      "Formato {jti}.{secreto}",
+      "Cada refresh token sirve una sola vez (rota en cada uso)",
+      "Reutilizar uno ya rotado revoca la sesión (validado en service)",
+    ],
+  },
+
   cambiarPasswordSchema: {
     description: "Validación para cambio de contraseña del usuario autenticado",
     requiredFields: [
@@ -169,6 +329,29 @@ export const schemasInfo = {
     ],
   },
 
+  recuperarPasswordSchema: {
+    description: "Validación para pedir el correo de recuperación de contraseña",
+    requiredFields: ["email"],
+    optionalFields: [],
+    source: "body",
+    businessRules: [
+      "La respuesta es la misma exista o no el email",
+      "Pedir otro correo invalida el token anterior",
+    ],
+  },
+
+  restablecerPasswordSchema: {
+    description: "Validación para restablecer la contraseña con el token del correo",
+    requiredFields: ["token", "password_nuevo", "password_confirmacion"],
+    optionalFields: [],
+    source: "body",
+    businessRules: [
+      "El token sirve una sola vez y vence (PASSWORD_RESET_EXPIRES_IN)",
+      "Se validará fortaleza en service layer",
+      "Cierra todas las sesiones del usuario",
+    ],
+  },
+
   actualizarPerfilSchema: {
     description: "Validación para actualizar perfil del usuario logueado",
     requiredFields: [],
@@ -201,8 +384,56 @@ export const schemasInfo = {
     },
     source: "query",
     businessRules: [
-      "include_permissions carga permisos adicionales",
+      "include_permissions agrega los permisos efectivos del usuario",
       "refresh_cache fuerza actualización de cache",
     ],
   },
+
+  sesionIdSchema: {
+    description: "Validación del ID de sesión a revocar",
+    requiredFields: ["jti"],
+    source: "params",
+    businessRules: [
+      "Es el jti del token (UUID v4)",
+      "Solo se pueden revocar sesiones propias (validado en service)",
+    ],
+  },
+
+  token2FASchema: {
+    description: "Validación para enrolarse en 2FA durante el login",
+    requiredFields: ["token_2fa"],
+    source: "body",
+    businessRules: [
+      "token_2fa devuelto por /auth/login con pendiente 'enrolamiento'",
+      "Vence a los 5 minutos",
+    ],
+  },
+
+  verificar2FASchema: {
+    description: "Validación para completar el login con el segundo factor",
+    requiredFields: ["token_2fa", "codigo"],
+    source: "body",
+    businessRules: [
+      "Código de 6 dígitos o de recuperación (ABCDE-FGHIJ)",
+      "Cada código se acepta una sola vez",
+      "5 códigos incorrectos bloquean 15 minutos (validado en service)",
+    ],
+  },
+
+  codigo2FASchema: {
+    description: "Validación para activar el 2FA o regenerar códigos de recuperación",
+    requiredFields: ["codigo"],
+    source: "body",
+    businessRules: ["Código de 6 dígitos de la app de autenticación"],
+  },
+
+  desactivar2FASchema: {
+    description: "Validación para desactivar el 2FA",
+    requiredFields: ["password", "codigo"],
+    source: "body",
+    businessRules: [
+      "Requiere contraseña y un código (TOTP o de recuperación)",
+      "No se permite si el rol tiene 2FA obligatorio (validado en service)",
+    ],
+  },
 };
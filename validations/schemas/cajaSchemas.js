@@ -0,0 +1,201 @@
+// validations/schemas/cajaSchemas.js
+import Joi from "joi";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA CAJA
+// =====================================================
+
+/**
+ * Monto de dinero reutilizable (conteos, base de apertura)
+ */
+const montoDinero = (campo) =>
+  Joi.number()
+    .min(0)
+    .precision(2)
+    .max(9999999999.99)
+    .messages({
+      "number.base": `El ${campo} debe ser un número`,
+      "number.min": `El ${campo} no puede ser negativo`,
+      "number.precision": `El ${campo} no puede tener más de 2 decimales`,
+      "number.max": `El ${campo} excede el límite máximo permitido`,
+      "any.required": `El ${campo} es obligatorio`,
+    });
+
+/**
+ * Esquema para crear caja registradora
+ */
+export const createCaja = Joi.object({
+  nombre: Joi.string().trim().min(2).max(100).required().messages({
+    "string.base": "El nombre de la caja debe ser una cadena de texto",
+    "string.empty": "El nombre de la caja es obligatorio",
+    "string.min": "El nombre de la caja debe tener al menos 2 caracteres",
+    "string.max": "El nombre de la caja no puede exceder los 100 caracteres",
+    "any.required": "El nombre de la caja es obligatorio",
+  }),
+
+  descripcion: Joi.string().trim().max(255).allow("", null).messages({
+    "string.max": "La descripción no puede exceder los 255 caracteres",
+  }),
+
+  activo: Joi.boolean().default(true).messages({
+    "boolean.base": "El campo activo debe ser verdadero o falso",
+  }),
+});
+
+/**
+ * Esquema para query de cajas
+ */
+export const getCajas = Joi.object({
+  activo: Joi.string().valid("true", "false", "all").default("true").messages({
+    "any.only": 'El filtro activo debe ser "true", "false" o "all"',
+  }),
+});
+
+/**
+ * Esquema para abrir sesión de caja
+ */
+export const abrirSesion = Joi.object({
+  caja_id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID de la caja debe ser un número",
+    "number.integer": "El ID de la caja debe ser un número entero",
+    "number.positive": "El ID de la caja debe ser un número positivo",
+    "any.required": "El ID de la caja es obligatorio",
+  }),
+
+  monto_apertura: montoDinero("monto de apertura").default(0),
+
+  observaciones: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "Las observaciones no pueden exceder los 500 caracteres",
+  }),
+});
+
+/**
+ * Esquema para cerrar sesión de caja
+ * El efectivo contado es obligatorio; tarjeta y transferencia son opcionales
+ * (se comparan contra vouchers/extractos si se envían)
+ */
+export const cerrarSesion = Joi.object({
+  efectivo_contado: montoDinero("efectivo contado").required(),
+
+  tarjeta_contado: montoDinero("total de tarjeta contado").optional(),
+
+  transferencia_contado: montoDinero(
+    "total de transferencias contado"
+  ).optional(),
+
+  observaciones: Joi.string().trim().max(1000).allow("", null).messages({
+    "string.max": "Las observaciones no pueden exceder los 1000 caracteres",
+  }),
+});
+
+/**
+ * Esquema para query parameters al listar sesiones
+ */
+export const getSesiones = Joi.object({
+  caja_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID de la caja debe ser un número",
+    "number.integer": "El ID de la caja debe ser un número entero",
+    "number.positive": "El ID de la caja debe ser un número positivo",
+  }),
+
+  usuario_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID del usuario debe ser un número",
+    "number.integer": "El ID del usuario debe ser un número entero",
+    "number.positive": "El ID del usuario debe ser un número positivo",
+  }),
+
+  estado: Joi.string().valid("abierta", "cerrada").optional().messages({
+    "any.only": 'El estado debe ser "abierta" o "cerrada"',
+  }),
+
+  fecha_inicio: Joi.date().iso().default("2000-01-01").messages({
+    "date.base": "La fecha de inicio debe ser una fecha válida",
+    "date.format": "La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+
+  fecha_fin: Joi.date()
+    .iso()
+    .min(Joi.ref("fecha_inicio"))
+    .default("2100-12-31")
+    .messages({
+      "date.base": "La fecha fin debe ser una fecha válida",
+      "date.format": "La fecha fin debe estar en formato ISO (YYYY-MM-DD)",
+      "date.min":
+        "La fecha fin debe ser posterior o igual a la fecha de inicio",
+    }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+});
+
+/**
+ * Esquema para validar ID de sesión en params
+ */
+export const sesionId = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA
+// =====================================================
+
+export const cajaSchemas = {
+  createCaja,
+  getCajas,
+  abrirSesion,
+  cerrarSesion,
+  getSesiones,
+  sesionId,
+};
+
+export const schemasInfo = {
+  abrirSesion: {
+    description: "Validación para abrir sesión de caja",
+    requiredFields: ["caja_id"],
+    optionalFields: ["monto_apertura", "observaciones"],
+    source: "body",
+    businessRules: [
+      "Una caja solo puede tener una sesión abierta",
+      "Un usuario solo puede tener una sesión abierta",
+      "El monto de apertura no puede ser negativo",
+    ],
+  },
+
+  cerrarSesion: {
+    description: "Validación para cerrar sesión de caja (cuadre)",
+    requiredFields: ["efectivo_contado"],
+    optionalFields: ["tarjeta_contado", "transferencia_contado", "observaciones"],
+    source: "body",
+    businessRules: [
+      "Solo el cajero de la sesión, administrador o dueño pueden cerrarla",
+      "Se compara esperado vs. contado por método de pago",
+      "El reporte Z queda guardado para reimpresión",
+    ],
+  },
+
+  getSesiones: {
+    description: "Validación para filtros al listar sesiones de caja",
+    defaultValues: {
+      fecha_inicio: "2000-01-01",
+      fecha_fin: "2100-12-31",
+      page: 1,
+      limit: 20,
+    },
+    source: "query",
+  },
+};
@@ -0,0 +1,286 @@
+// validations/schemas/clientesSchemas.js
+import Joi from "joi";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA CLIENTES
+// =====================================================
+
+const TIPOS_DOCUMENTO = ["CC", "NIT", "CE", "TI", "PASAPORTE"];
+
+/**
+ * Esquema para crear cliente
+ * Campos requeridos: numero_documento, nombre
+ * Campos opcionales: tipo_documento, telefono, email, activo
+ */
+export const createCliente = Joi.object({
+  tipo_documento: Joi.string()
+    .valid(...TIPOS_DOCUMENTO)
+    .default("CC")
+    .messages({
+      "any.only": `El tipo de documento debe ser uno de: ${TIPOS_DOCUMENTO.join(", ")}`,
+    }),
+
+  numero_documento: Joi.string()
+    .trim()
+    .pattern(/^[0-9A-Za-z-]+$/)
+    .min(3)
+    .max(20)
+    .required()
+    .messages({
+      "string.base": "El número de documento debe ser una cadena de texto",
+      "string.empty": "El número de documento es obligatorio",
+      "string.pattern.base":
+        "El número de documento solo puede contener letras, números y guiones",
+      "string.min": "El número de documento debe tener al menos 3 caracteres",
+      "string.max": "El número de documento no puede exceder los 20 caracteres",
+      "any.required": "El número de documento es obligatorio",
+    }),
+
+  nombre: Joi.string().trim().min(2).max(200).required().messages({
+    "string.base": "El nombre debe ser una cadena de texto",
+    "string.empty": "El nombre es obligatorio",
+    "string.min": "El nombre debe tener al menos 2 caracteres",
+    "string.max": "El nombre no puede exceder los 200 caracteres",
+    "any.required": "El nombre es obligatorio",
+  }),
+
+  telefono: Joi.string().trim().max(20).allow(null, "").optional().messages({
+    "string.base": "El teléfono debe ser una cadena de texto",
+    "string.max": "El teléfono no puede exceder los 20 caracteres",
+  }),
+
+  email: Joi.string()
+    .trim()
+    .email({ minDomainSegments: 2, tlds: { allow: true } })
+    .max(100)
+    .allow(null, "")
+    .optional()
+    .messages({
+      "string.base": "El email debe ser una cadena de texto",
+      "string.email": "El email debe tener un formato válido",
+      "string.max": "El email no puede exceder los 100 caracteres",
+    }),
+
+  activo: Joi.boolean().default(true).optional().messages({
+    "boolean.base": "El campo activo debe ser verdadero o falso",
+  }),
+});
+
+/**
+ * Esquema para actualizar cliente
+ * Todos los campos opcionales, pero al menos uno requerido
+ */
+export const updateCliente = Joi.object({
+  tipo_documento: Joi.string()
+    .valid(...TIPOS_DOCUMENTO)
+    .optional()
+    .messages({
+      "any.only": `El tipo de documento debe ser uno de: ${TIPOS_DOCUMENTO.join(", ")}`,
+    }),
+
+  numero_documento: Joi.string()
+    .trim()
+    .pattern(/^[0-9A-Za-z-]+$/)
+    .min(3)
+    .max(20)
+    .optional()
+    .messages({
+      "string.base": "El número de documento debe ser una cadena de texto",
+      "string.empty": "El número de documento no puede estar vacío",
+      "string.pattern.base":
+        "El número de documento solo puede contener letras, números y guiones",
+      "string.min": "El número de documento debe tener al menos 3 caracteres",
+      "string.max": "El número de documento no puede exceder los 20 caracteres",
+    }),
+
+  nombre: Joi.string().trim().min(2).max(200).optional().messages({
+    "string.base": "El nombre debe ser una cadena de texto",
+    "string.empty": "El nombre no puede estar vacío",
+    "string.min": "El nombre debe tener al menos 2 caracteres",
+    "string.max": "El nombre no puede exceder los 200 caracteres",
+  }),
+
+  telefono: Joi.string().trim().max(20).allow(null, "").optional().messages({
+    "string.base": "El teléfono debe ser una cadena de texto",
+    "string.max": "El teléfono no puede exceder los 20 caracteres",
+  }),
+
+  email: Joi.string()
+    .trim()
+    .email({ minDomainSegments: 2, tlds: { allow: true } })
+    .max(100)
+    .allow(null, "")
+    .optional()
+    .messages({
+      "string.base": "El email debe ser una cadena de texto",
+      "string.email": "El email debe tener un formato válido",
+      "string.max": "El email no puede exceder los 100 caracteres",
+    }),
+
+  activo: Joi.boolean().optional().messages({
+    "boolean.base": "El campo activo debe ser verdadero o falso",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar",
+  });
+
+/**
+ * Esquema para query parameters al obtener clientes
+ */
+export const getClientes = Joi.object({
+  search: Joi.string().trim().max(200).optional().messages({
+    "string.base": "La búsqueda debe ser una cadena de texto",
+    "string.max": "El término de búsqueda no puede exceder los 200 caracteres",
+  }),
+
+  tipo_documento: Joi.string()
+    .valid(...TIPOS_DOCUMENTO)
+    .optional()
+    .messages({
+      "any.only": `El tipo de documento debe ser uno de: ${TIPOS_DOCUMENTO.join(", ")}`,
+    }),
+
+  activo: Joi.string().valid("true", "false", "all").default("true").messages({
+    "any.only": 'El parámetro "activo" debe ser "true", "false" o "all"',
+  }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+
+  incluir_estadisticas: Joi.string()
+    .valid("true", "false")
+    .default("false")
+    .messages({
+      "any.only":
+        'El parámetro "incluir_estadisticas" debe ser "true" o "false"',
+    }),
+});
+
+/**
+ * Esquema para query parameters del historial de compras
+ */
+export const getComprasCliente = Joi.object({
+  fecha_inicio: Joi.date().iso().default("2000-01-01").messages({
+    "date.base": "La fecha de inicio debe ser una fecha válida",
+    "date.format": "La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+
+  fecha_fin: Joi.date()
+    .iso()
+    .min(Joi.ref("fecha_inicio"))
+    .default("2100-12-31")
+    .messages({
+      "date.base": "La fecha fin debe ser una fecha válida",
+      "date.format": "La fecha fin debe estar en formato ISO (YYYY-MM-DD)",
+      "date.min":
+        "La fecha fin debe ser posterior o igual a la fecha de inicio",
+    }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+});
+
+/**
+ * Esquema para validar ID en params
+ */
+export const clienteId = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA (OPCIONAL)
+// =====================================================
+
+export const clientesSchemas = {
+  createCliente,
+  updateCliente,
+  getClientes,
+  getComprasCliente,
+  clienteId,
+};
+
+// =====================================================
+// 📄 METADATA DE SCHEMAS (PARA DOCUMENTACIÓN)
+// =====================================================
+
+export const schemasInfo = {
+  createCliente: {
+    description: "Validación para registrar nuevo cliente",
+    requiredFields: ["numero_documento", "nombre"],
+    optionalFields: ["tipo_documento", "telefono", "email", "activo"],
+    source: "body",
+    businessRules: [
+      "tipo_documento + numero_documento no puede repetirse",
+      "Para facturar a empresas usar tipo_documento NIT",
+    ],
+  },
+
+  updateCliente: {
+    description: "Validación para actualizar cliente existente",
+    requiredFields: [], // Mínimo 1 campo requerido por .min(1)
+    optionalFields: [
+      "tipo_documento",
+      "numero_documento",
+      "nombre",
+      "telefono",
+      "email",
+      "activo",
+    ],
+    source: "body",
+  },
+
+  getClientes: {
+    description: "Validación para filtros al listar clientes",
+    defaultValues: {
+      activo: "true",
+      page: 1,
+      limit: 20,
+      incluir_estadisticas: "false",
+    },
+    source: "query",
+  },
+
+  getComprasCliente: {
+    description: "Validación para filtros del historial de compras",
+    defaultValues: {
+      fecha_inicio: "2000-01-01",
+      fecha_fin: "2100-12-31",
+      page: 1,
+      limit: 20,
+    },
+    source: "query",
+  },
+
+  clienteId: {
+    description: "Validación para ID de cliente en parámetros",
+    requiredFields: ["id"],
+    source: "params",
+  },
+};
@@ -0,0 +1,117 @@
+// validations/schemas/creditoSchemas.js
+import Joi from "joi";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA CRÉDITO (FIADO)
+// =====================================================
+
+/**
+ * Esquema para aprobar o modificar el cupo de crédito de un cliente
+ * limite_credito = 0 deshabilita nuevas ventas a crédito
+ */
+export const updateCredito = Joi.object({
+  limite_credito: Joi.number()
+    .min(0)
+    .precision(2)
+    .max(9999999999.99)
+    .optional()
+    .messages({
+      "number.base": "El límite de crédito debe ser un número",
+      "number.min": "El límite de crédito no puede ser negativo",
+      "number.precision": "El límite de crédito no puede tener más de 2 decimales",
+      "number.max": "El límite de crédito excede el máximo permitido",
+    }),
+
+  dias_credito: Joi.number().integer().min(1).max(365).optional().messages({
+    "number.base": "El plazo de crédito debe ser un número",
+    "number.integer": "El plazo de crédito debe ser un número entero de días",
+    "number.min": "El plazo de crédito debe ser de al menos 1 día",
+    "number.max": "El plazo de crédito no puede superar 365 días",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar limite_credito o dias_credito",
+  });
+
+/**
+ * Esquema para registrar un abono a la cuenta del cliente
+ */
+export const createAbono = Joi.object({
+  monto: Joi.number()
+    .positive()
+    .precision(2)
+    .max(9999999999.99)
+    .required()
+    .messages({
+      "number.base": "El monto del abono debe ser un número",
+      "number.positive": "El monto del abono debe ser mayor a 0",
+      "number.precision": "El monto del abono no puede tener más de 2 decimales",
+      "number.max": "El monto del abono excede el máximo permitido",
+      "any.required": "El monto del abono es obligatorio",
+    }),
+
+  metodo_pago: Joi.string()
+    .valid("efectivo", "tarjeta", "transferencia")
+    .default("efectivo")
+    .messages({
+      "any.only":
+        'El método de pago debe ser "efectivo", "tarjeta" o "transferencia"',
+    }),
+
+  observaciones: Joi.string().trim().max(500).allow(null, "").optional().messages({
+    "string.base": "Las observaciones deben ser una cadena de texto",
+    "string.max": "Las observaciones no pueden exceder los 500 caracteres",
+  }),
+});
+
+/**
+ * Esquema para query parameters del reporte de cartera
+ */
+export const getCartera = Joi.object({
+  fecha_corte: Joi.date().iso().optional().messages({
+    "date.base": "La fecha de corte debe ser una fecha válida",
+    "date.format": "La fecha de corte debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA (OPCIONAL)
+// =====================================================
+
+export const creditoSchemas = {
+  updateCredito,
+  createAbono,
+  getCartera,
+};
+
+// =====================================================
+// 📄 METADATA DE SCHEMAS (PARA DOCUMENTACIÓN)
+// =====================================================
+
+export const schemasInfo = {
+  updateCredito: {
+    description: "Validación para aprobar o modificar el cupo de crédito",
+    requiredFields: [], // Mínimo 1 campo requerido por .min(1)
+    optionalFields: ["limite_credito", "dias_credito"],
+    source: "body",
+  },
+
+  createAbono: {
+    description: "Validación para registrar abono de un cliente",
+    requiredFields: ["monto"],
+    optionalFields: ["metodo_pago", "observaciones"],
+    source: "body",
+    businessRules: [
+      "El abono no puede superar el saldo pendiente del cliente",
+      "Se aplica a las cuentas abiertas de la más antigua a la más reciente",
+      "Si hay sesión de caja abierta, entra en el cuadre de la sesión",
+    ],
+  },
+
+  getCartera: {
+    description: "Validación para el reporte de cartera por edades",
+    defaultValues: { fecha_corte: "hoy" },
+    source: "query",
+  },
+};
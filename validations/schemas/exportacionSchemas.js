@@ -0,0 +1,44 @@
+// validations/schemas/exportacionSchemas.js
+import Joi from "joi";
+import { FORMATOS_EXPORTACION } from "../../utils/exportacion.js";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA EXPORTACIÓN
+// =====================================================
+
+/**
+ * Esquema del parámetro ?format de los listados y reportes
+ * Sin format la ruta responde JSON como siempre
+ */
+export const formatoExportacion = Joi.object({
+  format: Joi.string()
+    .valid(...FORMATOS_EXPORTACION)
+    .optional()
+    .messages({
+      "any.only": `El formato debe ser: ${FORMATOS_EXPORTACION.join(" o ")}`,
+    }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA
+// =====================================================
+
+export const exportacionSchemas = {
+  formatoExportacion,
+};
+
+// =====================================================
+// 📄 METADATA DE SCHEMAS (PARA DOCUMENTACIÓN)
+// =====================================================
+
+export const schemasInfo = {
+  formatoExportacion: {
+    description: "Validación del formato de exportación (CSV o XLSX)",
+    optionalFields: ["format"],
+    source: "query",
+    businessRules: [
+      "Se retira de la query antes de las demás validaciones",
+      "La exportación ignora page y limit: trae todo el resultado filtrado",
+    ],
+  },
+};
@@ -157,6 +157,115 @@ export const getEstadisticas = Joi.object({
   }),
 });
 
+/**
+ * Campos comunes para calcular sugerencias de compra
+ */
+const diasAnalisisCampo = Joi.number().integer().min(7).max(180).default(30).messages({
+  "number.base": "Los días de análisis deben ser un número",
+  "number.integer": "Los días de análisis deben ser un número entero",
+  "number.min": "Los días de análisis deben ser al menos 7",
+  "number.max": "Los días de análisis no pueden ser mayor a 180",
+});
+
+const diasCoberturaCampo = Joi.number().integer().min(1).max(90).default(15).messages({
+  "number.base": "Los días de cobertura deben ser un número",
+  "number.integer": "Los días de cobertura deben ser un número entero",
+  "number.min": "Los días de cobertura deben ser mayor a 0",
+  "number.max": "Los días de cobertura no pueden ser mayor a 90",
+});
+
+/**
+ * Esquema para query parameters de sugerencias de compra
+ */
+export const getSugerenciasCompra = Joi.object({
+  dias_analisis: diasAnalisisCampo,
+  dias_cobertura: diasCoberturaCampo,
+  proveedor_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID del proveedor debe ser un número",
+    "number.integer": "El ID del proveedor debe ser un número entero",
+    "number.positive": "El ID del proveedor debe ser un número positivo",
+  }),
+});
+
+/**
+ * Esquema para generar órdenes de compra desde las sugerencias
+ */
+export const generarOrdenesSugeridas = Joi.object({
+  dias_analisis: diasAnalisisCampo,
+  dias_cobertura: diasCoberturaCampo,
+  proveedor_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .unique()
+    .optional()
+    .messages({
+      "array.base": "proveedor_ids debe ser un arreglo",
+      "array.min": "Debe incluir al menos un proveedor",
+      "array.unique": "Un proveedor no puede repetirse",
+      "number.base": "Cada ID de proveedor debe ser un número",
+      "number.positive": "Cada ID de proveedor debe ser un número positivo",
+    }),
+});
+
+/**
+ * Esquema para query parameters de lotes por vencer
+ */
+export const getVencimientos = Joi.object({
+  dias: Joi.number().integer().min(0).max(90).default(7).messages({
+    "number.base": "Los días deben ser un número",
+    "number.integer": "Los días deben ser un número entero",
+    "number.min": "Los días no pueden ser negativos",
+    "number.max": "Los días no pueden ser mayor a 90",
+  }),
+
+  incluir_vencidos: Joi.boolean().default(true).messages({
+    "boolean.base": 'El parámetro "incluir_vencidos" debe ser true o false',
+  }),
+
+  producto_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID del producto debe ser un número",
+    "number.integer": "El ID del producto debe ser un número entero",
+    "number.positive": "El ID del producto debe ser un número positivo",
+  }),
+
+  categoria_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID de la categoría debe ser un número",
+    "number.integer": "El ID de la categoría debe ser un número entero",
+    "number.positive": "El ID de la categoría debe ser un número positivo",
+  }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 200",
+  }),
+});
+
+/**
+ * Esquema para dar de baja un lote (vencido o dañado)
+ */
+export const bajaLote = Joi.object({
+  cantidad: Joi.number().positive().precision(3).optional().messages({
+    "number.base": "La cantidad debe ser un número",
+    "number.positive": "La cantidad debe ser un número positivo",
+    "number.precision": "La cantidad no puede tener más de 3 decimales",
+  }),
+
+  observaciones: Joi.string().trim().min(10).max(1000).required().messages({
+    "string.empty": "Las observaciones son obligatorias",
+    "string.min": "Las observaciones deben tener al menos 10 caracteres",
+    "string.max": "Las observaciones no pueden tener más de 1000 caracteres",
+    "any.required": "Las observaciones son obligatorias (motivo de la baja)",
+  }),
+});
+
 /**
  * Esquema para validar ID de producto en params
  */
@@ -191,6 +300,10 @@ export const inventarioSchemas = {
   getMovimientos,
   getReporteProducto,
   getEstadisticas,
+  getSugerenciasCompra,
+  generarOrdenesSugeridas,
+  getVencimientos,
+  bajaLote,
   productoId,
   stockId,
 };
@@ -242,6 +355,50 @@ export const schemasInfo = {
     source: "query",
   },
 
+  getSugerenciasCompra: {
+    description: "Validación para sugerencias de compra por proveedor",
+    optionalFields: ["proveedor_id"],
+    defaultValues: {
+      dias_analisis: 30,
+      dias_cobertura: 15,
+    },
+    source: "query",
+  },
+
+  generarOrdenesSugeridas: {
+    description: "Validación para generar órdenes en borrador desde sugerencias",
+    optionalFields: ["dias_analisis", "dias_cobertura", "proveedor_ids"],
+    businessRules: [
+      "Una orden por proveedor activo",
+      "Productos sin proveedor o con proveedor inactivo se omiten",
+    ],
+    source: "body",
+  },
+
+  getVencimientos: {
+    description: "Validación para lotes próximos a vencer",
+    optionalFields: ["producto_id", "categoria_id"],
+    defaultValues: {
+      dias: 7,
+      incluir_vencidos: true,
+      page: 1,
+      limit: 50,
+    },
+    source: "query",
+  },
+
+  bajaLote: {
+    description: "Validación para dar de baja un lote",
+    requiredFields: ["observaciones"],
+    optionalFields: ["cantidad"],
+    businessRules: [
+      "Sin cantidad se da de baja todo lo disponible del lote",
+      "cantidad <= disponible en el lote",
+      "Queda registrado como movimiento de ajuste con el lote",
+    ],
+    source: "body",
+  },
+
   productoId: {
     description: "Validación para producto_id en parámetros",
     requiredFields: ["producto_id"],
@@ -0,0 +1,332 @@
+// validations/schemas/ordenesCompraSchemas.js
+import Joi from "joi";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA ÓRDENES DE COMPRA
+// =====================================================
+
+const ESTADOS_ORDEN = [
+  "borrador",
+  "enviada",
+  "parcialmente_recibida",
+  "cerrada",
+  "cancelada",
+];
+
+const productoIdCampo = Joi.number().integer().positive().required().messages({
+  "number.base": "El ID del producto debe ser un número",
+  "number.integer": "El ID del producto debe ser un número entero",
+  "number.positive": "El ID del producto debe ser un número positivo",
+  "any.required": "El ID del producto es obligatorio",
+});
+
+const cantidadCampo = Joi.number()
+  .positive()
+  .precision(3)
+  .max(99999999.999)
+  .required()
+  .messages({
+    "number.base": "La cantidad debe ser un número",
+    "number.positive": "La cantidad debe ser un número positivo",
+    "number.precision": "La cantidad no puede tener más de 3 decimales",
+    "number.max": "La cantidad excede el límite máximo permitido",
+    "any.required": "La cantidad es obligatoria",
+  });
+
+const precioCampo = Joi.number()
+  .positive()
+  .precision(2)
+  .max(99999999.99)
+  .messages({
+    "number.base": "El precio unitario debe ser un número",
+    "number.positive": "El precio unitario debe ser un número positivo",
+    "number.precision": "El precio unitario no puede tener más de 2 decimales",
+    "number.max": "El precio unitario excede el límite máximo permitido",
+    "any.required": "El precio unitario acordado es obligatorio",
+  });
+
+const tarifaIvaCampo = Joi.string()
+  .valid("19", "5", "0", "exento")
+  .optional()
+  .messages({
+    "any.only": 'La tarifa de IVA debe ser "19", "5", "0" o "exento"',
+  });
+
+/**
+ * Línea de la orden: producto, cantidad pedida y precio acordado
+ * (antes de IVA, igual que en recepciones)
+ */
+const lineaOrden = Joi.object({
+  producto_id: productoIdCampo,
+  cantidad: cantidadCampo,
+  precio_unitario: precioCampo.required(),
+  tarifa_iva: tarifaIvaCampo,
+});
+
+const productosOrden = Joi.array()
+  .items(lineaOrden)
+  .min(1)
+  .max(200)
+  .unique("producto_id")
+  .messages({
+    "array.base": "Los productos deben ser un arreglo",
+    "array.min": "Debe incluir al menos un producto",
+    "array.max": "Una orden no puede tener más de 200 productos",
+    "array.unique": "Un producto no puede repetirse en la misma orden",
+    "any.required": "Los productos son obligatorios",
+  });
+
+const observacionesCampo = Joi.string()
+  .trim()
+  .max(1000)
+  .allow(null, "")
+  .optional()
+  .messages({
+    "string.base": "Las observaciones deben ser una cadena de texto",
+    "string.max": "Las observaciones no pueden exceder los 1000 caracteres",
+  });
+
+/**
+ * Esquema para crear orden de compra (queda en borrador)
+ */
+export const createOrdenCompra = Joi.object({
+  proveedor_id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID del proveedor debe ser un número",
+    "number.integer": "El ID del proveedor debe ser un número entero",
+    "number.positive": "El ID del proveedor debe ser un número positivo",
+    "any.required": "El ID del proveedor es obligatorio",
+  }),
+
+  fecha_entrega_esperada: Joi.date().iso().allow(null).optional().messages({
+    "date.base": "La fecha de entrega esperada debe ser una fecha válida",
+    "date.format":
+      "La fecha de entrega esperada debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+
+  observaciones: observacionesCampo,
+
+  productos: productosOrden.required(),
+});
+
+/**
+ * Esquema para actualizar orden en borrador
+ * Si se envían productos, reemplazan todas las líneas
+ */
+export const updateOrdenCompra = Joi.object({
+  fecha_entrega_esperada: Joi.date().iso().allow(null).optional().messages({
+    "date.base": "La fecha de entrega esperada debe ser una fecha válida",
+    "date.format":
+      "La fecha de entrega esperada debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+
+  observaciones: observacionesCampo,
+
+  productos: productosOrden.optional(),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar",
+  });
+
+/**
+ * Esquema para query parameters al listar órdenes
+ */
+export const getOrdenesCompra = Joi.object({
+  proveedor_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID del proveedor debe ser un número",
+    "number.integer": "El ID del proveedor debe ser un número entero",
+    "number.positive": "El ID del proveedor debe ser un número positivo",
+  }),
+
+  estado: Joi.string()
+    .valid(...ESTADOS_ORDEN, "all")
+    .default("all")
+    .messages({
+      "any.only": `El estado debe ser uno de: ${ESTADOS_ORDEN.join(", ")} o all`,
+    }),
+
+  fecha_inicio: Joi.date().iso().optional().messages({
+    "date.base": "La fecha de inicio debe ser una fecha válida",
+    "date.format": "La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)",
+  }),
+
+  fecha_fin: Joi.date()
+    .iso()
+    .min(Joi.ref("fecha_inicio"))
+    .when("fecha_inicio", {
+      is: Joi.exist(),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    })
+    .messages({
+      "date.base": "La fecha fin debe ser una fecha válida",
+      "date.format": "La fecha fin debe estar en formato ISO (YYYY-MM-DD)",
+      "date.min":
+        "La fecha fin debe ser posterior o igual a la fecha de inicio",
+      "any.required":
+        "La fecha fin es requerida cuando se especifica fecha de inicio",
+    }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+});
+
+/**
+ * Esquema para validar ID en params
+ */
+export const ordenCompraId = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+});
+
+/**
+ * Esquema para cerrar o cancelar orden (motivo opcional)
+ */
+export const cambioEstadoOrden = Joi.object({
+  motivo: Joi.string().trim().max(500).allow(null, "").optional().messages({
+    "string.base": "El motivo debe ser una cadena de texto",
+    "string.max": "El motivo no puede exceder los 500 caracteres",
+  }),
+});
+
+/**
+ * Esquema para crear una recepción desde la orden
+ * Sin productos se reciben todas las cantidades pendientes; el precio
+ * por defecto de cada línea es el acordado en la orden
+ */
+export const createRecepcionDesdeOrden = Joi.object({
+  numero_factura: Joi.string().trim().min(1).max(100).required().messages({
+    "string.base": "El número de factura debe ser una cadena de texto",
+    "string.empty": "El número de factura es obligatorio",
+    "string.max": "El número de factura no puede exceder los 100 caracteres",
+    "any.required": "El número de factura es obligatorio",
+  }),
+
+  fecha_recepcion: Joi.date().iso().max("now").required().messages({
+    "date.base": "La fecha de recepción debe ser una fecha válida",
+    "date.format": "La fecha de recepción debe estar en formato ISO (YYYY-MM-DD)",
+    "date.max": "La fecha de recepción no puede ser posterior a hoy",
+    "any.required": "La fecha de recepción es obligatoria",
+  }),
+
+  observaciones: observacionesCampo,
+
+  productos: Joi.array()
+    .items(
+      Joi.object({
+        producto_id: productoIdCampo,
+        cantidad: cantidadCampo,
+        precio_unitario: precioCampo.optional(),
+        tarifa_iva: tarifaIvaCampo,
+        numero_lote: Joi.string().trim().max(50).allow(null, "").optional().messages({
+          "string.max": "El número de lote no puede exceder los 50 caracteres",
+        }),
+        fecha_vencimiento: Joi.date().iso().optional().messages({
+          "date.base": "La fecha de vencimiento debe ser una fecha válida",
+          "date.format":
+            "La fecha de vencimiento debe estar en formato ISO (YYYY-MM-DD)",
+        }),
+      })
+    )
+    .min(1)
+    .unique("producto_id")
+    .optional()
+    .messages({
+      "array.base": "Los productos deben ser un arreglo",
+      "array.min": "Debe incluir al menos un producto",
+      "array.unique": "Un producto no puede repetirse en la misma recepción",
+    }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA (OPCIONAL)
+// =====================================================
+
+export const ordenesCompraSchemas = {
+  createOrdenCompra,
+  updateOrdenCompra,
+  getOrdenesCompra,
+  ordenCompraId,
+  cambioEstadoOrden,
+  createRecepcionDesdeOrden,
+};
+
+// =====================================================
+// 📄 METADATA DE SCHEMAS (PARA DOCUMENTACIÓN)
+// =====================================================
+
+export const schemasInfo = {
+  createOrdenCompra: {
+    description: "Validación para crear orden de compra",
+    requiredFields: ["proveedor_id", "productos"],
+    optionalFields: ["fecha_entrega_esperada", "observaciones"],
+    source: "body",
+    businessRules: [
+      "La orden se crea en estado 'borrador'",
+      "precio_unitario es el precio acordado antes de IVA",
+      "Un producto no puede repetirse en la misma orden",
+      "Máximo 200 productos por orden",
+    ],
+  },
+
+  updateOrdenCompra: {
+    description: "Validación para editar orden en borrador",
+    requiredFields: [], // Mínimo 1 campo requerido por .min(1)
+    optionalFields: ["fecha_entrega_esperada", "observaciones", "productos"],
+    source: "body",
+    businessRules: [
+      "Solo órdenes en estado 'borrador'",
+      "productos reemplaza todas las líneas de la orden",
+    ],
+  },
+
+  getOrdenesCompra: {
+    description: "Validación para filtros al listar órdenes de compra",
+    defaultValues: { estado: "all", page: 1, limit: 20 },
+    source: "query",
+  },
+
+  ordenCompraId: {
+    description: "Validación para ID de orden de compra en parámetros",
+    requiredFields: ["id"],
+    source: "params",
+  },
+
+  cambioEstadoOrden: {
+    description: "Validación para cerrar o cancelar una orden",
+    optionalFields: ["motivo"],
+    source: "body",
+    businessRules: [
+      "Cerrar: orden enviada o parcialmente recibida",
+      "Cancelar: orden en borrador o enviada",
+      "No se permite con recepciones pendientes de procesar",
+    ],
+  },
+
+  createRecepcionDesdeOrden: {
+    description: "Validación para crear recepción a partir de una orden",
+    requiredFields: ["numero_factura", "fecha_recepcion"],
+    optionalFields: ["observaciones", "productos"],
+    source: "body",
+    businessRules: [
+      "Sin productos se reciben todas las cantidades pendientes",
+      "precio_unitario por defecto es el acordado en la orden",
+      "Productos fuera de la orden requieren precio_unitario",
+      "Perecederos (maneja_lotes) deben enviarse en productos con fecha_vencimiento",
+    ],
+  },
+};
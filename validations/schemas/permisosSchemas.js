@@ -0,0 +1,138 @@
+// validations/schemas/permisosSchemas.js
+import Joi from "joi";
+import { ROLES } from "../../utils/permisos.js";
+
+// =====================================================
+// 🔐 DEFINICIONES DE ESQUEMAS PARA PERMISOS
+// =====================================================
+
+const codigoPermiso = Joi.string()
+  .max(60)
+  .pattern(/^[a-z_]+\.[a-z_]+$/)
+  .messages({
+    "string.base": "El código de permiso debe ser una cadena de texto",
+    "string.empty": "El código de permiso es obligatorio",
+    "string.max": "El código de permiso no puede exceder los 60 caracteres",
+    "string.pattern.base":
+      'El código de permiso debe tener el formato "modulo.accion" (ej: ventas.anular)',
+    "any.required": "El código de permiso es obligatorio",
+  });
+
+const usuarioId = Joi.number().integer().positive().required().messages({
+  "number.base": "El ID de usuario debe ser un número",
+  "number.integer": "El ID de usuario debe ser un número entero",
+  "number.positive": "El ID de usuario debe ser un número positivo",
+  "any.required": "El ID de usuario es obligatorio",
+});
+
+/**
+ * Esquema para el rol en params
+ */
+export const rolParams = Joi.object({
+  rol: Joi.string()
+    .valid(...ROLES)
+    .required()
+    .messages({
+      "any.only": `El rol debe ser uno de: ${ROLES.join(", ")}`,
+      "any.required": "El rol es obligatorio",
+    }),
+});
+
+/**
+ * Esquema para reemplazar los permisos de un rol
+ * Lista vacía = el rol queda sin permisos (salvo administrador)
+ */
+export const actualizarPermisosRol = Joi.object({
+  permisos: Joi.array()
+    .items(codigoPermiso)
+    .max(200)
+    .unique()
+    .required()
+    .messages({
+      "array.base": "permisos debe ser una lista de códigos",
+      "array.max": "permisos no puede tener más de 200 códigos",
+      "array.unique": "permisos no puede tener códigos repetidos",
+      "any.required": "La lista de permisos es obligatoria",
+    }),
+});
+
+/**
+ * Esquema para el usuario en params
+ */
+export const usuarioParams = Joi.object({
+  id: usuarioId,
+});
+
+/**
+ * Esquema para usuario + permiso en params
+ */
+export const usuarioPermisoParams = Joi.object({
+  id: usuarioId,
+  codigo: codigoPermiso.required(),
+});
+
+/**
+ * Esquema para conceder o quitar un permiso a un usuario
+ */
+export const asignarPermisoUsuario = Joi.object({
+  concedido: Joi.boolean().strict().required().messages({
+    "boolean.base": "concedido debe ser true o false",
+    "any.required": "concedido es obligatorio (true otorga, false quita)",
+  }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA
+// =====================================================
+
+export const permisosSchemas = {
+  rolParams,
+  actualizarPermisosRol,
+  usuarioParams,
+  usuarioPermisoParams,
+  asignarPermisoUsuario,
+};
+
+export const schemasInfo = {
+  rolParams: {
+    description: "Validación del rol en la URL",
+    requiredFields: ["rol"],
+    source: "params",
+  },
+
+  actualizarPermisosRol: {
+    description: "Validación para reemplazar los permisos de un rol",
+    requiredFields: ["permisos"],
+    optionalFields: [],
+    source: "body",
+    businessRules: [
+      "Reemplaza la lista completa: lo que no venga se le quita al rol",
+      "Todos los códigos deben existir (validado en service)",
+      "El rol administrador no puede perder permisos.gestionar",
+    ],
+  },
+
+  usuarioParams: {
+    description: "Validación del ID de usuario en la URL",
+    requiredFields: ["id"],
+    source: "params",
+  },
+
+  usuarioPermisoParams: {
+    description: "Validación de usuario y código de permiso en la URL",
+    requiredFields: ["id", "codigo"],
+    source: "params",
+  },
+
+  asignarPermisoUsuario: {
+    description: "Validación para crear o cambiar la excepción de un usuario",
+    requiredFields: ["concedido"],
+    optionalFields: [],
+    source: "body",
+    businessRules: [
+      "true otorga el permiso aunque el rol no lo tenga",
+      "false lo quita aunque el rol lo tenga",
+      "A un administrador no se le puede quitar permisos.gestionar",
+    ],
+  },
+};
@@ -14,6 +14,13 @@ export const createProducto = Joi.object({
     "string.max": "El código de barras no puede tener más de 50 caracteres",
   }),
 
+  codigo_balanza: Joi.number().integer().min(1).max(999999).allow(null).messages({
+    "number.base": "El código de balanza debe ser un número",
+    "number.integer": "El código de balanza debe ser un número entero",
+    "number.min": "El código de balanza debe ser mayor a 0",
+    "number.max": "El código de balanza no puede tener más de 6 dígitos",
+  }),
+
   nombre: Joi.string().min(2).max(200).required().messages({
     "string.min": "El nombre debe tener al menos 2 caracteres",
     "string.max": "El nombre no puede tener más de 200 caracteres",
@@ -46,10 +53,18 @@ export const createProducto = Joi.object({
     "any.required": "El precio de venta es obligatorio",
   }),
 
+  tarifa_iva: Joi.string().valid("19", "5", "0", "exento").default("19").messages({
+    "any.only": 'La tarifa de IVA debe ser "19", "5", "0" o "exento"',
+  }),
+
   tipo_medida: Joi.string().valid("unidad", "peso").default("unidad").messages({
     "any.only": 'El tipo de medida debe ser "unidad" o "peso"',
   }),
 
+  maneja_lotes: Joi.boolean().default(false).messages({
+    "boolean.base": "El campo maneja_lotes debe ser verdadero o falso",
+  }),
+
   stock_actual: Joi.number().min(0).precision(3).default(0).messages({
     "number.base": "El stock actual debe ser un número",
     "number.min": "El stock actual no puede ser negativo",
@@ -93,6 +108,13 @@ export const updateProducto = Joi.object({
     "string.max": "El código de barras no puede tener más de 50 caracteres",
   }),
 
+  codigo_balanza: Joi.number().integer().min(1).max(999999).allow(null).messages({
+    "number.base": "El código de balanza debe ser un número",
+    "number.integer": "El código de balanza debe ser un número entero",
+    "number.min": "El código de balanza debe ser mayor a 0",
+    "number.max": "El código de balanza no puede tener más de 6 dígitos",
+  }),
+
   nombre: Joi.string().min(2).max(200).messages({
     "string.min": "El nombre debe tener al menos 2 caracteres",
     "string.max": "El nombre no puede tener más de 200 caracteres",
@@ -121,10 +143,18 @@ export const updateProducto = Joi.object({
     "number.precision": "El precio de venta no puede tener más de 2 decimales",
   }),
 
+  tarifa_iva: Joi.string().valid("19", "5", "0", "exento").messages({
+    "any.only": 'La tarifa de IVA debe ser "19", "5", "0" o "exento"',
+  }),
+
   tipo_medida: Joi.string().valid("unidad", "peso").messages({
     "any.only": 'El tipo de medida debe ser "unidad" o "peso"',
   }),
 
+  maneja_lotes: Joi.boolean().messages({
+    "boolean.base": "El campo maneja_lotes debe ser verdadero o falso",
+  }),
+
   stock_minimo: Joi.number().min(0).precision(3).messages({
     "number.base": "El stock mínimo debe ser un número",
     "number.min": "El stock mínimo no puede ser negativo",
@@ -134,6 +164,11 @@ export const updateProducto = Joi.object({
   activo: Joi.boolean().messages({
     "boolean.base": "El campo activo debe ser un valor booleano",
   }),
+
+  // Se guarda en el historial si cambia algún precio
+  motivo_cambio_precio: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "El motivo del cambio de precio no puede tener más de 500 caracteres",
+  }),
 })
   .min(1)
   .messages({
@@ -188,6 +223,133 @@ export const productoId = Joi.object({
   }),
 });
 
+/**
+ * Esquema para query parameters del historial de precios
+ */
+export const getHistorialPrecios = Joi.object({
+  tipo_precio: Joi.string().valid("compra", "venta").messages({
+    "any.only": 'El tipo de precio debe ser "compra" o "venta"',
+  }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(50).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+});
+
+/**
+ * Esquema para programar un cambio de precio futuro
+ */
+export const programarCambioPrecio = Joi.object({
+  precio_compra: Joi.number().positive().precision(2).messages({
+    "number.base": "El precio de compra debe ser un número",
+    "number.positive": "El precio de compra debe ser un número positivo",
+    "number.precision": "El precio de compra no puede tener más de 2 decimales",
+  }),
+
+  precio_venta: Joi.number().positive().precision(2).messages({
+    "number.base": "El precio de venta debe ser un número",
+    "number.positive": "El precio de venta debe ser un número positivo",
+    "number.precision": "El precio de venta no puede tener más de 2 decimales",
+  }),
+
+  fecha_aplicacion: Joi.date()
+    .iso()
+    .greater("now")
+    .custom((value, helpers) => {
+      const maxima = new Date();
+      maxima.setFullYear(maxima.getFullYear() + 1);
+      return value > maxima ? helpers.error("date.max") : value;
+    })
+    .required()
+    .messages({
+      "date.base": "La fecha de aplicación debe ser una fecha válida",
+      "date.format": "La fecha de aplicación debe estar en formato ISO",
+      "date.greater": "La fecha de aplicación debe ser futura",
+      "date.max": "La fecha de aplicación no puede superar un año",
+      "any.required": "La fecha de aplicación es obligatoria",
+    }),
+
+  motivo: Joi.string().trim().min(5).max(500).required().messages({
+    "string.empty": "El motivo es obligatorio",
+    "string.min": "El motivo debe tener al menos 5 caracteres",
+    "string.max": "El motivo no puede tener más de 500 caracteres",
+    "any.required": "El motivo es obligatorio",
+  }),
+})
+  .or("precio_compra", "precio_venta")
+  .messages({
+    "object.missing": "Debe indicar precio_compra, precio_venta o ambos",
+  });
+
+/**
+ * Esquema para validar producto y cambio programado en params
+ */
+export const cambioProgramadoParams = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+
+  cambio_id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID del cambio programado debe ser un número",
+    "number.integer": "El ID del cambio programado debe ser un número entero",
+    "number.positive": "El ID del cambio programado debe ser un número positivo",
+    "any.required": "El ID del cambio programado es obligatorio",
+  }),
+});
+
+/**
+ * Esquema para agregar un código de barras adicional a un producto
+ */
+export const agregarCodigoProducto = Joi.object({
+  codigo_barras: Joi.string().trim().min(1).max(50).required().messages({
+    "string.empty": "El código de barras no puede estar vacío",
+    "string.max": "El código de barras no puede tener más de 50 caracteres",
+    "any.required": "El código de barras es obligatorio",
+  }),
+
+  multiplicador: Joi.number().positive().precision(3).max(99999).default(1).messages({
+    "number.base": "El multiplicador debe ser un número",
+    "number.positive": "El multiplicador debe ser mayor a 0",
+    "number.precision": "El multiplicador no puede tener más de 3 decimales",
+    "number.max": "El multiplicador no puede superar 99999",
+  }),
+
+  descripcion: Joi.string().trim().max(100).allow("", null).messages({
+    "string.max": "La descripción no puede tener más de 100 caracteres",
+  }),
+});
+
+/**
+ * Esquema para validar producto y código adicional en params
+ */
+export const codigoProductoParams = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+
+  codigo_id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID del código debe ser un número",
+    "number.integer": "El ID del código debe ser un número entero",
+    "number.positive": "El ID del código debe ser un número positivo",
+    "any.required": "El ID del código es obligatorio",
+  }),
+});
+
 /**
  * Esquema para validar código de barras en params
  */
@@ -200,6 +362,200 @@ export const codigoBarras = Joi.object({
   }),
 });
 
+/**
+ * Esquema para el contenido del CSV de importación (body text/csv)
+ */
+export const importarProductosBody = Joi.string().trim().min(1).required().messages({
+  "string.base":
+    "El cuerpo debe ser el contenido del CSV (Content-Type: text/csv)",
+  "string.empty": "El archivo CSV está vacío",
+  "any.required": "El contenido del CSV es obligatorio",
+});
+
+/**
+ * Esquema para el query dry_run de operaciones masivas (importación,
+ * actualización de precios): true = solo vista previa
+ */
+export const dryRunQuery = Joi.object({
+  dry_run: Joi.boolean().default(false).messages({
+    "boolean.base": "El campo dry_run debe ser verdadero o falso",
+  }),
+});
+
+/**
+ * Ajuste de un precio en la actualización masiva
+ * porcentaje: +8 sube 8%, -5 baja 5% | fijo: pesos a sumar (o restar)
+ */
+const ajustePrecio = Joi.object({
+  tipo: Joi.string().valid("porcentaje", "fijo").required().messages({
+    "any.only": 'El tipo de ajuste debe ser "porcentaje" o "fijo"',
+    "any.required": "El tipo de ajuste es obligatorio",
+  }),
+
+  valor: Joi.number()
+    .precision(2)
+    .invalid(0)
+    .required()
+    .when("tipo", {
+      is: "porcentaje",
+      then: Joi.number().min(-90).max(500),
+    })
+    .messages({
+      "number.base": "El valor del ajuste debe ser un número",
+      "number.precision": "El valor del ajuste no puede tener más de 2 decimales",
+      "number.min": "El porcentaje no puede bajar más de 90%",
+      "number.max": "El porcentaje no puede subir más de 500%",
+      "any.invalid": "El valor del ajuste no puede ser 0",
+      "any.required": "El valor del ajuste es obligatorio",
+    }),
+});
+
+/**
+ * Esquema para actualizar precios en bloque
+ * Selección: exactamente una de categoria_id, proveedor_id o producto_ids
+ */
+export const actualizarPreciosMasivo = Joi.object({
+  categoria_id: Joi.number().integer().positive().messages({
+    "number.base": "El ID de categoría debe ser un número",
+    "number.integer": "El ID de categoría debe ser un número entero",
+    "number.positive": "El ID de categoría debe ser un número positivo",
+  }),
+
+  proveedor_id: Joi.number().integer().positive().messages({
+    "number.base": "El ID de proveedor debe ser un número",
+    "number.integer": "El ID de proveedor debe ser un número entero",
+    "number.positive": "El ID de proveedor debe ser un número positivo",
+  }),
+
+  producto_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .max(2000)
+    .unique()
+    .messages({
+      "array.base": "producto_ids debe ser una lista de IDs",
+      "array.min": "producto_ids debe tener al menos un producto",
+      "array.max": "producto_ids no puede tener más de 2000 productos",
+      "array.unique": "producto_ids no puede tener IDs repetidos",
+      "number.base": "Cada ID de producto debe ser un número",
+      "number.integer": "Cada ID de producto debe ser un número entero",
+      "number.positive": "Cada ID de producto debe ser un número positivo",
+    }),
+
+  ajuste_compra: ajustePrecio,
+
+  ajuste_venta: ajustePrecio,
+
+  redondeo: Joi.number().valid(10, 50, 100, 500, 1000).messages({
+    "any.only": "El redondeo debe ser a 10, 50, 100, 500 o 1000 pesos",
+  }),
+
+  modo_redondeo: Joi.string()
+    .valid("cercano", "arriba", "abajo")
+    .default("cercano")
+    .messages({
+      "any.only": 'El modo de redondeo debe ser "cercano", "arriba" o "abajo"',
+    }),
+
+  incluir_inactivos: Joi.boolean().default(false).messages({
+    "boolean.base": "El campo incluir_inactivos debe ser verdadero o falso",
+  }),
+
+  motivo: Joi.string().trim().min(3).max(500).required().messages({
+    "string.min": "El motivo debe tener al menos 3 caracteres",
+    "string.max": "El motivo no puede tener más de 500 caracteres",
+    "string.empty": "El motivo es obligatorio",
+    "any.required": "El motivo es obligatorio",
+  }),
+})
+  .xor("categoria_id", "proveedor_id", "producto_ids")
+  .or("ajuste_compra", "ajuste_venta")
+  .messages({
+    "object.xor":
+      "Indica solo una selección: categoria_id, proveedor_id o producto_ids",
+    "object.missing":
+      "Indica la selección (categoria_id, proveedor_id o producto_ids) y al menos un ajuste (ajuste_compra o ajuste_venta)",
+  });
+
+/**
+ * Esquema para query parameters de etiquetas de precio
+ * producto_ids llega como lista separada por comas ("12,15,18")
+ */
+export const getEtiquetas = Joi.object({
+  producto_ids: Joi.string()
+    .pattern(/^\d+(\s*,\s*\d+)*$/)
+    .custom((value, helpers) => {
+      const ids = [...new Set(value.split(",").map((id) => parseInt(id)))];
+      if (ids.some((id) => id <= 0)) return helpers.error("string.pattern.base");
+      if (ids.length > 500) return helpers.error("custom.demasiadosIds");
+      return ids;
+    })
+    .messages({
+      "string.pattern.base":
+        "producto_ids debe ser una lista de IDs separados por comas (ej: 12,15,18)",
+      "custom.demasiadosIds": "producto_ids no puede tener más de 500 productos",
+    }),
+
+  categoria_id: Joi.number().integer().positive().messages({
+    "number.base": "El ID de categoría debe ser un número",
+    "number.integer": "El ID de categoría debe ser un número entero",
+    "number.positive": "El ID de categoría debe ser un número positivo",
+  }),
+
+  precio_cambiado_desde: Joi.date().iso().max("now").messages({
+    "date.base": "La fecha debe ser válida",
+    "date.format": "La fecha debe estar en formato YYYY-MM-DD",
+    "date.max": "La fecha no puede ser futura",
+  }),
+
+  formato: Joi.string().valid("pdf", "html").default("pdf").messages({
+    "any.only": 'El formato debe ser "pdf" o "html"',
+  }),
+
+  copias: Joi.number().integer().min(1).max(50).default(1).messages({
+    "number.base": "Las copias deben ser un número",
+    "number.integer": "Las copias deben ser un número entero",
+    "number.min": "Debe imprimir al menos una copia",
+    "number.max": "No se pueden imprimir más de 50 copias por producto",
+  }),
+})
+  .or("producto_ids", "categoria_id", "precio_cambiado_desde")
+  .messages({
+    "object.missing":
+      "Indica producto_ids, categoria_id o precio_cambiado_desde para seleccionar los productos",
+  });
+
+/**
+ * Esquema para generar códigos de barras internos
+ * Sin filtros: todos los productos activos sin código
+ */
+export const generarCodigosBarras = Joi.object({
+  producto_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .max(2000)
+    .unique()
+    .messages({
+      "array.base": "producto_ids debe ser una lista de IDs",
+      "array.min": "producto_ids debe tener al menos un producto",
+      "array.max": "producto_ids no puede tener más de 2000 productos",
+      "array.unique": "producto_ids no puede tener IDs repetidos",
+      "number.base": "Cada ID de producto debe ser un número",
+      "number.integer": "Cada ID de producto debe ser un número entero",
+      "number.positive": "Cada ID de producto debe ser un número positivo",
+    }),
+
+  categoria_id: Joi.number().integer().positive().messages({
+    "number.base": "El ID de categoría debe ser un número",
+    "number.integer": "El ID de categoría debe ser un número entero",
+    "number.positive": "El ID de categoría debe ser un número positivo",
+  }),
+
+  tipo_medida: Joi.string().valid("unidad", "peso").messages({
+    "any.only": 'El tipo de medida debe ser "unidad" o "peso"',
+  }),
+});
+
 // =====================================================
 // EXPORTACIÓN AGRUPADA
 // =====================================================
@@ -210,6 +566,16 @@ export const productosSchemas = {
   getProductos,
   productoId,
   codigoBarras,
+  getHistorialPrecios,
+  programarCambioPrecio,
+  cambioProgramadoParams,
+  agregarCodigoProducto,
+  codigoProductoParams,
+  importarProductosBody,
+  dryRunQuery,
+  actualizarPreciosMasivo,
+  getEtiquetas,
+  generarCodigosBarras,
 };
 
 // =====================================================
@@ -222,8 +588,11 @@ export const schemasInfo = {
     requiredFields: ["nombre", "categoria_id", "precio_compra", "precio_venta"],
     optionalFields: [
       "codigo_barras",
+      "codigo_balanza",
       "descripcion",
+      "tarifa_iva",
       "tipo_medida",
+      "maneja_lotes",
       "stock_actual",
       "stock_minimo",
       "activo",
@@ -237,16 +606,21 @@ export const schemasInfo = {
     requiredFields: [],
     optionalFields: [
       "codigo_barras",
+      "codigo_balanza",
       "nombre",
       "descripcion",
       "categoria_id",
       "precio_compra",
       "precio_venta",
+      "tarifa_iva",
       "tipo_medida",
+      "maneja_lotes",
       "stock_minimo",
       "activo",
+      "motivo_cambio_precio",
     ],
-    notes: "El stock_actual NO se actualiza aquí (usar módulo inventario)",
+    notes:
+      "El stock_actual NO se actualiza aquí (usar módulo inventario). Los cambios de precio quedan en historial_precios",
     source: "body",
   },
 
@@ -271,4 +645,121 @@ export const schemasInfo = {
     requiredFields: ["codigo"],
     source: "params",
   },
+
+  getHistorialPrecios: {
+    description: "Validación para consultar el historial de precios",
+    optionalFields: ["tipo_precio"],
+    defaultValues: {
+      page: 1,
+      limit: 50,
+    },
+    source: "query",
+  },
+
+  programarCambioPrecio: {
+    description: "Validación para programar un cambio de precio",
+    requiredFields: ["fecha_aplicacion", "motivo"],
+    optionalFields: ["precio_compra", "precio_venta"],
+    businessRules: [
+      "Al menos uno de precio_compra o precio_venta",
+      "fecha_aplicacion futura y dentro de un año",
+      "precio_venta resultante > precio_compra resultante (se revalida al aplicar)",
+    ],
+    source: "body",
+  },
+
+  cambioProgramadoParams: {
+    description: "Validación para producto y cambio programado en parámetros",
+    requiredFields: ["id", "cambio_id"],
+    source: "params",
+  },
+
+  agregarCodigoProducto: {
+    description: "Validación para agregar un código de barras adicional",
+    requiredFields: ["codigo_barras"],
+    optionalFields: ["multiplicador", "descripcion"],
+    defaultValues: {
+      multiplicador: 1,
+    },
+    businessRules: [
+      "El código no puede estar en uso como principal ni adicional de ningún producto",
+      "El multiplicador son las unidades del producto por escaneo (caja x12 = 12)",
+    ],
+    source: "body",
+  },
+
+  codigoProductoParams: {
+    description: "Validación para producto y código adicional en parámetros",
+    requiredFields: ["id", "codigo_id"],
+    source: "params",
+  },
+
+  importarProductosBody: {
+    description: "Validación del CSV de importación de productos",
+    notes:
+      "Cada fila se valida después con createProducto, la categoría y las reglas de nombre/código de barras únicos",
+    source: "body",
+  },
+
+  dryRunQuery: {
+    description: "Validación del modo vista previa en operaciones masivas",
+    optionalFields: ["dry_run"],
+    defaultValues: {
+      dry_run: false,
+    },
+    source: "query",
+  },
+
+  actualizarPreciosMasivo: {
+    description: "Validación para actualizar precios en bloque",
+    requiredFields: ["motivo"],
+    optionalFields: [
+      "categoria_id",
+      "proveedor_id",
+      "producto_ids",
+      "ajuste_compra",
+      "ajuste_venta",
+      "redondeo",
+      "modo_redondeo",
+      "incluir_inactivos",
+    ],
+    defaultValues: {
+      modo_redondeo: "cercano",
+      incluir_inactivos: false,
+    },
+    businessRules: [
+      "Exactamente una selección: categoria_id, proveedor_id o producto_ids",
+      "Al menos uno de ajuste_compra o ajuste_venta",
+      "El redondeo aplica solo al precio de venta",
+      "precio_venta resultante > precio_compra resultante (por producto)",
+    ],
+    source: "body",
+  },
+
+  getEtiquetas: {
+    description: "Validación para imprimir etiquetas de precio",
+    optionalFields: [
+      "producto_ids",
+      "categoria_id",
+      "precio_cambiado_desde",
+      "formato",
+      "copias",
+    ],
+    defaultValues: {
+      formato: "pdf",
+      copias: 1,
+    },
+    businessRules: [
+      "Al menos un filtro de selección; los filtros se combinan",
+      "Máximo 500 productos por impresión",
+    ],
+    source: "query",
+  },
+
+  generarCodigosBarras: {
+    description: "Validación para generar códigos EAN-13 internos",
+    optionalFields: ["producto_ids", "categoria_id", "tipo_medida"],
+    notes: "Solo afecta productos activos sin código de barras",
+    source: "body",
+  },
 };
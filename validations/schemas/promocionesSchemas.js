@@ -0,0 +1,305 @@
+// validations/schemas/promocionesSchemas.js
+import Joi from "joi";
+
+// =====================================================
+// 📋 DEFINICIONES DE ESQUEMAS PARA PROMOCIONES
+// =====================================================
+
+const idPositivo = (campo) =>
+  Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      "number.base": `El ID ${campo} debe ser un número`,
+      "number.integer": `El ID ${campo} debe ser un número entero`,
+      "number.positive": `El ID ${campo} debe ser un número positivo`,
+      "any.required": `El ID ${campo} es obligatorio para este alcance`,
+      "any.unknown": `El ID ${campo} no aplica para este alcance`,
+    });
+
+const cantidadGrupo = (campo) =>
+  Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .messages({
+      "number.base": `La ${campo} debe ser un número`,
+      "number.integer": `La ${campo} debe ser un número entero`,
+      "number.min": `La ${campo} debe ser al menos 1`,
+      "number.max": `La ${campo} no puede ser mayor a 1000`,
+      "any.required": `La ${campo} es obligatoria para este tipo de promoción`,
+      "any.unknown": `La ${campo} no aplica para este tipo de promoción`,
+    });
+
+/**
+ * Campos base de una promoción (sin reglas de obligatoriedad)
+ */
+const camposPromocion = {
+  nombre: Joi.string().trim().min(3).max(150).messages({
+    "string.base": "El nombre debe ser una cadena de texto",
+    "string.empty": "El nombre de la promoción es obligatorio",
+    "string.min": "El nombre debe tener al menos 3 caracteres",
+    "string.max": "El nombre no puede exceder los 150 caracteres",
+    "any.required": "El nombre de la promoción es obligatorio",
+  }),
+
+  descripcion: Joi.string().trim().max(500).allow("", null).messages({
+    "string.max": "La descripción no puede exceder los 500 caracteres",
+  }),
+
+  tipo: Joi.string().valid("nxm", "porcentaje", "precio_fijo").messages({
+    "any.only": 'El tipo debe ser "nxm", "porcentaje" o "precio_fijo"',
+    "any.required": "El tipo de promoción es obligatorio",
+  }),
+
+  alcance: Joi.string().valid("producto", "categoria", "ticket").messages({
+    "any.only": 'El alcance debe ser "producto", "categoria" o "ticket"',
+    "any.required": "El alcance de la promoción es obligatorio",
+  }),
+
+  producto_id: idPositivo("del producto"),
+
+  categoria_id: idPositivo("de la categoría"),
+
+  cantidad_requerida: cantidadGrupo("cantidad requerida"),
+
+  cantidad_pagada: cantidadGrupo("cantidad pagada"),
+
+  porcentaje: Joi.number().greater(0).less(100).precision(2).messages({
+    "number.base": "El porcentaje debe ser un número",
+    "number.greater": "El porcentaje debe ser mayor a 0",
+    "number.less": "El porcentaje debe ser menor a 100",
+    "number.precision": "El porcentaje no puede tener más de 2 decimales",
+    "any.required": "El porcentaje es obligatorio para este tipo de promoción",
+    "any.unknown": "El porcentaje no aplica para este tipo de promoción",
+  }),
+
+  precio_fijo: Joi.number().positive().precision(2).max(99999999.99).messages({
+    "number.base": "El precio fijo debe ser un número",
+    "number.positive": "El precio fijo debe ser positivo",
+    "number.precision": "El precio fijo no puede tener más de 2 decimales",
+    "number.max": "El precio fijo excede el límite máximo permitido",
+    "any.required": "El precio fijo es obligatorio para este tipo de promoción",
+    "any.unknown": "El precio fijo no aplica para este tipo de promoción",
+  }),
+
+  monto_minimo: Joi.number().min(0).precision(2).allow(null).messages({
+    "number.base": "El monto mínimo debe ser un número",
+    "number.min": "El monto mínimo no puede ser negativo",
+    "number.precision": "El monto mínimo no puede tener más de 2 decimales",
+    "any.unknown": "El monto mínimo solo aplica a promociones de ticket",
+  }),
+
+  fecha_inicio: Joi.date().iso().messages({
+    "date.base": "La fecha de inicio debe ser una fecha válida",
+    "date.format": "La fecha de inicio debe estar en formato ISO",
+    "any.required": "La fecha de inicio es obligatoria",
+  }),
+
+  fecha_fin: Joi.date().iso().messages({
+    "date.base": "La fecha de fin debe ser una fecha válida",
+    "date.format": "La fecha de fin debe estar en formato ISO",
+    "date.greater": "La fecha de fin debe ser posterior a la fecha de inicio",
+    "any.required": "La fecha de fin es obligatoria",
+  }),
+
+  activo: Joi.boolean().messages({
+    "boolean.base": "El campo activo debe ser verdadero o falso",
+  }),
+};
+
+/**
+ * Esquema para crear promoción
+ *
+ * Reglas cruzadas:
+ * - alcance producto → producto_id | categoria → categoria_id
+ * - alcance ticket → solo tipo porcentaje (con monto_minimo opcional)
+ * - nxm → cantidad_requerida > cantidad_pagada
+ * - precio_fijo → cantidad_requerida + precio_fijo
+ * - porcentaje → porcentaje
+ */
+export const createPromocion = Joi.object({
+  ...camposPromocion,
+  nombre: camposPromocion.nombre.required(),
+  tipo: camposPromocion.tipo
+    .required()
+    .when("alcance", {
+      is: "ticket",
+      then: Joi.valid(Joi.override, "porcentaje").messages({
+        "any.only": "Las promociones de ticket solo pueden ser de porcentaje",
+      }),
+    }),
+  alcance: camposPromocion.alcance.required(),
+
+  producto_id: camposPromocion.producto_id.when("alcance", {
+    is: "producto",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  categoria_id: camposPromocion.categoria_id.when("alcance", {
+    is: "categoria",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+
+  cantidad_requerida: camposPromocion.cantidad_requerida.when("tipo", {
+    is: Joi.valid("nxm", "precio_fijo"),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  cantidad_pagada: camposPromocion.cantidad_pagada.when("tipo", {
+    is: "nxm",
+    then: Joi.number()
+      .less(Joi.ref("cantidad_requerida"))
+      .required()
+      .messages({
+        "number.less":
+          "La cantidad pagada debe ser menor a la cantidad requerida (ej: 3x2)",
+      }),
+    otherwise: Joi.forbidden(),
+  }),
+  porcentaje: camposPromocion.porcentaje.when("tipo", {
+    is: "porcentaje",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  precio_fijo: camposPromocion.precio_fijo.when("tipo", {
+    is: "precio_fijo",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  monto_minimo: camposPromocion.monto_minimo.when("alcance", {
+    is: "ticket",
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+
+  fecha_inicio: camposPromocion.fecha_inicio.required(),
+  fecha_fin: camposPromocion.fecha_fin
+    .greater(Joi.ref("fecha_inicio"))
+    .required(),
+  activo: camposPromocion.activo.default(true),
+});
+
+/**
+ * Esquema para actualizar promoción
+ * Todos los campos son opcionales; la coherencia entre tipo/alcance
+ * se verifica en el servicio combinando con los datos actuales
+ */
+export const updatePromocion = Joi.object({
+  ...camposPromocion,
+  fecha_fin: camposPromocion.fecha_fin.when("fecha_inicio", {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref("fecha_inicio")),
+  }),
+  cantidad_pagada: camposPromocion.cantidad_pagada.when("cantidad_requerida", {
+    is: Joi.exist(),
+    then: Joi.number().less(Joi.ref("cantidad_requerida")).messages({
+      "number.less":
+        "La cantidad pagada debe ser menor a la cantidad requerida (ej: 3x2)",
+    }),
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Debe proporcionar al menos un campo para actualizar",
+  });
+
+/**
+ * Esquema para query de promociones
+ */
+export const getPromociones = Joi.object({
+  activo: Joi.string().valid("true", "false", "all").default("true").messages({
+    "any.only": 'El filtro activo debe ser "true", "false" o "all"',
+  }),
+
+  vigente: Joi.string().valid("true", "false").optional().messages({
+    "any.only": 'El filtro vigente debe ser "true" o "false"',
+  }),
+
+  alcance: Joi.string()
+    .valid("producto", "categoria", "ticket")
+    .optional()
+    .messages({
+      "any.only": 'El alcance debe ser "producto", "categoria" o "ticket"',
+    }),
+
+  tipo: Joi.string()
+    .valid("nxm", "porcentaje", "precio_fijo")
+    .optional()
+    .messages({
+      "any.only": 'El tipo debe ser "nxm", "porcentaje" o "precio_fijo"',
+    }),
+
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "La página debe ser un número",
+    "number.integer": "La página debe ser un número entero",
+    "number.min": "La página debe ser mayor a 0",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 100",
+  }),
+});
+
+/**
+ * Esquema para validar ID de promoción en params
+ */
+export const promocionId = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "El ID debe ser un número",
+    "number.integer": "El ID debe ser un número entero",
+    "number.positive": "El ID debe ser un número positivo",
+    "any.required": "El ID es obligatorio",
+  }),
+});
+
+// =====================================================
+// 📦 EXPORTACIÓN AGRUPADA
+// =====================================================
+
+export const promocionesSchemas = {
+  createPromocion,
+  updatePromocion,
+  getPromociones,
+  promocionId,
+};
+
+export const schemasInfo = {
+  createPromocion: {
+    description: "Validación para crear promoción",
+    requiredFields: ["nombre", "tipo", "alcance", "fecha_inicio", "fecha_fin"],
+    optionalFields: [
+      "descripcion",
+      "producto_id",
+      "categoria_id",
+      "cantidad_requerida",
+      "cantidad_pagada",
+      "porcentaje",
+      "precio_fijo",
+      "monto_minimo",
+      "activo",
+    ],
+    source: "body",
+    businessRules: [
+      "nxm: lleva cantidad_requerida, paga cantidad_pagada (ej: 3x2)",
+      "porcentaje: descuento sobre la línea o el ticket",
+      "precio_fijo: cantidad_requerida unidades por precio_fijo",
+      "Alcance ticket solo admite porcentaje (monto_minimo opcional)",
+      "Se aplica la mejor promoción por línea y luego la mejor de ticket",
+    ],
+  },
+
+  getPromociones: {
+    description: "Validación para filtros al listar promociones",
+    defaultValues: {
+      activo: "true",
+      page: 1,
+      limit: 20,
+    },
+    source: "query",
+  },
+};
@@ -8,7 +8,8 @@ import Joi from "joi";
 /**
  * Esquema para crear proveedor
  * Campos requeridos: nombre
- * Campos opcionales: contacto, telefono, email, direccion, ciudad, pais, activo
+ * Campos opcionales: contacto, telefono, email, direccion, ciudad, pais,
+ * dias_entrega, activo
  */
 export const createProveedor = Joi.object({
   nombre: Joi.string().trim().min(2).max(200).required().messages({
@@ -62,6 +63,13 @@ export const createProveedor = Joi.object({
       "string.max": "El país no puede exceder los 100 caracteres",
     }),
 
+  dias_entrega: Joi.number().integer().min(0).max(90).default(3).messages({
+    "number.base": "Los días de entrega deben ser un número",
+    "number.integer": "Los días de entrega deben ser un número entero",
+    "number.min": "Los días de entrega no pueden ser negativos",
+    "number.max": "Los días de entrega no pueden exceder 90",
+  }),
+
   activo: Joi.boolean().default(true).optional().messages({
     "boolean.base": "El campo activo debe ser verdadero o falso",
   }),
@@ -116,6 +124,13 @@ export const updateProveedor = Joi.object({
     "string.max": "El país no puede exceder los 100 caracteres",
   }),
 
+  dias_entrega: Joi.number().integer().min(0).max(90).optional().messages({
+    "number.base": "Los días de entrega deben ser un número",
+    "number.integer": "Los días de entrega deben ser un número entero",
+    "number.min": "Los días de entrega no pueden ser negativos",
+    "number.max": "Los días de entrega no pueden exceder 90",
+  }),
+
   activo: Joi.boolean().optional().messages({
     "boolean.base": "El campo activo debe ser verdadero o falso",
   }),
@@ -220,6 +235,7 @@ export const schemasInfo = {
       "direccion",
       "ciudad",
       "pais",
+      "dias_entrega",
       "activo",
     ],
     source: "body",
@@ -236,6 +252,7 @@ export const schemasInfo = {
       "direccion",
       "ciudad",
       "pais",
+      "dias_entrega",
       "activo",
     ],
     source: "body",
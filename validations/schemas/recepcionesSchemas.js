@@ -64,6 +64,24 @@ const productoIdentificador = Joi.object({
       "number.max": "El precio unitario excede el límite máximo permitido",
       "any.required": "El precio unitario es obligatorio",
     }),
+
+  // Tarifa de IVA facturada (opcional, por defecto la del producto)
+  tarifa_iva: Joi.string().valid("19", "5", "0", "exento").optional().messages({
+    "any.only": 'La tarifa de IVA debe ser "19", "5", "0" o "exento"',
+  }),
+
+  // Lote del proveedor (perecederos)
+  numero_lote: Joi.string().trim().max(50).allow(null, "").optional().messages({
+    "string.base": "El número de lote debe ser una cadena de texto",
+    "string.max": "El número de lote no puede exceder los 50 caracteres",
+  }),
+
+  // Obligatoria para productos que manejan lotes
+  fecha_vencimiento: Joi.date().iso().optional().messages({
+    "date.base": "La fecha de vencimiento debe ser una fecha válida",
+    "date.format":
+      "La fecha de vencimiento debe estar en formato ISO (YYYY-MM-DD)",
+  }),
 })
   // ✅ VALIDACIÓN CRÍTICA: Exactamente UNO de los identificadores debe estar presente
   .xor("producto_id", "codigo_barras", "nombre")
@@ -111,6 +129,13 @@ export const createRecepcion = Joi.object({
       "string.max": "Las observaciones no pueden exceder los 1000 caracteres",
     }),
 
+  // Orden de compra que se está recibiendo (opcional)
+  orden_compra_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID de la orden de compra debe ser un número",
+    "number.integer": "El ID de la orden de compra debe ser un número entero",
+    "number.positive": "El ID de la orden de compra debe ser un número positivo",
+  }),
+
   // ✅ ACTUALIZADO: Usa el nuevo schema de identificador flexible
   productos: Joi.array()
     .items(productoIdentificador)
@@ -293,13 +318,16 @@ export const schemasInfo = {
       "fecha_recepcion",
       "productos",
     ],
-    optionalFields: ["observaciones"],
+    optionalFields: ["observaciones", "orden_compra_id"],
     source: "body",
     businessRules: [
       "Fecha de recepción no puede ser posterior a hoy",
+      "orden_compra_id: orden enviada o parcialmente recibida del mismo proveedor",
       "Debe incluir al menos un producto",
       "Cantidad máxima de 3 decimales",
       "Precio máximo de 2 decimales",
+      "Productos con maneja_lotes requieren fecha_vencimiento (numero_lote opcional)",
+      "fecha_vencimiento no puede ser anterior a la fecha de recepción",
     ],
   },
 
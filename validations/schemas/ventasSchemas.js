@@ -45,11 +45,17 @@ const productoIdentificadorVenta = Joi.object({
   }),
 
   // Campos comunes a todas las opciones
+  // Con codigo_barras puede omitirse: las etiquetas de balanza traen la
+  // cantidad (el servicio exige cantidad para los demás códigos)
   cantidad: Joi.number()
     .positive()
     .precision(3)
     .max(99999999.999)
-    .required()
+    .when("codigo_barras", {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required(),
+    })
     .messages({
       "number.base": "La cantidad debe ser un número",
       "number.positive": "La cantidad debe ser un número positivo",
@@ -80,6 +86,63 @@ const productoIdentificadorVenta = Joi.object({
   });
 
 
+// =====================================================
+// 💳 Schema para líneas de pago (pago dividido)
+// =====================================================
+
+/**
+ * Una línea de pago dentro de la venta
+ * monto = valor que se aplica al total; monto_recibido solo aplica a
+ * efectivo (lo que entrega el cliente) y el cambio se calcula en el servicio
+ */
+const pagoVenta = Joi.object({
+  metodo_pago: Joi.string()
+    .valid("efectivo", "tarjeta", "transferencia", "credito")
+    .required()
+    .messages({
+      "any.only":
+        'El método de pago debe ser "efectivo", "tarjeta", "transferencia" o "credito"',
+      "any.required": "El método de pago de cada línea es obligatorio",
+    }),
+
+  monto: Joi.number()
+    .positive()
+    .precision(2)
+    .max(9999999999.99)
+    .required()
+    .messages({
+      "number.base": "El monto del pago debe ser un número",
+      "number.positive": "El monto del pago debe ser mayor a 0",
+      "number.precision": "El monto del pago no puede tener más de 2 decimales",
+      "number.max": "El monto del pago excede el máximo permitido",
+      "any.required": "El monto de cada línea de pago es obligatorio",
+    }),
+
+  monto_recibido: Joi.when("metodo_pago", {
+    is: "efectivo",
+    then: Joi.number()
+      .precision(2)
+      .min(Joi.ref("monto"))
+      .max(9999999999.99)
+      .optional()
+      .messages({
+        "number.base": "El monto recibido debe ser un número",
+        "number.precision":
+          "El monto recibido no puede tener más de 2 decimales",
+        "number.min": "El monto recibido no puede ser menor al monto del pago",
+        "number.max": "El monto recibido excede el máximo permitido",
+      }),
+    otherwise: Joi.forbidden().messages({
+      "any.unknown": "monto_recibido solo aplica a pagos en efectivo",
+    }),
+  }),
+
+  referencia: Joi.string().trim().max(100).allow(null, "").optional().messages({
+    "string.base": "La referencia debe ser una cadena de texto",
+    "string.max": "La referencia no puede exceder los 100 caracteres",
+  }),
+});
+
 // =====================================================
 // 🔄 SCHEMA ACTUALIZADO: createVenta
 // =====================================================
@@ -89,12 +152,32 @@ const productoIdentificadorVenta = Joi.object({
  * ✅ ACTUALIZADO: Usa nuevo schema de identificador flexible
  */
 export const createVenta = Joi.object({
+  // Pago con un solo método (sin default: si no llega ni esto ni pagos,
+  // el servicio asume efectivo por el total)
   metodo_pago: Joi.string()
-    .valid("efectivo", "tarjeta", "transferencia")
-    .default("efectivo")
+    .valid("efectivo", "tarjeta", "transferencia", "credito")
+    .optional()
     .messages({
       "any.only":
-        'El método de pago debe ser "efectivo", "tarjeta" o "transferencia"',
+        'El método de pago debe ser "efectivo", "tarjeta", "transferencia" o "credito"',
+    }),
+
+  // Pago dividido: la suma de los montos debe ser igual al total de la venta.
+  // El total depende de precios y promociones vigentes, así que la
+  // comparación exacta se hace en el servicio (PAGOS_NO_CUADRAN)
+  pagos: Joi.array()
+    .items(pagoVenta)
+    .min(1)
+    .max(10)
+    .unique(
+      (a, b) => a.metodo_pago === "credito" && b.metodo_pago === "credito"
+    )
+    .optional()
+    .messages({
+      "array.base": "Los pagos deben ser un arreglo",
+      "array.min": "Debe incluir al menos una línea de pago",
+      "array.max": "No se permiten más de 10 líneas de pago por venta",
+      "array.unique": "Solo puede haber una línea de pago a crédito",
     }),
 
   // ✅ CAMBIO PRINCIPAL: Usar productoIdentificadorVenta en lugar de objeto inline
@@ -107,7 +190,25 @@ export const createVenta = Joi.object({
       "array.min": "Debe incluir al menos un producto en la venta",
       "any.required": "Los productos son obligatorios",
     }),
-});
+
+  // Cliente opcional: por ID o por número de documento (no ambos)
+  cliente_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID del cliente debe ser un número",
+    "number.integer": "El ID del cliente debe ser un número entero",
+    "number.positive": "El ID del cliente debe ser un número positivo",
+  }),
+
+  cliente_documento: Joi.string().trim().min(3).max(20).optional().messages({
+    "string.base": "El documento del cliente debe ser una cadena de texto",
+    "string.min": "El documento del cliente debe tener al menos 3 caracteres",
+    "string.max": "El documento del cliente no puede exceder los 20 caracteres",
+  }),
+})
+  .oxor("cliente_id", "cliente_documento")
+  .oxor("metodo_pago", "pagos")
+  .messages({
+    "object.oxor": "Solo puede proporcionar uno de: {{#peers}}",
+  });
 
 /**
  * Esquema para query parameters al obtener ventas
@@ -139,11 +240,11 @@ export const getVentas = Joi.object({
   }),
 
   metodo_pago: Joi.string()
-    .valid("efectivo", "tarjeta", "transferencia")
+    .valid("efectivo", "tarjeta", "transferencia", "credito")
     .optional()
     .messages({
       "any.only":
-        'El método de pago debe ser "efectivo", "tarjeta" o "transferencia"',
+        'El método de pago debe ser "efectivo", "tarjeta", "transferencia" o "credito"',
     }),
 
   page: Joi.number().integer().min(1).default(1).messages({
@@ -188,6 +289,53 @@ export const getResumenVentas = Joi.object({
     }),
 });
 
+/**
+ * Esquema para query parameters del reporte de margen bruto
+ */
+export const getReporteMargen = Joi.object({
+  fecha_inicio: Joi.date().iso().max("now").optional().messages({
+    "date.base": "La fecha de inicio debe ser una fecha válida",
+    "date.format": "La fecha de inicio debe estar en formato ISO (YYYY-MM-DD)",
+    "date.max": "La fecha de inicio no puede ser posterior a hoy",
+  }),
+
+  fecha_fin: Joi.date()
+    .iso()
+    .max("now")
+    .when("fecha_inicio", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("fecha_inicio")),
+      otherwise: Joi.optional(),
+    })
+    .messages({
+      "date.base": "La fecha fin debe ser una fecha válida",
+      "date.format": "La fecha fin debe estar en formato ISO (YYYY-MM-DD)",
+      "date.max": "La fecha fin no puede ser posterior a hoy",
+      "date.min":
+        "La fecha fin debe ser posterior o igual a la fecha de inicio",
+    }),
+
+  agrupacion: Joi.string()
+    .valid("dia", "semana", "mes")
+    .default("dia")
+    .messages({
+      "any.only": "La agrupación debe ser: dia, semana o mes",
+    }),
+
+  categoria_id: Joi.number().integer().positive().optional().messages({
+    "number.base": "El ID de categoría debe ser un número",
+    "number.integer": "El ID de categoría debe ser un número entero",
+    "number.positive": "El ID de categoría debe ser positivo",
+  }),
+
+  limit: Joi.number().integer().min(1).max(500).default(50).messages({
+    "number.base": "El límite debe ser un número",
+    "number.integer": "El límite debe ser un número entero",
+    "number.min": "El límite debe ser mayor a 0",
+    "number.max": "El límite no puede ser mayor a 500",
+  }),
+});
+
 /**
  * Esquema para validar ID en params
  */
@@ -214,6 +362,54 @@ export const anularVenta = Joi.object({
   }),
 });
 
+/**
+ * Esquema para registrar devolución (total o parcial) de una venta
+ * Cada producto se identifica por producto_id y solo puede aparecer una vez
+ */
+export const registrarDevolucion = Joi.object({
+  motivo: Joi.string().trim().min(10).max(500).required().messages({
+    "string.base": "El motivo de devolución debe ser una cadena de texto",
+    "string.empty": "El motivo de devolución es obligatorio",
+    "string.min": "El motivo debe tener al menos 10 caracteres",
+    "string.max": "El motivo no puede exceder los 500 caracteres",
+    "any.required": "El motivo de devolución es obligatorio",
+  }),
+
+  productos: Joi.array()
+    .items(
+      Joi.object({
+        producto_id: Joi.number().integer().positive().required().messages({
+          "number.base": "El ID del producto debe ser un número",
+          "number.integer": "El ID del producto debe ser un número entero",
+          "number.positive": "El ID del producto debe ser un número positivo",
+          "any.required": "El ID del producto es obligatorio",
+        }),
+
+        cantidad: Joi.number()
+          .positive()
+          .precision(3)
+          .max(99999999.999)
+          .required()
+          .messages({
+            "number.base": "La cantidad debe ser un número",
+            "number.positive": "La cantidad debe ser un número positivo",
+            "number.precision": "La cantidad no puede tener más de 3 decimales",
+            "number.max": "La cantidad excede el límite máximo permitido",
+            "any.required": "La cantidad es obligatoria",
+          }),
+      })
+    )
+    .min(1)
+    .unique("producto_id")
+    .required()
+    .messages({
+      "array.base": "Los productos deben ser un arreglo",
+      "array.min": "Debe incluir al menos un producto a devolver",
+      "array.unique": "No se puede repetir un producto en la devolución",
+      "any.required": "Los productos son obligatorios",
+    }),
+});
+
 // =====================================================
 // 📦 EXPORTACIÓN AGRUPADA
 // =====================================================
@@ -226,8 +422,10 @@ export const ventasSchemas = {
   createVenta,
   getVentas,
   getResumenVentas,
+  getReporteMargen,
   ventaId,
   anularVenta,
+  registrarDevolucion,
 };
 
 // =====================================================
@@ -238,7 +436,13 @@ export const schemasInfo = {
   createVenta: {
     description: "Validación para crear nueva venta",
     requiredFields: ["productos"],
-    optionalFields: ["metodo_pago", "precio_unitario (por producto)"],
+    optionalFields: [
+      "metodo_pago",
+      "pagos",
+      "precio_unitario (por producto)",
+      "cliente_id",
+      "cliente_documento",
+    ],
     source: "body",
     businessRules: [
       "Debe incluir al menos un producto",
@@ -247,6 +451,13 @@ export const schemasInfo = {
       "Si no se proporciona precio_unitario, se usa precio_venta del producto",
       "✅ NUEVO: Soporta identificación por producto_id, codigo_barras o nombre",
       "✅ NUEVO: Solo UNO de los identificadores debe estar presente (XOR)",
+      "Las promociones vigentes se aplican automáticamente (no con precio manual)",
+      "El cliente es opcional: cliente_id o cliente_documento, no ambos",
+      "metodo_pago credito exige cliente con cupo aprobado y disponible",
+      "metodo_pago o pagos, no ambos; sin ninguno se asume efectivo",
+      "La suma de pagos[].monto debe ser igual al total calculado de la venta",
+      "monto_recibido solo en efectivo y nunca menor al monto de la línea",
+      "Máximo una línea de pago a crédito",
     ],
   },
 
@@ -279,9 +490,37 @@ export const schemasInfo = {
     ],
   },
 
+  getReporteMargen: {
+    description: "Validación para el reporte de margen bruto",
+    defaultValues: {
+      fecha_inicio: "primer día del mes en curso (se calcula en service)",
+      fecha_fin: "hoy (se calcula en service)",
+      agrupacion: "dia",
+      limit: 50,
+    },
+    source: "query",
+    businessRules: [
+      "agrupacion: dia, semana (ISO) o mes",
+      "limit solo recorta el desglose por producto (máximo 500)",
+      "Fechas no pueden ser posteriores a hoy",
+    ],
+  },
+
   ventaId: {
     description: "Validación para ID de venta en parámetros",
     requiredFields: ["id"],
     source: "params",
   },
+
+  registrarDevolucion: {
+    description: "Validación para registrar devolución de una venta",
+    requiredFields: ["motivo", "productos"],
+    source: "body",
+    businessRules: [
+      "Cada producto debe pertenecer a la venta",
+      "La cantidad no puede superar lo vendido menos lo ya devuelto",
+      "No se puede repetir un producto en la misma devolución",
+      "Solo ventas activas o parcialmente devueltas",
+    ],
+  },
 };
\ No newline at end of file
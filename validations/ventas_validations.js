@@ -1,11 +1,14 @@
 // validations/ventas_validations.js - Reutilizando Utils Existentes
 import { validate, validateSource } from "../middleware/validation.js";
+import { parsearCodigoBalanza } from "../utils/codigosBalanza.js";
 import {
   createVenta,
   getVentas,
   getResumenVentas,
+  getReporteMargen,
   ventaId,
   anularVenta,
+  registrarDevolucion,
   ventasSchemas,
 } from "./schemas/ventasSchemas.js";
 
@@ -47,6 +50,22 @@ const validateResumenQuery = validateSource(getResumenVentas, "query", {
   convert: true,
 });
 
+/**
+ * Validar query parameters del reporte de margen bruto
+ */
+const validateReporteMargenQuery = validateSource(getReporteMargen, "query", {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  allowUnknown: false,
+});
+
+/**
+ * Validar datos para registrar devolución
+ * Productos con producto_id + cantidad y motivo obligatorio
+ */
+const validateRegistrarDevolucion = validate(registrarDevolucion);
+
 // =====================================================
 // 🔧 MIDDLEWARES COMPUESTOS (OPCIONAL)
 // =====================================================
@@ -70,6 +89,12 @@ const validateGetSpecificVenta = [validateVentaId];
  */
 const validateVentaAnulacion = [validateVentaId];
 
+/**
+ * Middleware compuesto para registrar devolución
+ * Combina validación de ID + datos de la devolución
+ */
+const validateVentaDevolucion = [validateVentaId, validateRegistrarDevolucion];
+
 // =====================================================
 // 📏 VALIDACIONES DE NEGOCIO ADICIONALES (OPCIONAL)
 // =====================================================
@@ -96,6 +121,9 @@ const validateProductosBusinessRules = (req, res, next) => {
     if (producto.producto_id) {
       identificador = `ID:${producto.producto_id}`;
     } else if (producto.codigo_barras) {
+      // Dos paquetes pesados igual imprimen la misma etiqueta de balanza:
+      // cada una es una línea propia
+      if (parsearCodigoBalanza(producto.codigo_barras)) return;
       identificador = `CB:${producto.codigo_barras}`;
     } else if (producto.nombre) {
       identificador = `NOM:${producto.nombre}`;
@@ -198,11 +226,14 @@ export {
   validateVentaId,
   validateVentasQuery,
   validateResumenQuery,
+  validateReporteMargenQuery,
+  validateRegistrarDevolucion,
 
   // Middlewares compuestos (opcional para rutas complejas)
   validateCompleteVentaCreation,
   validateGetSpecificVenta,
   validateVentaAnulacion,
+  validateVentaDevolucion,
 
   // Validaciones de negocio adicionales (opcional)
   validateProductosBusinessRules,